@@ -0,0 +1,74 @@
+// One-off backfill: fills the SKU registry (SkuMapping) from the template listings and
+// synced active listings that existed before it. New listings are registered as they are
+// created, imported or synced. Safe to run more than once - known ASINs are never replaced.
+
+// npm run backfill-skus          (uses .env)
+// npm run backfill-skus:test     (uses .env.test)
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import TemplateListing from './src/models/TemplateListing.js';
+import ActiveListing from './src/models/ActiveListing.js';
+import { recordSkuMappings, recordTemplateListingMappings } from './src/lib/skuRegistry.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Feeds a cursor to `record` in batches; returns the number of documents read
+async function inBatches(cursor, record) {
+  let batch = [];
+  let count = 0;
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length === BATCH_SIZE) {
+      await record(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await record(batch);
+    count += batch.length;
+  }
+  return count;
+}
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is not set.');
+    process.exit(1);
+  }
+
+  console.log('--- Backfilling SKU mappings ---');
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const templateCursor = TemplateListing.find({ deletedAt: null, customLabel: { $nin: [null, ''] } })
+      .select('+_asinReference sellerId customLabel ebayItemId templateId')
+      .lean()
+      .cursor();
+    const templates = await inBatches(templateCursor, batch => recordTemplateListingMappings(batch, 'template'));
+    console.log(`  templatelistings: ${templates} listing(s) registered`);
+
+    // After the template listings, so synced items pick up their ASIN from the registry
+    const activeCursor = ActiveListing.find({ sku: { $nin: [null, ''] } })
+      .select('seller sku itemId')
+      .lean()
+      .cursor();
+    const active = await inBatches(activeCursor, batch => recordSkuMappings(
+      batch.map(l => ({ seller: l.seller, sku: l.sku, itemId: l.itemId })),
+      'sync'
+    ));
+    console.log(`  activelistings: ${active} listing(s) registered`);
+
+    console.log('--- Done ---');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\nAn error occurred while backfilling SKU mappings:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,86 @@
+// One-off migration: encrypts sensitive fields that were stored before field encryption existed
+// (EmployeeProfile bank/Aadhar/PAN numbers and identity documents, Seller eBay tokens).
+// Safe to run more than once - values that are already encrypted are left alone.
+
+// Set FIELD_ENCRYPTION_KEY (the same key the server uses) and run:
+// npm run encrypt-fields          (uses .env)
+// npm run encrypt-fields:test     (uses .env.test)
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { encryptValue, isEncrypted, isEncryptionConfigured } from './src/lib/fieldEncryption.js';
+
+dotenv.config();
+
+const TARGETS = [
+  {
+    collection: 'employeeprofiles',
+    // Document buffers only until they are moved to file storage (npm run migrate-files), which encrypts them itself
+    fields: ['bankAccountNumber', 'bankIFSC', 'aadharNumber', 'panNumber', 'aadharDocument.data', 'panDocument.data']
+  },
+  {
+    collection: 'sellers',
+    fields: ['ebayTokens.access_token', 'ebayTokens.refresh_token']
+  }
+];
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// The driver returns BSON Binary for buffers
+function toPlainValue(value) {
+  if (value && value._bsontype === 'Binary') return Buffer.from(value.buffer);
+  return value;
+}
+
+async function encryptCollection(db, { collection, fields }) {
+  const filter = { $or: fields.map(field => ({ [field]: { $exists: true, $nin: [null, ''] } })) };
+  const projection = Object.fromEntries(fields.map(field => [field, 1]));
+  const cursor = db.collection(collection).find(filter, { projection });
+
+  let scanned = 0;
+  let updated = 0;
+  for await (const doc of cursor) {
+    scanned++;
+    const $set = {};
+    for (const field of fields) {
+      const value = toPlainValue(getPath(doc, field));
+      if (value === undefined || value === null || value === '' || isEncrypted(value)) continue;
+      if (typeof value !== 'string' && !Buffer.isBuffer(value)) continue;
+      $set[field] = encryptValue(value);
+    }
+    if (Object.keys($set).length > 0) {
+      await db.collection(collection).updateOne({ _id: doc._id }, { $set });
+      updated++;
+    }
+  }
+  console.log(`  ${collection}: ${updated} of ${scanned} document(s) encrypted`);
+}
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is not set.');
+    process.exit(1);
+  }
+  if (!isEncryptionConfigured()) {
+    console.error('Error: FIELD_ENCRYPTION_KEY is not set. Nothing would be encrypted.');
+    process.exit(1);
+  }
+
+  console.log('--- Encrypting sensitive fields ---');
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    for (const target of TARGETS) {
+      await encryptCollection(mongoose.connection.db, target);
+    }
+    console.log('--- Done ---');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\nAn error occurred while encrypting fields:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,114 @@
+// One-off migration: turns the Amazon fields typed on the order sheet (azOrderId,
+// amazonAccount, cardName, beforeTax, estimatedTax, amazonRefund, arrivingDate) into
+// AmazonPurchase records. eBay orders of a seller that share an Amazon order number get one
+// purchase, with an item per order carrying that order's cost and tax and each refund tied
+// to its order, so the purchase rolls up to the values the sheet had. A group whose values
+// would still roll up differently is reported and left out.
+// The order fields are left as they are.
+// Safe to run more than once - orders already linked to a purchase are skipped.
+
+// npm run migrate-purchases          (uses .env)
+// npm run migrate-purchases:test     (uses .env.test)
+// add -- --dry-run to only report what would be created and which sheet values would change
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Order from './src/models/Order.js';
+import AmazonPurchase from './src/models/AmazonPurchase.js';
+import {
+  ORDER_PURCHASE_FIELDS, AMAZON_ORDER_ID, hasOrderPurchaseFields, purchaseInputFromOrders, purchaseAmounts, savePurchase
+} from './src/lib/amazonPurchases.js';
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Orders with any of the sheet fields filled in
+const HAS_FIELDS = {
+  $or: ORDER_PURCHASE_FIELDS.map(field => ({ [field]: { $nin: [null, ''] } }))
+};
+
+const ORDER_FIELDS = `seller orderId remark creationDate dateSold pricingSummary.priceSubtotal paymentSummary.totalDueSeller ${ORDER_PURCHASE_FIELDS.join(' ')}`;
+
+// Orders sharing an Amazon order number become one purchase; the rest get one each
+function groupKey(order) {
+  const amazonOrderId = String(order.azOrderId || '').match(AMAZON_ORDER_ID)?.[0] || String(order.azOrderId || '').trim();
+  return amazonOrderId ? `${order.seller}:${amazonOrderId}` : `order:${order._id}`;
+}
+
+// Sheet values of the group's orders that the purchase would roll up to differently
+// (blank and 0 count as the same)
+async function changedValues(orders, input) {
+  const purchase = { ...input, orders: orders.map(o => ({ order: o._id, orderId: o.orderId })) };
+  const changes = [];
+  for (const order of orders) {
+    const amounts = await purchaseAmounts(order, [purchase]);
+    for (const [field, value] of Object.entries(amounts)) {
+      if (Math.abs((order[field] || 0) - (value || 0)) < 0.005) continue;
+      changes.push(`${order.orderId} ${field} ${order[field] ?? '-'} -> ${value ?? '-'}`);
+    }
+  }
+  return changes;
+}
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is not set.');
+    process.exit(1);
+  }
+
+  console.log('--- Migrating order sheet Amazon fields to AmazonPurchase ---');
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const linked = new Set((await AmazonPurchase.distinct('orders.order')).map(String));
+    const groups = new Map();
+    let skipped = 0;
+
+    const cursor = Order.find(HAS_FIELDS).select(ORDER_FIELDS).sort({ creationDate: 1 }).lean().cursor();
+    for await (const order of cursor) {
+      if (linked.has(String(order._id)) || !hasOrderPurchaseFields(order)) {
+        skipped++;
+        continue;
+      }
+      const key = groupKey(order);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(order);
+    }
+    console.log(`  ${groups.size} purchase(s) to create, ${skipped} order(s) skipped${DRY_RUN ? ' (dry run)' : ''}`);
+
+    let created = 0;
+    let orders = 0;
+    let changed = 0;
+    let failed = 0;
+    for (const group of groups.values()) {
+      try {
+        const input = await purchaseInputFromOrders(group);
+        const changes = await changedValues(group, input);
+        if (changes.length > 0) {
+          changed++;
+          console.warn(`  Left out, sheet values would change: ${changes.join('; ')}`);
+          continue;
+        }
+        if (!DRY_RUN) await savePurchase(new AmazonPurchase(), { ...input, orders: group, source: 'migration' });
+        created++;
+        orders += group.length;
+      } catch (err) {
+        failed++;
+        const reason = err.code === 11000 ? 'Amazon order already recorded for the seller' : err.message;
+        console.error(`  Failed for order(s) ${group.map(o => o.orderId).join(', ')}: ${reason}`);
+      }
+    }
+
+    console.log(`  ${DRY_RUN ? 'Would create' : 'Created'} ${created} purchase(s) for ${orders} order(s)` +
+      `${changed > 0 ? `, ${changed} left out` : ''}${failed > 0 ? `, ${failed} failed` : ''}`);
+    console.log('--- Done ---');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\nAn error occurred while migrating Amazon purchases:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+run();
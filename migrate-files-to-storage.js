@@ -0,0 +1,88 @@
+// One-off migration: moves employee profile pictures and Aadhar/PAN documents out of the
+// EmployeeProfile documents into file storage (src/lib/storage.js) and removes the in-document Buffers.
+// Safe to run more than once - profiles whose files are already in storage are skipped.
+
+// Configure STORAGE_DRIVER (and S3_* for s3) plus FIELD_ENCRYPTION_KEY exactly as the server does, then run:
+// npm run migrate-files          (uses .env)
+// npm run migrate-files:test     (uses .env.test)
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { putFile, buildStorageKey, detectContentType } from './src/lib/storage.js';
+import { decryptValue } from './src/lib/fieldEncryption.js';
+
+dotenv.config();
+
+const FILE_FIELDS = [
+  { field: 'profilePic', prefix: 'profile-pic', encrypt: false },
+  { field: 'aadharDocument', prefix: 'aadhar', encrypt: true },
+  { field: 'panDocument', prefix: 'pan', encrypt: true }
+];
+
+// The driver returns BSON Binary for buffers
+function toBuffer(value) {
+  if (!value) return null;
+  if (value._bsontype === 'Binary') return Buffer.from(value.buffer);
+  return Buffer.isBuffer(value) ? value : null;
+}
+
+async function migrateProfiles(db) {
+  const collection = db.collection('employeeprofiles');
+  const filter = { $or: FILE_FIELDS.map(({ field }) => ({ [`${field}.data`]: { $exists: true } })) };
+  const projection = Object.fromEntries(FILE_FIELDS.map(({ field }) => [field, 1]));
+
+  let moved = 0;
+  let failed = 0;
+  for await (const doc of collection.find(filter, { projection })) {
+    for (const { field, prefix, encrypt } of FILE_FIELDS) {
+      const file = doc[field];
+      const stored = toBuffer(file?.data);
+      if (!stored) continue;
+
+      try {
+        // Documents may already be encrypted in place (encrypt-sensitive-fields) - store the plain bytes
+        const data = decryptValue(stored);
+        if (!data) throw new Error('could not decrypt the stored document (check FIELD_ENCRYPTION_KEY)');
+
+        const contentType = detectContentType(data) || file.contentType || 'application/octet-stream';
+        const storageKey = buildStorageKey(`employee-profiles/${doc._id}`, contentType, prefix);
+        await putFile(storageKey, data, { contentType, encrypt });
+
+        await collection.updateOne(
+          { _id: doc._id },
+          {
+            $set: { [`${field}.storageKey`]: storageKey, [`${field}.size`]: data.length, [`${field}.contentType`]: contentType },
+            $unset: { [`${field}.data`]: '' }
+          }
+        );
+        moved++;
+      } catch (error) {
+        failed++;
+        console.error(`  Failed to move ${field} of profile ${doc._id}: ${error.message}`);
+      }
+    }
+  }
+  console.log(`  employeeprofiles: ${moved} file(s) moved to storage, ${failed} failed`);
+  return failed;
+}
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is not set.');
+    process.exit(1);
+  }
+
+  console.log(`--- Moving employee files to ${process.env.STORAGE_DRIVER || 'local'} storage ---`);
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const failed = await migrateProfiles(mongoose.connection.db);
+    console.log(failed ? '--- Done with errors (re-run after fixing them) ---' : '--- Done ---');
+    await mongoose.disconnect();
+    process.exit(failed ? 1 : 0);
+  } catch (error) {
+    console.error('\nAn error occurred while moving files:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+run();
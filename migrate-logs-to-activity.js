@@ -0,0 +1,98 @@
+// One-off migration: splits the free-text logs of orders, returns, INR cases and payment
+// disputes into activity entries (src/lib/activity.js). Lines starting with a date begin a
+// new entry; "name:" after the date becomes the author when it is a username. Entries
+// without a date get the document's last update time, in their original order.
+// The logs fields are left as they are for older clients.
+// Safe to run more than once - items that already have migrated entries are skipped.
+
+// npm run migrate-logs          (uses .env)
+// npm run migrate-logs:test     (uses .env.test)
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from './src/models/User.js';
+import ActivityEntry from './src/models/ActivityEntry.js';
+import { ACTIVITY_ENTITY_TYPES, activityEntity, splitLegacyLogs } from './src/lib/activity.js';
+
+dotenv.config();
+
+const HAS_LOGS = { logs: { $nin: [null, ''] } };
+
+// Entries for one item's logs, oldest first
+function entriesFor(entityType, key, doc, users) {
+  const fallback = new Date(doc.updatedAt || doc.createdAt || Date.now());
+  return splitLegacyLogs(doc.logs).map((entry, index) => {
+    const author = entry.authorName ? users.get(entry.authorName.toLowerCase()) : null;
+    // Keep the name in the text when it isn't one of our users
+    const body = entry.authorName && !author ? `${entry.authorName}: ${entry.body}` : entry.body;
+    // Undated entries keep their order a millisecond apart
+    const at = entry.at || new Date(fallback.getTime() + index);
+    return {
+      seller: doc.seller,
+      entityType,
+      entityId: doc[key],
+      type: 'note',
+      body,
+      author: author || null,
+      authorName: entry.authorName && !author ? entry.authorName : undefined,
+      source: 'migration',
+      createdAt: at,
+      updatedAt: at
+    };
+  });
+}
+
+async function run() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is not set.');
+    process.exit(1);
+  }
+
+  console.log('--- Migrating logs to activity entries ---');
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const users = new Map();
+    for (const user of await User.find().select('username').lean()) {
+      users.set(user.username.toLowerCase(), user._id);
+    }
+
+    for (const entityType of ACTIVITY_ENTITY_TYPES) {
+      const { model, key } = activityEntity(entityType);
+      const migrated = new Set(await ActivityEntry.distinct('entityId', { entityType, source: 'migration' }));
+      let items = 0;
+      let entries = 0;
+      let skipped = 0;
+      let failed = 0;
+
+      const cursor = model.find(HAS_LOGS).select(`seller ${key} logs createdAt updatedAt`).lean().cursor();
+      for await (const doc of cursor) {
+        if (migrated.has(doc[key])) {
+          skipped++;
+          continue;
+        }
+        const docs = entriesFor(entityType, key, doc, users);
+        if (docs.length === 0) continue;
+        try {
+          await ActivityEntry.insertMany(docs, { timestamps: false });
+          items++;
+          entries += docs.length;
+        } catch (err) {
+          failed++;
+          console.error(`  Failed for ${entityType} ${doc[key]}: ${err.message}`);
+        }
+      }
+
+      console.log(`  ${entityType}: ${entries} entr${entries === 1 ? 'y' : 'ies'} from ${items} item(s), ${skipped} already migrated${failed > 0 ? `, ${failed} failed` : ''}`);
+    }
+
+    console.log('--- Done ---');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\nAn error occurred while migrating logs:');
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+run();
@@ -60,6 +60,27 @@ import asinListCategoriesRoutes from './routes/asinListCategories.js';
 import asinListRangesRoutes from './routes/asinListRanges.js';
 import asinListProductsRoutes from './routes/asinListProducts.js';
 import attendanceRoutes from './routes/attendance.js';
+import syncJobsRoutes from './routes/syncJobs.js';
+import eventsRoutes from './routes/events.js';
+import webhooksRoutes from './routes/webhooks.js';
+import rolesRoutes from './routes/roles.js';
+import auditLogRoutes from './routes/auditLogs.js';
+import filesRoutes from './routes/files.js';
+import repricingRoutes from './routes/repricing.js';
+import stockMonitorRoutes from './routes/stockMonitor.js';
+import skuMappingsRoutes from './routes/skuMappings.js';
+import ledgerRoutes from './routes/ledger.js';
+import ebayFinancesRoutes from './routes/ebayFinances.js';
+import currencyRatesRoutes from './routes/currencyRates.js';
+import amazonPurchasesRoutes from './routes/amazonPurchases.js';
+import trackingRoutes from './routes/tracking.js';
+import purchaseQueueRoutes from './routes/purchaseQueue.js';
+import workQueueRoutes from './routes/workQueue.js';
+import slaRoutes from './routes/sla.js';
+import resolutionRoutes from './routes/resolutions.js';
+import activityRoutes from './routes/activity.js';
+import { ensureDefaultRoles } from './lib/permissions.js';
+import { localStorageRoot } from './lib/storage.js';
 import { initializeScheduledJobs } from './scheduledJobs.js';
 
 const app = express();
@@ -74,8 +95,10 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' })); // Increased limit for bulk operations
 app.use(morgan('dev'));
 
-// Serve static uploads
+// Serve static uploads (files uploaded before lib/storage.js; new uploads go to file storage)
 app.use('/uploads', express.static(path.join(process.cwd(), 'public/uploads')));
+// Public files of the local storage driver (e.g. eBay listing images)
+app.use('/files/public', express.static(path.join(localStorageRoot(), 'public')));
 
 // Disable caching globally for all API routes
 app.use('/api', (req, res, next) => {
@@ -142,6 +165,25 @@ app.use('/api/asin-list-products', asinListProductsRoutes);
 // `/api/attendance` is a legacy endpoint name kept for compatibility;
 // it serves working-hours tracking behavior (timer sessions), not traditional attendance management.
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/sync-jobs', syncJobsRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/files', filesRoutes);
+app.use('/api/repricing', repricingRoutes);
+app.use('/api/stock-monitor', stockMonitorRoutes);
+app.use('/api/sku-mappings', skuMappingsRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/ebay-finances', ebayFinancesRoutes);
+app.use('/api/currency-rates', currencyRatesRoutes);
+app.use('/api/amazon-purchases', amazonPurchasesRoutes);
+app.use('/api/tracking', trackingRoutes);
+app.use('/api/purchase-queue', purchaseQueueRoutes);
+app.use('/api/work-queue', workQueueRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/resolutions', resolutionRoutes);
+app.use('/api/activity', activityRoutes);
 
 
 const port = process.env.PORT || 5000;
@@ -161,7 +203,14 @@ connectToDatabase()
       console.error('Failed to create sparse unique index on email:', e?.message || e);
     }
 
-    // Initialize scheduled jobs (e.g., daily timer auto-stop)
+    // Seed built-in roles and grant newly added default permissions
+    try {
+      await ensureDefaultRoles();
+    } catch (e) {
+      console.error('Failed to seed default roles:', e?.message || e);
+    }
+
+    // Initialize scheduled jobs (e.g., daily timer auto-stop, background eBay syncs)
     initializeScheduledJobs();
 
     app.listen(port, () => {
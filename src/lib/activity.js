@@ -0,0 +1,278 @@
+/**
+ * Activity Threads
+ *
+ * Per-item activity for orders, returns, INR cases and payment disputes, replacing the
+ * single free-text logs string that concurrent edits overwrote.
+ * - Entries are notes (people), status-change and message-sent (recorded by the routes
+ *   that make them) or system (e.g. lib/resolutions.js). Each has an author and a time;
+ *   replies hang off a top-level entry (parent), one level deep.
+ * - @username in a note mentions that user if they may read the item (its read permission
+ *   and its seller): they get an activity.mention event (SSE) and can list their mentions.
+ *   Every new entry also goes out as activity.added.
+ * - The old PATCH .../logs routes (routes/ebay.js) answer 410; logs stays as migrated.
+ * - Authors can edit their notes; the previous text is kept in edits. Nothing is deleted.
+ * - splitLegacyLogs() turns an old logs string into entries (migrate-logs-to-activity.js).
+ *
+ * Usage:
+ *   const { entry, error } = await addActivity('return', returnId, { body, author: req.user.userId });
+ *   await recordActivity('order', orderId, { type: 'status-change', body: 'Worksheet status: open → attended', author });
+ *   const thread = await listActivity('case', caseId);
+ */
+
+import mongoose from 'mongoose';
+import ActivityEntry from '../models/ActivityEntry.js';
+import User from '../models/User.js';
+import { workItemKind } from './workQueue.js';
+import { resolveSellerScope } from './sellerAccess.js';
+import { getRolePermissions, hasPermission } from './permissions.js';
+import { publishEvent } from './realtimeEvents.js';
+
+export const ACTIVITY_TYPES = ['note', 'status-change', 'message-sent', 'system'];
+export const ACTIVITY_ENTITY_TYPES = ['order', 'return', 'case', 'dispute'];
+const MAX_BODY_LENGTH = 10000;
+
+const MENTION = /(^|[^\w.@-])@([\w.-]+)/g;
+
+// Permission to read an entity's thread; writing needs the work queue's edit permission
+const READ_PERMISSIONS = {
+  order: 'orders.read',
+  return: 'returns.read',
+  case: 'returns.read',
+  dispute: 'returns.read'
+};
+
+/**
+ * { model, key, readPermission, editPermission } of an entity type, or null
+ */
+export function activityEntity(entityType) {
+  const kind = ACTIVITY_ENTITY_TYPES.includes(entityType) ? workItemKind(entityType) : null;
+  return kind ? { model: kind.model, key: kind.key, readPermission: READ_PERMISSIONS[entityType], editPermission: kind.permission } : null;
+}
+
+/**
+ * Entity types whose threads the user may read
+ */
+export function readableEntityTypes(user) {
+  return ACTIVITY_ENTITY_TYPES.filter(entityType => hasPermission(user, READ_PERMISSIONS[entityType]));
+}
+
+/**
+ * Usernames mentioned in a text (@username), without duplicates
+ */
+export function parseMentions(body) {
+  return [...new Set([...String(body || '').matchAll(MENTION)].map(m => m[2].replace(/\.+$/, '')))];
+}
+
+// Active users mentioned in the text who may read the item's thread: its read permission and
+// access to the seller (same rule as canAccessSeller). Anyone else stays plain text, so the
+// note never reaches them.
+async function mentionedUsers(body, entityType, sellerId) {
+  const usernames = parseMentions(body);
+  if (usernames.length === 0) return [];
+  const users = await User.find({ username: { $in: usernames }, active: { $ne: false } })
+    .select('_id role assignedSellers')
+    .lean();
+  const allowed = [];
+  for (const user of users) {
+    const permissions = await getRolePermissions(user.role);
+    if (!hasPermission({ role: user.role, permissions }, READ_PERMISSIONS[entityType])) continue;
+    const sellerIds = await resolveSellerScope(user);
+    if (!sellerIds || sellerIds.includes(String(sellerId))) allowed.push(user._id);
+  }
+  return allowed;
+}
+
+function populateEntry(query) {
+  return query
+    .populate('author', 'username')
+    .populate('mentions', 'username')
+    .populate('edits.editedBy', 'username');
+}
+
+function notifyMentions(entry, userIds) {
+  const recipients = userIds.map(String).filter(id => id !== String(entry.author || ''));
+  if (recipients.length === 0) return;
+  publishEvent('activity.mention', {
+    sellerId: entry.seller,
+    userIds: recipients,
+    data: { entryId: entry._id, entityType: entry.entityType, entityId: entry.entityId, author: entry.author, body: entry.body }
+  });
+}
+
+/**
+ * Add an entry to an item's thread
+ * @param {string} entityType - 'order', 'return', 'case' or 'dispute'
+ * @param {string} entityId - eBay id of the item
+ * @param {Object} input - { type (default 'note'), body, author, parent, data }
+ * @returns {Promise<Object>} - { entry } or { error } / { notFound }
+ */
+export async function addActivity(entityType, entityId, { type = 'note', body, author = null, parent = null, data } = {}) {
+  const entity = activityEntity(entityType);
+  if (!entity) return { error: `entityType must be one of ${ACTIVITY_ENTITY_TYPES.join(', ')}` };
+  if (!ACTIVITY_TYPES.includes(type)) return { error: `type must be one of ${ACTIVITY_TYPES.join(', ')}` };
+  const text = String(body ?? '').trim();
+  if (!text) return { error: 'body is required' };
+  if (text.length > MAX_BODY_LENGTH) return { error: `body must be at most ${MAX_BODY_LENGTH} characters` };
+
+  const item = await entity.model.findOne({ [entity.key]: entityId }).select('seller').lean();
+  if (!item) return { notFound: true };
+
+  let parentId = null;
+  if (parent) {
+    if (!mongoose.Types.ObjectId.isValid(parent)) return { error: 'Invalid parent' };
+    const parentEntry = await ActivityEntry.findOne({ _id: parent, entityType, entityId }).select('parent').lean();
+    if (!parentEntry) return { error: 'parent is not an entry of this item' };
+    parentId = parentEntry.parent || parentEntry._id; // Replies to replies join the same thread
+  }
+
+  const mentions = await mentionedUsers(text, entityType, item.seller);
+  const entry = await ActivityEntry.create({
+    seller: item.seller,
+    entityType,
+    entityId,
+    type,
+    body: text,
+    author,
+    mentions,
+    parent: parentId,
+    data
+  });
+
+  publishEvent('activity.added', {
+    sellerId: item.seller,
+    data: { entryId: entry._id, entityType, entityId, type, parent: parentId }
+  });
+  notifyMentions(entry, mentions);
+  return { entry: await populateEntry(ActivityEntry.findById(entry._id)).lean() };
+}
+
+/**
+ * addActivity() for entries generated alongside another change: failures are logged, not
+ * thrown, so they never undo the change itself
+ */
+export async function recordActivity(entityType, entityId, input) {
+  try {
+    const result = await addActivity(entityType, entityId, input);
+    if (result.error) console.error(`[Activity] ${entityType} ${entityId}: ${result.error}`);
+    return result.entry || null;
+  } catch (err) {
+    console.error(`[Activity] Failed to record ${input?.type || 'note'} for ${entityType} ${entityId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * An item's thread, oldest first: top-level entries with their replies
+ * @param {Object} options - { type } to keep only one entry type
+ * @returns {Promise<Array>} - [{ ...entry, replies: [...] }]
+ */
+export async function listActivity(entityType, entityId, { type } = {}) {
+  const filter = { entityType, entityId };
+  if (type) filter.type = type;
+  const entries = await populateEntry(ActivityEntry.find(filter).sort({ createdAt: 1 })).lean();
+
+  const threads = [];
+  const byId = new Map();
+  for (const entry of entries) {
+    if (!entry.parent) {
+      const thread = { ...entry, replies: [] };
+      byId.set(String(entry._id), thread);
+      threads.push(thread);
+    }
+  }
+  for (const entry of entries) {
+    if (!entry.parent) continue;
+    const thread = byId.get(String(entry.parent));
+    // A reply whose thread is filtered out still shows
+    if (thread) thread.replies.push(entry);
+    else threads.push({ ...entry, replies: [] });
+  }
+  return threads;
+}
+
+/**
+ * Edit a note; only its author may, and the previous text goes into edits
+ * @returns {Promise<Object>} - { entry } or { error } / { notFound } / { forbidden }
+ */
+export async function editActivity(entryId, body, userId) {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) return { notFound: true };
+  const text = String(body ?? '').trim();
+  if (!text) return { error: 'body is required' };
+  if (text.length > MAX_BODY_LENGTH) return { error: `body must be at most ${MAX_BODY_LENGTH} characters` };
+
+  const entry = await ActivityEntry.findById(entryId);
+  if (!entry) return { notFound: true };
+  if (entry.type !== 'note') return { error: 'Only notes can be edited' };
+  if (!entry.author || String(entry.author) !== String(userId)) return { forbidden: 'Only the author can edit a note' };
+  if (entry.body === text) return { entry: await populateEntry(ActivityEntry.findById(entry._id)).lean() };
+
+  const mentions = await mentionedUsers(text, entry.entityType, entry.seller);
+  const previous = new Set(entry.mentions.map(String));
+  const now = new Date();
+  entry.edits.push({ body: entry.body, editedAt: now, editedBy: userId });
+  entry.body = text;
+  entry.mentions = mentions;
+  entry.editedAt = now;
+  await entry.save();
+
+  notifyMentions(entry, mentions.filter(id => !previous.has(String(id))));
+  return { entry: await populateEntry(ActivityEntry.findById(entry._id)).lean() };
+}
+
+/**
+ * Entries mentioning a user, newest first
+ * @param {Object} options - { match (seller filter), limit, before (date, for paging) }
+ */
+export async function mentionsOf(userId, { match = {}, limit = 50, before } = {}) {
+  const filter = { ...match, mentions: userId };
+  if (before) filter.createdAt = { $lt: before };
+  return populateEntry(ActivityEntry.find(filter).sort({ createdAt: -1 }).limit(limit)).lean();
+}
+
+// "[2026-01-02 10:30 UTC] alice: text", "2026-01-02 10:30 - text", "1/2/2026 10:30 AM: text", "1/2/26 text"
+const LEGACY_STAMP = /^\s*\[?\s*(\d{4}-\d{2}-\d{2}(?:[ T]\d{1,2}:\d{2}(?::\d{2})?)?(?:\s*(?:UTC|Z))?|\d{1,2}\/\d{1,2}\/\d{2,4}(?:,?\s+\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)?)\s*\]?\s*(?:[-–:|]\s*)?/i;
+const LEGACY_AUTHOR = /^([\w.@-]{2,40}):\s+/;
+
+function legacyDate(stamp) {
+  const iso = stamp.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}:\d{2}(?::\d{2})?))?/);
+  const date = iso
+    ? new Date(`${iso[1]}T${(iso[2] || '00:00').padStart(5, '0')}Z`)
+    : new Date(stamp.replace(/,/g, ''));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Split an old logs string into entries: [{ body, at, authorName }]
+ * Lines starting with a date begin a new entry ("name:" right after the date is taken as
+ * the author) and undated lines continue it. Text without any dates is split at blank
+ * lines, or line by line when it has none. at and authorName are null when unknown.
+ */
+export function splitLegacyLogs(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const dated = lines.some(line => LEGACY_STAMP.test(line) && legacyDate(line.match(LEGACY_STAMP)[1]));
+
+  const entries = [];
+  if (dated) {
+    for (const line of lines) {
+      const stamp = line.match(LEGACY_STAMP);
+      const at = stamp ? legacyDate(stamp[1]) : null;
+      if (at) {
+        let rest = line.slice(stamp[0].length);
+        const author = rest.match(LEGACY_AUTHOR);
+        if (author) rest = rest.slice(author[0].length);
+        entries.push({ lines: [rest], at, authorName: author ? author[1] : null });
+      } else if (entries.length > 0) {
+        entries[entries.length - 1].lines.push(line);
+      } else {
+        entries.push({ lines: [line], at: null, authorName: null });
+      }
+    }
+  } else {
+    const blocks = /\n\s*\n/.test(text) ? String(text).replace(/\r\n?/g, '\n').split(/\n\s*\n/) : lines;
+    for (const block of blocks) entries.push({ lines: [block], at: null, authorName: null });
+  }
+
+  return entries
+    .map(({ lines: parts, at, authorName }) => ({ body: parts.join('\n').trim(), at, authorName }))
+    .filter(entry => entry.body);
+}
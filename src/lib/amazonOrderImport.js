@@ -0,0 +1,508 @@
+/**
+ * Amazon Order History Import
+ *
+ * Fills AmazonPurchase records from the order history CSV Amazon exports for an account,
+ * instead of typing each Amazon order into the order sheet.
+ * - Reads the Items and Orders reports and the order history of the privacy data export;
+ *   columns are found by name, rows of one Amazon order are merged into one purchase.
+ * - Each Amazon order is scored against the eBay orders sold up to MATCH_WINDOW_DAYS
+ *   before it: shipping name, postal code, ASIN (from the SKU registry) and how soon after
+ *   the sale it was placed. A clear best match (or one eBay order per ASIN of the same
+ *   buyer) is proposed; anything else is left for someone to pick.
+ * - Nothing is saved by the preview. Applying confirmed matches creates or updates the
+ *   purchases (an existing purchase with the same Amazon order number, or the order's own
+ *   order sheet purchase without one) and rolls up the eBay orders, which redoes their
+ *   USD and Amazon financials (lib/amazonPurchases.js). Items of an existing purchase are
+ *   merged by ASIN or title, so the order each was assigned to is kept.
+ *
+ * Usage:
+ *   const { purchases, errors } = parseAmazonOrderReport(csvText);
+ *   const preview = await previewAmazonOrderMatches(purchases, { match: sellerScopeMatch(req) });
+ *   const summary = await applyAmazonOrderMatches(purchases, [{ amazonOrderId, orderIds }], { amazonAccount, userId, canAccess });
+ */
+
+import Order from '../models/Order.js';
+import AmazonPurchase from '../models/AmazonPurchase.js';
+import { csvRecords } from './csv.js';
+import { normalizeCurrency } from './currency.js';
+import { lookupAsins } from './skuRegistry.js';
+import { AMAZON_ORDER_ID, findPurchaseOrders, savePurchase, rollUpOrders } from './amazonPurchases.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Amazon orders are placed within this many days after the eBay sale (and up to a day
+// "before" it, for time zones)
+const MATCH_WINDOW_DAYS = 14;
+
+// Points per signal; a candidate needs MIN_SCORE to be shown and AUTO_MATCH_SCORE, with a
+// clear lead over the next one, to be proposed
+const SCORE = { name: 35, partialName: 20, postalCode: 30, asin: 25, sameDay: 10, sameWeek: 5 };
+const MIN_SCORE = 40;
+const AUTO_MATCH_SCORE = 70;
+const AUTO_MATCH_LEAD = 15;
+
+// Report column -> field; headers are compared lowercased without spaces and punctuation
+const COLUMNS = {
+  orderid: 'amazonOrderId',
+  orderdate: 'orderDate',
+  asinisbn: 'asin',
+  asin: 'asin',
+  title: 'title',
+  productname: 'title',
+  quantity: 'quantity',
+  purchasepriceperunit: 'unitPrice',
+  unitprice: 'unitPrice',
+  unitpricetax: 'unitTax',
+  itemsubtotal: 'itemSubtotal',
+  itemsubtotaltax: 'itemTax',
+  subtotal: 'orderSubtotal',
+  taxcharged: 'orderTax',
+  shippingcharge: 'shippingCharge',
+  totaldiscounts: 'discount',
+  totalpromotions: 'discount',
+  currency: 'currency',
+  shippingaddressname: 'shippingName',
+  shippingaddresszip: 'postalCode',
+  shippingaddress: 'shippingAddress',
+  orderstatus: 'orderStatus',
+  shipmentdate: 'shipDate',
+  shipdate: 'shipDate',
+  carriernametrackingnumber: 'tracking',
+  deliverydate: 'expectedDelivery',
+  expecteddeliverydate: 'expectedDelivery'
+};
+
+function columnKey(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// "$1,234.56", "USD 12.00", "(3.00)" -> number, or null when empty
+function amount(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  const number = parseFloat(text.replace(/[^0-9.-]/g, ''));
+  if (isNaN(number)) return null;
+  return /^\(.*\)$/.test(text) ? -number : number;
+}
+
+// ISO dates and the MM/DD/YY(YY) dates of the Items and Orders reports
+function reportDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (us) {
+    const year = us[3].length === 2 ? 2000 + parseInt(us[3]) : parseInt(us[3]);
+    return new Date(Date.UTC(year, parseInt(us[1]) - 1, parseInt(us[2])));
+  }
+  const date = new Date(text);
+  return isNaN(date) ? null : date;
+}
+
+function isoDay(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+// "UPS(1Z999AA10123456784), AMZN_US(TBA123)" -> [{ carrier, trackingNumber }]
+function trackingNumbers(value) {
+  const found = [];
+  for (const match of String(value || '').matchAll(/([^(),]+)\(([^)]+)\)/g)) {
+    found.push({ carrier: match[1].trim(), trackingNumber: match[2].trim() });
+  }
+  return found;
+}
+
+function nameTokens(value) {
+  return String(value || '').toLowerCase().normalize('NFD').replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(t => t.length > 1);
+}
+
+function normalizePostalCode(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function samePostalCode(a, b) {
+  const x = normalizePostalCode(a);
+  const y = normalizePostalCode(b);
+  if (!x || !y) return false;
+  // US ZIP+4 against 5-digit ZIP
+  if (/^\d{5}/.test(x) && /^\d{5}/.test(y)) return x.slice(0, 5) === y.slice(0, 5);
+  return x === y;
+}
+
+function purchaseStatus(rows) {
+  const statuses = rows.map(r => String(r.orderStatus || '').toLowerCase());
+  if (statuses.length > 0 && statuses.every(s => s.includes('cancel'))) return 'cancelled';
+  if (rows.some(r => r.shipDate || r.tracking) || statuses.some(s => s.includes('shipped') || s.includes('closed'))) return 'shipped';
+  return 'ordered';
+}
+
+/**
+ * Amazon orders in an order history report: { purchases, errors }. Each purchase has the
+ * AmazonPurchase fields (amazonOrderId, orderedAt, currency, beforeTax, estimatedTax, status,
+ * items, shipments) plus the shipping name, postal code and address used for matching.
+ */
+export function parseAmazonOrderReport(text) {
+  const { headers, records } = csvRecords(text);
+  const fields = Object.fromEntries(
+    headers.filter(h => COLUMNS[columnKey(h)]).map(h => [h, COLUMNS[columnKey(h)]])
+  );
+  const known = new Set(Object.values(fields));
+  if (!known.has('amazonOrderId') || !known.has('orderDate')) {
+    return { purchases: [], errors: [{ line: 1, error: 'Not an Amazon order history report: Order ID and Order Date columns are required' }] };
+  }
+
+  const errors = [];
+  const byOrder = new Map();
+  for (const record of records) {
+    const row = { line: record._line };
+    for (const [header, field] of Object.entries(fields)) {
+      if (record[header] !== undefined && record[header] !== '' && row[field] === undefined) row[field] = record[header];
+    }
+
+    const amazonOrderId = String(row.amazonOrderId || '').match(AMAZON_ORDER_ID)?.[0] || String(row.amazonOrderId || '').trim();
+    const orderedAt = reportDate(row.orderDate);
+    if (!amazonOrderId) {
+      errors.push({ line: row.line, error: 'Missing Order ID' });
+      continue;
+    }
+    if (!orderedAt) {
+      errors.push({ line: row.line, error: `Invalid Order Date "${row.orderDate || ''}"` });
+      continue;
+    }
+    if (!byOrder.has(amazonOrderId)) byOrder.set(amazonOrderId, { amazonOrderId, orderedAt, rows: [] });
+    byOrder.get(amazonOrderId).rows.push(row);
+  }
+
+  const purchases = [...byOrder.values()].map(({ amazonOrderId, orderedAt, rows }) => {
+    let beforeTax = null;
+    let estimatedTax = null;
+    const add = (total, value) => (value === null ? total : (total || 0) + value);
+    const items = [];
+    const shipments = new Map();
+
+    for (const row of rows) {
+      const quantity = Math.max(parseInt(row.quantity) || 1, 1);
+      const unitPrice = amount(row.unitPrice);
+      const itemSubtotal = amount(row.itemSubtotal) ?? (unitPrice !== null ? unitPrice * quantity : amount(row.orderSubtotal));
+      const unitTax = amount(row.unitTax);
+      const tax = amount(row.itemTax) ?? (unitTax !== null ? unitTax * quantity : amount(row.orderTax));
+      const discount = amount(row.discount);
+      beforeTax = add(beforeTax, itemSubtotal);
+      beforeTax = add(beforeTax, amount(row.shippingCharge));
+      beforeTax = add(beforeTax, discount === null ? null : -Math.abs(discount));
+      estimatedTax = add(estimatedTax, tax);
+
+      if (row.asin || row.title) {
+        items.push({
+          asin: row.asin ? String(row.asin).trim().toUpperCase() : undefined,
+          title: row.title,
+          quantity,
+          unitPrice: unitPrice ?? (itemSubtotal !== null ? round2(itemSubtotal / quantity) : undefined)
+        });
+      }
+      for (const { carrier, trackingNumber } of trackingNumbers(row.tracking)) {
+        if (!shipments.has(trackingNumber)) {
+          shipments.set(trackingNumber, {
+            carrier,
+            trackingNumber,
+            status: 'shipped',
+            shippedAt: reportDate(row.shipDate) || undefined,
+            expectedDelivery: isoDay(reportDate(row.expectedDelivery)) || undefined
+          });
+        }
+      }
+    }
+
+    const first = rows[0];
+    return {
+      amazonOrderId,
+      orderedAt,
+      currency: normalizeCurrency(first.currency) || 'USD',
+      beforeTax: beforeTax === null ? null : round2(beforeTax),
+      estimatedTax: estimatedTax === null ? null : round2(estimatedTax),
+      status: purchaseStatus(rows),
+      items,
+      shipments: [...shipments.values()],
+      shippingName: rows.map(r => r.shippingName).find(Boolean) || null,
+      postalCode: rows.map(r => r.postalCode).find(Boolean) || null,
+      shippingAddress: rows.map(r => r.shippingAddress).find(Boolean) || null,
+      lines: rows.map(r => r.line)
+    };
+  });
+
+  return { purchases, errors };
+}
+
+// ASINs bought for each eBay order (from its line item SKUs): Map orderId(_id) -> Set
+async function orderAsins(orders) {
+  const bySeller = new Map();
+  for (const order of orders) {
+    const key = String(order.seller);
+    if (!bySeller.has(key)) bySeller.set(key, []);
+    bySeller.get(key).push(order);
+  }
+
+  const result = new Map();
+  for (const [seller, sellerOrders] of bySeller) {
+    const skus = sellerOrders.flatMap(o => (o.lineItems || []).map(li => li.sku));
+    const asins = await lookupAsins(seller, skus);
+    for (const order of sellerOrders) {
+      result.set(String(order._id), new Set((order.lineItems || []).map(li => asins.get(li.sku)).filter(Boolean)));
+    }
+  }
+  return result;
+}
+
+function scoreCandidate(purchase, order, asins) {
+  const reasons = [];
+  let score = 0;
+
+  const orderName = nameTokens(order.shippingFullName);
+  if (orderName.length > 0) {
+    // The privacy export has the whole address in one column
+    const reportName = nameTokens(purchase.shippingName || purchase.shippingAddress);
+    const shared = orderName.filter(t => reportName.includes(t));
+    const exact = purchase.shippingName
+      ? shared.length === orderName.length && reportName.length === orderName.length
+      : shared.length === orderName.length;
+    if (exact) {
+      score += SCORE.name;
+      reasons.push('name');
+    } else if (shared.includes(orderName[orderName.length - 1]) || shared.length >= 2) {
+      score += SCORE.partialName;
+      reasons.push('partialName');
+    }
+  }
+
+  const postalCode = purchase.postalCode
+    || String(purchase.shippingAddress || '').match(/\b\d{5}(?:-\d{4})?\b/g)?.pop();
+  if (samePostalCode(postalCode, order.shippingPostalCode)) {
+    score += SCORE.postalCode;
+    reasons.push('postalCode');
+  }
+
+  const matchedAsins = purchase.items.map(i => i.asin).filter(asin => asin && asins.has(asin));
+  if (matchedAsins.length > 0) {
+    score += SCORE.asin;
+    reasons.push('asin');
+  }
+
+  const days = (purchase.orderedAt - new Date(order.creationDate || order.dateSold)) / DAY_MS;
+  if (days >= -1 && days <= 2) {
+    score += SCORE.sameDay;
+    reasons.push('sameDay');
+  } else if (days >= -1 && days <= 7) {
+    score += SCORE.sameWeek;
+    reasons.push('sameWeek');
+  }
+
+  return { score, reasons, matchedAsins };
+}
+
+/**
+ * Score every Amazon order of a report against the eBay orders visible through `match`
+ * (a seller filter such as sellerScopeMatch(req)). Returns one entry per Amazon order with
+ * its candidates (best first), the proposed orderIds and a status: matched, review,
+ * unmatched or imported (already recorded; proposed = the orders it is linked to).
+ */
+export async function previewAmazonOrderMatches(purchases, { match = {} } = {}) {
+  if (purchases.length === 0) return [];
+
+  const times = purchases.map(p => p.orderedAt.getTime());
+  const orders = await Order.find({
+    ...match,
+    creationDate: {
+      $gte: new Date(Math.min(...times) - MATCH_WINDOW_DAYS * DAY_MS),
+      $lte: new Date(Math.max(...times) + DAY_MS)
+    }
+  })
+    .select('seller orderId creationDate dateSold shippingFullName shippingPostalCode productName lineItems.sku buyer.username azOrderId cancelState')
+    .lean();
+  const asinsByOrder = await orderAsins(orders);
+
+  const existing = await AmazonPurchase.find({ ...match, amazonOrderId: { $in: purchases.map(p => p.amazonOrderId) } })
+    .select('seller amazonOrderId orders')
+    .lean();
+  const existingById = new Map(existing.map(p => [p.amazonOrderId, p]));
+
+  return purchases.map(purchase => {
+    const candidates = [];
+    for (const order of orders) {
+      const days = (purchase.orderedAt - new Date(order.creationDate)) / DAY_MS;
+      if (days < -1 || days > MATCH_WINDOW_DAYS) continue;
+      const { score, reasons, matchedAsins } = scoreCandidate(purchase, order, asinsByOrder.get(String(order._id)) || new Set());
+      if (score < MIN_SCORE) continue;
+      candidates.push({
+        _id: order._id,
+        orderId: order.orderId,
+        seller: order.seller,
+        dateSold: order.dateSold || order.creationDate,
+        productName: order.productName,
+        buyer: order.buyer?.username,
+        shippingFullName: order.shippingFullName,
+        shippingPostalCode: order.shippingPostalCode,
+        azOrderId: order.azOrderId || null,
+        cancelled: order.cancelState === 'CANCELED',
+        score,
+        confidence: score / 100,
+        reasons,
+        matchedAsins
+      });
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const { shippingAddress, ...report } = purchase;
+    const entry = { ...report, candidates, proposed: [], status: 'unmatched' };
+
+    const recorded = existingById.get(purchase.amazonOrderId);
+    if (recorded) {
+      entry.status = 'imported';
+      entry.purchaseId = recorded._id;
+      entry.proposed = recorded.orders.map(o => o.orderId);
+      return entry;
+    }
+    if (candidates.length === 0) return entry;
+
+    const strong = candidates.filter(c => c.score >= AUTO_MATCH_SCORE && !c.cancelled);
+    const [best, next] = strong;
+    // One purchase for several orders of the same buyer, each matched by its own ASIN
+    const perAsin = strong.length > 1
+      && new Set(strong.map(c => String(c.seller))).size === 1
+      && strong.every(c => c.matchedAsins.length > 0)
+      && new Set(strong.flatMap(c => c.matchedAsins)).size >= strong.length;
+    if (perAsin) {
+      entry.proposed = strong.map(c => c.orderId);
+      entry.status = 'matched';
+    } else if (best && (!next || best.score - next.score >= AUTO_MATCH_LEAD)) {
+      entry.proposed = [best.orderId];
+      entry.status = 'matched';
+    } else {
+      entry.status = 'review';
+    }
+    return entry;
+  });
+}
+
+// The purchase an import should fill: the one with this Amazon order number, or an order's
+// own order sheet purchase that has none yet
+async function purchaseToFill(seller, amazonOrderId, orders) {
+  const recorded = await AmazonPurchase.findOne({ seller, amazonOrderId });
+  if (recorded) return recorded;
+  if (orders.length !== 1) return null;
+  const own = await AmazonPurchase.find({ 'orders.order': orders[0]._id });
+  if (own.length === 1 && !own[0].amazonOrderId && own[0].orders.length === 1) return own[0];
+  return null;
+}
+
+const itemTitle = title => String(title || '').trim().toLowerCase();
+
+// Report items onto the items of an existing purchase: an item with the same ASIN (else
+// title) keeps its _id, tax and the order someone assigned it to and takes the report's
+// quantity and price; items not in the report stay, new ones go to ownerOf(item)
+function mergeItems(existing, reportItems, orders, ownerOf) {
+  const items = existing.map(item => item.toObject());
+  const matched = new Set();
+  for (const item of reportItems) {
+    const index = items.findIndex((current, i) => !matched.has(i) && (item.asin
+      ? current.asin === item.asin
+      : !current.asin && itemTitle(current.title) && itemTitle(current.title) === itemTitle(item.title)));
+    if (index === -1) {
+      items.push({ ...item, order: ownerOf(item) });
+      matched.add(items.length - 1);
+      continue;
+    }
+    const current = items[index];
+    const assigned = current.order && orders.some(o => String(o._id) === String(current.order));
+    items[index] = {
+      ...current,
+      title: item.title || current.title,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice ?? current.unitPrice,
+      order: assigned ? current.order : ownerOf(item)
+    };
+    matched.add(index);
+  }
+  return items;
+}
+
+/**
+ * Create or update the purchases of confirmed matches ([{ amazonOrderId, orderIds }]) and
+ * roll up their eBay orders. canAccess(sellerId) guards the orders named by the client.
+ * @returns {Promise<{created: number, updated: number, orders: number, failed: Array}>}
+ */
+export async function applyAmazonOrderMatches(purchases, matches, { amazonAccount, creditCardName, userId, canAccess = () => true }) {
+  const byId = new Map(purchases.map(p => [p.amazonOrderId, p]));
+  const summary = { created: 0, updated: 0, orders: 0, failed: [] };
+  const touched = [];
+
+  for (const { amazonOrderId, orderIds } of matches) {
+    const fail = error => summary.failed.push({ amazonOrderId, error });
+    const report = byId.get(amazonOrderId);
+    if (!report) {
+      fail('Not in the uploaded report');
+      continue;
+    }
+
+    try {
+      const { orders, error } = await findPurchaseOrders(Array.isArray(orderIds) ? orderIds : [orderIds]);
+      if (error) {
+        fail(error);
+        continue;
+      }
+      if (!canAccess(orders[0].seller)) {
+        fail('Orders not found');
+        continue;
+      }
+
+      let purchase = await purchaseToFill(orders[0].seller, amazonOrderId, orders);
+      const isNew = !purchase;
+      if (isNew) purchase = new AmazonPurchase({ source: 'import', createdBy: userId });
+
+      // Orders already on the purchase stay linked
+      const linked = isNew ? [] : purchase.orders.filter(o => !orders.some(order => String(order._id) === String(o.order)));
+      const allOrders = [...orders, ...linked.map(o => ({ _id: o.order, orderId: o.orderId, seller: purchase.seller }))];
+
+      // Items go to the order whose listing has their ASIN
+      const asins = allOrders.length > 1 ? await orderAsins(await Order.find({ _id: { $in: allOrders.map(o => o._id) } }).select('seller lineItems.sku').lean()) : null;
+      const ownerOf = item => (allOrders.length === 1
+        ? allOrders[0]
+        : allOrders.find(o => item.asin && asins.get(String(o._id))?.has(item.asin)))?._id || null;
+      const items = isNew
+        ? report.items.map(item => ({ ...item, order: ownerOf(item) }))
+        : mergeItems(purchase.items, report.items, allOrders, ownerOf);
+
+      // Tracking numbers already on the purchase keep their status and history
+      const shipments = isNew ? report.shipments : [
+        ...purchase.shipments.map(s => s.toObject()),
+        ...report.shipments.filter(s => !purchase.shipments.some(existing => existing.trackingNumber === s.trackingNumber))
+      ];
+
+      await savePurchase(purchase, {
+        orders: allOrders,
+        amazonOrderId,
+        amazonAccount,
+        ...(creditCardName !== undefined ? { creditCardName } : {}),
+        orderedAt: report.orderedAt,
+        currency: report.currency,
+        beforeTax: report.beforeTax,
+        estimatedTax: report.estimatedTax,
+        // An order that has moved on (delivered, returned) keeps its status
+        ...(isNew || ['ordered', 'partiallyShipped'].includes(purchase.status) || report.status === 'cancelled' ? { status: report.status } : {}),
+        items,
+        shipments
+      });
+
+      summary[isNew ? 'created' : 'updated']++;
+      summary.orders += orders.length;
+      touched.push(...allOrders.map(o => o._id));
+    } catch (err) {
+      fail(err.code === 11000 ? 'Amazon order already recorded for the seller' : err.message);
+    }
+  }
+
+  await rollUpOrders(touched);
+  return summary;
+}
@@ -0,0 +1,378 @@
+/**
+ * Amazon Purchases
+ *
+ * What was bought on Amazon for which eBay orders (AmazonPurchase). The link is
+ * many-to-many: one Amazon order can fulfil several eBay orders of a seller, and an eBay
+ * order can need several purchases (split orders, re-orders).
+ * - The Amazon fields on Order (azOrderId, amazonAccount, cardName, beforeTax,
+ *   estimatedTax, amazonRefund, arrivingDate) stay as a roll-up of the order's purchases,
+ *   so the order sheets, Amazon financials and the ledger read them as before.
+ *   rollUpOrder() rewrites them and reruns the USD and Amazon financial calculations.
+ * - A purchase's cost, tax and refunds are split between its orders by the value of the
+ *   items assigned to each order, evenly when no item is assigned. Tax goes by the items'
+ *   own tax when they carry it, and a refund tied to an order goes to that order alone.
+ *   Cancelled purchases are left out. Amounts in a currency other than the order's are converted at the rate
+ *   of the purchase date (lib/currency.js).
+ * - arrivingDate is the earliest expected delivery of a package not yet delivered, else
+ *   the latest expected delivery.
+ * - Edits made on the order sheet (PATCH /api/ebay/orders/:orderId/manual-fields) go to
+ *   the order's own purchase, which is created on first use. Orders whose Amazon fields
+ *   come from a shared purchase or from several purchases are edited through
+ *   /api/amazon-purchases instead.
+ *
+ * Usage:
+ *   const purchase = await savePurchase(new AmazonPurchase({ seller }), { orders, ...fields });
+ *   await rollUpOrders(purchase.orders.map(o => o.order));
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import AmazonPurchase from '../models/AmazonPurchase.js';
+import AmazonAccount from '../models/AmazonAccount.js';
+import CreditCardName from '../models/CreditCardName.js';
+import { getRate, normalizeCurrency, orderCurrency } from './currency.js';
+import { recalculateUSDFields, calculateAmazonFinancials } from './orderFinancials.js';
+
+// Order fields that are a roll-up of the order's purchases
+export const ORDER_PURCHASE_FIELDS = ['azOrderId', 'amazonAccount', 'cardName', 'beforeTax', 'estimatedTax', 'amazonRefund', 'arrivingDate'];
+
+// Amazon order number, e.g. 112-1234567-1234567
+export const AMAZON_ORDER_ID = /\d{3}-\d{7}-\d{7}/g;
+
+const DELIVERED_SHIPMENTS = new Set(['delivered', 'returned', 'lost']);
+
+// Order.remark -> purchase / package status, for purchases made from order sheet values
+const REMARK_PURCHASE_STATUS = { Delivered: 'delivered', Shipped: 'shipped', 'In-transit': 'shipped', 'Out for delivery': 'shipped' };
+const REMARK_SHIPMENT_STATUS = {
+  Delivered: 'delivered',
+  Shipped: 'shipped',
+  'In-transit': 'inTransit',
+  'Out for delivery': 'outForDelivery',
+  Delayed: 'delayed'
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function numberOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * eBay orders by orderId or _id, all of one seller. Returns { orders } or { error }.
+ */
+export async function findPurchaseOrders(ids) {
+  const values = [...new Set((ids || []).map(id => String(id).trim()).filter(Boolean))];
+  if (values.length === 0) return { error: 'At least one eBay order is required' };
+
+  const objectIds = values.filter(v => mongoose.Types.ObjectId.isValid(v));
+  const orders = await Order.find({ $or: [{ orderId: { $in: values } }, { _id: { $in: objectIds } }] })
+    .select('seller orderId')
+    .lean();
+  const found = new Set(orders.flatMap(o => [o.orderId, String(o._id)]));
+  const missing = values.filter(v => !found.has(v));
+  if (missing.length > 0) return { error: `Orders not found: ${missing.join(', ')}` };
+  if (new Set(orders.map(o => String(o.seller))).size > 1) {
+    return { error: 'All orders of a purchase must belong to the same seller' };
+  }
+  return { orders };
+}
+
+// Existing account / card by name (the order sheet stores names): its _id, null for a
+// blank name, undefined when no record has the name. New ones are added under Amazon
+// accounts / credit cards, never from here.
+async function refByName(Model, name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return null;
+  const doc = await Model.findOne({ name: trimmed }).select('_id').lean();
+  return doc ? doc._id : undefined;
+}
+
+export const amazonAccountByName = name => refByName(AmazonAccount, name);
+export const creditCardByName = name => refByName(CreditCardName, name);
+
+/**
+ * Copy request fields onto a purchase and save it. orders are Order documents from
+ * findPurchaseOrders(); every other field is optional and only set when present.
+ */
+export async function savePurchase(purchase, input) {
+  if (input.orders) {
+    purchase.seller = input.orders[0].seller;
+    purchase.orders = input.orders.map(o => ({ order: o._id, orderId: o.orderId }));
+  }
+  if (input.amazonOrderId !== undefined) purchase.amazonOrderId = String(input.amazonOrderId || '').trim() || null;
+  for (const field of ['amazonAccount', 'creditCardName', 'reorderOf']) {
+    if (input[field] !== undefined) purchase[field] = input[field] || null;
+  }
+  for (const field of ['status', 'orderedAt', 'items', 'shipments', 'refunds', 'notes', 'source', 'createdBy']) {
+    if (input[field] !== undefined) purchase[field] = input[field];
+  }
+  if (input.currency !== undefined) purchase.currency = normalizeCurrency(input.currency) || 'USD';
+  if (input.beforeTax !== undefined) purchase.beforeTax = numberOrNull(input.beforeTax);
+  if (input.estimatedTax !== undefined) purchase.estimatedTax = numberOrNull(input.estimatedTax);
+
+  await purchase.save();
+  return purchase;
+}
+
+/**
+ * Purchase fields from the Amazon fields an order carried before it had purchases
+ * (for savePurchase). A second Amazon order number typed into azOrderId, and account or
+ * card names that match no record, go to notes.
+ */
+export async function purchaseInputFromOrder(order) {
+  const typed = String(order.azOrderId || '').trim();
+  const ids = typed.match(AMAZON_ORDER_ID) || [];
+  const amazonAccount = await amazonAccountByName(order.amazonAccount);
+  const creditCardName = await creditCardByName(order.cardName);
+  const input = {
+    amazonOrderId: ids[0] || typed || null,
+    amazonAccount: amazonAccount || null,
+    creditCardName: creditCardName || null,
+    currency: orderCurrency(order) || 'USD',
+    orderedAt: order.creationDate || order.dateSold || new Date(),
+    beforeTax: numberOrNull(order.beforeTax),
+    estimatedTax: numberOrNull(order.estimatedTax),
+    refunds: order.amazonRefund > 0 ? [{ amount: order.amazonRefund, reason: 'Order sheet' }] : [],
+    shipments: order.arrivingDate
+      ? [{ status: REMARK_SHIPMENT_STATUS[order.remark] || 'pending', expectedDelivery: order.arrivingDate }]
+      : [],
+    status: REMARK_PURCHASE_STATUS[order.remark] || 'ordered'
+  };
+  const notes = [];
+  if (ids.length > 1) notes.push(`Also on the order sheet: ${ids.slice(1).join(', ')}`);
+  if (amazonAccount === undefined) notes.push(`Amazon account on the order sheet: ${String(order.amazonAccount).trim()}`);
+  if (creditCardName === undefined) notes.push(`Card on the order sheet: ${String(order.cardName).trim()}`);
+  if (notes.length > 0) input.notes = notes.join('\n');
+  return input;
+}
+
+/**
+ * purchaseInputFromOrder() for eBay orders bought in one Amazon order: the amounts are
+ * summed, with an item per order carrying its cost and tax and each refund tied to its
+ * order, so the purchase rolls up to the values each order had
+ */
+export async function purchaseInputFromOrders(orders) {
+  const input = await purchaseInputFromOrder(orders[0]);
+  if (orders.length === 1) return input;
+
+  const sum = field => {
+    const values = orders.map(o => o[field]).filter(v => typeof v === 'number');
+    return values.length > 0 ? values.reduce((total, v) => total + v, 0) : null;
+  };
+  input.beforeTax = sum('beforeTax');
+  input.estimatedTax = sum('estimatedTax');
+  input.items = orders.map(o => ({
+    unitPrice: o.beforeTax > 0 ? o.beforeTax : 0,
+    tax: o.estimatedTax > 0 ? o.estimatedTax : 0,
+    order: o._id
+  }));
+  input.refunds = orders
+    .filter(o => o.amazonRefund > 0)
+    .map(o => ({ amount: o.amazonRefund, reason: `Order sheet (${o.orderId})`, order: o._id }));
+  return input;
+}
+
+export function hasOrderPurchaseFields(order) {
+  return ORDER_PURCHASE_FIELDS.some(field => order[field] !== undefined && order[field] !== null && order[field] !== '');
+}
+
+const itemCost = item => (item.unitPrice || 0) * (item.quantity || 1);
+
+// Share of a purchase's cost (or of valueOf per item) that falls on each of its orders:
+// { [orderId]: fraction }
+function orderShares(purchase, valueOf = itemCost) {
+  const ids = purchase.orders.map(o => String(o.order));
+  const assigned = {};
+  let total = 0;
+  for (const item of purchase.items || []) {
+    if (!item.order || !ids.includes(String(item.order))) continue;
+    const value = valueOf(item);
+    assigned[String(item.order)] = (assigned[String(item.order)] || 0) + value;
+    total += value;
+  }
+  return Object.fromEntries(ids.map(id => [id, total > 0 ? (assigned[id] || 0) / total : 1 / ids.length]));
+}
+
+async function toOrderCurrency(purchase, currency) {
+  const from = purchase.currency || 'USD';
+  if (!currency || from === currency) return 1;
+  const found = await getRate(from, currency, purchase.orderedAt || purchase.createdAt || new Date());
+  if (found) return found.rate;
+  console.warn(`[AmazonPurchase] No ${from}/${currency} rate for purchase ${purchase._id}; amounts left unconverted`);
+  return 1;
+}
+
+function arrivingDateOf(purchases) {
+  const shipments = purchases.flatMap(p => p.shipments || []).filter(s => s.expectedDelivery);
+  const open = shipments.filter(s => !DELIVERED_SHIPMENTS.has(s.status)).map(s => s.expectedDelivery).sort();
+  if (open.length > 0) return open[0];
+  const all = shipments.map(s => s.expectedDelivery).sort();
+  return all.length > 0 ? all[all.length - 1] : null;
+}
+
+// Refunds of a purchase that fall on an order with the given cost share
+function orderRefund(purchase, orderId, share) {
+  return purchase.refunds.reduce((sum, refund) => {
+    if (refund.order) return String(refund.order) === orderId ? sum + (refund.amount || 0) : sum;
+    return sum + (refund.amount || 0) * share;
+  }, 0);
+}
+
+/**
+ * The order's beforeTax, estimatedTax and amazonRefund from its purchases that aren't
+ * cancelled (plain objects), in the order currency
+ */
+export async function purchaseAmounts(order, purchases) {
+  const currency = orderCurrency(order);
+  const orderId = String(order._id);
+  let beforeTax = null;
+  let estimatedTax = null;
+  let refund = null;
+  for (const purchase of purchases) {
+    const share = orderShares(purchase)[orderId] || 0;
+    const taxed = (purchase.items || []).some(item => item.tax > 0);
+    const taxShare = taxed ? orderShares(purchase, item => item.tax || 0)[orderId] || 0 : share;
+    const rate = await toOrderCurrency(purchase, currency);
+    if (purchase.beforeTax != null) beforeTax = (beforeTax || 0) + purchase.beforeTax * share * rate;
+    if (purchase.estimatedTax != null) estimatedTax = (estimatedTax || 0) + purchase.estimatedTax * taxShare * rate;
+    if (purchase.refunds?.length) refund = (refund || 0) + orderRefund(purchase, orderId, share) * rate;
+  }
+  return {
+    beforeTax: beforeTax === null ? null : round2(beforeTax),
+    estimatedTax: estimatedTax === null ? null : round2(estimatedTax),
+    amazonRefund: refund === null ? null : round2(refund)
+  };
+}
+
+/**
+ * Set the Amazon fields of an Order document from its purchases and recalculate its USD
+ * and Amazon financials. Does not save the order.
+ */
+export async function rollUpOrder(order) {
+  const purchases = await AmazonPurchase.find({ 'orders.order': order._id })
+    .populate('amazonAccount', 'name')
+    .populate('creditCardName', 'name')
+    .sort({ orderedAt: 1 })
+    .lean();
+  const active = purchases.filter(p => p.status !== 'cancelled');
+
+  const latest = active[active.length - 1];
+  order.set({
+    azOrderId: [...new Set(active.map(p => p.amazonOrderId).filter(Boolean))].join(', ') || null,
+    amazonAccount: latest?.amazonAccount?.name || null,
+    cardName: latest?.creditCardName?.name || null,
+    ...(await purchaseAmounts(order, active)),
+    arrivingDate: arrivingDateOf(active)
+  });
+
+  order.set(await recalculateUSDFields(order));
+  order.set(await calculateAmazonFinancials(order));
+  return order;
+}
+
+/**
+ * Roll up and save the given orders (ids); failures are logged so one bad order does
+ * not stop the rest
+ */
+export async function rollUpOrders(orderIds) {
+  const ids = [...new Set(orderIds.filter(Boolean).map(String))];
+  let updated = 0;
+  for (const id of ids) {
+    try {
+      const order = await Order.findById(id);
+      if (!order) continue;
+      await rollUpOrder(order);
+      await order.save();
+      updated++;
+    } catch (err) {
+      console.error(`[AmazonPurchase] Failed to roll up order ${id}:`, err.message);
+    }
+  }
+  return updated;
+}
+
+// Refunds after the order sheet's refund total changed to total: earlier refunds are kept
+// (oldest first, as far as they fit in a lower total) and the rest is added as one refund
+function orderSheetRefunds(refunds, total, userId) {
+  const kept = [];
+  let sum = 0;
+  for (const refund of refunds) {
+    if (round2(sum + (refund.amount || 0)) > total) break;
+    kept.push(refund);
+    sum += refund.amount || 0;
+  }
+  const rest = round2(total - sum);
+  if (rest > 0) kept.push({ amount: rest, reason: 'Order sheet', createdBy: userId });
+  return kept;
+}
+
+/**
+ * Apply Amazon fields edited on the order sheet (names and values as on Order) to the
+ * order's own purchase, creating it on first use, then roll the order up (not saved).
+ * Returns { conflict } when the fields come from a shared purchase or several purchases,
+ * { error } for an account or card name that matches no record.
+ */
+export async function applyOrderSheetFields(order, fields, userId) {
+  const purchases = await AmazonPurchase.find({ 'orders.order': order._id });
+  if (purchases.length > 1 || purchases[0]?.orders.length > 1) {
+    return { conflict: 'This order\'s Amazon details come from several or shared Amazon purchases; edit them under Amazon purchases' };
+  }
+
+  let purchase = purchases[0];
+  let input = {};
+  if (!purchase) {
+    // First purchase of the order: starts from what the order already had, with the
+    // edited values on top
+    if (!hasOrderPurchaseFields(order) && !hasOrderPurchaseFields(fields)) return { purchase: null };
+    purchase = new AmazonPurchase({
+      seller: order.seller,
+      orders: [{ order: order._id, orderId: order.orderId }],
+      source: 'orderSheet',
+      createdBy: userId
+    });
+    input = await purchaseInputFromOrder(order);
+  }
+
+  if (fields.azOrderId !== undefined) input.amazonOrderId = fields.azOrderId;
+  if (fields.amazonAccount !== undefined) {
+    input.amazonAccount = await amazonAccountByName(fields.amazonAccount);
+    if (input.amazonAccount === undefined) return { error: `Unknown Amazon account: ${String(fields.amazonAccount).trim()}` };
+  }
+  if (fields.cardName !== undefined) {
+    input.creditCardName = await creditCardByName(fields.cardName);
+    if (input.creditCardName === undefined) return { error: `Unknown card: ${String(fields.cardName).trim()}` };
+  }
+  if (fields.beforeTax !== undefined) input.beforeTax = fields.beforeTax;
+  if (fields.estimatedTax !== undefined) input.estimatedTax = fields.estimatedTax;
+  if (fields.amazonRefund !== undefined) {
+    const existing = input.refunds || purchase.refunds.map(r => r.toObject());
+    input.refunds = orderSheetRefunds(existing, Math.max(numberOrNull(fields.amazonRefund) || 0, 0), userId);
+  }
+  if (fields.arrivingDate !== undefined) {
+    // The date belongs to the first package not yet delivered
+    const shipments = input.shipments || purchase.shipments.map(s => s.toObject());
+    let shipment = shipments.find(s => !DELIVERED_SHIPMENTS.has(s.status));
+    if (!shipment) {
+      shipment = { status: 'pending' };
+      shipments.push(shipment);
+    }
+    shipment.expectedDelivery = fields.arrivingDate || null;
+    input.shipments = shipments;
+  }
+
+  try {
+    await savePurchase(purchase, input);
+  } catch (err) {
+    if (err.code === 11000) {
+      return { conflict: `Amazon order ${input.amazonOrderId} is already recorded for this seller; link this order to it under Amazon purchases` };
+    }
+    throw err;
+  }
+
+  await rollUpOrder(order);
+  return { purchase };
+}
@@ -0,0 +1,90 @@
+/**
+ * Audit Trail
+ *
+ * Records who changed what on orders, returns, cases and payment disputes through the
+ * manual edit routes.
+ * - Routes take a snapshot before the update and call recordAudit() with the updated
+ *   document; only top-level fields whose value actually changed are stored.
+ * - Entries are append-only (see models/AuditLog.js) and read through /api/audit-logs.
+ * - recordAudit never throws: a failed audit write is logged, the edit itself stands.
+ *
+ * Usage:
+ *   const before = await Order.findById(orderId).lean();
+ *   const order = await Order.findByIdAndUpdate(orderId, { notes }, { new: true });
+ *   await recordAudit(req, 'Order', before, order);
+ */
+
+import AuditLog from '../models/AuditLog.js';
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+
+// The id people use for each audited model (searchable as documentKey)
+const DOCUMENT_KEY_FIELDS = {
+  Order: 'orderId',
+  Return: 'returnId',
+  Case: 'caseId',
+  PaymentDispute: 'paymentDisputeId'
+};
+
+function toPlain(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+}
+
+// Comparable form of a value: populated refs compare by id, everything else by its JSON
+function comparable(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date) && value._id && !Array.isArray(value)) {
+    return JSON.stringify(value._id);
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Top-level fields that differ between two versions of a document
+ * @returns {Array<Object>} - [{ field, before, after }]
+ */
+export function diffDocuments(before, after) {
+  const oldDoc = toPlain(before) || {};
+  const newDoc = toPlain(after) || {};
+  const fields = new Set([...Object.keys(oldDoc), ...Object.keys(newDoc)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    if (comparable(oldDoc[field]) !== comparable(newDoc[field])) {
+      changes.push({ field, before: oldDoc[field] ?? null, after: newDoc[field] ?? null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Append an audit entry for a manual edit (no entry when nothing changed)
+ * @param {Object} req - Express request (user and route are taken from it)
+ * @param {string} model - 'Order', 'Return', 'Case' or 'PaymentDispute'
+ * @param {Object} before - Document before the edit (lean or hydrated)
+ * @param {Object} after - Document after the edit
+ */
+export async function recordAudit(req, model, before, after) {
+  try {
+    if (!before || !after) return null;
+    const changes = diffDocuments(before, after);
+    if (changes.length === 0) return null;
+
+    const plain = toPlain(after);
+    return await AuditLog.create({
+      model,
+      documentId: plain._id,
+      documentKey: plain[DOCUMENT_KEY_FIELDS[model]],
+      seller: plain.seller?._id || plain.seller,
+      user: req.user.userId,
+      route: req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : req.method,
+      path: req.originalUrl.split('?')[0],
+      changes
+    });
+  } catch (err) {
+    console.error(`[Audit] Failed to record ${model} change:`, err.message);
+    return null;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * CSV Parsing
+ *
+ * Small RFC 4180 reader for the CSV imports (exchange rates, marketplace reports).
+ * - Quoted fields may contain commas, newlines and doubled quotes ("").
+ * - A leading byte order mark and blank lines are skipped; CRLF and LF both work.
+ * - csvRecords() keys each row by the trimmed header of its column and keeps the
+ *   1-based line number of the row, so import errors can point at it.
+ *
+ * Usage:
+ *   const rows = parseCsv(text);                      // [['date', 'rate'], ['2026-01-02', '85.1']]
+ *   const { headers, records } = csvRecords(text);    // records[0] = { date: '2026-01-02', rate: '85.1', _line: 2 }
+ */
+
+/**
+ * Split CSV text into rows of fields. Each row carries its starting line as row.line.
+ */
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Rows after the header as objects keyed by header name, plus the headers themselves
+ */
+export function csvRecords(text) {
+  const [headerRow, ...rows] = parseCsv(text);
+  if (!headerRow) return { headers: [], records: [] };
+
+  const headers = headerRow.map(h => h.trim());
+  const records = rows.map(row => {
+    const record = { _line: row.line };
+    headers.forEach((header, i) => {
+      if (header) record[header] = (row[i] ?? '').trim();
+    });
+    return record;
+  });
+  return { headers, records };
+}
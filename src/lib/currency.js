@@ -0,0 +1,375 @@
+/**
+ * Currency Rates
+ *
+ * Historical market rates per currency pair (CurrencyRate) and conversion between any two
+ * currencies on a given day.
+ * - A pair is stored once (USD/INR, GBP/USD...); its inverse is derived, and two currencies
+ *   without a pair of their own are crossed through USD.
+ * - A lookup takes the latest rate on or before the date. Dates before a pair's first rate
+ *   have no rate (null), so callers keep their own fallback.
+ * - Rates are entered by hand, imported from CSV (long: date,base,quote,rate or wide:
+ *   date,USD/INR,GBP/USD,...) or fetched from a provider. The daily cron fetches the
+ *   CURRENCY_PAIRS (default USD/INR, AUD/USD, CAD/USD, GBP/USD, EUR/USD) from
+ *   CURRENCY_RATE_PROVIDER (default 'frankfurter', ECB reference rates; 'none' turns the
+ *   cron off); other providers plug in with registerRateProvider().
+ * - The manual business rates of ExchangeRate (EBAY / AMAZON) still take precedence where
+ *   they exist; the market USD/INR rate fills in for days they do not cover.
+ * - Saving rates reports which pairs and days changed; lib/rateRecalculation.js re-runs the
+ *   order and Payoneer conversions that used them.
+ *
+ * Usage:
+ *   const usd = await convert(49.99, 'GBP', 'USD', order.creationDate);   // null if no rate
+ *   const found = await getRate('USD', 'INR', new Date());               // { rate, date, via } or null
+ */
+
+import axios from 'axios';
+import CurrencyRate from '../models/CurrencyRate.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { csvRecords } from './csv.js';
+
+const DEFAULT_PAIRS = 'USD/INR,AUD/USD,CAD/USD,GBP/USD,EUR/USD';
+const HISTORY_TTL_MS = 5 * 60 * 1000;
+const FRANKFURTER_URL = 'https://api.frankfurter.app';
+
+// 'BASE/QUOTE' -> { loadedAt, rates: [{ date, rate }] oldest first }
+const historyCache = new Map();
+
+export function normalizeCurrency(code) {
+  const value = String(code || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(value) ? value : null;
+}
+
+/**
+ * 'USD/INR', 'USD-INR' or 'USDINR' -> { base, quote } (null if not a pair)
+ */
+export function parsePair(value) {
+  const match = String(value || '').trim().toUpperCase().match(/^([A-Z]{3})[/\-_ ]?([A-Z]{3})$/);
+  if (!match || match[1] === match[2]) return null;
+  return { base: match[1], quote: match[2] };
+}
+
+// UTC midnight of the day; plain YYYY-MM-DD strings are that UTC day
+export function rateDay(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+export function clearRateCache() {
+  historyCache.clear();
+}
+
+async function pairHistory(base, quote) {
+  const key = `${base}/${quote}`;
+  const cached = historyCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < HISTORY_TTL_MS) return cached.rates;
+
+  const rates = await CurrencyRate.find({ base, quote }).sort({ date: 1 }).select('date rate').lean();
+  historyCache.set(key, { loadedAt: Date.now(), rates });
+  return rates;
+}
+
+// Latest entry on or before the date (binary search over oldest-first rates)
+function latestOn(rates, date) {
+  let lo = 0;
+  let hi = rates.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (rates[mid].date <= date) {
+      found = rates[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Stored pair or its inverse, whichever has the more recent rate
+async function pairRateOn(base, quote, date) {
+  const [direct, inverse] = await Promise.all([pairHistory(base, quote), pairHistory(quote, base)]);
+  const d = latestOn(direct, date);
+  const i = latestOn(inverse, date);
+  if (d && (!i || d.date >= i.date)) return { rate: d.rate, date: d.date };
+  if (i) return { rate: 1 / i.rate, date: i.date };
+  return null;
+}
+
+/**
+ * Units of `to` per 1 `from` on a date: { rate, date (of the rate used), via }.
+ * via is 'pair', or 'USD' for a cross rate. Null when no rate covers the date.
+ */
+export async function getRate(from, to, date = new Date()) {
+  const base = normalizeCurrency(from);
+  const quote = normalizeCurrency(to);
+  const on = date instanceof Date ? date : new Date(date);
+  if (!base || !quote || isNaN(on)) return null;
+  if (base === quote) return { rate: 1, date: rateDay(on), via: 'pair' };
+
+  const direct = await pairRateOn(base, quote, on);
+  if (direct) return { ...direct, via: 'pair' };
+
+  if (base !== 'USD' && quote !== 'USD') {
+    const [toUsd, fromUsd] = await Promise.all([pairRateOn(base, 'USD', on), pairRateOn('USD', quote, on)]);
+    if (toUsd && fromUsd) {
+      return {
+        rate: toUsd.rate * fromUsd.rate,
+        date: toUsd.date < fromUsd.date ? toUsd.date : fromUsd.date,
+        via: 'USD'
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * amount in `from` expressed in `to` on a date, unrounded (null when no rate covers the date)
+ */
+export async function convert(amount, from, to, date = new Date()) {
+  const value = parseFloat(amount);
+  if (isNaN(value)) return null;
+  const found = await getRate(from, to, date);
+  return found ? value * found.rate : null;
+}
+
+/**
+ * INR per USD for a marketplace on a date: the ExchangeRate entered for it, else the
+ * market USD/INR rate. { rate, source: 'exchangeRate' | 'market' } or null.
+ */
+export async function marketplaceInrRate(marketplace, date) {
+  const on = new Date(date);
+  const entered = await ExchangeRate.findOne({ marketplace, effectiveDate: { $lte: on } })
+    .sort({ effectiveDate: -1 })
+    .select('rate')
+    .lean();
+  if (entered?.rate) return { rate: entered.rate, source: 'exchangeRate' };
+
+  const market = await getRate('USD', 'INR', on);
+  return market ? { rate: market.rate, source: 'market' } : null;
+}
+
+// ============================================
+// Orders
+// ============================================
+
+// Currency the order's amounts (subtotal, shipping...) are in
+export function orderCurrency(order) {
+  return normalizeCurrency(
+    order.pricingSummary?.priceSubtotal?.currency ||
+    order.paymentSummary?.totalDueSeller?.convertedFromCurrency
+  );
+}
+
+/**
+ * USD per unit of the order currency: { rate, source } or null.
+ * - EBAY_US and USD orders: 1 ('ebay')
+ * - eBay's own conversion of totalDueSeller when the order has one ('ebay')
+ * - otherwise the stored rate on the order date ('rates'), which is what rate corrections
+ *   recalculate
+ */
+export async function orderUsdRate(order) {
+  const currency = orderCurrency(order);
+  if (order.purchaseMarketplaceId === 'EBAY_US' || currency === 'USD') return { rate: 1, source: 'ebay' };
+
+  const totalDueSeller = order.paymentSummary?.totalDueSeller;
+  if (totalDueSeller?.value && totalDueSeller?.convertedFromValue) {
+    const usdValue = parseFloat(totalDueSeller.value);
+    const originalValue = parseFloat(totalDueSeller.convertedFromValue);
+    if (usdValue > 0 && originalValue > 0) return { rate: usdValue / originalValue, source: 'ebay' };
+  }
+
+  if (!currency) return null;
+  const found = await getRate(currency, 'USD', order.creationDate || order.dateSold || new Date());
+  return found ? { rate: found.rate, source: 'rates' } : null;
+}
+
+// ============================================
+// Pricing
+// ============================================
+
+/**
+ * Pricing config with a missing spentRate / payoutRate filled in from the market USD/INR
+ * rate of the day. Returns the config untouched when both are set or no rate is stored.
+ */
+export async function withMarketRates(pricingConfig, date = new Date()) {
+  if (!pricingConfig) return pricingConfig;
+  const missing = ['spentRate', 'payoutRate'].filter(field => !(pricingConfig[field] > 0));
+  if (missing.length === 0) return pricingConfig;
+
+  const found = await getRate('USD', 'INR', date);
+  if (!found) return pricingConfig;
+
+  const config = typeof pricingConfig.toObject === 'function' ? pricingConfig.toObject() : { ...pricingConfig };
+  for (const field of missing) config[field] = parseFloat(found.rate.toFixed(4));
+  return config;
+}
+
+// ============================================
+// Saving and importing
+// ============================================
+
+/**
+ * Create or correct the rate of one pair and day.
+ * Returns { rate, status: 'created' | 'corrected' | 'unchanged', previousRate }.
+ */
+export async function saveRate({ base, quote, date, rate, source = 'manual', createdBy = 'system', notes }) {
+  const pair = parsePair(`${base}/${quote}`);
+  if (!pair) throw new Error(`Invalid currency pair: ${base}/${quote}`);
+  const day = rateDay(date);
+  if (!day) throw new Error(`Invalid date: ${date}`);
+  const value = parseFloat(rate);
+  if (!(value > 0)) throw new Error(`Invalid rate for ${pair.base}/${pair.quote}: ${rate}`);
+
+  const existing = await CurrencyRate.findOne({ ...pair, date: day });
+  if (existing && Math.abs(existing.rate - value) < 1e-9) {
+    return { rate: existing, status: 'unchanged', previousRate: existing.rate };
+  }
+
+  historyCache.delete(`${pair.base}/${pair.quote}`);
+  if (existing) {
+    const previousRate = existing.rate;
+    existing.set({ rate: value, source, createdBy, notes: notes ?? existing.notes });
+    await existing.save();
+    return { rate: existing, status: 'corrected', previousRate };
+  }
+
+  const created = await CurrencyRate.create({ ...pair, date: day, rate: value, source, createdBy, notes });
+  return { rate: created, status: 'created', previousRate: null };
+}
+
+/**
+ * Save many rates ({ base, quote, date, rate, line? }). Bad rows are reported, not fatal.
+ * changes lists every pair and day that was created or corrected.
+ */
+export async function importRates(rows, { source = 'csv', createdBy = 'system' } = {}) {
+  const summary = { created: 0, corrected: 0, unchanged: 0, errors: [], changes: [] };
+  for (const row of rows) {
+    try {
+      const result = await saveRate({ ...row, source, createdBy });
+      summary[result.status]++;
+      if (result.status !== 'unchanged') {
+        summary.changes.push({
+          base: result.rate.base,
+          quote: result.rate.quote,
+          date: result.rate.date,
+          rate: result.rate.rate,
+          previousRate: result.previousRate
+        });
+      }
+    } catch (err) {
+      summary.errors.push({ line: row.line, error: err.message });
+    }
+  }
+  return summary;
+}
+
+/**
+ * Rates from CSV text: long format (date,base,quote,rate) or wide format (date column plus
+ * one column per pair, e.g. "USD/INR"). Returns { rows, errors } for importRates().
+ */
+export function parseRatesCsv(text) {
+  const { headers, records } = csvRecords(text);
+  const lower = headers.map(h => h.toLowerCase());
+  const dateHeader = headers[lower.indexOf('date')];
+  if (!dateHeader) return { rows: [], errors: [{ line: 1, error: 'CSV needs a "date" column' }] };
+
+  const rows = [];
+  const errors = [];
+  const longFormat = ['base', 'quote', 'rate'].every(h => lower.includes(h));
+
+  if (longFormat) {
+    const [baseHeader, quoteHeader, rateHeader] = ['base', 'quote', 'rate'].map(h => headers[lower.indexOf(h)]);
+    for (const record of records) {
+      rows.push({
+        base: record[baseHeader],
+        quote: record[quoteHeader],
+        date: record[dateHeader],
+        rate: record[rateHeader],
+        line: record._line
+      });
+    }
+    return { rows, errors };
+  }
+
+  const pairColumns = headers
+    .filter(h => h && h !== dateHeader)
+    .map(header => ({ header, pair: parsePair(header) }));
+  const unknown = pairColumns.filter(c => !c.pair).map(c => c.header);
+  if (unknown.length > 0) errors.push({ line: 1, error: `Not currency pairs: ${unknown.join(', ')}` });
+
+  for (const record of records) {
+    for (const { header, pair } of pairColumns) {
+      if (!pair || record[header] === '' || record[header] === undefined) continue;
+      rows.push({ ...pair, date: record[dateHeader], rate: record[header], line: record._line });
+    }
+  }
+  return { rows, errors };
+}
+
+// ============================================
+// Providers
+// ============================================
+
+// name -> async ({ from, to, pairs }) => [{ base, quote, date, rate }]
+const RATE_PROVIDERS = {
+  // ECB reference rates (no key; nothing on weekends and TARGET holidays)
+  frankfurter: async ({ from, to, pairs }) => {
+    const quotesByBase = {};
+    for (const { base, quote } of pairs) (quotesByBase[base] = quotesByBase[base] || []).push(quote);
+
+    const span = from.getTime() === to.getTime() ? isoDay(from) : `${isoDay(from)}..${isoDay(to)}`;
+    const rows = [];
+    for (const [base, quotes] of Object.entries(quotesByBase)) {
+      const response = await axios.get(`${FRANKFURTER_URL}/${span}`, {
+        params: { from: base, to: quotes.join(',') },
+        timeout: 30000
+      });
+      // Single day: { date, rates: { INR: 85.1 } }; range: { rates: { '2026-01-02': { INR: 85.1 } } }
+      const byDay = response.data.date ? { [response.data.date]: response.data.rates } : response.data.rates || {};
+      for (const [day, rates] of Object.entries(byDay)) {
+        for (const [quote, rate] of Object.entries(rates || {})) rows.push({ base, quote, date: day, rate });
+      }
+    }
+    return rows;
+  }
+};
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function registerRateProvider(name, fetchRates) {
+  RATE_PROVIDERS[name] = fetchRates;
+}
+
+export function rateProviderNames() {
+  return Object.keys(RATE_PROVIDERS);
+}
+
+export function configuredPairs() {
+  return (process.env.CURRENCY_PAIRS || DEFAULT_PAIRS).split(',').map(parsePair).filter(Boolean);
+}
+
+/**
+ * Fetch rates for a day or a range of days from a provider and save them
+ * (same summary as importRates, plus provider and fetched)
+ */
+export async function importProviderRates({
+  provider = process.env.CURRENCY_RATE_PROVIDER || 'frankfurter',
+  from = new Date(),
+  to = from,
+  pairs = configuredPairs(),
+  createdBy = 'system'
+} = {}) {
+  const fetchRates = RATE_PROVIDERS[provider];
+  if (!fetchRates) throw new Error(`Unknown rate provider: ${provider}`);
+  const start = rateDay(from);
+  const end = rateDay(to);
+  if (!start || !end || end < start) throw new Error('Invalid date range');
+  if (pairs.length === 0) throw new Error('No currency pairs to fetch');
+
+  const rows = await fetchRates({ from: start, to: end, pairs });
+  const summary = await importRates(rows, { source: provider, createdBy });
+  return { provider, fetched: rows.length, ...summary };
+}
@@ -0,0 +1,318 @@
+/**
+ * eBay Finances Import & Payout Reconciliation
+ *
+ * Copies payouts and transaction lines from the eBay Finances API into EbayPayout and
+ * EbayFinanceTransaction, and matches every payout to the Payoneer deposit and bank
+ * credit it turned into.
+ * - Runs as the 'finances' background sync (lib/syncScheduler.js). Payouts and transactions
+ *   change status after they first appear, so each run re-reads FINANCES_SYNC_OVERLAP_DAYS
+ *   (default 14) before the newest stored payout; a seller's first run goes back
+ *   FINANCES_SYNC_DAYS (default 90).
+ * - A payout matches a PayoneerRecord of the same seller paid up to PAYOUT_MATCH_DAYS
+ *   (default 7) after it (or a day before, for time zones) whose amount is within
+ *   PAYOUT_MATCH_TOLERANCE_USD (default 1.00). Failing that, the closest record in time is
+ *   taken as an amountMismatch. A matched record without its bank Transaction credit is a
+ *   missingDeposit.
+ * - Matches made by hand (matchSource 'manual') keep their record on re-runs; only their
+ *   status is refreshed.
+ *
+ * Usage:
+ *   const result = await syncSellerFinances(seller);   // fetch and reconcile one seller
+ *   await reconcileSellerPayouts(sellerId);            // after Payoneer records change
+ */
+
+import axios from 'axios';
+import Seller from '../models/Seller.js';
+import EbayPayout from '../models/EbayPayout.js';
+import EbayFinanceTransaction from '../models/EbayFinanceTransaction.js';
+import PayoneerRecord from '../models/PayoneerRecord.js';
+import Transaction from '../models/Transaction.js';
+import { ensureValidToken } from '../routes/ebay.js';
+
+const FINANCES_API = 'https://apiz.ebay.com/sell/finances/v1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function syncDays() {
+  return parseInt(process.env.FINANCES_SYNC_DAYS) || 90;
+}
+
+function overlapDays() {
+  return parseInt(process.env.FINANCES_SYNC_OVERLAP_DAYS) || 14;
+}
+
+function matchDays() {
+  return parseInt(process.env.PAYOUT_MATCH_DAYS) || 7;
+}
+
+function matchTolerance() {
+  const tolerance = parseFloat(process.env.PAYOUT_MATCH_TOLERANCE_USD);
+  return isNaN(tolerance) ? 1 : tolerance;
+}
+
+function money(value) {
+  const parsed = parseFloat(value?.value ?? value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// Calls handlePage with each page of results until eBay has no more
+async function forEachPage(accessToken, resource, { filter, limit, itemsKey }, handlePage) {
+  for (let offset = 0; ; offset += limit) {
+    const response = await axios.get(`${FINANCES_API}/${resource}`, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US'
+      },
+      params: { filter, limit, offset }
+    });
+
+    const items = response.data?.[itemsKey] || [];
+    if (items.length > 0) await handlePage(items);
+    if (items.length < limit || !response.data?.next) return;
+  }
+}
+
+async function syncStartDate(sellerId) {
+  const latest = await EbayPayout.findOne({ seller: sellerId, payoutDate: { $ne: null } })
+    .sort({ payoutDate: -1 })
+    .select('payoutDate')
+    .lean();
+  if (latest) return new Date(latest.payoutDate.getTime() - overlapDays() * DAY_MS);
+  return new Date(Date.now() - syncDays() * DAY_MS);
+}
+
+function payoutFields(sellerId, payout) {
+  return {
+    seller: sellerId,
+    payoutStatus: payout.payoutStatus,
+    payoutStatusDescription: payout.payoutStatusDescription,
+    payoutDate: payout.payoutDate ? new Date(payout.payoutDate) : null,
+    lastAttemptedPayoutDate: payout.lastAttemptedPayoutDate ? new Date(payout.lastAttemptedPayoutDate) : null,
+    amount: money(payout.amount),
+    currency: payout.amount?.currency,
+    transactionCount: payout.transactionCount,
+    payoutMemo: payout.payoutMemo,
+    instrument: {
+      instrumentType: payout.payoutInstrument?.instrumentType,
+      nickname: payout.payoutInstrument?.nickname,
+      accountLastFourDigits: payout.payoutInstrument?.accountLastFourDigits
+    }
+  };
+}
+
+function transactionFields(sellerId, txn) {
+  const amount = money(txn.amount);
+  return {
+    seller: sellerId,
+    transactionStatus: txn.transactionStatus,
+    transactionDate: txn.transactionDate ? new Date(txn.transactionDate) : null,
+    bookingEntry: txn.bookingEntry,
+    amount,
+    netAmount: amount === null ? null : (txn.bookingEntry === 'DEBIT' ? -amount : amount),
+    currency: txn.amount?.currency,
+    totalFeeAmount: money(txn.totalFeeAmount),
+    feeType: txn.feeType,
+    orderId: txn.orderId,
+    payoutId: txn.payoutId,
+    transactionMemo: txn.transactionMemo,
+    references: (txn.references || []).map(r => ({ referenceId: r.referenceId, referenceType: r.referenceType })),
+    orderLineItems: txn.orderLineItems
+  };
+}
+
+/**
+ * Import one seller's recent payouts and transactions, then reconcile the payouts
+ * @param {Object} seller - Seller document (with ebayTokens)
+ * @returns {Promise<Object>} - { created, updated, reconciliation }
+ */
+export async function syncSellerFinances(seller) {
+  const accessToken = await ensureValidToken(seller);
+  const since = await syncStartDate(seller._id);
+  const range = `[${since.toISOString()}..${new Date().toISOString()}]`;
+  const counts = { created: 0, updated: 0 };
+
+  const save = async (Model, ops) => {
+    const result = await Model.bulkWrite(ops, { ordered: false });
+    counts.created += result.upsertedCount || 0;
+    counts.updated += result.modifiedCount || 0;
+  };
+
+  await forEachPage(accessToken, 'payout', { filter: `payoutDate:${range}`, limit: 200, itemsKey: 'payouts' }, payouts =>
+    save(EbayPayout, payouts.filter(p => p.payoutId).map(payout => ({
+      updateOne: {
+        filter: { payoutId: payout.payoutId },
+        update: { $set: payoutFields(seller._id, payout) },
+        upsert: true
+      }
+    })))
+  );
+
+  await forEachPage(accessToken, 'transaction', { filter: `transactionDate:${range}`, limit: 1000, itemsKey: 'transactions' }, transactions =>
+    save(EbayFinanceTransaction, transactions.filter(t => t.transactionId).map(txn => ({
+      updateOne: {
+        filter: { transactionId: txn.transactionId, transactionType: txn.transactionType },
+        update: { $set: transactionFields(seller._id, txn) },
+        upsert: true
+      }
+    })))
+  );
+
+  const reconciliation = await reconcileSellerPayouts(seller._id, { since: new Date(since.getTime() - matchDays() * DAY_MS) });
+  return { ...counts, reconciliation };
+}
+
+/**
+ * Sync runner for the scheduler: every connected seller, or the given ones
+ */
+export async function syncSellersFinances({ sellerIds } = {}) {
+  const sellers = await Seller.find({
+    'ebayTokens.access_token': { $exists: true },
+    ...(sellerIds ? { _id: { $in: sellerIds } } : {})
+  }).populate('user', 'username');
+
+  const results = [];
+  for (const seller of sellers) {
+    const sellerName = seller.user?.username || seller._id.toString();
+    try {
+      const result = await syncSellerFinances(seller);
+      console.log(`[Finances] ${sellerName}: ${result.created} new, ${result.updated} updated payouts/transactions`);
+      results.push({ sellerName, ...result });
+    } catch (err) {
+      const error = err.response?.status === 403
+        ? 'Missing sell.finances scope (reconnect the eBay account)'
+        : err.message;
+      console.error(`[Finances] ${sellerName}: sync failed:`, error);
+      results.push({ sellerName, error });
+    }
+  }
+  return { results };
+}
+
+// Status of a payout matched to a record (record may be null)
+function matchOutcome(payout, record, credit) {
+  if (!record) return { matchStatus: 'unmatched', payoneerRecord: null, bankTransaction: null, matchDifferenceUSD: null };
+  const difference = Math.round((record.amount - (payout.amount || 0)) * 100) / 100;
+  let matchStatus = 'matched';
+  if (Math.abs(difference) > matchTolerance()) matchStatus = 'amountMismatch';
+  else if (!credit) matchStatus = 'missingDeposit';
+  return { matchStatus, payoneerRecord: record._id, bankTransaction: credit?._id || null, matchDifferenceUSD: difference };
+}
+
+function inMatchWindow(payout, record) {
+  const offset = record.paymentDate - payout.payoutDate;
+  return offset >= -DAY_MS && offset <= matchDays() * DAY_MS;
+}
+
+async function creditsFor(recordIds) {
+  const credits = await Transaction.find({ source: 'PAYONEER', transactionType: 'Credit', sourceId: { $in: recordIds } })
+    .select('sourceId amount')
+    .lean();
+  return new Map(credits.map(t => [String(t.sourceId), t]));
+}
+
+/**
+ * Match a seller's payouts to Payoneer records and bank credits
+ * @param {string} sellerId
+ * @param {Object} options
+ * @param {Date} options.since - Only payouts from this date (default: all)
+ * @returns {Promise<Object>} - Payout count per matchStatus
+ */
+export async function reconcileSellerPayouts(sellerId, { since } = {}) {
+  const filter = { seller: sellerId };
+  if (since) filter.payoutDate = { $gte: since };
+  const payouts = await EbayPayout.find(filter).sort({ payoutDate: 1 }).lean();
+
+  // Records kept by manual matches, or by auto matches outside this run, are not free
+  const reconciledIds = payouts.filter(p => p.matchSource === 'auto').map(p => p._id);
+  const claimed = await EbayPayout.find({ seller: sellerId, payoneerRecord: { $ne: null }, _id: { $nin: reconciledIds } })
+    .select('payoneerRecord')
+    .lean();
+  const taken = new Set(claimed.map(p => String(p.payoneerRecord)));
+
+  const paid = payouts.filter(p => p.payoutStatus === 'SUCCEEDED' && p.payoutDate);
+  const records = paid.length === 0 ? [] : await PayoneerRecord.find({
+    store: sellerId,
+    paymentDate: {
+      $gte: new Date(paid[0].payoutDate.getTime() - DAY_MS),
+      $lte: new Date(paid[paid.length - 1].payoutDate.getTime() + matchDays() * DAY_MS)
+    }
+  }).lean();
+  const manualRecordIds = payouts.filter(p => p.matchSource === 'manual' && p.payoneerRecord).map(p => p.payoneerRecord);
+  const manualRecords = await PayoneerRecord.find({ _id: { $in: manualRecordIds } }).lean();
+  const credits = await creditsFor([...records, ...manualRecords].map(r => r._id));
+
+  const outcomes = new Map();
+  const free = records.filter(r => !taken.has(String(r._id)));
+  const claim = (payout, record) => {
+    taken.add(String(record._id));
+    outcomes.set(String(payout._id), matchOutcome(payout, record, credits.get(String(record._id))));
+  };
+
+  for (const payout of payouts) {
+    if (payout.matchSource === 'manual') {
+      // Keep the chosen record; a deleted record puts the payout back to auto matching
+      const record = manualRecords.find(r => String(r._id) === String(payout.payoneerRecord));
+      outcomes.set(String(payout._id), record
+        ? matchOutcome(payout, record, credits.get(String(record._id)))
+        : { ...matchOutcome(payout, null), matchSource: 'auto' });
+    } else if (payout.payoutStatus !== 'SUCCEEDED' || !payout.payoutDate) {
+      outcomes.set(String(payout._id), { ...matchOutcome(payout, null), matchStatus: 'pending' });
+    }
+  }
+
+  // Amount matches first, so a near-miss never takes the record an exact payout needs
+  for (const payout of paid.filter(p => !outcomes.has(String(p._id)))) {
+    const best = free
+      .filter(r => !taken.has(String(r._id)) && inMatchWindow(payout, r) && Math.abs(r.amount - payout.amount) <= matchTolerance())
+      .sort((a, b) => Math.abs(a.amount - payout.amount) - Math.abs(b.amount - payout.amount) ||
+        Math.abs(a.paymentDate - payout.payoutDate) - Math.abs(b.paymentDate - payout.payoutDate))[0];
+    if (best) claim(payout, best);
+  }
+  for (const payout of paid.filter(p => !outcomes.has(String(p._id)))) {
+    const closest = free
+      .filter(r => !taken.has(String(r._id)) && inMatchWindow(payout, r))
+      .sort((a, b) => Math.abs(a.paymentDate - payout.payoutDate) - Math.abs(b.paymentDate - payout.payoutDate))[0];
+    if (closest) claim(payout, closest);
+    else outcomes.set(String(payout._id), matchOutcome(payout, null));
+  }
+
+  const summary = {};
+  const ops = [];
+  const now = new Date();
+  for (const payout of payouts) {
+    const outcome = outcomes.get(String(payout._id));
+    summary[outcome.matchStatus] = (summary[outcome.matchStatus] || 0) + 1;
+
+    const changed = ['matchStatus', 'payoneerRecord', 'bankTransaction', 'matchDifferenceUSD', 'matchSource']
+      .some(field => field in outcome && String(outcome[field] ?? '') !== String(payout[field] ?? ''));
+    if (!changed) continue;
+    const sameRecord = String(outcome.payoneerRecord) === String(payout.payoneerRecord);
+    ops.push({
+      updateOne: {
+        filter: { _id: payout._id },
+        update: { $set: { ...outcome, matchedAt: !outcome.payoneerRecord ? null : sameRecord ? payout.matchedAt : now } }
+      }
+    });
+  }
+  if (ops.length > 0) await EbayPayout.bulkWrite(ops, { ordered: false });
+
+  return summary;
+}
+
+/**
+ * Match a payout to a Payoneer record by hand; later reconciliations keep the pairing
+ */
+export async function setManualPayoutMatch(payout, record, { userId, note }) {
+  const credits = await creditsFor([record._id]);
+  const outcome = matchOutcome(payout, record, credits.get(String(record._id)));
+
+  payout.set({
+    ...outcome,
+    matchSource: 'manual',
+    matchedAt: new Date(),
+    matchedBy: userId,
+    matchNote: note
+  });
+  await payout.save();
+  return payout;
+}
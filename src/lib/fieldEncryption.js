@@ -0,0 +1,136 @@
+/**
+ * Field-Level Encryption
+ *
+ * Encrypts sensitive strings and file buffers at rest with AES-256-GCM.
+ * - Key: FIELD_ENCRYPTION_KEY, 32 bytes given as 64 hex characters or base64. It is read on
+ *   first use (after dotenv has run), never at import time.
+ * - Strings are stored as "enc:v1:<base64(iv | tag | ciphertext)>", Buffers as the bytes
+ *   "ENC1" + iv + tag + ciphertext. Values without that marker are legacy plaintext and are
+ *   returned unchanged, so existing documents keep working until `npm run encrypt-fields`
+ *   has converted them.
+ * - encryptedString() / encryptedBuffer() are schema path options: the setter encrypts and
+ *   the getter decrypts, so hydrated documents read transparently. lean() queries and raw
+ *   collection access see the stored ciphertext.
+ * - Without a key, values are stored as plaintext and a warning is logged once.
+ *
+ * Usage:
+ *   bankAccountNumber: { type: String, ...encryptedString({ trim: true }) },
+ *   maskValue('123456789012') // 'XXXX9012'
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const STRING_PREFIX = 'enc:v1:';
+const BUFFER_MAGIC = Buffer.from('ENC1');
+
+let cachedKey;
+let warnedMissingKey = false;
+
+function getKey() {
+  if (cachedKey !== undefined) return cachedKey;
+
+  const raw = process.env.FIELD_ENCRYPTION_KEY;
+  if (!raw) {
+    if (!warnedMissingKey) {
+      console.warn('[Encryption] FIELD_ENCRYPTION_KEY is not set - sensitive fields are stored unencrypted');
+      warnedMissingKey = true;
+    }
+    return null;
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('FIELD_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  cachedKey = key;
+  return cachedKey;
+}
+
+export function isEncryptionConfigured() {
+  return !!getKey();
+}
+
+function seal(plain, key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(sealed, key) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+export function isEncrypted(value) {
+  if (typeof value === 'string') return value.startsWith(STRING_PREFIX);
+  if (Buffer.isBuffer(value)) return value.subarray(0, BUFFER_MAGIC.length).equals(BUFFER_MAGIC);
+  return false;
+}
+
+/**
+ * Encrypt a string or Buffer (null/empty and already-encrypted values pass through)
+ */
+export function encryptValue(value) {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+  const key = getKey();
+  if (!key) return value;
+
+  if (Buffer.isBuffer(value)) {
+    if (value.length === 0) return value;
+    return Buffer.concat([BUFFER_MAGIC, seal(value, key)]);
+  }
+  return STRING_PREFIX + seal(Buffer.from(String(value), 'utf8'), key).toString('base64');
+}
+
+/**
+ * Decrypt a value written by encryptValue (plaintext passes through).
+ * Returns null when the value cannot be decrypted (missing or wrong key), so a bad key
+ * never leaks ciphertext into API responses.
+ */
+export function decryptValue(value) {
+  if (!isEncrypted(value)) return value;
+  try {
+    const key = getKey();
+    if (!key) throw new Error('FIELD_ENCRYPTION_KEY is not set');
+
+    if (Buffer.isBuffer(value)) return open(value.subarray(BUFFER_MAGIC.length), key);
+    return open(Buffer.from(value.slice(STRING_PREFIX.length), 'base64'), key).toString('utf8');
+  } catch (err) {
+    console.error('[Encryption] Failed to decrypt field:', err.message);
+    return null;
+  }
+}
+
+// Schema path options for an encrypted String. Mongoose runs a custom setter before its
+// built-in trim, so trimming is done here instead of with the schema's `trim` option.
+export function encryptedString({ trim = false } = {}) {
+  return {
+    set: value => encryptValue(trim && typeof value === 'string' ? value.trim() : value),
+    get: decryptValue
+  };
+}
+
+// Schema path options for an encrypted Buffer (Mongoose hands getters a MongooseBuffer)
+export function encryptedBuffer() {
+  return {
+    set: value => encryptValue(Buffer.isBuffer(value) ? Buffer.from(value) : value),
+    get: value => decryptValue(value && Buffer.isBuffer(value) ? Buffer.from(value) : value)
+  };
+}
+
+/**
+ * Mask all but the last few characters, e.g. '123456789012' -> 'XXXX9012'
+ */
+export function maskValue(value, visible = 4) {
+  if (value === null || value === undefined || value === '') return value;
+  const str = String(value);
+  if (str.length <= visible) return 'X'.repeat(str.length);
+  return `XXXX${str.slice(-visible)}`;
+}
@@ -103,7 +103,7 @@ class ImageCache {
       if (expiredCount > 0) {
         console.log(`[ImageCache] Auto-cleanup: Removed ${expiredCount} expired entries`);
       }
-    }, 600000); // 10 minutes in milliseconds
+    }, 600000).unref(); // 10 minutes in milliseconds; never keeps the process alive on its own
     
     console.log('[ImageCache] Auto-cleanup started (runs every 10 minutes)');
   }
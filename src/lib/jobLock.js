@@ -0,0 +1,219 @@
+/**
+ * Distributed Job Lock (MongoDB lease)
+ *
+ * Makes sure only one API instance runs a given cron job or sync at a time.
+ * - A lock is a JobLock document with an expiry; acquiring it is a single atomic
+ *   upsert that only matches an expired (or missing) lock.
+ * - The holder renews the lease with a heartbeat; if the process dies, the lock
+ *   frees itself once expiresAt passes.
+ * - eBay syncs lock per seller ('sync:<type>:<sellerId>') so a manual click, the
+ *   global scheduled job and a seller-specific job never overlap for one seller.
+ *
+ * Usage:
+ *   const outcome = await withJobLock('cron:attendance-auto-stop', { startedByName: 'scheduler' }, async () => { ... });
+ *   if (!outcome.acquired) console.log(outcome.message);
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import JobLock from '../models/JobLock.js';
+import Seller from '../models/Seller.js';
+import User from '../models/User.js';
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const DEFAULT_TTL_MS = 2 * 60 * 1000; // Lease length; renewed every TTL/3 while the job runs
+
+class JobLockHandle {
+  constructor(token, names, ttlMs) {
+    this.token = token;
+    this.names = names;
+    this.ttlMs = ttlMs;
+    this.lost = false;
+    this.timer = setInterval(() => this.heartbeat(), Math.max(Math.floor(ttlMs / 3), 1000));
+    this.timer.unref();
+  }
+
+  async heartbeat() {
+    try {
+      const now = new Date();
+      const result = await JobLock.updateMany(
+        { token: this.token },
+        { heartbeatAt: now, expiresAt: new Date(now.getTime() + this.ttlMs) }
+      );
+      if (result.matchedCount < this.names.length && !this.lost) {
+        this.lost = true;
+        console.warn(`[JobLock] Lost lease on ${this.names.join(', ')} (expired before heartbeat)`);
+      }
+    } catch (err) {
+      console.error('[JobLock] Heartbeat failed:', err.message);
+    }
+  }
+
+  /**
+   * Release the lock(s)
+   * @param {Object} options
+   * @param {number} options.holdMs - Keep the lock for this long after finishing instead of
+   *   deleting it (stops another instance whose cron fired a few seconds late from re-running)
+   */
+  async release({ holdMs = 0 } = {}) {
+    clearInterval(this.timer);
+    try {
+      if (holdMs > 0) {
+        await JobLock.updateMany({ token: this.token }, { expiresAt: new Date(Date.now() + holdMs) });
+      } else {
+        await JobLock.deleteMany({ token: this.token });
+      }
+    } catch (err) {
+      console.error(`[JobLock] Failed to release ${this.names.join(', ')}:`, err.message);
+    }
+  }
+}
+
+// Single atomic attempt; returns the lock document or null if someone else holds it
+async function tryAcquire(name, token, { ttlMs, startedBy, startedByName }) {
+  const now = new Date();
+  try {
+    return await JobLock.findOneAndUpdate(
+      { name, expiresAt: { $lte: now } },
+      {
+        $set: {
+          token,
+          instance: INSTANCE_ID,
+          startedBy: startedBy || null,
+          startedByName: startedByName || 'system',
+          acquiredAt: now,
+          heartbeatAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs)
+        }
+      },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (err) {
+    // Duplicate key = the lock exists and has not expired
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+export function describeJobLock(holder, label = 'This job') {
+  if (!holder) return `${label} is already running`;
+  const startedAt = holder.acquiredAt ? new Date(holder.acquiredAt).toISOString() : 'an unknown time';
+  return `${label} is already running, started by ${holder.startedByName || 'unknown'} at ${startedAt}`;
+}
+
+/**
+ * Try to take a named lock
+ * @param {string} name - Lock name
+ * @param {Object} options
+ * @param {number} options.ttlMs - Lease length (default 2 minutes, renewed automatically)
+ * @param {string} options.startedBy - User ID that started the job (optional)
+ * @param {string} options.startedByName - Display name for "started by X" messages
+ * @returns {Promise<Object>} - { acquired: true, handle } or { acquired: false, holder, message }
+ */
+export async function acquireJobLock(name, options = {}) {
+  const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+  const token = crypto.randomUUID();
+
+  const lock = await tryAcquire(name, token, { ...options, ttlMs });
+  if (lock) {
+    return { acquired: true, handle: new JobLockHandle(token, [name], ttlMs) };
+  }
+
+  const holder = await JobLock.findOne({ name }).lean();
+  return { acquired: false, holder, message: describeJobLock(holder, options.label) };
+}
+
+/**
+ * Run fn while holding a named lock; skips fn if the lock is held elsewhere
+ * @returns {Promise<Object>} - { acquired: true, result } or { acquired: false, holder, message }
+ */
+export async function withJobLock(name, options = {}, fn) {
+  const outcome = await acquireJobLock(name, options);
+  if (!outcome.acquired) return outcome;
+
+  try {
+    const result = await fn();
+    return { acquired: true, result };
+  } finally {
+    await outcome.handle.release({ holdMs: options.holdMs });
+  }
+}
+
+/**
+ * Take the per-seller locks for an eBay sync type
+ * @param {string} syncType - e.g. 'orders', 'returns', 'inrCases'
+ * @param {Object} options - acquireJobLock options plus sellerIds (default: every connected seller)
+ * @returns {Promise<Object>} - {
+ *   acquired,    // false only if every requested seller is already being synced
+ *   sellerIds,   // sellers this caller now holds and should sync
+ *   busy,        // [{ sellerId, sellerName, startedByName, startedAt, message }] skipped sellers
+ *   release      // () => Promise, call when the sync is done
+ * }
+ */
+export async function acquireSellerSyncLocks(syncType, { sellerIds, ...options } = {}) {
+  const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+  const token = crypto.randomUUID();
+
+  const sellers = await Seller.find({
+    'ebayTokens.access_token': { $exists: true },
+    ...(sellerIds ? { _id: { $in: sellerIds } } : {})
+  })
+    .select('_id user')
+    .populate('user', 'username')
+    .lean();
+
+  const acquiredIds = [];
+  const acquiredNames = [];
+  const busy = [];
+
+  for (const seller of sellers) {
+    const name = `sync:${syncType}:${seller._id}`;
+    const lock = await tryAcquire(name, token, { ...options, ttlMs });
+    if (lock) {
+      acquiredIds.push(seller._id);
+      acquiredNames.push(name);
+    } else {
+      const holder = await JobLock.findOne({ name }).lean();
+      const sellerName = seller.user?.username || seller._id.toString();
+      busy.push({
+        sellerId: seller._id,
+        sellerName,
+        startedByName: holder?.startedByName,
+        startedAt: holder?.acquiredAt,
+        message: describeJobLock(holder, `${options.label || 'Sync'} for ${sellerName}`)
+      });
+    }
+  }
+
+  const handle = acquiredNames.length > 0 ? new JobLockHandle(token, acquiredNames, ttlMs) : null;
+
+  return {
+    acquired: acquiredIds.length > 0 || busy.length === 0,
+    sellerIds: acquiredIds,
+    busy,
+    release: () => (handle ? handle.release() : Promise.resolve())
+  };
+}
+
+// JSON body for a 409 when a sync is already running for every requested seller
+export function syncBusyResponse(label, busy) {
+  const first = busy[0];
+  const startedAt = first?.startedAt ? new Date(first.startedAt).toISOString() : 'an unknown time';
+  return {
+    error: `${label} is already running`,
+    message: `${label} is already running, started by ${first?.startedByName || 'unknown'} at ${startedAt}`,
+    running: busy
+  };
+}
+
+// "started by" details for locks taken from an API request
+export async function lockOwnerFromRequest(req) {
+  const user = await User.findById(req.user?.userId).select('username').lean();
+  return { startedBy: req.user?.userId || null, startedByName: user?.username || req.user?.role || 'unknown' };
+}
+
+// True if any live lock is held by the given API instance
+export async function isInstanceHoldingLocks(instance) {
+  return Boolean(await JobLock.exists({ instance, expiresAt: { $gt: new Date() } }));
+}
@@ -0,0 +1,461 @@
+/**
+ * Order Ledger
+ *
+ * Append-only record of what each order earned and cost, in USD and INR, so profit no
+ * longer changes silently when order fields are recalculated or an exchange rate is edited.
+ * - postOrderLedger() works out what an order should carry, from the fields that
+ *   calculateFinancials / calculateAmazonFinancials fill in, and appends only the
+ *   difference to what is already posted: a 'posting' first, 'correction' entries after.
+ * - eBay lines (sale, transaction fees, ad fee, refunds, TDS, TID) add up to the order's
+ *   NET and are converted at the EBAY rate in effect on the order date; Amazon lines use
+ *   the AMAZON rate. The card fee is an INR amount. When a rate is corrected later, the INR
+ *   difference is posted as an 'fx' revaluation instead of touching old entries.
+ * - The ledger cron reposts orders changed since their last posting (Order.ledgerSyncedAt);
+ *   editing an exchange rate queues the orders the rate applies to.
+ * - Manual 'adjustment' entries are kept apart from the automatic ones and can be reversed;
+ *   automatic entries are corrected by fixing the order itself.
+ * - monthlyProfitAndLoss() totals entries per seller and month (IST) and sets the eBay
+ *   payout lines against the seller's Payoneer deposits and the bank Transactions made from them.
+ *
+ * Usage:
+ *   await postOrderLedger(order);   // lean Order with LEDGER_ORDER_FIELDS
+ *   const rows = await monthlyProfitAndLoss({ sellerIds: null, from: '2026-01', to: '2026-03' });
+ */
+
+import Order from '../models/Order.js';
+import Seller from '../models/Seller.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import PayoneerRecord from '../models/PayoneerRecord.js';
+import Transaction from '../models/Transaction.js';
+
+export const LEDGER_ORDER_FIELDS =
+  'seller orderId creationDate dateSold updatedAt orderEarnings transactionFeesUSD adFeeGeneral refundTotalUSD ' +
+  'tds tid amazonTotal amazonRefund totalCC';
+
+// What the eBay payout is made of (compared with Payoneer deposits in the P&L)
+const PAYOUT_TYPES = ['sale', 'ebayFee', 'adFee', 'refund'];
+// Posted in INR; their USD amount is informational
+const INR_TYPES = new Set(['cardFee']);
+const AMAZON_TYPES = new Set(['amazonPurchase', 'amazonRefund', 'cardFee']);
+
+// Corrections round each line separately, so revaluations smaller than this are rounding
+const FX_TOLERANCE_INR = 0.1;
+const REPORT_TIMEZONE = 'Asia/Kolkata';
+
+function batchSize() {
+  return parseInt(process.env.LEDGER_SYNC_BATCH) || 500;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function amount(value) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? 0 : parsed;
+}
+
+function lineKey(line) {
+  return `${line.type}:${line.line || ''}`;
+}
+
+export function marketplaceForType(type) {
+  return AMAZON_TYPES.has(type) ? 'AMAZON' : 'EBAY';
+}
+
+function orderDate(order) {
+  return order.creationDate || order.dateSold || new Date();
+}
+
+// EBAY and AMAZON rates, oldest first
+async function loadRates() {
+  const rates = await ExchangeRate.find({ marketplace: { $in: ['EBAY', 'AMAZON'] } })
+    .sort({ effectiveDate: 1 })
+    .select('marketplace rate effectiveDate')
+    .lean();
+  return {
+    EBAY: rates.filter(r => r.marketplace === 'EBAY'),
+    AMAZON: rates.filter(r => r.marketplace === 'AMAZON')
+  };
+}
+
+// Rate in effect on a date; dates before the first rate use the first rate
+function rateOn(rates, date) {
+  let found = rates[0];
+  for (const rate of rates) {
+    if (rate.effectiveDate > date) break;
+    found = rate;
+  }
+  return found?.rate || null;
+}
+
+/**
+ * INR per USD for one marketplace on a date (null if no rate was ever entered)
+ */
+export async function ledgerRateOn(marketplace, date) {
+  const rates = await loadRates();
+  return rateOn(rates[marketplace] || [], new Date(date));
+}
+
+// The lines an order should carry right now
+function expectedLines(order) {
+  const lines = [];
+
+  if (order.orderEarnings !== null && order.orderEarnings !== undefined) {
+    const fees = amount(order.transactionFeesUSD);
+    const adFee = amount(order.adFeeGeneral);
+    const refunds = amount(order.refundTotalUSD);
+    // The sale is the earnings with fees and refunds added back, so the eBay lines add up to
+    // the earnings exactly as entered or calculated
+    lines.push(
+      { type: 'sale', line: 'sale', usd: amount(order.orderEarnings) + fees + adFee + refunds },
+      { type: 'ebayFee', line: 'transactionFee', usd: -fees },
+      { type: 'adFee', line: 'adFee', usd: -adFee },
+      { type: 'refund', line: 'refund', usd: -refunds },
+      { type: 'ebayFee', line: 'tds', usd: -amount(order.tds) },
+      { type: 'ebayFee', line: 'tid', usd: -amount(order.tid) }
+    );
+  }
+
+  lines.push(
+    { type: 'amazonPurchase', line: 'amazonPurchase', usd: -amount(order.amazonTotal) },
+    { type: 'amazonRefund', line: 'amazonRefund', usd: amount(order.amazonRefund) },
+    { type: 'cardFee', line: 'cardFee', inr: -amount(order.totalCC) }
+  );
+
+  return lines.map(line => ({
+    ...line,
+    marketplace: marketplaceForType(line.type),
+    ...(line.usd !== undefined ? { usd: round2(line.usd) } : { inr: round2(line.inr) })
+  }));
+}
+
+/**
+ * Bring an order's automatic entries in line with its current fields
+ * @param {Object} order - Lean Order with at least LEDGER_ORDER_FIELDS
+ * @param {Object} options
+ * @param {Object} options.rates - Preloaded rates (batch runs)
+ * @returns {Promise<Object[]>} - Entries added (empty when nothing changed)
+ */
+export async function postOrderLedger(order, { rates } = {}) {
+  rates = rates || await loadRates();
+  const date = orderDate(order);
+
+  const posted = await LedgerEntry.find({ order: order._id, source: 'auto' })
+    .select('type line marketplace amountUSD amountINR')
+    .lean();
+
+  // What is already on the ledger, per line and (for revaluation) per marketplace
+  const booked = new Map();
+  const bookedINR = { EBAY: 0, AMAZON: 0 };
+  for (const entry of posted) {
+    if (!INR_TYPES.has(entry.type) && entry.marketplace) bookedINR[entry.marketplace] += entry.amountINR;
+    if (entry.type === 'fx') continue;
+    const key = lineKey(entry);
+    const sum = booked.get(key) || { type: entry.type, line: entry.line, usd: 0, inr: 0 };
+    sum.usd += entry.amountUSD;
+    sum.inr += entry.amountINR;
+    booked.set(key, sum);
+  }
+
+  // Lines posted before but gone now (e.g. earnings cleared) are taken back to zero
+  const expected = new Map(expectedLines(order).map(line => [lineKey(line), line]));
+  for (const [key, sum] of booked) {
+    if (expected.has(key)) continue;
+    const zero = INR_TYPES.has(sum.type) ? { inr: 0 } : { usd: 0 };
+    expected.set(key, { type: sum.type, line: sum.line, marketplace: marketplaceForType(sum.type), ...zero });
+  }
+
+  const base = {
+    seller: order.seller,
+    order: order._id,
+    orderId: order.orderId,
+    accountingDate: date,
+    source: 'auto'
+  };
+  const reason = posted.length === 0 ? 'posting' : 'correction';
+  const expectedINR = { EBAY: 0, AMAZON: 0 };
+  const entries = [];
+
+  for (const [key, line] of expected) {
+    const rate = rateOn(rates[line.marketplace], date);
+    if (!rate) continue; // Posted once a rate for this marketplace exists
+    const have = booked.get(key) || { usd: 0, inr: 0 };
+    const entry = { ...base, type: line.type, line: line.line, marketplace: line.marketplace, exchangeRate: rate, reason };
+
+    if (line.inr !== undefined) {
+      const delta = round2(line.inr - have.inr);
+      if (delta === 0) continue;
+      entries.push({ ...entry, amountINR: delta, amountUSD: round2(delta / rate) });
+    } else {
+      expectedINR[line.marketplace] += round2(line.usd * rate);
+      const delta = round2(line.usd - have.usd);
+      if (delta === 0) continue;
+      const inr = round2(delta * rate);
+      bookedINR[line.marketplace] += inr;
+      entries.push({ ...entry, amountUSD: delta, amountINR: inr });
+    }
+  }
+
+  // A rate corrected since the lines were posted: post the INR difference
+  for (const marketplace of ['EBAY', 'AMAZON']) {
+    const rate = rateOn(rates[marketplace], date);
+    const delta = round2(expectedINR[marketplace] - bookedINR[marketplace]);
+    if (!rate || Math.abs(delta) < FX_TOLERANCE_INR) continue;
+    entries.push({
+      ...base,
+      type: 'fx',
+      line: 'revaluation',
+      marketplace,
+      amountUSD: 0,
+      amountINR: delta,
+      exchangeRate: rate,
+      reason: 'revaluation'
+    });
+  }
+
+  if (entries.length > 0) await LedgerEntry.insertMany(entries);
+
+  // Marked with the updatedAt that was posted, so edits made meanwhile are picked up next run
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { ledgerSyncedAt: order.updatedAt || new Date(0) } },
+    { timestamps: false }
+  );
+  return entries;
+}
+
+/**
+ * Post every order changed since its last posting (oldest change first)
+ * @returns {Promise<Object>} - { orders, entries, failed }
+ */
+export async function postPendingOrders({ limit } = {}) {
+  const rates = await loadRates();
+  const orders = await Order.find({
+    $or: [{ ledgerSyncedAt: null }, { $expr: { $gt: ['$updatedAt', '$ledgerSyncedAt'] } }]
+  })
+    .sort({ updatedAt: 1 })
+    .limit(limit || batchSize())
+    .select(LEDGER_ORDER_FIELDS)
+    .lean();
+
+  const summary = { orders: orders.length, entries: 0, failed: 0 };
+  for (const order of orders) {
+    try {
+      summary.entries += (await postOrderLedger(order, { rates })).length;
+    } catch (err) {
+      summary.failed++;
+      console.error(`[Ledger] Failed to post order ${order.orderId}:`, err.message);
+    }
+  }
+
+  if (summary.orders > 0) {
+    console.log(`[Ledger] Posted ${summary.orders} order(s): ${summary.entries} entries, ${summary.failed} failed`);
+  }
+  return summary;
+}
+
+/**
+ * Queue the orders an exchange rate applies to for reposting. Call after the rate was
+ * added, changed or deleted.
+ * @returns {Promise<number>} - Orders queued
+ */
+export async function queueRateRevaluation(marketplace, effectiveDate) {
+  if (marketplace !== 'EBAY' && marketplace !== 'AMAZON') return 0;
+  const date = new Date(effectiveDate);
+
+  const [earlier, next] = await Promise.all([
+    ExchangeRate.exists({ marketplace, effectiveDate: { $lt: date } }),
+    ExchangeRate.findOne({ marketplace, effectiveDate: { $gt: date } }).sort({ effectiveDate: 1 }).select('effectiveDate').lean()
+  ]);
+
+  // The first rate also covers every order before it
+  const range = {};
+  if (earlier) range.$gte = date;
+  if (next) range.$lt = next.effectiveDate;
+
+  const result = await Order.updateMany(
+    Object.keys(range).length > 0 ? { creationDate: range } : {},
+    { $set: { ledgerSyncedAt: null } },
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Add a manual entry. Give amountUSD or amountINR (or both); the other is converted at
+ * the rate in effect on the accounting date.
+ */
+export async function postAdjustment({ seller, order, type, amountUSD, amountINR, accountingDate, note, createdBy }) {
+  const marketplace = marketplaceForType(type);
+  const date = accountingDate ? new Date(accountingDate) : order ? orderDate(order) : new Date();
+  const rate = await ledgerRateOn(marketplace, date);
+
+  const hasUSD = amountUSD !== undefined && amountUSD !== null && amountUSD !== '';
+  const hasINR = amountINR !== undefined && amountINR !== null && amountINR !== '';
+  if (!hasUSD && !hasINR) throw new Error('amountUSD or amountINR is required');
+  if ((!hasUSD || !hasINR) && !rate) throw new Error(`No ${marketplace} exchange rate to convert with; give both amounts`);
+
+  const usd = hasUSD ? round2(amount(amountUSD)) : round2(amount(amountINR) / rate);
+  const inr = hasINR ? round2(amount(amountINR)) : round2(amount(amountUSD) * rate);
+
+  return LedgerEntry.create({
+    seller: order?.seller || seller,
+    order: order?._id,
+    orderId: order?.orderId,
+    type,
+    line: 'manual',
+    marketplace,
+    amountUSD: usd,
+    amountINR: inr,
+    exchangeRate: rate,
+    accountingDate: date,
+    source: 'manual',
+    reason: 'adjustment',
+    note,
+    createdBy
+  });
+}
+
+/**
+ * Cancel a manual entry with an opposite one in the same month
+ */
+export async function reverseEntry(entry, { note, createdBy } = {}) {
+  if (entry.source !== 'manual') {
+    throw new Error('Automatic entries follow the order; correct the order fields instead');
+  }
+  if (entry.reverses) throw new Error('A reversal cannot be reversed; add a new adjustment instead');
+
+  return LedgerEntry.create({
+    seller: entry.seller,
+    order: entry.order,
+    orderId: entry.orderId,
+    type: entry.type,
+    line: entry.line,
+    marketplace: entry.marketplace,
+    amountUSD: -entry.amountUSD,
+    amountINR: -entry.amountINR,
+    exchangeRate: entry.exchangeRate,
+    accountingDate: entry.accountingDate,
+    source: 'manual',
+    reason: 'reversal',
+    reverses: entry._id,
+    note,
+    createdBy
+  });
+}
+
+// 'YYYY-MM' -> first instant of that month in IST
+function monthStart(month) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) throw new Error(`Invalid month '${month}' (expected YYYY-MM)`);
+  return new Date(`${month}-01T00:00:00+05:30`);
+}
+
+function nextMonth(month) {
+  const [year, mon] = month.split('-').map(Number);
+  return mon === 12 ? `${year + 1}-01` : `${year}-${String(mon + 1).padStart(2, '0')}`;
+}
+
+function monthOf(field) {
+  return { $dateToString: { format: '%Y-%m', date: field, timezone: REPORT_TIMEZONE } };
+}
+
+/**
+ * Monthly P&L per seller, with the Payoneer deposits and bank credits of the same month
+ * @param {Object} options
+ * @param {mongoose.Types.ObjectId[]|null} options.sellerIds - null = every seller
+ * @param {string} options.from - First month, 'YYYY-MM'
+ * @param {string} options.to - Last month (inclusive), 'YYYY-MM'
+ * @returns {Promise<Object[]>} - One row per seller and month
+ */
+export async function monthlyProfitAndLoss({ sellerIds = null, from, to = from }) {
+  const start = monthStart(from);
+  if (monthStart(to) < start) throw new Error('to must not be before from');
+  const end = monthStart(nextMonth(to));
+
+  const [ledgerRows, depositRows] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { ...(sellerIds ? { seller: { $in: sellerIds } } : {}), accountingDate: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: { seller: '$seller', month: monthOf('$accountingDate'), type: '$type' },
+          usd: { $sum: '$amountUSD' },
+          inr: { $sum: '$amountINR' }
+        }
+      }
+    ]),
+    PayoneerRecord.aggregate([
+      { $match: { ...(sellerIds ? { store: { $in: sellerIds } } : {}), paymentDate: { $gte: start, $lt: end } } },
+      { $lookup: { from: Transaction.collection.name, localField: '_id', foreignField: 'sourceId', as: 'transactions' } },
+      {
+        $group: {
+          _id: { seller: '$store', month: monthOf('$paymentDate') },
+          records: { $sum: 1 },
+          amountUSD: { $sum: '$amount' },
+          bankDepositINR: { $sum: '$bankDeposit' },
+          transactionsINR: { $sum: { $sum: '$transactions.amount' } },
+          withoutTransaction: { $sum: { $cond: [{ $eq: [{ $size: '$transactions' }, 0] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const rows = new Map();
+  const rowFor = ({ seller, month }) => {
+    const key = `${seller}:${month}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        seller,
+        month,
+        lines: {},
+        profitUSD: 0,
+        profitINR: 0,
+        payoutUSD: 0,
+        payoutINR: 0,
+        payoneer: { records: 0, amountUSD: 0, bankDepositINR: 0, transactionsINR: 0, withoutTransaction: 0 }
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const { _id, usd, inr } of ledgerRows) {
+    const row = rowFor(_id);
+    row.lines[_id.type] = { usd: round2(usd), inr: round2(inr) };
+    row.profitUSD += usd;
+    row.profitINR += inr;
+    if (PAYOUT_TYPES.includes(_id.type)) {
+      row.payoutUSD += usd;
+      row.payoutINR += inr;
+    }
+  }
+  for (const { _id, ...deposit } of depositRows) {
+    rowFor(_id).payoneer = deposit;
+  }
+
+  const sellers = await Seller.find({ _id: { $in: [...new Set([...rows.values()].map(r => String(r.seller)))] } })
+    .populate('user', 'username')
+    .select('user')
+    .lean();
+  const names = new Map(sellers.map(s => [String(s._id), s.user?.username || null]));
+
+  return [...rows.values()]
+    .map(row => ({
+      ...row,
+      sellerName: names.get(String(row.seller)) || null,
+      profitUSD: round2(row.profitUSD),
+      profitINR: round2(row.profitINR),
+      payoutUSD: round2(row.payoutUSD),
+      payoutINR: round2(row.payoutINR),
+      payoneer: {
+        ...row.payoneer,
+        amountUSD: round2(row.payoneer.amountUSD),
+        bankDepositINR: round2(row.payoneer.bankDepositINR),
+        transactionsINR: round2(row.payoneer.transactionsINR)
+      },
+      // Payouts lag orders, so month-to-month gaps are expected; a gap that keeps growing is not
+      payoutDifferenceUSD: round2(row.payoneer.amountUSD - row.payoutUSD),
+      depositDifferenceINR: round2(row.payoneer.transactionsINR - row.payoneer.bankDepositINR)
+    }))
+    .sort((a, b) => a.month.localeCompare(b.month) || String(a.sellerName).localeCompare(String(b.sellerName)));
+}
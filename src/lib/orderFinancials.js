@@ -0,0 +1,254 @@
+/**
+ * Order Financials
+ *
+ * The derived money fields of an Order, shared by the eBay order routes, Amazon purchases
+ * and currency rate corrections. Each helper returns the fields to set on the order and
+ * saves nothing, except recalculateOrderConversions().
+ * - recalculateUSDFields(): USD values of the order amounts, the Amazon cost and refunds,
+ *   at eBay's own conversion or the stored rate of the order date (lib/currency.js)
+ * - calculateFinancials(): TDS, TID, NET, P.Balance INR and profit from orderEarnings
+ * - calculateAmazonFinancials(): Amazon total (USD and INR), marketplace fee, IGST, card
+ *   charges and profit
+ * - recalculateOrderConversions(): rescales the USD fields of orders converted with a
+ *   stored rate after that rate changed (earnings only when the sync set them)
+ *
+ * Usage:
+ *   Object.assign(order, await recalculateUSDFields(order));
+ *   Object.assign(order, await calculateAmazonFinancials(order));
+ */
+
+import Order from '../models/Order.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { orderUsdRate } from './currency.js';
+
+// ============================================
+// HELPER: Recalculate USD Fields
+// ============================================
+export async function recalculateUSDFields(order) {
+  // Get conversion rate: eBay's own, else the stored rate on the order date (default to 1)
+  const usdRate = await orderUsdRate(order);
+  const conversionRate = usdRate?.rate || 1;
+
+  // Recalculate all USD fields
+  const updates = {
+    conversionRate: parseFloat(conversionRate.toFixed(5)),
+    conversionRateSource: usdRate?.source || null
+  };
+
+  // Convert monetary fields
+  const monetaryFields = [
+    'subtotal', 'shipping', 'salesTax', 'discount',
+    'transactionFees', 'beforeTax', 'estimatedTax'
+  ];
+
+  monetaryFields.forEach(field => {
+    if (order[field] !== undefined && order[field] !== null && order[field] !== '') {
+      const value = parseFloat(order[field]);
+      if (!isNaN(value)) {
+        updates[`${field}USD`] = parseFloat((value * conversionRate).toFixed(2));
+      }
+    } else {
+      // If field is null/empty, clear the USD field
+      updates[`${field}USD`] = null;
+    }
+  });
+
+  // Calculate refunds
+  if (order.refunds && Array.isArray(order.refunds)) {
+    const totalRefund = order.refunds.reduce((sum, r) => {
+      const amt = parseFloat(r.amount?.value || 0);
+      return sum + (isNaN(amt) ? 0 : amt);
+    }, 0);
+    updates.refundTotalUSD = parseFloat((totalRefund * conversionRate).toFixed(2));
+  } else if (order.paymentSummary?.refunds && Array.isArray(order.paymentSummary.refunds)) {
+    const totalRefund = order.paymentSummary.refunds.reduce((sum, r) => {
+      const amt = parseFloat(r.amount?.value || 0);
+      return sum + (isNaN(amt) ? 0 : amt);
+    }, 0);
+    updates.refundTotalUSD = parseFloat((totalRefund * conversionRate).toFixed(2));
+  }
+
+  return updates;
+}
+
+// ============================================
+// HELPER: Calculate Financial Fields (All Orders Sheet)
+// ============================================
+// Calculates TDS, TID, NET, and P.Balance INR based on orderEarnings
+export async function calculateFinancials(order, marketplace = 'EBAY') {
+  const updates = {
+    tid: 0.24 // Fixed Transaction ID
+  };
+
+  // If orderEarnings is null or undefined, set all financial fields to null
+  if (order.orderEarnings === null || order.orderEarnings === undefined) {
+    updates.tds = null;
+    updates.net = null;
+    updates.pBalanceINR = null;
+    updates.ebayExchangeRate = null;
+    return updates;
+  }
+
+  const earnings = parseFloat(order.orderEarnings) || 0;
+
+  // TDS = 1% of orderEarnings
+  updates.tds = parseFloat((earnings * 0.01).toFixed(2));
+
+  // NET = orderEarnings - tds - tid
+  updates.net = parseFloat((earnings - updates.tds - updates.tid).toFixed(2));
+
+  // P.Balance INR = net × eBay exchangeRate (USD to INR)
+  // ALWAYS use EBAY marketplace (USD to INR) regardless of order marketplace
+  // Because orderEarnings is already in USD after conversion
+  try {
+    const exchangeRate = await ExchangeRate.findOne({ marketplace: 'EBAY' }).sort({ effectiveDate: -1 });
+    if (exchangeRate && exchangeRate.rate) {
+      updates.ebayExchangeRate = exchangeRate.rate; // Store the eBay exchange rate used
+      updates.pBalanceINR = parseFloat((updates.net * exchangeRate.rate).toFixed(2));
+    } else {
+      updates.ebayExchangeRate = null;
+      updates.pBalanceINR = null; // No exchange rate available
+    }
+  } catch (err) {
+    console.error('[Calculate Financials] Error fetching exchange rate:', err);
+    updates.ebayExchangeRate = null;
+    updates.pBalanceINR = null;
+  }
+
+  // Calculate and store profit per order
+  // Profit = P.Balance (INR) - A_total-inr - Total_CC
+  const pBalanceINR = updates.pBalanceINR !== undefined ? updates.pBalanceINR : (order.pBalanceINR || 0);
+  const amazonTotalINR = order.amazonTotalINR || 0;
+  const totalCC = order.totalCC || 0;
+  updates.profit = parseFloat((pBalanceINR - amazonTotalINR - totalCC).toFixed(2));
+
+  return updates;
+}
+
+// Calculate Amazon-side financial fields
+export async function calculateAmazonFinancials(order) {
+  const updates = {};
+
+  // For US orders, if USD fields are missing, fall back to base currency fields
+  const isUSOrder = order.purchaseMarketplaceId === 'EBAY_US' || order.conversionRate === 1;
+  let beforeTaxUSD = parseFloat(order.beforeTaxUSD);
+  let estimatedTaxUSD = parseFloat(order.estimatedTaxUSD);
+
+  if (isUSOrder) {
+    if (!beforeTaxUSD && order.beforeTax !== undefined) {
+      beforeTaxUSD = parseFloat(order.beforeTax) || 0;
+      updates.beforeTaxUSD = beforeTaxUSD; // Update the missing field
+    }
+    if (!estimatedTaxUSD && order.estimatedTax !== undefined) {
+      estimatedTaxUSD = parseFloat(order.estimatedTax) || 0;
+      updates.estimatedTaxUSD = estimatedTaxUSD; // Update the missing field
+    }
+  }
+
+  const beforeTax = beforeTaxUSD || 0;
+  const estimatedTax = estimatedTaxUSD || 0;
+
+  // Amazon Total = Before Tax + Estimated Tax
+  updates.amazonTotal = parseFloat((beforeTax + estimatedTax).toFixed(2));
+
+  // Check if order is FULLY_REFUNDED or PARTIALLY_REFUNDED
+  const paymentStatus = order.paymentSummary?.payments?.[0]?.paymentStatus;
+  const isRefunded = paymentStatus === 'FULLY_REFUNDED' || paymentStatus === 'PARTIALLY_REFUNDED';
+
+  // IGST=0 logic only applies to orders from Nov 28, 2025 onwards
+  const orderDate = new Date(order.creationDate || order.dateSold);
+  const nov28_2025 = new Date('2025-11-28T00:00:00.000Z');
+  const applyIGSTZeroForRefunds = orderDate >= nov28_2025;
+
+  // Fetch latest Amazon exchange rate
+  try {
+    const exchangeRate = await ExchangeRate.findOne({ marketplace: 'AMAZON' }).sort({ effectiveDate: -1 });
+    if (exchangeRate && exchangeRate.rate) {
+      updates.amazonExchangeRate = exchangeRate.rate; // Store the Amazon exchange rate used
+      updates.amazonTotalINR = parseFloat((updates.amazonTotal * exchangeRate.rate).toFixed(2));
+
+      // Marketplace Fee = 4% of amazonTotalINR
+      updates.marketplaceFee = parseFloat((updates.amazonTotalINR * 0.04).toFixed(2));
+
+      // IGST = 18% of marketplace fee, BUT 0 if order is refunded AND from Nov 28, 2025 onwards
+      updates.igst = (isRefunded && applyIGSTZeroForRefunds) ? 0 : parseFloat((updates.marketplaceFee * 0.18).toFixed(2));
+
+      // Total CC = Marketplace Fee + IGST
+      updates.totalCC = parseFloat((updates.marketplaceFee + updates.igst).toFixed(2));
+    } else {
+      // No exchange rate available, set to null
+      updates.amazonExchangeRate = null;
+      updates.amazonTotalINR = null;
+      updates.marketplaceFee = null;
+      updates.igst = null;
+      updates.totalCC = null;
+    }
+  } catch (err) {
+    console.error('[Calculate Amazon Financials] Error fetching exchange rate:', err);
+    updates.amazonExchangeRate = null;
+    updates.amazonTotalINR = null;
+    updates.marketplaceFee = null;
+    updates.igst = null;
+    updates.totalCC = null;
+  }
+
+  // Recalculate profit after Amazon financials update
+  // Profit = P.Balance (INR) - A_total-inr - Total_CC
+  const pBalanceINR = order.pBalanceINR || 0;
+  const amazonTotalINR = updates.amazonTotalINR !== undefined ? updates.amazonTotalINR : (order.amazonTotalINR || 0);
+  const totalCC = updates.totalCC !== undefined ? updates.totalCC : (order.totalCC || 0);
+  updates.profit = parseFloat((pBalanceINR - amazonTotalINR - totalCC).toFixed(2));
+
+  return updates;
+}
+
+// ============================================
+// HELPER: Re-convert Orders After Rate Changes
+// ============================================
+// Earnings of a PAID order as the sync computes them: subtotal + discount - salesTax -
+// transactionFees - adFee - shipping, all in USD. The ad fee is the Finances API one
+// (adFeeGeneral) at the order's rate once fetched, else the promotion discount (adFee).
+function syncedEarnings(order) {
+  const adFee = order.adFeeGeneral > 0
+    ? parseFloat((order.adFeeGeneral * (order.conversionRate || 1)).toFixed(2))
+    : parseFloat(order.adFee || 0);
+  return parseFloat((
+    parseFloat(order.subtotalUSD || 0) + parseFloat(order.discountUSD || 0) - parseFloat(order.salesTaxUSD || 0) -
+    parseFloat(order.transactionFeesUSD || 0) - adFee - parseFloat(order.shippingUSD || 0)
+  ).toFixed(2));
+}
+
+// Orders converted with a stored currency rate (conversionRateSource 'rates') in one of the
+// currencies, dated on or after `from`, get their USD fields rescaled when the rate they
+// now resolve to differs (lib/rateRecalculation.js). Earnings follow only while they are
+// still what the sync computed; earnings entered by hand are left alone. Saves the orders
+// it changes.
+export async function recalculateOrderConversions({ currencies, from }) {
+  const summary = { checked: 0, updated: 0 };
+  const cursor = Order.find({
+    conversionRateSource: 'rates',
+    'pricingSummary.priceSubtotal.currency': { $in: currencies },
+    creationDate: { $gte: from }
+  }).cursor();
+
+  for await (const order of cursor) {
+    summary.checked++;
+    const usdUpdates = await recalculateUSDFields(order);
+    if (usdUpdates.conversionRate === order.conversionRate) continue;
+
+    const syncedBefore = order.orderPaymentStatus === 'PAID' && order.orderEarnings != null &&
+      Math.abs(order.orderEarnings - syncedEarnings(order)) < 0.005;
+
+    order.set(usdUpdates);
+
+    if (syncedBefore) {
+      order.orderEarnings = syncedEarnings(order);
+      order.set(await calculateFinancials(order));
+    }
+    order.set(await calculateAmazonFinancials(order));
+
+    await order.save();
+    summary.updated++;
+  }
+  return summary;
+}
@@ -0,0 +1,337 @@
+/**
+ * Permissions & Roles
+ *
+ * Routes check named permissions (requirePermission('orders.read')) instead of role lists.
+ * Roles live in the Role collection as bundles of permissions and are edited through
+ * /api/roles, so adding a role or changing what it can do needs no code change.
+ * - PERMISSIONS is the catalog of every permission a route can ask for.
+ * - DEFAULT_ROLES seeds the Role collection on startup. Permissions added to a default
+ *   bundle in code are granted to existing roles once (tracked in Role.knownPermissions),
+ *   so an admin's removals are never undone.
+ * - superadmin always has every permission and cannot be edited (no lock-out).
+ * - Role permissions are cached per process for CACHE_TTL_MS; edits made on another
+ *   API instance are picked up within that time.
+ *
+ * Usage:
+ *   router.get('/stored-orders', requireAuth, requirePermission('orders.read'), handler);
+ *   if (hasPermission(req.user, 'hr.viewDocuments')) { ... }
+ */
+
+import Role from '../models/Role.js';
+
+export const SUPERADMIN_ROLE = 'superadmin';
+
+export const PERMISSIONS = {
+  // Orders & fulfillment
+  'orders.read': 'View orders, order sheets and fulfillment dashboards',
+  'orders.edit': 'Edit order notes, statuses, remarks and logs',
+  'orders.editFinancials': 'Edit earnings, ad fees, Amazon costs and refunds on orders',
+  'orders.fulfill': 'Upload tracking numbers and mark orders shipped',
+  'orders.sync': 'Pull orders, returns, cases, disputes and messages from eBay on demand',
+  'returns.read': 'View returns, INR cases and payment disputes',
+  'returns.edit': 'Update worksheet status and logs on returns, cases and disputes',
+  'returns.resolve': 'Refund buyers and respond to returns, INR cases and payment disputes on eBay',
+  'workQueue.manage': 'Set up work rotations and assign orders, returns, cases and disputes to anyone',
+  'messages.read': 'View buyer messages and conversations',
+  'messages.send': 'Reply to buyers and manage conversations',
+  'messages.bulkSend': 'Send automated policy messages in bulk',
+  'fulfillment.manageTemplates': 'Manage chat and remark templates',
+  'fulfillment.seedTemplates': 'Load the default chat templates',
+  'accountHealth.read': 'View account health metrics',
+  'accountHealth.edit': 'Edit account health details on orders',
+  'analytics.sellers': 'View seller analytics',
+  'purchasing.read': 'View Amazon accounts, credit cards and Amazon purchases',
+  'purchasing.manage': 'Record Amazon purchases and work the purchase queue',
+  'purchasing.manageQueue': 'Release anyone\'s purchase queue claims',
+  'purchasing.manageAccounts': 'Add, edit and remove Amazon accounts',
+  'purchasing.manageCards': 'Add and remove credit cards and credit card names',
+
+  // Sellers
+  'sellers.read': 'List sellers',
+  'sellers.readDetails': 'View seller accounts with connection details',
+  'sellers.connectAccount': 'Connect own eBay account and manage own marketplaces',
+
+  // Listings & catalog
+  'listings.read': 'View listings, templates, ASIN data and API usage',
+  'listings.edit': 'Create and edit listing templates, template listings and ASIN lists',
+  'listings.sync': 'Sync and revise live eBay listings',
+  'listings.export': 'Export listing CSVs',
+  'repricing.read': 'View repricing runs, reports and price history',
+  'repricing.manage': 'Configure repricing and start repricing runs',
+  'stock.read': 'View the out-of-stock monitor, its log and overrides',
+  'stock.manage': 'Manage out-of-stock overrides and run the out-of-stock monitor',
+  'skuMappings.read': 'Look up the Amazon ASIN behind a SKU, listing or order',
+  'skuMappings.manage': 'Add and correct SKU-to-ASIN mappings',
+  'compatibility.manage': 'Assign compatibility work and view its progress',
+  'compatibility.edit': 'Work on compatibility assignments',
+  'catalog.read': 'View platforms, stores, categories and ranges',
+  'catalog.manage': 'Create categories, subcategories and ranges',
+  'catalog.manageStores': 'Create platforms and stores',
+  'catalog.syncModels': 'Sync eBay and device model lists',
+  'ranges.analyze': 'Run range analysis and save ranges',
+
+  // Listing work
+  'tasks.read': 'View tasks',
+  'tasks.create': 'Create tasks',
+  'tasks.assign': 'Assign tasks to listers',
+  'tasks.edit': 'Edit and delete tasks',
+  'tasks.complete': 'Complete own tasks',
+  'tasks.analytics': 'View task analytics',
+  'listers.analytics': 'View lister and store-wise analytics',
+  'assignments.read': 'View assignments, listing completions and stock ledger',
+  'assignments.manage': 'Create, delete and act on any assignment',
+  'assignments.work': 'Work on own assignments',
+  'assignments.completeRanges': 'Record completed range quantities on assignments',
+
+  // Users & HR
+  'users.create': 'Create user accounts (limited to the role\'s assignable roles)',
+  'users.manage': 'Activate/deactivate users and end their sessions',
+  'roles.manage': 'Create and edit roles and their permissions',
+  'employees.read': 'View employee profiles',
+  'employees.edit': 'Edit and delete employee profiles',
+  'employees.hide': 'Hide and unhide employee profiles',
+  'hr.viewDocuments': 'View employee identity documents (Aadhar, PAN)',
+  'hr.viewSensitive': 'View unmasked bank account, IFSC, Aadhar and PAN numbers of employees',
+  'leaves.approve': 'View and approve all leave requests',
+  'attendance.admin': 'View attendance reports, force-stop timers and set strict timer',
+  'attendance.editRecords': 'Edit and delete attendance records',
+
+  // Finance
+  'finance.read': 'View transactions, bank/payment accounts, Payoneer records, expenses and eBay payouts',
+  'finance.manage': 'Edit transactions, bank/payment accounts, Payoneer records and expenses; match eBay payouts',
+  'exchangeRates.read': 'View exchange rates and historical currency pair rates',
+  'exchangeRates.manage': 'Add, import, correct and delete exchange rates and currency pair rates',
+  'ledger.read': 'View the order profit and loss ledger and monthly P&L reports',
+  'ledger.manage': 'Add and reverse manual ledger entries and repost orders',
+
+  // Admin
+  'sync.manage': 'Manage background sync jobs, full resyncs and backfills',
+  'webhooks.manage': 'Manage outbound webhooks',
+  'system.cacheStats': 'View cache statistics',
+  'system.cacheClear': 'Clear server caches',
+  'internalMessages.readAll': 'Read every internal conversation',
+  'audit.read': 'View the edit history of orders, returns, cases and disputes',
+
+  // Self-service (every role by default)
+  'profile.self': 'Edit own employee profile and documents',
+  'attendance.self': 'Use own work timer',
+  'leaves.self': 'Request own leave',
+  'internalMessages.use': 'Use internal chat',
+  'uploads.create': 'Upload attachments',
+  'events.subscribe': 'Receive real-time updates',
+  'columnPresets.manage': 'Save column presets'
+};
+
+const SELF_SERVICE = [
+  'profile.self',
+  'attendance.self',
+  'leaves.self',
+  'internalMessages.use',
+  'uploads.create',
+  'events.subscribe',
+  'columnPresets.manage',
+  'catalog.read',
+  'exchangeRates.read'
+];
+
+const FULFILLMENT = [
+  'orders.read',
+  'orders.edit',
+  'orders.fulfill',
+  'orders.sync',
+  'returns.read',
+  'returns.edit',
+  'messages.read',
+  'messages.send',
+  'accountHealth.read',
+  'accountHealth.edit',
+  'purchasing.read',
+  'purchasing.manage',
+  'sellers.read',
+  'skuMappings.read'
+];
+
+const FULFILLMENT_LEAD = [
+  ...FULFILLMENT, 'orders.editFinancials', 'fulfillment.manageTemplates', 'analytics.sellers', 'audit.read', 'workQueue.manage',
+  'returns.resolve', 'purchasing.manageQueue'
+];
+
+const LISTING = [
+  'listings.read', 'listings.edit', 'listings.sync', 'listings.export', 'sellers.read', 'tasks.read', 'skuMappings.read'
+];
+
+// Roles that may create users of any non-superadmin role
+const ALL_ROLES = ['*'];
+// What every other user-creating role could create before roles moved to the database
+const BASIC_ROLES = ['lister', 'advancelister', 'compatibilityeditor', 'hr', 'trainee'];
+
+export const DEFAULT_ROLES = {
+  superadmin: { label: 'Super Admin', permissions: [], assignableRoles: ALL_ROLES },
+  productadmin: {
+    label: 'Product Admin',
+    permissions: [
+      ...SELF_SERVICE, ...LISTING, 'catalog.manage', 'tasks.create', 'tasks.edit', 'tasks.analytics', 'assignments.read',
+      'repricing.read'
+    ]
+  },
+  listingadmin: {
+    label: 'Listing Admin',
+    permissions: [
+      ...SELF_SERVICE, ...LISTING, 'tasks.assign', 'tasks.edit', 'tasks.analytics', 'listers.analytics',
+      'assignments.read', 'assignments.manage', 'assignments.work', 'assignments.completeRanges', 'ranges.analyze', 'repricing.read',
+      'repricing.manage', 'stock.read', 'stock.manage', 'skuMappings.manage', 'users.create'
+    ],
+    assignableRoles: ['lister']
+  },
+  lister: {
+    label: 'Lister',
+    permissions: [...SELF_SERVICE, ...LISTING, 'tasks.complete', 'assignments.work', 'assignments.completeRanges', 'ranges.analyze']
+  },
+  advancelister: {
+    label: 'Advance Lister',
+    permissions: [...SELF_SERVICE, ...LISTING, 'assignments.completeRanges', 'ranges.analyze', 'users.create'],
+    assignableRoles: BASIC_ROLES
+  },
+  compatibilityadmin: {
+    label: 'Compatibility Admin',
+    permissions: [...SELF_SERVICE, ...LISTING, 'compatibility.manage', 'users.create'],
+    assignableRoles: ['compatibilityeditor']
+  },
+  compatibilityeditor: {
+    label: 'Compatibility Editor',
+    permissions: [...SELF_SERVICE, ...LISTING, 'compatibility.edit']
+  },
+  seller: {
+    label: 'Seller',
+    permissions: [...SELF_SERVICE, 'sellers.connectAccount', 'users.create'],
+    assignableRoles: BASIC_ROLES
+  },
+  fulfillmentadmin: {
+    label: 'Fulfillment Admin',
+    permissions: [
+      ...SELF_SERVICE, ...FULFILLMENT_LEAD, 'listings.read', 'messages.bulkSend', 'sellers.readDetails',
+      'sync.manage', 'webhooks.manage', 'system.cacheStats', 'exchangeRates.manage', 'stock.read', 'stock.manage',
+      'skuMappings.manage', 'fulfillment.seedTemplates', 'users.create'
+    ],
+    assignableRoles: BASIC_ROLES
+  },
+  hradmin: {
+    label: 'HR Admin',
+    permissions: [
+      ...SELF_SERVICE, 'users.create', 'users.manage', 'employees.read', 'employees.edit', 'employees.hide',
+      'hr.viewDocuments', 'hr.viewSensitive', 'leaves.approve', 'attendance.editRecords'
+    ],
+    assignableRoles: ALL_ROLES
+  },
+  hr: {
+    label: 'HR',
+    permissions: [...SELF_SERVICE, 'users.create'],
+    assignableRoles: BASIC_ROLES
+  },
+  operationhead: {
+    label: 'Operation Head',
+    permissions: [...SELF_SERVICE, 'users.create', 'users.manage', 'employees.read', 'employees.edit', 'hr.viewDocuments', 'hr.viewSensitive'],
+    assignableRoles: ALL_ROLES
+  },
+  trainee: {
+    label: 'Trainee',
+    permissions: [...SELF_SERVICE, ...LISTING, 'assignments.completeRanges', 'ranges.analyze', 'users.create'],
+    assignableRoles: BASIC_ROLES
+  },
+  hoc: {
+    label: 'HOC',
+    permissions: [
+      ...SELF_SERVICE, ...FULFILLMENT_LEAD, 'purchasing.manageAccounts', 'purchasing.manageCards', 'stock.read', 'users.create'
+    ],
+    assignableRoles: BASIC_ROLES
+  },
+  compliancemanager: {
+    label: 'Compliance Manager',
+    permissions: [...SELF_SERVICE, ...FULFILLMENT, 'purchasing.manageAccounts', 'audit.read', 'users.create'],
+    assignableRoles: BASIC_ROLES
+  }
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+const roleCache = new Map(); // role name -> { permissions: Set, assignableRoles: [], loadedAt }
+
+export function invalidateRoleCache(roleName) {
+  if (roleName) roleCache.delete(roleName);
+  else roleCache.clear();
+}
+
+async function loadRole(roleName) {
+  const cached = roleCache.get(roleName);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached;
+
+  const role = await Role.findOne({ name: roleName }).select('permissions assignableRoles').lean();
+  const entry = {
+    exists: Boolean(role),
+    permissions: new Set(role?.permissions || []),
+    assignableRoles: role?.assignableRoles || [],
+    loadedAt: Date.now()
+  };
+  roleCache.set(roleName, entry);
+  return entry;
+}
+
+/**
+ * Permissions granted to a role
+ * @returns {Promise<Set<string>>}
+ */
+export async function getRolePermissions(roleName) {
+  if (roleName === SUPERADMIN_ROLE) return new Set(Object.keys(PERMISSIONS));
+  return (await loadRole(roleName)).permissions;
+}
+
+export async function roleExists(roleName) {
+  if (!roleName) return false;
+  return (await loadRole(roleName)).exists;
+}
+
+// Whether a user with creatorRole may create (or move someone into) targetRole
+export async function canAssignRole(creatorRole, targetRole) {
+  if (targetRole === SUPERADMIN_ROLE) return false;
+  if (!(await roleExists(targetRole))) return false;
+  if (creatorRole === SUPERADMIN_ROLE) return true;
+  const { assignableRoles } = await loadRole(creatorRole);
+  return assignableRoles.includes('*') || assignableRoles.includes(targetRole);
+}
+
+/**
+ * True if the (authenticated) user has at least one of the given permissions
+ * @param {Object} user - req.user as set by requireAuth
+ */
+export function hasPermission(user, ...permissions) {
+  if (!user) return false;
+  if (user.role === SUPERADMIN_ROLE) return true;
+  return permissions.some(p => user.permissions?.has(p));
+}
+
+// Create missing default roles and grant default permissions introduced since the last start
+export async function ensureDefaultRoles() {
+  for (const [name, definition] of Object.entries(DEFAULT_ROLES)) {
+    const role = await Role.findOne({ name });
+    if (!role) {
+      await Role.create({
+        name,
+        label: definition.label,
+        permissions: definition.permissions,
+        assignableRoles: definition.assignableRoles || [],
+        knownPermissions: definition.permissions,
+        isSystem: true
+      });
+      continue;
+    }
+
+    const known = new Set(role.knownPermissions);
+    const added = definition.permissions.filter(p => !known.has(p));
+    if (added.length > 0) {
+      role.permissions = [...new Set([...role.permissions, ...added])];
+      role.knownPermissions = [...known, ...added];
+      await role.save();
+      console.log(`[Permissions] Granted new default permissions to ${name}: ${added.join(', ')}`);
+    }
+  }
+  invalidateRoleCache();
+}
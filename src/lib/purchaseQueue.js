@@ -0,0 +1,442 @@
+/**
+ * Purchase Queue
+ *
+ * The Amazon buying list for orders awaiting shipment, so staff can buy in batches and
+ * never buy the same order twice.
+ * - The queue holds open orders (not fulfilled or cancelled, no tracking, sold in the last
+ *   PURCHASE_QUEUE_DAYS, default 14) without an Amazon purchase that isn't cancelled.
+ *   Orders marked out of stock or too expensive drop out until someone includes them.
+ * - Orders are grouped by source ASIN (SKU registry) and the Amazon account their seller
+ *   bought from most in the last 60 days. Each group shows the Amazon product, its cost
+ *   (ASIN cache, else the last repricing check, else the ASIN directory) and what the
+ *   buyers paid in USD.
+ * - Claiming marks orders with the user and a batch id for PURCHASE_CLAIM_MINUTES
+ *   (default 30); nobody else can claim or buy them meanwhile. Claims are taken one order
+ *   at a time with a conditional update, so two people asking at once split the orders.
+ *   Only purchasing.manageQueue holders can release someone else's claims.
+ * - Buying needs the caller's own claim on every order and records one AmazonPurchase for
+ *   them (lib/amazonPurchases.js), which rolls the cost up into the order, and clears the
+ *   claim. Other outcomes are kept in Order.purchaseOutcome.
+ *
+ * Usage:
+ *   const queue = await buildPurchaseQueue({ match: sellerScopeMatch(req), userId });
+ *   const { batch, claimed, skipped } = await claimOrders(orderIds, userId);
+ *   const result = await recordPurchase(orderIds, { amazonOrderId, beforeTax }, userId);
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import AmazonPurchase from '../models/AmazonPurchase.js';
+import AmazonAccount from '../models/AmazonAccount.js';
+import ActiveListing from '../models/ActiveListing.js';
+import AsinDirectory from '../models/AsinDirectory.js';
+import { openShipmentMatch, classifyShippingRisk } from './shippingRisk.js';
+import { lookupAsins, amazonProductUrl } from './skuRegistry.js';
+import { findPurchaseOrders, savePurchase, rollUpOrders } from './amazonPurchases.js';
+import { getCachedAsinData } from '../utils/asinCache.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACCOUNT_LOOKBACK_DAYS = 60;
+
+export const PURCHASE_OUTCOMES = ['outOfStock', 'priceTooHigh', 'skipped'];
+// Outcomes that take an order out of the queue until it is asked for
+const BLOCKING_OUTCOMES = ['outOfStock', 'priceTooHigh'];
+
+function queueDays() {
+  return parseInt(process.env.PURCHASE_QUEUE_DAYS) || 14;
+}
+
+function claimMinutes() {
+  return parseInt(process.env.PURCHASE_CLAIM_MINUTES) || 30;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function parsePrice(value) {
+  const price = parseFloat(String(value ?? '').replace(/[^0-9.]/g, ''));
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+function orderQuantity(order) {
+  const fromItems = (order.lineItems || []).reduce((total, li) => total + (li.quantity || 0), 0);
+  return fromItems || order.quantity || 1;
+}
+
+function claimOf(order, userId, now) {
+  const claim = order.purchaseClaim;
+  if (!claim?.user || !claim.expiresAt || claim.expiresAt < now) return null;
+  return { user: claim.user, batch: claim.batch, expiresAt: claim.expiresAt, mine: String(claim.user) === String(userId) };
+}
+
+// Ids among orderIds (Order _ids) with a purchase that isn't cancelled
+async function purchasedOrderIds(orderIds) {
+  const ids = await AmazonPurchase.distinct('orders.order', { 'orders.order': { $in: orderIds }, status: { $ne: 'cancelled' } });
+  return new Set(ids.map(String));
+}
+
+// Amazon account each seller bought from most recently and most often: Map seller -> account
+async function suggestedAccounts(sellerIds, now) {
+  const usage = await AmazonPurchase.aggregate([
+    {
+      $match: {
+        seller: { $in: sellerIds },
+        amazonAccount: { $ne: null },
+        orderedAt: { $gte: new Date(now.getTime() - ACCOUNT_LOOKBACK_DAYS * DAY_MS) }
+      }
+    },
+    { $group: { _id: { seller: '$seller', account: '$amazonAccount' }, count: { $sum: 1 }, last: { $max: '$orderedAt' } } },
+    { $sort: { count: -1, last: -1 } }
+  ]);
+  const accountIds = [...new Set(usage.map(u => String(u._id.account)))];
+  const accounts = new Map((await AmazonAccount.find({ _id: { $in: accountIds } }).select('name').lean()).map(a => [String(a._id), a]));
+
+  const result = new Map();
+  for (const { _id } of usage) {
+    const key = String(_id.seller);
+    if (!result.has(key) && accounts.has(String(_id.account))) result.set(key, accounts.get(String(_id.account)));
+  }
+  return result;
+}
+
+// Amazon cost per ASIN: { cost, source, checkedAt }
+async function amazonCosts(entries) {
+  const costs = new Map();
+  const missing = [];
+  for (const { asin } of entries) {
+    if (costs.has(asin)) continue;
+    const cost = parsePrice(getCachedAsinData(asin)?.price);
+    if (cost !== null) costs.set(asin, { cost, source: 'cache' });
+    else missing.push(asin);
+  }
+
+  const pending = entries.filter(e => missing.includes(e.asin) && e.sku);
+  if (pending.length > 0) {
+    const listings = await ActiveListing.find({
+      $or: pending.map(e => ({ seller: e.seller, sku: e.sku })),
+      lastAmazonCost: { $gt: 0 }
+    }).select('seller sku lastAmazonCost repricingCheckedAt').lean();
+    for (const entry of pending) {
+      const listing = listings.find(l => String(l.seller) === String(entry.seller) && l.sku === entry.sku);
+      if (listing && !costs.has(entry.asin)) {
+        costs.set(entry.asin, { cost: listing.lastAmazonCost, source: 'repricing', checkedAt: listing.repricingCheckedAt });
+      }
+    }
+  }
+
+  const stillMissing = missing.filter(asin => !costs.has(asin));
+  if (stillMissing.length > 0) {
+    const products = await AsinDirectory.find({ asin: { $in: stillMissing } }).select('asin price scrapedAt').lean();
+    for (const product of products) {
+      const cost = parsePrice(product.price);
+      if (cost !== null) costs.set(product.asin, { cost, source: 'directory', checkedAt: product.scrapedAt });
+    }
+  }
+  return costs;
+}
+
+/**
+ * Mongo filter for the orders that can be in the queue
+ */
+export function purchaseQueueMatch({ match = {}, marketplace, includeBlocked = false, now = new Date() } = {}) {
+  const query = {
+    ...match,
+    ...openShipmentMatch(),
+    creationDate: { $gte: new Date(now.getTime() - queueDays() * DAY_MS) },
+    azOrderId: { $in: [null, ''] }
+  };
+  if (marketplace) query.purchaseMarketplaceId = marketplace === 'EBAY_CA' ? { $in: ['EBAY_CA', 'EBAY_ENCA'] } : marketplace;
+  if (!includeBlocked) query['purchaseOutcome.status'] = { $nin: BLOCKING_OUTCOMES };
+  return query;
+}
+
+/**
+ * The queue, grouped by ASIN and suggested Amazon account, most urgent group first
+ * @param {Object} options
+ * @param {Object} options.match - Seller filter (sellerScopeMatch / scopedSellerMatch)
+ * @param {string} options.marketplace - Only this marketplace
+ * @param {string} options.userId - Caller, to mark their own claims
+ * @param {boolean} options.mine - Only orders the caller has claimed
+ * @param {boolean} options.includeBlocked - Include orders marked out of stock / too expensive
+ * @returns {Promise<Object>} - { groups, summary: { orders, groups, claimed, unmapped } }
+ */
+export async function buildPurchaseQueue({ match = {}, marketplace, userId, mine = false, includeBlocked = false } = {}) {
+  const now = new Date();
+  const query = purchaseQueueMatch({ match, marketplace, includeBlocked, now });
+  if (mine) {
+    query['purchaseClaim.user'] = userId;
+    query['purchaseClaim.expiresAt'] = { $gte: now };
+  }
+
+  let orders = await Order.find(query)
+    .select('seller orderId legacyOrderId buyer.username productName purchaseMarketplaceId creationDate shipByDate quantity lineItems.sku lineItems.quantity subtotalUSD shippingUSD orderEarnings purchaseClaim purchaseOutcome')
+    .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+    .populate('purchaseClaim.user', 'username')
+    .sort({ shipByDate: 1 })
+    .lean();
+  const purchased = await purchasedOrderIds(orders.map(o => o._id));
+  orders = orders.filter(o => !purchased.has(String(o._id)));
+
+  const sellerIds = [...new Set(orders.map(o => String(o.seller._id)))];
+  const asinsBySeller = new Map();
+  for (const sellerId of sellerIds) {
+    const skus = orders.filter(o => String(o.seller._id) === sellerId).flatMap(o => (o.lineItems || []).map(li => li.sku));
+    asinsBySeller.set(sellerId, await lookupAsins(sellerId, skus));
+  }
+  const accounts = await suggestedAccounts(sellerIds.map(id => orders.find(o => String(o.seller._id) === id).seller._id), now);
+
+  const entries = orders.map(order => {
+    const sku = (order.lineItems || []).map(li => li.sku).find(Boolean) || null;
+    return { order, sku, seller: order.seller._id, asin: sku ? asinsBySeller.get(String(order.seller._id)).get(sku) || null : null };
+  });
+  const costs = await amazonCosts(entries.filter(e => e.asin));
+  const products = new Map((await AsinDirectory.find({ asin: { $in: [...new Set(entries.map(e => e.asin).filter(Boolean))] } })
+    .select('asin title images').lean()).map(p => [p.asin, p]));
+
+  const groups = new Map();
+  for (const { order, sku, asin } of entries) {
+    const account = accounts.get(String(order.seller._id)) || null;
+    const key = `${asin || ''}:${account?._id || ''}`;
+    if (!groups.has(key)) {
+      const product = asin ? products.get(asin) : null;
+      groups.set(key, {
+        asin,
+        product: asin ? { asin, title: product?.title || order.productName, image: product?.images?.[0] || null, url: amazonProductUrl(asin) } : null,
+        amazonAccount: account,
+        amazonCost: asin ? costs.get(asin) || null : null,
+        orders: [],
+        quantity: 0,
+        paidUSD: 0,
+        claimed: 0,
+        earliestShipBy: order.shipByDate || null
+      });
+    }
+    const group = groups.get(key);
+    const quantity = orderQuantity(order);
+    const paidUSD = round2((order.subtotalUSD || 0) + (order.shippingUSD || 0));
+    const claim = claimOf(order, userId, now);
+    const cost = group.amazonCost?.cost;
+
+    group.orders.push({
+      _id: order._id,
+      orderId: order.orderId,
+      legacyOrderId: order.legacyOrderId,
+      seller: order.seller,
+      buyer: order.buyer?.username,
+      productName: order.productName,
+      marketplace: order.purchaseMarketplaceId,
+      sku,
+      quantity,
+      shipByDate: order.shipByDate,
+      risk: classifyShippingRisk(order.shipByDate, now),
+      paidUSD,
+      orderEarnings: order.orderEarnings ?? null,
+      marginUSD: cost != null ? round2(paidUSD - cost * quantity) : null,
+      claim: claim && { ...claim, user: order.purchaseClaim.user },
+      lastOutcome: order.purchaseOutcome?.status ? order.purchaseOutcome : null
+    });
+    group.quantity += quantity;
+    group.paidUSD = round2(group.paidUSD + paidUSD);
+    if (claim) group.claimed++;
+  }
+
+  const result = [...groups.values()].map(group => ({
+    ...group,
+    marginUSD: group.amazonCost ? round2(group.paidUSD - group.amazonCost.cost * group.quantity) : null
+  }));
+  result.sort((a, b) => (a.earliestShipBy || Infinity) - (b.earliestShipBy || Infinity));
+
+  return {
+    groups: result,
+    summary: {
+      orders: orders.length,
+      groups: result.length,
+      claimed: result.reduce((total, g) => total + g.claimed, 0),
+      unmapped: result.filter(g => !g.asin).reduce((total, g) => total + g.orders.length, 0)
+    }
+  };
+}
+
+/**
+ * Claim orders (Order _ids or eBay orderIds) for buying. Orders claimed by someone else,
+ * already purchased or not found are skipped with a reason. Pass batch to add to a batch.
+ * @returns {Promise<Object>} - { batch, expiresAt, claimed: [orderId], skipped: [{ orderId, reason }] }
+ */
+export async function claimOrders(orderIds, userId, { batch = crypto.randomUUID(), canAccess } = {}) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + claimMinutes() * 60 * 1000);
+  const { orders, missing } = await ordersByIds(orderIds, canAccess);
+  const purchased = await purchasedOrderIds(orders.map(o => o._id));
+  const result = { batch, expiresAt, claimed: [], skipped: missing.map(orderId => ({ orderId, reason: 'not found' })) };
+
+  for (const order of orders) {
+    if (purchased.has(String(order._id))) {
+      result.skipped.push({ orderId: order.orderId, reason: 'already purchased' });
+      continue;
+    }
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        $or: [
+          { 'purchaseClaim.user': null },
+          { 'purchaseClaim.expiresAt': { $lt: now } },
+          { 'purchaseClaim.user': userId }
+        ]
+      },
+      { $set: { purchaseClaim: { user: userId, batch, claimedAt: now, expiresAt } } },
+      { new: true, projection: { orderId: 1 } }
+    );
+    if (claimed) result.claimed.push(order.orderId);
+    else result.skipped.push({ orderId: order.orderId, reason: 'claimed by someone else' });
+  }
+  return result;
+}
+
+/**
+ * Release the caller's claims on orders or a whole batch (anyone's with force).
+ * Returns the number of orders released.
+ */
+export async function releaseClaims({ orderIds, batch, userId, force = false, match = {} }) {
+  const query = { ...match, 'purchaseClaim.user': { $ne: null } };
+  if (batch) query['purchaseClaim.batch'] = batch;
+  if (orderIds?.length) query._id = { $in: (await ordersByIds(orderIds)).orders.map(o => o._id) };
+  if (!force) query['purchaseClaim.user'] = userId;
+  const result = await Order.updateMany(query, { $unset: { purchaseClaim: 1 } });
+  return result.modifiedCount;
+}
+
+// Orders by _id or eBay orderId: { orders, missing }. Orders canAccess rejects count as missing.
+async function ordersByIds(ids, canAccess = () => true) {
+  const values = [...new Set((ids || []).map(id => String(id).trim()).filter(Boolean))];
+  const objectIds = values.filter(v => mongoose.Types.ObjectId.isValid(v));
+  const orders = (await Order.find({ $or: [{ orderId: { $in: values } }, { _id: { $in: objectIds } }] })
+    .select('seller orderId purchaseClaim purchaseOutcome lineItems.sku lineItems.quantity quantity')
+    .lean()).filter(o => canAccess(o.seller));
+  const found = new Set(orders.flatMap(o => [o.orderId, String(o._id)]));
+  return { orders, missing: values.filter(v => !found.has(v)) };
+}
+
+// Orders in the way of the caller: claimed by someone else right now
+function claimedByOthers(orders, userId, now) {
+  return orders.filter(o => {
+    const claim = claimOf(o, userId, now);
+    return claim && !claim.mine;
+  }).map(o => o.orderId);
+}
+
+// Put orders taken by recordPurchase back the way they were
+async function restoreOrders(orders) {
+  for (const order of orders) {
+    const restore = { $set: {}, $unset: {} };
+    if (order.purchaseClaim) restore.$set.purchaseClaim = order.purchaseClaim;
+    if (order.purchaseOutcome) restore.$set.purchaseOutcome = order.purchaseOutcome;
+    else restore.$unset.purchaseOutcome = 1;
+    await Order.updateOne({ _id: order._id }, restore);
+  }
+}
+
+/**
+ * Record that the orders were bought in one Amazon order
+ * ({ amazonOrderId, amazonAccount, creditCardName, beforeTax, estimatedTax, currency, notes }).
+ * The caller must hold the claim on every order. The claims are taken with a conditional
+ * update before the purchase is saved, so two requests can never both buy one. Orders with
+ * a purchase that isn't cancelled are refused; once it is cancelled they can be bought
+ * again. The cost is split by quantity. Returns { purchase } or { error } / { conflict }
+ * (not claimed by the caller, or already purchased).
+ */
+export async function recordPurchase(orderIds, input, userId, { canAccess = () => true } = {}) {
+  const now = new Date();
+  const { orders, error } = await findPurchaseOrders(orderIds);
+  if (error) return { error };
+  if (!canAccess(orders[0].seller)) return { error: 'Orders not found' };
+
+  const { orders: details } = await ordersByIds(orders.map(o => String(o._id)));
+  const others = claimedByOthers(details, userId, now);
+  if (others.length > 0) return { conflict: `Claimed by someone else: ${others.join(', ')}` };
+  const unclaimed = details.filter(o => !claimOf(o, userId, now)).map(o => o.orderId);
+  if (unclaimed.length > 0) return { conflict: `Claim these orders before buying them: ${unclaimed.join(', ')}` };
+  const purchased = await purchasedOrderIds(orders.map(o => o._id));
+  if (purchased.size > 0) {
+    return { conflict: `Already purchased: ${orders.filter(o => purchased.has(String(o._id))).map(o => o.orderId).join(', ')}` };
+  }
+
+  const asins = await lookupAsins(orders[0].seller, details.flatMap(o => (o.lineItems || []).map(li => li.sku)));
+  const totalQuantity = details.reduce((total, o) => total + orderQuantity(o), 0);
+  const beforeTax = parseFloat(input.beforeTax);
+  const items = details.map(order => {
+    const sku = (order.lineItems || []).map(li => li.sku).find(Boolean);
+    return {
+      asin: (sku && asins.get(sku)) || undefined,
+      quantity: orderQuantity(order),
+      unitPrice: beforeTax > 0 ? round2(beforeTax / totalQuantity) : undefined,
+      order: order._id
+    };
+  });
+
+  const taken = [];
+  for (const order of details) {
+    const result = await Order.updateOne(
+      {
+        _id: order._id,
+        'purchaseClaim.user': userId,
+        'purchaseClaim.expiresAt': { $gte: now }
+      },
+      { $set: { purchaseOutcome: { status: 'purchased', user: userId, at: now } }, $unset: { purchaseClaim: 1 } }
+    );
+    if (result.modifiedCount === 0) {
+      await restoreOrders(taken);
+      return { conflict: `Released meanwhile: ${order.orderId}` };
+    }
+    taken.push(order);
+  }
+  // A purchase recorded elsewhere (Amazon purchases, order sheet) while the claim was held
+  const boughtMeanwhile = await purchasedOrderIds(orders.map(o => o._id));
+  if (boughtMeanwhile.size > 0) {
+    await restoreOrders(taken);
+    return { conflict: `Bought meanwhile: ${orders.filter(o => boughtMeanwhile.has(String(o._id))).map(o => o.orderId).join(', ')}` };
+  }
+
+  let purchase;
+  try {
+    purchase = await savePurchase(new AmazonPurchase({ source: 'queue', createdBy: userId }), {
+      orders,
+      amazonOrderId: input.amazonOrderId,
+      amazonAccount: input.amazonAccount,
+      creditCardName: input.creditCardName,
+      currency: input.currency,
+      beforeTax: input.beforeTax,
+      estimatedTax: input.estimatedTax,
+      notes: input.notes,
+      orderedAt: now,
+      items
+    });
+  } catch (err) {
+    await restoreOrders(taken);
+    throw err;
+  }
+
+  await rollUpOrders(orders.map(o => o._id));
+  return { purchase };
+}
+
+/**
+ * Record why orders were not bought (outOfStock, priceTooHigh, skipped) and release them.
+ * Returns { updated } or { error } / { conflict }.
+ */
+export async function recordOutcome(orderIds, status, notes, userId, { canAccess } = {}) {
+  if (!PURCHASE_OUTCOMES.includes(status)) return { error: `outcome must be one of ${PURCHASE_OUTCOMES.join(', ')}` };
+  const now = new Date();
+  const { orders, missing } = await ordersByIds(orderIds, canAccess);
+  if (orders.length === 0) return { error: 'At least one eBay order is required' };
+  if (missing.length > 0) return { error: `Orders not found: ${missing.join(', ')}` };
+  const others = claimedByOthers(orders, userId, now);
+  if (others.length > 0) return { conflict: `Claimed by someone else: ${others.join(', ')}` };
+
+  const result = await Order.updateMany(
+    { _id: { $in: orders.map(o => o._id) } },
+    { $set: { purchaseOutcome: { status, notes, user: userId, at: now } }, $unset: { purchaseClaim: 1 } }
+  );
+  return { updated: result.modifiedCount };
+}
@@ -0,0 +1,70 @@
+/**
+ * Currency Rate Recalculation
+ *
+ * Re-runs the conversions that used a stored CurrencyRate once the rate for their day
+ * arrives late or is corrected (lib/currency.js reports the changed pairs and days).
+ * - Orders converted with a stored rate (Order.conversionRateSource 'rates') in the
+ *   currency of a changed USD pair, dated on or after its earliest change, get their USD
+ *   fields, earnings and financials redone (lib/orderFinancials.js). The ledger cron
+ *   then posts the difference like any other order edit.
+ * - Payoneer records that took the market rate (exchangeRateSource 'rates') and were paid
+ *   on or after the earliest USD/INR change are recalculated with their bank Transaction.
+ * - Pairs without USD are only used for cross rates, which nothing stored depends on.
+ * - A run holds the lock 'currency-recalc'.
+ *
+ * Usage:
+ *   const summary = await importRates(rows, { source: 'csv' });
+ *   const outcome = await recalculateForRateChanges(summary.changes, owner);
+ *   if (!outcome.acquired) console.log(outcome.message);
+ */
+
+import { withJobLock } from './jobLock.js';
+import { normalizeCurrency, rateDay } from './currency.js';
+import { recalculateOrderConversions } from './orderFinancials.js';
+import { recalculatePayoneerRates } from '../routes/payoneer.js';
+
+/**
+ * Earliest changed day per non-USD currency of the changed USD pairs: { GBP: Date, INR: Date }
+ */
+export function rateChangeStarts(changes) {
+  const starts = {};
+  for (const { base, quote, date } of changes) {
+    if (base !== 'USD' && quote !== 'USD') continue;
+    const currency = base === 'USD' ? quote : base;
+    const day = rateDay(date);
+    if (day && (!starts[currency] || day < starts[currency])) starts[currency] = day;
+  }
+  return starts;
+}
+
+/**
+ * Recalculate everything converted from `from` onwards for the given currencies
+ * ({ GBP: Date, ... }). Returns withJobLock's outcome; result is { orders, payoneer }.
+ */
+export async function recalculateConversions(starts, owner = { startedByName: 'scheduler' }) {
+  return withJobLock('currency-recalc', { label: 'Currency recalculation', ...owner }, async () => {
+    const orders = { checked: 0, updated: 0 };
+    for (const [code, from] of Object.entries(starts)) {
+      const currency = normalizeCurrency(code);
+      if (!currency || currency === 'USD') continue;
+      const result = await recalculateOrderConversions({ currencies: [currency], from });
+      orders.checked += result.checked;
+      orders.updated += result.updated;
+    }
+
+    const payoneer = starts.INR ? await recalculatePayoneerRates(starts.INR) : { checked: 0, updated: 0 };
+
+    if (orders.updated > 0 || payoneer.updated > 0) {
+      console.log(`[Currency] Recalculated ${orders.updated} order(s) and ${payoneer.updated} Payoneer record(s)`);
+    }
+    return { orders, payoneer };
+  });
+}
+
+export async function recalculateForRateChanges(changes, owner) {
+  const starts = rateChangeStarts(changes);
+  if (Object.keys(starts).length === 0) {
+    return { acquired: true, result: { orders: { checked: 0, updated: 0 }, payoneer: { checked: 0, updated: 0 } } };
+  }
+  return recalculateConversions(starts, owner);
+}
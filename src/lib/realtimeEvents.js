@@ -0,0 +1,84 @@
+/**
+ * Real-time Event Bus
+ *
+ * Publishes domain events (new orders, buyer messages, internal chat, ...) to
+ * connected SSE clients (routes/events.js).
+ * - Events are written to the capped RealtimeEvent collection; every API instance
+ *   tails that collection, so a client receives events no matter which instance
+ *   wrote the order or message.
+ * - publishEvent never throws: a failed publish must not break the sync that caused it.
+ *
+ * Usage:
+ *   import { publishEvent } from '../lib/realtimeEvents.js';
+ *   publishEvent('order.created', { sellerId: seller._id, data: { orderId } });
+ */
+
+import { EventEmitter } from 'events';
+import RealtimeEvent from '../models/RealtimeEvent.js';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open SSE connection
+
+let tailStarted = false;
+let lastSeenId = null;
+
+/**
+ * Publish an event to subscribed clients
+ * @param {string} type - Event type, e.g. 'order.created'
+ * @param {Object} options
+ * @param {string} options.sellerId - Seller the event belongs to (role/seller filtering)
+ * @param {Array<string>} options.userIds - Deliver only to these users (e.g. chat participants)
+ * @param {Object} options.data - Event payload sent to the client
+ */
+export function publishEvent(type, { sellerId = null, userIds = [], data = {} } = {}) {
+  RealtimeEvent.create({ type, seller: sellerId, users: userIds, data })
+    .catch(err => console.error(`[Realtime] Failed to publish ${type}:`, err.message));
+}
+
+async function tailEvents() {
+  while (true) {
+    try {
+      if (!lastSeenId) {
+        // Start from the newest event; older ones are only served through replay
+        const latest = await RealtimeEvent.findOne({}).sort({ $natural: -1 }).select('_id').lean();
+        lastSeenId = latest?._id || null;
+      }
+
+      const cursor = RealtimeEvent.find(lastSeenId ? { _id: { $gt: lastSeenId } } : {})
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+
+      for await (const event of cursor) {
+        lastSeenId = event._id;
+        emitter.emit('event', event);
+      }
+    } catch (err) {
+      console.error('[Realtime] Event tail interrupted:', err.message);
+    }
+    // Tailable cursors end when the collection is empty or the connection drops; retry shortly
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+}
+
+/**
+ * Listen for every event (across all instances)
+ * @param {Function} listener - Called with each RealtimeEvent (lean object)
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToEvents(listener) {
+  if (!tailStarted) {
+    tailStarted = true;
+    tailEvents();
+  }
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+// Events after the given id, for clients reconnecting with Last-Event-ID
+export async function getEventsSince(lastEventId, limit = 500) {
+  return RealtimeEvent.find({ _id: { $gt: lastEventId } })
+    .sort({ $natural: 1 })
+    .limit(limit)
+    .lean();
+}
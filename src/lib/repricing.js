@@ -0,0 +1,343 @@
+/**
+ * Repricing Engine
+ *
+ * Keeps live eBay prices in line with the current Amazon cost of their source ASIN.
+ * - Each Active listing is traced back through its SKU to the TemplateListing it was
+ *   created from (customLabel), which gives the ASIN and the template; the pricing config
+ *   is the seller's SellerPricingConfig for that template, else the template's own.
+ * - The Amazon cost comes from the ASIN cache when it is warm, otherwise from ScraperAPI.
+ * - The new price is calculateStartPrice(config, cost) clamped to the seller's floor and
+ *   ceiling (RepricingSettings), and a listing is only revised when the change passes
+ *   both minChangePercent and minChangeAmount. A config without spentRate / payoutRate
+ *   uses the market USD/INR rate of the day (lib/currency.js).
+ * - Live runs push prices with ReviseInventoryStatus, 4 listings per call (the Trading API
+ *   limit); a failed batch is retried one listing at a time so each error lands on the
+ *   right listing. Every pushed price, applied or failed, is saved as a PriceChange.
+ * - Listings the stock monitor holds at quantity 0 (stockZeroedAt) are skipped.
+ * - Dry runs stop before anything is pushed; both kinds keep the full per-listing report
+ *   in RepricingRun.
+ * - A run holds the lock 'repricing:<sellerId>', so a manual run and the schedule never
+ *   overlap for the same seller.
+ *
+ * Usage:
+ *   const outcome = await startRepricingRun(sellerId, { dryRun: true, triggeredBy: userId });
+ *   if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+ *   await outcome.done; // or let it finish in the background
+ */
+
+import axios from 'axios';
+import { parseStringPromise } from 'xml2js';
+import Seller from '../models/Seller.js';
+import ActiveListing from '../models/ActiveListing.js';
+import TemplateListing from '../models/TemplateListing.js';
+import ListingTemplate from '../models/ListingTemplate.js';
+import SellerPricingConfig from '../models/SellerPricingConfig.js';
+import RepricingSettings from '../models/RepricingSettings.js';
+import RepricingRun from '../models/RepricingRun.js';
+import PriceChange from '../models/PriceChange.js';
+import { acquireJobLock } from './jobLock.js';
+import { withMarketRates } from './currency.js';
+import { calculateStartPrice } from '../utils/pricingCalculator.js';
+import { getCachedAsinData } from '../utils/asinCache.js';
+import { scrapeAmazonPriceWithScraperAPI } from '../utils/scraperApiPrice.js';
+import { ensureValidToken } from '../routes/ebay.js';
+
+// ReviseInventoryStatus accepts at most 4 InventoryStatus containers per call
+const REVISE_BATCH_SIZE = 4;
+
+// Settings for a seller, with schema defaults when none have been saved yet
+export async function getRepricingSettings(sellerId) {
+  return (await RepricingSettings.findOne({ seller: sellerId })) || new RepricingSettings({ seller: sellerId });
+}
+
+function parsePrice(value) {
+  const price = parseFloat(String(value ?? '').replace(/[^0-9.]/g, ''));
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+async function getAmazonCost(asin, costCache) {
+  if (costCache.has(asin)) return costCache.get(asin);
+
+  let cost = parsePrice(getCachedAsinData(asin)?.price);
+  if (cost === null) {
+    cost = parsePrice(await scrapeAmazonPriceWithScraperAPI(asin, 'US'));
+  }
+  if (cost === null) throw new Error('no Amazon price found');
+
+  costCache.set(asin, cost);
+  return cost;
+}
+
+// The seller's override for the template wins over the template's own config (same as listing creation)
+async function getPricingConfig(sellerId, templateId, configCache) {
+  const key = String(templateId);
+  if (configCache.has(key)) return configCache.get(key);
+
+  const sellerConfig = await SellerPricingConfig.findOne({ sellerId, templateId }).lean();
+  let pricingConfig = sellerConfig?.pricingConfig;
+  if (!pricingConfig) {
+    const template = await ListingTemplate.findById(templateId).select('pricingConfig').lean();
+    pricingConfig = template?.pricingConfig;
+  }
+
+  // Rates left empty in the config follow the day's market USD/INR rate
+  const config = pricingConfig?.enabled ? await withMarketRates(pricingConfig) : null;
+  configCache.set(key, config);
+  return config;
+}
+
+function applyGuards(price, settings) {
+  if (settings.floorPrice != null && price < settings.floorPrice) {
+    return { price: settings.floorPrice, guard: 'floor' };
+  }
+  if (settings.ceilingPrice != null && price > settings.ceilingPrice) {
+    return { price: settings.ceilingPrice, guard: 'ceiling' };
+  }
+  return { price, guard: null };
+}
+
+// Work out the new price for one listing; never throws, problems become a skip reason
+async function evaluateListing(listing, settings, caches) {
+  const item = { itemId: listing.itemId, sku: listing.sku, currentPrice: listing.currentPrice, action: 'skip' };
+
+  if (!listing.sku) return { ...item, reason: 'no SKU' };
+  if (listing.stockZeroedAt) return { ...item, reason: 'out of stock at the source' };
+  if (listing.currency && listing.currency !== 'USD') return { ...item, reason: `listed in ${listing.currency}` };
+
+  const source = await TemplateListing.findOne({ sellerId: listing.seller, customLabel: listing.sku, deletedAt: null })
+    .select('+_asinReference templateId')
+    .lean();
+  if (!source) return { ...item, reason: 'no template listing for SKU' };
+  if (!source._asinReference) return { ...item, reason: 'no ASIN' };
+  item.asin = source._asinReference;
+
+  const pricingConfig = await getPricingConfig(listing.seller, source.templateId, caches.config);
+  if (!pricingConfig) return { ...item, reason: 'pricing config not enabled' };
+
+  try {
+    item.amazonCost = await getAmazonCost(item.asin, caches.cost);
+  } catch (err) {
+    return { ...item, reason: `cost lookup failed: ${err.message}` };
+  }
+
+  try {
+    item.computedPrice = calculateStartPrice(pricingConfig, item.amazonCost).price;
+  } catch (err) {
+    return { ...item, reason: `pricing error: ${err.message}` };
+  }
+
+  const { price, guard } = applyGuards(item.computedPrice, settings);
+  item.newPrice = Math.round(price * 100) / 100;
+  item.guard = guard;
+
+  if (listing.currentPrice) {
+    const change = Math.abs(item.newPrice - listing.currentPrice);
+    const changePercent = (change / listing.currentPrice) * 100;
+    if (change < settings.minChangeAmount || changePercent < settings.minChangePercent) {
+      return { ...item, reason: 'below threshold' };
+    }
+  }
+
+  return { ...item, action: 'revise' };
+}
+
+// One ReviseInventoryStatus call; resolves to { ok, message } instead of throwing
+async function reviseInventoryStatus(token, batch) {
+  const statuses = batch
+    .map(item => `<InventoryStatus><ItemID>${item.itemId}</ItemID><StartPrice>${item.newPrice.toFixed(2)}</StartPrice></InventoryStatus>`)
+    .join('');
+
+  const xmlRequest = `<?xml version="1.0" encoding="utf-8"?>
+    <ReviseInventoryStatusRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+      <RequesterCredentials><eBayAuthToken>${token}</eBayAuthToken></RequesterCredentials>
+      <ErrorLanguage>en_US</ErrorLanguage>
+      <WarningLevel>Low</WarningLevel>
+      ${statuses}
+    </ReviseInventoryStatusRequest>`;
+
+  try {
+    const response = await axios.post('https://api.ebay.com/ws/api.dll', xmlRequest, {
+      headers: {
+        'X-EBAY-API-SITEID': '0',
+        'X-EBAY-API-COMPATIBILITY-LEVEL': '1423',
+        'X-EBAY-API-CALL-NAME': 'ReviseInventoryStatus',
+        'Content-Type': 'text/xml'
+      },
+      timeout: 30000
+    });
+
+    const result = (await parseStringPromise(response.data)).ReviseInventoryStatusResponse;
+    const errors = (result.Errors || [])
+      .filter(e => e.SeverityCode?.[0] === 'Error')
+      .map(e => e.LongMessage?.[0] || e.ShortMessage?.[0]);
+
+    if (result.Ack[0] === 'Failure' || errors.length > 0) {
+      return { ok: false, message: errors.join('; ') || 'eBay rejected the revision' };
+    }
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, message: err.message };
+  }
+}
+
+async function pushRevisions(token, items) {
+  for (let i = 0; i < items.length; i += REVISE_BATCH_SIZE) {
+    const batch = items.slice(i, i + REVISE_BATCH_SIZE);
+    const outcome = await reviseInventoryStatus(token, batch);
+
+    if (outcome.ok) {
+      batch.forEach(item => { item.result = 'revised'; });
+      continue;
+    }
+
+    if (batch.length === 1) {
+      batch[0].result = 'failed';
+      batch[0].error = outcome.message;
+      continue;
+    }
+
+    // A batch fails as a whole; retry each listing to find out which ones eBay rejected.
+    // Re-sending a price that was already applied is harmless.
+    for (const item of batch) {
+      const single = await reviseInventoryStatus(token, [item]);
+      item.result = single.ok ? 'revised' : 'failed';
+      if (!single.ok) item.error = single.message;
+    }
+  }
+}
+
+async function saveRevisionResults(run, items, checkedAt) {
+  const pushed = items.filter(item => item.result);
+
+  if (pushed.length > 0) {
+    await PriceChange.insertMany(pushed.map(item => ({
+      seller: run.seller,
+      itemId: item.itemId,
+      sku: item.sku,
+      asin: item.asin,
+      oldPrice: item.currentPrice,
+      newPrice: item.newPrice,
+      source: 'repricer',
+      run: run._id,
+      user: run.triggeredBy,
+      amazonCost: item.amazonCost,
+      computedPrice: item.computedPrice,
+      guard: item.guard,
+      status: item.result === 'revised' ? 'applied' : 'failed',
+      error: item.error
+    })));
+  }
+
+  await ActiveListing.bulkWrite(items.map(item => {
+    const $set = { repricingCheckedAt: checkedAt };
+    if (item.amazonCost != null) $set.lastAmazonCost = item.amazonCost;
+    if (item.result === 'revised') $set.currentPrice = item.newPrice;
+    return { updateOne: { filter: { itemId: item.itemId }, update: { $set } } };
+  }));
+}
+
+async function executeRun(run, { limit } = {}) {
+  const startTime = Date.now();
+
+  try {
+    const seller = await Seller.findById(run.seller).populate('user', 'username');
+    if (!seller) throw new Error('Seller not found');
+
+    const settings = await getRepricingSettings(seller._id);
+
+    // Least recently checked first, so capped runs work through the whole catalogue over time
+    const listings = await ActiveListing.find({ seller: seller._id, listingStatus: 'Active' })
+      .sort({ repricingCheckedAt: 1, _id: 1 })
+      .limit(limit || settings.maxListingsPerRun)
+      .select('seller itemId sku currentPrice currency stockZeroedAt')
+      .lean();
+
+    const caches = { config: new Map(), cost: new Map() };
+    const items = [];
+    for (const listing of listings) {
+      items.push(await evaluateListing(listing, settings, caches));
+    }
+
+    const toRevise = items.filter(item => item.action === 'revise');
+    if (!run.dryRun && listings.length > 0) {
+      if (toRevise.length > 0) {
+        const token = await ensureValidToken(seller);
+        await pushRevisions(token, toRevise);
+      }
+      await saveRevisionResults(run, items, new Date());
+    }
+
+    run.items = items;
+    run.counts = {
+      checked: items.length,
+      toRevise: toRevise.length,
+      revised: toRevise.filter(item => item.result === 'revised').length,
+      failed: toRevise.filter(item => item.result === 'failed').length,
+      skipped: items.length - toRevise.length
+    };
+    run.status = run.counts.failed > 0 ? 'partial' : 'success';
+
+    console.log(`[Repricing] ${seller.user?.username || seller._id}${run.dryRun ? ' (dry run)' : ''}: ` +
+      `${run.counts.checked} checked, ${run.counts.toRevise} to revise, ${run.counts.revised} revised, ${run.counts.failed} failed`);
+  } catch (err) {
+    console.error(`[Repricing] Run ${run._id} failed:`, err.message);
+    run.status = 'failed';
+    run.errorMessage = err.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = Date.now() - startTime;
+    await run.save();
+  }
+
+  return run;
+}
+
+/**
+ * Start a repricing run for one seller
+ * @param {string} sellerId
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report only, push nothing (default true)
+ * @param {string} options.trigger - 'manual' or 'schedule'
+ * @param {string} options.triggeredBy - User ID for manual runs
+ * @param {string} options.startedByName - Display name for "already running" messages
+ * @param {number} options.limit - Listings to check (default: the seller's maxListingsPerRun)
+ * @returns {Promise<Object>} - { acquired: true, run, done } where done resolves with the
+ *   finished run, or { acquired: false, message } if the seller is already being repriced
+ */
+export async function startRepricingRun(sellerId, { dryRun = true, trigger = 'manual', triggeredBy, startedByName, limit } = {}) {
+  const lock = await acquireJobLock(`repricing:${sellerId}`, {
+    label: 'Repricing for this seller',
+    startedBy: triggeredBy || null,
+    startedByName: startedByName || 'scheduler'
+  });
+  if (!lock.acquired) return lock;
+
+  let run;
+  try {
+    run = await RepricingRun.create({ seller: sellerId, dryRun, trigger, triggeredBy });
+  } catch (err) {
+    await lock.handle.release();
+    throw err;
+  }
+
+  const done = executeRun(run, { limit }).finally(() => lock.handle.release());
+  return { acquired: true, run, done };
+}
+
+// Scheduled live runs for every seller with repricing enabled, one seller at a time
+export async function runScheduledRepricing() {
+  const enabled = await RepricingSettings.find({ enabled: true }).select('seller').lean();
+
+  for (const { seller } of enabled) {
+    try {
+      const outcome = await startRepricingRun(seller, { dryRun: false, trigger: 'schedule' });
+      if (!outcome.acquired) {
+        console.log(`[Repricing] Skipping seller ${seller}: ${outcome.message}`);
+        continue;
+      }
+      await outcome.done;
+    } catch (err) {
+      console.error(`[Repricing] Scheduled run failed for seller ${seller}:`, err.message);
+    }
+  }
+}
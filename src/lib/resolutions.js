@@ -0,0 +1,407 @@
+/**
+ * Return, INR Case & Payment Dispute Actions
+ *
+ * Acts on eBay for returns, INR cases (inquiries) and payment disputes from the backend,
+ * so nobody has to log into eBay to refund or respond.
+ * - Actions: returns refund, partialRefund (offer), provideLabel (carrier + tracking) and
+ *   provideRma; cases refund and provideShipmentInfo; disputes accept, contest and
+ *   uploadEvidence (JPEG, PNG or PDF files).
+ * - eBay is reached through adapters: { perform({ seller, kind, action, item, params,
+ *   files, marketplace }) } resolving with { response, fileIds } or throwing with eBay's
+ *   message. marketplace is the item's order marketplace, else the seller's first one.
+ *   RESOLUTION_ADAPTER picks one: 'ebay' (default; Post-Order API for returns and
+ *   inquiries, Fulfillment API for disputes) or 'mock' for tests and local runs. Others plug
+ *   in with registerResolutionAdapter().
+ * - Refunds go out once: while one is on its way the item is locked (lib/jobLock.js), and
+ *   a refund or partial refund that already succeeded is refused.
+ * - Every attempt, successful or not, is a ResolutionAction document and a system entry in
+ *   the item's activity (lib/activity.js). Evidence files are kept in storage under
+ *   'dispute-evidence/'.
+ * - A successful action marks an open item attended and gives it to the user when nobody
+ *   owns it (lib/workQueue.js); uploaded evidence sets evidenceSubmitted. eBay statuses
+ *   come back with the next fetch.
+ *
+ * Usage:
+ *   const result = await performResolution('return', returnId, 'partialRefund', { amount: 10 }, { userId });
+ *   if (result.error) return res.status(400).json({ error: result.error });
+ *   if (result.conflict) return res.status(409).json({ error: result.conflict });
+ */
+
+import axios from 'axios';
+import FormData from 'form-data';
+import Return from '../models/Return.js';
+import Case from '../models/Case.js';
+import PaymentDispute from '../models/PaymentDispute.js';
+import Seller from '../models/Seller.js';
+import Order from '../models/Order.js';
+import ResolutionAction from '../models/ResolutionAction.js';
+import { DOCUMENT_TYPES, validateFile, buildStorageKey, putFile } from './storage.js';
+import { recordActivity } from './activity.js';
+import { withJobLock } from './jobLock.js';
+import { ensureValidToken } from '../routes/ebay.js';
+
+const POST_ORDER_URL = 'https://api.ebay.com/post-order/v2';
+const DISPUTE_URL = 'https://apiz.ebay.com/sell/fulfillment/v1/payment_dispute';
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+export const EVIDENCE_MAX_SIZE = 5 * 1024 * 1024;
+
+export const EVIDENCE_TYPES = [
+  'PROOF_OF_DELIVERY', 'PROOF_OF_AUTHENTICITY', 'PROOF_OF_ITEM_AS_DESCRIBED', 'PROOF_OF_PICKUP',
+  'TRACKING_PROOF'
+];
+
+const KINDS = {
+  return: { model: Return, key: 'returnId' },
+  case: { model: Case, key: 'caseId' },
+  dispute: { model: PaymentDispute, key: 'paymentDisputeId' }
+};
+
+function money(value, currency) {
+  return `${Number(value).toFixed(2)} ${currency || 'USD'}`;
+}
+
+function requireText(body, field, label = field) {
+  const value = String(body[field] ?? '').trim();
+  return value ? { value } : { error: `${label} is required` };
+}
+
+// Per kind and action: check the request ({ params } or { error }) and describe it for the
+// activity thread; once: the action may succeed only one time per item (refunds)
+const ACTIONS = {
+  return: {
+    refund: {
+      input: (body, item) => {
+        const amount = body.amount !== undefined ? parseFloat(body.amount) : parseFloat(item.refundAmount?.value);
+        if (!(amount > 0)) return { error: 'amount is required (the return has no refund amount)' };
+        return { params: { amount, currency: body.currency || item.refundAmount?.currency || 'USD', comments: body.comments } };
+      },
+      once: true,
+      describe: p => `Refunded ${money(p.amount, p.currency)}`
+    },
+    partialRefund: {
+      input: (body, item) => {
+        const amount = parseFloat(body.amount);
+        if (!(amount > 0)) return { error: 'amount must be a positive number' };
+        const full = parseFloat(item.refundAmount?.value);
+        if (full > 0 && amount >= full) return { error: `A partial refund must be less than the full ${money(full, item.refundAmount.currency)}` };
+        return { params: { amount, currency: body.currency || item.refundAmount?.currency || 'USD', comments: body.comments } };
+      },
+      once: true,
+      describe: p => `Offered a partial refund of ${money(p.amount, p.currency)}`
+    },
+    provideLabel: {
+      input: body => {
+        const carrier = requireText(body, 'carrier');
+        const tracking = requireText(body, 'trackingNumber');
+        if (carrier.error || tracking.error) return { error: carrier.error || tracking.error };
+        return { params: { carrier: carrier.value, trackingNumber: tracking.value, comments: body.comments } };
+      },
+      describe: p => `Provided a return label (${p.carrier} ${p.trackingNumber})`
+    },
+    provideRma: {
+      input: body => {
+        const rma = requireText(body, 'rmaNumber');
+        if (rma.error) return { error: rma.error };
+        return { params: { rmaNumber: rma.value, comments: body.comments } };
+      },
+      describe: p => `Accepted the return with RMA ${p.rmaNumber}`
+    }
+  },
+  case: {
+    refund: {
+      input: body => ({ params: { comments: body.comments } }),
+      once: true,
+      describe: () => 'Refunded the buyer in full'
+    },
+    provideShipmentInfo: {
+      input: body => {
+        const carrier = requireText(body, 'carrier');
+        const tracking = requireText(body, 'trackingNumber');
+        if (carrier.error || tracking.error) return { error: carrier.error || tracking.error };
+        const shippedAt = body.shippedAt ? new Date(body.shippedAt) : null;
+        if (shippedAt && isNaN(shippedAt.getTime())) return { error: 'Invalid shippedAt' };
+        return { params: { carrier: carrier.value, trackingNumber: tracking.value, shippedAt, comments: body.comments } };
+      },
+      describe: p => `Provided shipment info (${p.carrier} ${p.trackingNumber})`
+    }
+  },
+  dispute: {
+    accept: {
+      input: body => ({ params: { note: body.note } }),
+      describe: () => 'Accepted the payment dispute'
+    },
+    contest: {
+      input: body => {
+        const note = requireText(body, 'note');
+        if (note.error) return { error: note.error };
+        return { params: { note: note.value } };
+      },
+      describe: () => 'Contested the payment dispute'
+    },
+    uploadEvidence: {
+      input: body => {
+        const evidenceType = String(body.evidenceType || '').trim().toUpperCase();
+        if (!EVIDENCE_TYPES.includes(evidenceType)) return { error: `evidenceType must be one of ${EVIDENCE_TYPES.join(', ')}` };
+        return { params: { evidenceType }, needsFiles: true };
+      },
+      describe: (p, files) => `Uploaded ${files.length} evidence file(s) (${p.evidenceType})`
+    }
+  }
+};
+
+/**
+ * Action names per kind: { return: [...], case: [...], dispute: [...] }
+ */
+export function resolutionActions() {
+  return Object.fromEntries(Object.entries(ACTIONS).map(([kind, actions]) => [kind, Object.keys(actions)]));
+}
+
+// --- eBay adapter ---
+
+function ebayError(err) {
+  const error = err.response?.data?.errors?.[0] || err.response?.data?.error?.[0];
+  return new Error(error?.longMessage || error?.message || err.message);
+}
+
+async function ebayPerform({ seller, kind, action, item, params, files, marketplace }) {
+  const token = await ensureValidToken(seller);
+  const postOrder = async (path, body) => {
+    const { data } = await axios.post(`${POST_ORDER_URL}${path}`, body, {
+      headers: { Authorization: `IAF ${token}`, 'Content-Type': 'application/json', 'X-EBAY-C-MARKETPLACE-ID': marketplace },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return data || {};
+  };
+  const disputeHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const comments = params.comments ? { comments: { content: params.comments } } : {};
+
+  try {
+    if (kind === 'return') {
+      const path = `/return/${encodeURIComponent(item.returnId)}`;
+      if (action === 'refund') {
+        const amount = { value: params.amount, currency: params.currency };
+        return { response: await postOrder(`${path}/issue_refund`, {
+          refundDetail: { itemizedRefundDetail: [{ refundAmount: amount, refundFeeType: 'PURCHASE_PRICE' }], totalAmount: amount },
+          ...comments
+        }) };
+      }
+      if (action === 'partialRefund') {
+        return { response: await postOrder(`${path}/decide`, {
+          decision: 'OFFER_PARTIAL_REFUND',
+          partialRefundAmount: { value: params.amount, currency: params.currency },
+          ...comments
+        }) };
+      }
+      if (action === 'provideLabel') {
+        return { response: await postOrder(`${path}/add_shipping_label`, {
+          carrierEnum: params.carrier.toUpperCase(),
+          trackingNumber: params.trackingNumber,
+          ...comments
+        }) };
+      }
+      if (action === 'provideRma') {
+        return { response: await postOrder(`${path}/decide`, { decision: 'ACCEPT', RMANumber: params.rmaNumber, ...comments }) };
+      }
+    }
+
+    if (kind === 'case') {
+      const path = `/inquiry/${encodeURIComponent(item.caseId)}`;
+      if (action === 'refund') return { response: await postOrder(`${path}/issue_refund`, comments) };
+      if (action === 'provideShipmentInfo') {
+        return { response: await postOrder(`${path}/provide_shipment_info`, {
+          shippingCarrierName: params.carrier,
+          trackingNumber: params.trackingNumber,
+          ...(params.shippedAt ? { shippingDate: { value: params.shippedAt.toISOString() } } : {}),
+          ...comments
+        }) };
+      }
+    }
+
+    if (kind === 'dispute') {
+      const path = `${DISPUTE_URL}/${encodeURIComponent(item.paymentDisputeId)}`;
+      // Every dispute call needs the current revision
+      const { data: dispute } = await axios.get(path, { headers: disputeHeaders, timeout: REQUEST_TIMEOUT_MS });
+      if (action === 'accept') {
+        const { data } = await axios.post(`${path}/accept`, { revision: dispute.revision }, { headers: disputeHeaders, timeout: REQUEST_TIMEOUT_MS });
+        return { response: data || {} };
+      }
+      if (action === 'contest') {
+        const { data } = await axios.post(`${path}/contest`, { revision: dispute.revision, note: params.note }, { headers: disputeHeaders, timeout: REQUEST_TIMEOUT_MS });
+        return { response: data || {} };
+      }
+      if (action === 'uploadEvidence') {
+        const fileIds = [];
+        for (const file of files) {
+          const form = new FormData();
+          form.append('file', file.buffer, { filename: file.fileName, contentType: file.contentType });
+          const { data } = await axios.post(`${path}/upload_evidence_file`, form, {
+            headers: { Authorization: `Bearer ${token}`, ...form.getHeaders() },
+            timeout: REQUEST_TIMEOUT_MS
+          });
+          fileIds.push(data.fileId);
+        }
+        const { data } = await axios.post(`${path}/add_evidence`, {
+          evidenceType: params.evidenceType,
+          files: fileIds.map(fileId => ({ fileId })),
+          lineItems: (dispute.lineItems || []).map(li => ({ itemId: li.itemId, lineItemId: li.lineItemId }))
+        }, { headers: disputeHeaders, timeout: REQUEST_TIMEOUT_MS });
+        return { response: data || {}, fileIds };
+      }
+    }
+  } catch (err) {
+    throw ebayError(err);
+  }
+  throw new Error(`Unsupported action ${kind}.${action}`);
+}
+
+// --- Mock adapter ---
+// Succeeds and remembers the call (mockResolutionCalls()); ids containing FAIL are rejected.
+const mockCalls = [];
+
+export function mockResolutionCalls() {
+  return mockCalls;
+}
+
+export function clearMockResolutions() {
+  mockCalls.length = 0;
+}
+
+async function mockPerform({ kind, action, item, params, files, marketplace }) {
+  const id = item[KINDS[kind].key];
+  mockCalls.push({ kind, action, id, params, marketplace, files: files.map(f => f.fileName) });
+  if (/FAIL/i.test(id)) throw new Error('Mock eBay rejected the action');
+  return { response: { mock: true, kind, action, id }, fileIds: files.map((f, i) => `mock-file-${mockCalls.length}-${i + 1}`) };
+}
+
+const RESOLUTION_ADAPTERS = {
+  ebay: { perform: ebayPerform },
+  mock: { perform: mockPerform }
+};
+
+export function registerResolutionAdapter(name, adapter) {
+  RESOLUTION_ADAPTERS[name] = adapter;
+}
+
+export function resolutionAdapterName() {
+  return process.env.RESOLUTION_ADAPTER || 'ebay';
+}
+
+// Marketplace the item was sold on, for eBay's marketplace header: its order's, else the
+// seller's first one (EBAY_ENCA orders are EBAY_CA there)
+async function itemMarketplace(item, seller) {
+  const order = item.orderId ? await Order.findOne({ orderId: item.orderId }).select('purchaseMarketplaceId').lean() : null;
+  const marketplace = order?.purchaseMarketplaceId || seller.ebayMarketplaces?.[0] || 'EBAY_US';
+  return marketplace === 'EBAY_ENCA' ? 'EBAY_CA' : marketplace;
+}
+
+// Validated evidence files, stored under dispute-evidence/: { files } or { error }
+async function storeEvidence(id, uploads) {
+  if (!uploads?.length) return { error: 'At least one evidence file is required' };
+  const checked = [];
+  for (const file of uploads) {
+    const { error, contentType } = validateFile(file, { allowedTypes: DOCUMENT_TYPES, maxSize: EVIDENCE_MAX_SIZE });
+    if (error) return { error: `${file.originalname}: ${error}` };
+    checked.push({ file, contentType });
+  }
+  const files = [];
+  for (const { file, contentType } of checked) {
+    const key = buildStorageKey(`dispute-evidence/${id}`, contentType);
+    await putFile(key, file.buffer, { contentType });
+    files.push({ key, fileName: file.originalname, contentType, size: file.size, buffer: file.buffer });
+  }
+  return { files };
+}
+
+/**
+ * Take an action on eBay and record it
+ * @param {string} kind - 'return', 'case' or 'dispute'
+ * @param {string} id - eBay returnId, caseId or paymentDisputeId
+ * @param {string} action - See resolutionActions()
+ * @param {Object} body - Action input (amount, carrier, trackingNumber, rmaNumber, note, evidenceType, comments)
+ * @param {Object} options - { userId, files (multer files, for uploadEvidence) }
+ * @returns {Promise<Object>} - { record } (record.status 'succeeded' or 'failed') or { error } / { notFound } /
+ *   { conflict } (a refund already made or on its way)
+ */
+export async function performResolution(kind, id, action, body = {}, { userId, files: uploads } = {}) {
+  const definition = ACTIONS[kind]?.[action];
+  if (!definition) return { error: `Unknown action ${action}` };
+  const { model, key } = KINDS[kind];
+  const item = await model.findOne({ [key]: id });
+  if (!item) return { notFound: true };
+
+  const input = definition.input(body, item);
+  if (input.error) return { error: input.error };
+  const adapterName = resolutionAdapterName();
+  const adapter = RESOLUTION_ADAPTERS[adapterName];
+  if (!adapter) return { error: `Unknown RESOLUTION_ADAPTER ${adapterName}` };
+  const seller = await Seller.findById(item.seller);
+  if (!seller) return { error: 'Seller not found' };
+
+  const run = { kind, id, action, definition, item, input, adapter, adapterName, seller, userId, uploads };
+  if (!definition.once) return runResolution(run);
+
+  // Refunds: one request at a time per item, and never twice (double clicks, retries)
+  const label = `A refund of ${kind} ${id}`;
+  const outcome = await withJobLock(`resolution:${kind}:${id}`, { label, startedBy: userId }, async () => {
+    const done = await ResolutionAction.findOne({ kind, itemId: id, action, status: 'succeeded' }).select('params createdAt').lean();
+    if (done) return { conflict: `Already done on ${done.createdAt.toISOString()}: ${definition.describe(done.params || {}, [])}` };
+    return runResolution(run);
+  });
+  return outcome.acquired ? outcome.result : { conflict: outcome.message };
+}
+
+async function runResolution({ kind, id, action, definition, item, input, adapter, adapterName, seller, userId, uploads }) {
+  let files = [];
+  if (input.needsFiles) {
+    const stored = await storeEvidence(id, uploads);
+    if (stored.error) return { error: stored.error };
+    files = stored.files;
+  }
+
+  const marketplace = await itemMarketplace(item, seller);
+  let outcome = null;
+  let failure = null;
+  try {
+    outcome = await adapter.perform({ seller, kind, action, item: item.toObject(), params: input.params, files, marketplace });
+  } catch (err) {
+    failure = err.message;
+    console.error(`[Resolutions] ${kind} ${id} ${action} failed:`, err.message);
+  }
+
+  const record = await ResolutionAction.create({
+    seller: item.seller,
+    kind,
+    document: item._id,
+    itemId: id,
+    orderId: item.orderId,
+    action,
+    params: input.params,
+    files: files.map((f, i) => ({ key: f.key, fileName: f.fileName, contentType: f.contentType, size: f.size, ebayFileId: outcome?.fileIds?.[i] })),
+    status: failure ? 'failed' : 'succeeded',
+    error: failure,
+    response: outcome?.response,
+    adapter: adapterName,
+    user: userId
+  });
+
+  const text = definition.describe(input.params, files);
+  await recordActivity(kind, id, {
+    type: 'system',
+    body: failure ? `Failed: ${text} (${failure})` : text,
+    author: userId,
+    data: { resolutionAction: record._id, action, status: record.status }
+  });
+  if (!failure) {
+    if (item.worksheetStatus === 'open' || !item.worksheetStatus) item.worksheetStatus = 'attended';
+    if (!item.assignedTo && userId) {
+      item.assignedTo = userId;
+      item.assignedAt = new Date();
+      item.assignedBy = userId;
+    }
+    if (kind === 'dispute' && action === 'uploadEvidence') item.evidenceSubmitted = true;
+    await item.save();
+  }
+
+  console.log(`[Resolutions] ${kind} ${id}: ${action} ${record.status} (${adapterName})`);
+  return { record, item };
+}
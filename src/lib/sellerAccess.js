@@ -0,0 +1,80 @@
+/**
+ * Seller Access Scoping
+ *
+ * Limits which Seller accounts a user can see in order, message, listing and
+ * account-health queries.
+ * - A user with User.assignedSellers set sees only those sellers (e.g. contract staff
+ *   handling one store). An empty list keeps the old behaviour: every seller.
+ * - A 'seller' user always sees only their own Seller account(s).
+ * - requireAuth stores the result on req.user.sellerIds: null = unrestricted,
+ *   otherwise an array of seller id strings (possibly empty = no sellers).
+ * - enforceSellerScope (middleware/auth.js) rejects explicit sellerId inputs outside the
+ *   scope; handlers add sellerScopeMatch(req) to queries that are not already narrowed
+ *   to one seller.
+ *
+ * Usage:
+ *   const query = { ...sellerScopeMatch(req) };
+ *   if (sellerId) query.seller = sellerId;
+ */
+
+import mongoose from 'mongoose';
+import Seller from '../models/Seller.js';
+
+/**
+ * Work out which sellers a user may see
+ * @param {Object} user - Lean User with _id, role and assignedSellers
+ * @returns {Promise<string[]|null>} - null when the user may see every seller
+ */
+export async function resolveSellerScope(user) {
+  const assigned = (user.assignedSellers || []).map(String);
+
+  if (user.role === 'seller') {
+    const own = await Seller.find({ user: user._id }).select('_id').lean();
+    return [...new Set([...own.map(s => String(s._id)), ...assigned])];
+  }
+  return assigned.length > 0 ? assigned : null;
+}
+
+export function isSellerScoped(req) {
+  return Array.isArray(req.user?.sellerIds);
+}
+
+export function canAccessSeller(req, sellerId) {
+  if (!isSellerScoped(req)) return true;
+  if (!sellerId) return false;
+  return req.user.sellerIds.includes(String(sellerId._id || sellerId));
+}
+
+/**
+ * Mongo filter restricting `field` to the caller's sellers ({} when unrestricted)
+ * @param {Object} req - Express request after requireAuth
+ * @param {string} field - Path holding the seller id ('seller' on most models, '_id' on Seller)
+ */
+export function sellerScopeMatch(req, field = 'seller') {
+  if (!isSellerScoped(req)) return {};
+  return { [field]: { $in: req.user.sellerIds.map(id => new mongoose.Types.ObjectId(id)) } };
+}
+
+/**
+ * Filter for "this seller if one was asked for, otherwise every seller the caller may see".
+ * The sellerId itself must already have passed enforceSellerScope.
+ */
+export function scopedSellerMatch(req, sellerId, field = 'seller') {
+  if (sellerId) return { [field]: new mongoose.Types.ObjectId(String(sellerId)) };
+  return sellerScopeMatch(req, field);
+}
+
+// The seller ids a request names explicitly (route param, query string or body)
+export function requestedSellerIds(req) {
+  const values = [
+    req.params?.sellerId,
+    req.query?.sellerId,
+    req.query?.sellerIds,
+    req.body?.sellerId,
+    req.body?.sellerIds
+  ];
+  return values
+    .flatMap(v => (Array.isArray(v) ? v : typeof v === 'string' ? v.split(',') : v ? [v] : []))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,180 @@
+/**
+ * Login Sessions
+ *
+ * Short-lived JWT access tokens backed by a Session document per login.
+ * - The access token carries { userId, role, sid }; requireAuth checks the session is
+ *   still live and the user still active on every request, so logout, "log out all
+ *   devices", admin session kills and User.active=false take effect immediately.
+ * - The refresh token ("<sessionId>.<random>") is stored only as a SHA-256 hash and is
+ *   rotated on every refresh. Presenting an already-rotated token revokes the session
+ *   (it means the token was copied).
+ * - ACCESS_TOKEN_TTL (default '15m') and REFRESH_TOKEN_TTL_DAYS (default 30) tune lifetimes.
+ *
+ * Usage:
+ *   const tokens = await createSession(user, req);
+ *   res.json({ token: tokens.accessToken, refreshToken: tokens.refreshToken });
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+    ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.ip
+  };
+}
+
+function issueTokens(user, session, refreshSecret) {
+  const accessToken = jwt.sign(
+    { userId: user._id.toString(), role: user.role, sid: session._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    refreshToken: `${session._id}.${refreshSecret}`,
+    accessTokenExpiresAt: new Date(exp * 1000),
+    refreshTokenExpiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Start a session for a user who just logged in
+ * @returns {Promise<Object>} - { accessToken, refreshToken, accessTokenExpiresAt, refreshTokenExpiresAt }
+ */
+export async function createSession(user, req) {
+  const refreshSecret = newRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshSecret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...clientInfo(req)
+  });
+  return issueTokens(user, session, refreshSecret);
+}
+
+/**
+ * Exchange a refresh token for a new access token + refresh token
+ * @returns {Promise<Object>} - Tokens as from createSession, or { error } when the token can't be used
+ */
+export async function refreshSession(refreshToken, req) {
+  const [sessionId, refreshSecret] = String(refreshToken || '').split('.');
+  if (!refreshSecret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Session expired, please log in again' };
+  }
+
+  const presentedHash = hashToken(refreshSecret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousRefreshTokenHash) {
+      // An old token came back after rotation: someone else has a copy
+      await revokeSession(session._id, { reason: 'token-reuse' });
+      console.warn(`[Sessions] Refresh token reuse detected for session ${session._id}; session revoked`);
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  const user = await User.findById(session.user).select('role active');
+  if (!user || !user.active) {
+    await revokeSession(session._id, { reason: 'deactivated' });
+    return { error: 'Account is not active' };
+  }
+
+  // Rotate only if nobody rotated it in the meantime (two tabs refreshing at once)
+  const nextSecret = newRefreshSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      previousRefreshTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      ...clientInfo(req)
+    },
+    { new: true }
+  );
+  if (!rotated) return { error: 'Invalid refresh token' };
+
+  return issueTokens(user, rotated, nextSecret);
+}
+
+export async function revokeSession(sessionId, { reason = 'logout', revokedBy = null } = {}) {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every live session of a user
+ * @param {Object} options - { reason, revokedBy, exceptSessionId }
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export async function revokeUserSessions(userId, { reason = 'logout-all', revokedBy = null, exceptSessionId = null } = {}) {
+  const result = await Session.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Check the session behind a verified access token payload
+ * @returns {Promise<Object>} - { user } (lean, with role and assignedSellers) or { error }
+ */
+export async function validateAccessSession(payload) {
+  if (!payload.sid) {
+    // Token from before sessions existed; it cannot be revoked, so make the user log in again
+    return { error: 'Session expired, please log in again' };
+  }
+
+  const [session, user] = await Promise.all([
+    Session.findById(payload.sid).select('user revokedAt expiresAt').lean(),
+    User.findById(payload.userId).select('role active assignedSellers').lean()
+  ]);
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date() || String(session.user) !== String(payload.userId)) {
+    return { error: 'Session has been revoked' };
+  }
+  if (!user || !user.active) {
+    return { error: 'Account is not active' };
+  }
+  return { user };
+}
+
+// Sessions as shown to users and admins (never includes token hashes)
+export async function listUserSessions(userId, { includeRevoked = false } = {}) {
+  return Session.find({
+    user: userId,
+    ...(includeRevoked ? {} : { revokedAt: null, expiresAt: { $gt: new Date() } })
+  })
+    .select('-refreshTokenHash -previousRefreshTokenHash')
+    .populate('revokedBy', 'username')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
@@ -0,0 +1,208 @@
+/**
+ * Late-Shipment Risk
+ *
+ * Warns about unshipped orders before they miss their shipByDate and count against the
+ * late-shipment rate, which eBay only reports afterwards.
+ * - An order is at risk while it is not fulfilled, not cancelled and has no tracking
+ *   number (eBay or manual). By its shipByDate it is overdue (passed, within the last 30
+ *   days), dueToday (later today, Pacific time like the order dashboards) or dueIn24h
+ *   (within 24 hours after today).
+ * - shippingRiskSummary() counts them live per seller and marketplace.
+ * - The scheduled run stores each order's class in Order.shippingRisk and raises an alert
+ *   only when an order gets worse: order.lateShipmentRisk per order (webhook) and one
+ *   shippingRisk.alert per seller (SSE) with the counts. Orders shipped or cancelled since
+ *   lose their class. Runs hold the 'shipping-risk' lock.
+ *
+ * Usage:
+ *   const rows = await shippingRiskSummary({ match: sellerScopeMatch(req) });
+ *   const outcome = await runShippingRiskAlerts();
+ */
+
+import Order from '../models/Order.js';
+import { withJobLock } from './jobLock.js';
+import { publishEvent } from './realtimeEvents.js';
+import { dispatchWebhookEvent } from './webhooks.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Orders overdue for longer than this are left to the order sheets
+const OVERDUE_LOOKBACK_DAYS = 30;
+const PT_TIMEZONE = 'America/Los_Angeles';
+const PST_OFFSET_HOURS = 8;
+
+// Least to most urgent
+export const SHIPPING_RISKS = ['dueIn24h', 'dueToday', 'overdue'];
+
+/**
+ * Orders that still need tracking uploaded (Mongo filter)
+ */
+export function openShipmentMatch() {
+  return {
+    orderFulfillmentStatus: { $ne: 'FULFILLED' },
+    cancelState: { $in: ['NONE_REQUESTED', 'IN_PROGRESS', null, ''] },
+    trackingNumber: { $in: [null, ''] },
+    manualTrackingNumber: { $in: [null, ''] }
+  };
+}
+
+// Boundaries of the classes at `now`: end of today (PT) and 24 hours after it
+function riskWindow(now = new Date()) {
+  const today = new Intl.DateTimeFormat('en-CA', {
+    timeZone: PT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+  const endOfToday = new Date(today);
+  endOfToday.setUTCDate(endOfToday.getUTCDate() + 1);
+  endOfToday.setUTCHours(PST_OFFSET_HOURS - 1, 59, 59, 999);
+  return { now, endOfToday, end: new Date(endOfToday.getTime() + 24 * HOUR_MS) };
+}
+
+/**
+ * Risk class of an open order at `now`: 'overdue', 'dueToday', 'dueIn24h' or null
+ */
+export function classifyShippingRisk(shipByDate, now = new Date()) {
+  if (!shipByDate) return null;
+  const due = new Date(shipByDate);
+  const window = riskWindow(now);
+  if (due < window.now) return 'overdue';
+  if (due <= window.endOfToday) return 'dueToday';
+  if (due <= window.end) return 'dueIn24h';
+  return null;
+}
+
+// Mongo filter for one class
+function riskMatch(risk, now) {
+  const { endOfToday, end } = riskWindow(now);
+  const since = new Date(now.getTime() - OVERDUE_LOOKBACK_DAYS * 24 * HOUR_MS);
+  if (risk === 'overdue') return { shipByDate: { $gte: since, $lt: now } };
+  if (risk === 'dueToday') return { shipByDate: { $gte: now, $lte: endOfToday } };
+  if (risk === 'dueIn24h') return { shipByDate: { $gt: endOfToday, $lte: end } };
+  return { shipByDate: { $gte: since, $lte: end } };
+}
+
+function marketplaceMatch(marketplace) {
+  if (!marketplace) return {};
+  return { purchaseMarketplaceId: marketplace === 'EBAY_CA' ? { $in: ['EBAY_CA', 'EBAY_ENCA'] } : marketplace };
+}
+
+/**
+ * Open orders at risk per seller and marketplace, most overdue first
+ * @param {Object} options
+ * @param {Object} options.match - Seller filter (sellerScopeMatch / scopedSellerMatch)
+ * @param {string} options.marketplace - Only this marketplace (EBAY_US, ...)
+ * @returns {Promise<Object>} - { rows: [{ seller, sellerName, marketplace, overdue, dueToday,
+ *   dueIn24h, total }], totals: { overdue, dueToday, dueIn24h, total }, asOf }
+ */
+export async function shippingRiskSummary({ match = {}, marketplace, now = new Date() } = {}) {
+  const { endOfToday } = riskWindow(now);
+  const rows = await Order.aggregate([
+    { $match: { ...match, ...openShipmentMatch(), ...marketplaceMatch(marketplace), ...riskMatch(null, now) } },
+    {
+      $group: {
+        _id: { seller: '$seller', marketplace: '$purchaseMarketplaceId' },
+        overdue: { $sum: { $cond: [{ $lt: ['$shipByDate', now] }, 1, 0] } },
+        dueToday: { $sum: { $cond: [{ $and: [{ $gte: ['$shipByDate', now] }, { $lte: ['$shipByDate', endOfToday] }] }, 1, 0] } },
+        dueIn24h: { $sum: { $cond: [{ $gt: ['$shipByDate', endOfToday] }, 1, 0] } },
+        total: { $sum: 1 }
+      }
+    },
+    { $lookup: { from: 'sellers', localField: '_id.seller', foreignField: '_id', as: 'seller' } },
+    { $lookup: { from: 'users', localField: 'seller.user', foreignField: '_id', as: 'user' } },
+    {
+      $project: {
+        _id: 0,
+        seller: '$_id.seller',
+        sellerName: { $ifNull: [{ $arrayElemAt: ['$user.username', 0] }, 'Unknown'] },
+        marketplace: '$_id.marketplace',
+        overdue: 1,
+        dueToday: 1,
+        dueIn24h: 1,
+        total: 1
+      }
+    },
+    { $sort: { overdue: -1, dueToday: -1, dueIn24h: -1, sellerName: 1 } }
+  ]);
+
+  const totals = { overdue: 0, dueToday: 0, dueIn24h: 0, total: 0 };
+  for (const row of rows) {
+    for (const key of Object.keys(totals)) totals[key] += row[key];
+  }
+  return { rows, totals, asOf: now };
+}
+
+/**
+ * Mongo filter for the open orders of one risk class (all classes when risk is empty)
+ */
+export function shippingRiskOrdersMatch({ match = {}, marketplace, risk, now = new Date() } = {}) {
+  return { ...match, ...openShipmentMatch(), ...marketplaceMatch(marketplace), ...riskMatch(risk, now) };
+}
+
+async function alertShippingRisks() {
+  const now = new Date();
+  const summary = { atRisk: 0, escalated: 0, cleared: 0 };
+
+  const orders = await Order.find(shippingRiskOrdersMatch({ now }))
+    .select('seller orderId legacyOrderId buyer.username productName purchaseMarketplaceId shipByDate shippingRisk')
+    .lean();
+  const atRisk = new Set();
+  const escalatedBySeller = new Map();
+
+  for (const order of orders) {
+    const risk = classifyShippingRisk(order.shipByDate, now);
+    if (!risk) continue;
+    atRisk.add(String(order._id));
+    summary.atRisk++;
+    if (SHIPPING_RISKS.indexOf(risk) <= SHIPPING_RISKS.indexOf(order.shippingRisk)) continue;
+
+    await Order.updateOne({ _id: order._id }, { $set: { shippingRisk: risk, shippingRiskAt: now } });
+    summary.escalated++;
+    dispatchWebhookEvent('order.lateShipmentRisk', {
+      sellerId: order.seller,
+      data: {
+        orderId: order.orderId,
+        legacyOrderId: order.legacyOrderId,
+        buyerUsername: order.buyer?.username,
+        productName: order.productName,
+        marketplace: order.purchaseMarketplaceId,
+        shipByDate: order.shipByDate,
+        previousRisk: order.shippingRisk || null,
+        risk
+      }
+    });
+    const key = String(order.seller);
+    if (!escalatedBySeller.has(key)) escalatedBySeller.set(key, []);
+    escalatedBySeller.get(key).push({ orderId: order.orderId, risk, shipByDate: order.shipByDate });
+  }
+
+  // Shipped, cancelled or no longer due: drop the class so a later risk alerts again
+  const stale = await Order.find({ shippingRisk: { $ne: null } }).select('_id').lean();
+  const clear = stale.filter(o => !atRisk.has(String(o._id))).map(o => o._id);
+  if (clear.length > 0) {
+    await Order.updateMany({ _id: { $in: clear } }, { $set: { shippingRisk: null, shippingRiskAt: null } });
+    summary.cleared = clear.length;
+  }
+
+  for (const [sellerId, escalated] of escalatedBySeller) {
+    const counts = { overdue: 0, dueToday: 0, dueIn24h: 0 };
+    for (const order of orders) {
+      if (String(order.seller) !== sellerId) continue;
+      const risk = classifyShippingRisk(order.shipByDate, now);
+      if (risk) counts[risk]++;
+    }
+    publishEvent('shippingRisk.alert', { sellerId, data: { ...counts, escalated } });
+  }
+
+  if (summary.escalated > 0) {
+    console.log(`[ShippingRisk] ${summary.atRisk} order(s) at risk, ${summary.escalated} escalated, ${summary.cleared} cleared`);
+  }
+  return summary;
+}
+
+/**
+ * Classify open orders and send alerts for the ones that got worse, under the
+ * 'shipping-risk' lock. Returns withJobLock's outcome; result is { atRisk, escalated, cleared }.
+ */
+export async function runShippingRiskAlerts(owner = { startedByName: 'scheduler' }) {
+  return withJobLock('shipping-risk', { label: 'Late-shipment risk check', ...owner }, alertShippingRisks);
+}
@@ -0,0 +1,190 @@
+/**
+ * SKU Registry
+ *
+ * Keeps the SKU -> ASIN mapping of every seller in SkuMapping, so an eBay SKU, item ID
+ * or order can always be traced back to its Amazon product.
+ * - Template listing routes record mappings when listings are created or imported;
+ *   the active listing sync adds the eBay item ID (and the ASIN, from the template
+ *   listing or from a SKU that is itself an ASIN).
+ * - A known ASIN is never overwritten automatically: a different ASIN for the same SKU
+ *   is kept in conflictAsins for someone to sort out (PUT /api/sku-mappings/:id).
+ * - allocateSkus() replaces bare generateSKUFromASIN() when SKUs are generated: the
+ *   GRW25 + last-5 scheme collides for ASINs sharing their last 5 characters, so a SKU
+ *   already mapped to another ASIN gets a -2, -3... suffix instead.
+ *
+ * Usage:
+ *   const skus = await allocateSkus(sellerId, asins);       // Map asin -> sku
+ *   await recordTemplateListingMappings(listings, 'import');
+ *   const asins = await lookupAsins(sellerId, ['GRW25ABCDE']); // Map sku -> asin
+ */
+
+import SkuMapping from '../models/SkuMapping.js';
+import TemplateListing from '../models/TemplateListing.js';
+import { generateSKUFromASIN, isValidASIN } from '../utils/skuGenerator.js';
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function amazonProductUrl(asin) {
+  return asin ? `https://www.amazon.com/dp/${asin}` : null;
+}
+
+/**
+ * Collision-free SKUs for new listings of one seller
+ * @param {string} sellerId
+ * @param {string[]} asins
+ * @returns {Promise<Map<string, string>>} - asin (as given) -> sku
+ */
+export async function allocateSkus(sellerId, asins) {
+  const bases = new Map(asins.filter(Boolean).map(asin => [asin, generateSKUFromASIN(asin)]));
+
+  // Every SKU already in use in the families we might hand out (base and base-N), from the
+  // registry and from template listings that predate it
+  const families = [...new Set(bases.values())].map(escapeRegex);
+  const pattern = `^(${families.join('|')})(-\\d+)?$`;
+  const [mappings, listings] = families.length === 0 ? [[], []] : await Promise.all([
+    SkuMapping.find({ seller: sellerId, sku: { $regex: pattern } }).select('sku asin').lean(),
+    TemplateListing.find({ sellerId, customLabel: { $regex: pattern }, deletedAt: null })
+      .select('+_asinReference customLabel')
+      .lean()
+  ]);
+
+  const owners = new Map(); // sku -> asin ('' = SKU with unknown ASIN)
+  for (const l of listings) owners.set(l.customLabel, l._asinReference || '');
+  for (const m of mappings) owners.set(m.sku, m.asin || owners.get(m.sku) || '');
+  const skus = new Map();
+
+  for (const given of bases.keys()) {
+    const asin = given.trim().toUpperCase();
+    const base = bases.get(given);
+    let sku = base;
+    for (let n = 2; owners.has(sku) && owners.get(sku) !== asin; n++) {
+      sku = `${base}-${n}`;
+    }
+    if (sku !== base) {
+      console.log(`[SkuRegistry] SKU ${base} is taken by ASIN ${owners.get(base) || '(unknown)'}; using ${sku} for ${asin}`);
+    }
+    owners.set(sku, asin);
+    skus.set(given, sku);
+  }
+
+  return skus;
+}
+
+/**
+ * Upsert mappings. Fields left out of an entry are not touched; a missing ASIN is
+ * filled from the seller's template listings or from a SKU that is an ASIN.
+ * @param {Object[]} entries - { seller, sku, asin, itemId, templateId, templateListing }
+ * @param {string} source - 'template' | 'import' | 'sync'
+ */
+export async function recordSkuMappings(entries, source) {
+  const valid = entries.filter(e => e.seller && e.sku && String(e.sku).trim());
+  if (valid.length === 0) return;
+
+  // Group by seller so each seller needs one lookup
+  const bySeller = new Map();
+  for (const entry of valid) {
+    const key = String(entry.seller);
+    if (!bySeller.has(key)) bySeller.set(key, new Map());
+    const sku = String(entry.sku).trim();
+    // Later entries for the same SKU win
+    bySeller.get(key).set(sku, { ...bySeller.get(key).get(sku), ...dropEmpty(entry), sku });
+  }
+
+  const ops = [];
+  for (const [sellerId, skuEntries] of bySeller) {
+    const skus = [...skuEntries.keys()];
+    const existing = new Map(
+      (await SkuMapping.find({ seller: sellerId, sku: { $in: skus } }).lean()).map(m => [m.sku, m])
+    );
+
+    // ASINs for SKUs that came without one (e.g. from the listing sync)
+    const missingAsin = skus.filter(sku => !skuEntries.get(sku).asin && !existing.get(sku)?.asin);
+    const templateAsins = await templateListingAsins(sellerId, missingAsin);
+
+    for (const [sku, entry] of skuEntries) {
+      const current = existing.get(sku);
+      const fromTemplate = templateAsins.get(sku);
+      const asin = (entry.asin || fromTemplate?.asin || (isValidASIN(sku) ? sku : null))?.toUpperCase() || null;
+
+      const $set = {};
+      if (entry.itemId) $set.itemId = String(entry.itemId);
+      const templateId = entry.templateId || fromTemplate?.templateId;
+      if (templateId) $set.templateId = templateId;
+      const templateListing = entry.templateListing || fromTemplate?._id;
+      if (templateListing) $set.templateListing = templateListing;
+
+      const update = { $set };
+      if (!current) {
+        update.$setOnInsert = { source };
+        if (asin) $set.asin = asin;
+      } else if (asin && !current.asin) {
+        $set.asin = asin;
+      } else if (asin && current.asin !== asin) {
+        console.warn(`[SkuRegistry] SKU ${sku} is mapped to ${current.asin}; not replacing it with ${asin}`);
+        update.$addToSet = { conflictAsins: asin };
+      }
+
+      if (Object.keys($set).length === 0) delete update.$set;
+      if (Object.keys(update).length === 0) continue;
+      ops.push({ updateOne: { filter: { seller: sellerId, sku }, update, upsert: true } });
+    }
+  }
+
+  if (ops.length > 0) await SkuMapping.bulkWrite(ops, { ordered: false });
+}
+
+function dropEmpty(entry) {
+  return Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+async function templateListingAsins(sellerId, skus) {
+  if (skus.length === 0) return new Map();
+  const listings = await TemplateListing.find({ sellerId, customLabel: { $in: skus }, deletedAt: null })
+    .select('+_asinReference customLabel templateId')
+    .lean();
+  return new Map(listings
+    .filter(l => l._asinReference)
+    .map(l => [l.customLabel, { asin: l._asinReference, templateId: l.templateId, _id: l._id }]));
+}
+
+/**
+ * Record mappings for saved TemplateListing documents (lean or hydrated; _asinReference
+ * must have been selected)
+ */
+export async function recordTemplateListingMappings(listings, source = 'template') {
+  await recordSkuMappings(listings.filter(Boolean).map(listing => ({
+    seller: listing.sellerId?._id || listing.sellerId,
+    sku: listing.customLabel,
+    asin: listing._asinReference,
+    itemId: listing.ebayItemId,
+    templateId: listing.templateId?._id || listing.templateId,
+    templateListing: listing._id
+  })), source);
+}
+
+/**
+ * ASINs for some of a seller's SKUs, from the registry with the template listings as fallback
+ * @returns {Promise<Map<string, string>>} - sku -> asin (SKUs with no known ASIN are left out)
+ */
+export async function lookupAsins(sellerId, skus) {
+  const wanted = [...new Set(skus.filter(Boolean))];
+  if (wanted.length === 0) return new Map();
+
+  const mappings = await SkuMapping.find({ seller: sellerId, sku: { $in: wanted }, asin: { $ne: null } })
+    .select('sku asin')
+    .lean();
+  const result = new Map(mappings.map(m => [m.sku, m.asin]));
+
+  const unknown = wanted.filter(sku => !result.has(sku));
+  if (unknown.length > 0) {
+    const fromTemplates = await templateListingAsins(sellerId, unknown);
+    for (const [sku, { asin }] of fromTemplates) result.set(sku, asin);
+  }
+  // Listings whose SKU is the ASIN itself
+  for (const sku of wanted) {
+    if (!result.has(sku) && isValidASIN(sku)) result.set(sku, sku.trim().toUpperCase());
+  }
+  return result;
+}
@@ -0,0 +1,229 @@
+/**
+ * SLA Timers & Escalation
+ *
+ * Tracks the eBay response deadlines of open returns (responseDate), INR cases
+ * (sellerResponseDueDate) and payment disputes (respondByDate, or evidenceDeadline while
+ * no evidence was sent; whichever comes first). A missed dispute deadline loses the full
+ * order amount.
+ * - Escalation thresholds are hours before the deadline, SLA_THRESHOLDS_HOURS (default
+ *   "24,4"). Passing the first one notifies the assigned user (lib/workQueue.js); later
+ *   ones and the missed deadline also notify managers: active users whose role has
+ *   workQueue.manage and who can see the seller. Unassigned items go to managers straight away.
+ * - Each item remembers the last level sent for its deadline (slaEscalation), so every
+ *   level goes out once; a new deadline (eBay extended it) starts over.
+ * - Escalations go out as sla.escalation (SSE, to the recipients) and sla.escalated
+ *   (webhook). The scheduled run holds the 'sla-escalation' lock.
+ *
+ * Usage:
+ *   const items = await slaAtRisk({ match: sellerScopeMatch(req), withinHours: 48 });
+ *   const outcome = await runSlaEscalations();
+ */
+
+import Return from '../models/Return.js';
+import Case from '../models/Case.js';
+import PaymentDispute from '../models/PaymentDispute.js';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { openWorkMatch } from './workQueue.js';
+import { withJobLock } from './jobLock.js';
+import { publishEvent } from './realtimeEvents.js';
+import { dispatchWebhookEvent } from './webhooks.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Missed deadlines older than this are left to the worksheet
+const MISSED_LOOKBACK_DAYS = 7;
+
+// Per kind: model, eBay id, the fields shown in lists and the Mongo filter for a deadline window
+const SLA_KINDS = {
+  return: {
+    model: Return,
+    key: 'returnId',
+    fields: 'seller returnId orderId buyerUsername itemTitle returnReason returnStatus refundAmount responseDate worksheetStatus assignedTo slaEscalation',
+    window: range => ({ responseDate: range })
+  },
+  case: {
+    model: Case,
+    key: 'caseId',
+    fields: 'seller caseId caseType orderId buyerUsername itemTitle status claimAmount sellerResponseDueDate worksheetStatus assignedTo slaEscalation',
+    window: range => ({ sellerResponseDueDate: range })
+  },
+  dispute: {
+    model: PaymentDispute,
+    key: 'paymentDisputeId',
+    fields: 'seller paymentDisputeId orderId buyerUsername reason paymentDisputeStatus amount respondByDate evidenceDeadline evidenceSubmitted worksheetStatus assignedTo slaEscalation',
+    window: range => ({
+      $or: [
+        { respondByDate: range },
+        { evidenceDeadline: range, evidenceSubmitted: { $ne: true } }
+      ]
+    })
+  }
+};
+
+export const SLA_ITEM_KINDS = Object.keys(SLA_KINDS);
+
+/**
+ * Escalation thresholds in hours before the deadline, furthest first
+ */
+export function slaThresholds() {
+  const hours = String(process.env.SLA_THRESHOLDS_HOURS || '24,4')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => Number.isFinite(value) && value > 0);
+  return [...new Set(hours.length > 0 ? hours : [24, 4])].sort((a, b) => b - a);
+}
+
+/**
+ * The deadline an item is working against: { deadline, type: 'response' | 'evidence' }, or null
+ */
+export function slaDeadline(kind, item) {
+  if (kind === 'return') return item.responseDate ? { deadline: new Date(item.responseDate), type: 'response' } : null;
+  if (kind === 'case') return item.sellerResponseDueDate ? { deadline: new Date(item.sellerResponseDueDate), type: 'response' } : null;
+
+  const candidates = [];
+  if (item.respondByDate) candidates.push({ deadline: new Date(item.respondByDate), type: 'response' });
+  if (item.evidenceDeadline && !item.evidenceSubmitted) candidates.push({ deadline: new Date(item.evidenceDeadline), type: 'evidence' });
+  candidates.sort((a, b) => a.deadline - b.deadline);
+  return candidates[0] || null;
+}
+
+/**
+ * Escalation level at `now`: 0 before the first threshold, one more per threshold passed,
+ * thresholds.length + 1 once the deadline is missed
+ */
+export function slaLevel(deadline, thresholds = slaThresholds(), now = new Date()) {
+  const hoursLeft = (deadline - now) / HOUR_MS;
+  if (hoursLeft <= 0) return thresholds.length + 1;
+  return thresholds.filter(hours => hoursLeft <= hours).length;
+}
+
+function amountOf(kind, item) {
+  const amount = kind === 'return' ? item.refundAmount : kind === 'case' ? item.claimAmount : item.amount;
+  const value = parseFloat(amount?.value);
+  return Number.isFinite(value) ? { value, currency: amount.currency || 'USD' } : null;
+}
+
+// Open items whose deadline falls in the window, with their SLA state
+async function loadSlaItems({ match = {}, kinds = SLA_ITEM_KINDS, withinHours, includeMissed = true, now = new Date(), populate = false }) {
+  const range = { $lte: new Date(now.getTime() + withinHours * HOUR_MS) };
+  range.$gte = includeMissed ? new Date(now.getTime() - MISSED_LOOKBACK_DAYS * 24 * HOUR_MS) : now;
+  const thresholds = slaThresholds();
+
+  const items = [];
+  for (const kind of kinds) {
+    const { model, key, fields, window } = SLA_KINDS[kind];
+    let query = model.find({ ...match, ...openWorkMatch(kind), ...window(range) }).select(fields);
+    if (populate) {
+      query = query
+        .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+        .populate('assignedTo', 'username');
+    }
+    for (const item of await query.lean()) {
+      const sla = slaDeadline(kind, item);
+      if (!sla || sla.deadline > range.$lte || sla.deadline < range.$gte) continue;
+      items.push({
+        kind,
+        id: item[key],
+        item,
+        deadline: sla.deadline,
+        deadlineType: sla.type,
+        hoursRemaining: Math.round(((sla.deadline - now) / HOUR_MS) * 10) / 10,
+        level: slaLevel(sla.deadline, thresholds, now),
+        missed: sla.deadline <= now,
+        amount: amountOf(kind, item)
+      });
+    }
+  }
+  return items.sort((a, b) => a.deadline - b.deadline);
+}
+
+/**
+ * Open returns, cases and disputes due within withinHours (and missed in the last week
+ * unless includeMissed is false), most urgent first
+ * @param {Object} options
+ * @param {Object} options.match - Seller / assignee filter
+ * @param {Array<string>} options.kinds - Kinds to include (default all)
+ * @param {number} options.withinHours - Window ahead of now (default the first threshold)
+ * @returns {Promise<Array>} - [{ kind, id, item, deadline, deadlineType, hoursRemaining, level, missed, amount }]
+ */
+export async function slaAtRisk({ match = {}, kinds, withinHours, includeMissed = true } = {}) {
+  return loadSlaItems({
+    match,
+    kinds,
+    withinHours: withinHours > 0 ? withinHours : slaThresholds()[0],
+    includeMissed,
+    populate: true
+  });
+}
+
+// Active managers (roles with workQueue.manage) per seller access: [{ _id, assignedSellers }]
+async function loadManagers() {
+  const roles = await Role.find({ permissions: 'workQueue.manage' }).distinct('name');
+  return User.find({ role: { $in: roles }, active: { $ne: false } }).select('assignedSellers').lean();
+}
+
+function managersFor(managers, sellerId) {
+  return managers
+    .filter(m => !m.assignedSellers?.length || m.assignedSellers.some(id => String(id) === String(sellerId)))
+    .map(m => String(m._id));
+}
+
+async function escalate() {
+  const now = new Date();
+  const thresholds = slaThresholds();
+  const summary = { checked: 0, escalated: 0, missed: 0 };
+  const items = await loadSlaItems({ withinHours: thresholds[0], now });
+  const managers = await loadManagers();
+
+  for (const entry of items) {
+    summary.checked++;
+    const { kind, item, deadline, level } = entry;
+    const previous = item.slaEscalation?.deadline && new Date(item.slaEscalation.deadline).getTime() === deadline.getTime()
+      ? item.slaEscalation.level || 0
+      : 0;
+    if (level === 0 || level <= previous) continue;
+
+    const { model } = SLA_KINDS[kind];
+    const updated = await model.updateOne(
+      { _id: item._id, 'slaEscalation.level': item.slaEscalation?.level ?? { $exists: false } },
+      { $set: { slaEscalation: { level, deadline, at: now } } }
+    );
+    if (updated.modifiedCount === 0) continue; // Another run got there first
+
+    const assignee = item.assignedTo ? [String(item.assignedTo)] : [];
+    const recipients = level === 1 && assignee.length > 0
+      ? assignee
+      : [...new Set([...assignee, ...managersFor(managers, item.seller)])];
+    const data = {
+      kind,
+      id: entry.id,
+      orderId: item.orderId,
+      buyerUsername: item.buyerUsername,
+      deadline,
+      deadlineType: entry.deadlineType,
+      hoursRemaining: entry.hoursRemaining,
+      level,
+      missed: entry.missed,
+      amount: entry.amount,
+      assignedTo: item.assignedTo || null
+    };
+
+    publishEvent('sla.escalation', { sellerId: item.seller, userIds: recipients, data });
+    dispatchWebhookEvent('sla.escalated', { sellerId: item.seller, data });
+    summary.escalated++;
+    if (entry.missed) summary.missed++;
+  }
+
+  if (summary.escalated > 0) {
+    console.log(`[SLA] ${summary.escalated} escalation(s) sent (${summary.missed} missed deadline(s)) of ${summary.checked} item(s) due soon`);
+  }
+  return summary;
+}
+
+/**
+ * Escalate open items that passed a threshold since the last run, under the
+ * 'sla-escalation' lock. Returns withJobLock's outcome; result is { checked, escalated, missed }.
+ */
+export async function runSlaEscalations(owner = { startedByName: 'scheduler' }) {
+  return withJobLock('sla-escalation', { label: 'SLA escalation', ...owner }, escalate);
+}
@@ -0,0 +1,209 @@
+/**
+ * Out-of-Stock Monitor
+ *
+ * Sets the eBay quantity of a listing to 0 when its Amazon source ASIN goes unavailable,
+ * and puts it back when the ASIN is in stock again.
+ * - Listings are linked to their ASIN through the SKU registry (lib/skuRegistry.js).
+ * - Availability is scraped once per ASIN per run (ScraperAPI); pages where it can't be
+ *   read (captchas, layout changes) never change anything.
+ * - Quantities are changed with the same ReviseInventoryStatus call as the new-order
+ *   update (reviseListingQuantity in routes/ebay.js). Only listings the monitor zeroed
+ *   itself are restored, to STOCK_RESTORE_QUANTITY (default 1, what new orders set).
+ *   The seller's eBay account needs out-of-stock control on, or eBay ends listings at 0.
+ * - StockOverride excludes or pins single listings or whole ASINs; the items excluded
+ *   from quantity updates in routes/ebay.js are always left alone.
+ * - Every change, applied or failed, is saved as a StockEvent.
+ * - A run checks up to STOCK_MONITOR_BATCH listings (default 100), least recently checked
+ *   first, under the 'stock-monitor' lock.
+ *
+ * Usage:
+ *   const outcome = await startStockMonitor({ sellerId, trigger: 'manual', triggeredBy: userId });
+ *   if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+ */
+
+import ActiveListing from '../models/ActiveListing.js';
+import Seller from '../models/Seller.js';
+import StockOverride from '../models/StockOverride.js';
+import StockEvent from '../models/StockEvent.js';
+import { acquireJobLock } from './jobLock.js';
+import { lookupAsins } from './skuRegistry.js';
+import { scrapeAmazonAvailabilityWithScraperAPI } from '../utils/scraperApiPrice.js';
+import { ensureValidToken, reviseListingQuantity, QUANTITY_UPDATE_EXCLUDED_ITEMS } from '../routes/ebay.js';
+
+function batchSize() {
+  return parseInt(process.env.STOCK_MONITOR_BATCH) || 100;
+}
+
+function restoreQuantity() {
+  return parseInt(process.env.STOCK_RESTORE_QUANTITY) || 1;
+}
+
+async function loadOverrides() {
+  const overrides = await StockOverride.find().lean();
+  return {
+    byItem: new Map(overrides.filter(o => o.itemId).map(o => [o.itemId, o])),
+    byAsin: new Map(overrides.filter(o => o.asin).map(o => [o.asin, o]))
+  };
+}
+
+// SKU -> ASIN maps per seller for a batch of listings
+async function resolveAsins(listings) {
+  const skusBySeller = new Map();
+  for (const listing of listings) {
+    const key = String(listing.seller);
+    if (!skusBySeller.has(key)) skusBySeller.set(key, []);
+    if (listing.sku) skusBySeller.get(key).push(listing.sku);
+  }
+
+  const asinsBySeller = new Map();
+  for (const [sellerId, skus] of skusBySeller) {
+    asinsBySeller.set(sellerId, await lookupAsins(sellerId, skus));
+  }
+  return asinsBySeller;
+}
+
+// Scrape failures count as 'unknown' so they never change a listing
+async function getAvailability(asin, cache) {
+  if (!cache.has(asin)) {
+    try {
+      cache.set(asin, await scrapeAmazonAvailabilityWithScraperAPI(asin, 'US'));
+    } catch (err) {
+      cache.set(asin, { availability: 'unknown', text: `Scrape failed: ${err.message}` });
+    }
+  }
+  return cache.get(asin);
+}
+
+function getToken(sellerId, tokens) {
+  const key = String(sellerId);
+  if (!tokens.has(key)) {
+    tokens.set(key, (async () => {
+      const seller = await Seller.findById(sellerId).populate('user', 'username');
+      if (!seller?.ebayTokens?.refresh_token) throw new Error('Seller has no eBay connection');
+      return ensureValidToken(seller);
+    })());
+  }
+  return tokens.get(key);
+}
+
+// Apply one quantity change and log it; returns true if eBay accepted it
+async function changeQuantity(listing, event, tokens) {
+  try {
+    const token = await getToken(listing.seller, tokens);
+    const outcome = await reviseListingQuantity(token, listing.itemId, event.quantity);
+    if (!outcome.ok) throw new Error(outcome.message);
+
+    await StockEvent.create({ ...event, status: 'applied' });
+    console.log(`[StockMonitor] ${event.action === 'zeroed' ? 'Zeroed' : 'Restored'} ItemID ${listing.itemId} (${event.asin || 'override'})`);
+    return true;
+  } catch (err) {
+    await StockEvent.create({ ...event, status: 'failed', error: err.message });
+    console.error(`[StockMonitor] Failed to update ItemID ${listing.itemId}:`, err.message);
+    return false;
+  }
+}
+
+async function checkListings({ sellerId, itemIds, trigger, triggeredBy, limit }) {
+  const query = { listingStatus: 'Active' };
+  if (sellerId) query.seller = sellerId;
+  if (itemIds?.length) query.itemId = { $in: itemIds };
+
+  const listings = await ActiveListing.find(query)
+    .sort({ stockCheckedAt: 1, _id: 1 })
+    .limit(limit || batchSize())
+    .select('seller itemId sku stockZeroedAt')
+    .lean();
+
+  const asinsBySeller = await resolveAsins(listings);
+  const overrides = await loadOverrides();
+  const availabilityCache = new Map();
+  const tokens = new Map();
+  const summary = { checked: 0, zeroed: 0, restored: 0, failed: 0, unknown: 0, skipped: 0 };
+
+  for (const listing of listings) {
+    summary.checked++;
+    const update = { stockCheckedAt: new Date() };
+
+    try {
+      if (QUANTITY_UPDATE_EXCLUDED_ITEMS.has(listing.itemId)) {
+        summary.skipped++;
+        continue;
+      }
+
+      const asin = (listing.sku && asinsBySeller.get(String(listing.seller)).get(listing.sku)) || null;
+      const override = overrides.byItem.get(listing.itemId) || (asin && overrides.byAsin.get(asin));
+      if (override?.mode === 'exclude' || (!asin && !override)) {
+        summary.skipped++;
+        continue;
+      }
+
+      let availability;
+      let availabilityText;
+      if (override) {
+        availability = override.mode === 'inStock' ? 'in_stock' : 'out_of_stock';
+      } else {
+        ({ availability, text: availabilityText } = await getAvailability(asin, availabilityCache));
+        update.sourceAvailability = availability;
+      }
+
+      const zero = availability === 'out_of_stock' && !listing.stockZeroedAt;
+      const restore = availability === 'in_stock' && Boolean(listing.stockZeroedAt);
+      if (!zero && !restore) {
+        if (availability === 'unknown') summary.unknown++;
+        continue;
+      }
+
+      const applied = await changeQuantity(listing, {
+        seller: listing.seller,
+        itemId: listing.itemId,
+        sku: listing.sku,
+        asin,
+        action: zero ? 'zeroed' : 'restored',
+        quantity: zero ? 0 : restoreQuantity(),
+        availability,
+        availabilityText,
+        override: override?.mode || null,
+        trigger,
+        user: triggeredBy
+      }, tokens);
+
+      if (applied) {
+        update.stockZeroedAt = zero ? new Date() : null;
+        summary[zero ? 'zeroed' : 'restored']++;
+      } else {
+        summary.failed++;
+      }
+    } finally {
+      await ActiveListing.updateOne({ _id: listing._id }, { $set: update });
+    }
+  }
+
+  console.log(`[StockMonitor] ${summary.checked} checked, ${summary.zeroed} zeroed, ${summary.restored} restored, ` +
+    `${summary.failed} failed, ${summary.unknown} unknown, ${summary.skipped} skipped`);
+  return summary;
+}
+
+/**
+ * Start a monitor run
+ * @param {Object} options
+ * @param {string} options.sellerId - Only this seller's listings (default: all)
+ * @param {string[]} options.itemIds - Only these listings
+ * @param {string} options.trigger - 'schedule' or 'manual'
+ * @param {string} options.triggeredBy - User ID for manual runs
+ * @param {string} options.startedByName - Display name for "already running" messages
+ * @param {number} options.limit - Listings to check (default STOCK_MONITOR_BATCH)
+ * @returns {Promise<Object>} - { acquired: true, done } where done resolves with the run
+ *   summary, or { acquired: false, message } if a run is already going
+ */
+export async function startStockMonitor({ sellerId, itemIds, trigger = 'schedule', triggeredBy, startedByName, limit } = {}) {
+  const lock = await acquireJobLock('stock-monitor', {
+    label: 'The out-of-stock monitor',
+    startedBy: triggeredBy || null,
+    startedByName: startedByName || 'scheduler'
+  });
+  if (!lock.acquired) return lock;
+
+  const done = checkListings({ sellerId, itemIds, trigger, triggeredBy, limit })
+    .finally(() => lock.handle.release());
+  return { acquired: true, done };
+}
@@ -0,0 +1,428 @@
+/**
+ * File Storage
+ *
+ * One place for uploaded and generated files (employee documents, chat attachments, eBay
+ * listing images) instead of Buffers inside MongoDB, public/uploads and ImgBB.
+ * - STORAGE_DRIVER=local (default) keeps files under STORAGE_LOCAL_DIR (default ./storage).
+ *   STORAGE_DRIVER=s3 talks to any S3-compatible service (AWS S3, or MinIO locally - see
+ *   docker-compose.minio.yml) using S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID and
+ *   S3_SECRET_ACCESS_KEY. S3_PUBLIC_ENDPOINT overrides the host put into browser URLs when
+ *   the server reaches the bucket under another name (e.g. http://minio:9000 in Docker).
+ * - Keys are paths such as 'employee-profiles/<id>/aadhar-<ts>.pdf'. Only keys under
+ *   'public/' are world-readable (getPublicUrl) - eBay must be able to fetch listing images.
+ * - Everything else is downloaded through getSignedUrl(): a presigned S3 URL, or an
+ *   HMAC-signed /api/files URL (routes/files.js) for the local driver and for encrypted
+ *   files. Both stop working after expiresIn seconds (default 15 minutes).
+ * - validateFile() checks the size and sniffs the bytes, so a file is accepted only when its
+ *   real type is allowed, whatever Content-Type the browser claimed.
+ * - putFile(key, data, { encrypt: true }) encrypts with lib/fieldEncryption.js; getFile() decrypts.
+ *
+ * Usage:
+ *   const { error, contentType } = validateFile(req.file, { allowedTypes: IMAGE_TYPES, maxSize: 5 * 1024 * 1024 });
+ *   if (error) return res.status(400).json({ error });
+ *   const key = buildStorageKey('uploads', contentType);
+ *   await putFile(key, req.file.buffer, { contentType });
+ *   const { url } = getSignedUrl(key, { baseUrl: requestBaseUrl(req) });
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { encryptValue, decryptValue } from './fieldEncryption.js';
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+export const DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+const MAX_URL_TTL_SECONDS = 7 * 24 * 60 * 60; // S3 presigned URL limit
+const PUBLIC_PREFIX = 'public/';
+
+// Magic bytes of the types we accept; the extension of a stored file always comes from here
+const FILE_SIGNATURES = [
+  { type: 'image/jpeg', ext: 'jpg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/png', ext: 'png', test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', ext: 'gif', test: b => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('ascii')) },
+  { type: 'image/webp', ext: 'webp', test: b => b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP' },
+  { type: 'application/pdf', ext: 'pdf', test: b => b.subarray(0, 5).toString('ascii') === '%PDF-' }
+];
+
+function getDriverName() {
+  return (process.env.STORAGE_DRIVER || 'local').toLowerCase() === 's3' ? 's3' : 'local';
+}
+
+// RFC 3986 encoding as S3 signs it (encodeURIComponent leaves !'()* alone)
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(uriEncode).join('/');
+}
+
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some(part => part === '..' || part === '')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+// ============================================
+// CONTENT TYPES & VALIDATION
+// ============================================
+
+/**
+ * Content type of a buffer from its leading bytes (null when it is none of the known types)
+ */
+export function detectContentType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  return FILE_SIGNATURES.find(sig => sig.test(buffer))?.type || null;
+}
+
+export function extensionFor(contentType) {
+  return FILE_SIGNATURES.find(sig => sig.type === contentType)?.ext || 'bin';
+}
+
+/**
+ * Check an uploaded (multer memory-storage) file
+ * @returns {{ error?: string, contentType?: string }} - contentType is the sniffed type
+ */
+export function validateFile(file, { allowedTypes, maxSize }) {
+  if (!file || !file.buffer) return { error: 'No file uploaded' };
+  if (maxSize && file.buffer.length > maxSize) {
+    return { error: `File is too large (max ${Math.round(maxSize / (1024 * 1024))}MB)` };
+  }
+  const contentType = detectContentType(file.buffer);
+  if (!contentType || !allowedTypes.includes(contentType)) {
+    return { error: `Invalid file type. Allowed: ${allowedTypes.map(extensionFor).join(', ').toUpperCase()}` };
+  }
+  return { contentType };
+}
+
+/**
+ * A new unique key under `prefix`, e.g. buildStorageKey('uploads', 'image/png') -> 'uploads/1739...-a1b2c3d4e5f6.png'
+ */
+export function buildStorageKey(prefix, contentType, name = null) {
+  const unique = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  return `${prefix}/${name ? `${name}-` : ''}${unique}.${extensionFor(contentType)}`;
+}
+
+// Absolute base URL of the API as the caller reached it (used for local-driver URLs)
+export function requestBaseUrl(req) {
+  const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+  return `${protocol}://${req.get('host')}`;
+}
+
+// ============================================
+// LOCAL DRIVER
+// ============================================
+
+export function localStorageRoot() {
+  return path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'storage'));
+}
+
+function localPath(key) {
+  const root = localStorageRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return filePath;
+}
+
+const localDriver = {
+  async put(key, data) {
+    const filePath = localPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+  },
+
+  async get(key) {
+    try {
+      return await fs.readFile(localPath(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  },
+
+  async delete(key) {
+    try {
+      await fs.unlink(localPath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+};
+
+// ============================================
+// S3-COMPATIBLE DRIVER (AWS Signature V4)
+// ============================================
+
+function s3Config() {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const { S3_BUCKET: bucket, S3_ACCESS_KEY_ID: accessKeyId, S3_SECRET_ACCESS_KEY: secretAccessKey } = process.env;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+  return {
+    region,
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    endpoint,
+    publicEndpoint: (process.env.S3_PUBLIC_ENDPOINT || endpoint).replace(/\/+$/, ''),
+    // MinIO and most self-hosted services only support path-style addressing
+    pathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : !!process.env.S3_ENDPOINT
+  };
+}
+
+function s3Location(config, key, endpoint = config.endpoint) {
+  const base = new URL(endpoint);
+  if (config.pathStyle) {
+    const pathname = `/${config.bucket}/${encodeKey(key)}`;
+    return { host: base.host, pathname, url: `${base.origin}${pathname}` };
+  }
+  const host = `${config.bucket}.${base.host}`;
+  const pathname = `/${encodeKey(key)}`;
+  return { host, pathname, url: `${base.protocol}//${host}${pathname}` };
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function amzTimestamp(date = new Date()) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+}
+
+function signature(config, dateStamp, stringToSign) {
+  const dateKey = hmac(`AWS4${config.secretAccessKey}`, dateStamp);
+  const signingKey = hmac(hmac(hmac(dateKey, config.region), 's3'), 'aws4_request');
+  return hmac(signingKey, stringToSign).toString('hex');
+}
+
+function encodeQuery(params) {
+  return Object.keys(params)
+    .sort()
+    .map(k => `${uriEncode(k)}=${uriEncode(String(params[k]))}`)
+    .join('&');
+}
+
+async function s3Request(method, key, { body, contentType } = {}) {
+  const config = s3Config();
+  const { host, pathname, url } = s3Location(config, key);
+  const { amzDate, dateStamp } = amzTimestamp();
+  const payloadHash = sha256Hex(body || '');
+
+  const headers = { host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  if (contentType) headers['content-type'] = contentType;
+
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    pathname,
+    '',
+    signedHeaders.map(h => `${h}:${headers[h]}`).join('\n') + '\n',
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  headers.Authorization = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, ` +
+    `SignedHeaders=${signedHeaders.join(';')}, Signature=${signature(config, dateStamp, stringToSign)}`;
+  delete headers.host; // Set by the HTTP client from the URL
+
+  return axios({
+    method,
+    url,
+    data: body,
+    headers,
+    responseType: 'arraybuffer',
+    timeout: 60000,
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity
+  });
+}
+
+const s3Driver = {
+  async put(key, data, { contentType } = {}) {
+    await s3Request('PUT', key, { body: data, contentType: contentType || 'application/octet-stream' });
+  },
+
+  async get(key) {
+    try {
+      const response = await s3Request('GET', key);
+      return Buffer.from(response.data);
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+  },
+
+  async delete(key) {
+    await s3Request('DELETE', key);
+  },
+
+  presign(key, expiresIn, fileName) {
+    const config = s3Config();
+    const { host, pathname, url } = s3Location(config, key, config.publicEndpoint);
+    const { amzDate, dateStamp } = amzTimestamp();
+    const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+    const params = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${config.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': expiresIn,
+      'X-Amz-SignedHeaders': 'host'
+    };
+    if (fileName) params['response-content-disposition'] = `inline; filename="${fileName}"`;
+
+    const query = encodeQuery(params);
+    const canonicalRequest = ['GET', pathname, query, `host:${host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    return `${url}?${query}&X-Amz-Signature=${signature(config, dateStamp, stringToSign)}`;
+  }
+};
+
+function driver() {
+  return getDriverName() === 's3' ? s3Driver : localDriver;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Store a file
+ * @param {string} key - Storage key (see buildStorageKey)
+ * @param {Buffer} data - File contents
+ * @param {Object} options - { contentType, encrypt }
+ */
+export async function putFile(key, data, { contentType, encrypt = false } = {}) {
+  assertValidKey(key);
+  const body = encrypt ? encryptValue(data) : data;
+  await driver().put(key, body, { contentType: encrypt ? 'application/octet-stream' : contentType });
+  return { key, size: data.length, contentType };
+}
+
+/**
+ * Read a file (decrypted when it was stored with encrypt: true)
+ * @returns {Promise<Buffer|null>} - null when the key does not exist
+ */
+export async function getFile(key) {
+  assertValidKey(key);
+  const data = await driver().get(key);
+  return data ? decryptValue(data) : null;
+}
+
+export async function deleteFile(key) {
+  assertValidKey(key);
+  await driver().delete(key);
+}
+
+// Secret for local /api/files URLs
+function urlSigningSecret() {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) is required to sign file URLs');
+  return secret;
+}
+
+function fileUrlSignature(key, expires) {
+  return crypto.createHmac('sha256', urlSigningSecret()).update(`${key}\n${expires}`).digest('hex');
+}
+
+/**
+ * Check the expires/signature query of an /api/files URL
+ */
+export function verifyFileUrl(key, expires, sig) {
+  const expiresAt = parseInt(expires, 10);
+  if (!key || !sig || !expiresAt || expiresAt * 1000 < Date.now()) return false;
+  const expected = Buffer.from(fileUrlSignature(key, expiresAt));
+  const given = Buffer.from(String(sig));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Time-limited download URL for a private file
+ * @param {string} key - Storage key
+ * @param {Object} options
+ * @param {string} options.baseUrl - API origin, for URLs served by routes/files.js
+ * @param {number} options.expiresIn - Seconds the URL stays valid (default 15 minutes)
+ * @param {string} options.fileName - Suggested download name (S3 only)
+ * @param {boolean} options.proxy - Serve through the API even with S3 (needed for encrypted files)
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+export function getSignedUrl(key, { baseUrl = '', expiresIn = DEFAULT_URL_TTL_SECONDS, fileName = null, proxy = false } = {}) {
+  assertValidKey(key);
+  const ttl = Math.min(Math.max(parseInt(expiresIn, 10) || DEFAULT_URL_TTL_SECONDS, 1), MAX_URL_TTL_SECONDS);
+  const expiresAt = new Date(Date.now() + ttl * 1000);
+
+  if (getDriverName() === 's3' && !proxy) {
+    const safeName = fileName ? String(fileName).replace(/["\r\n]/g, '') : null;
+    return { url: s3Driver.presign(key, ttl, safeName), expiresAt };
+  }
+
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  const url = `${baseUrl}/api/files/${encodeKey(key)}?expires=${expires}&signature=${fileUrlSignature(key, expires)}`;
+  return { url, expiresAt };
+}
+
+/**
+ * Permanent URL of a file under 'public/'
+ * Local files are served by index.js at /files/public; set PUBLIC_BASE_URL when the URL must
+ * work outside this machine (e.g. for eBay to fetch a listing image).
+ */
+export function getPublicUrl(key, { baseUrl = process.env.PUBLIC_BASE_URL || '' } = {}) {
+  assertValidKey(key);
+  if (!key.startsWith(PUBLIC_PREFIX)) throw new Error(`Not a public storage key: ${key}`);
+
+  if (getDriverName() === 's3') {
+    const config = s3Config();
+    if (process.env.S3_PUBLIC_URL) return `${process.env.S3_PUBLIC_URL.replace(/\/+$/, '')}/${encodeKey(key)}`;
+    return s3Location(config, key, config.publicEndpoint).url;
+  }
+  return `${baseUrl.replace(/\/+$/, '')}/files/${encodeKey(key)}`;
+}
+
+/**
+ * The storage key behind a URL produced by getSignedUrl/getPublicUrl (null for other URLs)
+ */
+export function storageKeyFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url, 'http://localhost');
+  } catch {
+    return null;
+  }
+  const pathname = parsed.pathname;
+  let encoded = null;
+
+  if (pathname.startsWith('/api/files/')) {
+    encoded = pathname.slice('/api/files/'.length);
+  } else if (pathname.startsWith('/files/public/')) {
+    encoded = pathname.slice('/files/'.length);
+  } else if (getDriverName() === 's3') {
+    const config = s3Config();
+    const bucketPrefix = `/${config.bucket}/`;
+    if (config.pathStyle && pathname.startsWith(bucketPrefix)) encoded = pathname.slice(bucketPrefix.length);
+    else if (!config.pathStyle && parsed.host.startsWith(`${config.bucket}.`)) encoded = pathname.slice(1);
+    else if (process.env.S3_PUBLIC_URL && url.startsWith(process.env.S3_PUBLIC_URL)) {
+      encoded = url.slice(process.env.S3_PUBLIC_URL.replace(/\/+$/, '').length + 1).split('?')[0];
+    }
+  }
+  if (!encoded) return null;
+
+  try {
+    const key = decodeURIComponent(encoded);
+    assertValidKey(key);
+    return key;
+  } catch {
+    return null;
+  }
+}
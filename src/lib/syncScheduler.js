@@ -0,0 +1,342 @@
+/**
+ * Background Sync Scheduler
+ *
+ * Runs the eBay sync runners (orders, returns, INR cases, payment disputes,
+ * buyer messages, active listings, finances) on cron schedules stored in the SyncJob
+ * collection, and records every run in SyncJobRun.
+ * - A job with seller: null covers every connected seller, except sellers that
+ *   have their own job of the same type (so a seller can be paused or put on a
+ *   different schedule on its own).
+ * - Each run takes the per-seller sync locks (lib/jobLock.js) first, so with several
+ *   API instances only one of them syncs a seller; sellers already being synced
+ *   elsewhere are skipped and listed on the run.
+ * - Set ENABLE_SYNC_SCHEDULER=false to keep the scheduler from starting
+ *   (e.g. when running locally against production tokens).
+ *
+ * Usage:
+ *   import { initializeSyncScheduler, triggerSyncJob } from './lib/syncScheduler.js';
+ *   await initializeSyncScheduler();
+ */
+
+import cron from 'node-cron';
+import Seller from '../models/Seller.js';
+import SyncJob from '../models/SyncJob.js';
+import SyncJobRun from '../models/SyncJobRun.js';
+import User from '../models/User.js';
+import { INSTANCE_ID, acquireSellerSyncLocks, syncBusyResponse, isInstanceHoldingLocks } from './jobLock.js';
+import {
+  pollSellerOrders,
+  fetchSellerReturns,
+  fetchSellerInrCases,
+  fetchSellerPaymentDisputes,
+  syncSellerInbox,
+  syncSellerActiveListings
+} from '../routes/ebay.js';
+import { syncSellersFinances } from './ebayFinances.js';
+
+// Summarizes the "all sellers" response shape shared by returns / INR cases / disputes
+function summarizeFetchResult(result, newKey, updatedKey) {
+  return {
+    sellers: (result.results?.length || 0) + (result.errors?.length || 0),
+    created: result[newKey] || 0,
+    updated: result[updatedKey] || 0,
+    errorMessages: result.errors || []
+  };
+}
+
+// Each sync type: how to run it for a set of sellers, and how to read counts from its result
+export const SYNC_JOB_DEFINITIONS = {
+  orders: {
+    label: 'Order sync',
+    defaultCron: '*/10 * * * *',
+    run: (sellerIds) => pollSellerOrders({ sellerIds }),
+    summarize: (result) => ({
+      sellers: result.totalPolled || 0,
+      created: result.totalNewOrders || 0,
+      updated: result.totalUpdatedOrders || 0,
+      errorMessages: (result.pollResults || [])
+        .filter(r => !r.success)
+        .map(r => `${r.sellerName || 'Unknown Seller'}: ${r.error}`)
+    })
+  },
+  returns: {
+    label: 'Return sync',
+    defaultCron: '*/30 * * * *',
+    run: (sellerIds) => fetchSellerReturns({ sellerIds }),
+    summarize: (result) => summarizeFetchResult(result, 'totalNewReturns', 'totalUpdatedReturns')
+  },
+  inrCases: {
+    label: 'INR case sync',
+    defaultCron: '*/30 * * * *',
+    run: (sellerIds) => fetchSellerInrCases({ sellerIds }),
+    summarize: (result) => summarizeFetchResult(result, 'totalNewCases', 'totalUpdatedCases')
+  },
+  paymentDisputes: {
+    label: 'Payment dispute sync',
+    defaultCron: '0 * * * *',
+    run: (sellerIds) => fetchSellerPaymentDisputes({ sellerIds }),
+    summarize: (result) => summarizeFetchResult(result, 'totalNewDisputes', 'totalUpdatedDisputes')
+  },
+  messages: {
+    label: 'Message sync',
+    defaultCron: '*/15 * * * *',
+    run: (sellerIds) => syncSellerInbox({ sellerIds }),
+    summarize: (result) => ({
+      sellers: result.syncResults?.length || 0,
+      created: result.totalNewMessages || 0,
+      updated: 0,
+      errorMessages: (result.syncResults || [])
+        .filter(r => r.error)
+        .map(r => `${r.sellerName}: ${r.error}`)
+    })
+  },
+  listings: {
+    label: 'Listing sync',
+    defaultCron: '0 3 * * *',
+    // The listing runner works on one seller at a time, so loop here
+    run: async (sellerIds) => {
+      const sellers = await Seller.find({
+        'ebayTokens.access_token': { $exists: true },
+        ...(sellerIds ? { _id: { $in: sellerIds } } : {})
+      }).populate('user', 'username');
+
+      const results = [];
+      for (const seller of sellers) {
+        const sellerName = seller.user?.username || seller._id.toString();
+        try {
+          const result = await syncSellerActiveListings(seller);
+          results.push({ sellerName, processedCount: result.processedCount });
+        } catch (err) {
+          results.push({ sellerName, error: err.message });
+        }
+      }
+      return { results };
+    },
+    summarize: (result) => ({
+      sellers: result.results.length,
+      created: 0,
+      updated: result.results.reduce((sum, r) => sum + (r.processedCount || 0), 0),
+      errorMessages: result.results.filter(r => r.error).map(r => `${r.sellerName}: ${r.error}`)
+    })
+  },
+  finances: {
+    label: 'Finances sync',
+    defaultCron: '0 6 * * *',
+    run: (sellerIds) => syncSellersFinances({ sellerIds }),
+    summarize: (result) => ({
+      sellers: result.results.length,
+      created: result.results.reduce((sum, r) => sum + (r.created || 0), 0),
+      updated: result.results.reduce((sum, r) => sum + (r.updated || 0), 0),
+      errorMessages: result.results.filter(r => r.error).map(r => `${r.sellerName}: ${r.error}`)
+    })
+  }
+};
+
+const scheduledTasks = new Map(); // jobId -> node-cron task
+const runningJobs = new Set(); // jobIds with a run in progress (this process)
+
+export function isSyncJobRunning(jobId) {
+  return runningJobs.has(String(jobId));
+}
+
+// Works out which sellers a job should cover on this run (undefined = every connected seller)
+async function resolveJobSellerIds(job) {
+  if (job.seller) return [job.seller];
+
+  // Global job: skip sellers that have their own job of this type (paused or not)
+  const dedicated = await SyncJob.find({ type: job.type, seller: { $ne: null } }).select('seller').lean();
+  if (dedicated.length === 0) return undefined;
+
+  const excluded = dedicated.map(j => j.seller);
+  const sellers = await Seller.find({
+    'ebayTokens.access_token': { $exists: true },
+    _id: { $nin: excluded }
+  }).select('_id').lean();
+  return sellers.map(s => s._id);
+}
+
+// Takes the per-seller locks and records the run; returns { started: false, ... } if every seller is busy
+async function startRun(job, { trigger = 'schedule', triggeredBy = null } = {}) {
+  const definition = SYNC_JOB_DEFINITIONS[job.type];
+
+  if (isSyncJobRunning(job._id)) {
+    return { started: false, error: `${job.name} is already running`, message: `${job.name} is already running on this instance` };
+  }
+  runningJobs.add(String(job._id));
+
+  try {
+    let startedByName = 'scheduler';
+    if (triggeredBy) {
+      const user = await User.findById(triggeredBy).select('username').lean();
+      startedByName = user?.username || 'unknown';
+    }
+
+    const locks = await acquireSellerSyncLocks(job.type, {
+      sellerIds: await resolveJobSellerIds(job),
+      label: definition.label,
+      startedBy: triggeredBy,
+      startedByName
+    });
+    if (!locks.acquired) {
+      runningJobs.delete(String(job._id));
+      return { started: false, ...syncBusyResponse(definition.label, locks.busy) };
+    }
+
+    try {
+      const run = await SyncJobRun.create({
+        job: job._id,
+        type: job.type,
+        seller: job.seller || null,
+        trigger,
+        triggeredBy,
+        instance: INSTANCE_ID,
+        startedAt: new Date(),
+        skippedSellers: locks.busy.map(b => b.message)
+      });
+      return { started: true, run, locks };
+    } catch (err) {
+      await locks.release();
+      throw err;
+    }
+  } catch (err) {
+    runningJobs.delete(String(job._id));
+    throw err;
+  }
+}
+
+async function executeRun(job, run, locks) {
+  const definition = SYNC_JOB_DEFINITIONS[job.type];
+  const tag = `[SyncScheduler] ${job.name}`;
+
+  try {
+    if (locks.sellerIds.length === 0) {
+      run.status = 'success';
+    } else {
+      console.log(`${tag}: starting (${run.trigger})`);
+      const summary = definition.summarize(await definition.run(locks.sellerIds));
+
+      run.counts = { sellers: summary.sellers, created: summary.created, updated: summary.updated };
+      run.errorMessages = summary.errorMessages;
+      if (summary.errorMessages.length === 0) {
+        run.status = 'success';
+      } else {
+        run.status = summary.errorMessages.length >= summary.sellers ? 'failed' : 'partial';
+      }
+    }
+  } catch (err) {
+    console.error(`${tag}: run failed:`, err.message);
+    run.status = 'failed';
+    run.errorMessages = [err.message];
+  } finally {
+    await locks.release();
+    runningJobs.delete(String(job._id));
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  await run.save();
+
+  await SyncJob.updateOne(
+    { _id: job._id },
+    { lastRunAt: run.startedAt, lastRunStatus: run.status, lastRun: run._id }
+  );
+
+  console.log(`${tag}: ${run.status} in ${run.durationMs}ms (${run.counts.created} new, ${run.counts.updated} updated, ${run.errorMessages.length} errors)`);
+  return run;
+}
+
+/**
+ * Run a job to completion and record the run
+ * @param {Object} job - SyncJob document
+ * @param {Object} options - { trigger: 'schedule' | 'manual', triggeredBy: userId }
+ * @returns {Promise<Object|null>} - The finished SyncJobRun, or null if the job (or all of its sellers) was already running
+ */
+export async function runSyncJob(job, options = {}) {
+  const start = await startRun(job, options);
+  if (!start.started) {
+    console.log(`[SyncScheduler] ${job.name}: skipped - ${start.message}`);
+    return null;
+  }
+  return executeRun(job, start.run, start.locks);
+}
+
+/**
+ * Start a job in the background and return its run record immediately
+ * @param {Object} job - SyncJob document
+ * @param {Object} options - { trigger: 'schedule' | 'manual', triggeredBy: userId }
+ * @returns {Promise<Object>} - { started: true, run } or { started: false, error, message } when already running
+ */
+export async function triggerSyncJob(job, options = {}) {
+  const start = await startRun(job, options);
+  if (!start.started) return start;
+
+  executeRun(job, start.run, start.locks)
+    .catch(err => console.error(`[SyncScheduler] ${job.name}: failed to record run:`, err.message));
+  return { started: true, run: start.run };
+}
+
+export function unscheduleSyncJob(jobId) {
+  const task = scheduledTasks.get(String(jobId));
+  if (task) {
+    task.stop();
+    scheduledTasks.delete(String(jobId));
+  }
+}
+
+// (Re)register the cron task for a job; paused jobs are only unregistered
+export function scheduleSyncJob(job) {
+  unscheduleSyncJob(job._id);
+  if (!job.enabled || process.env.ENABLE_SYNC_SCHEDULER === 'false') return;
+
+  const jobId = job._id;
+  const task = cron.schedule(job.cronExpression, async () => {
+    try {
+      // Re-read so edits and pauses made through the API are always respected
+      const current = await SyncJob.findById(jobId);
+      if (!current || !current.enabled) return;
+      await runSyncJob(current);
+    } catch (err) {
+      console.error(`[SyncScheduler] Job ${jobId} tick failed:`, err.message);
+    }
+  }, {
+    timezone: job.timezone || 'Asia/Kolkata'
+  });
+  scheduledTasks.set(String(jobId), task);
+}
+
+// Create the global job for any sync type that has none yet
+async function ensureDefaultJobs() {
+  for (const [type, definition] of Object.entries(SYNC_JOB_DEFINITIONS)) {
+    const exists = await SyncJob.exists({ type, seller: null });
+    if (!exists) {
+      await SyncJob.create({ name: definition.label, type, seller: null, cronExpression: definition.defaultCron });
+    }
+  }
+}
+
+export async function initializeSyncScheduler() {
+  if (process.env.ENABLE_SYNC_SCHEDULER === 'false') {
+    console.log('[SyncScheduler] Disabled via ENABLE_SYNC_SCHEDULER=false');
+    return;
+  }
+
+  await ensureDefaultJobs();
+
+  // Runs left 'running' by a process that no longer holds any lock can never finish
+  const staleInstances = await SyncJobRun.distinct('instance', { status: 'running' });
+  for (const instance of staleInstances) {
+    if (instance && await isInstanceHoldingLocks(instance)) continue;
+    await SyncJobRun.updateMany(
+      { status: 'running', instance },
+      { status: 'failed', finishedAt: new Date(), errorMessages: ['Interrupted by server restart'] }
+    );
+  }
+
+  const jobs = await SyncJob.find({});
+  for (const job of jobs) {
+    scheduleSyncJob(job);
+  }
+
+  const active = jobs.filter(j => j.enabled).length;
+  console.log(`[SyncScheduler] Initialized: ${active} active / ${jobs.length} total sync jobs`);
+}
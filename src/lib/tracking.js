@@ -0,0 +1,419 @@
+/**
+ * Carrier Tracking
+ *
+ * Polls the tracking numbers of shipped orders, keeps their event history and moves
+ * Order.remark along with the carrier status, so nobody has to check each package by hand.
+ * - Carriers are reached through adapters: { batchSize, carriers, track(shipments) }.
+ *   track() gets [{ trackingNumber, carrier }] and resolves with
+ *   [{ trackingNumber, status, estimatedDelivery, deliveredAt, events: [{ time, status,
+ *   description, location }] }]; numbers left out were not found. carriers (null = any)
+ *   limits which detected carriers an adapter is asked about. TRACKING_ADAPTER picks the
+ *   adapter; unset or 'none' polls nothing. 'mock' is built in for tests and local runs;
+ *   real carriers plug in with registerCarrierAdapter().
+ * - Each order/tracking number pair is a ShipmentTracking document; new events are added
+ *   to its history, never replaced. The order follows its manual tracking number when it
+ *   has one, else the one from eBay.
+ * - Remarks only move between the tracking remarks (Not yet shipped, Processing, Shipped,
+ *   In-transit, Out for delivery, Delayed) and to Delivered; Delivered, Re-ordered, Refund
+ *   and Return started are left alone.
+ * - Orders not delivered by their eBay estimatedDelivery are flagged deliveryOverdue
+ *   and announced as order.deliveryOverdue (SSE and webhook), so the buyer can be
+ *   contacted before opening an INR case. The remark becomes Delayed only when the carrier
+ *   reported the parcel not delivered, and nothing is flagged while tracking is off.
+ * - Amazon purchase packages with the same tracking number get the status and expected
+ *   delivery too, which rolls up into the order's arrivingDate (lib/amazonPurchases.js).
+ * - A run polls up to TRACKING_BATCH orders (default 200) sold in the last
+ *   TRACKING_MAX_AGE_DAYS (default 45), least recently checked first, under the
+ *   'tracking-poll' lock.
+ *
+ * Usage:
+ *   const outcome = await startTrackingPoll({ sellerId, startedBy: userId });
+ *   if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+ */
+
+import Order from '../models/Order.js';
+import ShipmentTracking from '../models/ShipmentTracking.js';
+import AmazonPurchase from '../models/AmazonPurchase.js';
+import { withJobLock } from './jobLock.js';
+import { publishEvent } from './realtimeEvents.js';
+import { dispatchWebhookEvent } from './webhooks.js';
+import { rollUpOrders } from './amazonPurchases.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUSES = ['unknown', 'infoReceived', 'inTransit', 'outForDelivery', 'delivered', 'exception', 'returned'];
+
+const REMARK_FOR_STATUS = {
+  infoReceived: 'Shipped',
+  inTransit: 'In-transit',
+  outForDelivery: 'Out for delivery',
+  delivered: 'Delivered',
+  exception: 'Delayed'
+};
+
+// Remarks tracking may replace; the others are set by people for a reason
+const TRACKING_REMARKS = ['Not yet shipped', 'Processing', 'Shipped', 'In-transit', 'Out for delivery', 'Delayed'];
+
+// Tracking status -> AmazonPurchase shipment status
+const SHIPMENT_STATUS = {
+  infoReceived: 'shipped',
+  inTransit: 'inTransit',
+  outForDelivery: 'outForDelivery',
+  delivered: 'delivered',
+  exception: 'delayed',
+  returned: 'returned'
+};
+
+function batchSize() {
+  return parseInt(process.env.TRACKING_BATCH) || 200;
+}
+
+function maxAgeDays() {
+  return parseInt(process.env.TRACKING_MAX_AGE_DAYS) || 45;
+}
+
+/**
+ * Carrier of a tracking number from its format, or null
+ */
+export function detectCarrier(trackingNumber) {
+  const number = String(trackingNumber || '').replace(/\s/g, '').toUpperCase();
+  if (/^1Z[0-9A-Z]{16}$/.test(number)) return 'UPS';
+  if (/^TBA\d{9,}$/.test(number)) return 'AMAZON';
+  if (/^(9[2-5]\d{20}|\d{20}|[A-Z]{2}\d{9}US)$/.test(number)) return 'USPS';
+  if (/^(\d{12}|\d{15})$/.test(number)) return 'FEDEX';
+  if (/^\d{10}$/.test(number)) return 'DHL';
+  return null;
+}
+
+// --- Mock adapter ---
+// Unless told otherwise with setMockTracking(), a number moves one status further on
+// every poll (info received, in transit, out for delivery, delivered). Numbers containing
+// EXCEPTION get stuck with an exception; NOTFOUND is never found.
+const mockResults = new Map();
+const mockProgress = new Map();
+const MOCK_STAGES = ['infoReceived', 'inTransit', 'outForDelivery', 'delivered'];
+
+export function setMockTracking(trackingNumber, result) {
+  mockResults.set(trackingNumber, result);
+}
+
+export function clearMockTracking() {
+  mockResults.clear();
+  mockProgress.clear();
+}
+
+function mockTrack(trackingNumber) {
+  if (mockResults.has(trackingNumber)) return mockResults.get(trackingNumber);
+  if (/NOTFOUND/i.test(trackingNumber)) return null;
+
+  const seen = mockProgress.get(trackingNumber) || { since: Date.now(), polls: 0 };
+  seen.polls++;
+  mockProgress.set(trackingNumber, seen);
+
+  const stages = /EXCEPTION/i.test(trackingNumber)
+    ? ['infoReceived', 'inTransit', 'exception']
+    : MOCK_STAGES.slice(0, Math.min(seen.polls, MOCK_STAGES.length));
+  const events = stages.map((status, i) => ({
+    time: new Date(seen.since + i * 60 * 60 * 1000),
+    status,
+    description: `Mock ${status}`,
+    location: 'Mock facility'
+  }));
+  const status = stages[stages.length - 1];
+  return {
+    trackingNumber,
+    status,
+    estimatedDelivery: new Date(seen.since + 3 * DAY_MS),
+    deliveredAt: status === 'delivered' ? events[events.length - 1].time : null,
+    events
+  };
+}
+
+const CARRIER_ADAPTERS = {
+  mock: {
+    batchSize: 100,
+    carriers: null,
+    track: async (shipments) => shipments.map(s => mockTrack(s.trackingNumber)).filter(Boolean)
+  }
+};
+
+export function registerCarrierAdapter(name, adapter) {
+  CARRIER_ADAPTERS[name] = adapter;
+}
+
+export function carrierAdapterNames() {
+  return Object.keys(CARRIER_ADAPTERS);
+}
+
+// Configured adapter name, or null when tracking is off
+export function trackingAdapterName() {
+  const name = process.env.TRACKING_ADAPTER;
+  return name && name !== 'none' ? name : null;
+}
+
+// Tracking numbers of an order, the one in use first
+function orderTrackingNumbers(order) {
+  return [...new Set([order.manualTrackingNumber, order.trackingNumber].map(n => String(n || '').trim()).filter(Boolean))];
+}
+
+function trackedRemark(current, status, overdue) {
+  if (current && !TRACKING_REMARKS.includes(current)) return current;
+  if (status === 'delivered') return 'Delivered';
+  if (status === 'exception' || overdue) return 'Delayed';
+  return REMARK_FOR_STATUS[status] || current;
+}
+
+function isOverdue(order, status, now) {
+  return status !== 'delivered' && Boolean(order.estimatedDelivery) && new Date(order.estimatedDelivery) < now;
+}
+
+function notifyDeliveryOverdue(order) {
+  const data = {
+    orderId: order.orderId,
+    legacyOrderId: order.legacyOrderId,
+    buyerUsername: order.buyer?.username,
+    productName: order.productName,
+    estimatedDelivery: order.estimatedDelivery,
+    trackingNumber: order.manualTrackingNumber || order.trackingNumber || null,
+    trackingStatus: order.trackingStatus || null
+  };
+  publishEvent('order.deliveryOverdue', { sellerId: order.seller, data });
+  dispatchWebhookEvent('order.deliveryOverdue', { sellerId: order.seller, data });
+}
+
+// Add a carrier result to a ShipmentTracking document (not saved); returns true if it changed
+function applyResult(record, result, adapterName) {
+  const before = `${record.status}|${record.events.length}|${record.estimatedDelivery?.getTime()}`;
+
+  const known = new Set(record.events.map(e => `${new Date(e.time).getTime()}|${e.description}`));
+  for (const event of result.events || []) {
+    const time = new Date(event.time);
+    if (isNaN(time)) continue;
+    const key = `${time.getTime()}|${event.description}`;
+    if (known.has(key)) continue;
+    known.add(key);
+    record.events.push({
+      time,
+      status: STATUSES.includes(event.status) ? event.status : undefined,
+      description: event.description,
+      location: event.location
+    });
+  }
+  record.events.sort((a, b) => a.time - b.time);
+
+  record.status = STATUSES.includes(result.status) ? result.status : 'unknown';
+  if (result.estimatedDelivery) record.estimatedDelivery = new Date(result.estimatedDelivery);
+  if (record.status === 'delivered') {
+    record.deliveredAt = result.deliveredAt ? new Date(result.deliveredAt) : record.events[record.events.length - 1]?.time || new Date();
+  }
+  record.lastEventAt = record.events[record.events.length - 1]?.time || record.lastEventAt;
+  record.adapter = adapterName;
+  record.error = null;
+
+  return before !== `${record.status}|${record.events.length}|${record.estimatedDelivery?.getTime()}`;
+}
+
+// Copy a carrier result onto Amazon purchase packages with the same tracking number;
+// returns the orders whose roll-up changes
+async function updatePurchaseShipments(record) {
+  const status = SHIPMENT_STATUS[record.status];
+  if (!status) return [];
+
+  const purchases = await AmazonPurchase.find({ 'shipments.trackingNumber': record.trackingNumber });
+  const orderIds = [];
+  for (const purchase of purchases) {
+    for (const shipment of purchase.shipments) {
+      if (shipment.trackingNumber !== record.trackingNumber) continue;
+      shipment.status = status;
+      if (record.estimatedDelivery) shipment.expectedDelivery = record.estimatedDelivery.toISOString().slice(0, 10);
+      if (!shipment.shippedAt && record.events.length > 0) shipment.shippedAt = record.events[0].time;
+      if (status === 'delivered') shipment.deliveredAt = record.deliveredAt;
+    }
+    if (purchase.isModified()) {
+      await purchase.save();
+      orderIds.push(...purchase.orders.map(o => o.order));
+    }
+  }
+  return orderIds;
+}
+
+async function pollOrders({ sellerId, orderIds, limit }, summary) {
+  const adapterName = trackingAdapterName();
+  if (!adapterName) return;
+  const adapter = CARRIER_ADAPTERS[adapterName];
+  if (!adapter) throw new Error(`Unknown tracking adapter: ${adapterName}`);
+
+  const query = {
+    $or: [{ trackingNumber: { $nin: [null, ''] } }, { manualTrackingNumber: { $nin: [null, ''] } }]
+  };
+  if (sellerId) query.seller = sellerId;
+  if (orderIds?.length) {
+    query.orderId = { $in: orderIds };
+  } else {
+    query.creationDate = { $gte: new Date(Date.now() - maxAgeDays() * DAY_MS) };
+    query.cancelState = { $ne: 'CANCELED' };
+    query.trackingStatus = { $nin: ['delivered', 'returned'] };
+  }
+
+  const orders = await Order.find(query)
+    .sort({ trackingCheckedAt: 1, _id: 1 })
+    .limit(limit || batchSize())
+    .select('seller orderId legacyOrderId buyer.username productName trackingNumber manualTrackingNumber trackingStatus remark estimatedDelivery deliveryOverdue')
+    .lean();
+  if (orders.length === 0) return;
+
+  const records = await ShipmentTracking.find({ order: { $in: orders.map(o => o._id) } });
+  const recordOf = new Map(records.map(r => [`${r.order}:${r.trackingNumber}`, r]));
+
+  // Every tracking number once, however many orders carry it
+  const wanted = new Map();
+  for (const order of orders) {
+    for (const trackingNumber of orderTrackingNumbers(order)) {
+      const carrier = detectCarrier(trackingNumber);
+      if (adapter.carriers && !adapter.carriers.includes(carrier)) continue;
+      wanted.set(trackingNumber, { trackingNumber, carrier });
+    }
+  }
+
+  const results = new Map();
+  const failed = new Map();
+  const shipments = [...wanted.values()];
+  const size = adapter.batchSize || 50;
+  for (let i = 0; i < shipments.length; i += size) {
+    const chunk = shipments.slice(i, i + size);
+    try {
+      for (const result of await adapter.track(chunk)) results.set(result.trackingNumber, result);
+    } catch (err) {
+      console.error(`[Tracking] ${adapterName} failed for ${chunk.length} number(s):`, err.message);
+      for (const { trackingNumber } of chunk) failed.set(trackingNumber, err.message);
+    }
+  }
+
+  const now = new Date();
+  const rollUp = [];
+  for (const order of orders) {
+    summary.checked++;
+    let primary = null;
+
+    for (const trackingNumber of orderTrackingNumbers(order)) {
+      if (!wanted.has(trackingNumber)) continue;
+      let record = recordOf.get(`${order._id}:${trackingNumber}`);
+      if (!record) {
+        record = new ShipmentTracking({
+          seller: order.seller,
+          order: order._id,
+          orderId: order.orderId,
+          trackingNumber,
+          carrier: wanted.get(trackingNumber).carrier
+        });
+      }
+      record.lastCheckedAt = now;
+      record.checks++;
+
+      const result = results.get(trackingNumber);
+      if (failed.has(trackingNumber)) {
+        record.error = failed.get(trackingNumber);
+        summary.failed++;
+      } else if (!result) {
+        record.error = 'Not found by the carrier';
+        summary.notFound++;
+      } else if (applyResult(record, result, adapterName)) {
+        rollUp.push(...await updatePurchaseShipments(record));
+      }
+      await record.save();
+      primary = primary || record;
+    }
+
+    const update = { trackingCheckedAt: now };
+    if (primary && primary.status !== 'unknown') {
+      const status = primary.status;
+      const overdue = isOverdue(order, status, now);
+      update.trackingStatus = status;
+      update.remark = trackedRemark(order.remark, status, overdue);
+      if (status === 'delivered') {
+        update.deliveredAt = primary.deliveredAt;
+        update.deliveryOverdue = false;
+        summary.delivered += order.trackingStatus !== 'delivered' ? 1 : 0;
+      } else if (overdue && !order.deliveryOverdue) {
+        update.deliveryOverdue = true;
+        update.deliveryOverdueSince = now;
+      }
+      if (status !== order.trackingStatus || update.remark !== order.remark) summary.updated++;
+    }
+    await Order.updateOne({ _id: order._id }, { $set: update });
+    if (update.deliveryOverdue === true) {
+      summary.overdue++;
+      notifyDeliveryOverdue({ ...order, ...update });
+    }
+  }
+
+  if (rollUp.length > 0) await rollUpOrders(rollUp);
+}
+
+/**
+ * Flag open orders that are past their estimatedDelivery without being delivered and clear
+ * the flag of orders delivered or cancelled since. Orders with a tracking number count only
+ * once the carrier reported them not delivered; those without one count straight away.
+ * The remark only moves to Delayed on carrier data. Returns the number of newly flagged orders.
+ */
+export async function flagOverdueOrders({ sellerId } = {}) {
+  const now = new Date();
+  const scope = sellerId ? { seller: sellerId } : {};
+
+  await Order.updateMany(
+    { ...scope, deliveryOverdue: true, $or: [{ trackingStatus: 'delivered' }, { remark: 'Delivered' }, { cancelState: 'CANCELED' }] },
+    { $set: { deliveryOverdue: false } }
+  );
+
+  const orders = await Order.find({
+    ...scope,
+    estimatedDelivery: { $lt: now },
+    deliveryOverdue: { $ne: true },
+    remark: { $ne: 'Delivered' },
+    cancelState: { $ne: 'CANCELED' },
+    creationDate: { $gte: new Date(now.getTime() - maxAgeDays() * DAY_MS) },
+    $or: [
+      { trackingStatus: { $in: STATUSES.filter(status => !['delivered', 'returned', 'unknown'].includes(status)) } },
+      { trackingNumber: { $in: [null, ''] }, manualTrackingNumber: { $in: [null, ''] } }
+    ]
+  })
+    .select('seller orderId legacyOrderId buyer.username productName trackingNumber manualTrackingNumber trackingStatus remark estimatedDelivery')
+    .lean();
+
+  for (const order of orders) {
+    const update = { deliveryOverdue: true, deliveryOverdueSince: now };
+    if (order.trackingStatus) update.remark = trackedRemark(order.remark, order.trackingStatus, true);
+    await Order.updateOne({ _id: order._id }, { $set: update });
+    notifyDeliveryOverdue({ ...order, ...update });
+  }
+  if (orders.length > 0) console.log(`[Tracking] ${orders.length} order(s) past their estimated delivery`);
+  return orders.length;
+}
+
+/**
+ * Poll tracking and flag overdue orders under the 'tracking-poll' lock
+ * @param {Object} options
+ * @param {string} options.sellerId - Only this seller's orders (default: all)
+ * @param {string[]} options.orderIds - Only these eBay orders, whatever their age or status
+ * @param {number} options.limit - Orders to poll (default TRACKING_BATCH)
+ * @returns {Promise<Object>} - withJobLock's outcome; result is { adapter, checked, updated,
+ *   delivered, notFound, failed, overdue }
+ */
+export async function startTrackingPoll({ sellerId, orderIds, limit, startedBy, startedByName } = {}) {
+  return withJobLock('tracking-poll', {
+    label: 'Tracking poll',
+    startedBy: startedBy || null,
+    startedByName: startedByName || 'scheduler'
+  }, async () => {
+    const summary = { adapter: trackingAdapterName(), checked: 0, updated: 0, delivered: 0, notFound: 0, failed: 0, overdue: 0 };
+    await pollOrders({ sellerId, orderIds, limit }, summary);
+    // Without an adapter there is no carrier data to judge deliveries by
+    if (summary.adapter && !orderIds?.length) summary.overdue += await flagOverdueOrders({ sellerId });
+
+    if (summary.checked > 0) {
+      console.log(`[Tracking] ${summary.checked} checked, ${summary.updated} updated, ${summary.delivered} delivered, ` +
+        `${summary.notFound} not found, ${summary.failed} failed, ${summary.overdue} overdue`);
+    }
+    return summary;
+  });
+}
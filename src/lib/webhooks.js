@@ -0,0 +1,238 @@
+/**
+ * Outbound Webhooks
+ *
+ * Sends order / return / case / dispute lifecycle events to subscribed HTTP endpoints.
+ * - Every POST body is signed: X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+ *   with the timestamp sent in X-Webhook-Timestamp (receivers should reject old timestamps).
+ * - Each event/subscription pair is a WebhookDelivery document. Failed attempts are retried
+ *   with exponential backoff (1, 2, 4, 8, 16 minutes...) by retryDueWebhookDeliveries(),
+ *   which scheduledJobs.js runs every minute.
+ * - dispatchWebhookEvent never throws: a failing receiver must not break the sync that fired it.
+ *
+ * Usage:
+ *   import { dispatchWebhookEvent } from '../lib/webhooks.js';
+ *   dispatchWebhookEvent('return.created', { sellerId: seller._id, data: { returnId, orderId } });
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+export const WEBHOOK_EVENTS = [
+  'order.paymentStatusChanged',
+  'order.deliveryOverdue',
+  'order.lateShipmentRisk',
+  'return.created',
+  'case.created',
+  'paymentDispute.waitingForSellerResponse',
+  'sla.escalated'
+];
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const SENDING_LEASE_MS = 5 * 60 * 1000; // A delivery stuck in 'sending' this long is picked up again
+const MAX_RESPONSE_BODY = 2000;
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function retryDelayMs(attempts) {
+  return BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1);
+}
+
+// Single HTTP attempt for a delivery that is already marked 'sending'
+async function attemptDelivery(delivery, subscription) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ebay-dashboard-webhooks/1.0',
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signWebhookPayload(subscription.secret, timestamp, body)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true, // Non-2xx is handled below, not thrown
+      transformRequest: [(data) => data] // Send the exact string that was signed
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? ''))
+      .slice(0, MAX_RESPONSE_BODY);
+    delivery.lastError = response.status >= 200 && response.status < 300 ? undefined : `HTTP ${response.status}`;
+  } catch (err) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.lastError = err.code ? `${err.code}: ${err.message}` : err.message;
+  }
+  delivery.durationMs = Date.now() - startedAt;
+
+  if (!delivery.lastError) {
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts < MAX_ATTEMPTS) {
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts));
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    console.warn(`[Webhooks] Giving up on ${delivery.event} to ${subscription.url} after ${delivery.attempts} attempts: ${delivery.lastError}`);
+  }
+
+  await delivery.save();
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id },
+    { lastDeliveryAt: delivery.lastAttemptAt, lastDeliveryStatus: delivery.status === 'success' ? 'success' : 'failed' }
+  );
+  return delivery;
+}
+
+// Claims a delivery (so only one instance sends it) and sends it
+async function sendDelivery(deliveryId, claimFilter) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, ...claimFilter },
+    { status: 'sending', lastAttemptAt: new Date() },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  if (!subscription) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Subscription was deleted';
+    await delivery.save();
+    return delivery;
+  }
+
+  return attemptDelivery(delivery, subscription);
+}
+
+function buildPayload(event, eventId, { sellerId, data }) {
+  return {
+    id: eventId,
+    event,
+    occurredAt: new Date().toISOString(),
+    sellerId: sellerId ? String(sellerId) : null,
+    data
+  };
+}
+
+async function dispatch(event, { sellerId = null, data = {} }) {
+  const subscriptions = await WebhookSubscription.find({
+    active: true,
+    events: event,
+    $or: [{ seller: null }, ...(sellerId ? [{ seller: sellerId }] : [])]
+  }).select('_id');
+  if (subscriptions.length === 0) return;
+
+  const eventId = crypto.randomUUID();
+  const payload = buildPayload(event, eventId, { sellerId, data });
+
+  const deliveries = await WebhookDelivery.insertMany(
+    subscriptions.map(sub => ({ subscription: sub._id, event, eventId, payload }))
+  );
+  await Promise.all(deliveries.map(d => sendDelivery(d._id, { status: 'pending' })));
+}
+
+/**
+ * Send an event to every active subscription that wants it
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} options
+ * @param {string} options.sellerId - Seller the event belongs to (matches seller-specific subscriptions)
+ * @param {Object} options.data - Event data included in the payload
+ */
+export function dispatchWebhookEvent(event, { sellerId = null, data = {} } = {}) {
+  dispatch(event, { sellerId, data })
+    .catch(err => console.error(`[Webhooks] Failed to dispatch ${event}:`, err.message));
+}
+
+/**
+ * Send a test ping to one subscription (not retried)
+ * @returns {Promise<Object>} - The finished WebhookDelivery
+ */
+export async function sendTestWebhook(subscription, triggeredBy = null) {
+  const eventId = crypto.randomUUID();
+  const delivery = await WebhookDelivery.create({
+    subscription: subscription._id,
+    event: 'webhook.test',
+    eventId,
+    payload: buildPayload('webhook.test', eventId, { sellerId: subscription.seller, data: { message: 'Test delivery' } }),
+    status: 'sending',
+    triggeredBy
+  });
+
+  const withSecret = await WebhookSubscription.findById(subscription._id).select('+secret');
+  const result = await attemptDelivery(delivery, withSecret);
+  if (result.status === 'retrying') {
+    result.status = 'failed';
+    result.nextAttemptAt = undefined;
+    await result.save();
+  }
+  return result;
+}
+
+/**
+ * Re-send an earlier delivery as a new delivery (same payload and event id)
+ * @returns {Promise<Object>} - The new WebhookDelivery after its first attempt
+ */
+export async function redeliverWebhook(original, triggeredBy = null) {
+  const delivery = await WebhookDelivery.create({
+    subscription: original.subscription,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    redeliveryOf: original._id,
+    triggeredBy
+  });
+  return sendDelivery(delivery._id, { status: 'pending' });
+}
+
+// Sends every delivery whose retry time has come; run every minute by scheduledJobs.js
+export async function retryDueWebhookDeliveries(limit = 100) {
+  const now = new Date();
+  const dueFilter = {
+    $or: [
+      { status: 'retrying', nextAttemptAt: { $lte: now } },
+      // Instance died mid-send, or the first attempt never ran
+      { status: 'sending', lastAttemptAt: { $lte: new Date(now.getTime() - SENDING_LEASE_MS) } },
+      { status: 'pending', createdAt: { $lte: new Date(now.getTime() - SENDING_LEASE_MS) } }
+    ]
+  };
+
+  const due = await WebhookDelivery.find(dueFilter).select('_id').sort({ nextAttemptAt: 1 }).limit(limit).lean();
+  let sent = 0;
+  let failed = 0;
+  for (const { _id } of due) {
+    try {
+      const delivery = await sendDelivery(_id, dueFilter);
+      if (!delivery) continue; // Claimed by another instance
+      if (delivery.status === 'success') sent++;
+      else failed++;
+    } catch (err) {
+      failed++;
+      console.error(`[Webhooks] Retry of delivery ${_id} failed:`, err.message);
+    }
+  }
+
+  if (due.length > 0) {
+    console.log(`[Webhooks] Retried ${due.length} deliveries: ${sent} delivered, ${failed} still failing`);
+  }
+  return { due: due.length, sent, failed };
+}
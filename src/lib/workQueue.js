@@ -0,0 +1,389 @@
+/**
+ * Worksheet Work Queue
+ *
+ * Gives orders, returns, INR cases and payment disputes on the worksheet an owner, so each
+ * item is worked by one person.
+ * - Anyone who may edit an item can claim it while it is unassigned; managers assign or
+ *   move items (assignedBy null means the rotation assigned it). Items stay with their
+ *   owner until resolved, so "my queue" is everything assigned and still open.
+ * - Unassigned items from the last WORK_ASSIGN_DAYS (default 30) are handed out round-robin
+ *   through WorkRotation documents: cancellation requests, open returns, cases and
+ *   disputes. The rotation for the item's seller wins over one for its marketplace, which
+ *   wins over a catch-all rotation. Members who are inactive, can't see the seller or are
+ *   on approved leave today (LeaveRequest) are skipped.
+ * - Open items of people on approved leave go back through the rotation (or become
+ *   unassigned when nobody else is available). The scheduled run and leave approval do
+ *   this; runs hold the 'work-assignment' lock.
+ * - New owners get a workQueue.assigned event (SSE).
+ *
+ * Usage:
+ *   const { item, conflict } = await claimWorkItem('return', returnId, req.user.userId);
+ *   const queue = await myWorkQueue(req.user.userId, { match: sellerScopeMatch(req) });
+ *   const outcome = await runWorkAssignment();
+ */
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Return from '../models/Return.js';
+import Case from '../models/Case.js';
+import PaymentDispute from '../models/PaymentDispute.js';
+import User from '../models/User.js';
+import LeaveRequest from '../models/LeaveRequest.js';
+import WorkRotation from '../models/WorkRotation.js';
+import { withJobLock } from './jobLock.js';
+import { publishEvent } from './realtimeEvents.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CASE_CLOSED = ['CLOSED', 'RESOLVED'];
+const DISPUTE_CLOSED = ['RESOLVED_BUYER_FAVOUR', 'RESOLVED_SELLER_FAVOUR', 'CLOSED'];
+
+// Per kind: model, eBay id field, permission to work it, what "still open" means and which
+// open items the rotation hands out
+const KINDS = {
+  order: {
+    model: Order,
+    key: 'orderId',
+    permission: 'orders.edit',
+    fields: 'seller orderId legacyOrderId buyer.username productName cancelState worksheetStatus purchaseMarketplaceId dateSold creationDate assignedTo assignedAt assignedBy',
+    dateField: 'creationDate',
+    sort: { creationDate: 1 },
+    openMatch: { worksheetStatus: { $ne: 'resolved' } },
+    rotationMatch: { cancelState: { $in: ['CANCEL_REQUESTED', 'IN_PROGRESS'] } }
+  },
+  return: {
+    model: Return,
+    key: 'returnId',
+    permission: 'returns.edit',
+    fields: 'seller returnId orderId buyerUsername itemTitle returnReason returnStatus responseDate worksheetStatus creationDate assignedTo assignedAt assignedBy',
+    dateField: 'creationDate',
+    sort: { responseDate: 1 },
+    openMatch: { worksheetStatus: { $ne: 'resolved' }, returnStatus: { $ne: 'CLOSED' } },
+    rotationMatch: {}
+  },
+  case: {
+    model: Case,
+    key: 'caseId',
+    permission: 'returns.edit',
+    fields: 'seller caseId caseType orderId buyerUsername itemTitle status sellerResponseDueDate worksheetStatus creationDate assignedTo assignedAt assignedBy',
+    dateField: 'creationDate',
+    sort: { sellerResponseDueDate: 1 },
+    openMatch: { worksheetStatus: { $ne: 'resolved' }, status: { $nin: CASE_CLOSED } },
+    rotationMatch: {}
+  },
+  dispute: {
+    model: PaymentDispute,
+    key: 'paymentDisputeId',
+    permission: 'returns.edit',
+    fields: 'seller paymentDisputeId orderId buyerUsername reason paymentDisputeStatus respondByDate worksheetStatus openDate assignedTo assignedAt assignedBy',
+    dateField: 'openDate',
+    sort: { respondByDate: 1 },
+    openMatch: { worksheetStatus: { $ne: 'resolved' }, paymentDisputeStatus: { $nin: DISPUTE_CLOSED } },
+    rotationMatch: {}
+  }
+};
+
+export const WORK_ITEM_KINDS = Object.keys(KINDS);
+
+function assignDays() {
+  return parseInt(process.env.WORK_ASSIGN_DAYS) || 30;
+}
+
+function assignBatch() {
+  return parseInt(process.env.WORK_ASSIGN_BATCH) || 500;
+}
+
+/**
+ * { model, key, permission } of a kind ('order', 'return', 'case', 'dispute'), or null
+ */
+export function workItemKind(kind) {
+  const definition = KINDS[kind];
+  return definition ? { model: definition.model, key: definition.key, permission: definition.permission } : null;
+}
+
+/**
+ * Mongo filter for the items of a kind that are still open (not resolved or closed)
+ */
+export function openWorkMatch(kind) {
+  return { ...KINDS[kind].openMatch };
+}
+
+/**
+ * Filter for an assignedTo query value: 'me', 'none' (unassigned) or a user id.
+ * Returns {} without a value and null when the value is invalid.
+ */
+export function assigneeMatch(req, value) {
+  if (!value) return {};
+  if (value === 'me') return { assignedTo: new mongoose.Types.ObjectId(String(req.user.userId)) };
+  if (value === 'none') return { assignedTo: null };
+  if (!mongoose.Types.ObjectId.isValid(value)) return null;
+  return { assignedTo: new mongoose.Types.ObjectId(String(value)) };
+}
+
+function notifyAssigned(kind, item, userId, reason) {
+  publishEvent('workQueue.assigned', {
+    sellerId: item.seller,
+    userIds: [String(userId)],
+    data: { kind, id: item[KINDS[kind].key], orderId: item.orderId, reason }
+  });
+}
+
+// Users with approved leave covering today (server day, like routes/leaves.js)
+async function usersOnLeave(now = new Date()) {
+  const dayStart = new Date(now);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(now);
+  dayEnd.setHours(23, 59, 59, 999);
+  const ids = await LeaveRequest.distinct('user', { status: 'approved', startDate: { $lte: dayEnd }, endDate: { $gte: dayStart } });
+  return new Set(ids.map(String));
+}
+
+function canWorkSeller(user, sellerId) {
+  return !user.assignedSellers?.length || user.assignedSellers.some(id => String(id) === String(sellerId));
+}
+
+/**
+ * Why a user can't take items of a seller right now (null when they can)
+ */
+export async function assigneeProblem(userId, sellerId, now = new Date()) {
+  const user = await User.findById(userId).select('active assignedSellers').lean();
+  if (!user || user.active === false) return 'User not found or inactive';
+  if (!canWorkSeller(user, sellerId)) return 'User is not assigned to this seller';
+  if ((await usersOnLeave(now)).has(String(userId))) return 'User is on leave today';
+  return null;
+}
+
+/**
+ * Claim an unassigned item for userId. Returns { item }, { conflict } when someone else owns
+ * it, or { error } when it doesn't exist.
+ */
+export async function claimWorkItem(kind, id, userId) {
+  const { model, key, fields } = KINDS[kind];
+  const now = new Date();
+  const item = await model.findOneAndUpdate(
+    { [key]: id, assignedTo: null },
+    { $set: { assignedTo: userId, assignedAt: now, assignedBy: userId } },
+    { new: true, projection: fields }
+  ).populate('assignedTo', 'username').lean();
+  if (item) return { item };
+
+  const current = await model.findOne({ [key]: id }).select(fields).populate('assignedTo', 'username').lean();
+  if (!current) return { error: 'Item not found' };
+  if (String(current.assignedTo?._id) === String(userId)) return { item: current };
+  return { conflict: `Already assigned to ${current.assignedTo?.username || 'another user'}` };
+}
+
+/**
+ * Give up an item. Only the owner can, unless force (managers).
+ * Returns { item } or { conflict }.
+ */
+export async function releaseWorkItem(kind, id, userId, { force = false } = {}) {
+  const { model, key, fields } = KINDS[kind];
+  const query = { [key]: id, assignedTo: force ? { $ne: null } : userId };
+  const item = await model.findOneAndUpdate(
+    query,
+    { $set: { assignedTo: null, assignedAt: null, assignedBy: null } },
+    { new: true, projection: fields }
+  ).lean();
+  if (!item) return { conflict: force ? 'Item is not assigned' : 'Item is not assigned to you' };
+  return { item };
+}
+
+/**
+ * Assign (userId) or unassign (null) an item on behalf of a manager.
+ * Returns { item } or { error }.
+ */
+export async function assignWorkItem(kind, id, userId, assignedBy) {
+  const { model, key, fields } = KINDS[kind];
+  const existing = await model.findOne({ [key]: id }).select('seller').lean();
+  if (!existing) return { error: 'Item not found' };
+  if (userId) {
+    const problem = await assigneeProblem(userId, existing.seller);
+    if (problem) return { error: problem };
+  }
+
+  const item = await model.findOneAndUpdate(
+    { [key]: id },
+    { $set: { assignedTo: userId || null, assignedAt: userId ? new Date() : null, assignedBy: userId ? assignedBy : null } },
+    { new: true, projection: fields }
+  ).populate('assignedTo', 'username').lean();
+  if (userId && String(userId) !== String(assignedBy)) notifyAssigned(kind, item, userId, 'manual');
+  return { item };
+}
+
+/**
+ * Open items assigned to a user, per kind in due order
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Object} options.match - Seller filter (sellerScopeMatch)
+ * @param {string} options.kind - Only this kind
+ * @returns {Promise<Object>} - { items: { order: [...], return: [...], ... }, counts, total }
+ */
+export async function myWorkQueue(userId, { match = {}, kind } = {}) {
+  const kinds = kind ? [kind] : WORK_ITEM_KINDS;
+  const items = {};
+  const counts = {};
+  for (const name of kinds) {
+    const { model, fields, sort, openMatch } = KINDS[name];
+    items[name] = await model.find({ ...match, ...openMatch, assignedTo: userId })
+      .select(fields)
+      .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+      .sort(sort)
+      .lean();
+    counts[name] = items[name].length;
+  }
+  return { items, counts, total: Object.values(counts).reduce((sum, count) => sum + count, 0) };
+}
+
+/**
+ * Open items per owner and kind, plus the rotation backlog nobody owns
+ * @returns {Promise<Object>} - { users: [{ user, username, onLeave, order, return, case,
+ *   dispute, total }], unassigned: { order, return, case, dispute } }
+ */
+export async function workload({ match = {} } = {}) {
+  const since = new Date(Date.now() - assignDays() * DAY_MS);
+  const byUser = new Map();
+  const unassigned = {};
+  for (const name of WORK_ITEM_KINDS) {
+    const { model, openMatch, rotationMatch, dateField } = KINDS[name];
+    const rows = await model.aggregate([
+      { $match: { ...match, ...openMatch, assignedTo: { $ne: null } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+    for (const row of rows) {
+      const key = String(row._id);
+      if (!byUser.has(key)) byUser.set(key, { user: row._id, order: 0, return: 0, case: 0, dispute: 0, total: 0 });
+      byUser.get(key)[name] = row.count;
+      byUser.get(key).total += row.count;
+    }
+    unassigned[name] = await model.countDocuments({ ...match, ...openMatch, ...rotationMatch, assignedTo: null, [dateField]: { $gte: since } });
+  }
+
+  const [users, onLeave] = await Promise.all([
+    User.find({ _id: { $in: [...byUser.keys()] } }).select('username').lean(),
+    usersOnLeave()
+  ]);
+  const names = new Map(users.map(u => [String(u._id), u.username]));
+  const rows = [...byUser.values()]
+    .map(row => ({ ...row, username: names.get(String(row.user)) || 'Unknown', onLeave: onLeave.has(String(row.user)) }))
+    .sort((a, b) => b.total - a.total);
+  return { users: rows, unassigned };
+}
+
+function sameMarketplace(a, b) {
+  const normalize = value => (value === 'EBAY_ENCA' ? 'EBAY_CA' : value);
+  return normalize(a) === normalize(b);
+}
+
+// Most specific active rotation for an item: seller beats marketplace beats catch-all
+function rotationFor(rotations, kind, sellerId, marketplace) {
+  let best = null;
+  let bestScore = -1;
+  for (const rotation of rotations) {
+    if (!rotation.kinds.includes(kind) || rotation.members.length === 0) continue;
+    if (rotation.seller && String(rotation.seller) !== String(sellerId)) continue;
+    if (rotation.marketplace && !sameMarketplace(rotation.marketplace, marketplace)) continue;
+    const score = (rotation.seller ? 2 : 0) + (rotation.marketplace ? 1 : 0);
+    if (score > bestScore) {
+      best = rotation;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Next member whose turn it is and who can take the item; every skipped member uses up a turn
+async function nextMember(rotation, sellerId, context, exclude) {
+  for (let attempt = 0; attempt < rotation.members.length; attempt++) {
+    const turn = await WorkRotation.findOneAndUpdate({ _id: rotation._id }, { $inc: { position: 1 } }, { projection: { position: 1 } }).lean();
+    if (!turn) return null;
+    const member = String(rotation.members[turn.position % rotation.members.length]);
+    const user = context.users.get(member);
+    if (member === exclude || !user || user.active === false || context.onLeave.has(member)) continue;
+    if (!canWorkSeller(user, sellerId)) continue;
+    return member;
+  }
+  return null;
+}
+
+// Marketplace of each item (returns, cases and disputes take it from their order)
+async function itemMarketplaces(kind, items) {
+  if (kind === 'order') return new Map(items.map(i => [String(i._id), i.purchaseMarketplaceId]));
+  const orders = await Order.find({ orderId: { $in: [...new Set(items.map(i => i.orderId).filter(Boolean))] } })
+    .select('orderId purchaseMarketplaceId')
+    .lean();
+  const byOrderId = new Map(orders.map(o => [o.orderId, o.purchaseMarketplaceId]));
+  return new Map(items.map(i => [String(i._id), byOrderId.get(i.orderId)]));
+}
+
+// reason 'leave' moves items to someone else (or unassigns them); 'rotation' hands out unassigned ones
+async function assignItems(kind, query, context, summary, reason) {
+  const { model, key, dateField } = KINDS[kind];
+  const reassign = reason === 'leave';
+  const items = await model.find(query)
+    .select(`seller orderId ${key} purchaseMarketplaceId assignedTo`)
+    .sort({ [dateField]: 1 })
+    .limit(assignBatch())
+    .lean();
+  const marketplaces = await itemMarketplaces(kind, items);
+
+  for (const item of items) {
+    const rotation = rotationFor(context.rotations, kind, item.seller, marketplaces.get(String(item._id)));
+    const member = rotation ? await nextMember(rotation, item.seller, context, item.assignedTo && String(item.assignedTo)) : null;
+    if (!member && !reassign) {
+      summary.unrouted++;
+      continue;
+    }
+    const result = await model.updateOne(
+      { _id: item._id, assignedTo: item.assignedTo ?? null },
+      { $set: { assignedTo: member, assignedAt: member ? new Date() : null, assignedBy: null } }
+    );
+    if (result.modifiedCount === 0) continue;
+    if (!member) {
+      summary.unassigned++;
+      continue;
+    }
+    summary[reassign ? 'reassigned' : 'assigned']++;
+    notifyAssigned(kind, item, member, reason);
+  }
+}
+
+async function assignWork() {
+  const now = new Date();
+  const summary = { assigned: 0, reassigned: 0, unassigned: 0, unrouted: 0 };
+  const rotations = await WorkRotation.find({ active: true }).lean();
+  const onLeave = await usersOnLeave(now);
+  const memberIds = [...new Set(rotations.flatMap(r => r.members.map(String)))];
+  const users = new Map((await User.find({ _id: { $in: memberIds } }).select('active assignedSellers').lean()).map(u => [String(u._id), u]));
+  const context = { rotations, onLeave, users };
+
+  // Work of people on leave goes back through the rotation first
+  if (onLeave.size > 0) {
+    const away = [...onLeave].map(id => new mongoose.Types.ObjectId(id));
+    for (const kind of WORK_ITEM_KINDS) {
+      await assignItems(kind, { ...KINDS[kind].openMatch, assignedTo: { $in: away } }, context, summary, 'leave');
+    }
+  }
+
+  if (rotations.length > 0) {
+    const since = new Date(now.getTime() - assignDays() * DAY_MS);
+    for (const kind of WORK_ITEM_KINDS) {
+      const { openMatch, rotationMatch, dateField } = KINDS[kind];
+      await assignItems(kind, { ...openMatch, ...rotationMatch, assignedTo: null, [dateField]: { $gte: since } }, context, summary, 'rotation');
+    }
+  }
+
+  if (summary.assigned + summary.reassigned + summary.unassigned > 0) {
+    console.log(`[WorkQueue] ${summary.assigned} assigned, ${summary.reassigned} reassigned from leave, ${summary.unassigned} unassigned, ${summary.unrouted} without an available member`);
+  }
+  return summary;
+}
+
+/**
+ * Move work off people on leave and hand out unassigned items, under the
+ * 'work-assignment' lock. Returns withJobLock's outcome; result is
+ * { assigned, reassigned, unassigned, unrouted }.
+ */
+export async function runWorkAssignment(owner = { startedByName: 'scheduler' }) {
+  return withJobLock('work-assignment', { label: 'Work queue assignment', ...owner }, assignWork);
+}
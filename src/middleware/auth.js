@@ -1,6 +1,10 @@
+import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
+import { validateAccessSession } from '../lib/sessions.js';
+import { getRolePermissions, hasPermission } from '../lib/permissions.js';
+import { resolveSellerScope, isSellerScoped, canAccessSeller, requestedSellerIds } from '../lib/sellerAccess.js';
 
-export function requireAuth(req, res, next) {
+export async function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization || '';
   let token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
   
@@ -10,22 +14,74 @@ export function requireAuth(req, res, next) {
   }
   
   if (!token) return res.status(401).json({ error: 'Unauthorized' });
+
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload; // { userId, role }
-    return next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (e) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  // Revoked sessions and deactivated users are rejected even while the token is unexpired
+  try {
+    const { user, error } = await validateAccessSession(payload);
+    if (error) return res.status(401).json({ error });
+
+    req.user = {
+      userId: payload.userId,
+      role: user.role,
+      sessionId: payload.sid,
+      permissions: await getRolePermissions(user.role), // Set of permission names
+      sellerIds: await resolveSellerScope(user) // null = every seller
+    };
+    return next();
+  } catch (e) {
+    console.error('[Auth] Session check failed:', e.message);
+    return res.status(500).json({ error: 'Failed to verify session' });
+  }
 }
 
-export function requireRole(...roles) {
+// Allows the request if the user has at least one of the given permissions
+export function requirePermission(...permissions) {
   return function (req, res, next) {
-    if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
+    if (!hasPermission(req.user, ...permissions)) {
+      return res.status(403).json({ error: 'Forbidden', requiredPermission: permissions.join(' or ') });
     }
     next();
   };
 }
 
+// Rejects requests naming a seller (sellerId param/query/body) outside the caller's seller scope
+export function enforceSellerScope(req, res, next) {
+  if (!isSellerScoped(req)) return next();
+  if (requestedSellerIds(req).some(id => !canAccessSeller(req, id))) {
+    return res.status(403).json({ error: 'You do not have access to this seller' });
+  }
+  next();
+}
 
+/**
+ * Rejects requests for a record (order, return, message...) that belongs to a seller
+ * outside the caller's scope. Answers 404 so scoped users cannot probe other sellers' ids.
+ * @param {Object} Model - Mongoose model holding a seller reference
+ * @param {string} param - Route param holding the record key
+ * @param {Object} options - { key: field the param is matched against ('_id', 'orderId'...),
+ *   sellerField: path of the seller reference ('seller', or 'sellerId' on TemplateListing) }
+ */
+export function requireRecordSellerAccess(Model, param, { key = '_id', sellerField = 'seller' } = {}) {
+  return async function (req, res, next) {
+    if (!isSellerScoped(req)) return next();
+    try {
+      const value = req.params[param];
+      if (key === '_id' && !mongoose.Types.ObjectId.isValid(value)) return next();
+      const record = await Model.findOne({ [key]: value }).select(sellerField).lean();
+      if (record && !canAccessSeller(req, record[sellerField])) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      next();
+    } catch (e) {
+      console.error('[Auth] Seller access check failed:', e.message);
+      return res.status(500).json({ error: 'Failed to verify seller access' });
+    }
+  };
+}
@@ -20,6 +20,15 @@ const ActiveListingSchema = new mongoose.Schema({
     listingStatus: { type: String }, // Active, Ended
     startTime: Date,
     endTime: Date,
+
+    // Repricing (lib/repricing.js) - not touched by the listing sync
+    repricingCheckedAt: Date,
+    lastAmazonCost: Number,
+
+    // Out-of-stock monitor (lib/stockMonitor.js) - not touched by the listing sync
+    stockCheckedAt: Date,
+    sourceAvailability: { type: String, enum: ['in_stock', 'out_of_stock', 'unknown', null], default: null },
+    stockZeroedAt: { type: Date, default: null }, // Set while the monitor holds the quantity at 0
 }, { timestamps: true });
 
 // Index for efficient queries
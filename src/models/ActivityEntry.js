@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// One entry in the activity thread of an order, return, INR case or payment dispute
+// (lib/activity.js). Replaces the free-text logs field, which is kept for older clients.
+const ActivityEditSchema = new mongoose.Schema({
+  body: String, // Text before the edit
+  editedAt: { type: Date, default: Date.now },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+const ActivityEntrySchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    entityType: { type: String, enum: ['order', 'return', 'case', 'dispute'], required: true },
+    entityId: { type: String, required: true }, // eBay orderId, returnId, caseId or paymentDisputeId
+    type: { type: String, enum: ['note', 'status-change', 'message-sent', 'system'], default: 'note' },
+    body: { type: String, required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for the system
+    authorName: String, // Name from migrated logs that matches no user
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'ActivityEntry', default: null }, // Top-level entry replied to
+    data: Object, // Details of generated entries, e.g. { field, from, to } for status changes
+    edits: [ActivityEditSchema],
+    editedAt: Date,
+    source: { type: String, enum: ['app', 'migration'], default: 'app' }
+  },
+  { timestamps: true }
+);
+
+ActivityEntrySchema.index({ entityType: 1, entityId: 1, createdAt: 1 });
+ActivityEntrySchema.index({ mentions: 1, createdAt: -1 });
+
+export default mongoose.model('ActivityEntry', ActivityEntrySchema);
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// An Amazon order placed to fulfil one or more eBay orders (lib/amazonPurchases.js).
+// An eBay order can have several (split orders, re-orders); the Amazon fields on Order are
+// a roll-up of its purchases.
+const PurchaseItemSchema = new mongoose.Schema({
+  asin: { type: String, trim: true },
+  title: String,
+  quantity: { type: Number, default: 1, min: 1 },
+  unitPrice: { type: Number, min: 0 }, // Before tax, in the purchase currency
+  tax: { type: Number, min: 0 }, // Estimated tax on the item (all units); when items carry it, it splits the purchase tax
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null } // eBay order the item was bought for
+});
+
+const ShipmentSchema = new mongoose.Schema({
+  carrier: String,
+  trackingNumber: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: ['pending', 'shipped', 'inTransit', 'outForDelivery', 'delivered', 'delayed', 'returned', 'lost'],
+    default: 'pending'
+  },
+  expectedDelivery: String, // YYYY-MM-DD, like Order.arrivingDate
+  shippedAt: Date,
+  deliveredAt: Date,
+  items: [{ type: mongoose.Schema.Types.ObjectId }] // _ids of the items in this package
+});
+
+const RefundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 }, // In the purchase currency
+  date: { type: Date, default: Date.now },
+  reason: String,
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null }, // eBay order it belongs to; null = split like the cost
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+});
+
+const AmazonPurchaseSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    orders: [{
+      _id: false,
+      order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+      orderId: String // eBay orderId, for search
+    }],
+    amazonOrderId: { type: String, trim: true, default: null },
+    amazonAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'AmazonAccount', default: null },
+    creditCardName: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditCardName', default: null },
+    status: {
+      type: String,
+      enum: ['ordered', 'partiallyShipped', 'shipped', 'delivered', 'cancelled', 'returned'],
+      default: 'ordered'
+    }, // cancelled purchases are left out of the order roll-up
+    orderedAt: { type: Date, default: Date.now },
+    currency: { type: String, uppercase: true, trim: true, default: 'USD' },
+    beforeTax: Number,
+    estimatedTax: Number,
+    items: [PurchaseItemSchema],
+    shipments: [ShipmentSchema],
+    refunds: [RefundSchema],
+    reorderOf: { type: mongoose.Schema.Types.ObjectId, ref: 'AmazonPurchase', default: null },
+    notes: String,
+    source: { type: String, enum: ['manual', 'orderSheet', 'migration', 'import', 'queue'], default: 'manual' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+// One purchase per Amazon order and seller; it covers all of that seller's eBay orders it fulfils
+AmazonPurchaseSchema.index(
+  { seller: 1, amazonOrderId: 1 },
+  { unique: true, partialFilterExpression: { amazonOrderId: { $type: 'string' } } }
+);
+AmazonPurchaseSchema.index({ 'orders.order': 1 });
+AmazonPurchaseSchema.index({ 'orders.orderId': 1 });
+AmazonPurchaseSchema.index({ seller: 1, orderedAt: -1 });
+AmazonPurchaseSchema.index({ status: 1, orderedAt: -1 });
+AmazonPurchaseSchema.index({ 'shipments.trackingNumber': 1 });
+
+export default mongoose.model('AmazonPurchase', AmazonPurchaseSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One manual edit to an order, return or case: who, through which route, and what changed.
+// Append-only: entries are never updated or deleted by the application.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    model: { type: String, required: true, enum: ['Order', 'Return', 'Case', 'PaymentDispute'] },
+    documentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    documentKey: String, // eBay orderId / returnId / caseId, for searching by the id people know
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
+
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    route: String, // e.g. 'PATCH /api/ebay/orders/:orderId/worksheet-status'
+    path: String, // The URL actually called (without query string)
+
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+      }
+    ]
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ model: 1, documentId: 1, createdAt: -1 });
+AuditLogSchema.index({ documentKey: 1, createdAt: -1 });
+AuditLogSchema.index({ user: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+function rejectChange(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+}
+
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+AuditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+export default mongoose.model('AuditLog', AuditLogSchema);
@@ -12,6 +12,17 @@ const CaseSchema = new mongoose.Schema({
     enum: ['open', 'attended', 'resolved'],
     default: 'open'
   }, // Manual status for worksheet tracking
+  // Work queue owner (lib/workQueue.js); assignedBy is null when the rotation assigned it
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  assignedAt: Date,
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Last SLA escalation sent for the current deadline (lib/sla.js): 1 = first threshold,
+  // one more per threshold after it, and thresholds + 1 once the deadline is missed
+  slaEscalation: {
+    level: { type: Number, default: 0 },
+    deadline: Date,
+    at: Date
+  },
   
   // Dates
   creationDate: Date,
@@ -37,12 +48,13 @@ const CaseSchema = new mongoose.Schema({
   // Raw eBay data for reference
   rawData: Object,
   
-  // Manual logs field for internal notes
+  // Manual logs field for internal notes; superseded by ActivityEntry (migrate-logs-to-activity.js)
   logs: { type: String, default: '' }
 }, { timestamps: true });
 
 // Index for faster queries (caseId already indexed via unique: true)
 CaseSchema.index({ seller: 1, status: 1 });
 CaseSchema.index({ creationDate: -1 });
+CaseSchema.index({ assignedTo: 1, worksheetStatus: 1 });
 
 export default mongoose.model('Case', CaseSchema);
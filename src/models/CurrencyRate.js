@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Daily market rate for a currency pair: 1 base = rate quote (lib/currency.js).
+// One rate per pair and day; the inverse pair and crosses through USD are derived, not stored.
+const CurrencyRateSchema = new mongoose.Schema(
+  {
+    base: { type: String, required: true, uppercase: true, trim: true }, // e.g. USD
+    quote: { type: String, required: true, uppercase: true, trim: true }, // e.g. INR
+    rate: { type: Number, required: true, min: 0 },
+    date: { type: Date, required: true }, // UTC midnight of the day the rate is for
+    source: { type: String, default: 'manual' }, // manual, csv or the provider name
+    createdBy: { type: String, default: 'system' },
+    notes: String
+  },
+  { timestamps: true }
+);
+
+CurrencyRateSchema.index({ base: 1, quote: 1, date: -1 }, { unique: true });
+
+export default mongoose.model('CurrencyRate', CurrencyRateSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// One line of the eBay Finances API transaction report (sales, refunds, fees, credits...)
+const EbayFinanceTransactionSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    transactionId: { type: String, required: true },
+    transactionType: { type: String, required: true }, // SALE, REFUND, NON_SALE_CHARGE, SHIPPING_LABEL, CREDIT, DISPUTE, ...
+    transactionStatus: String,
+    transactionDate: Date,
+    bookingEntry: { type: String, enum: ['CREDIT', 'DEBIT'] },
+    amount: Number, // As reported (always positive)
+    netAmount: Number, // Signed: CREDIT positive, DEBIT negative
+    currency: String,
+    totalFeeAmount: Number,
+    feeType: String, // NON_SALE_CHARGE lines, e.g. AD_FEE
+    orderId: String,
+    payoutId: String, // Set once the transaction is part of a payout
+    transactionMemo: String,
+    references: [{ _id: false, referenceId: String, referenceType: String }],
+    orderLineItems: { type: Array, default: undefined } // Per line item fee breakdown, as eBay sends it
+  },
+  { timestamps: true }
+);
+
+// eBay reuses a transactionId across types (e.g. a SALE and its REFUND)
+EbayFinanceTransactionSchema.index({ transactionId: 1, transactionType: 1 }, { unique: true });
+EbayFinanceTransactionSchema.index({ payoutId: 1 });
+EbayFinanceTransactionSchema.index({ orderId: 1 });
+EbayFinanceTransactionSchema.index({ seller: 1, transactionDate: -1 });
+
+export default mongoose.model('EbayFinanceTransaction', EbayFinanceTransactionSchema);
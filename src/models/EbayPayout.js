@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// A payout from the eBay Finances API, and the Payoneer record / bank credit it was matched to
+// (lib/ebayFinances.js)
+const EbayPayoutSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    payoutId: { type: String, required: true, unique: true },
+    payoutStatus: String, // INITIATED, SUCCEEDED, RETRYABLE_FAILED, TERMINAL_FAILED, REVERSED
+    payoutStatusDescription: String,
+    payoutDate: Date,
+    lastAttemptedPayoutDate: Date,
+    amount: Number,
+    currency: String,
+    transactionCount: Number,
+    payoutMemo: String,
+    instrument: {
+      instrumentType: String,
+      nickname: String,
+      accountLastFourDigits: String
+    },
+
+    // Reconciliation
+    matchStatus: {
+      type: String,
+      enum: ['pending', 'matched', 'amountMismatch', 'missingDeposit', 'unmatched'],
+      default: 'unmatched'
+    }, // pending = eBay has not paid it out yet
+    matchSource: { type: String, enum: ['auto', 'manual'], default: 'auto' }, // manual matches are kept by re-runs
+    payoneerRecord: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoneerRecord', default: null },
+    bankTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+    matchDifferenceUSD: Number, // Payoneer amount - payout amount
+    matchedAt: Date,
+    matchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    matchNote: String
+  },
+  { timestamps: true }
+);
+
+EbayPayoutSchema.index({ seller: 1, payoutDate: -1 });
+EbayPayoutSchema.index({ matchStatus: 1, payoutDate: -1 });
+EbayPayoutSchema.index({ payoneerRecord: 1 });
+
+export default mongoose.model('EbayPayout', EbayPayoutSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { encryptedString, encryptedBuffer } from '../lib/fieldEncryption.js';
 
 const EmployeeProfileSchema = new mongoose.Schema(
   {
@@ -11,13 +12,14 @@ const EmployeeProfileSchema = new mongoose.Schema(
     gender: { type: String, enum: ['male', 'female', 'other', 'prefer_not_to_say'], trim: true },
     address: { type: String, trim: true },
     email: { type: String, trim: true },
-    bankAccountNumber: { type: String, trim: true },
-    bankIFSC: { type: String, trim: true },
+    // Bank, Aadhaar and PAN numbers and the identity documents are encrypted at rest (lib/fieldEncryption.js)
+    bankAccountNumber: { type: String, ...encryptedString({ trim: true }) },
+    bankIFSC: { type: String, ...encryptedString({ trim: true }) },
     bankName: { type: String, trim: true },
     workingMode: { type: String, enum: ['remote', 'office', 'hybrid'], trim: true },
     workingHours: { type: String, trim: true },
-    aadharNumber: { type: String, trim: true },
-    panNumber: { type: String, trim: true },
+    aadharNumber: { type: String, ...encryptedString({ trim: true }) },
+    panNumber: { type: String, ...encryptedString({ trim: true }) },
 
     // Task Management Fields
     myTaskList: { type: String, trim: true },
@@ -27,23 +29,30 @@ const EmployeeProfileSchema = new mongoose.Schema(
     // Visibility Control
     isHidden: { type: Boolean, default: false },
 
-    // NEW: BLOB storage for files (images and PDFs)
+    // Files live in lib/storage.js under storageKey (Aadhar/PAN encrypted).
+    // `data` is the old in-document copy, moved out by `npm run migrate-files`.
     profilePic: {
+      storageKey: String,
       data: Buffer,
       contentType: String,
       fileName: String,
+      size: Number,
       uploadedAt: Date
     },
     aadharDocument: {
-      data: Buffer,
+      storageKey: String,
+      data: { type: Buffer, ...encryptedBuffer() },
       contentType: String,
       fileName: String,
+      size: Number,
       uploadedAt: Date
     },
     panDocument: {
-      data: Buffer,
+      storageKey: String,
+      data: { type: Buffer, ...encryptedBuffer() },
       contentType: String,
       fileName: String,
+      size: Number,
       uploadedAt: Date
     },
 
@@ -52,7 +61,12 @@ const EmployeeProfileSchema = new mongoose.Schema(
     aadharImageUrl: { type: String },
     panImageUrl: { type: String }
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    // Decrypt encrypted fields when serializing (virtuals stay off, as before)
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false }
+  }
 );
 
 export default mongoose.model('EmployeeProfile', EmployeeProfileSchema);
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+const JobLockSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true }, // e.g. 'cron:attendance-auto-stop', 'sync:orders:<sellerId>'
+    token: { type: String, required: true, index: true }, // Unique per acquisition; only the holder can renew/release
+    instance: String, // hostname:pid of the API process holding the lock
+    startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    startedByName: String, // Username, or 'scheduler' for cron/background runs
+    acquiredAt: Date,
+    heartbeatAt: Date,
+    expiresAt: { type: Date, required: true } // Lock is free once this passes (holder crashed or stopped renewing)
+  },
+  { timestamps: true }
+);
+
+// Clean up lock documents a day after they expire
+JobLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('JobLock', JobLockSchema);
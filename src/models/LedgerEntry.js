@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// One financial movement on an order (or a seller, for manual entries), in USD and INR.
+// Append-only: changes are new entries (corrections, FX revaluations, reversals), never edits.
+// See lib/ledger.js for how entries are posted.
+const LedgerEntrySchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderId: String, // eBay orderId, for searching by the id people know
+
+    type: {
+      type: String,
+      required: true,
+      enum: ['sale', 'ebayFee', 'adFee', 'refund', 'amazonPurchase', 'amazonRefund', 'cardFee', 'fx', 'other']
+    },
+    line: String, // Component within the type, e.g. ebayFee: transactionFee / tds / tid
+    marketplace: { type: String, enum: ['EBAY', 'AMAZON', null], default: null }, // Exchange rate used for INR
+
+    // Signed from the seller's point of view: income positive, costs negative
+    amountUSD: { type: Number, required: true },
+    amountINR: { type: Number, required: true },
+    exchangeRate: Number, // INR per USD at posting time
+
+    accountingDate: { type: Date, required: true }, // Order date; the month the entry reports in
+    source: { type: String, enum: ['auto', 'manual'], required: true },
+    reason: {
+      type: String,
+      required: true,
+      enum: ['posting', 'correction', 'revaluation', 'adjustment', 'reversal']
+    },
+    reverses: { type: mongoose.Schema.Types.ObjectId, ref: 'LedgerEntry' },
+    note: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+LedgerEntrySchema.index({ order: 1, createdAt: 1 });
+LedgerEntrySchema.index({ seller: 1, accountingDate: 1 });
+LedgerEntrySchema.index({ orderId: 1 });
+// An entry can be reversed only once
+LedgerEntrySchema.index({ reverses: 1 }, { unique: true, partialFilterExpression: { reverses: { $type: 'objectId' } } });
+
+function rejectChange(next) {
+  next(new Error('Ledger entries cannot be modified or deleted'));
+}
+
+LedgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+LedgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+export default mongoose.model('LedgerEntry', LedgerEntrySchema);
@@ -56,17 +56,44 @@ const OrderSchema = new mongoose.Schema(
     beforeTaxUSD: Number, // Amazon order before tax amount in USD
     estimatedTaxUSD: Number, // Amazon estimated tax in USD
     conversionRate: Number, // Stored conversion rate for reference
+    conversionRateSource: { type: String, enum: ['ebay', 'rates', null] }, // rates = stored CurrencyRate, redone when it is corrected
     cancelState: String, // NONE_REQUESTED, CANCEL_REQUESTED, CANCELED, etc.
     worksheetStatus: {
       type: String,
       enum: ['open', 'attended', 'resolved'],
       default: 'open'
     }, // Manual status for worksheet tracking
+    // Work queue owner (lib/workQueue.js); assignedBy is null when the rotation assigned it
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    assignedAt: Date,
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     refunds: Array, // Array of refund objects from paymentSummary.refunds (for display only)
     // Simple earnings field (auto for PAID, $0 for FULLY_REFUNDED, manual for PARTIALLY_REFUNDED)
     orderEarnings: Number,
     trackingNumber: String, // Extracted from fulfillmentHrefs
     manualTrackingNumber: String, // Manually entered tracking number (separate from trackingNumber)
+    // Carrier tracking (lib/tracking.js); history in ShipmentTracking
+    trackingStatus: String, // Status of the tracking number in use (manual first)
+    trackingCheckedAt: Date,
+    deliveredAt: Date,
+    deliveryOverdue: { type: Boolean, default: false }, // Not delivered by estimatedDelivery
+    deliveryOverdueSince: Date,
+    shippingRisk: { type: String, enum: ['dueIn24h', 'dueToday', 'overdue', null], default: null }, // Last alerted late-shipment risk (lib/shippingRisk.js)
+    shippingRiskAt: Date,
+    // Purchase queue (lib/purchaseQueue.js): who is buying the order on Amazon right now,
+    // and what came of the last attempt when it wasn't bought
+    purchaseClaim: {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      batch: String,
+      claimedAt: Date,
+      expiresAt: Date
+    },
+    purchaseOutcome: {
+      status: { type: String, enum: ['purchased', 'outOfStock', 'priceTooHigh', 'skipped'] },
+      notes: String,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      at: Date
+    },
     purchaseMarketplaceId: String, // e.g., EBAY_US, EBAY_AUS, EBAY_Canada
     messagingStatus: {
       type: String,
@@ -123,8 +150,9 @@ const OrderSchema = new mongoose.Schema(
     igst: Number, // 18% of marketplaceFee
     totalCC: Number, // marketplaceFee + igst
     profit: { type: Number, default: 0 }, // P.Balance (INR) - A_total-inr - Total_CC
+    ledgerSyncedAt: Date, // updatedAt as of the last ledger posting (lib/ledger.js); null = repost
 
-    // Manual logs field for internal notes (used in Issues & Resolutions)
+    // Manual logs field for internal notes (used in Issues & Resolutions); superseded by ActivityEntry
     logs: { type: String, default: '' },
 
     // Policy message feature (20-minute follow-up message)
@@ -161,5 +189,12 @@ OrderSchema.index({ seller: 1, creationDate: -1, lastModifiedDate: -1 }); // Com
 OrderSchema.index({ dateSold: 1 }); // Index for date range searches
 OrderSchema.index({ cancelState: 1, creationDate: -1 }); // Index for cancelled orders queries
 OrderSchema.index({ policyMessageSent: 1, policyMessageDisabled: 1, policyMessageEligibleAt: 1 }); // Index for policy message processing
+OrderSchema.index({ conversionRateSource: 1, creationDate: 1 }); // Index for re-conversion after currency rate changes
+OrderSchema.index({ trackingStatus: 1, creationDate: -1 }); // Index for tracking polls
+OrderSchema.index({ deliveryOverdue: 1, estimatedDelivery: 1 }); // Index for overdue delivery lists
+OrderSchema.index({ shipByDate: 1, orderFulfillmentStatus: 1 }); // Index for late-shipment risk
+OrderSchema.index({ shippingRisk: 1 });
+OrderSchema.index({ 'purchaseClaim.batch': 1 });
+OrderSchema.index({ assignedTo: 1, worksheetStatus: 1 });
 
 export default mongoose.model('Order', OrderSchema);
@@ -14,6 +14,17 @@ const PaymentDisputeSchema = new mongoose.Schema({
     enum: ['open', 'attended', 'resolved'],
     default: 'open'
   }, // Manual status for worksheet tracking
+  // Work queue owner (lib/workQueue.js); assignedBy is null when the rotation assigned it
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  assignedAt: Date,
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Last SLA escalation sent for the current deadline (lib/sla.js): 1 = first threshold,
+  // one more per threshold after it, and thresholds + 1 once the deadline is missed
+  slaEscalation: {
+    level: { type: Number, default: 0 },
+    deadline: Date,
+    at: Date
+  },
   
   // Dates
   openDate: Date,
@@ -33,6 +44,9 @@ const PaymentDisputeSchema = new mongoose.Schema({
   // Evidence info
   evidenceDeadline: Date,
   evidenceSubmitted: { type: Boolean, default: false },
+
+  // Manual logs field for internal notes; superseded by ActivityEntry (migrate-logs-to-activity.js)
+  logs: { type: String, default: '' },
   
   // Raw eBay data for reference
   rawData: Object
@@ -41,5 +55,6 @@ const PaymentDisputeSchema = new mongoose.Schema({
 // Index for faster queries (paymentDisputeId already indexed via unique: true)
 PaymentDisputeSchema.index({ seller: 1, paymentDisputeStatus: 1 });
 PaymentDisputeSchema.index({ openDate: -1 });
+PaymentDisputeSchema.index({ assignedTo: 1, worksheetStatus: 1 });
 
 export default mongoose.model('PaymentDispute', PaymentDisputeSchema);
@@ -7,6 +7,7 @@ const PayoneerRecordSchema = new mongoose.Schema(
         paymentDate: { type: Date, required: true },
         amount: { type: Number, required: true }, // Amount in USD (presumably)
         exchangeRate: { type: Number, required: true },
+        exchangeRateSource: { type: String, enum: ['manual', 'rates'], default: 'manual' }, // rates = market USD/INR of paymentDate
         actualExchangeRate: { type: Number, required: true }, // Calculated: Rate + 2%
         bankDeposit: { type: Number, required: true }, // Calculated: Amount * ActualRate
         store: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true }
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Every price revision pushed to a live eBay listing, by the repricer or by hand
+const PriceChangeSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    itemId: { type: String, required: true },
+    sku: String,
+    asin: String,
+
+    oldPrice: Number,
+    newPrice: { type: Number, required: true },
+    currency: { type: String, default: 'USD' },
+
+    source: { type: String, enum: ['repricer', 'manual'], required: true },
+    run: { type: mongoose.Schema.Types.ObjectId, ref: 'RepricingRun' }, // Repricer changes
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Manual changes / manually started runs
+
+    // Repricer inputs, to explain the change later
+    amazonCost: Number,
+    computedPrice: Number,
+    guard: { type: String, enum: ['floor', 'ceiling', null], default: null },
+
+    status: { type: String, enum: ['applied', 'failed'], required: true },
+    error: String
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+PriceChangeSchema.index({ itemId: 1, createdAt: -1 });
+PriceChangeSchema.index({ seller: 1, createdAt: -1 });
+PriceChangeSchema.index({ run: 1 });
+
+export default mongoose.model('PriceChange', PriceChangeSchema);
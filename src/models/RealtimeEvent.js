@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Capped so every API instance can tail it (tailable cursor) and relay events to its own SSE clients.
+// Old events roll off automatically; they only need to live long enough for reconnect replay.
+const RealtimeEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true }, // e.g. 'order.created', 'internalMessage.sent'
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null }, // Seller-scoped events
+    users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // If set, only these users receive it
+    data: Object,
+    createdAt: { type: Date, default: Date.now }
+  },
+  {
+    capped: { size: 10 * 1024 * 1024, max: 5000 },
+    versionKey: false
+  }
+);
+
+export default mongoose.model('RealtimeEvent', RealtimeEventSchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// One repricing pass over a seller's active listings. Dry runs keep the full report of what
+// would change; live runs keep the same report with the outcome of each revision.
+const RepricingRunSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    dryRun: { type: Boolean, default: true },
+    trigger: { type: String, enum: ['schedule', 'manual'], default: 'manual' },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    status: {
+      type: String,
+      enum: ['running', 'success', 'partial', 'failed'],
+      default: 'running'
+    }, // partial = some revisions failed
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+    durationMs: Number,
+    counts: {
+      checked: { type: Number, default: 0 },
+      toRevise: { type: Number, default: 0 },
+      revised: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 }
+    },
+    errorMessage: String,
+
+    // Per-listing outcome
+    items: [
+      {
+        _id: false,
+        itemId: String,
+        sku: String,
+        asin: String,
+        currentPrice: Number,
+        amazonCost: Number,
+        computedPrice: Number, // From the pricing config, before floor/ceiling
+        newPrice: Number, // After floor/ceiling
+        guard: { type: String, enum: ['floor', 'ceiling', null], default: null },
+        action: { type: String, enum: ['revise', 'skip'] },
+        reason: String, // Why it was skipped, e.g. 'below threshold', 'no ASIN'
+        result: { type: String, enum: ['revised', 'failed', null], default: null },
+        error: String
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+RepricingRunSchema.index({ seller: 1, startedAt: -1 });
+// Keep 90 days of run reports
+RepricingRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('RepricingRun', RepricingRunSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Per-seller guards for the repricing engine (lib/repricing.js)
+const RepricingSettingsSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true, unique: true },
+
+    // Scheduled live runs only happen for enabled sellers; dry runs work either way
+    enabled: { type: Boolean, default: false },
+
+    // Recomputed prices are clamped to [floorPrice, ceilingPrice] (USD, null = no limit)
+    floorPrice: { type: Number, default: null, min: 0 },
+    ceilingPrice: { type: Number, default: null, min: 0 },
+
+    // A listing is revised only when the price moves by at least this much (both must be met)
+    minChangePercent: { type: Number, default: 3, min: 0 },
+    minChangeAmount: { type: Number, default: 0.5, min: 0 },
+
+    // Listings checked per run, least recently checked first (each may cost a ScraperAPI call)
+    maxListingsPerRun: { type: Number, default: 500, min: 1 },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('RepricingSettings', RepricingSettingsSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// An action taken on eBay for a return, INR case or payment dispute (lib/resolutions.js),
+// successful or not. It is also a system entry in the item's activity (lib/activity.js).
+const EvidenceFileSchema = new mongoose.Schema({
+  key: String, // Storage key of our copy (lib/storage.js)
+  fileName: String,
+  contentType: String,
+  size: Number,
+  ebayFileId: String
+}, { _id: false });
+
+const ResolutionActionSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    kind: { type: String, enum: ['return', 'case', 'dispute'], required: true },
+    document: { type: mongoose.Schema.Types.ObjectId, required: true }, // Return, Case or PaymentDispute _id
+    itemId: { type: String, required: true }, // eBay returnId, caseId (inquiry) or paymentDisputeId
+    orderId: String,
+    action: { type: String, required: true },
+    params: Object, // What was sent (amounts, tracking, notes)
+    files: [EvidenceFileSchema],
+    status: { type: String, enum: ['succeeded', 'failed'], required: true },
+    error: String,
+    response: Object, // eBay's reply, for reference
+    adapter: String,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+ResolutionActionSchema.index({ kind: 1, itemId: 1, createdAt: -1 });
+ResolutionActionSchema.index({ seller: 1, createdAt: -1 });
+
+export default mongoose.model('ResolutionAction', ResolutionActionSchema);
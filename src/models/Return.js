@@ -19,6 +19,17 @@ const ReturnSchema = new mongoose.Schema(
       enum: ['open', 'attended', 'resolved'],
       default: 'open'
     }, // Manual status for worksheet tracking
+    // Work queue owner (lib/workQueue.js); assignedBy is null when the rotation assigned it
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    assignedAt: Date,
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Last SLA escalation sent for the current deadline (lib/sla.js): 1 = first threshold,
+    // one more per threshold after it, and thresholds + 1 once the deadline is missed
+    slaEscalation: {
+      level: { type: Number, default: 0 },
+      deadline: Date,
+      at: Date
+    },
     
     // Item details
     itemId: String,
@@ -44,7 +55,7 @@ const ReturnSchema = new mongoose.Schema(
     // Full eBay response (for reference)
     rawData: Object,
     
-    // Manual logs field for internal notes
+    // Manual logs field for internal notes; superseded by ActivityEntry (migrate-logs-to-activity.js)
     logs: { type: String, default: '' },
 
     // Manual SNAD override — counts this return in the BBE calculation even if the reason code is not SNAD
@@ -58,5 +69,6 @@ ReturnSchema.index({ seller: 1, creationDate: -1 });
 // Note: returnId already has unique index from schema definition
 ReturnSchema.index({ orderId: 1 });
 ReturnSchema.index({ returnStatus: 1, creationDate: -1 });
+ReturnSchema.index({ assignedTo: 1, worksheetStatus: 1 });
 
 export default mongoose.model('Return', ReturnSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A role is a named bundle of permissions (see PERMISSIONS in lib/permissions.js)
+const RoleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true, lowercase: true }, // Stored on User.role
+    label: { type: String, required: true },
+    description: String,
+    permissions: [{ type: String }],
+
+    // Roles a user with this role may create (needs users.create); '*' = any except superadmin
+    assignableRoles: [{ type: String }],
+
+    // Default permissions already offered to this role, so new defaults are granted only once
+    knownPermissions: [{ type: String }],
+
+    isSystem: { type: Boolean, default: false }, // Built-in roles cannot be deleted
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('Role', RoleSchema);
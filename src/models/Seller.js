@@ -1,12 +1,15 @@
 import mongoose from 'mongoose';
+import { encryptedString } from '../lib/fieldEncryption.js';
 
 const SellerSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
     ebayMarketplaces: [{ type: String, required: true }],
+    // Tokens are encrypted at rest and decrypted on read from hydrated documents
+    // (lean() and API responses carry the ciphertext)
     ebayTokens: {
-      access_token: String,
-      refresh_token: String,
+      access_token: { type: String, ...encryptedString() },
+      refresh_token: { type: String, ...encryptedString() },
       expires_in: Number,
       refresh_token_expires_in: Number,
       token_type: String,
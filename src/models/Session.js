@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// A login on one device; its refresh token rotates on every refresh
+const SessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+    // SHA-256 of the current refresh token (the token itself is never stored)
+    refreshTokenHash: { type: String, required: true },
+    // Previous token, kept to detect a stolen token being replayed after rotation
+    previousRefreshTokenHash: String,
+
+    userAgent: String,
+    ip: String,
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: Date,
+    revokedReason: { type: String, enum: ['logout', 'logout-all', 'admin', 'deactivated', 'token-reuse'] },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Drop sessions a week after they expire (kept briefly for "where am I logged in" history)
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model('Session', SessionSchema);
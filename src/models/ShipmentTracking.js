@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Carrier tracking of one tracking number of an order, with its event history (lib/tracking.js)
+const TrackingEventSchema = new mongoose.Schema({
+  time: { type: Date, required: true },
+  status: String, // Normalized status after this event
+  description: String,
+  location: String
+}, { _id: false });
+
+const ShipmentTrackingSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderId: String, // eBay orderId
+    trackingNumber: { type: String, required: true, trim: true },
+    carrier: String, // Detected from the number; null when unknown
+    adapter: String, // Carrier adapter that answered last
+
+    status: {
+      type: String,
+      enum: ['unknown', 'infoReceived', 'inTransit', 'outForDelivery', 'delivered', 'exception', 'returned'],
+      default: 'unknown'
+    },
+    estimatedDelivery: Date, // From the carrier
+    deliveredAt: Date,
+    events: [TrackingEventSchema], // Oldest first
+    lastEventAt: Date,
+
+    lastCheckedAt: Date,
+    checks: { type: Number, default: 0 },
+    error: String // Last failed check
+  },
+  { timestamps: true }
+);
+
+ShipmentTrackingSchema.index({ order: 1, trackingNumber: 1 }, { unique: true });
+ShipmentTrackingSchema.index({ trackingNumber: 1 });
+ShipmentTrackingSchema.index({ seller: 1, status: 1 });
+
+export default mongoose.model('ShipmentTracking', ShipmentTrackingSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Which Amazon ASIN an eBay SKU stands for, per seller (lib/skuRegistry.js).
+// Filled from template listings and the active listing sync; fulfillment looks orders up here.
+const SkuMappingSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    sku: { type: String, required: true, trim: true },
+    asin: { type: String, trim: true, uppercase: true, default: null },
+
+    itemId: { type: String, default: null }, // Live eBay listing, once synced
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'ListingTemplate', default: null },
+    templateListing: { type: mongoose.Schema.Types.ObjectId, ref: 'TemplateListing', default: null },
+
+    // Where the mapping was first learned (manual = added by hand)
+    source: { type: String, enum: ['template', 'import', 'sync', 'manual'], required: true },
+
+    // Other ASINs that something tried to record for this SKU - a collision to sort out by hand
+    conflictAsins: { type: [String], default: [] },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+SkuMappingSchema.index({ seller: 1, sku: 1 }, { unique: true });
+SkuMappingSchema.index({ asin: 1 });
+SkuMappingSchema.index({ itemId: 1 });
+
+export default mongoose.model('SkuMapping', SkuMappingSchema);
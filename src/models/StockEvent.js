@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Every quantity change made by the out-of-stock monitor (lib/stockMonitor.js), applied or failed
+const StockEventSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
+    itemId: { type: String, required: true },
+    sku: String,
+    asin: String,
+
+    action: { type: String, enum: ['zeroed', 'restored'], required: true },
+    quantity: Number, // Quantity sent to eBay
+    availability: { type: String, enum: ['in_stock', 'out_of_stock', 'unknown'] }, // What Amazon showed
+    availabilityText: String,
+    override: { type: String, enum: ['inStock', 'outOfStock', null], default: null }, // Set when an override decided it
+
+    trigger: { type: String, enum: ['schedule', 'manual'], default: 'schedule' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Manual runs
+
+    status: { type: String, enum: ['applied', 'failed'], required: true },
+    error: String
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+StockEventSchema.index({ itemId: 1, createdAt: -1 });
+StockEventSchema.index({ seller: 1, createdAt: -1 });
+StockEventSchema.index({ asin: 1, createdAt: -1 });
+
+export default mongoose.model('StockEvent', StockEventSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Manual overrides for the out-of-stock monitor (lib/stockMonitor.js), by listing or by ASIN.
+// A listing override wins over an ASIN override.
+const StockOverrideSchema = new mongoose.Schema(
+  {
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' }, // Optional, for filtering
+    itemId: { type: String, trim: true }, // eBay ItemID
+    asin: { type: String, trim: true, uppercase: true }, // Every listing sourced from this ASIN
+
+    // exclude     = never check or touch the quantity
+    // inStock     = treat as available (restores the quantity if the monitor zeroed it)
+    // outOfStock  = keep the quantity at 0 whatever Amazon shows
+    mode: { type: String, enum: ['exclude', 'inStock', 'outOfStock'], required: true },
+    note: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+StockOverrideSchema.pre('validate', function (next) {
+  if (Boolean(this.itemId) === Boolean(this.asin)) {
+    return next(new Error('Set exactly one of itemId or asin'));
+  }
+  next();
+});
+
+StockOverrideSchema.index({ itemId: 1 }, { unique: true, partialFilterExpression: { itemId: { $type: 'string' } } });
+StockOverrideSchema.index({ asin: 1 }, { unique: true, partialFilterExpression: { asin: { $type: 'string' } } });
+
+export default mongoose.model('StockOverride', StockOverrideSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const SyncJobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    type: {
+      type: String,
+      enum: ['orders', 'returns', 'inrCases', 'paymentDisputes', 'messages', 'listings', 'finances'],
+      required: true
+    },
+    // null = every connected seller that has no dedicated job of the same type
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null },
+    cronExpression: { type: String, required: true, trim: true },
+    timezone: { type: String, default: 'Asia/Kolkata' },
+
+    // Paused jobs are taken off the scheduler until resumed (manual triggers still run)
+    enabled: { type: Boolean, default: true },
+    pausedAt: Date,
+    pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    // Denormalized from the latest SyncJobRun for quick display
+    lastRunAt: Date,
+    lastRunStatus: String,
+    lastRun: { type: mongoose.Schema.Types.ObjectId, ref: 'SyncJobRun' }
+  },
+  { timestamps: true }
+);
+
+// One job per sync type per seller (seller: null is the global job)
+SyncJobSchema.index({ type: 1, seller: 1 }, { unique: true });
+
+export default mongoose.model('SyncJob', SyncJobSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const SyncJobRunSchema = new mongoose.Schema(
+  {
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'SyncJob', required: true },
+    type: { type: String, required: true },
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null },
+    trigger: { type: String, enum: ['schedule', 'manual'], default: 'schedule' },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    status: {
+      type: String,
+      enum: ['running', 'success', 'partial', 'failed'],
+      default: 'running'
+    }, // partial = some sellers failed
+    instance: String, // API instance (hostname:pid) that executed the run
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+    durationMs: Number,
+    counts: {
+      sellers: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 }
+    },
+    errorMessages: [String],
+    skippedSellers: [String] // Sellers already being synced by another run/instance
+  },
+  { timestamps: true }
+);
+
+SyncJobRunSchema.index({ job: 1, startedAt: -1 });
+SyncJobRunSchema.index({ status: 1, startedAt: -1 });
+// Keep 30 days of run history
+SyncJobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('SyncJobRun', SyncJobRunSchema);
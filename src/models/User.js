@@ -5,29 +5,12 @@ const UserSchema = new mongoose.Schema(
     email: { type: String, required: false, unique: true, sparse: true, index: true },
     username: { type: String, required: true, unique: true, index: true },
     passwordHash: { type: String, required: true },
-    role: {
-      type: String,
-      enum: [
-        'superadmin',
-        'productadmin',
-        'listingadmin',
-        'lister',
-        'advancelister',
-        'compatibilityadmin',
-        'compatibilityeditor',
-        'seller',
-        'fulfillmentadmin',
-        'hradmin',
-        'hr',
-        'operationhead',
-        'trainee',
-        'hoc',
-        'compliancemanager'
-      ],
-      required: true
-    },
+    // Name of a Role document (roles and their permissions are managed through /api/roles)
+    role: { type: String, required: true, index: true },
     department: { type: String, trim: true },
     active: { type: Boolean, default: true },
+    // Sellers this user may work on; empty = every seller (see lib/sellerAccess.js)
+    assignedSellers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Seller' }],
     isStrictTimer: { type: Boolean, default: true } // Mandatory timer tracking (false for superadmin by default)
   },
   { timestamps: true }
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// One event sent to one subscription, with its retry state and the last response
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true, index: true },
+    event: { type: String, required: true },
+    eventId: { type: String, required: true }, // Same for every subscription that got this event
+    payload: { type: Object, required: true }, // Exact JSON body (signed as sent)
+
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'retrying', 'success', 'failed'],
+      default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    lastAttemptAt: Date,
+    deliveredAt: Date,
+
+    // Last attempt result
+    responseStatus: Number,
+    responseBody: String, // Truncated
+    lastError: String,
+    durationMs: Number,
+
+    // Set when an admin re-sends an earlier delivery
+    redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+// Keep 30 days of delivery history
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// An external endpoint (accounting sheet, Slack bot...) that receives signed event POSTs
+const WebhookSubscriptionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    url: { type: String, required: true },
+
+    // HMAC-SHA256 signing secret; only returned when the subscription is created or the secret rotated
+    secret: { type: String, required: true, select: false },
+
+    // Event types this endpoint wants (see WEBHOOK_EVENTS in lib/webhooks.js)
+    events: [{ type: String, required: true }],
+
+    // Optional: only events for this seller (null = all sellers)
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null },
+
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: { type: String, enum: ['success', 'failed'] }
+  },
+  { timestamps: true }
+);
+
+WebhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+export default mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Round-robin rotation for assigning worksheet items (lib/workQueue.js). A rotation with a
+// seller wins over one with a marketplace, which wins over one with neither.
+const WorkRotationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    kinds: {
+      type: [{ type: String, enum: ['order', 'return', 'case', 'dispute'] }],
+      default: ['order', 'return', 'case', 'dispute']
+    },
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', default: null },
+    marketplace: { type: String, default: null }, // EBAY_US, EBAY_CA, ...
+    members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    position: { type: Number, default: 0 }, // Turns taken so far; the next member is position % members.length
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+WorkRotationSchema.index({ active: 1, seller: 1, marketplace: 1 });
+
+export default mongoose.model('WorkRotation', WorkRotationSchema);
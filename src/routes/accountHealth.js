@@ -1,6 +1,9 @@
 import { Router } from 'express';
 import mongoose from 'mongoose';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission, enforceSellerScope, requireRecordSellerAccess } from '../middleware/auth.js';
+import { isSellerScoped, sellerScopeMatch, scopedSellerMatch } from '../lib/sellerAccess.js';
+import { recordAudit } from '../lib/auditLog.js';
+import { SHIPPING_RISKS, shippingRiskSummary, shippingRiskOrdersMatch, classifyShippingRisk } from '../lib/shippingRisk.js';
 import Order from '../models/Order.js';
 import Case from '../models/Case.js';
 import Return from '../models/Return.js';
@@ -26,7 +29,7 @@ const SNAD_RETURN_REASONS = [
  * Returns SNAD details for orders with SNAD cases or returns
  * Supports filters: sellerId, startDate, endDate
  */
-router.get('/details', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/details', requireAuth, requirePermission('accountHealth.read'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId, startDate, endDate } = req.query;
 
@@ -46,8 +49,8 @@ router.get('/details', requireAuth, requireRole('fulfillmentadmin', 'superadmin'
       }
     }
 
-    // Build seller filter
-    const sellerMatch = sellerId ? { seller: new mongoose.Types.ObjectId(sellerId) } : {};
+    // Build seller filter (no sellerId = every seller the caller may see)
+    const sellerMatch = scopedSellerMatch(req, sellerId);
 
     // Get all SNAD cases
     const snadCases = await Case.find({
@@ -179,10 +182,10 @@ router.get('/details', requireAuth, requireRole('fulfillmentadmin', 'superadmin'
  * Each window covers an 84-day period, and we generate a new window every week
  * BBE Rate = (SNAD count / Total Sales in that 84-day period) × 100
  */
-router.get('/evaluation-windows', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/evaluation-windows', requireAuth, requirePermission('accountHealth.read'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId } = req.query;
-    const sellerMatch = sellerId ? { seller: new mongoose.Types.ObjectId(sellerId) } : {};
+    const sellerMatch = scopedSellerMatch(req, sellerId);
 
     // We'll generate weekly windows, each spanning 84 days
     const windows = [];
@@ -308,7 +311,7 @@ router.get('/evaluation-windows', requireAuth, requireRole('fulfillmentadmin', '
  * POST /account-health/evaluation-windows/market-avg
  * Update market average (creates a new historical record)
  */
-router.post('/evaluation-windows/market-avg', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.post('/evaluation-windows/market-avg', requireAuth, requirePermission('accountHealth.read'), enforceSellerScope, async (req, res) => {
   try {
     const { value, effectiveDate, sellerId } = req.body;
     
@@ -321,6 +324,10 @@ router.post('/evaluation-windows/market-avg', requireAuth, requireRole('fulfillm
     if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) {
       return res.status(400).json({ error: 'Invalid sellerId' });
     }
+    // The global market average applies to every seller
+    if (!sellerId && isSellerScoped(req)) {
+      return res.status(403).json({ error: 'Only users with access to all sellers can set the global market average' });
+    }
 
     const metric = new MarketMetric({
       value,
@@ -342,7 +349,7 @@ router.post('/evaluation-windows/market-avg', requireAuth, requireRole('fulfillm
  * PATCH /account-health/details/:orderId
  * Update sellerFault field for an order
  */
-router.patch('/details/:orderId', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.patch('/details/:orderId', requireAuth, requirePermission('accountHealth.edit'), requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { sellerFault } = req.body;
@@ -351,6 +358,7 @@ router.patch('/details/:orderId', requireAuth, requireRole('fulfillmentadmin', '
       return res.status(400).json({ error: 'sellerFault must be "Yes" or "No"' });
     }
 
+    const before = await Order.findById(orderId).lean();
     const order = await Order.findByIdAndUpdate(
       orderId,
       { sellerFault },
@@ -360,6 +368,7 @@ router.patch('/details/:orderId', requireAuth, requireRole('fulfillmentadmin', '
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    await recordAudit(req, 'Order', before, order);
 
     res.json({ success: true, order });
   } catch (error) {
@@ -374,10 +383,10 @@ router.patch('/details/:orderId', requireAuth, requireRole('fulfillmentadmin', '
  * Week 1 & 2: Actual BBE rate (past data)
  * Week 3 & 4: Additional sales needed to meet market avg (prediction)
  */
-router.get('/overview', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/overview', requireAuth, requirePermission('accountHealth.read'), enforceSellerScope, async (req, res) => {
   try {
-    // Fetch all sellers with user data
-    const sellers = await Seller.find().populate('user', 'username email').lean();
+    // Fetch all sellers (the caller may see) with user data
+    const sellers = await Seller.find(sellerScopeMatch(req, '_id')).populate('user', 'username email').lean();
 
     // Get current market avg
     const latestMarketMetric = await MarketMetric.findOne({
@@ -496,4 +505,60 @@ router.get('/overview', requireAuth, requireRole('fulfillmentadmin', 'superadmin
   }
 });
 
+/**
+ * GET /account-health/shipping-risk
+ * Open orders without tracking that are overdue, due today or due in the next 24 hours,
+ * per seller and marketplace (lib/shippingRisk.js)
+ * Supports filters: sellerId, marketplace
+ */
+router.get('/shipping-risk', requireAuth, requirePermission('accountHealth.read'), enforceSellerScope, async (req, res) => {
+  try {
+    const { sellerId, marketplace } = req.query;
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+
+    const summary = await shippingRiskSummary({ match: scopedSellerMatch(req, sellerId), marketplace });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching shipping risk:', error);
+    res.status(500).json({ error: 'Failed to fetch shipping risk' });
+  }
+});
+
+/**
+ * GET /account-health/shipping-risk/orders
+ * The orders behind the summary, earliest ship-by date first
+ * Supports filters: sellerId, marketplace, risk (overdue, dueToday, dueIn24h), page, limit
+ */
+router.get('/shipping-risk/orders', requireAuth, requirePermission('accountHealth.read'), enforceSellerScope, async (req, res) => {
+  try {
+    const { sellerId, marketplace, risk, page = 1, limit = 50 } = req.query;
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    if (risk && !SHIPPING_RISKS.includes(risk)) return res.status(400).json({ error: `risk must be one of ${SHIPPING_RISKS.join(', ')}` });
+
+    const now = new Date();
+    const query = shippingRiskOrdersMatch({ match: scopedSellerMatch(req, sellerId), marketplace, risk, now });
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .select('seller orderId legacyOrderId buyer.username productName purchaseMarketplaceId dateSold shipByDate remark amazonAccount azOrderId')
+        .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+        .sort({ shipByDate: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Order.countDocuments(query)
+    ]);
+
+    res.json({
+      orders: orders.map(order => ({ ...order, risk: classifyShippingRisk(order.shipByDate, now) })),
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (error) {
+    console.error('Error fetching shipping risk orders:', error);
+    res.status(500).json({ error: 'Failed to fetch shipping risk orders' });
+  }
+});
+
 export default router;
@@ -0,0 +1,95 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, enforceSellerScope } from '../middleware/auth.js';
+import ActivityEntry from '../models/ActivityEntry.js';
+import { hasPermission } from '../lib/permissions.js';
+import { canAccessSeller, sellerScopeMatch } from '../lib/sellerAccess.js';
+import {
+  ACTIVITY_TYPES, ACTIVITY_ENTITY_TYPES, activityEntity, addActivity, listActivity, editActivity, mentionsOf, readableEntityTypes
+} from '../lib/activity.js';
+
+const router = Router();
+
+// Resolves :kind and :id; the caller needs the kind's read or edit permission and access to its seller
+function requireActivityItem(permissionField) {
+  return async (req, res, next) => {
+    const entity = activityEntity(req.params.kind);
+    if (!entity) return res.status(404).json({ error: `Unknown kind; use one of ${ACTIVITY_ENTITY_TYPES.join(', ')}` });
+    const permission = entity[permissionField];
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'Forbidden', requiredPermission: permission });
+    }
+    try {
+      const item = await entity.model.findOne({ [entity.key]: req.params.id }).select('seller').lean();
+      if (!item || !canAccessSeller(req, item.seller)) return res.status(404).json({ error: 'Item not found' });
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+// GET /mentions - Entries mentioning me on items I may read, newest first ({ limit, before } to page)
+router.get('/mentions', requireAuth, enforceSellerScope, async (req, res) => {
+  const { limit, before } = req.query;
+  try {
+    const beforeDate = before ? new Date(before) : null;
+    if (beforeDate && isNaN(beforeDate.getTime())) return res.status(400).json({ error: 'Invalid before' });
+    const entries = await mentionsOf(req.user.userId, {
+      match: { ...sellerScopeMatch(req), entityType: { $in: readableEntityTypes(req.user) } },
+      limit: Math.min(parseInt(limit) || 50, 200),
+      before: beforeDate
+    });
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /entries/:entryId - Edit my note ({ body }); the old text is kept in edits
+router.patch('/entries/:entryId', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) return res.status(404).json({ error: 'Entry not found' });
+    const existing = await ActivityEntry.findById(req.params.entryId).select('seller entityType').lean();
+    if (!existing || !canAccessSeller(req, existing.seller)) return res.status(404).json({ error: 'Entry not found' });
+    const { editPermission } = activityEntity(existing.entityType);
+    if (!hasPermission(req.user, editPermission)) {
+      return res.status(403).json({ error: 'Forbidden', requiredPermission: editPermission });
+    }
+
+    const result = await editActivity(req.params.entryId, req.body.body, req.user.userId);
+    if (result.notFound) return res.status(404).json({ error: 'Entry not found' });
+    if (result.forbidden) return res.status(403).json({ error: result.forbidden });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result.entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /:kind/:id - Activity of an order, return, case or dispute (eBay id), threaded, oldest
+// first ({ type } to keep one entry type)
+router.get('/:kind/:id', requireAuth, requireActivityItem('readPermission'), async (req, res) => {
+  const { type } = req.query;
+  try {
+    if (type && !ACTIVITY_TYPES.includes(type)) return res.status(400).json({ error: `type must be one of ${ACTIVITY_TYPES.join(', ')}` });
+    res.json(await listActivity(req.params.kind, req.params.id, { type }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /:kind/:id - Add a note ({ body, parent }); parent replies to an entry. @username mentions
+router.post('/:kind/:id', requireAuth, requireActivityItem('editPermission'), async (req, res) => {
+  const { body, parent } = req.body;
+  try {
+    const result = await addActivity(req.params.kind, req.params.id, { type: 'note', body, parent, author: req.user.userId });
+    if (result.notFound) return res.status(404).json({ error: 'Item not found' });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json(result.entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
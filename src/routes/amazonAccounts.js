@@ -1,12 +1,12 @@
 // routes/amazonAccounts.js
 import { Router } from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import AmazonAccount from '../models/AmazonAccount.js';
 
 const router = Router();
 
 // GET: Fetch all Amazon Accounts (Accessible by authenticated users so Dashboard can read it)
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('purchasing.read'), async (req, res) => {
   try {
     const accounts = await AmazonAccount.find().sort({ name: 1 });
     res.json(accounts);
@@ -16,7 +16,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // POST: Add new Amazon Account (Restricted to specific roles)
-router.post('/', requireAuth, requireRole('superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('purchasing.manageAccounts'), async (req, res) => {
   const { name, addressLine1, addressLine2, city, state, postalCode, country, phoneNumber, notes } = req.body;
   if (!name) return res.status(400).json({ error: 'Account name is required' });
   
@@ -42,7 +42,7 @@ router.post('/', requireAuth, requireRole('superadmin', 'hoc', 'compliancemanage
 });
 
 // PATCH: Update an account
-router.patch('/:id', requireAuth, requireRole('superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.patch('/:id', requireAuth, requirePermission('purchasing.manageAccounts'), async (req, res) => {
   const { name, addressLine1, addressLine2, city, state, postalCode, country, phoneNumber, notes } = req.body;
   
   try {
@@ -77,7 +77,7 @@ router.patch('/:id', requireAuth, requireRole('superadmin', 'hoc', 'compliancema
 });
 
 // DELETE: Remove an account (Optional, but good to have)
-router.delete('/:id', requireAuth, requireRole('superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('purchasing.manageAccounts'), async (req, res) => {
     try {
       await AmazonAccount.findByIdAndDelete(req.params.id);
       res.json({ success: true });
@@ -0,0 +1,359 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope, requireRecordSellerAccess } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import AmazonPurchase from '../models/AmazonPurchase.js';
+import AmazonAccount from '../models/AmazonAccount.js';
+import { canAccessSeller, scopedSellerMatch } from '../lib/sellerAccess.js';
+import {
+  findPurchaseOrders, savePurchase, rollUpOrders, hasOrderPurchaseFields, purchaseInputFromOrders
+} from '../lib/amazonPurchases.js';
+import { recordAudit } from '../lib/auditLog.js';
+import { parseAmazonOrderReport, previewAmazonOrderMatches, applyAmazonOrderMatches } from '../lib/amazonOrderImport.js';
+
+const router = Router();
+
+// Fields a client may set; orders, refunds and re-order links have their own handling
+const EDITABLE_FIELDS = [
+  'amazonOrderId', 'amazonAccount', 'creditCardName', 'status', 'orderedAt', 'currency',
+  'beforeTax', 'estimatedTax', 'items', 'shipments', 'notes'
+];
+
+const POPULATE = [
+  { path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } },
+  { path: 'orders.order', select: 'orderId productName buyer.username dateSold remark' },
+  { path: 'amazonAccount', select: 'name' },
+  { path: 'creditCardName', select: 'name' },
+  { path: 'reorderOf', select: 'amazonOrderId status' },
+  { path: 'createdBy', select: 'username' }
+];
+
+function pick(body) {
+  const input = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) input[field] = body[field];
+  }
+  return input;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Linked eBay orders for a create/update body; all must be visible to the caller
+async function resolveOrders(req, orderIds) {
+  const ids = Array.isArray(orderIds) ? orderIds : String(orderIds || '').split(',');
+  const result = await findPurchaseOrders(ids);
+  if (result.error) return result;
+  if (!canAccessSeller(req, result.orders[0].seller)) return { error: 'Orders not found' };
+  return result;
+}
+
+// The orders as they are before a purchase change, for rollUpAndAudit
+function orderSnapshots(orderIds) {
+  return Order.find({ _id: { $in: [...new Set(orderIds.map(String))] } }).lean();
+}
+
+// Roll the orders up and audit what changed on each, like any manual order edit
+async function rollUpAndAudit(req, before) {
+  const ids = before.map(o => o._id);
+  await rollUpOrders(ids);
+  const after = new Map((await Order.find({ _id: { $in: ids } }).lean()).map(o => [String(o._id), o]));
+  for (const order of before) await recordAudit(req, 'Order', order, after.get(String(order._id)));
+}
+
+function saveError(res, err) {
+  if (err.code === 11000) return res.status(409).json({ error: 'This Amazon order is already recorded for the seller; link the eBay order to it instead' });
+  if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+  return res.status(500).json({ error: err.message });
+}
+
+// GET / - Purchases, newest first. Filters: sellerId, status, amazonAccount, orderId (eBay),
+// search (Amazon order, eBay order or tracking number), from, to (ordered date)
+router.get('/', requireAuth, requirePermission('purchasing.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, status, amazonAccount, orderId, search, from, to, page = 1, limit = 50 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    if (amazonAccount && !mongoose.Types.ObjectId.isValid(amazonAccount)) return res.status(400).json({ error: 'Invalid amazonAccount' });
+
+    const query = { ...scopedSellerMatch(req, sellerId) };
+    if (status) query.status = status;
+    if (amazonAccount) query.amazonAccount = amazonAccount;
+    if (orderId) query['orders.orderId'] = String(orderId).trim();
+    if (search) {
+      const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+      query.$or = [{ amazonOrderId: pattern }, { 'orders.orderId': pattern }, { 'shipments.trackingNumber': pattern }];
+    }
+    if (from || to) {
+      query.orderedAt = {};
+      if (from) query.orderedAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        query.orderedAt.$lte = end;
+      }
+      if ([query.orderedAt.$gte, query.orderedAt.$lte].some(d => d && isNaN(d))) return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+    const [purchases, total] = await Promise.all([
+      AmazonPurchase.find(query)
+        .populate(POPULATE)
+        .sort({ orderedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AmazonPurchase.countDocuments(query)
+    ]);
+
+    res.json({ purchases, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /order/:orderId - Purchases of one eBay order (eBay orderId or _id)
+router.get('/order/:orderId', requireAuth, requirePermission('purchasing.read'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const order = await Order.findOne(
+      mongoose.Types.ObjectId.isValid(orderId) ? { $or: [{ _id: orderId }, { orderId }] } : { orderId }
+    ).select('seller orderId').lean();
+    if (!order || !canAccessSeller(req, order.seller)) return res.status(404).json({ error: 'Order not found' });
+
+    const purchases = await AmazonPurchase.find({ 'orders.order': order._id }).populate(POPULATE).sort({ orderedAt: 1 }).lean();
+    res.json({ order, purchases });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Parsed order history report of an Amazon account, for the import endpoints
+async function readReport(req, res) {
+  const { amazonAccount, csvData } = req.body;
+  if (!amazonAccount || !mongoose.Types.ObjectId.isValid(amazonAccount)) {
+    res.status(400).json({ error: 'amazonAccount is required' });
+    return null;
+  }
+  if (!csvData) {
+    res.status(400).json({ error: 'CSV data is required' });
+    return null;
+  }
+  const account = await AmazonAccount.findById(amazonAccount).select('name').lean();
+  if (!account) {
+    res.status(404).json({ error: 'Amazon account not found' });
+    return null;
+  }
+
+  const { purchases, errors } = parseAmazonOrderReport(csvData);
+  if (purchases.length === 0) {
+    res.status(400).json({ error: 'No Amazon orders found in the CSV', errors });
+    return null;
+  }
+  return { account, purchases, errors };
+}
+
+// POST /import/preview - Match an Amazon order history CSV ({ amazonAccount, csvData, sellerId })
+// to eBay orders. Saves nothing; returns each Amazon order with scored candidates and the
+// proposed orderIds to confirm through /import/apply.
+router.post('/import/preview', requireAuth, requirePermission('purchasing.manage'), enforceSellerScope, async (req, res) => {
+  const { sellerId } = req.body;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const report = await readReport(req, res);
+    if (!report) return;
+
+    const purchases = await previewAmazonOrderMatches(report.purchases, { match: scopedSellerMatch(req, sellerId) });
+    const summary = { total: purchases.length };
+    for (const status of ['matched', 'review', 'unmatched', 'imported']) {
+      summary[status] = purchases.filter(p => p.status === status).length;
+    }
+
+    res.json({ account: report.account, summary, purchases, errors: report.errors });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /import/apply - Record confirmed matches of the same CSV
+// ({ amazonAccount, creditCardName, csvData, matches: [{ amazonOrderId, orderIds }] }) and
+// recalculate the financials of the matched eBay orders
+router.post('/import/apply', requireAuth, requirePermission('purchasing.manage'), async (req, res) => {
+  const { matches, creditCardName } = req.body;
+  try {
+    if (!Array.isArray(matches) || matches.length === 0) return res.status(400).json({ error: 'matches is required' });
+    if (matches.some(m => !m?.amazonOrderId || !m.orderIds || m.orderIds.length === 0)) {
+      return res.status(400).json({ error: 'Each match needs an amazonOrderId and orderIds' });
+    }
+    if (creditCardName && !mongoose.Types.ObjectId.isValid(creditCardName)) return res.status(400).json({ error: 'Invalid creditCardName' });
+    const report = await readReport(req, res);
+    if (!report) return;
+
+    const summary = await applyAmazonOrderMatches(report.purchases, matches, {
+      amazonAccount: report.account._id,
+      creditCardName,
+      userId: req.user.userId,
+      canAccess: sellerId => canAccessSeller(req, sellerId)
+    });
+
+    console.log(`[AmazonPurchase] Import for ${report.account.name}: ${summary.created} created, ${summary.updated} updated, ${summary.failed.length} failed`);
+    res.json(summary);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /:id - One purchase
+router.get('/:id', requireAuth, requirePermission('purchasing.read'), requireRecordSellerAccess(AmazonPurchase, 'id'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Purchase not found' });
+    const purchase = await AmazonPurchase.findById(req.params.id).populate(POPULATE).lean();
+    if (!purchase) return res.status(404).json({ error: 'Purchase not found' });
+    res.json(purchase);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST / - Record a purchase for one or more eBay orders of a seller ({ orderIds, ...fields }).
+// Orders without purchases yet keep the Amazon fields they had, with the given fields on top.
+router.post('/', requireAuth, requirePermission('purchasing.manage'), async (req, res) => {
+  try {
+    const { orders, error } = await resolveOrders(req, req.body.orderIds);
+    if (error) return res.status(400).json({ error });
+
+    const before = await orderSnapshots(orders.map(o => o._id));
+    const linked = await AmazonPurchase.exists({ 'orders.order': { $in: orders.map(o => o._id) } });
+    const seed = !linked && before.some(hasOrderPurchaseFields) ? await purchaseInputFromOrders(before) : {};
+    const purchase = await savePurchase(new AmazonPurchase(), {
+      ...seed,
+      ...pick(req.body),
+      orders,
+      source: 'manual',
+      createdBy: req.user.userId
+    });
+    await rollUpAndAudit(req, before);
+
+    res.status(201).json(await AmazonPurchase.findById(purchase._id).populate(POPULATE).lean());
+  } catch (err) {
+    saveError(res, err);
+  }
+});
+
+// PUT /:id - Edit a purchase; orderIds (optional) replaces the linked eBay orders
+router.put('/:id', requireAuth, requirePermission('purchasing.manage'), requireRecordSellerAccess(AmazonPurchase, 'id'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Purchase not found' });
+    const purchase = await AmazonPurchase.findById(req.params.id);
+    if (!purchase) return res.status(404).json({ error: 'Purchase not found' });
+    const previousOrders = purchase.orders.map(o => o.order);
+
+    const input = pick(req.body);
+    if (req.body.orderIds !== undefined) {
+      const { orders, error } = await resolveOrders(req, req.body.orderIds);
+      if (error) return res.status(400).json({ error });
+      if (String(orders[0].seller) !== String(purchase.seller)) {
+        return res.status(400).json({ error: 'A purchase cannot move to another seller\'s orders' });
+      }
+      input.orders = orders;
+    }
+    if (req.body.refunds !== undefined) input.refunds = req.body.refunds;
+
+    const before = await orderSnapshots([...previousOrders, ...(input.orders || []).map(o => o._id)]);
+    await savePurchase(purchase, input);
+    // Orders taken off the purchase are rolled up too, so they lose its cost
+    await rollUpAndAudit(req, before);
+
+    res.json(await AmazonPurchase.findById(purchase._id).populate(POPULATE).lean());
+  } catch (err) {
+    saveError(res, err);
+  }
+});
+
+// POST /:id/refunds - Add a refund Amazon gave on the purchase ({ amount, date, reason })
+router.post('/:id/refunds', requireAuth, requirePermission('purchasing.manage'), requireRecordSellerAccess(AmazonPurchase, 'id'), async (req, res) => {
+  const { amount, date, reason } = req.body;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Purchase not found' });
+    if (!(parseFloat(amount) > 0)) return res.status(400).json({ error: 'amount must be a positive number' });
+    const purchase = await AmazonPurchase.findById(req.params.id);
+    if (!purchase) return res.status(404).json({ error: 'Purchase not found' });
+
+    const before = await orderSnapshots(purchase.orders.map(o => o.order));
+    purchase.refunds.push({ amount: parseFloat(amount), date: date || undefined, reason, createdBy: req.user.userId });
+    await purchase.save();
+    await rollUpAndAudit(req, before);
+
+    res.status(201).json(await AmazonPurchase.findById(purchase._id).populate(POPULATE).lean());
+  } catch (err) {
+    saveError(res, err);
+  }
+});
+
+// POST /:id/reorder - Record a re-order of this purchase for the same eBay orders (or
+// orderIds). cancelOriginal: true marks the original cancelled so its cost drops out.
+// The eBay orders get the remark 'Re-ordered'.
+router.post('/:id/reorder', requireAuth, requirePermission('purchasing.manage'), requireRecordSellerAccess(AmazonPurchase, 'id'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Purchase not found' });
+    const original = await AmazonPurchase.findById(req.params.id);
+    if (!original) return res.status(404).json({ error: 'Purchase not found' });
+
+    let orders;
+    if (req.body.orderIds !== undefined) {
+      const resolved = await resolveOrders(req, req.body.orderIds);
+      if (resolved.error) return res.status(400).json({ error: resolved.error });
+      const linked = new Set(original.orders.map(o => String(o.order)));
+      if (resolved.orders.some(o => !linked.has(String(o._id)))) {
+        return res.status(400).json({ error: 'A re-order can only cover orders of the original purchase' });
+      }
+      orders = resolved.orders;
+    } else {
+      orders = original.orders.map(o => ({ _id: o.order, orderId: o.orderId, seller: original.seller }));
+    }
+
+    const before = await orderSnapshots(original.orders.map(o => o.order));
+    const reorder = await savePurchase(new AmazonPurchase(), {
+      amazonAccount: original.amazonAccount,
+      creditCardName: original.creditCardName,
+      currency: original.currency,
+      ...pick(req.body),
+      orders,
+      reorderOf: original._id,
+      source: 'manual',
+      createdBy: req.user.userId
+    });
+
+    if (req.body.cancelOriginal) {
+      original.status = 'cancelled';
+      await original.save();
+    }
+    await Order.updateMany({ _id: { $in: orders.map(o => o._id) } }, { $set: { remark: 'Re-ordered' } });
+    await rollUpAndAudit(req, before);
+
+    res.status(201).json(await AmazonPurchase.findById(reorder._id).populate(POPULATE).lean());
+  } catch (err) {
+    saveError(res, err);
+  }
+});
+
+// DELETE /:id - Remove a purchase entered by mistake; its orders are rolled up without it
+router.delete('/:id', requireAuth, requirePermission('purchasing.manage'), requireRecordSellerAccess(AmazonPurchase, 'id'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Purchase not found' });
+    const purchase = await AmazonPurchase.findByIdAndDelete(req.params.id);
+    if (!purchase) return res.status(404).json({ error: 'Purchase not found' });
+
+    // Re-orders of it stay, but no longer point at it
+    await AmazonPurchase.updateMany({ reorderOf: purchase._id }, { $set: { reorderOf: null } });
+    await rollUpAndAudit(req, await orderSnapshots(purchase.orders.map(o => o.order)));
+
+    res.json({ message: 'Purchase deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import AsinDirectory from '../models/AsinDirectory.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import { fetchAmazonData } from '../utils/asinAutofill.js';
 
 // Scrape a batch of ASINs in parallel (max 5 at a time) and return enrichment map
@@ -24,7 +24,7 @@ async function scrapeAsinsBatched(asinList, batchSize = 5) {
 const router = express.Router();
 
 // Get all ASINs with pagination and search
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('listings.read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 25;
@@ -66,7 +66,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Get statistics
-router.get('/stats', requireAuth, async (req, res) => {
+router.get('/stats', requireAuth, requirePermission('listings.read'), async (req, res) => {
   try {
     const total = await AsinDirectory.countDocuments();
 
@@ -94,7 +94,7 @@ router.get('/stats', requireAuth, async (req, res) => {
 });
 
 // Bulk add ASINs manually
-router.post('/bulk-manual', requireAuth, async (req, res) => {
+router.post('/bulk-manual', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { asins } = req.body;
 
@@ -170,7 +170,7 @@ router.post('/bulk-manual', requireAuth, async (req, res) => {
 });
 
 // Bulk add from CSV
-router.post('/bulk-csv', requireAuth, async (req, res) => {
+router.post('/bulk-csv', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { csvData } = req.body;
 
@@ -269,7 +269,7 @@ router.post('/bulk-csv', requireAuth, async (req, res) => {
 });
 
 // Export ASINs to CSV
-router.get('/export-csv', requireAuth, async (req, res) => {
+router.get('/export-csv', requireAuth, requirePermission('listings.export'), async (req, res) => {
   try {
     const search = req.query.search || '';
 
@@ -297,7 +297,7 @@ router.get('/export-csv', requireAuth, async (req, res) => {
 });
 
 // Delete single ASIN
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -315,7 +315,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
 });
 
 // Bulk delete ASINs
-router.post('/bulk-delete', requireAuth, async (req, res) => {
+router.post('/bulk-delete', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { ids } = req.body;
 
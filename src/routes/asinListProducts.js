@@ -1,12 +1,12 @@
 import express from 'express';
 import AsinListProduct from '../models/AsinListProduct.js';
 import AsinDirectory from '../models/AsinDirectory.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Get all products under a range
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('listings.read'), async (req, res) => {
   try {
     const { rangeId } = req.query;
     if (!rangeId) {
@@ -22,7 +22,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Create a new product under a range
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { name, rangeId, categoryId } = req.body;
     if (!name || !name.trim()) {
@@ -47,7 +47,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // Move selected ASINs to a product list
-router.post('/move', requireAuth, async (req, res) => {
+router.post('/move', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { asinIds, productId } = req.body;
 
@@ -83,7 +83,7 @@ router.post('/move', requireAuth, async (req, res) => {
 });
 
 // Delete a product and orphan its assigned ASINs
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -2,12 +2,12 @@ import express from 'express';
 import AsinListRange from '../models/AsinListRange.js';
 import AsinListProduct from '../models/AsinListProduct.js';
 import AsinDirectory from '../models/AsinDirectory.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Get all ranges under a category
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('listings.read'), async (req, res) => {
   try {
     const { categoryId } = req.query;
     if (!categoryId) {
@@ -23,7 +23,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Create a new range under a category
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { name, categoryId } = req.body;
     if (!name || !name.trim()) {
@@ -45,7 +45,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // Delete a range and cascade-delete its products and orphan assigned ASINs
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1,7 +1,8 @@
 // routes/assignments.js
 import express from 'express';
 import mongoose from 'mongoose';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../lib/permissions.js';
 import Assignment from '../models/Assignment.js';
 import Task from '../models/Task.js';
 import Range from '../models/Range.js';
@@ -14,7 +15,7 @@ const router = express.Router();
 /* -------------------- CREATE / LIST -------------------- */
 
 // Get all available filter options
-router.get('/filter-options', requireAuth, requireRole('superadmin', 'listingadmin', 'productadmin'), async (req, res) => {
+router.get('/filter-options', requireAuth, requirePermission('assignments.read'), async (req, res) => {
   try {
     const [
       platforms,
@@ -82,7 +83,7 @@ router.get('/filter-options', requireAuth, requireRole('superadmin', 'listingadm
   }
 });
 
-router.post('/', requireAuth, requireRole('superadmin', 'listingadmin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('assignments.manage'), async (req, res) => {
   try {
     const { taskId, listerId, quantity, listingPlatformId, storeId, notes, scheduledDate } = req.body || {};
     if (!taskId || !listerId || !quantity || !listingPlatformId || !storeId) {
@@ -132,7 +133,7 @@ router.post('/', requireAuth, requireRole('superadmin', 'listingadmin'), async (
 
 
 
-router.get('/', requireAuth, requireRole('superadmin', 'listingadmin', 'productadmin'), async (req, res) => {
+router.get('/', requireAuth, requirePermission('assignments.read'), async (req, res) => {
   try {
     const {
       taskId, listerId, platformId, storeId,
@@ -245,7 +246,7 @@ router.get('/', requireAuth, requireRole('superadmin', 'listingadmin', 'producta
 
 /* -------------------- DELETE (CASCADE) -------------------- */
 // Delete an assignment and cascade delete any related compatibility assignments and listing completions
-router.delete('/:id', requireAuth, requireRole('superadmin', 'listingadmin'), async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('assignments.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const doc = await Assignment.findById(id);
@@ -275,7 +276,7 @@ router.delete('/:id', requireAuth, requireRole('superadmin', 'listingadmin'), as
 // List assignments for the logged-in lister
 router.get('/mine',
   requireAuth,
-  requireRole('superadmin', 'listingadmin', 'lister'),
+  requirePermission('assignments.work'),
   async (req, res) => {
     try {
       const me = req.user?.userId || req.user?.id;
@@ -302,7 +303,7 @@ router.get('/mine',
 );
 router.get('/mine/with-status',
   requireAuth,
-  requireRole('superadmin', 'listingadmin', 'lister'),
+  requirePermission('assignments.work'),
   async (req, res) => {
     try {
       const me = req.user?.userId || req.user?.id;
@@ -361,7 +362,7 @@ router.get('/mine/with-status',
 // Lister/admin completes an assignment
 router.post('/:id/complete',
   requireAuth,
-  requireRole('superadmin', 'listingadmin', 'lister'),
+  requirePermission('assignments.work'),
   async (req, res) => {
     const { id } = req.params;
     const { completedQuantity } = req.body || {};
@@ -373,7 +374,7 @@ router.post('/:id/complete',
     if (!doc) return res.status(404).json({ message: 'Assignment not found' });
 
     const me = req.user?.userId || req.user?.id;
-    const isAdmin = ['superadmin', 'listingadmin'].includes(req.user?.role);
+    const isAdmin = hasPermission(req.user, 'assignments.manage');
     if (!isAdmin && String(doc.lister) !== String(me)) {
       return res.status(403).json({ message: 'Forbidden' });
     }
@@ -399,7 +400,7 @@ router.post('/:id/complete',
 
 router.get('/analytics/admin-lister',
   requireAuth,
-  requireRole('superadmin', 'listingadmin', 'productadmin'),
+  requirePermission('assignments.read'),
   async (req, res) => {
     try {
       const rows = await Assignment.aggregate([
@@ -452,7 +453,7 @@ router.get('/analytics/admin-lister',
 
 router.get('/analytics/listings-summary',
   requireAuth,
-  requireRole('superadmin', 'listingadmin', 'productadmin'),
+  requirePermission('assignments.read'),
   async (req, res) => {
     try {
       const { platformId, storeId, dateMode, dateSingle, dateFrom, dateTo } = req.query;
@@ -594,7 +595,7 @@ router.get('/analytics/listings-summary',
 router.get(
   '/analytics/stock-ledger',
   requireAuth,
-  requireRole('superadmin', 'listingadmin', 'productadmin'),
+  requirePermission('assignments.read'),
   async (req, res) => {
     try {
       const { platformId, storeId, categoryId, subcategoryId, category, range } = req.query || {};
@@ -725,7 +726,7 @@ router.get(
 // Get range quantity distribution for an assignment
 router.get('/:id/ranges',
   requireAuth,
-  requireRole('superadmin', 'listingadmin', 'lister'),
+  requirePermission('assignments.work'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -736,7 +737,7 @@ router.get('/:id/ranges',
       if (!doc) return res.status(404).json({ message: 'Assignment not found' });
 
       const me = req.user?.userId || req.user?.id;
-      const isAdmin = ['superadmin', 'listingadmin'].includes(req.user?.role);
+      const isAdmin = hasPermission(req.user, 'assignments.manage');
 
       // Lister can only view their own assignments
       if (!isAdmin && String(doc.lister) !== String(me)) {
@@ -754,7 +755,7 @@ router.get('/:id/ranges',
 // Add or update range quantity for an assignment
 router.post('/:id/complete-range',
   requireAuth,
-  requireRole('superadmin', 'listingadmin', 'lister', 'advancelister', 'trainee'),
+  requirePermission('assignments.completeRanges'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -769,7 +770,7 @@ router.post('/:id/complete-range',
       if (!doc) return res.status(404).json({ message: 'Assignment not found' });
 
       const me = req.user?.userId || req.user?.id;
-      const isAdmin = ['superadmin', 'listingadmin'].includes(req.user?.role);
+      const isAdmin = hasPermission(req.user, 'assignments.manage');
 
       // Lister can only update their own assignments
       if (!isAdmin && String(doc.lister) !== String(me)) {
@@ -850,7 +851,7 @@ router.post('/:id/complete-range',
 // Submit assignment (mark as complete)
 router.post('/:id/submit',
   requireAuth,
-  requireRole('superadmin', 'listingadmin', 'lister'),
+  requirePermission('assignments.work'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -859,7 +860,7 @@ router.post('/:id/submit',
       if (!doc) return res.status(404).json({ message: 'Assignment not found' });
 
       const me = req.user?.userId || req.user?.id;
-      const isAdmin = ['superadmin', 'listingadmin'].includes(req.user?.role);
+      const isAdmin = hasPermission(req.user, 'assignments.manage');
 
       // Lister can only submit their own assignments
       if (!isAdmin && String(doc.lister) !== String(me)) {
@@ -924,7 +925,7 @@ router.post('/:id/submit',
 );
 
 // --- NEW ROUTE: BULK ASSIGNMENT ---
-router.post('/bulk', requireAuth, requireRole('superadmin', 'listingadmin'), async (req, res) => {
+router.post('/bulk', requireAuth, requirePermission('assignments.manage'), async (req, res) => {
   try {
     const {
       listerId,
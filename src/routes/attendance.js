@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import Attendance from '../models/Attendance.js';
 import User from '../models/User.js';
 
@@ -16,7 +16,7 @@ function getTodayDateString() {
 }
 
 // POST /start - Start or restart timer
-router.post('/start', requireAuth, async (req, res) => {
+router.post('/start', requireAuth, requirePermission('attendance.self'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const today = getTodayDateString();
@@ -62,7 +62,7 @@ router.post('/start', requireAuth, async (req, res) => {
 });
 
 // POST /pause - Pause the timer
-router.post('/pause', requireAuth, async (req, res) => {
+router.post('/pause', requireAuth, requirePermission('attendance.self'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const today = getTodayDateString();
@@ -99,7 +99,7 @@ router.post('/pause', requireAuth, async (req, res) => {
 });
 
 // POST /resume - Resume the timer after pause
-router.post('/resume', requireAuth, async (req, res) => {
+router.post('/resume', requireAuth, requirePermission('attendance.self'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const today = getTodayDateString();
@@ -132,7 +132,7 @@ router.post('/resume', requireAuth, async (req, res) => {
 });
 
 // POST /stop - Stop the timer (end day)
-router.post('/stop', requireAuth, async (req, res) => {
+router.post('/stop', requireAuth, requirePermission('attendance.self'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const today = getTodayDateString();
@@ -166,7 +166,7 @@ router.post('/stop', requireAuth, async (req, res) => {
 });
 
 // GET /status - Get current user's timer status
-router.get('/status', requireAuth, async (req, res) => {
+router.get('/status', requireAuth, requirePermission('attendance.self'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const today = getTodayDateString();
@@ -202,7 +202,7 @@ router.get('/status', requireAuth, async (req, res) => {
 });
 
 // GET /report - Get attendance records (with filters)
-router.get('/report', requireAuth, async (req, res) => {
+router.get('/report', requireAuth, requirePermission('attendance.self'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { startDate, endDate } = req.query;
@@ -232,7 +232,7 @@ router.get('/report', requireAuth, async (req, res) => {
 });
 
 // GET /admin/report - Admin endpoint for viewing all attendance (Superadmin only)
-router.get('/admin/report', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.get('/admin/report', requireAuth, requirePermission('attendance.admin'), async (req, res) => {
     try {
         const { date, department, userId } = req.query;
 
@@ -268,7 +268,7 @@ router.get('/admin/report', requireAuth, requireRole('superadmin'), async (req,
 });
 
 // POST /admin/force-stop/:attendanceId - Force stop a timer (Superadmin only)
-router.post('/admin/force-stop/:attendanceId', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.post('/admin/force-stop/:attendanceId', requireAuth, requirePermission('attendance.admin'), async (req, res) => {
     try {
         const { attendanceId } = req.params;
 
@@ -307,7 +307,7 @@ router.post('/admin/force-stop/:attendanceId', requireAuth, requireRole('superad
 });
 
 // Edit attendance hours - HR admin and superadmin only
-router.put('/admin/edit-hours/:attendanceId', requireAuth, requireRole('superadmin', 'hradmin'), async (req, res) => {
+router.put('/admin/edit-hours/:attendanceId', requireAuth, requirePermission('attendance.editRecords'), async (req, res) => {
     try {
         const { attendanceId } = req.params;
         const { totalWorkTime } = req.body;
@@ -340,7 +340,7 @@ router.put('/admin/edit-hours/:attendanceId', requireAuth, requireRole('superadm
 });
 
 // Delete attendance record - HR admin and superadmin only
-router.delete('/admin/:attendanceId', requireAuth, requireRole('superadmin', 'hradmin'), async (req, res) => {
+router.delete('/admin/:attendanceId', requireAuth, requirePermission('attendance.editRecords'), async (req, res) => {
     try {
         const { attendanceId } = req.params;
 
@@ -0,0 +1,99 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope } from '../middleware/auth.js';
+import AuditLog from '../models/AuditLog.js';
+import { sellerScopeMatch, scopedSellerMatch } from '../lib/sellerAccess.js';
+
+const router = Router();
+
+const AUDITED_MODELS = ['Order', 'Return', 'Case', 'PaymentDispute'];
+
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  // Plain YYYY-MM-DD "to" dates include the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+// GET / - Search the audit log
+// Filters: userId, model, documentKey (eBay order/return/case/dispute id), field, sellerId, from, to
+router.get('/', requireAuth, requirePermission('audit.read'), enforceSellerScope, async (req, res) => {
+  const { userId, model, documentKey, field, sellerId, from, to, page = 1, limit = 50 } = req.query;
+  try {
+    const query = { ...scopedSellerMatch(req, sellerId) };
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ error: 'Invalid userId' });
+      query.user = userId;
+    }
+    if (model) {
+      if (!AUDITED_MODELS.includes(model)) {
+        return res.status(400).json({ error: `model must be one of ${AUDITED_MODELS.join(', ')}` });
+      }
+      query.model = model;
+    }
+    if (documentKey) query.documentKey = String(documentKey).trim();
+    if (field) query['changes.field'] = field;
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to, true);
+    if ((from && !fromDate) || (to && !toDate)) {
+      return res.status(400).json({ error: 'from/to must be valid dates' });
+    }
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 500);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('user', 'username email role')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      entries,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (err) {
+    console.error('Error searching audit log:', err);
+    res.status(500).json({ error: 'Failed to search audit log' });
+  }
+});
+
+// GET /:model/:id - Full edit history of one order, return or case (id = Mongo _id or eBay id), oldest first
+router.get('/:model/:id', requireAuth, requirePermission('audit.read'), async (req, res) => {
+  const { model, id } = req.params;
+  if (!AUDITED_MODELS.includes(model)) {
+    return res.status(400).json({ error: `model must be one of ${AUDITED_MODELS.join(', ')}` });
+  }
+
+  try {
+    const entries = await AuditLog.find({
+      model,
+      // A 24-hex id may be either kind; isValid alone also accepts any 12-character eBay id
+      ...(/^[a-f0-9]{24}$/i.test(id) ? { $or: [{ documentId: id }, { documentKey: id }] } : { documentKey: id }),
+      ...sellerScopeMatch(req)
+    })
+      .populate('user', 'username email role')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({ model, id, entries });
+  } catch (err) {
+    console.error('Error fetching audit history:', err);
+    res.status(500).json({ error: 'Failed to fetch audit history' });
+  }
+});
+
+export default router;
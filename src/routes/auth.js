@@ -1,7 +1,16 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions
+} from '../lib/sessions.js';
 
 const router = Router();
 
@@ -13,8 +22,82 @@ router.post('/login', async (req, res) => {
   if (!user.active) return res.status(401).json({ error: 'Account is not active' });
   const ok = await bcrypt.compare(password, user.passwordHash);
   if (!ok) return res.status(401).json({ error: 'Incorrect password' });
-  const token = jwt.sign({ userId: user._id.toString(), role: user.role }, process.env.JWT_SECRET, { expiresIn: '7d' });
-  res.json({ token, user: { id: user._id, email: user.email, username: user.username, role: user.role } });
+  const tokens = await createSession(user, req);
+  res.json({
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    tokenExpiresAt: tokens.accessTokenExpiresAt,
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+    user: { id: user._id, email: user.email, username: user.username, role: user.role }
+  });
+});
+
+// Exchange a refresh token for a new access token; the refresh token is rotated every time
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+  try {
+    const tokens = await refreshSession(refreshToken, req);
+    if (tokens.error) return res.status(401).json({ error: tokens.error });
+    res.json({
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      tokenExpiresAt: tokens.accessTokenExpiresAt,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+    });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// End the current session
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, { reason: 'logout', revokedBy: req.user.userId });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// End every session of the current user (including this one)
+router.post('/logout-all', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId, { reason: 'logout-all', revokedBy: req.user.userId });
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Devices the current user is logged in on
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.userId);
+    res.json({
+      sessions: sessions.map(s => ({ ...s, current: String(s._id) === req.user.sessionId }))
+    });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Log out one of the current user's other devices
+router.delete('/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) return res.status(404).json({ error: 'Session not found' });
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.user.userId });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    await revokeSession(session._id, { reason: 'logout', revokedBy: req.user.userId });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Seed superadmin if none exists (development helper)
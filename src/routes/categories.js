@@ -1,10 +1,10 @@
 import { Router } from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import Category from '../models/Category.js';
 
 const router = Router();
 
-router.post('/', requireAuth, requireRole('superadmin', 'productadmin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('catalog.manage'), async (req, res) => {
   const { name } = req.body || {};
   if (!name) return res.status(400).json({ error: 'name required' });
   try {
@@ -15,7 +15,7 @@ router.post('/', requireAuth, requireRole('superadmin', 'productadmin'), async (
   }
 });
 
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('catalog.read'), async (req, res) => {
   const items = await Category.find().sort({ name: 1 });
   res.json(items);
 });
@@ -1,11 +1,11 @@
 import express from 'express';
 import CreditCardName from '../models/CreditCardName.js';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Get all credit card names
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('purchasing.read'), async (req, res) => {
     try {
         const cards = await CreditCardName.find().sort({ name: 1 });
         res.json(cards);
@@ -16,7 +16,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Create a new credit card name
-router.post('/', requireAuth, requireRole('superadmin', 'hoc', 'compliance_manager', 'fulfillment_admin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('purchasing.manageCards'), async (req, res) => {
     try {
         const { name } = req.body;
         if (!name || !name.trim()) {
@@ -36,7 +36,7 @@ router.post('/', requireAuth, requireRole('superadmin', 'hoc', 'compliance_manag
 });
 
 // Delete a credit card name
-router.delete('/:id', requireAuth, requireRole('superadmin', 'hoc', 'compliance_manager', 'fulfillment_admin'), async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('purchasing.manageCards'), async (req, res) => {
     try {
         const card = await CreditCardName.findByIdAndDelete(req.params.id);
         if (!card) {
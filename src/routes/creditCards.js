@@ -1,11 +1,11 @@
 import express from 'express';
 import CreditCard from '../models/CreditCard.js';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Get all credit cards
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('purchasing.read'), async (req, res) => {
   try {
     const cards = await CreditCard.find().sort({ name: 1 });
     res.json(cards);
@@ -16,7 +16,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Create a new credit card
-router.post('/', requireAuth, requireRole('superadmin', 'hoc', 'compliance_manager', 'fulfillment_admin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('purchasing.manageCards'), async (req, res) => {
   try {
     const { name } = req.body;
     if (!name || !name.trim()) {
@@ -36,7 +36,7 @@ router.post('/', requireAuth, requireRole('superadmin', 'hoc', 'compliance_manag
 });
 
 // Delete a credit card
-router.delete('/:id', requireAuth, requireRole('superadmin', 'hoc', 'compliance_manager', 'fulfillment_admin'), async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('purchasing.manageCards'), async (req, res) => {
   try {
     const card = await CreditCard.findByIdAndDelete(req.params.id);
     if (!card) {
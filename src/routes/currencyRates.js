@@ -0,0 +1,232 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import CurrencyRate from '../models/CurrencyRate.js';
+import User from '../models/User.js';
+import { lockOwnerFromRequest } from '../lib/jobLock.js';
+import {
+  normalizeCurrency,
+  parsePair,
+  rateDay,
+  getRate,
+  saveRate,
+  importRates,
+  parseRatesCsv,
+  importProviderRates,
+  rateProviderNames,
+  configuredPairs,
+  clearRateCache
+} from '../lib/currency.js';
+import { recalculateForRateChanges, recalculateConversions } from '../lib/rateRecalculation.js';
+
+const router = Router();
+
+const MAX_PROVIDER_DAYS = 366;
+
+async function usernameOf(req) {
+  const user = await User.findById(req.user?.userId).select('username').lean();
+  return user?.username || 'system';
+}
+
+// Recalculation outcome for a response: the result, or why it did not run
+async function recalculate(req, changes) {
+  if (changes.length === 0) return null;
+  const outcome = await recalculateForRateChanges(changes, await lockOwnerFromRequest(req));
+  return outcome.acquired ? outcome.result : { skipped: outcome.message };
+}
+
+function isInputError(err) {
+  return err.message.startsWith('Invalid') || err.message.startsWith('Unknown rate provider') || err.message.startsWith('No currency pairs');
+}
+
+// GET / - Stored rates, newest first. Filters: pair (USD/INR) or base and quote, from, to
+router.get('/', requireAuth, requirePermission('exchangeRates.read'), async (req, res) => {
+  const { pair, base, quote, from, to, page = 1, limit = 100 } = req.query;
+  try {
+    const query = {};
+    const parsed = pair ? parsePair(pair) : null;
+    if (pair && !parsed) return res.status(400).json({ error: 'Invalid pair' });
+    if (parsed) Object.assign(query, parsed);
+    if (base) query.base = normalizeCurrency(base);
+    if (quote) query.quote = normalizeCurrency(quote);
+    if (query.base === null || query.quote === null) return res.status(400).json({ error: 'Invalid currency code' });
+
+    const fromDay = from ? rateDay(from) : null;
+    const toDay = to ? rateDay(to) : null;
+    if ((from && !fromDay) || (to && !toDay)) return res.status(400).json({ error: 'Invalid date' });
+    if (fromDay || toDay) {
+      query.date = {};
+      if (fromDay) query.date.$gte = fromDay;
+      if (toDay) query.date.$lte = toDay;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 100, 1000);
+
+    const [rates, total] = await Promise.all([
+      CurrencyRate.find(query)
+        .sort({ date: -1, base: 1, quote: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      CurrencyRate.countDocuments(query)
+    ]);
+
+    res.json({ rates, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /convert?amount=10&from=GBP&to=INR&date=2026-01-15 - Convert with the rate in effect on the date
+router.get('/convert', requireAuth, requirePermission('exchangeRates.read'), async (req, res) => {
+  const { amount = 1, from, to, date } = req.query;
+  try {
+    const value = parseFloat(amount);
+    if (isNaN(value)) return res.status(400).json({ error: 'Invalid amount' });
+    if (!normalizeCurrency(from) || !normalizeCurrency(to)) return res.status(400).json({ error: 'Invalid currency code' });
+    const on = date ? new Date(date) : new Date();
+    if (isNaN(on)) return res.status(400).json({ error: 'Invalid date' });
+
+    const found = await getRate(from, to, on);
+    if (!found) return res.status(404).json({ error: `No ${from}/${to} rate on or before ${on.toISOString().slice(0, 10)}` });
+
+    res.json({
+      amount: value,
+      from: normalizeCurrency(from),
+      to: normalizeCurrency(to),
+      date: on,
+      rate: found.rate,
+      rateDate: found.date,
+      via: found.via,
+      result: Math.round(value * found.rate * 100) / 100
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /providers - Registered rate providers, the default one and the pairs the cron fetches
+router.get('/providers', requireAuth, requirePermission('exchangeRates.read'), async (req, res) => {
+  res.json({
+    providers: rateProviderNames(),
+    defaultProvider: process.env.CURRENCY_RATE_PROVIDER || 'frankfurter',
+    pairs: configuredPairs().map(p => `${p.base}/${p.quote}`)
+  });
+});
+
+// POST / - Add or correct the rate of one pair and day ({ pair | base, quote, date, rate, notes }).
+// Conversions that used the previous rate are recalculated.
+router.post('/', requireAuth, requirePermission('exchangeRates.manage'), async (req, res) => {
+  const { pair, base, quote, date, rate, notes } = req.body;
+  try {
+    const parsed = pair ? parsePair(pair) : { base, quote };
+    if (!parsed) return res.status(400).json({ error: 'Invalid pair' });
+    if (!date || rate === undefined) return res.status(400).json({ error: 'date and rate are required' });
+
+    const result = await saveRate({ ...parsed, date, rate, notes, source: 'manual', createdBy: await usernameOf(req) });
+    const changes = result.status === 'unchanged' ? [] : [result.rate];
+    const recalculation = await recalculate(req, changes);
+
+    res.status(result.status === 'created' ? 201 : 200).json({ ...result, recalculation });
+  } catch (err) {
+    if (isInputError(err)) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /import-csv - Import rates from CSV text ({ csvData }): date,base,quote,rate rows or a
+// date column plus one column per pair (USD/INR, GBP/USD, ...)
+router.post('/import-csv', requireAuth, requirePermission('exchangeRates.manage'), async (req, res) => {
+  const { csvData } = req.body;
+  try {
+    if (!csvData) return res.status(400).json({ error: 'CSV data is required' });
+
+    const { rows, errors } = parseRatesCsv(csvData);
+    if (rows.length === 0) return res.status(400).json({ error: 'No rates found in the CSV', errors });
+
+    const summary = await importRates(rows, { source: 'csv', createdBy: await usernameOf(req) });
+    summary.errors = [...errors, ...summary.errors];
+    const recalculation = await recalculate(req, summary.changes);
+
+    console.log(`[Currency] CSV import: ${summary.created} created, ${summary.corrected} corrected, ${summary.errors.length} error(s)`);
+    res.json({ ...summary, recalculation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /import-provider - Fetch rates from a provider ({ provider, from, to, pairs: ['USD/INR'] });
+// defaults to today and the configured pairs
+router.post('/import-provider', requireAuth, requirePermission('exchangeRates.manage'), async (req, res) => {
+  const { provider, from, to, pairs } = req.body;
+  try {
+    const start = from ? rateDay(from) : rateDay(new Date());
+    const end = to ? rateDay(to) : start;
+    if (!start || !end || end < start) return res.status(400).json({ error: 'Invalid date range' });
+    if ((end - start) / 86400000 >= MAX_PROVIDER_DAYS) {
+      return res.status(400).json({ error: `At most ${MAX_PROVIDER_DAYS} days per import` });
+    }
+
+    let pairList;
+    if (pairs !== undefined) {
+      pairList = (Array.isArray(pairs) ? pairs : String(pairs).split(',')).map(parsePair);
+      if (pairList.some(p => !p)) return res.status(400).json({ error: 'Invalid pair' });
+    }
+
+    const summary = await importProviderRates({
+      provider,
+      from: start,
+      to: end,
+      pairs: pairList,
+      createdBy: await usernameOf(req)
+    });
+    const recalculation = await recalculate(req, summary.changes);
+
+    res.json({ ...summary, recalculation });
+  } catch (err) {
+    if (isInputError(err)) return res.status(400).json({ error: err.message });
+    if (err.response) return res.status(502).json({ error: `Rate provider error: ${err.response.status}` });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /recalculate - Redo conversions from a date ({ from, currencies: ['GBP', 'INR'] });
+// defaults to the currencies of the configured USD pairs
+router.post('/recalculate', requireAuth, requirePermission('exchangeRates.manage'), async (req, res) => {
+  const { from, currencies } = req.body;
+  try {
+    const start = rateDay(from);
+    if (!from || !start) return res.status(400).json({ error: 'from is required (YYYY-MM-DD)' });
+
+    const codes = currencies
+      ? (Array.isArray(currencies) ? currencies : String(currencies).split(',')).map(normalizeCurrency)
+      : configuredPairs().filter(p => p.base === 'USD' || p.quote === 'USD').map(p => (p.base === 'USD' ? p.quote : p.base));
+    if (codes.some(c => !c)) return res.status(400).json({ error: 'Invalid currency code' });
+
+    const starts = Object.fromEntries(codes.filter(c => c !== 'USD').map(c => [c, start]));
+    const outcome = await recalculateConversions(starts, await lockOwnerFromRequest(req));
+    if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+
+    res.json(outcome.result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /:id - Remove a rate; conversions that used it fall back to the previous day's rate
+router.delete('/:id', requireAuth, requirePermission('exchangeRates.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Rate not found' });
+    const rate = await CurrencyRate.findByIdAndDelete(req.params.id).lean();
+    if (!rate) return res.status(404).json({ error: 'Rate not found' });
+    clearRateCache();
+
+    const recalculation = await recalculate(req, [rate]);
+    res.json({ message: 'Rate deleted', rate, recalculation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
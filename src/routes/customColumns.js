@@ -1,11 +1,11 @@
 import express from 'express';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import CustomColumn from '../models/CustomColumn.js';
 
 const router = express.Router();
 
 // Get all custom columns
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('listings.read'), async (req, res) => {
   try {
     const columns = await CustomColumn.find()
       .populate('createdBy', 'name email')
@@ -18,7 +18,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Create custom column
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { name, prompt, dataType, description } = req.body;
 
@@ -45,7 +45,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // Update custom column
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { name, prompt, dataType, description } = req.body;
 
@@ -67,7 +67,7 @@ router.put('/:id', requireAuth, async (req, res) => {
 });
 
 // Delete custom column
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const column = await CustomColumn.findByIdAndDelete(req.params.id);
 
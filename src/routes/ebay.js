@@ -9,7 +9,8 @@ import zlib from 'zlib';
 import path from 'path';
 import sharp from 'sharp';
 import FormData from 'form-data';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission, enforceSellerScope, requireRecordSellerAccess } from '../middleware/auth.js';
+import { isSellerScoped, sellerScopeMatch, scopedSellerMatch } from '../lib/sellerAccess.js';
 import Seller from '../models/Seller.js';
 import Order from '../models/Order.js';
 import Return from '../models/Return.js';
@@ -18,13 +19,24 @@ import PaymentDispute from '../models/PaymentDispute.js';
 import Message from '../models/Message.js';
 import Listing from '../models/Listing.js';
 import ActiveListing from '../models/ActiveListing.js';
+import PriceChange from '../models/PriceChange.js';
 import FitmentCache from '../models/FitmentCache.js';
 import ConversationMeta from '../models/ConversationMeta.js';
-import ExchangeRate from '../models/ExchangeRate.js';
 import { parseStringPromise } from 'xml2js';
 import imageCache from '../lib/imageCache.js';
 import multer from 'multer';
 import FeedUpload from '../models/FeedUpload.js';
+import { acquireSellerSyncLocks, syncBusyResponse, lockOwnerFromRequest, withJobLock } from '../lib/jobLock.js';
+import { publishEvent } from '../lib/realtimeEvents.js';
+import { recordActivity } from '../lib/activity.js';
+import { dispatchWebhookEvent } from '../lib/webhooks.js';
+import { recordAudit } from '../lib/auditLog.js';
+import { getFile, storageKeyFromUrl } from '../lib/storage.js';
+import { recordSkuMappings } from '../lib/skuRegistry.js';
+import { orderUsdRate, marketplaceInrRate } from '../lib/currency.js';
+import { calculateFinancials, calculateAmazonFinancials } from '../lib/orderFinancials.js';
+import { ORDER_PURCHASE_FIELDS, applyOrderSheetFields } from '../lib/amazonPurchases.js';
+import { assigneeMatch } from '../lib/workQueue.js';
 
 const upload = multer({ storage: multer.memoryStorage() });
 const router = express.Router();
@@ -32,7 +44,7 @@ const router = express.Router();
 // ============================================
 // UPLOAD FEED TO EBAY
 // ============================================
-router.post('/feed/upload', requireAuth, upload.single('file'), async (req, res) => {
+router.post('/feed/upload', requireAuth, requirePermission('listings.sync'), upload.single('file'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId, feedType = 'FX_LISTING', schemaVersion = '1.0' } = req.body;
     const file = req.file;
@@ -150,7 +162,7 @@ router.post('/feed/upload', requireAuth, upload.single('file'), async (req, res)
 // ============================================
 // GET FEED TASKS STATUS
 // ============================================
-router.get('/feed/tasks', requireAuth, async (req, res) => {
+router.get('/feed/tasks', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId, limit = 10, offset = 0 } = req.query;
 
@@ -248,7 +260,7 @@ router.get('/feed/tasks', requireAuth, async (req, res) => {
 // ============================================
 // DOWNLOAD FEED RESULT FILE (Error Details)
 // ============================================
-router.get('/feed/result/:taskId', requireAuth, async (req, res) => {
+router.get('/feed/result/:taskId', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { taskId } = req.params;
     const { sellerId } = req.query;
@@ -345,194 +357,21 @@ const EBAY_OAUTH_SCOPES = [
 // Start automatic cleanup of expired cache entries (runs every 10 minutes)
 imageCache.startAutoCleanup();
 
-// ============================================
-// HELPER: Recalculate USD Fields
-// ============================================
-function recalculateUSDFields(order) {
-  // Get conversion rate (default to 1 for US orders)
-  let conversionRate = 1;
-
-  if (order.purchaseMarketplaceId !== 'EBAY_US') {
-    const totalDueSeller = order.paymentSummary?.totalDueSeller;
-    if (totalDueSeller?.value && totalDueSeller?.convertedFromValue) {
-      const usdValue = parseFloat(totalDueSeller.value);
-      const originalValue = parseFloat(totalDueSeller.convertedFromValue);
-      if (usdValue > 0 && originalValue > 0) {
-        conversionRate = usdValue / originalValue;
-      }
-    }
-  }
-
-  // Recalculate all USD fields
-  const updates = {
-    conversionRate: parseFloat(conversionRate.toFixed(5))
-  };
-
-  // Convert monetary fields
-  const monetaryFields = [
-    'subtotal', 'shipping', 'salesTax', 'discount',
-    'transactionFees', 'beforeTax', 'estimatedTax'
-  ];
-
-  monetaryFields.forEach(field => {
-    if (order[field] !== undefined && order[field] !== null && order[field] !== '') {
-      const value = parseFloat(order[field]);
-      if (!isNaN(value)) {
-        updates[`${field}USD`] = parseFloat((value * conversionRate).toFixed(2));
-      }
-    } else {
-      // If field is null/empty, clear the USD field
-      updates[`${field}USD`] = null;
-    }
-  });
-
-  // Calculate refunds
-  if (order.refunds && Array.isArray(order.refunds)) {
-    const totalRefund = order.refunds.reduce((sum, r) => {
-      const amt = parseFloat(r.amount?.value || 0);
-      return sum + (isNaN(amt) ? 0 : amt);
-    }, 0);
-    updates.refundTotalUSD = parseFloat((totalRefund * conversionRate).toFixed(2));
-  } else if (order.paymentSummary?.refunds && Array.isArray(order.paymentSummary.refunds)) {
-    const totalRefund = order.paymentSummary.refunds.reduce((sum, r) => {
-      const amt = parseFloat(r.amount?.value || 0);
-      return sum + (isNaN(amt) ? 0 : amt);
-    }, 0);
-    updates.refundTotalUSD = parseFloat((totalRefund * conversionRate).toFixed(2));
-  }
-
-  return updates;
-}
-
-// ============================================
-// HELPER: Calculate Financial Fields (All Orders Sheet)
-// ============================================
-// Calculates TDS, TID, NET, and P.Balance INR based on orderEarnings
-async function calculateFinancials(order, marketplace = 'EBAY') {
-  const updates = {
-    tid: 0.24 // Fixed Transaction ID
-  };
-
-  // If orderEarnings is null or undefined, set all financial fields to null
-  if (order.orderEarnings === null || order.orderEarnings === undefined) {
-    updates.tds = null;
-    updates.net = null;
-    updates.pBalanceINR = null;
-    updates.ebayExchangeRate = null;
-    return updates;
-  }
-
-  const earnings = parseFloat(order.orderEarnings) || 0;
-
-  // TDS = 1% of orderEarnings
-  updates.tds = parseFloat((earnings * 0.01).toFixed(2));
-
-  // NET = orderEarnings - tds - tid
-  updates.net = parseFloat((earnings - updates.tds - updates.tid).toFixed(2));
-
-  // P.Balance INR = net × eBay exchangeRate (USD to INR)
-  // ALWAYS use EBAY marketplace (USD to INR) regardless of order marketplace
-  // Because orderEarnings is already in USD after conversion
-  try {
-    const exchangeRate = await ExchangeRate.findOne({ marketplace: 'EBAY' }).sort({ effectiveDate: -1 });
-    if (exchangeRate && exchangeRate.rate) {
-      updates.ebayExchangeRate = exchangeRate.rate; // Store the eBay exchange rate used
-      updates.pBalanceINR = parseFloat((updates.net * exchangeRate.rate).toFixed(2));
-    } else {
-      updates.ebayExchangeRate = null;
-      updates.pBalanceINR = null; // No exchange rate available
-    }
-  } catch (err) {
-    console.error('[Calculate Financials] Error fetching exchange rate:', err);
-    updates.ebayExchangeRate = null;
-    updates.pBalanceINR = null;
-  }
-
-  // Calculate and store profit per order
-  // Profit = P.Balance (INR) - A_total-inr - Total_CC
-  const pBalanceINR = updates.pBalanceINR !== undefined ? updates.pBalanceINR : (order.pBalanceINR || 0);
-  const amazonTotalINR = order.amazonTotalINR || 0;
-  const totalCC = order.totalCC || 0;
-  updates.profit = parseFloat((pBalanceINR - amazonTotalINR - totalCC).toFixed(2));
-
-  return updates;
+// HELPER: Restrict a connected-seller query to specific sellers (used by the sync runners)
+function sellerIdFilter(sellerIds) {
+  if (!sellerIds) return {};
+  return { _id: { $in: sellerIds } };
 }
 
-// Calculate Amazon-side financial fields
-async function calculateAmazonFinancials(order) {
-  const updates = {};
-
-  // For US orders, if USD fields are missing, fall back to base currency fields
-  const isUSOrder = order.purchaseMarketplaceId === 'EBAY_US' || order.conversionRate === 1;
-  let beforeTaxUSD = parseFloat(order.beforeTaxUSD);
-  let estimatedTaxUSD = parseFloat(order.estimatedTaxUSD);
-
-  if (isUSOrder) {
-    if (!beforeTaxUSD && order.beforeTax !== undefined) {
-      beforeTaxUSD = parseFloat(order.beforeTax) || 0;
-      updates.beforeTaxUSD = beforeTaxUSD; // Update the missing field
-    }
-    if (!estimatedTaxUSD && order.estimatedTax !== undefined) {
-      estimatedTaxUSD = parseFloat(order.estimatedTax) || 0;
-      updates.estimatedTaxUSD = estimatedTaxUSD; // Update the missing field
-    }
+// HELPER: Take the per-seller sync locks for a manual sync route (default: every seller the caller may see).
+// Sends a 409 ("already running, started by X at Y") and returns null if every seller is already being synced.
+async function acquireRouteSyncLocks(req, res, syncType, label, sellerIds = req.user.sellerIds || undefined) {
+  const locks = await acquireSellerSyncLocks(syncType, { sellerIds, label, ...(await lockOwnerFromRequest(req)) });
+  if (!locks.acquired) {
+    res.status(409).json(syncBusyResponse(label, locks.busy));
+    return null;
   }
-
-  const beforeTax = beforeTaxUSD || 0;
-  const estimatedTax = estimatedTaxUSD || 0;
-
-  // Amazon Total = Before Tax + Estimated Tax
-  updates.amazonTotal = parseFloat((beforeTax + estimatedTax).toFixed(2));
-
-  // Check if order is FULLY_REFUNDED or PARTIALLY_REFUNDED
-  const paymentStatus = order.paymentSummary?.payments?.[0]?.paymentStatus;
-  const isRefunded = paymentStatus === 'FULLY_REFUNDED' || paymentStatus === 'PARTIALLY_REFUNDED';
-
-  // IGST=0 logic only applies to orders from Nov 28, 2025 onwards
-  const orderDate = new Date(order.creationDate || order.dateSold);
-  const nov28_2025 = new Date('2025-11-28T00:00:00.000Z');
-  const applyIGSTZeroForRefunds = orderDate >= nov28_2025;
-
-  // Fetch latest Amazon exchange rate
-  try {
-    const exchangeRate = await ExchangeRate.findOne({ marketplace: 'AMAZON' }).sort({ effectiveDate: -1 });
-    if (exchangeRate && exchangeRate.rate) {
-      updates.amazonExchangeRate = exchangeRate.rate; // Store the Amazon exchange rate used
-      updates.amazonTotalINR = parseFloat((updates.amazonTotal * exchangeRate.rate).toFixed(2));
-
-      // Marketplace Fee = 4% of amazonTotalINR
-      updates.marketplaceFee = parseFloat((updates.amazonTotalINR * 0.04).toFixed(2));
-
-      // IGST = 18% of marketplace fee, BUT 0 if order is refunded AND from Nov 28, 2025 onwards
-      updates.igst = (isRefunded && applyIGSTZeroForRefunds) ? 0 : parseFloat((updates.marketplaceFee * 0.18).toFixed(2));
-
-      // Total CC = Marketplace Fee + IGST
-      updates.totalCC = parseFloat((updates.marketplaceFee + updates.igst).toFixed(2));
-    } else {
-      // No exchange rate available, set to null
-      updates.amazonExchangeRate = null;
-      updates.amazonTotalINR = null;
-      updates.marketplaceFee = null;
-      updates.igst = null;
-      updates.totalCC = null;
-    }
-  } catch (err) {
-    console.error('[Calculate Amazon Financials] Error fetching exchange rate:', err);
-    updates.amazonExchangeRate = null;
-    updates.amazonTotalINR = null;
-    updates.marketplaceFee = null;
-    updates.igst = null;
-    updates.totalCC = null;
-  }
-
-  // Recalculate profit after Amazon financials update
-  // Profit = P.Balance (INR) - A_total-inr - Total_CC
-  const pBalanceINR = order.pBalanceINR || 0;
-  const amazonTotalINR = updates.amazonTotalINR !== undefined ? updates.amazonTotalINR : (order.amazonTotalINR || 0);
-  const totalCC = updates.totalCC !== undefined ? updates.totalCC : (order.totalCC || 0);
-  updates.profit = parseFloat((pBalanceINR - amazonTotalINR - totalCC).toFixed(2));
-
-  return updates;
+  return locks;
 }
 
 // HELPER: Ensure Seller Token is Valid (Refreshes if < 2 mins left)
@@ -854,6 +693,60 @@ Orders are typically shipped within 12–24 hours. We will keep you updated, and
 
 If you need any assistance, please feel free to message us at any time. Wishing you a wonderful day!`;
 
+// --- HELPER: Push order changes from the sync paths to connected clients ---
+function publishOrderEvent(type, order, changedFields) {
+  publishEvent(type, {
+    sellerId: order.seller,
+    data: {
+      orderId: order.orderId,
+      legacyOrderId: order.legacyOrderId,
+      buyerUsername: order.buyer?.username,
+      productName: order.productName,
+      orderPaymentStatus: order.orderPaymentStatus,
+      orderFulfillmentStatus: order.orderFulfillmentStatus,
+      creationDate: order.creationDate,
+      ...(changedFields && { changedFields })
+    }
+  });
+}
+
+// --- HELPER: Webhook for an order whose orderPaymentStatus changed during sync ---
+function notifyOrderPaymentStatusChange(order, previousStatus) {
+  if (previousStatus === order.orderPaymentStatus) return;
+  dispatchWebhookEvent('order.paymentStatusChanged', {
+    sellerId: order.seller,
+    data: {
+      orderId: order.orderId,
+      legacyOrderId: order.legacyOrderId,
+      buyerUsername: order.buyer?.username,
+      previousStatus: previousStatus || null,
+      orderPaymentStatus: order.orderPaymentStatus,
+      orderFulfillmentStatus: order.orderFulfillmentStatus,
+      subtotalUSD: order.subtotalUSD,
+      refundTotalUSD: order.refundTotalUSD,
+      orderEarnings: order.orderEarnings
+    }
+  });
+}
+
+// --- HELPER: Webhook when a payment dispute starts waiting on the seller ---
+function notifyDisputeAwaitingSeller(dispute, previousStatus) {
+  if (dispute.paymentDisputeStatus !== 'WAITING_FOR_SELLER_RESPONSE' || previousStatus === 'WAITING_FOR_SELLER_RESPONSE') return;
+  dispatchWebhookEvent('paymentDispute.waitingForSellerResponse', {
+    sellerId: dispute.seller,
+    data: {
+      paymentDisputeId: dispute.paymentDisputeId,
+      orderId: dispute.orderId,
+      buyerUsername: dispute.buyerUsername,
+      reason: dispute.reason,
+      previousStatus: previousStatus || null,
+      paymentDisputeStatus: dispute.paymentDisputeStatus,
+      amount: dispute.amount,
+      respondByDate: dispute.respondByDate
+    }
+  });
+}
+
 // --- HELPER: Send Auto Welcome Message ---
 async function sendAutoWelcomeMessage(seller, order) {
   if (!ENABLE_AUTO_WELCOME) return;
@@ -1008,7 +901,7 @@ async function processEbayMessage(msg, seller) {
     }
 
     // 3. Save to DB
-    await Message.create({
+    const newMessage = await Message.create({
       seller: seller._id,
       orderId,
       itemId: finalItemId,
@@ -1024,6 +917,20 @@ async function processEbayMessage(msg, seller) {
       messageDate: messageDate
     });
 
+    publishEvent('message.received', {
+      sellerId: seller._id,
+      data: {
+        messageId: newMessage._id,
+        orderId,
+        itemId: finalItemId,
+        itemTitle: finalItemTitle,
+        buyerUsername: senderID,
+        subject,
+        messageType,
+        messageDate
+      }
+    });
+
     return true;
   } catch (err) {
     console.error('Error processing message:', err.message);
@@ -1063,7 +970,7 @@ async function extractTrackingNumber(fulfillmentHrefs, accessToken) {
 }
 
 // 1. Start OAuth: Redirect to eBay
-router.get('/connect', (req, res) => {
+router.get('/connect', requireAuth, requirePermission('sellers.connectAccount'), enforceSellerScope, (req, res) => {
   console.log('========================================');
   console.log('[eBay OAuth] /connect endpoint HIT!');
   console.log('========================================');
@@ -1231,7 +1138,7 @@ router.get('/callback', async (req, res) => {
 });
 
 // 3. Fetch Orders (for polling) by sellerId, region(s), with token refresh
-router.get('/orders', async (req, res) => {
+router.get('/orders', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   const { sellerId, region } = req.query;
   if (!sellerId) return res.status(400).json({ error: 'Missing sellerId' });
   try {
@@ -1374,15 +1281,20 @@ router.get('/orders', async (req, res) => {
 });
 
 // New endpoint: Get orders with any cancellation status
-router.get('/cancelled-orders', async (req, res) => {
+router.get('/cancelled-orders', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   try {
-    const { startDate, endDate, sellerId, marketplace, page = 1, limit = 50 } = req.query;
+    const { startDate, endDate, sellerId, marketplace, assignedTo, page = 1, limit = 50 } = req.query;
 
     console.log(`[Cancelled Orders] Fetching all cancellation orders`);
 
+    const assignee = assigneeMatch(req, assignedTo);
+    if (!assignee) return res.status(400).json({ error: 'Invalid assignedTo' });
+
     // Build query for cancellation states
     const query = {
-      cancelState: { $in: ['CANCEL_REQUESTED', 'IN_PROGRESS', 'CANCELED', 'CANCELLED'] }
+      ...sellerScopeMatch(req),
+      cancelState: { $in: ['CANCEL_REQUESTED', 'IN_PROGRESS', 'CANCELED', 'CANCELLED'] },
+      ...assignee
     };
 
     // Add filters
@@ -1430,6 +1342,7 @@ router.get('/cancelled-orders', async (req, res) => {
           select: 'username email'
         }
       })
+      .populate('assignedTo', 'username')
       .sort({ creationDate: -1 })
       .skip(skip)
       .limit(limitNum);
@@ -1456,7 +1369,7 @@ router.get('/cancelled-orders', async (req, res) => {
 
 
 // Get a single order by orderId
-router.get('/order/:orderId', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/order/:orderId', requireAuth, requirePermission('orders.read'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId', { key: 'orderId' }), async (req, res) => {
   const { orderId } = req.params;
 
   try {
@@ -1482,11 +1395,11 @@ router.get('/order/:orderId', requireAuth, requireRole('fulfillmentadmin', 'supe
 
 
 // Get stored orders from database with pagination support
-router.get('/stored-orders', async (req, res) => {
+router.get('/stored-orders', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   const { sellerId, page = 1, limit = 50, searchOrderId, searchBuyerName, searchItemId, searchMarketplace, paymentStatus, startDate, endDate, awaitingShipment, hasFulfillmentNotes, amazonArriving, arrivalSort, amazonAccount, arrivalStartDate, arrivalEndDate, productName } = req.query;
 
   try {
-    let query = {};
+    let query = { ...sellerScopeMatch(req) };
     if (sellerId) {
       query.seller = sellerId;
     }
@@ -1699,15 +1612,8 @@ router.get('/stored-orders', async (req, res) => {
 // ============================================
 async function getExchangeRateForDate(date, marketplace = 'EBAY') {
   try {
-    const targetDate = new Date(date);
-
-    // Find the most recent rate that was effective on or before the target date
-    const rate = await ExchangeRate.findOne({
-      marketplace,
-      effectiveDate: { $lte: targetDate }
-    })
-      .sort({ effectiveDate: -1 })
-      .limit(1);
+    // Rate entered for the marketplace on or before the date, else the market USD/INR rate
+    const rate = await marketplaceInrRate(marketplace, date);
 
     // Default to 82 if no rate found
     return rate ? rate.rate : 82;
@@ -1718,11 +1624,11 @@ async function getExchangeRateForDate(date, marketplace = 'EBAY') {
 }
 
 // NEW ENDPOINT: All Orders with USD conversion
-router.get('/all-orders-usd', async (req, res) => {
+router.get('/all-orders-usd', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   const { sellerId, page = 1, limit = 50, searchOrderId, searchBuyerName, searchMarketplace, startDate, endDate, excludeCancelled } = req.query;
 
   try {
-    let query = {};
+    let query = { ...sellerScopeMatch(req) };
     if (sellerId) {
       query.seller = sellerId;
     }
@@ -1816,17 +1722,8 @@ router.get('/all-orders-usd', async (req, res) => {
           orderObj.transactionFeesUSD = orderObj.transactionFees || 0;
           orderObj.conversionRate = 1;
         } else {
-          // Non-US orders - calculate from paymentSummary
-          let conversionRate = 0;
-
-          if (orderObj.paymentSummary?.totalDueSeller?.convertedFromValue &&
-            orderObj.paymentSummary?.totalDueSeller?.value) {
-            const originalValue = parseFloat(orderObj.paymentSummary.totalDueSeller.convertedFromValue);
-            const usdValue = parseFloat(orderObj.paymentSummary.totalDueSeller.value);
-            if (originalValue > 0) {
-              conversionRate = usdValue / originalValue;
-            }
-          }
+          // Non-US orders - calculate from paymentSummary, else the stored rate on the order date
+          const conversionRate = (await orderUsdRate(orderObj))?.rate || 0;
 
           // Apply conversion with proper rounding (2 decimal places)
           orderObj.subtotalUSD = conversionRate ? parseFloat(((orderObj.subtotal || 0) * conversionRate).toFixed(2)) : 0;
@@ -1892,7 +1789,7 @@ router.get('/all-orders-usd', async (req, res) => {
 });
 
 // Test endpoint to check Finances API basic connectivity (no filter)
-router.get('/test-finances-basic', requireAuth, requireRole('fulfillmentadmin', 'superadmin'), async (req, res) => {
+router.get('/test-finances-basic', requireAuth, requirePermission('sync.manage'), enforceSellerScope, async (req, res) => {
   const { sellerId } = req.query;
 
   if (!sellerId) {
@@ -1949,7 +1846,7 @@ router.get('/test-finances-basic', requireAuth, requireRole('fulfillmentadmin',
 });
 
 // Test endpoint to check Finances API for a single order
-router.get('/test-finances/:orderId', requireAuth, requireRole('fulfillmentadmin', 'superadmin'), async (req, res) => {
+router.get('/test-finances/:orderId', requireAuth, requirePermission('sync.manage'), enforceSellerScope, async (req, res) => {
   const { orderId } = req.params;
   const { sellerId } = req.query;
 
@@ -2005,7 +1902,7 @@ router.get('/test-finances/:orderId', requireAuth, requireRole('fulfillmentadmin
 });
 
 // Update ad fee general for an order
-router.patch('/orders/:orderId/ad-fee-general', async (req, res) => {
+router.patch('/orders/:orderId/ad-fee-general', requireAuth, requirePermission('orders.editFinancials'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
   const { adFeeGeneral } = req.body;
 
@@ -2019,6 +1916,7 @@ router.patch('/orders/:orderId/ad-fee-general', async (req, res) => {
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    const before = order.toObject();
 
     // Update ad fee
     order.adFeeGeneral = parseFloat(adFeeGeneral);
@@ -2048,6 +1946,7 @@ router.patch('/orders/:orderId/ad-fee-general', async (req, res) => {
     Object.assign(order, amazonFinancials);
 
     await order.save();
+    await recordAudit(req, 'Order', before, order);
 
     res.json({ success: true, order });
   } catch (err) {
@@ -2056,7 +1955,7 @@ router.patch('/orders/:orderId/ad-fee-general', async (req, res) => {
 });
 
 // Get count of orders needing ad fee backfill
-router.get('/backfill-ad-fees/count', requireAuth, requireRole('fulfillmentadmin', 'superadmin'), async (req, res) => {
+router.get('/backfill-ad-fees/count', requireAuth, requirePermission('sync.manage'), enforceSellerScope, async (req, res) => {
   const { sellerId, sinceDate } = req.query;
 
   if (!sellerId) {
@@ -2094,7 +1993,7 @@ router.get('/backfill-ad-fees/count', requireAuth, requireRole('fulfillmentadmin
 });
 
 // Update order earnings for partially refunded orders
-router.post('/orders/:orderId/update-earnings', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc'), async (req, res) => {
+router.post('/orders/:orderId/update-earnings', requireAuth, requirePermission('orders.editFinancials'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId', { key: 'orderId' }), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { orderEarnings } = req.body;
@@ -2107,6 +2006,7 @@ router.post('/orders/:orderId/update-earnings', requireAuth, requireRole('fulfil
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    const before = order.toObject();
 
     // Update order earnings
     order.orderEarnings = parseFloat(orderEarnings);
@@ -2124,6 +2024,7 @@ router.post('/orders/:orderId/update-earnings', requireAuth, requireRole('fulfil
     order.ebayExchangeRate = financials.ebayExchangeRate;
 
     await order.save();
+    await recordAudit(req, 'Order', before, order);
 
     res.json({
       success: true,
@@ -2142,7 +2043,7 @@ router.post('/orders/:orderId/update-earnings', requireAuth, requireRole('fulfil
 });
 
 // Handle Amazon refund received - zero out Amazon costs
-router.post('/orders/:orderId/amazon-refund-received', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc'), async (req, res) => {
+router.post('/orders/:orderId/amazon-refund-received', requireAuth, requirePermission('orders.editFinancials'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId', { key: 'orderId' }), async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -2150,6 +2051,7 @@ router.post('/orders/:orderId/amazon-refund-received', requireAuth, requireRole(
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    const before = order.toObject();
 
     // Zero out Amazon costs
     order.beforeTaxUSD = 0;
@@ -2165,6 +2067,7 @@ router.post('/orders/:orderId/amazon-refund-received', requireAuth, requireRole(
     order.amazonExchangeRate = amazonFinancials.amazonExchangeRate;
 
     await order.save();
+    await recordAudit(req, 'Order', before, order);
 
     res.json({
       success: true,
@@ -2185,13 +2088,14 @@ router.post('/orders/:orderId/amazon-refund-received', requireAuth, requireRole(
 });
 
 // Backfill ad fees from eBay Finances API for orders since a given date
-router.post('/backfill-ad-fees', requireAuth, requireRole('fulfillmentadmin', 'superadmin'), async (req, res) => {
+router.post('/backfill-ad-fees', requireAuth, requirePermission('sync.manage'), enforceSellerScope, async (req, res) => {
   const { sellerId, sinceDate, skipAlreadySet = true } = req.body;
 
   if (!sellerId) {
     return res.status(400).json({ error: 'sellerId is required' });
   }
 
+  let syncLocks = null;
   try {
     const seller = await Seller.findById(sellerId);
     if (!seller) {
@@ -2202,6 +2106,9 @@ router.post('/backfill-ad-fees', requireAuth, requireRole('fulfillmentadmin', 's
       return res.status(400).json({ error: 'Seller not connected to eBay' });
     }
 
+    syncLocks = await acquireRouteSyncLocks(req, res, 'adFees', 'Ad fee backfill', [seller._id]);
+    if (!syncLocks) return;
+
     // Ensure we have a valid token
     const accessToken = await ensureValidToken(seller);
 
@@ -2302,11 +2209,13 @@ router.post('/backfill-ad-fees', requireAuth, requireRole('fulfillmentadmin', 's
   } catch (err) {
     console.error('[Backfill Ad Fees] Error:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // Update manual tracking number for an order (does NOT affect fulfillment tracking)
-router.patch('/orders/:orderId/manual-tracking', async (req, res) => {
+router.patch('/orders/:orderId/manual-tracking', requireAuth, requirePermission('orders.fulfill'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
   const { manualTrackingNumber } = req.body;
 
@@ -2315,6 +2224,7 @@ router.patch('/orders/:orderId/manual-tracking', async (req, res) => {
   }
 
   try {
+    const before = await Order.findById(orderId).lean();
     const order = await Order.findByIdAndUpdate(
       orderId,
       { manualTrackingNumber: String(manualTrackingNumber) },
@@ -2324,6 +2234,7 @@ router.patch('/orders/:orderId/manual-tracking', async (req, res) => {
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    await recordAudit(req, 'Order', before, order);
 
     res.json({ success: true, order });
   } catch (err) {
@@ -2332,7 +2243,7 @@ router.patch('/orders/:orderId/manual-tracking', async (req, res) => {
 });
 
 // Upload tracking number to eBay and mark order as shipped
-router.post('/orders/:orderId/upload-tracking', async (req, res) => {
+router.post('/orders/:orderId/upload-tracking', requireAuth, requirePermission('orders.fulfill'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
   const { trackingNumber, shippingCarrier = 'USPS' } = req.body;
 
@@ -2347,6 +2258,7 @@ router.post('/orders/:orderId/upload-tracking', async (req, res) => {
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    const before = order.toObject();
 
     if (!order.seller) {
       return res.status(400).json({ error: 'Seller not found for this order' });
@@ -2475,6 +2387,7 @@ router.post('/orders/:orderId/upload-tracking', async (req, res) => {
     order.orderFulfillmentStatus = 'FULFILLED';
 
     await order.save();
+    await recordAudit(req, 'Order', before, order);
 
     console.log(`[Upload Tracking] 💾 Database updated successfully for order ${ebayOrderId}`);
 
@@ -2532,7 +2445,7 @@ router.post('/orders/:orderId/upload-tracking', async (req, res) => {
 });
 
 // Upload multiple tracking numbers to eBay (for orders with multiple different items)
-router.post('/orders/:orderId/upload-tracking-multiple', async (req, res) => {
+router.post('/orders/:orderId/upload-tracking-multiple', requireAuth, requirePermission('orders.fulfill'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
   const { trackingData, shippingCarrier = 'USPS' } = req.body;
   // trackingData format: [{ itemId: '12345', trackingNumber: 'ABC123', carrier: 'USPS' }, ...]
@@ -2554,6 +2467,7 @@ router.post('/orders/:orderId/upload-tracking-multiple', async (req, res) => {
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    const before = order.toObject();
 
     if (!order.seller) {
       return res.status(400).json({ error: 'Seller not found for this order' });
@@ -2677,6 +2591,7 @@ router.post('/orders/:orderId/upload-tracking-multiple', async (req, res) => {
       order.orderFulfillmentStatus = isFulfilled ? 'FULFILLED' : order.orderFulfillmentStatus;
 
       await order.save();
+      await recordAudit(req, 'Order', before, order);
 
       console.log(`[Upload Multiple Tracking] 💾 Database updated with ${trackingData.length} tracking numbers`);
 
@@ -2697,6 +2612,7 @@ router.post('/orders/:orderId/upload-tracking-multiple', async (req, res) => {
       order.trackingNumber = allTrackingNumbers;
       order.manualTrackingNumber = allTrackingNumbers;
       await order.save();
+      await recordAudit(req, 'Order', before, order);
 
       res.json({
         success: true,
@@ -2721,450 +2637,471 @@ router.post('/orders/:orderId/upload-tracking-multiple', async (req, res) => {
 });
 
 // Poll all sellers for new/updated orders with smart detection (PARALLEL + UTC-based)
-router.post('/poll-all-sellers', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'compliancemanager', 'hoc'), async (req, res) => {
-  try {
-    // Helper function to normalize dates for comparison (ignore milliseconds/format)
-    function normalizeDateForComparison(date) {
-      if (!date) return null;
-      if (date instanceof Date) {
-        return Math.floor(date.getTime() / 1000); // Unix timestamp in seconds
-      }
-      if (typeof date === 'string') {
-        return Math.floor(new Date(date).getTime() / 1000);
-      }
-      return null;
+async function pollSellerOrders({ sellerIds } = {}) {
+  // Helper function to normalize dates for comparison (ignore milliseconds/format)
+  function normalizeDateForComparison(date) {
+    if (!date) return null;
+    if (date instanceof Date) {
+      return Math.floor(date.getTime() / 1000); // Unix timestamp in seconds
+    }
+    if (typeof date === 'string') {
+      return Math.floor(new Date(date).getTime() / 1000);
     }
+    return null;
+  }
 
-    // Helper function to check if field actually changed
-    function hasFieldChanged(oldValue, newValue, fieldName) {
-      // Skip system fields
-      const systemFields = ['_id', '__v', 'seller', 'updatedAt', 'createdAt'];
-      if (systemFields.includes(fieldName)) return false;
-
-      // Date fields - compare Unix timestamps (ignore milliseconds)
-      const dateFields = ['creationDate', 'lastModifiedDate', 'dateSold', 'shipByDate', 'estimatedDelivery'];
-      if (dateFields.includes(fieldName)) {
-        const oldTime = normalizeDateForComparison(oldValue);
-        const newTime = normalizeDateForComparison(newValue);
-        return oldTime !== newTime;
-      }
-
-      // Null/undefined checks
-      if (oldValue === null || oldValue === undefined) {
-        return newValue !== null && newValue !== undefined;
-      }
-
-      // Objects/Arrays - deep comparison
-      if (typeof newValue === 'object' && newValue !== null) {
-        return JSON.stringify(oldValue) !== JSON.stringify(newValue);
-      }
+  // Helper function to check if field actually changed
+  function hasFieldChanged(oldValue, newValue, fieldName) {
+    // Skip system fields
+    const systemFields = ['_id', '__v', 'seller', 'updatedAt', 'createdAt'];
+    if (systemFields.includes(fieldName)) return false;
 
-      // Primitives - direct comparison
-      return oldValue !== newValue;
+    // Date fields - compare Unix timestamps (ignore milliseconds)
+    const dateFields = ['creationDate', 'lastModifiedDate', 'dateSold', 'shipByDate', 'estimatedDelivery'];
+    if (dateFields.includes(fieldName)) {
+      const oldTime = normalizeDateForComparison(oldValue);
+      const newTime = normalizeDateForComparison(newValue);
+      return oldTime !== newTime;
     }
 
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null } })
-      .populate('user', 'username email');
-
-    if (sellers.length === 0) {
-      return res.json({
-        message: 'No sellers with connected eBay accounts found',
-        pollResults: [],
-        totalPolled: 0,
-        totalNewOrders: 0,
-        totalUpdatedOrders: 0
-      });
+    // Null/undefined checks
+    if (oldValue === null || oldValue === undefined) {
+      return newValue !== null && newValue !== undefined;
     }
 
-    // Calculate 30 days ago in UTC
-    const nowUTC = Date.now();
-    const thirtyDaysAgoMs = 30 * 24 * 60 * 60 * 1000;
-    const thirtyDaysAgo = new Date(nowUTC - thirtyDaysAgoMs);
+    // Objects/Arrays - deep comparison
+    if (typeof newValue === 'object' && newValue !== null) {
+      return JSON.stringify(oldValue) !== JSON.stringify(newValue);
+    }
 
-    console.log(`\n========== POLLING ${sellers.length} SELLERS IN PARALLEL ==========`);
-    console.log(`UTC Time: ${new Date(nowUTC).toISOString()}`);
-    console.log(`30-day window starts: ${thirtyDaysAgo.toISOString()}`);
+    // Primitives - direct comparison
+    return oldValue !== newValue;
+  }
 
-    // Process all sellers in parallel using Promise.allSettled
-    const pollingPromises = sellers.map(async (seller) => {
-      const sellerName = seller.user?.username || seller.user?.email || seller._id.toString();
+  const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null }, ...sellerIdFilter(sellerIds) })
+    .populate('user', 'username email');
 
-      try {
-        console.log(`\n[${sellerName}] Starting poll...`);
+  if (sellers.length === 0) {
+    return {
+      message: 'No sellers with connected eBay accounts found',
+      pollResults: [],
+      totalPolled: 0,
+      totalNewOrders: 0,
+      totalUpdatedOrders: 0
+    };
+  }
 
-        // ========== TOKEN REFRESH CHECK ==========
-        const fetchedAt = seller.ebayTokens.fetchedAt ? new Date(seller.ebayTokens.fetchedAt).getTime() : 0;
-        const expiresInMs = (seller.ebayTokens.expires_in || 0) * 1000;
-        let accessToken = seller.ebayTokens.access_token;
+  // Calculate 30 days ago in UTC
+  const nowUTC = Date.now();
+  const thirtyDaysAgoMs = 30 * 24 * 60 * 60 * 1000;
+  const thirtyDaysAgo = new Date(nowUTC - thirtyDaysAgoMs);
 
-        if (fetchedAt && (nowUTC - fetchedAt > expiresInMs - 2 * 60 * 1000)) {
-          console.log(`[${sellerName}] Token expired, refreshing...`);
-          try {
-            const refreshRes = await axios.post(
-              'https://api.ebay.com/identity/v1/oauth2/token',
-              qs.stringify({
-                grant_type: 'refresh_token',
-                refresh_token: seller.ebayTokens.refresh_token,
-                scope: EBAY_OAUTH_SCOPES, // Using centralized scopes constant
-              }),
-              {
-                headers: {
-                  'Content-Type': 'application/x-www-form-urlencoded',
-                  Authorization: 'Basic ' + Buffer.from(`${process.env.EBAY_CLIENT_ID}:${process.env.EBAY_CLIENT_SECRET}`).toString('base64'),
-                },
-              }
-            );
-            seller.ebayTokens.access_token = refreshRes.data.access_token;
-            seller.ebayTokens.expires_in = refreshRes.data.expires_in;
-            seller.ebayTokens.fetchedAt = new Date(nowUTC);
-            await seller.save();
-            accessToken = refreshRes.data.access_token;
-            console.log(`[${sellerName}] Token refreshed`);
-          } catch (refreshErr) {
-            console.error(`[${sellerName}] Token refresh failed:`, refreshErr.message);
-            return {
-              sellerId: seller._id,
-              sellerName,
-              success: false,
-              error: 'Failed to refresh token'
-            };
-          }
-        }
+  console.log(`\n========== POLLING ${sellers.length} SELLERS IN PARALLEL ==========`);
+  console.log(`UTC Time: ${new Date(nowUTC).toISOString()}`);
+  console.log(`30-day window starts: ${thirtyDaysAgo.toISOString()}`);
 
-        // ========== DETERMINE POLLING STRATEGY ==========
-        const orderCount = await Order.countDocuments({ seller: seller._id });
-        const latestOrder = await Order.findOne({ seller: seller._id }).sort({ creationDate: -1 });
-        const latestCreationDate = latestOrder ? latestOrder.creationDate : null;
-        const lastPolledAt = seller.lastPolledAt || null;
-        // Default initial sync date: Nov 1, 2025 00:00:00 UTC
-        const initialSyncDate = seller.initialSyncDate || new Date(Date.UTC(2025, 10, 1, 0, 0, 0, 0));
+  // Process all sellers in parallel using Promise.allSettled
+  const pollingPromises = sellers.map(async (seller) => {
+    const sellerName = seller.user?.username || seller.user?.email || seller._id.toString();
 
-        console.log(`[${sellerName}] Orders in DB: ${orderCount}, Latest: ${latestCreationDate?.toISOString() || 'NONE'}, LastPolled: ${lastPolledAt?.toISOString() || 'NEVER'}`);
+    try {
+      console.log(`\n[${sellerName}] Starting poll...`);
 
-        const newOrders = [];
-        const updatedOrders = [];
-        // Use 5-second buffer for clock skew (UTC-based)
-        const currentTimeUTC = new Date(nowUTC - 5000);
+      // ========== TOKEN REFRESH CHECK ==========
+      const fetchedAt = seller.ebayTokens.fetchedAt ? new Date(seller.ebayTokens.fetchedAt).getTime() : 0;
+      const expiresInMs = (seller.ebayTokens.expires_in || 0) * 1000;
+      let accessToken = seller.ebayTokens.access_token;
 
-        // ========== PHASE 1: FETCH NEW ORDERS ==========
-        let newOrdersFilter = null;
-        let newOrdersLimit = 15;
+      if (fetchedAt && (nowUTC - fetchedAt > expiresInMs - 2 * 60 * 1000)) {
+        console.log(`[${sellerName}] Token expired, refreshing...`);
+        try {
+          const refreshRes = await axios.post(
+            'https://api.ebay.com/identity/v1/oauth2/token',
+            qs.stringify({
+              grant_type: 'refresh_token',
+              refresh_token: seller.ebayTokens.refresh_token,
+              scope: EBAY_OAUTH_SCOPES, // Using centralized scopes constant
+            }),
+            {
+              headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Authorization: 'Basic ' + Buffer.from(`${process.env.EBAY_CLIENT_ID}:${process.env.EBAY_CLIENT_SECRET}`).toString('base64'),
+              },
+            }
+          );
+          seller.ebayTokens.access_token = refreshRes.data.access_token;
+          seller.ebayTokens.expires_in = refreshRes.data.expires_in;
+          seller.ebayTokens.fetchedAt = new Date(nowUTC);
+          await seller.save();
+          accessToken = refreshRes.data.access_token;
+          console.log(`[${sellerName}] Token refreshed`);
+        } catch (refreshErr) {
+          console.error(`[${sellerName}] Token refresh failed:`, refreshErr.message);
+          return {
+            sellerId: seller._id,
+            sellerName,
+            success: false,
+            error: 'Failed to refresh token'
+          };
+        }
+      }
 
-        if (orderCount === 0) {
-          // First sync: get orders from Oct 17, 2025 onwards (UTC)
-          newOrdersFilter = `creationdate:[${initialSyncDate.toISOString()}..${currentTimeUTC.toISOString()}]`;
+      // ========== DETERMINE POLLING STRATEGY ==========
+      const orderCount = await Order.countDocuments({ seller: seller._id });
+      const latestOrder = await Order.findOne({ seller: seller._id }).sort({ creationDate: -1 });
+      const latestCreationDate = latestOrder ? latestOrder.creationDate : null;
+      const lastPolledAt = seller.lastPolledAt || null;
+      // Default initial sync date: Nov 1, 2025 00:00:00 UTC
+      const initialSyncDate = seller.initialSyncDate || new Date(Date.UTC(2025, 10, 1, 0, 0, 0, 0));
+
+      console.log(`[${sellerName}] Orders in DB: ${orderCount}, Latest: ${latestCreationDate?.toISOString() || 'NONE'}, LastPolled: ${lastPolledAt?.toISOString() || 'NEVER'}`);
+
+      const newOrders = [];
+      const updatedOrders = [];
+      // Use 5-second buffer for clock skew (UTC-based)
+      const currentTimeUTC = new Date(nowUTC - 5000);
+
+      // ========== PHASE 1: FETCH NEW ORDERS ==========
+      let newOrdersFilter = null;
+      let newOrdersLimit = 15;
+
+      if (orderCount === 0) {
+        // First sync: get orders from Oct 17, 2025 onwards (UTC)
+        newOrdersFilter = `creationdate:[${initialSyncDate.toISOString()}..${currentTimeUTC.toISOString()}]`;
+        newOrdersLimit = 200;
+        console.log(`[${sellerName}] PHASE 1: Initial sync from ${initialSyncDate.toISOString()}`);
+      } else if (latestCreationDate) {
+        // Subsequent syncs: fetch orders created after our latest order
+        const afterLatestMs = new Date(latestCreationDate).getTime() + 1000; // +1 sec
+        const afterLatest = new Date(afterLatestMs);
+        const timeDiffMinutes = (currentTimeUTC.getTime() - afterLatestMs) / (1000 * 60);
+
+        if (timeDiffMinutes >= 1) {
+          newOrdersFilter = `creationdate:[${afterLatest.toISOString()}..${currentTimeUTC.toISOString()}]`;
           newOrdersLimit = 200;
-          console.log(`[${sellerName}] PHASE 1: Initial sync from ${initialSyncDate.toISOString()}`);
-        } else if (latestCreationDate) {
-          // Subsequent syncs: fetch orders created after our latest order
-          const afterLatestMs = new Date(latestCreationDate).getTime() + 1000; // +1 sec
-          const afterLatest = new Date(afterLatestMs);
-          const timeDiffMinutes = (currentTimeUTC.getTime() - afterLatestMs) / (1000 * 60);
-
-          if (timeDiffMinutes >= 1) {
-            newOrdersFilter = `creationdate:[${afterLatest.toISOString()}..${currentTimeUTC.toISOString()}]`;
-            newOrdersLimit = 200;
-            console.log(`[${sellerName}] PHASE 1: New orders after ${afterLatest.toISOString()}`);
-          } else {
-            console.log(`[${sellerName}] PHASE 1: Skipped (too recent: ${timeDiffMinutes.toFixed(2)} min)`);
-          }
+          console.log(`[${sellerName}] PHASE 1: New orders after ${afterLatest.toISOString()}`);
+        } else {
+          console.log(`[${sellerName}] PHASE 1: Skipped (too recent: ${timeDiffMinutes.toFixed(2)} min)`);
         }
+      }
 
-        // Fetch new orders if filter is set
-        if (newOrdersFilter) {
-          try {
-            // Use pagination to fetch ALL orders (handles >200 orders)
-            const ebayNewOrders = await fetchAllOrdersWithPagination(accessToken, newOrdersFilter, sellerName);
-            console.log(`[${sellerName}] PHASE 1: Got ${ebayNewOrders.length} new orders from eBay`);
+      // Fetch new orders if filter is set
+      if (newOrdersFilter) {
+        try {
+          // Use pagination to fetch ALL orders (handles >200 orders)
+          const ebayNewOrders = await fetchAllOrdersWithPagination(accessToken, newOrdersFilter, sellerName);
+          console.log(`[${sellerName}] PHASE 1: Got ${ebayNewOrders.length} new orders from eBay`);
 
-            // Insert new orders
-            for (const ebayOrder of ebayNewOrders) {
-              const existingOrder = await Order.findOne({ orderId: ebayOrder.orderId });
+          // Insert new orders
+          for (const ebayOrder of ebayNewOrders) {
+            const existingOrder = await Order.findOne({ orderId: ebayOrder.orderId });
 
-              if (!existingOrder) {
-                const orderData = await buildOrderData(ebayOrder, seller._id, accessToken);
-                const policyEligibleAt = getPolicyEligibilityDate(orderData.creationDate);
-                if (policyEligibleAt) {
-                  orderData.policyMessageEligibleAt = policyEligibleAt;
-                }
-                const newOrder = await Order.create(orderData);
-                newOrders.push(newOrder);
-                console.log(`  🆕 NEW: ${ebayOrder.orderId}`);
-                await sendAutoWelcomeMessage(seller, newOrder);
-
-                // Fire-and-forget: Update listing quantity to 1
-                updateListingQuantityOnOrder(ebayOrder, accessToken, sellerName)
-                  .catch(err => console.error(`[Quantity Update] Background error for ${ebayOrder.orderId}:`, err.message));
-              } else {
-                // Order exists, check if needs update
-                const ebayModTime = new Date(ebayOrder.lastModifiedDate).getTime();
-                const dbModTime = new Date(existingOrder.lastModifiedDate).getTime();
+            if (!existingOrder) {
+              const orderData = await buildOrderData(ebayOrder, seller._id, accessToken);
+              const policyEligibleAt = getPolicyEligibilityDate(orderData.creationDate);
+              if (policyEligibleAt) {
+                orderData.policyMessageEligibleAt = policyEligibleAt;
+              }
+              const newOrder = await Order.create(orderData);
+              newOrders.push(newOrder);
+              publishOrderEvent('order.created', newOrder);
+              console.log(`  🆕 NEW: ${ebayOrder.orderId}`);
+              await sendAutoWelcomeMessage(seller, newOrder);
 
-                if (ebayModTime > dbModTime) {
-                  let orderData = await buildOrderData(ebayOrder, seller._id, accessToken);
-
-                  // ========== HANDLE REFUND STATUS CHANGES ==========
-                  const refundData = await handleOrderPaymentStatusChange(
-                    existingOrder,
-                    ebayOrder.orderPaymentStatus,
-                    accessToken,
-                    seller._id
-                  );
-
-                  // If refund handling returned data, merge it
-                  if (refundData) {
-                    orderData = { ...orderData, ...refundData };
-
-                    // Also calculate and add refund breakdown for partially refunded orders
-                    if (ebayOrder.orderPaymentStatus === 'PARTIALLY_REFUNDED') {
-                      const refundBreakdown = calculateRefundBreakdown(ebayOrder);
-                      orderData.refundItemAmount = refundBreakdown.refundItemAmount;
-                      orderData.refundTaxAmount = refundBreakdown.refundTaxAmount;
-                      orderData.refundTotalToBuyer = refundBreakdown.refundTotalToBuyer;
-                      orderData.ebayPaidTaxRefund = refundBreakdown.ebayPaidTaxRefund;
-                    }
+              // Fire-and-forget: Update listing quantity to 1
+              updateListingQuantityOnOrder(ebayOrder, accessToken, sellerName)
+                .catch(err => console.error(`[Quantity Update] Background error for ${ebayOrder.orderId}:`, err.message));
+            } else {
+              // Order exists, check if needs update
+              const ebayModTime = new Date(ebayOrder.lastModifiedDate).getTime();
+              const dbModTime = new Date(existingOrder.lastModifiedDate).getTime();
+
+              if (ebayModTime > dbModTime) {
+                let orderData = await buildOrderData(ebayOrder, seller._id, accessToken);
+
+                // ========== HANDLE REFUND STATUS CHANGES ==========
+                const refundData = await handleOrderPaymentStatusChange(
+                  existingOrder,
+                  ebayOrder.orderPaymentStatus,
+                  accessToken,
+                  seller._id
+                );
+
+                // If refund handling returned data, merge it
+                if (refundData) {
+                  orderData = { ...orderData, ...refundData };
+
+                  // Also calculate and add refund breakdown for partially refunded orders
+                  if (ebayOrder.orderPaymentStatus === 'PARTIALLY_REFUNDED') {
+                    const refundBreakdown = calculateRefundBreakdown(ebayOrder);
+                    orderData.refundItemAmount = refundBreakdown.refundItemAmount;
+                    orderData.refundTaxAmount = refundBreakdown.refundTaxAmount;
+                    orderData.refundTotalToBuyer = refundBreakdown.refundTotalToBuyer;
+                    orderData.ebayPaidTaxRefund = refundBreakdown.ebayPaidTaxRefund;
                   }
-
-                  Object.assign(existingOrder, orderData);
-                  await existingOrder.save();
-                  updatedOrders.push(existingOrder);
-                  console.log(`  🔄 UPDATED: ${ebayOrder.orderId}`);
                 }
+
+                const previousPaymentStatus = existingOrder.orderPaymentStatus;
+                Object.assign(existingOrder, orderData);
+                await existingOrder.save();
+                updatedOrders.push(existingOrder);
+                publishOrderEvent('order.updated', existingOrder);
+                notifyOrderPaymentStatusChange(existingOrder, previousPaymentStatus);
+                console.log(`  🔄 UPDATED: ${ebayOrder.orderId}`);
               }
             }
-          } catch (phase1Err) {
-            console.error(`[${sellerName}] PHASE 1 error:`, phase1Err.message);
           }
+        } catch (phase1Err) {
+          console.error(`[${sellerName}] PHASE 1 error:`, phase1Err.message);
         }
+      }
 
-        // ========== PHASE 2: CHECK FOR UPDATES ON RECENT ORDERS ==========
-        console.log(`[${sellerName}] PHASE 2: Checking orders < 30 days old`);
+      // ========== PHASE 2: CHECK FOR UPDATES ON RECENT ORDERS ==========
+      console.log(`[${sellerName}] PHASE 2: Checking orders < 30 days old`);
 
-        const recentOrders = await Order.find({
-          seller: seller._id,
-          creationDate: { $gte: thirtyDaysAgo }
-        }).select('orderId lastModifiedDate creationDate');
+      const recentOrders = await Order.find({
+        seller: seller._id,
+        creationDate: { $gte: thirtyDaysAgo }
+      }).select('orderId lastModifiedDate creationDate');
 
-        console.log(`[${sellerName}] PHASE 2: ${recentOrders.length} orders < 30 days old`);
+      console.log(`[${sellerName}] PHASE 2: ${recentOrders.length} orders < 30 days old`);
 
-        if (recentOrders.length > 0) {
-          const checkFromDate = lastPolledAt || thirtyDaysAgo;
-          const modifiedFilter = `lastmodifieddate:[${checkFromDate.toISOString()}..${currentTimeUTC.toISOString()}]`;
+      if (recentOrders.length > 0) {
+        const checkFromDate = lastPolledAt || thirtyDaysAgo;
+        const modifiedFilter = `lastmodifieddate:[${checkFromDate.toISOString()}..${currentTimeUTC.toISOString()}]`;
 
-          console.log(`[${sellerName}] PHASE 2: Checking mods since ${checkFromDate.toISOString()}`);
+        console.log(`[${sellerName}] PHASE 2: Checking mods since ${checkFromDate.toISOString()}`);
 
-          let offset = 0;
-          const batchSize = 100;
-          let hasMore = true;
-          const recentOrderIdSet = new Set(recentOrders.map(o => o.orderId));
+        let offset = 0;
+        const batchSize = 100;
+        let hasMore = true;
+        const recentOrderIdSet = new Set(recentOrders.map(o => o.orderId));
 
-          while (hasMore) {
-            try {
-              const phase2Res = await axios.get('https://api.ebay.com/sell/fulfillment/v1/order', {
-                headers: {
-                  Authorization: `Bearer ${accessToken}`,
-                  'Content-Type': 'application/json',
-                },
-                params: {
-                  filter: modifiedFilter,
-                  limit: batchSize,
-                  offset: offset > 0 ? offset : undefined
-                }
-              });
+        while (hasMore) {
+          try {
+            const phase2Res = await axios.get('https://api.ebay.com/sell/fulfillment/v1/order', {
+              headers: {
+                Authorization: `Bearer ${accessToken}`,
+                'Content-Type': 'application/json',
+              },
+              params: {
+                filter: modifiedFilter,
+                limit: batchSize,
+                offset: offset > 0 ? offset : undefined
+              }
+            });
 
-              const batchOrders = phase2Res.data.orders || [];
-              console.log(`[${sellerName}] PHASE 2: Got ${batchOrders.length} orders at offset ${offset}`);
+            const batchOrders = phase2Res.data.orders || [];
+            console.log(`[${sellerName}] PHASE 2: Got ${batchOrders.length} orders at offset ${offset}`);
 
-              const relevantOrders = batchOrders.filter(o => recentOrderIdSet.has(o.orderId));
-              console.log(`[${sellerName}] PHASE 2: ${relevantOrders.length} relevant`);
+            const relevantOrders = batchOrders.filter(o => recentOrderIdSet.has(o.orderId));
+            console.log(`[${sellerName}] PHASE 2: ${relevantOrders.length} relevant`);
 
-              for (const ebayOrder of relevantOrders) {
-                const existingOrder = await Order.findOne({
-                  orderId: ebayOrder.orderId,
-                  seller: seller._id
-                });
+            for (const ebayOrder of relevantOrders) {
+              const existingOrder = await Order.findOne({
+                orderId: ebayOrder.orderId,
+                seller: seller._id
+              });
 
-                if (existingOrder) {
-                  const ebayModTime = new Date(ebayOrder.lastModifiedDate).getTime();
-                  const dbModTime = new Date(existingOrder.lastModifiedDate).getTime();
+              if (existingOrder) {
+                const ebayModTime = new Date(ebayOrder.lastModifiedDate).getTime();
+                const dbModTime = new Date(existingOrder.lastModifiedDate).getTime();
 
-                  // OPTIMIZATION: Skip if not actually modified
-                  if (ebayModTime <= dbModTime) {
-                    continue; // No changes, skip this order
-                  }
+                // OPTIMIZATION: Skip if not actually modified
+                if (ebayModTime <= dbModTime) {
+                  continue; // No changes, skip this order
+                }
 
-                  // ONLY NOW fetch full order data (includes expensive tracking lookup)
-                  let orderData = await buildOrderData(ebayOrder, seller._id, accessToken);
-
-                  // ========== HANDLE REFUND STATUS CHANGES ==========
-                  // Check if payment status changed to FULLY_REFUNDED or PARTIALLY_REFUNDED
-                  const refundData = await handleOrderPaymentStatusChange(
-                    existingOrder,
-                    ebayOrder.orderPaymentStatus,
-                    accessToken,
-                    seller._id
-                  );
-
-                  // If refund handling returned data, merge it with orderData
-                  if (refundData) {
-                    orderData = { ...orderData, ...refundData };
-
-                    // Also calculate and add refund breakdown for partially refunded orders
-                    if (ebayOrder.orderPaymentStatus === 'PARTIALLY_REFUNDED') {
-                      const refundBreakdown = calculateRefundBreakdown(ebayOrder);
-                      orderData.refundItemAmount = refundBreakdown.refundItemAmount;
-                      orderData.refundTaxAmount = refundBreakdown.refundTaxAmount;
-                      orderData.refundTotalToBuyer = refundBreakdown.refundTotalToBuyer;
-                      orderData.ebayPaidTaxRefund = refundBreakdown.ebayPaidTaxRefund;
-                    }
+                // ONLY NOW fetch full order data (includes expensive tracking lookup)
+                let orderData = await buildOrderData(ebayOrder, seller._id, accessToken);
+
+                // ========== HANDLE REFUND STATUS CHANGES ==========
+                // Check if payment status changed to FULLY_REFUNDED or PARTIALLY_REFUNDED
+                const refundData = await handleOrderPaymentStatusChange(
+                  existingOrder,
+                  ebayOrder.orderPaymentStatus,
+                  accessToken,
+                  seller._id
+                );
+
+                // If refund handling returned data, merge it with orderData
+                if (refundData) {
+                  orderData = { ...orderData, ...refundData };
+
+                  // Also calculate and add refund breakdown for partially refunded orders
+                  if (ebayOrder.orderPaymentStatus === 'PARTIALLY_REFUNDED') {
+                    const refundBreakdown = calculateRefundBreakdown(ebayOrder);
+                    orderData.refundItemAmount = refundBreakdown.refundItemAmount;
+                    orderData.refundTaxAmount = refundBreakdown.refundTaxAmount;
+                    orderData.refundTotalToBuyer = refundBreakdown.refundTotalToBuyer;
+                    orderData.ebayPaidTaxRefund = refundBreakdown.ebayPaidTaxRefund;
                   }
+                }
 
-                  // Define fields that should trigger notifications
-                  const notifiableFields = [
-                    'cancelState',
-                    'orderPaymentStatus',
-                    'refunds',
-                    'orderFulfillmentStatus',
-                    'trackingNumber',
-                    'shippingFullName',
-                    'shippingAddressLine1',
-                    'shippingAddressLine2',
-                    'shippingCity',
-                    'shippingState',
-                    'shippingPostalCode',
-                    'shippingCountry'
-                    // NOTE: buyerCheckoutNotes is NOT included - updates DB silently
-                  ];
-
-                  // Detect changed fields with smart comparison
-                  const changedFields = [];
-                  for (const key of Object.keys(orderData)) {
-                    if (hasFieldChanged(existingOrder[key], orderData[key], key)) {
-                      changedFields.push(key);
-                    }
-                  }
+                // Define fields that should trigger notifications
+                const notifiableFields = [
+                  'cancelState',
+                  'orderPaymentStatus',
+                  'refunds',
+                  'orderFulfillmentStatus',
+                  'trackingNumber',
+                  'shippingFullName',
+                  'shippingAddressLine1',
+                  'shippingAddressLine2',
+                  'shippingCity',
+                  'shippingState',
+                  'shippingPostalCode',
+                  'shippingCountry'
+                  // NOTE: buyerCheckoutNotes is NOT included - updates DB silently
+                ];
 
-                  // Filter to only notifiable fields (exclude lastModifiedDate)
-                  const notifiableChanges = changedFields.filter(f =>
-                    notifiableFields.includes(f) && f !== 'lastModifiedDate'
-                  );
+                // Detect changed fields with smart comparison
+                const changedFields = [];
+                for (const key of Object.keys(orderData)) {
+                  if (hasFieldChanged(existingOrder[key], orderData[key], key)) {
+                    changedFields.push(key);
+                  }
+                }
 
-                  // Always save ALL changes to DB (even non-notifiable)
-                  Object.assign(existingOrder, orderData);
-                  await existingOrder.save();
+                // Filter to only notifiable fields (exclude lastModifiedDate)
+                const notifiableChanges = changedFields.filter(f =>
+                  notifiableFields.includes(f) && f !== 'lastModifiedDate'
+                );
 
-                  // Only add to notification list if there are notifiable changes
-                  if (notifiableChanges.length > 0) {
-                    // Check if shipping address changed
-                    const shippingFields = ['shippingFullName', 'shippingAddressLine1', 'shippingCity', 'shippingState', 'shippingPostalCode'];
-                    const shippingChanged = notifiableChanges.some(f => shippingFields.includes(f));
+                // Always save ALL changes to DB (even non-notifiable)
+                const previousPaymentStatus = existingOrder.orderPaymentStatus;
+                Object.assign(existingOrder, orderData);
+                await existingOrder.save();
+                publishOrderEvent('order.updated', existingOrder, changedFields);
+                notifyOrderPaymentStatusChange(existingOrder, previousPaymentStatus);
 
-                    if (shippingChanged) {
-                      console.log(`  🏠 SHIPPING ADDRESS CHANGED: ${ebayOrder.orderId}`);
-                    }
+                // Only add to notification list if there are notifiable changes
+                if (notifiableChanges.length > 0) {
+                  // Check if shipping address changed
+                  const shippingFields = ['shippingFullName', 'shippingAddressLine1', 'shippingCity', 'shippingState', 'shippingPostalCode'];
+                  const shippingChanged = notifiableChanges.some(f => shippingFields.includes(f));
 
-                    updatedOrders.push({
-                      orderId: existingOrder.orderId,
-                      changedFields: notifiableChanges
-                    });
-                    console.log(`  🔔 NOTIFY: ${ebayOrder.orderId} - ${notifiableChanges.join(', ')}`);
-                  } else {
-                    // Changes were made but not notifiable (e.g., buyerCheckoutNotes, dates, etc.)
-                    console.log(`  ✅ UPDATED (silent): ${ebayOrder.orderId} - ${changedFields.join(', ')}`);
+                  if (shippingChanged) {
+                    console.log(`  🏠 SHIPPING ADDRESS CHANGED: ${ebayOrder.orderId}`);
                   }
+
+                  updatedOrders.push({
+                    orderId: existingOrder.orderId,
+                    changedFields: notifiableChanges
+                  });
+                  console.log(`  🔔 NOTIFY: ${ebayOrder.orderId} - ${notifiableChanges.join(', ')}`);
+                } else {
+                  // Changes were made but not notifiable (e.g., buyerCheckoutNotes, dates, etc.)
+                  console.log(`  ✅ UPDATED (silent): ${ebayOrder.orderId} - ${changedFields.join(', ')}`);
                 }
               }
+            }
 
-              // EARLY EXIT
-              if (batchOrders.length < batchSize) {
-                hasMore = false;
-                console.log(`[${sellerName}] PHASE 2: Early exit`);
-              } else {
-                offset += batchSize;
-              }
-            } catch (phase2Err) {
-              console.error(`[${sellerName}] PHASE 2 error:`, phase2Err.message);
+            // EARLY EXIT
+            if (batchOrders.length < batchSize) {
               hasMore = false;
+              console.log(`[${sellerName}] PHASE 2: Early exit`);
+            } else {
+              offset += batchSize;
             }
+          } catch (phase2Err) {
+            console.error(`[${sellerName}] PHASE 2 error:`, phase2Err.message);
+            hasMore = false;
           }
         }
+      }
 
-        // ========== UPDATE SELLER METADATA ==========
-        seller.lastPolledAt = new Date(nowUTC);
-        await seller.save();
-        console.log(`[${sellerName}] ✅ Complete: ${newOrders.length} new, ${updatedOrders.length} updated`);
+      // ========== UPDATE SELLER METADATA ==========
+      seller.lastPolledAt = new Date(nowUTC);
+      await seller.save();
+      console.log(`[${sellerName}] ✅ Complete: ${newOrders.length} new, ${updatedOrders.length} updated`);
 
-        return {
-          sellerId: seller._id,
-          sellerName,
-          success: true,
-          newOrders: newOrders.map(o => o.orderId),
-          updatedOrders, // Now contains { orderId, changedFields }
-          totalNew: newOrders.length,
-          totalUpdated: updatedOrders.length
-        };
+      return {
+        sellerId: seller._id,
+        sellerName,
+        success: true,
+        newOrders: newOrders.map(o => o.orderId),
+        updatedOrders, // Now contains { orderId, changedFields }
+        totalNew: newOrders.length,
+        totalUpdated: updatedOrders.length
+      };
 
-      } catch (sellerErr) {
-        console.error(`[${sellerName}] ❌ Error:`, sellerErr.message);
-        return {
-          sellerId: seller._id,
-          sellerName,
-          success: false,
-          error: sellerErr.message
-        };
-      }
-    });
+    } catch (sellerErr) {
+      console.error(`[${sellerName}] ❌ Error:`, sellerErr.message);
+      return {
+        sellerId: seller._id,
+        sellerName,
+        success: false,
+        error: sellerErr.message
+      };
+    }
+  });
 
-    // Wait for all sellers to complete (parallel execution)
-    const results = await Promise.allSettled(pollingPromises);
+  // Wait for all sellers to complete (parallel execution)
+  const results = await Promise.allSettled(pollingPromises);
 
-    // Process results
-    const pollResults = results.map(result => {
-      if (result.status === 'fulfilled') {
-        return result.value;
-      } else {
-        return {
-          success: false,
-          error: result.reason?.message || 'Unknown error'
-        };
-      }
-    });
+  // Process results
+  const pollResults = results.map(result => {
+    if (result.status === 'fulfilled') {
+      return result.value;
+    } else {
+      return {
+        success: false,
+        error: result.reason?.message || 'Unknown error'
+      };
+    }
+  });
 
-    const totalNewOrders = pollResults.reduce((sum, r) => sum + (r.totalNew || 0), 0);
-    const totalUpdatedOrders = pollResults.reduce((sum, r) => sum + (r.totalUpdated || 0), 0);
+  const totalNewOrders = pollResults.reduce((sum, r) => sum + (r.totalNew || 0), 0);
+  const totalUpdatedOrders = pollResults.reduce((sum, r) => sum + (r.totalUpdated || 0), 0);
 
-    res.json({
-      message: 'Polling complete',
-      pollResults,
-      totalPolled: sellers.length,
-      totalNewOrders,
-      totalUpdatedOrders
-    });
+  // Trigger delayed policy messaging in background after polling
+  processPendingPolicyMessages(50)
+    .then((r) => {
+      if (r.processed > 0) {
+        console.log(`[PolicyMessage] Background run: processed=${r.processed}, sent=${r.sent}, failed=${r.failed}`);
+      }
+    })
+    .catch((e) => console.error('[PolicyMessage] Background run failed:', e.message));
 
-    // Trigger delayed policy messaging in background after polling
-    processPendingPolicyMessages(50)
-      .then((r) => {
-        if (r.processed > 0) {
-          console.log(`[PolicyMessage] Background run: processed=${r.processed}, sent=${r.sent}, failed=${r.failed}`);
-        }
-      })
-      .catch((e) => console.error('[PolicyMessage] Background run failed:', e.message));
+  console.log('\n========== POLLING SUMMARY ==========');
+  console.log(`Total sellers polled: ${sellers.length}`);
+  console.log(`Total new orders: ${totalNewOrders}`);
+  console.log(`Total updated orders: ${totalUpdatedOrders}`);
 
-    console.log('\n========== POLLING SUMMARY ==========');
-    console.log(`Total sellers polled: ${sellers.length}`);
-    console.log(`Total new orders: ${totalNewOrders}`);
-    console.log(`Total updated orders: ${totalUpdatedOrders}`);
+  return {
+    message: 'Polling complete',
+    pollResults,
+    totalPolled: sellers.length,
+    totalNewOrders,
+    totalUpdatedOrders
+  };
+}
+
+router.post('/poll-all-sellers', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
+  try {
+    syncLocks = await acquireRouteSyncLocks(req, res, 'orders', 'Order sync');
+    if (!syncLocks) return;
 
+    const result = await pollSellerOrders({ sellerIds: syncLocks.sellerIds });
+    res.json({ ...result, skippedSellers: syncLocks.busy.length > 0 ? syncLocks.busy : undefined });
   } catch (err) {
     console.error('Error polling all sellers:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // Poll all sellers for NEW ORDERS ONLY (Phase 1)
-router.post('/poll-new-orders', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'compliancemanager', 'hoc'), async (req, res) => {
+router.post('/poll-new-orders', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
   try {
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null } })
+    syncLocks = await acquireRouteSyncLocks(req, res, 'orders', 'Order sync');
+    if (!syncLocks) return;
+
+    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null }, ...sellerIdFilter(syncLocks.sellerIds) })
       .populate('user', 'username email');
 
     if (sellers.length === 0) {
@@ -3260,6 +3197,7 @@ router.post('/poll-new-orders', requireAuth, requireRole('fulfillmentadmin', 'su
               }
               const newOrder = await Order.create(orderData);
               newOrders.push(newOrder);
+              publishOrderEvent('order.created', newOrder);
               console.log(`  🆕 NEW: ${ebayOrder.orderId}`);
               await sendAutoWelcomeMessage(seller, newOrder);
 
@@ -3328,13 +3266,19 @@ router.post('/poll-new-orders', requireAuth, requireRole('fulfillmentadmin', 'su
   } catch (err) {
     console.error('Error polling new orders:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // ONE-TIME RESYNC: Re-fetch orders from Dec 1, 2025 8AM UTC with USD conversion
-router.post('/resync-from-dec1', requireAuth, requireRole('fulfillmentadmin', 'superadmin'), async (req, res) => {
+router.post('/resync-from-dec1', requireAuth, requirePermission('sync.manage'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
   try {
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null } })
+    syncLocks = await acquireRouteSyncLocks(req, res, 'orders', 'Order sync');
+    if (!syncLocks) return;
+
+    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null }, ...sellerIdFilter(syncLocks.sellerIds) })
       .populate('user', 'username email');
 
     if (!sellers || sellers.length === 0) {
@@ -3415,10 +3359,15 @@ router.post('/resync-from-dec1', requireAuth, requireRole('fulfillmentadmin', 's
                   }
                 }
               );
+              notifyOrderPaymentStatusChange(
+                { ...existingOrder.toObject(), ...orderData },
+                existingOrder.orderPaymentStatus
+              );
               updateCount++;
             } else {
               // Create new order
-              await Order.create(orderData);
+              const newOrder = await Order.create(orderData);
+              publishOrderEvent('order.created', newOrder);
               newCount++;
             }
           } catch (err) {
@@ -3460,12 +3409,18 @@ router.post('/resync-from-dec1', requireAuth, requireRole('fulfillmentadmin', 's
   } catch (err) {
     console.error('Error in resync:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // Poll all sellers for ORDER UPDATES ONLY (Phase 2)
-router.post('/poll-order-updates', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'compliancemanager', 'hoc'), async (req, res) => {
+router.post('/poll-order-updates', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
   try {
+    syncLocks = await acquireRouteSyncLocks(req, res, 'orders', 'Order sync');
+    if (!syncLocks) return;
+
     // Helper function to normalize dates for comparison (ignore milliseconds/format)
     function normalizeDateForComparison(date) {
       if (!date) return null;
@@ -3506,7 +3461,7 @@ router.post('/poll-order-updates', requireAuth, requireRole('fulfillmentadmin',
       return oldValue !== newValue;
     }
 
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null } })
+    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null }, ...sellerIdFilter(syncLocks.sellerIds) })
       .populate('user', 'username email');
 
     if (sellers.length === 0) {
@@ -3658,8 +3613,11 @@ router.post('/poll-order-updates', requireAuth, requireRole('fulfillmentadmin',
 
 
                 // Always save ALL changes to DB (even non-notifiable)
+                const previousPaymentStatus = existingOrder.orderPaymentStatus;
                 Object.assign(existingOrder, orderData);
                 await existingOrder.save();
+                publishOrderEvent('order.updated', existingOrder, changedFields);
+                notifyOrderPaymentStatusChange(existingOrder, previousPaymentStatus);
 
                 // Fetch ad fee if not already set
                 if (!existingOrder.adFeeGeneral || existingOrder.adFeeGeneral === 0) {
@@ -3765,12 +3723,18 @@ router.post('/poll-order-updates', requireAuth, requireRole('fulfillmentadmin',
   } catch (err) {
     console.error('Error polling order updates:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // Resync recent orders (last 10 days) - catches silent eBay changes where lastModifiedDate wasn't updated
-router.post('/resync-recent', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'compliancemanager', 'hoc'), async (req, res) => {
+router.post('/resync-recent', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
   try {
+    syncLocks = await acquireRouteSyncLocks(req, res, 'orders', 'Order sync');
+    if (!syncLocks) return;
+
     // Fields that should NOT be overwritten (manually set by team)
     const MANUAL_FIELDS = new Set([
       'amazonAccount', 'beforeTax', 'estimatedTax', 'beforeTaxUSD', 'estimatedTaxUSD',
@@ -3787,7 +3751,7 @@ router.post('/resync-recent', requireAuth, requireRole('fulfillmentadmin', 'supe
       return Math.floor(new Date(date).getTime() / 1000);
     }
 
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null } })
+    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true, $ne: null }, ...sellerIdFilter(syncLocks.sellerIds) })
       .populate('user', 'username email');
 
     if (sellers.length === 0) {
@@ -3866,6 +3830,7 @@ router.post('/resync-recent', requireAuth, requireRole('fulfillmentadmin', 'supe
             // Only apply eBay-sourced fields (skip manual fields)
             let hasChanges = false;
             const changedFields = [];
+            const previousPaymentStatus = existingOrder.orderPaymentStatus;
 
             for (const [key, value] of Object.entries(orderData)) {
               if (MANUAL_FIELDS.has(key)) continue;
@@ -3896,6 +3861,8 @@ router.post('/resync-recent', requireAuth, requireRole('fulfillmentadmin', 'supe
 
             if (hasChanges) {
               await existingOrder.save();
+              publishOrderEvent('order.updated', existingOrder, changedFields);
+              notifyOrderPaymentStatusChange(existingOrder, previousPaymentStatus);
               updatedOrders.push({
                 orderId: existingOrder.orderId,
                 changedFields
@@ -3906,6 +3873,7 @@ router.post('/resync-recent', requireAuth, requireRole('fulfillmentadmin', 'supe
             // New order not in DB - create it
             const orderData = await buildOrderData(ebayOrder, seller._id, accessToken);
             const newOrder = await Order.create(orderData);
+            publishOrderEvent('order.created', newOrder);
             newOrders.push(newOrder.orderId);
             console.log(`  🆕 NEW (resync): ${ebayOrder.orderId}`);
           }
@@ -3959,6 +3927,8 @@ router.post('/resync-recent', requireAuth, requireRole('fulfillmentadmin', 'supe
   } catch (err) {
     console.error('Error in resync:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
@@ -4064,11 +4034,53 @@ const QUANTITY_UPDATE_EXCLUDED_ITEMS = new Set([
   '127632517576',
 ]);
 
+// ============================================
+// HELPER: Set the quantity of one listing
+// ============================================
+// Trading API ReviseInventoryStatus, shared by the new-order update below and the
+// out-of-stock monitor (lib/stockMonitor.js). Throws on network errors.
+// Returns { ok, message } - message holds eBay's error when ok is false.
+async function reviseListingQuantity(accessToken, itemId, quantity) {
+  const xmlRequest = `<?xml version="1.0" encoding="utf-8"?>
+<ReviseInventoryStatusRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+  <RequesterCredentials>
+    <eBayAuthToken>${accessToken}</eBayAuthToken>
+  </RequesterCredentials>
+  <InventoryStatus>
+    <ItemID>${itemId}</ItemID>
+    <Quantity>${quantity}</Quantity>
+  </InventoryStatus>
+</ReviseInventoryStatusRequest>`;
+
+  const tradingRes = await axios.post(
+    'https://api.ebay.com/ws/api.dll',
+    xmlRequest,
+    {
+      headers: {
+        'X-EBAY-API-SITEID': '0',
+        'X-EBAY-API-COMPATIBILITY-LEVEL': '1271',
+        'X-EBAY-API-CALL-NAME': 'ReviseInventoryStatus',
+        'X-EBAY-API-IAF-TOKEN': accessToken,
+        'Content-Type': 'text/xml'
+      }
+    }
+  );
+
+  // Parse XML response to check for errors
+  const parsed = await parseStringPromise(tradingRes.data, { explicitArray: false });
+  const ack = parsed?.ReviseInventoryStatusResponse?.Ack;
+  if (ack === 'Success' || ack === 'Warning') return { ok: true };
+
+  const errors = [].concat(parsed?.ReviseInventoryStatusResponse?.Errors || []);
+  return { ok: false, message: errors.map(e => e.LongMessage || e.ShortMessage).filter(Boolean).join('; ') || 'Unknown error' };
+}
+
 // ============================================
 // HELPER: Update Listing Quantity to 1 on New Order
 // ============================================
 // When a new order arrives, set quantity to 1 for each line item's listing.
 // Uses Trading API (ReviseInventoryStatus) which works for ALL listing types.
+// Listings the stock monitor zeroed (lib/stockMonitor.js) stay at 0 until it restores them.
 async function updateListingQuantityOnOrder(ebayOrder, accessToken, sellerName) {
   const lineItems = ebayOrder.lineItems || [];
   if (lineItems.length === 0) return;
@@ -4076,6 +4088,11 @@ async function updateListingQuantityOnOrder(ebayOrder, accessToken, sellerName)
   const orderId = ebayOrder.orderId;
   console.log(`[Quantity Update] Processing ${lineItems.length} line item(s) for order ${orderId}`);
 
+  const zeroed = new Set(await ActiveListing.distinct('itemId', {
+    itemId: { $in: lineItems.map(li => li.legacyItemId).filter(Boolean) },
+    stockZeroedAt: { $ne: null }
+  }));
+
   for (const lineItem of lineItems) {
     const legacyItemId = lineItem.legacyItemId;
     const title = lineItem.title || 'Unknown';
@@ -4090,43 +4107,19 @@ async function updateListingQuantityOnOrder(ebayOrder, accessToken, sellerName)
       continue;
     }
 
+    if (zeroed.has(legacyItemId)) {
+      console.log(`[Quantity Update] ⏭️ ItemID ${legacyItemId} (${title}) is out of stock at the source, skipping`);
+      continue;
+    }
+
     try {
       console.log(`[Quantity Update] Setting quantity to 1 for ItemID: ${legacyItemId} (${title})`);
 
-      const xmlRequest = `<?xml version="1.0" encoding="utf-8"?>
-<ReviseInventoryStatusRequest xmlns="urn:ebay:apis:eBLBaseComponents">
-  <RequesterCredentials>
-    <eBayAuthToken>${accessToken}</eBayAuthToken>
-  </RequesterCredentials>
-  <InventoryStatus>
-    <ItemID>${legacyItemId}</ItemID>
-    <Quantity>1</Quantity>
-  </InventoryStatus>
-</ReviseInventoryStatusRequest>`;
-
-      const tradingRes = await axios.post(
-        'https://api.ebay.com/ws/api.dll',
-        xmlRequest,
-        {
-          headers: {
-            'X-EBAY-API-SITEID': '0',
-            'X-EBAY-API-COMPATIBILITY-LEVEL': '1271',
-            'X-EBAY-API-CALL-NAME': 'ReviseInventoryStatus',
-            'X-EBAY-API-IAF-TOKEN': accessToken,
-            'Content-Type': 'text/xml'
-          }
-        }
-      );
-
-      // Parse XML response to check for errors
-      const parsed = await parseStringPromise(tradingRes.data, { explicitArray: false });
-      const ack = parsed?.ReviseInventoryStatusResponse?.Ack;
-
-      if (ack === 'Success' || ack === 'Warning') {
+      const outcome = await reviseListingQuantity(accessToken, legacyItemId, 1);
+      if (outcome.ok) {
         console.log(`[Quantity Update] ✅ Set quantity to 1 for ItemID: ${legacyItemId}`);
       } else {
-        const errorMsg = parsed?.ReviseInventoryStatusResponse?.Errors?.ShortMessage || 'Unknown error';
-        console.error(`[Quantity Update] ❌ Trading API error for ItemID ${legacyItemId}: ${errorMsg}`);
+        console.error(`[Quantity Update] ❌ Trading API error for ItemID ${legacyItemId}: ${outcome.message}`);
       }
     } catch (err) {
       console.error(`[Quantity Update] ❌ Error updating quantity for ItemID ${legacyItemId}:`, err.response?.data || err.message);
@@ -4229,18 +4222,12 @@ async function buildOrderData(ebayOrder, sellerId, accessToken) {
       orderData.estimatedTaxUSD = orderData.estimatedTax;
     }
     orderData.conversionRate = 1;
+    orderData.conversionRateSource = 'ebay';
   } else {
-    // For non-US orders, calculate conversion rate from paymentSummary
-    let conversionRate = 0;
-
-    if (ebayOrder.paymentSummary?.totalDueSeller?.convertedFromValue &&
-      ebayOrder.paymentSummary?.totalDueSeller?.value) {
-      const originalValue = parseFloat(ebayOrder.paymentSummary.totalDueSeller.convertedFromValue);
-      const usdValue = parseFloat(ebayOrder.paymentSummary.totalDueSeller.value);
-      if (originalValue > 0) {
-        conversionRate = usdValue / originalValue;
-      }
-    }
+    // For non-US orders, calculate conversion rate from paymentSummary, else the stored
+    // rate on the order date (recalculated when that rate is corrected)
+    const usdRate = await orderUsdRate(ebayOrder);
+    const conversionRate = usdRate?.rate || 0;
 
     // Apply conversion rate to all monetary fields with proper rounding (2 decimal places)
     orderData.subtotalUSD = conversionRate ? parseFloat((orderData.subtotal * conversionRate).toFixed(2)) : 0;
@@ -4252,6 +4239,7 @@ async function buildOrderData(ebayOrder, sellerId, accessToken) {
     orderData.beforeTaxUSD = conversionRate ? parseFloat(((orderData.beforeTax || 0) * conversionRate).toFixed(2)) : 0;
     orderData.estimatedTaxUSD = conversionRate ? parseFloat(((orderData.estimatedTax || 0) * conversionRate).toFixed(2)) : 0;
     orderData.conversionRate = parseFloat(conversionRate.toFixed(5)); // Store rate with 5 decimal precision
+    orderData.conversionRateSource = usdRate?.source || null;
   }
 
   // Auto-calculate orderEarnings for normal (non-refunded) orders
@@ -4282,7 +4270,7 @@ async function buildOrderData(ebayOrder, sellerId, accessToken) {
 }
 
 // Update messaging status for an order
-router.patch('/orders/:orderId/messaging-status', async (req, res) => {
+router.patch('/orders/:orderId/messaging-status', requireAuth, requirePermission('orders.edit'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
   const { messagingStatus } = req.body;
 
@@ -4297,6 +4285,7 @@ router.patch('/orders/:orderId/messaging-status', async (req, res) => {
   }
 
   try {
+    const before = await Order.findById(orderId).lean();
     const order = await Order.findByIdAndUpdate(
       orderId,
       { messagingStatus },
@@ -4312,6 +4301,7 @@ router.patch('/orders/:orderId/messaging-status', async (req, res) => {
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    await recordAudit(req, 'Order', before, order);
 
     res.json({ success: true, order });
   } catch (err) {
@@ -4320,7 +4310,7 @@ router.patch('/orders/:orderId/messaging-status', async (req, res) => {
 });
 
 // Update item status for an order
-router.patch('/orders/:orderId/item-status', async (req, res) => {
+router.patch('/orders/:orderId/item-status', requireAuth, requirePermission('orders.edit'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
   const { itemStatus, resolvedFrom } = req.body;
 
@@ -4341,6 +4331,7 @@ router.patch('/orders/:orderId/item-status', async (req, res) => {
       updateData.resolvedFrom = resolvedFrom;
     }
 
+    const before = await Order.findById(orderId).lean();
     const order = await Order.findByIdAndUpdate(
       orderId,
       updateData,
@@ -4356,6 +4347,7 @@ router.patch('/orders/:orderId/item-status', async (req, res) => {
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    await recordAudit(req, 'Order', before, order);
 
     res.json({ success: true, order });
   } catch (err) {
@@ -4364,7 +4356,7 @@ router.patch('/orders/:orderId/item-status', async (req, res) => {
 });
 
 // Update notes for an order from awaiting shipment page 
-router.patch('/orders/:orderId/notes', async (req, res) => {
+router.patch('/orders/:orderId/notes', requireAuth, requirePermission('orders.edit'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
   const { notes } = req.body;
 
@@ -4373,6 +4365,7 @@ router.patch('/orders/:orderId/notes', async (req, res) => {
   }
 
   try {
+    const before = await Order.findById(orderId).lean();
     const order = await Order.findByIdAndUpdate(
       orderId,
       { notes: String(notes) },
@@ -4388,6 +4381,7 @@ router.patch('/orders/:orderId/notes', async (req, res) => {
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    await recordAudit(req, 'Order', before, order);
 
     res.json({ success: true, order });
   } catch (err) {
@@ -4396,11 +4390,12 @@ router.patch('/orders/:orderId/notes', async (req, res) => {
 });
 
 // --- NEW ROUTE: Update Fulfillment Notes ---
-router.patch('/orders/:orderId/fulfillment-notes', async (req, res) => {
+router.patch('/orders/:orderId/fulfillment-notes', requireAuth, requirePermission('orders.edit'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
   const { fulfillmentNotes } = req.body;
 
   try {
+    const before = await Order.findById(orderId).lean();
     const order = await Order.findByIdAndUpdate(
       orderId,
       { fulfillmentNotes: String(fulfillmentNotes || '') }, // Update the new field
@@ -4408,6 +4403,7 @@ router.patch('/orders/:orderId/fulfillment-notes', async (req, res) => {
     );
 
     if (!order) return res.status(404).json({ error: 'Order not found' });
+    await recordAudit(req, 'Order', before, order);
     res.json({ success: true, order });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -4415,7 +4411,7 @@ router.patch('/orders/:orderId/fulfillment-notes', async (req, res) => {
 });
 
 // Dismiss order from Amazon Arrivals (soft delete - clears arrivingDate)
-router.patch('/orders/:orderId/dismiss-arrival', requireAuth, async (req, res) => {
+router.patch('/orders/:orderId/dismiss-arrival', requireAuth, requirePermission('orders.edit'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
 
   try {
@@ -4425,8 +4421,10 @@ router.patch('/orders/:orderId/dismiss-arrival', requireAuth, async (req, res) =
     }
 
     // Clear the arriving date (soft delete)
+    const before = order.toObject();
     order.arrivingDate = null;
     await order.save();
+    await recordAudit(req, 'Order', before, order);
 
     // Populate seller info for response
     await order.populate({
@@ -4452,205 +4450,231 @@ router.patch('/orders/:orderId/dismiss-arrival', requireAuth, async (req, res) =
 // Fetch return requests from eBay Post-Order API and store in DB
 
 // Fetch return requests from eBay Post-Order API and store in DB
-router.post('/fetch-returns', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
-  try {
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true } })
-      .populate('user', 'username');
+async function fetchSellerReturns({ sellerIds } = {}) {
+  const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true }, ...sellerIdFilter(sellerIds) })
+    .populate('user', 'username');
 
-    if (sellers.length === 0) {
-      return res.json({ message: 'No sellers with eBay tokens found', totalReturns: 0 });
-    }
+  if (sellers.length === 0) {
+    return { message: 'No sellers with eBay tokens found', totalReturns: 0 };
+  }
 
-    let totalNewReturns = 0;
-    let totalUpdatedReturns = 0;
-    const errors = [];
+  let totalNewReturns = 0;
+  let totalUpdatedReturns = 0;
+  const errors = [];
 
-    console.log(`[Fetch Returns] Starting for ${sellers.length} sellers`);
+  console.log(`[Fetch Returns] Starting for ${sellers.length} sellers`);
 
-    const results = await Promise.allSettled(
-      sellers.map(async (seller) => {
-        const sellerName = seller.user?.username || 'Unknown Seller';
+  const results = await Promise.allSettled(
+    sellers.map(async (seller) => {
+      const sellerName = seller.user?.username || 'Unknown Seller';
 
-        try {
-          // Token refresh logic (Standard)
-          const nowUTC = Date.now();
-          const fetchedAt = seller.ebayTokens.fetchedAt ? new Date(seller.ebayTokens.fetchedAt).getTime() : 0;
-          const expiresInMs = (seller.ebayTokens.expires_in || 0) * 1000;
-          let accessToken = seller.ebayTokens.access_token;
+      try {
+        // Token refresh logic (Standard)
+        const nowUTC = Date.now();
+        const fetchedAt = seller.ebayTokens.fetchedAt ? new Date(seller.ebayTokens.fetchedAt).getTime() : 0;
+        const expiresInMs = (seller.ebayTokens.expires_in || 0) * 1000;
+        let accessToken = seller.ebayTokens.access_token;
 
-          if (fetchedAt && (nowUTC - fetchedAt > expiresInMs - 2 * 60 * 1000)) {
-            console.log(`[Fetch Returns] Refreshing token for seller ${sellerName}`);
-            const refreshRes = await axios.post(
-              'https://api.ebay.com/identity/v1/oauth2/token',
-              qs.stringify({
-                grant_type: 'refresh_token',
-                refresh_token: seller.ebayTokens.refresh_token,
-                scope: EBAY_OAUTH_SCOPES // Using centralized scopes constant
-              }),
-              {
-                headers: {
-                  'Content-Type': 'application/x-www-form-urlencoded',
-                  Authorization: 'Basic ' + Buffer.from(`${process.env.EBAY_CLIENT_ID}:${process.env.EBAY_CLIENT_SECRET}`).toString('base64'),
-                },
-              }
-            );
-            accessToken = refreshRes.data.access_token;
-            seller.ebayTokens.access_token = accessToken;
-            seller.ebayTokens.expires_in = refreshRes.data.expires_in;
-            seller.ebayTokens.fetchedAt = new Date(nowUTC);
-            await seller.save();
+        if (fetchedAt && (nowUTC - fetchedAt > expiresInMs - 2 * 60 * 1000)) {
+          console.log(`[Fetch Returns] Refreshing token for seller ${sellerName}`);
+          const refreshRes = await axios.post(
+            'https://api.ebay.com/identity/v1/oauth2/token',
+            qs.stringify({
+              grant_type: 'refresh_token',
+              refresh_token: seller.ebayTokens.refresh_token,
+              scope: EBAY_OAUTH_SCOPES // Using centralized scopes constant
+            }),
+            {
+              headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Authorization: 'Basic ' + Buffer.from(`${process.env.EBAY_CLIENT_ID}:${process.env.EBAY_CLIENT_SECRET}`).toString('base64'),
+              },
+            }
+          );
+          accessToken = refreshRes.data.access_token;
+          seller.ebayTokens.access_token = accessToken;
+          seller.ebayTokens.expires_in = refreshRes.data.expires_in;
+          seller.ebayTokens.fetchedAt = new Date(nowUTC);
+          await seller.save();
+        }
+
+        // Fetch return requests
+        const returnUrl = 'https://api.ebay.com/post-order/v2/return/search';
+        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+        const returnRes = await axios.get(returnUrl, {
+          headers: {
+            'Authorization': `IAF ${accessToken}`,
+            'Content-Type': 'application/json',
+            'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US'
+          },
+          params: {
+            'creation_date_range_from': thirtyDaysAgo,
+            'limit': 200
           }
+        });
 
-          // Fetch return requests
-          const returnUrl = 'https://api.ebay.com/post-order/v2/return/search';
-          const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+        const returns = returnRes.data.members || [];
+        console.log(`[Fetch Returns] Seller ${sellerName}: Found ${returns.length} returns`);
 
-          const returnRes = await axios.get(returnUrl, {
-            headers: {
-              'Authorization': `IAF ${accessToken}`,
-              'Content-Type': 'application/json',
-              'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US'
+        let newReturns = 0;
+        let updatedReturns = 0;
+        let updateDetails = []; // Track updates for frontend snackbar
+
+        for (const ebayReturn of returns) {
+          // 1. Safe Extraction
+          const creationInfo = ebayReturn.creationInfo || {};
+          const itemInfo = creationInfo.item || {};
+          const sellerRefund = ebayReturn.sellerTotalRefund?.estimatedRefundAmount || {};
+
+          // 2. Build Data Object (CASTING TO MATCH SCHEMA)
+          const returnData = {
+            seller: seller._id,
+            returnId: ebayReturn.returnId,
+            orderId: ebayReturn.orderId || ebayReturn.orderNumber,
+            legacyOrderId: ebayReturn.legacyOrderId,
+            buyerUsername: ebayReturn.buyerLoginName,
+            returnReason: creationInfo.reason,
+            returnStatus: ebayReturn.state || ebayReturn.status,
+            returnType: creationInfo.type,
+            itemId: itemInfo.itemId,
+            itemTitle: itemInfo.title || itemInfo.itemId,
+            returnQuantity: itemInfo.returnQuantity,
+            refundAmount: {
+              // FIX 1: Force String to match Mongoose Schema "String"
+              value: String(sellerRefund.value || 0),
+              currency: sellerRefund.currency
             },
-            params: {
-              'creation_date_range_from': thirtyDaysAgo,
-              'limit': 200
-            }
-          });
+            creationDate: creationInfo.creationDate?.value ? new Date(creationInfo.creationDate.value) : null,
+            responseDate: ebayReturn.sellerResponseDue?.respondByDate?.value ? new Date(ebayReturn.sellerResponseDue.respondByDate.value) : null,
+            rmaNumber: ebayReturn.RMANumber,
+            buyerComments: creationInfo.comments?.content,
+            rawData: ebayReturn
+          };
 
-          const returns = returnRes.data.members || [];
-          console.log(`[Fetch Returns] Seller ${sellerName}: Found ${returns.length} returns`);
+          const existing = await Return.findOne({ returnId: ebayReturn.returnId });
 
-          let newReturns = 0;
-          let updatedReturns = 0;
-          let updateDetails = []; // Track updates for frontend snackbar
+          if (existing) {
+            // --- HELPER FUNCTIONS FOR COMPARISON ---
+            // Convert to seconds (ignore milliseconds)
+            const getUnix = (d) => d ? Math.floor(new Date(d).getTime() / 1000) : 0;
+            // Convert to string to handle "63.95" vs 63.95 mismatch
+            const safeStr = (v) => (v === undefined || v === null) ? '' : String(v);
 
-          for (const ebayReturn of returns) {
-            // 1. Safe Extraction
-            const creationInfo = ebayReturn.creationInfo || {};
-            const itemInfo = creationInfo.item || {};
-            const sellerRefund = ebayReturn.sellerTotalRefund?.estimatedRefundAmount || {};
+            // --- COMPARISON LOGIC ---
+            const statusChanged = existing.returnStatus !== returnData.returnStatus;
 
-            // 2. Build Data Object (CASTING TO MATCH SCHEMA)
-            const returnData = {
-              seller: seller._id,
-              returnId: ebayReturn.returnId,
-              orderId: ebayReturn.orderId || ebayReturn.orderNumber,
-              legacyOrderId: ebayReturn.legacyOrderId,
-              buyerUsername: ebayReturn.buyerLoginName,
-              returnReason: creationInfo.reason,
-              returnStatus: ebayReturn.state || ebayReturn.status,
-              returnType: creationInfo.type,
-              itemId: itemInfo.itemId,
-              itemTitle: itemInfo.title || itemInfo.itemId,
-              returnQuantity: itemInfo.returnQuantity,
-              refundAmount: {
-                // FIX 1: Force String to match Mongoose Schema "String"
-                value: String(sellerRefund.value || 0),
-                currency: sellerRefund.currency
-              },
-              creationDate: creationInfo.creationDate?.value ? new Date(creationInfo.creationDate.value) : null,
-              responseDate: ebayReturn.sellerResponseDue?.respondByDate?.value ? new Date(ebayReturn.sellerResponseDue.respondByDate.value) : null,
-              rmaNumber: ebayReturn.RMANumber,
-              buyerComments: creationInfo.comments?.content,
-              rawData: ebayReturn
-            };
+            // FIX 2: Compare as Strings
+            const refundChanged = safeStr(existing.refundAmount?.value) !== safeStr(returnData.refundAmount?.value);
 
-            const existing = await Return.findOne({ returnId: ebayReturn.returnId });
+            // FIX 3: Compare as Unix Timestamps (seconds)
+            const responseDateChanged = getUnix(existing.responseDate) !== getUnix(returnData.responseDate);
+            const creationDateChanged = getUnix(existing.creationDate) !== getUnix(returnData.creationDate);
 
-            if (existing) {
-              // --- HELPER FUNCTIONS FOR COMPARISON ---
-              // Convert to seconds (ignore milliseconds)
-              const getUnix = (d) => d ? Math.floor(new Date(d).getTime() / 1000) : 0;
-              // Convert to string to handle "63.95" vs 63.95 mismatch
-              const safeStr = (v) => (v === undefined || v === null) ? '' : String(v);
-
-              // --- COMPARISON LOGIC ---
-              const statusChanged = existing.returnStatus !== returnData.returnStatus;
-
-              // FIX 2: Compare as Strings
-              const refundChanged = safeStr(existing.refundAmount?.value) !== safeStr(returnData.refundAmount?.value);
-
-              // FIX 3: Compare as Unix Timestamps (seconds)
-              const responseDateChanged = getUnix(existing.responseDate) !== getUnix(returnData.responseDate);
-              const creationDateChanged = getUnix(existing.creationDate) !== getUnix(returnData.creationDate);
-
-              if (statusChanged || refundChanged || responseDateChanged || creationDateChanged) {
-
-                // DIAGNOSTIC LOG: This will show you exactly what changed in your terminal
-                console.log(`[Update Triggered] Return ${ebayReturn.returnId}:`);
-                if (statusChanged) console.log(`   - Status: ${existing.returnStatus} -> ${returnData.returnStatus}`);
-                if (refundChanged) console.log(`   - Refund: ${existing.refundAmount?.value} -> ${returnData.refundAmount?.value}`);
-                if (responseDateChanged) console.log(`   - RespDate: ${existing.responseDate} -> ${returnData.responseDate}`);
-                if (creationDateChanged) console.log(`   - CreateDate: ${existing.creationDate} -> ${returnData.creationDate}`);
-
-                // Use .set() to update fields
-                existing.set(returnData);
-                await existing.save();
-                updatedReturns++;
-
-                // Track update details for frontend snackbar
-                if (!updateDetails) updateDetails = [];
-                updateDetails.push({
-                  returnId: ebayReturn.returnId,
-                  orderId: returnData.orderId,
-                  changes: {
-                    ...(statusChanged && { status: { from: existing.returnStatus, to: returnData.returnStatus } }),
-                    ...(refundChanged && { refund: { from: existing.refundAmount?.value, to: returnData.refundAmount?.value } })
-                  }
-                });
-              }
-            } else {
-              await Return.create(returnData);
-              newReturns++;
-            }
-          }
+            if (statusChanged || refundChanged || responseDateChanged || creationDateChanged) {
 
-          return {
-            sellerName: sellerName,
-            newReturns,
-            updatedReturns,
-            updateDetails, // Include update details for frontend snackbar
-            totalReturns: returns.length
-          };
+              // DIAGNOSTIC LOG: This will show you exactly what changed in your terminal
+              console.log(`[Update Triggered] Return ${ebayReturn.returnId}:`);
+              if (statusChanged) console.log(`   - Status: ${existing.returnStatus} -> ${returnData.returnStatus}`);
+              if (refundChanged) console.log(`   - Refund: ${existing.refundAmount?.value} -> ${returnData.refundAmount?.value}`);
+              if (responseDateChanged) console.log(`   - RespDate: ${existing.responseDate} -> ${returnData.responseDate}`);
+              if (creationDateChanged) console.log(`   - CreateDate: ${existing.creationDate} -> ${returnData.creationDate}`);
 
-        } catch (err) {
-          console.error(`[Fetch Returns] Error for seller ${sellerName}:`, err.message);
-          throw new Error(`${sellerName}: ${err.message}`);
+              // Use .set() to update fields
+              existing.set(returnData);
+              await existing.save();
+              updatedReturns++;
+
+              // Track update details for frontend snackbar
+              if (!updateDetails) updateDetails = [];
+              updateDetails.push({
+                returnId: ebayReturn.returnId,
+                orderId: returnData.orderId,
+                changes: {
+                  ...(statusChanged && { status: { from: existing.returnStatus, to: returnData.returnStatus } }),
+                  ...(refundChanged && { refund: { from: existing.refundAmount?.value, to: returnData.refundAmount?.value } })
+                }
+              });
+            }
+          } else {
+            const newReturn = await Return.create(returnData);
+            newReturns++;
+            const returnEventData = {
+              returnId: newReturn.returnId,
+              orderId: newReturn.orderId,
+              buyerUsername: newReturn.buyerUsername,
+              returnReason: newReturn.returnReason,
+              returnStatus: newReturn.returnStatus,
+              itemTitle: newReturn.itemTitle,
+              responseDate: newReturn.responseDate
+            };
+            publishEvent('return.opened', { sellerId: seller._id, data: returnEventData });
+            dispatchWebhookEvent('return.created', {
+              sellerId: seller._id,
+              data: { ...returnEventData, returnType: newReturn.returnType, refundAmount: newReturn.refundAmount }
+            });
+          }
         }
-      })
-    );
 
-    const successResults = [];
-    results.forEach((result) => {
-      if (result.status === 'fulfilled') {
-        successResults.push(result.value);
-        totalNewReturns += result.value.newReturns;
-        totalUpdatedReturns += result.value.updatedReturns;
-      } else {
-        errors.push(result.reason.message);
+        return {
+          sellerName: sellerName,
+          newReturns,
+          updatedReturns,
+          updateDetails, // Include update details for frontend snackbar
+          totalReturns: returns.length
+        };
+
+      } catch (err) {
+        console.error(`[Fetch Returns] Error for seller ${sellerName}:`, err.message);
+        throw new Error(`${sellerName}: ${err.message}`);
       }
-    });
+    })
+  );
+
+  const successResults = [];
+  results.forEach((result) => {
+    if (result.status === 'fulfilled') {
+      successResults.push(result.value);
+      totalNewReturns += result.value.newReturns;
+      totalUpdatedReturns += result.value.updatedReturns;
+    } else {
+      errors.push(result.reason.message);
+    }
+  });
 
-    res.json({
-      message: `Fetched returns for ${successResults.length} sellers`,
-      totalNewReturns,
-      totalUpdatedReturns,
-      results: successResults,
-      errors: errors.length > 0 ? errors : undefined
-    });
+  return {
+    message: `Fetched returns for ${successResults.length} sellers`,
+    totalNewReturns,
+    totalUpdatedReturns,
+    results: successResults,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
 
+router.post('/fetch-returns', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
+  try {
+    syncLocks = await acquireRouteSyncLocks(req, res, 'returns', 'Return sync');
+    if (!syncLocks) return;
+
+    const result = await fetchSellerReturns({ sellerIds: syncLocks.sellerIds });
+    res.json({ ...result, skippedSellers: syncLocks.busy.length > 0 ? syncLocks.busy : undefined });
   } catch (err) {
     console.error('[Fetch Returns] Error:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 // Get stored returns from database
 
-router.get('/stored-returns', async (req, res) => {
-  const { sellerId, status, reason, startDate, endDate, urgentOnly, page = 1, limit = 50 } = req.query;
+router.get('/stored-returns', requireAuth, requirePermission('returns.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, status, reason, startDate, endDate, urgentOnly, assignedTo, page = 1, limit = 50 } = req.query;
 
   try {
-    let query = {};
+    const assignee = assigneeMatch(req, assignedTo);
+    if (!assignee) return res.status(400).json({ error: 'Invalid assignedTo' });
+    let query = { ...sellerScopeMatch(req), ...assignee };
     if (sellerId) query.seller = sellerId;
     if (status) query.returnStatus = status;
     // Support multiple reasons (comma-separated) with OR logic using $in
@@ -4702,6 +4726,7 @@ router.get('/stored-returns', async (req, res) => {
           select: 'username' // Get the 'username' from User.js
         }
       })
+      .populate('assignedTo', 'username')
       .sort({ creationDate: -1 })
       .skip(skip)
       .limit(limitNum)
@@ -4747,226 +4772,251 @@ router.get('/stored-returns', async (req, res) => {
 // ===== INR CASES ENDPOINTS =====
 
 // Fetch INR cases from eBay Post-Order API and store in DB
-router.post('/fetch-inr-cases', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
-  try {
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true } })
-      .populate('user', 'username');
+async function fetchSellerInrCases({ sellerIds } = {}) {
+  const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true }, ...sellerIdFilter(sellerIds) })
+    .populate('user', 'username');
 
-    if (sellers.length === 0) {
-      return res.json({ message: 'No sellers with eBay tokens found', totalCases: 0 });
-    }
+  if (sellers.length === 0) {
+    return { message: 'No sellers with eBay tokens found', totalCases: 0 };
+  }
 
-    let totalNewCases = 0;
-    let totalUpdatedCases = 0;
-    const errors = [];
+  let totalNewCases = 0;
+  let totalUpdatedCases = 0;
+  const errors = [];
 
-    console.log(`[Fetch INR Cases] Starting for ${sellers.length} sellers`);
+  console.log(`[Fetch INR Cases] Starting for ${sellers.length} sellers`);
 
-    const results = await Promise.allSettled(
-      sellers.map(async (seller) => {
-        const sellerName = seller.user?.username || 'Unknown Seller';
+  const results = await Promise.allSettled(
+    sellers.map(async (seller) => {
+      const sellerName = seller.user?.username || 'Unknown Seller';
 
-        try {
-          // Token refresh logic
-          const nowUTC = Date.now();
-          const fetchedAt = seller.ebayTokens.fetchedAt ? new Date(seller.ebayTokens.fetchedAt).getTime() : 0;
-          const expiresInMs = (seller.ebayTokens.expires_in || 0) * 1000;
-          let accessToken = seller.ebayTokens.access_token;
+      try {
+        // Token refresh logic
+        const nowUTC = Date.now();
+        const fetchedAt = seller.ebayTokens.fetchedAt ? new Date(seller.ebayTokens.fetchedAt).getTime() : 0;
+        const expiresInMs = (seller.ebayTokens.expires_in || 0) * 1000;
+        let accessToken = seller.ebayTokens.access_token;
 
-          if (fetchedAt && (nowUTC - fetchedAt > expiresInMs - 2 * 60 * 1000)) {
-            console.log(`[Fetch INR Cases] Refreshing token for seller ${sellerName}`);
-            const refreshRes = await axios.post(
-              'https://api.ebay.com/identity/v1/oauth2/token',
-              qs.stringify({
-                grant_type: 'refresh_token',
-                refresh_token: seller.ebayTokens.refresh_token,
-                scope: EBAY_OAUTH_SCOPES // Using centralized scopes constant
-              }),
-              {
-                headers: {
-                  'Content-Type': 'application/x-www-form-urlencoded',
-                  Authorization: 'Basic ' + Buffer.from(`${process.env.EBAY_CLIENT_ID}:${process.env.EBAY_CLIENT_SECRET}`).toString('base64'),
-                },
-              }
-            );
-            accessToken = refreshRes.data.access_token;
-            seller.ebayTokens.access_token = accessToken;
-            seller.ebayTokens.expires_in = refreshRes.data.expires_in;
-            seller.ebayTokens.fetchedAt = new Date(nowUTC);
-            await seller.save();
-          }
+        if (fetchedAt && (nowUTC - fetchedAt > expiresInMs - 2 * 60 * 1000)) {
+          console.log(`[Fetch INR Cases] Refreshing token for seller ${sellerName}`);
+          const refreshRes = await axios.post(
+            'https://api.ebay.com/identity/v1/oauth2/token',
+            qs.stringify({
+              grant_type: 'refresh_token',
+              refresh_token: seller.ebayTokens.refresh_token,
+              scope: EBAY_OAUTH_SCOPES // Using centralized scopes constant
+            }),
+            {
+              headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Authorization: 'Basic ' + Buffer.from(`${process.env.EBAY_CLIENT_ID}:${process.env.EBAY_CLIENT_SECRET}`).toString('base64'),
+              },
+            }
+          );
+          accessToken = refreshRes.data.access_token;
+          seller.ebayTokens.access_token = accessToken;
+          seller.ebayTokens.expires_in = refreshRes.data.expires_in;
+          seller.ebayTokens.fetchedAt = new Date(nowUTC);
+          await seller.save();
+        }
 
-          // Fetch INR cases from Post-Order API
-          const inquiryUrl = 'https://api.ebay.com/post-order/v2/inquiry/search';
-          const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+        // Fetch INR cases from Post-Order API
+        const inquiryUrl = 'https://api.ebay.com/post-order/v2/inquiry/search';
+        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
 
-          const inquiryRes = await axios.get(inquiryUrl, {
-            headers: {
-              'Authorization': `IAF ${accessToken}`,
-              'Content-Type': 'application/json',
-              'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US'
-            },
-            params: {
-              'creation_date_range_from': thirtyDaysAgo,
-              'limit': 200
-            }
-          });
+        const inquiryRes = await axios.get(inquiryUrl, {
+          headers: {
+            'Authorization': `IAF ${accessToken}`,
+            'Content-Type': 'application/json',
+            'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US'
+          },
+          params: {
+            'creation_date_range_from': thirtyDaysAgo,
+            'limit': 200
+          }
+        });
 
-          const cases = inquiryRes.data.members || [];
-          console.log(`[Fetch INR Cases] Seller ${sellerName}: Found ${cases.length} INR cases`);
-
-          let newCases = 0;
-          let updatedCases = 0;
-          let updateDetails = [];
-
-          for (const ebayCase of cases) {
-            // Determine case type
-            const inquiryType = ebayCase.inquiryType || 'INR';
-            let caseType = 'INR';
-            if (inquiryType === 'SNAD' || inquiryType === 'SIGNIFICANTLY_NOT_AS_DESCRIBED') {
-              caseType = 'SNAD';
-            } else if (inquiryType !== 'INR' && inquiryType !== 'ITEM_NOT_RECEIVED') {
-              caseType = 'OTHER';
-            }
+        const cases = inquiryRes.data.members || [];
+        console.log(`[Fetch INR Cases] Seller ${sellerName}: Found ${cases.length} INR cases`);
+
+        let newCases = 0;
+        let updatedCases = 0;
+        let updateDetails = [];
+
+        for (const ebayCase of cases) {
+          // Determine case type
+          const inquiryType = ebayCase.inquiryType || 'INR';
+          let caseType = 'INR';
+          if (inquiryType === 'SNAD' || inquiryType === 'SIGNIFICANTLY_NOT_AS_DESCRIBED') {
+            caseType = 'SNAD';
+          } else if (inquiryType !== 'INR' && inquiryType !== 'ITEM_NOT_RECEIVED') {
+            caseType = 'OTHER';
+          }
 
-            // Try to get orderId from eBay response, or look it up in Order collection
-            let orderId = ebayCase.orderId || ebayCase.orderNumber;
+          // Try to get orderId from eBay response, or look it up in Order collection
+          let orderId = ebayCase.orderId || ebayCase.orderNumber;
 
-            // If no orderId from eBay, try to find it using lineItemId or transactionId
-            if (!orderId && (ebayCase.lineItemId || ebayCase.transactionId || ebayCase.itemId)) {
-              try {
-                // Try to find order with matching lineItem
-                const orderQuery = {};
-                if (ebayCase.lineItemId) {
-                  orderQuery['lineItems.lineItemId'] = ebayCase.lineItemId;
-                } else if (ebayCase.transactionId) {
-                  orderQuery['lineItems.legacyItemId'] = ebayCase.itemId;
-                }
+          // If no orderId from eBay, try to find it using lineItemId or transactionId
+          if (!orderId && (ebayCase.lineItemId || ebayCase.transactionId || ebayCase.itemId)) {
+            try {
+              // Try to find order with matching lineItem
+              const orderQuery = {};
+              if (ebayCase.lineItemId) {
+                orderQuery['lineItems.lineItemId'] = ebayCase.lineItemId;
+              } else if (ebayCase.transactionId) {
+                orderQuery['lineItems.legacyItemId'] = ebayCase.itemId;
+              }
 
-                if (Object.keys(orderQuery).length > 0) {
-                  orderQuery.seller = seller._id;
-                  const matchingOrder = await Order.findOne(orderQuery).select('orderId');
-                  if (matchingOrder) {
-                    orderId = matchingOrder.orderId;
-                    console.log(`[Fetch INR Cases] Found orderId ${orderId} for case ${ebayCase.inquiryId}`);
-                  }
+              if (Object.keys(orderQuery).length > 0) {
+                orderQuery.seller = seller._id;
+                const matchingOrder = await Order.findOne(orderQuery).select('orderId');
+                if (matchingOrder) {
+                  orderId = matchingOrder.orderId;
+                  console.log(`[Fetch INR Cases] Found orderId ${orderId} for case ${ebayCase.inquiryId}`);
                 }
-              } catch (lookupErr) {
-                console.log(`[Fetch INR Cases] Could not lookup orderId for case ${ebayCase.inquiryId}:`, lookupErr.message);
               }
+            } catch (lookupErr) {
+              console.log(`[Fetch INR Cases] Could not lookup orderId for case ${ebayCase.inquiryId}:`, lookupErr.message);
             }
+          }
 
-            const caseData = {
-              seller: seller._id,
-              caseId: ebayCase.inquiryId,
-              caseType,
-              orderId: orderId,
-              buyerUsername: ebayCase.buyer || ebayCase.buyerLoginName,
-              // FIX: eBay returns 'inquiryStatusEnum' not 'state' or 'status'
-              status: ebayCase.inquiryStatusEnum || ebayCase.state || ebayCase.status || 'OPEN',
-
-              // Dates
-              creationDate: ebayCase.creationDate?.value ? new Date(ebayCase.creationDate.value) : null,
-              // FIX: eBay returns 'respondByDate' directly, not nested under 'sellerResponseDue'
-              sellerResponseDueDate: ebayCase.respondByDate?.value
-                ? new Date(ebayCase.respondByDate.value)
-                : (ebayCase.sellerResponseDue?.respondByDate?.value ? new Date(ebayCase.sellerResponseDue.respondByDate.value) : null),
-              escalationDate: ebayCase.escalationDate?.value ? new Date(ebayCase.escalationDate.value) : null,
-              closedDate: ebayCase.closedDate?.value ? new Date(ebayCase.closedDate.value) : null,
-              // FIX: Also store lastModifiedDate from eBay
-              lastModifiedDate: ebayCase.lastModifiedDate?.value ? new Date(ebayCase.lastModifiedDate.value) : null,
-
-              // Item Info
-              itemId: ebayCase.itemId,
-              itemTitle: ebayCase.itemTitle,
-
-              // Amount
-              claimAmount: {
-                value: String(ebayCase.claimAmount?.value || 0),
-                currency: ebayCase.claimAmount?.currency || 'USD'
-              },
+          const caseData = {
+            seller: seller._id,
+            caseId: ebayCase.inquiryId,
+            caseType,
+            orderId: orderId,
+            buyerUsername: ebayCase.buyer || ebayCase.buyerLoginName,
+            // FIX: eBay returns 'inquiryStatusEnum' not 'state' or 'status'
+            status: ebayCase.inquiryStatusEnum || ebayCase.state || ebayCase.status || 'OPEN',
+
+            // Dates
+            creationDate: ebayCase.creationDate?.value ? new Date(ebayCase.creationDate.value) : null,
+            // FIX: eBay returns 'respondByDate' directly, not nested under 'sellerResponseDue'
+            sellerResponseDueDate: ebayCase.respondByDate?.value
+              ? new Date(ebayCase.respondByDate.value)
+              : (ebayCase.sellerResponseDue?.respondByDate?.value ? new Date(ebayCase.sellerResponseDue.respondByDate.value) : null),
+            escalationDate: ebayCase.escalationDate?.value ? new Date(ebayCase.escalationDate.value) : null,
+            closedDate: ebayCase.closedDate?.value ? new Date(ebayCase.closedDate.value) : null,
+            // FIX: Also store lastModifiedDate from eBay
+            lastModifiedDate: ebayCase.lastModifiedDate?.value ? new Date(ebayCase.lastModifiedDate.value) : null,
+
+            // Item Info
+            itemId: ebayCase.itemId,
+            itemTitle: ebayCase.itemTitle,
+
+            // Amount
+            claimAmount: {
+              value: String(ebayCase.claimAmount?.value || 0),
+              currency: ebayCase.claimAmount?.currency || 'USD'
+            },
 
-              // Resolution
-              resolution: ebayCase.resolution || null,
-              sellerResponse: ebayCase.sellerResponse || null,
+            // Resolution
+            resolution: ebayCase.resolution || null,
+            sellerResponse: ebayCase.sellerResponse || null,
 
-              rawData: ebayCase
-            };
+            rawData: ebayCase
+          };
 
-            const existing = await Case.findOne({ caseId: ebayCase.inquiryId });
+          const existing = await Case.findOne({ caseId: ebayCase.inquiryId });
 
-            if (existing) {
-              // Compare for changes
-              const statusChanged = existing.status !== caseData.status;
-              const dueDateChanged = (existing.sellerResponseDueDate?.getTime() || 0) !==
-                (caseData.sellerResponseDueDate?.getTime() || 0);
-
-              if (statusChanged || dueDateChanged) {
-                console.log(`[Update] Case ${ebayCase.inquiryId}: Status ${existing.status} -> ${caseData.status}`);
-                existing.set(caseData);
-                await existing.save();
-                updatedCases++;
-
-                updateDetails.push({
-                  caseId: ebayCase.inquiryId,
-                  orderId: caseData.orderId,
-                  changes: {
-                    ...(statusChanged && { status: { from: existing.status, to: caseData.status } })
-                  }
-                });
-              }
-            } else {
-              await Case.create(caseData);
-              newCases++;
-            }
-          }
+          if (existing) {
+            // Compare for changes
+            const statusChanged = existing.status !== caseData.status;
+            const dueDateChanged = (existing.sellerResponseDueDate?.getTime() || 0) !==
+              (caseData.sellerResponseDueDate?.getTime() || 0);
 
-          return {
-            sellerName: sellerName,
-            newCases,
-            updatedCases,
-            updateDetails,
-            totalCases: cases.length
-          };
+            if (statusChanged || dueDateChanged) {
+              console.log(`[Update] Case ${ebayCase.inquiryId}: Status ${existing.status} -> ${caseData.status}`);
+              existing.set(caseData);
+              await existing.save();
+              updatedCases++;
 
-        } catch (err) {
-          console.error(`[Fetch INR Cases] Error for seller ${sellerName}:`, err.message);
-          throw new Error(`${sellerName}: ${err.message}`);
+              updateDetails.push({
+                caseId: ebayCase.inquiryId,
+                orderId: caseData.orderId,
+                changes: {
+                  ...(statusChanged && { status: { from: existing.status, to: caseData.status } })
+                }
+              });
+            }
+          } else {
+            const newCase = await Case.create(caseData);
+            newCases++;
+            dispatchWebhookEvent('case.created', {
+              sellerId: seller._id,
+              data: {
+                caseId: newCase.caseId,
+                caseType: newCase.caseType,
+                orderId: newCase.orderId,
+                buyerUsername: newCase.buyerUsername,
+                status: newCase.status,
+                itemTitle: newCase.itemTitle,
+                claimAmount: newCase.claimAmount,
+                sellerResponseDueDate: newCase.sellerResponseDueDate
+              }
+            });
+          }
         }
-      })
-    );
 
-    const successResults = [];
-    results.forEach((result) => {
-      if (result.status === 'fulfilled') {
-        successResults.push(result.value);
-        totalNewCases += result.value.newCases;
-        totalUpdatedCases += result.value.updatedCases;
-      } else {
-        errors.push(result.reason.message);
+        return {
+          sellerName: sellerName,
+          newCases,
+          updatedCases,
+          updateDetails,
+          totalCases: cases.length
+        };
+
+      } catch (err) {
+        console.error(`[Fetch INR Cases] Error for seller ${sellerName}:`, err.message);
+        throw new Error(`${sellerName}: ${err.message}`);
       }
-    });
+    })
+  );
+
+  const successResults = [];
+  results.forEach((result) => {
+    if (result.status === 'fulfilled') {
+      successResults.push(result.value);
+      totalNewCases += result.value.newCases;
+      totalUpdatedCases += result.value.updatedCases;
+    } else {
+      errors.push(result.reason.message);
+    }
+  });
 
-    res.json({
-      message: `Fetched INR cases for ${successResults.length} sellers`,
-      totalNewCases,
-      totalUpdatedCases,
-      results: successResults,
-      errors: errors.length > 0 ? errors : undefined
-    });
+  return {
+    message: `Fetched INR cases for ${successResults.length} sellers`,
+    totalNewCases,
+    totalUpdatedCases,
+    results: successResults,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
 
+router.post('/fetch-inr-cases', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
+  try {
+    syncLocks = await acquireRouteSyncLocks(req, res, 'inrCases', 'INR case sync');
+    if (!syncLocks) return;
+
+    const result = await fetchSellerInrCases({ sellerIds: syncLocks.sellerIds });
+    res.json({ ...result, skippedSellers: syncLocks.busy.length > 0 ? syncLocks.busy : undefined });
   } catch (err) {
     console.error('[Fetch INR Cases] Error:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // Get stored INR cases from database
-router.get('/stored-inr-cases', async (req, res) => {
-  const { sellerId, status, caseType, limit = 200 } = req.query;
+router.get('/stored-inr-cases', requireAuth, requirePermission('returns.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, status, caseType, assignedTo, limit = 200 } = req.query;
 
   try {
-    let query = {};
+    const assignee = assigneeMatch(req, assignedTo);
+    if (!assignee) return res.status(400).json({ error: 'Invalid assignedTo' });
+    let query = { ...sellerScopeMatch(req), ...assignee };
     if (sellerId) query.seller = sellerId;
     if (status) query.status = status;
     if (caseType) query.caseType = caseType;
@@ -4980,6 +5030,7 @@ router.get('/stored-inr-cases', async (req, res) => {
           select: 'username'
         }
       })
+      .populate('assignedTo', 'username')
       .sort({ creationDate: -1 })
       .limit(parseInt(limit));
 
@@ -4995,204 +5046,219 @@ router.get('/stored-inr-cases', async (req, res) => {
 // ===== PAYMENT DISPUTES ENDPOINTS =====
 
 // Fetch Payment Disputes from eBay Fulfillment API and store in DB
-router.post('/fetch-payment-disputes', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
-  try {
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true } })
-      .populate('user', 'username');
+async function fetchSellerPaymentDisputes({ sellerIds } = {}) {
+  const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true }, ...sellerIdFilter(sellerIds) })
+    .populate('user', 'username');
 
-    if (sellers.length === 0) {
-      return res.json({ message: 'No sellers with eBay tokens found', totalDisputes: 0 });
-    }
-
-    let totalNewDisputes = 0;
-    let totalUpdatedDisputes = 0;
-    const errors = [];
+  if (sellers.length === 0) {
+    return { message: 'No sellers with eBay tokens found', totalDisputes: 0 };
+  }
 
-    console.log(`[Fetch Payment Disputes] Starting for ${sellers.length} sellers`);
+  let totalNewDisputes = 0;
+  let totalUpdatedDisputes = 0;
+  const errors = [];
 
-    const results = await Promise.allSettled(
-      sellers.map(async (seller) => {
-        const sellerName = seller.user?.username || 'Unknown Seller';
+  console.log(`[Fetch Payment Disputes] Starting for ${sellers.length} sellers`);
 
-        try {
-          // Token refresh logic
-          const nowUTC = Date.now();
-          const fetchedAt = seller.ebayTokens.fetchedAt ? new Date(seller.ebayTokens.fetchedAt).getTime() : 0;
-          const expiresInMs = (seller.ebayTokens.expires_in || 0) * 1000;
-          let accessToken = seller.ebayTokens.access_token;
-
-          if (fetchedAt && (nowUTC - fetchedAt > expiresInMs - 2 * 60 * 1000)) {
-            console.log(`[Fetch Payment Disputes] Refreshing token for seller ${sellerName}`);
-            const refreshRes = await axios.post(
-              'https://api.ebay.com/identity/v1/oauth2/token',
-              qs.stringify({
-                grant_type: 'refresh_token',
-                refresh_token: seller.ebayTokens.refresh_token,
-                scope: EBAY_OAUTH_SCOPES // Using centralized scopes constant
-              }),
-              {
-                headers: {
-                  'Content-Type': 'application/x-www-form-urlencoded',
-                  Authorization: 'Basic ' + Buffer.from(`${process.env.EBAY_CLIENT_ID}:${process.env.EBAY_CLIENT_SECRET}`).toString('base64'),
-                },
-              }
-            );
-            accessToken = refreshRes.data.access_token;
-            seller.ebayTokens.access_token = accessToken;
-            seller.ebayTokens.expires_in = refreshRes.data.expires_in;
-            seller.ebayTokens.fetchedAt = new Date(nowUTC);
-            await seller.save();
-          }
+  const results = await Promise.allSettled(
+    sellers.map(async (seller) => {
+      const sellerName = seller.user?.username || 'Unknown Seller';
 
-          // Fetch Payment Disputes from Fulfillment API
-          // Uses Bearer token and the payment_dispute_summary endpoint
-          // IMPORTANT: Requires sell.payment.dispute scope (different from sell.fulfillment)
-          // Docs: https://developer.ebay.com/api-docs/sell/fulfillment/resources/payment_dispute/methods/getPaymentDisputeSummaries
-          const disputeUrl = 'https://apiz.ebay.com/sell/fulfillment/v1/payment_dispute_summary';
+      try {
+        // Token refresh logic
+        const nowUTC = Date.now();
+        const fetchedAt = seller.ebayTokens.fetchedAt ? new Date(seller.ebayTokens.fetchedAt).getTime() : 0;
+        const expiresInMs = (seller.ebayTokens.expires_in || 0) * 1000;
+        let accessToken = seller.ebayTokens.access_token;
 
-          let disputes = [];
-          try {
-            const disputeRes = await axios.get(disputeUrl, {
+        if (fetchedAt && (nowUTC - fetchedAt > expiresInMs - 2 * 60 * 1000)) {
+          console.log(`[Fetch Payment Disputes] Refreshing token for seller ${sellerName}`);
+          const refreshRes = await axios.post(
+            'https://api.ebay.com/identity/v1/oauth2/token',
+            qs.stringify({
+              grant_type: 'refresh_token',
+              refresh_token: seller.ebayTokens.refresh_token,
+              scope: EBAY_OAUTH_SCOPES // Using centralized scopes constant
+            }),
+            {
               headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Authorization: 'Basic ' + Buffer.from(`${process.env.EBAY_CLIENT_ID}:${process.env.EBAY_CLIENT_SECRET}`).toString('base64'),
               },
-              params: {
-                'limit': 200
-              }
-            });
-            disputes = disputeRes.data.paymentDisputeSummaries || [];
-            console.log(`[Fetch Payment Disputes] Seller ${sellerName}: Found ${disputes.length} disputes`);
-          } catch (apiErr) {
-            // Log the actual error for debugging
-            const errMsg = apiErr.response?.data?.errors?.[0]?.message || apiErr.message;
-            const errCode = apiErr.response?.status;
-            console.log(`[Fetch Payment Disputes] Seller ${sellerName}: API Error - ${errCode} ${errMsg}`);
-
-            // 404 might mean no disputes, 403 means missing scope
-            if (errCode === 404) {
-              disputes = [];
-            } else if (errCode === 403) {
-              // Missing sell.payment.dispute scope - seller needs to re-authorize
-              console.log(`[Fetch Payment Disputes] Seller ${sellerName}: Missing sell.payment.dispute scope - needs re-authorization`);
-              throw new Error(`Missing payment dispute scope - seller needs to re-connect eBay account`);
-            } else {
-              // Re-throw other errors
-              throw apiErr;
             }
+          );
+          accessToken = refreshRes.data.access_token;
+          seller.ebayTokens.access_token = accessToken;
+          seller.ebayTokens.expires_in = refreshRes.data.expires_in;
+          seller.ebayTokens.fetchedAt = new Date(nowUTC);
+          await seller.save();
+        }
+
+        // Fetch Payment Disputes from Fulfillment API
+        // Uses Bearer token and the payment_dispute_summary endpoint
+        // IMPORTANT: Requires sell.payment.dispute scope (different from sell.fulfillment)
+        // Docs: https://developer.ebay.com/api-docs/sell/fulfillment/resources/payment_dispute/methods/getPaymentDisputeSummaries
+        const disputeUrl = 'https://apiz.ebay.com/sell/fulfillment/v1/payment_dispute_summary';
+
+        let disputes = [];
+        try {
+          const disputeRes = await axios.get(disputeUrl, {
+            headers: {
+              'Authorization': `Bearer ${accessToken}`,
+              'Content-Type': 'application/json',
+              'Accept': 'application/json'
+            },
+            params: {
+              'limit': 200
+            }
+          });
+          disputes = disputeRes.data.paymentDisputeSummaries || [];
+          console.log(`[Fetch Payment Disputes] Seller ${sellerName}: Found ${disputes.length} disputes`);
+        } catch (apiErr) {
+          // Log the actual error for debugging
+          const errMsg = apiErr.response?.data?.errors?.[0]?.message || apiErr.message;
+          const errCode = apiErr.response?.status;
+          console.log(`[Fetch Payment Disputes] Seller ${sellerName}: API Error - ${errCode} ${errMsg}`);
+
+          // 404 might mean no disputes, 403 means missing scope
+          if (errCode === 404) {
+            disputes = [];
+          } else if (errCode === 403) {
+            // Missing sell.payment.dispute scope - seller needs to re-authorize
+            console.log(`[Fetch Payment Disputes] Seller ${sellerName}: Missing sell.payment.dispute scope - needs re-authorization`);
+            throw new Error(`Missing payment dispute scope - seller needs to re-connect eBay account`);
+          } else {
+            // Re-throw other errors
+            throw apiErr;
           }
+        }
 
-          let newDisputes = 0;
-          let updatedDisputes = 0;
-          let updateDetails = [];
+        let newDisputes = 0;
+        let updatedDisputes = 0;
+        let updateDetails = [];
 
-          for (const ebayDispute of disputes) {
-            const disputeData = {
-              seller: seller._id,
-              paymentDisputeId: ebayDispute.paymentDisputeId,
-              orderId: ebayDispute.orderId,
-              buyerUsername: ebayDispute.buyerUsername,
-
-              // Status & Reason
-              paymentDisputeStatus: ebayDispute.paymentDisputeStatus,
-              reason: ebayDispute.reason,
-
-              // Dates
-              openDate: ebayDispute.openDate ? new Date(ebayDispute.openDate) : null,
-              respondByDate: ebayDispute.respondByDate ? new Date(ebayDispute.respondByDate) : null,
-              closedDate: ebayDispute.closedDate ? new Date(ebayDispute.closedDate) : null,
-
-              // Amounts
-              amount: {
-                value: String(ebayDispute.amount?.value || 0),
-                currency: ebayDispute.amount?.currency || 'USD'
-              },
+        for (const ebayDispute of disputes) {
+          const disputeData = {
+            seller: seller._id,
+            paymentDisputeId: ebayDispute.paymentDisputeId,
+            orderId: ebayDispute.orderId,
+            buyerUsername: ebayDispute.buyerUsername,
+
+            // Status & Reason
+            paymentDisputeStatus: ebayDispute.paymentDisputeStatus,
+            reason: ebayDispute.reason,
+
+            // Dates
+            openDate: ebayDispute.openDate ? new Date(ebayDispute.openDate) : null,
+            respondByDate: ebayDispute.respondByDate ? new Date(ebayDispute.respondByDate) : null,
+            closedDate: ebayDispute.closedDate ? new Date(ebayDispute.closedDate) : null,
+
+            // Amounts
+            amount: {
+              value: String(ebayDispute.amount?.value || 0),
+              currency: ebayDispute.amount?.currency || 'USD'
+            },
 
-              // Resolution
-              sellerProtectionDecision: ebayDispute.sellerResponse?.sellerProtectionDecision || null,
-              resolution: ebayDispute.resolution?.resolutionType || null,
+            // Resolution
+            sellerProtectionDecision: ebayDispute.sellerResponse?.sellerProtectionDecision || null,
+            resolution: ebayDispute.resolution?.resolutionType || null,
 
-              // Evidence
-              evidenceDeadline: ebayDispute.evidenceDeadline ? new Date(ebayDispute.evidenceDeadline) : null,
+            // Evidence
+            evidenceDeadline: ebayDispute.evidenceDeadline ? new Date(ebayDispute.evidenceDeadline) : null,
 
-              rawData: ebayDispute
-            };
+            rawData: ebayDispute
+          };
 
-            const existing = await PaymentDispute.findOne({ paymentDisputeId: ebayDispute.paymentDisputeId });
+          const existing = await PaymentDispute.findOne({ paymentDisputeId: ebayDispute.paymentDisputeId });
 
-            if (existing) {
-              // Compare for changes
-              const statusChanged = existing.paymentDisputeStatus !== disputeData.paymentDisputeStatus;
-              const dueDateChanged = (existing.respondByDate?.getTime() || 0) !==
-                (disputeData.respondByDate?.getTime() || 0);
-
-              if (statusChanged || dueDateChanged) {
-                console.log(`[Update] Dispute ${ebayDispute.paymentDisputeId}: Status ${existing.paymentDisputeStatus} -> ${disputeData.paymentDisputeStatus}`);
-                existing.set(disputeData);
-                await existing.save();
-                updatedDisputes++;
-
-                updateDetails.push({
-                  paymentDisputeId: ebayDispute.paymentDisputeId,
-                  orderId: disputeData.orderId,
-                  changes: {
-                    ...(statusChanged && { status: { from: existing.paymentDisputeStatus, to: disputeData.paymentDisputeStatus } })
-                  }
-                });
-              }
-            } else {
-              await PaymentDispute.create(disputeData);
-              newDisputes++;
+          if (existing) {
+            // Compare for changes
+            const statusChanged = existing.paymentDisputeStatus !== disputeData.paymentDisputeStatus;
+            const dueDateChanged = (existing.respondByDate?.getTime() || 0) !==
+              (disputeData.respondByDate?.getTime() || 0);
+
+            if (statusChanged || dueDateChanged) {
+              console.log(`[Update] Dispute ${ebayDispute.paymentDisputeId}: Status ${existing.paymentDisputeStatus} -> ${disputeData.paymentDisputeStatus}`);
+              const previousStatus = existing.paymentDisputeStatus;
+              existing.set(disputeData);
+              await existing.save();
+              updatedDisputes++;
+              notifyDisputeAwaitingSeller(existing, previousStatus);
+
+              updateDetails.push({
+                paymentDisputeId: ebayDispute.paymentDisputeId,
+                orderId: disputeData.orderId,
+                changes: {
+                  ...(statusChanged && { status: { from: existing.paymentDisputeStatus, to: disputeData.paymentDisputeStatus } })
+                }
+              });
             }
+          } else {
+            const newDispute = await PaymentDispute.create(disputeData);
+            newDisputes++;
+            notifyDisputeAwaitingSeller(newDispute, null);
           }
-
-          return {
-            sellerName: sellerName,
-            newDisputes,
-            updatedDisputes,
-            updateDetails,
-            totalDisputes: disputes.length
-          };
-
-        } catch (err) {
-          console.error(`[Fetch Payment Disputes] Error for seller ${sellerName}:`, err.message);
-          throw new Error(`${sellerName}: ${err.message}`);
         }
-      })
-    );
 
-    const successResults = [];
-    results.forEach((result) => {
-      if (result.status === 'fulfilled') {
-        successResults.push(result.value);
-        totalNewDisputes += result.value.newDisputes;
-        totalUpdatedDisputes += result.value.updatedDisputes;
-      } else {
-        errors.push(result.reason.message);
+        return {
+          sellerName: sellerName,
+          newDisputes,
+          updatedDisputes,
+          updateDetails,
+          totalDisputes: disputes.length
+        };
+
+      } catch (err) {
+        console.error(`[Fetch Payment Disputes] Error for seller ${sellerName}:`, err.message);
+        throw new Error(`${sellerName}: ${err.message}`);
       }
-    });
+    })
+  );
+
+  const successResults = [];
+  results.forEach((result) => {
+    if (result.status === 'fulfilled') {
+      successResults.push(result.value);
+      totalNewDisputes += result.value.newDisputes;
+      totalUpdatedDisputes += result.value.updatedDisputes;
+    } else {
+      errors.push(result.reason.message);
+    }
+  });
 
-    res.json({
-      message: `Fetched payment disputes for ${successResults.length} sellers`,
-      totalNewDisputes,
-      totalUpdatedDisputes,
-      results: successResults,
-      errors: errors.length > 0 ? errors : undefined
-    });
+  return {
+    message: `Fetched payment disputes for ${successResults.length} sellers`,
+    totalNewDisputes,
+    totalUpdatedDisputes,
+    results: successResults,
+    errors: errors.length > 0 ? errors : undefined
+  };
+}
+
+router.post('/fetch-payment-disputes', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
+  try {
+    syncLocks = await acquireRouteSyncLocks(req, res, 'paymentDisputes', 'Payment dispute sync');
+    if (!syncLocks) return;
 
+    const result = await fetchSellerPaymentDisputes({ sellerIds: syncLocks.sellerIds });
+    res.json({ ...result, skippedSellers: syncLocks.busy.length > 0 ? syncLocks.busy : undefined });
   } catch (err) {
     console.error('[Fetch Payment Disputes] Error:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // Get stored Payment Disputes from database
-router.get('/stored-payment-disputes', async (req, res) => {
-  const { sellerId, status, reason, limit = 200 } = req.query;
+router.get('/stored-payment-disputes', requireAuth, requirePermission('returns.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, status, reason, assignedTo, limit = 200 } = req.query;
 
   try {
-    let query = {};
+    const assignee = assigneeMatch(req, assignedTo);
+    if (!assignee) return res.status(400).json({ error: 'Invalid assignedTo' });
+    let query = { ...sellerScopeMatch(req), ...assignee };
     if (sellerId) query.seller = sellerId;
     if (status) query.paymentDisputeStatus = status;
     if (reason) query.reason = reason;
@@ -5206,6 +5272,7 @@ router.get('/stored-payment-disputes', async (req, res) => {
           select: 'username'
         }
       })
+      .populate('assignedTo', 'username')
       .sort({ openDate: -1 })
       .limit(parseInt(limit));
 
@@ -5221,101 +5288,112 @@ router.get('/stored-payment-disputes', async (req, res) => {
 
 // 1. HEAVY SYNC: Fetch Inbox (Manual Trigger)
 // 1. HEAVY SYNC: Fetch Inbox (Smart Polling)
-router.post('/sync-inbox', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
-  try {
-    console.log('[Sync Inbox] Starting smart message sync...');
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true } }).populate('user', 'username email');
-    let totalNew = 0;
-    const syncResults = []; // Track per-seller results
-
-    for (const seller of sellers) {
-      const sellerName = seller.user?.username || seller.user?.email || seller._id;
-      try {
-        // 1. Ensure Token is Valid
-        const token = await ensureValidToken(seller);
+async function syncSellerInbox({ sellerIds } = {}) {
+  console.log('[Sync Inbox] Starting smart message sync...');
+  const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true }, ...sellerIdFilter(sellerIds) }).populate('user', 'username email');
+  let totalNew = 0;
+  const syncResults = []; // Track per-seller results
+
+  for (const seller of sellers) {
+    const sellerName = seller.user?.username || seller.user?.email || seller._id;
+    try {
+      // 1. Ensure Token is Valid
+      const token = await ensureValidToken(seller);
 
-        // 2. Determine Time Window (Smart Polling)
-        const now = new Date();
-        let startTime;
+      // 2. Determine Time Window (Smart Polling)
+      const now = new Date();
+      let startTime;
 
-        if (seller.lastMessagePolledAt) {
-          // INCREMENTAL SYNC: Fetch from last poll time
-          // We subtract 15 minutes overlap to ensure no messages are missed due to server latency
-          startTime = new Date(new Date(seller.lastMessagePolledAt).getTime() - 15 * 60 * 1000);
-          console.log(`[${sellerName}] Incremental sync from: ${startTime.toISOString()}`);
-        } else {
-          // INITIAL SYNC: Fetch last 12 Days
-          startTime = new Date(now.getTime() - 12 * 24 * 60 * 60 * 1000);
-          console.log(`[${sellerName}] First-time sync from: ${startTime.toISOString()} (Last 10 Days)`);
-        }
+      if (seller.lastMessagePolledAt) {
+        // INCREMENTAL SYNC: Fetch from last poll time
+        // We subtract 15 minutes overlap to ensure no messages are missed due to server latency
+        startTime = new Date(new Date(seller.lastMessagePolledAt).getTime() - 15 * 60 * 1000);
+        console.log(`[${sellerName}] Incremental sync from: ${startTime.toISOString()}`);
+      } else {
+        // INITIAL SYNC: Fetch last 12 Days
+        startTime = new Date(now.getTime() - 12 * 24 * 60 * 60 * 1000);
+        console.log(`[${sellerName}] First-time sync from: ${startTime.toISOString()} (Last 10 Days)`);
+      }
 
-        const startTimeStr = startTime.toISOString();
-        const endTimeStr = now.toISOString();
+      const startTimeStr = startTime.toISOString();
+      const endTimeStr = now.toISOString();
 
-        // 3. XML Request
-        const xmlRequest = `
-          <?xml version="1.0" encoding="utf-8"?>
-          <GetMemberMessagesRequest xmlns="urn:ebay:apis:eBLBaseComponents">
-            <RequesterCredentials><eBayAuthToken>${token}</eBayAuthToken></RequesterCredentials>
-            
-            <MailMessageType>All</MailMessageType>
-            
-            <StartCreationTime>${startTimeStr}</StartCreationTime>
-            <EndCreationTime>${endTimeStr}</EndCreationTime>
-            
-            <Pagination>
-              <EntriesPerPage>200</EntriesPerPage>
-              <PageNumber>1</PageNumber>
-            </Pagination>
-          </GetMemberMessagesRequest>
-        `;
+      // 3. XML Request
+      const xmlRequest = `
+        <?xml version="1.0" encoding="utf-8"?>
+        <GetMemberMessagesRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+          <RequesterCredentials><eBayAuthToken>${token}</eBayAuthToken></RequesterCredentials>
+          
+          <MailMessageType>All</MailMessageType>
+          
+          <StartCreationTime>${startTimeStr}</StartCreationTime>
+          <EndCreationTime>${endTimeStr}</EndCreationTime>
+          
+          <Pagination>
+            <EntriesPerPage>200</EntriesPerPage>
+            <PageNumber>1</PageNumber>
+          </Pagination>
+        </GetMemberMessagesRequest>
+      `;
 
-        const response = await axios.post('https://api.ebay.com/ws/api.dll', xmlRequest, {
-          headers: {
-            'X-EBAY-API-SITEID': '0',
-            'X-EBAY-API-COMPATIBILITY-LEVEL': '1423',
-            'X-EBAY-API-CALL-NAME': 'GetMemberMessages',
-            'Content-Type': 'text/xml'
-          }
-        });
+      const response = await axios.post('https://api.ebay.com/ws/api.dll', xmlRequest, {
+        headers: {
+          'X-EBAY-API-SITEID': '0',
+          'X-EBAY-API-COMPATIBILITY-LEVEL': '1423',
+          'X-EBAY-API-CALL-NAME': 'GetMemberMessages',
+          'Content-Type': 'text/xml'
+        }
+      });
 
-        const result = await parseStringPromise(response.data);
+      const result = await parseStringPromise(response.data);
 
-        if (result.GetMemberMessagesResponse.Ack[0] === 'Failure') {
-          const error = result.GetMemberMessagesResponse.Errors?.[0]?.LongMessage?.[0];
-          console.error(`eBay API Failure for seller ${seller._id}:`, error);
-          syncResults.push({ sellerName, newMessages: 0, error: error });
-          continue;
-        }
+      if (result.GetMemberMessagesResponse.Ack[0] === 'Failure') {
+        const error = result.GetMemberMessagesResponse.Errors?.[0]?.LongMessage?.[0];
+        console.error(`eBay API Failure for seller ${seller._id}:`, error);
+        syncResults.push({ sellerName, newMessages: 0, error: error });
+        continue;
+      }
 
-        const messages = result.GetMemberMessagesResponse.MemberMessage?.[0]?.MemberMessageExchange || [];
+      const messages = result.GetMemberMessagesResponse.MemberMessage?.[0]?.MemberMessageExchange || [];
 
-        // 4. Process Messages
-        let newForThisSeller = 0;
-        for (const msg of messages) {
-          const isNew = await processEbayMessage(msg, seller);
-          if (isNew) {
-            newForThisSeller++;
-            totalNew++;
-          }
+      // 4. Process Messages
+      let newForThisSeller = 0;
+      for (const msg of messages) {
+        const isNew = await processEbayMessage(msg, seller);
+        if (isNew) {
+          newForThisSeller++;
+          totalNew++;
         }
+      }
 
-        console.log(`[Sync Inbox] Seller ${sellerName}: Fetched ${messages.length}. Saved ${newForThisSeller} new.`);
-        syncResults.push({ sellerName, newMessages: newForThisSeller, fetched: messages.length });
+      console.log(`[Sync Inbox] Seller ${sellerName}: Fetched ${messages.length}. Saved ${newForThisSeller} new.`);
+      syncResults.push({ sellerName, newMessages: newForThisSeller, fetched: messages.length });
 
-        // 5. Update Polling Timestamp (Only on success)
-        seller.lastMessagePolledAt = now;
-        await seller.save();
+      // 5. Update Polling Timestamp (Only on success)
+      seller.lastMessagePolledAt = now;
+      await seller.save();
 
-      } catch (err) {
-        console.error(`Sync error for seller ${seller._id}:`, err.message);
-        syncResults.push({ sellerName, newMessages: 0, error: err.message });
-      }
+    } catch (err) {
+      console.error(`Sync error for seller ${seller._id}:`, err.message);
+      syncResults.push({ sellerName, newMessages: 0, error: err.message });
     }
+  }
+
+  return { success: true, totalNewMessages: totalNew, syncResults };
+}
 
-    res.json({ success: true, totalNewMessages: totalNew, syncResults });
+router.post('/sync-inbox', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
+  try {
+    syncLocks = await acquireRouteSyncLocks(req, res, 'messages', 'Message sync');
+    if (!syncLocks) return;
+
+    const result = await syncSellerInbox({ sellerIds: syncLocks.sellerIds });
+    res.json({ ...result, skippedSellers: syncLocks.busy.length > 0 ? syncLocks.busy : undefined });
   } catch (err) {
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
@@ -5325,7 +5403,7 @@ router.post('/sync-inbox', requireAuth, requireRole('fulfillmentadmin', 'superad
 //LIGHT SYNC: Active Thread Poll (Auto Interval)
 // Filters by SenderID to be lightweight
 // 2. LIGHT SYNC: Active Thread Poll
-router.post('/sync-thread', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.post('/sync-thread', requireAuth, requirePermission('messages.read'), enforceSellerScope, async (req, res) => {
   const { sellerId, buyerUsername, itemId } = req.body;
 
   if (!sellerId || !buyerUsername) return res.status(400).json({ error: 'Missing identifiers' });
@@ -5389,16 +5467,17 @@ router.post('/sync-thread', requireAuth, requireRole('fulfillmentadmin', 'supera
 // Helper: Upload Image to eBay Picture Services (EPS)
 // Buyers use the exact same process - they upload via eBay's UI which calls UploadSiteHostedPictures
 // The MediaURL we receive from buyers is also from i.ebayimg.com domain
-async function uploadImageToEbay(token, filePath) {
+// `image` is a file path or a Buffer; `name` becomes the eBay picture name
+async function uploadImageToEbay(token, image, name) {
   try {
-    console.log('[eBay Upload] Processing image:', filePath);
+    console.log('[eBay Upload] Processing image:', name);
 
     // Step 1: Process image with Sharp
-    const metadata = await sharp(filePath).metadata();
+    const metadata = await sharp(image).metadata();
     console.log('[eBay Upload] Original format:', metadata.format, `${metadata.width}x${metadata.height}`);
 
     // Step 2: Convert to JPEG with optimal settings for eBay
-    let processedBuffer = await sharp(filePath)
+    let processedBuffer = await sharp(image)
       .rotate() // Auto-rotate based on EXIF
       .resize(1600, 1600, {
         fit: 'inside',
@@ -5424,7 +5503,7 @@ async function uploadImageToEbay(token, filePath) {
 
     console.log(`[eBay Upload] Processed: ${fileSizeMB.toFixed(2)}MB JPEG`);
 
-    const fileName = path.basename(filePath).replace(/\.[^/.]+$/, '.jpg');
+    const fileName = name.replace(/\.[^/.]+$/, '.jpg');
 
     // Step 3: Use multipart/form-data (eBay's recommended method)
     const form = new FormData();
@@ -5486,7 +5565,7 @@ async function uploadImageToEbay(token, filePath) {
 }
 
 // 3. SEND MESSAGE (Chat Window)
-router.post('/send-message', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.post('/send-message', requireAuth, requirePermission('messages.send'), enforceSellerScope, async (req, res) => {
   const { orderId, buyerUsername, itemId, body, subject, mediaUrls } = req.body;
 
   try {
@@ -5504,7 +5583,7 @@ router.post('/send-message', requireAuth, requireRole('fulfillmentadmin', 'super
 
     // Determine if this is a transaction (ORDER), inquiry (INQUIRY), or direct (DIRECT)
     if (orderId) {
-      const order = await Order.findOne({ orderId }).populate('seller');
+      const order = await Order.findOne({ orderId, ...sellerScopeMatch(req) }).populate('seller');
       if (!order) return res.status(404).json({ error: 'Order not found' });
       seller = order.seller;
       finalItemId = order.lineItems?.[0]?.legacyItemId;
@@ -5513,8 +5592,8 @@ router.post('/send-message', requireAuth, requireRole('fulfillmentadmin', 'super
     } else {
       // Get the most recent message from this buyer
       const query = isDirect
-        ? { buyerUsername, itemId: 'DIRECT_MESSAGE', sender: 'BUYER' }
-        : { buyerUsername, itemId, sender: 'BUYER' };
+        ? { buyerUsername, itemId: 'DIRECT_MESSAGE', sender: 'BUYER', ...sellerScopeMatch(req) }
+        : { buyerUsername, itemId, sender: 'BUYER', ...sellerScopeMatch(req) };
 
       const prevMsg = await Message.findOne(query)
         .sort({ messageDate: -1 })
@@ -5565,20 +5644,31 @@ router.post('/send-message', requireAuth, requireRole('fulfillmentadmin', 'super
     if (mediaUrls && mediaUrls.length > 0) {
       console.log(`[Send Message] Processing ${mediaUrls.length} images...`);
 
-      // Convert local URLs to file paths and upload to eBay
+      // Resolve /api/upload URLs to stored files and upload them to eBay
       for (const url of mediaUrls) {
         try {
-          // Extract filename from URL (e.g., http://localhost:5000/uploads/123.jpg -> 123.jpg)
-          const filename = url.split('/').pop();
-          const filePath = path.join(process.cwd(), 'public/uploads', filename);
+          // Only chat attachments may be sent - never other stored files such as employee documents
+          const key = storageKeyFromUrl(url);
+          let image = null;
+          let filename;
+
+          if (key && key.startsWith('uploads/')) {
+            filename = path.basename(key);
+            image = await getFile(key);
+          } else if (!key) {
+            // Older uploads were served from public/uploads (e.g. http://localhost:5000/uploads/123.jpg)
+            filename = path.basename(String(url).split('?')[0]);
+            const filePath = path.join(process.cwd(), 'public/uploads', filename);
+            if (fs.existsSync(filePath)) image = filePath;
+          }
 
-          if (fs.existsSync(filePath)) {
+          if (image) {
             console.log(`[Send Message] Uploading ${filename} to eBay...`);
-            const ebayUrl = await uploadImageToEbay(token, filePath);
+            const ebayUrl = await uploadImageToEbay(token, image, filename);
             console.log(`[Send Message] Uploaded: ${ebayUrl}`);
             finalMediaUrls.push(ebayUrl);
           } else {
-            console.warn(`[Send Message] File not found: ${filePath}`);
+            console.warn(`[Send Message] File not found: ${url}`);
           }
         } catch (err) {
           console.error(`[Send Message] Failed to upload image: ${err.message}`);
@@ -5671,6 +5761,15 @@ router.post('/send-message', requireAuth, requireRole('fulfillmentadmin', 'super
         messageDate: new Date()
       });
 
+      if (orderId) {
+        await recordActivity('order', orderId, {
+          type: 'message-sent',
+          body: `Message to ${finalBuyer}: ${body}`,
+          author: req.user.userId,
+          data: { messageId: newMsg._id, subject: newMsg.subject }
+        });
+      }
+
       console.log(`[Send Message] ✅ Message sent successfully using ${callName}`);
       return res.json({ success: true, message: newMsg });
     } else {
@@ -5687,7 +5786,7 @@ router.post('/send-message', requireAuth, requireRole('fulfillmentadmin', 'super
 // 4. GET THREADS (Sidebar List)
 
 // 4. GET THREADS (With Pagination & Search)
-router.get('/chat/threads', requireAuth, async (req, res) => {
+router.get('/chat/threads', requireAuth, requirePermission('messages.read'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId, page = 1, limit = 20, search = '', filterType = 'ALL', filterMarketplace = '', showUnreadOnly = 'false' } = req.query;
 
@@ -5699,11 +5798,10 @@ router.get('/chat/threads', requireAuth, async (req, res) => {
     // Build the aggregation pipeline
     const pipeline = [];
 
-    // 1. FILTER BY SELLER
-    if (sellerId) {
-      pipeline.push({
-        $match: { seller: new mongoose.Types.ObjectId(sellerId) }
-      });
+    // 1. FILTER BY SELLER (no sellerId = every seller the caller may see)
+    const sellerMatch = scopedSellerMatch(req, sellerId);
+    if (Object.keys(sellerMatch).length > 0) {
+      pipeline.push({ $match: sellerMatch });
     }
 
     // 2. Sort by date (Process latest messages first)
@@ -5994,11 +6092,11 @@ router.get('/chat/threads', requireAuth, async (req, res) => {
 
 
 // 5. GET MESSAGES (Chat Window)
-router.get('/chat/messages', requireAuth, async (req, res) => {
+router.get('/chat/messages', requireAuth, requirePermission('messages.read'), enforceSellerScope, async (req, res) => {
   const { orderId, buyerUsername, itemId } = req.query;
 
   try {
-    let query = {};
+    let query = { ...sellerScopeMatch(req) };
     if (orderId) {
       query.orderId = orderId;
     } else if (buyerUsername && itemId) {
@@ -6024,10 +6122,10 @@ router.get('/chat/messages', requireAuth, async (req, res) => {
 
 // 6. SEARCH ORDER FOR NEW CHAT
 
-router.get('/chat/search-order', requireAuth, async (req, res) => {
+router.get('/chat/search-order', requireAuth, requirePermission('messages.read'), enforceSellerScope, async (req, res) => {
   const { orderId } = req.query;
   try {
-    const order = await Order.findOne({ orderId }).populate('seller');
+    const order = await Order.findOne({ orderId, ...sellerScopeMatch(req) }).populate('seller');
     if (!order) return res.status(404).json({ error: 'Order not found' });
 
     // Get Full Name
@@ -6055,11 +6153,11 @@ router.get('/chat/search-order', requireAuth, async (req, res) => {
 });
 
 // 7. MARK CONVERSATION AS UNREAD
-router.post('/chat/mark-unread', requireAuth, async (req, res) => {
+router.post('/chat/mark-unread', requireAuth, requirePermission('messages.send'), enforceSellerScope, async (req, res) => {
   const { orderId, buyerUsername, itemId } = req.body;
 
   try {
-    let query = {};
+    let query = { ...sellerScopeMatch(req) };
     if (orderId) {
       query.orderId = orderId;
     } else if (buyerUsername && itemId) {
@@ -6085,9 +6183,13 @@ router.post('/chat/mark-unread', requireAuth, async (req, res) => {
 
 // Fetch buyer messages/inquiries from eBay Post-Order API and store in DB
 // Fetch buyer messages/inquiries from eBay Post-Order API and store in DB
-router.post('/fetch-messages', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.post('/fetch-messages', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  let syncLocks = null;
   try {
-    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true } })
+    syncLocks = await acquireRouteSyncLocks(req, res, 'inquiries', 'Inquiry sync');
+    if (!syncLocks) return;
+
+    const sellers = await Seller.find({ 'ebayTokens.access_token': { $exists: true }, ...sellerIdFilter(syncLocks.sellerIds) })
       .populate('user', 'username');
 
     if (sellers.length === 0) {
@@ -6225,15 +6327,17 @@ router.post('/fetch-messages', requireAuth, requireRole('fulfillmentadmin', 'sup
   } catch (err) {
     console.error('[Fetch Messages] Error:', err);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // Get stored messages from database
-router.get('/stored-messages', async (req, res) => {
+router.get('/stored-messages', requireAuth, requirePermission('messages.read'), enforceSellerScope, async (req, res) => {
   const { sellerId, isResolved, limit = 100 } = req.query;
 
   try {
-    let query = {};
+    let query = { ...sellerScopeMatch(req) };
     if (sellerId) {
       query.seller = sellerId;
     }
@@ -6258,7 +6362,7 @@ router.get('/stored-messages', async (req, res) => {
 
 
 // Mark message as resolved
-router.patch('/messages/:messageId/resolve', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.patch('/messages/:messageId/resolve', requireAuth, requirePermission('messages.send'), enforceSellerScope, requireRecordSellerAccess(Message, 'messageId'), async (req, res) => {
   const { messageId } = req.params;
   const { isResolved } = req.body;
 
@@ -6307,13 +6411,17 @@ function extractCleanDescription(fullHtml) {
 }
 
 // 1. POLL ACTIVE LISTINGS (With Pagination Loop)
-router.post('/sync-listings', requireAuth, async (req, res) => {
+router.post('/sync-listings', requireAuth, requirePermission('listings.sync'), enforceSellerScope, async (req, res) => {
   const { sellerId } = req.body;
 
+  let syncLocks = null;
   try {
     const seller = await Seller.findById(sellerId);
     if (!seller) return res.status(404).json({ error: "Seller not found" });
 
+    syncLocks = await acquireRouteSyncLocks(req, res, 'motorsListings', 'Motors listing sync', [seller._id]);
+    if (!syncLocks) return;
+
     const token = await ensureValidToken(seller);
 
     // --- DATE LOGIC ---
@@ -6459,11 +6567,13 @@ router.post('/sync-listings', requireAuth, async (req, res) => {
 
   } catch (err) {
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // 2. GET LISTINGS (With Search & Sort) - For Compatibility Dashboard (Uses Listing collection)
-router.get('/listings', requireAuth, async (req, res) => {
+router.get('/listings', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   const { sellerId, page = 1, limit = 50, search } = req.query;
   try {
     const pageNum = parseInt(page);
@@ -6471,7 +6581,7 @@ router.get('/listings', requireAuth, async (req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     // Base Query
-    let query = { seller: sellerId, listingStatus: 'Active' };
+    let query = { ...scopedSellerMatch(req, sellerId), listingStatus: 'Active' };
 
     // --- SEARCH LOGIC ---
     if (search && search.trim() !== '') {
@@ -6504,7 +6614,7 @@ router.get('/listings', requireAuth, async (req, res) => {
 });
 
 // 3. REFRESH SINGLE ITEM (GetItem)
-router.post('/refresh-item', requireAuth, async (req, res) => {
+router.post('/refresh-item', requireAuth, requirePermission('listings.sync'), enforceSellerScope, async (req, res) => {
   const { sellerId, itemId } = req.body;
 
   try {
@@ -6697,7 +6807,7 @@ async function getCachedUsageStats(sellerId, token) {
 }
 
 // 4. UPDATE COMPATIBILITY (Using ReplaceAll Strategy)
-router.post('/update-compatibility', requireAuth, async (req, res) => {
+router.post('/update-compatibility', requireAuth, requirePermission('compatibility.edit', 'listings.sync'), enforceSellerScope, async (req, res) => {
   const { sellerId, itemId, compatibilityList } = req.body;
   try {
     const seller = await Seller.findById(sellerId);
@@ -6828,119 +6938,138 @@ router.post('/update-compatibility', requireAuth, async (req, res) => {
 // EDIT ACTIVE LISTINGS - SYNC ALL LISTINGS
 // ============================================
 // Syncs ALL active listings (not just Motors) for editing title/description/price
-router.post('/sync-all-listings', requireAuth, async (req, res) => {
-  const { sellerId } = req.body;
+async function syncSellerActiveListings(seller) {
+  const token = await ensureValidToken(seller);
 
-  try {
-    const seller = await Seller.findById(sellerId);
-    if (!seller) return res.status(404).json({ error: "Seller not found" });
+  // Use a fixed start date for initial sync (Feb 3, 2026)
+  const defaultStartDate = new Date('2026-02-03T00:00:00Z');
+  const startTimeFrom = seller.lastAllListingsPolledAt || defaultStartDate;
+  const startTimeTo = new Date();
 
-    const token = await ensureValidToken(seller);
+  let page = 1;
+  let totalPages = 1;
+  let processedCount = 0;
 
-    // Use a fixed start date for initial sync (Feb 3, 2026)
-    const defaultStartDate = new Date('2026-02-03T00:00:00Z');
-    const startTimeFrom = seller.lastAllListingsPolledAt || defaultStartDate;
-    const startTimeTo = new Date();
+  do {
+    console.log(`[Sync All Listings] Fetching Page ${page}...`);
 
-    let page = 1;
-    let totalPages = 1;
-    let processedCount = 0;
+    const xmlRequest = `
+      <?xml version="1.0" encoding="utf-8"?>
+      <GetSellerListRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+        <RequesterCredentials><eBayAuthToken>${token}</eBayAuthToken></RequesterCredentials>
+        <ErrorLanguage>en_US</ErrorLanguage>
+        <WarningLevel>High</WarningLevel>
+        <DetailLevel>ItemReturnDescription</DetailLevel>
+        <StartTimeFrom>${new Date(startTimeFrom).toISOString()}</StartTimeFrom>
+        <StartTimeTo>${startTimeTo.toISOString()}</StartTimeTo>
+        <IncludeWatchCount>true</IncludeWatchCount>
+        <Pagination>
+          <EntriesPerPage>100</EntriesPerPage>
+          <PageNumber>${page}</PageNumber>
+        </Pagination>
+        <OutputSelector>ItemArray.Item.ItemID</OutputSelector>
+        <OutputSelector>ItemArray.Item.Title</OutputSelector>
+        <OutputSelector>ItemArray.Item.SKU</OutputSelector>
+        <OutputSelector>ItemArray.Item.SellingStatus</OutputSelector>
+        <OutputSelector>ItemArray.Item.ListingStatus</OutputSelector>
+        <OutputSelector>ItemArray.Item.Description</OutputSelector>
+        <OutputSelector>ItemArray.Item.PictureDetails</OutputSelector>
+        <OutputSelector>ItemArray.Item.PrimaryCategory</OutputSelector>
+        <OutputSelector>ItemArray.Item.ListingDetails</OutputSelector>
+        <OutputSelector>PaginationResult</OutputSelector>
+      </GetSellerListRequest>
+    `;
 
-    do {
-      console.log(`[Sync All Listings] Fetching Page ${page}...`);
+    const response = await axios.post('https://api.ebay.com/ws/api.dll', xmlRequest, {
+      headers: {
+        'X-EBAY-API-SITEID': '0', // Use SiteID 0 for all listings (not just Motors)
+        'X-EBAY-API-COMPATIBILITY-LEVEL': '1423',
+        'X-EBAY-API-CALL-NAME': 'GetSellerList',
+        'Content-Type': 'text/xml'
+      }
+    });
 
-      const xmlRequest = `
-        <?xml version="1.0" encoding="utf-8"?>
-        <GetSellerListRequest xmlns="urn:ebay:apis:eBLBaseComponents">
-          <RequesterCredentials><eBayAuthToken>${token}</eBayAuthToken></RequesterCredentials>
-          <ErrorLanguage>en_US</ErrorLanguage>
-          <WarningLevel>High</WarningLevel>
-          <DetailLevel>ItemReturnDescription</DetailLevel>
-          <StartTimeFrom>${new Date(startTimeFrom).toISOString()}</StartTimeFrom>
-          <StartTimeTo>${startTimeTo.toISOString()}</StartTimeTo>
-          <IncludeWatchCount>true</IncludeWatchCount>
-          <Pagination>
-            <EntriesPerPage>100</EntriesPerPage>
-            <PageNumber>${page}</PageNumber>
-          </Pagination>
-          <OutputSelector>ItemArray.Item.ItemID</OutputSelector>
-          <OutputSelector>ItemArray.Item.Title</OutputSelector>
-          <OutputSelector>ItemArray.Item.SKU</OutputSelector>
-          <OutputSelector>ItemArray.Item.SellingStatus</OutputSelector>
-          <OutputSelector>ItemArray.Item.ListingStatus</OutputSelector>
-          <OutputSelector>ItemArray.Item.Description</OutputSelector>
-          <OutputSelector>ItemArray.Item.PictureDetails</OutputSelector>
-          <OutputSelector>ItemArray.Item.PrimaryCategory</OutputSelector>
-          <OutputSelector>ItemArray.Item.ListingDetails</OutputSelector>
-          <OutputSelector>PaginationResult</OutputSelector>
-        </GetSellerListRequest>
-      `;
+    const result = await parseStringPromise(response.data);
+    if (result.GetSellerListResponse.Ack[0] === 'Failure') {
+      throw new Error(result.GetSellerListResponse.Errors[0].LongMessage[0]);
+    }
 
-      const response = await axios.post('https://api.ebay.com/ws/api.dll', xmlRequest, {
-        headers: {
-          'X-EBAY-API-SITEID': '0', // Use SiteID 0 for all listings (not just Motors)
-          'X-EBAY-API-COMPATIBILITY-LEVEL': '1423',
-          'X-EBAY-API-CALL-NAME': 'GetSellerList',
-          'Content-Type': 'text/xml'
-        }
-      });
+    const pagination = result.GetSellerListResponse.PaginationResult[0];
+    totalPages = parseInt(pagination.TotalNumberOfPages[0]);
+    const items = result.GetSellerListResponse.ItemArray?.[0]?.Item || [];
+    const skuEntries = [];
 
-      const result = await parseStringPromise(response.data);
-      if (result.GetSellerListResponse.Ack[0] === 'Failure') {
-        throw new Error(result.GetSellerListResponse.Errors[0].LongMessage[0]);
-      }
+    for (const item of items) {
+      const status = item.SellingStatus?.[0]?.ListingStatus?.[0];
+      if (status !== 'Active') continue;
 
-      const pagination = result.GetSellerListResponse.PaginationResult[0];
-      totalPages = parseInt(pagination.TotalNumberOfPages[0]);
-      const items = result.GetSellerListResponse.ItemArray?.[0]?.Item || [];
+      const categoryName = item.PrimaryCategory?.[0]?.CategoryName?.[0] || '';
+      const rawHtml = item.Description ? item.Description[0] : '';
+      const cleanHtml = extractCleanDescription(rawHtml);
 
-      for (const item of items) {
-        const status = item.SellingStatus?.[0]?.ListingStatus?.[0];
-        if (status !== 'Active') continue;
+      // Upsert to ActiveListing collection (separate from Motors Listing collection)
+      await ActiveListing.findOneAndUpdate(
+        { itemId: item.ItemID[0] },
+        {
+          seller: seller._id,
+          title: item.Title[0],
+          sku: item.SKU ? item.SKU[0] : '',
+          currentPrice: parseFloat(item.SellingStatus[0].CurrentPrice[0]._),
+          currency: item.SellingStatus[0].CurrentPrice[0].$.currencyID,
+          listingStatus: status,
+          mainImageUrl: item.PictureDetails?.[0]?.PictureURL?.[0] || '',
+          categoryName: categoryName,
+          descriptionPreview: cleanHtml,
+          startTime: item.ListingDetails?.[0]?.StartTime?.[0]
+        },
+        { upsert: true }
+      );
+      if (item.SKU?.[0]) skuEntries.push({ seller: seller._id, sku: item.SKU[0], itemId: item.ItemID[0] });
+      processedCount++;
+    }
 
-        const categoryName = item.PrimaryCategory?.[0]?.CategoryName?.[0] || '';
-        const rawHtml = item.Description ? item.Description[0] : '';
-        const cleanHtml = extractCleanDescription(rawHtml);
+    // Link the SKUs to their item IDs (and ASINs) in the SKU registry
+    try {
+      await recordSkuMappings(skuEntries, 'sync');
+    } catch (err) {
+      console.error('[Sync All Listings] Failed to record SKU mappings:', err.message);
+    }
+    page++;
+  } while (page <= totalPages);
 
-        // Upsert to ActiveListing collection (separate from Motors Listing collection)
-        await ActiveListing.findOneAndUpdate(
-          { itemId: item.ItemID[0] },
-          {
-            seller: seller._id,
-            title: item.Title[0],
-            sku: item.SKU ? item.SKU[0] : '',
-            currentPrice: parseFloat(item.SellingStatus[0].CurrentPrice[0]._),
-            currency: item.SellingStatus[0].CurrentPrice[0].$.currencyID,
-            listingStatus: status,
-            mainImageUrl: item.PictureDetails?.[0]?.PictureURL?.[0] || '',
-            categoryName: categoryName,
-            descriptionPreview: cleanHtml,
-            startTime: item.ListingDetails?.[0]?.StartTime?.[0]
-          },
-          { upsert: true }
-        );
-        processedCount++;
-      }
-      page++;
-    } while (page <= totalPages);
+  // Update last polled timestamp
+  seller.lastAllListingsPolledAt = startTimeTo;
+  await seller.save();
 
-    // Update last polled timestamp
-    seller.lastAllListingsPolledAt = startTimeTo;
-    await seller.save();
+  return {
+    success: true,
+    processedCount,
+    message: `Synced ${processedCount} active listings.`
+  };
+}
 
-    res.json({
-      success: true,
-      message: `Synced ${processedCount} active listings.`
-    });
+router.post('/sync-all-listings', requireAuth, requirePermission('listings.sync'), enforceSellerScope, async (req, res) => {
+  const { sellerId } = req.body;
+
+  let syncLocks = null;
+  try {
+    const seller = await Seller.findById(sellerId);
+    if (!seller) return res.status(404).json({ error: "Seller not found" });
+
+    syncLocks = await acquireRouteSyncLocks(req, res, 'listings', 'Listing sync', [seller._id]);
+    if (!syncLocks) return;
 
+    res.json(await syncSellerActiveListings(seller));
   } catch (err) {
     console.error('[Sync All Listings] Error:', err.message);
     res.status(500).json({ error: err.message });
+  } finally {
+    await syncLocks?.release();
   }
 });
 
 // GET ALL LISTINGS (Without Motors filter)
-router.get('/all-listings', requireAuth, async (req, res) => {
+router.get('/all-listings', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   const { sellerId, page = 1, limit = 50, search } = req.query;
   try {
     const pageNum = parseInt(page);
@@ -6948,7 +7077,7 @@ router.get('/all-listings', requireAuth, async (req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     // Base Query - no category filter
-    let query = { seller: sellerId, listingStatus: 'Active' };
+    let query = { ...scopedSellerMatch(req, sellerId), listingStatus: 'Active' };
 
     // Search Logic
     if (search && search.trim() !== '') {
@@ -6979,15 +7108,39 @@ router.get('/all-listings', requireAuth, async (req, res) => {
   }
 });
 
+// Price history for hand edits; the repricer records its own changes (lib/repricing.js)
+async function recordManualPriceChange(req, { sellerId, itemId, listing, newPrice, error }) {
+  try {
+    await PriceChange.create({
+      seller: sellerId,
+      itemId,
+      sku: listing?.sku,
+      oldPrice: listing?.currentPrice,
+      newPrice,
+      currency: listing?.currency || 'USD',
+      source: 'manual',
+      user: req.user.userId,
+      status: error ? 'failed' : 'applied',
+      error
+    });
+  } catch (err) {
+    console.error('[Update Listing] Failed to record price change:', err.message);
+  }
+}
+
 // UPDATE LISTING (Title, Description, Price)
-router.post('/update-listing', requireAuth, async (req, res) => {
+router.post('/update-listing', requireAuth, requirePermission('listings.sync'), enforceSellerScope, async (req, res) => {
   const { sellerId, itemId, title, description, price } = req.body;
+  const newPrice = price !== undefined && price !== null ? parseFloat(price) : null;
+  let listing = null;
+  let priceSent = false;
 
   try {
     const seller = await Seller.findById(sellerId);
     if (!seller) return res.status(404).json({ error: 'Seller not found' });
 
     const token = await ensureValidToken(seller);
+    listing = await ActiveListing.findOne({ itemId }).select('sku currentPrice currency').lean();
 
     // Build Item XML content
     let itemContent = `<ItemID>${itemId}</ItemID>`;
@@ -7001,8 +7154,9 @@ router.post('/update-listing', requireAuth, async (req, res) => {
       itemContent += `<Description><![CDATA[${description}]]></Description>`;
     }
 
-    if (price !== undefined && price !== null) {
-      itemContent += `<StartPrice>${parseFloat(price).toFixed(2)}</StartPrice>`;
+    if (newPrice !== null) {
+      itemContent += `<StartPrice>${newPrice.toFixed(2)}</StartPrice>`;
+      priceSent = true;
     }
 
     const xmlRequest = `
@@ -7049,7 +7203,7 @@ router.post('/update-listing', requireAuth, async (req, res) => {
     const updateFields = {};
     if (title) updateFields.title = title;
     if (description !== undefined) updateFields.descriptionPreview = extractCleanDescription(description);
-    if (price !== undefined && price !== null) updateFields.currentPrice = parseFloat(price);
+    if (newPrice !== null) updateFields.currentPrice = newPrice;
 
     if (Object.keys(updateFields).length > 0) {
       await ActiveListing.findOneAndUpdate(
@@ -7058,10 +7212,17 @@ router.post('/update-listing', requireAuth, async (req, res) => {
       );
     }
 
+    if (newPrice !== null && newPrice !== listing?.currentPrice) {
+      await recordManualPriceChange(req, { sellerId, itemId, listing, newPrice });
+    }
+
     res.json({ success: true, warning: warningMessage });
 
   } catch (err) {
     console.error('[Update Listing] Error:', err.message);
+    if (priceSent) {
+      await recordManualPriceChange(req, { sellerId, itemId, listing, newPrice, error: err.message });
+    }
     res.status(500).json({ error: err.message });
   }
 });
@@ -7140,7 +7301,7 @@ async function fetchEbayRateLimits(accessToken, forceRefresh = false) {
 }
 
 // 4.5. GET EBAY API USAGE STATS (single seller — for compatibility dashboard badge)
-router.get('/api-usage-stats', requireAuth, async (req, res) => {
+router.get('/api-usage-stats', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   const { sellerId } = req.query;
 
   if (!sellerId) {
@@ -7179,12 +7340,12 @@ router.get('/api-usage-stats', requireAuth, async (req, res) => {
 // 4.6. GET EBAY API USAGE STATS (app-level — same for all sellers)
 // Calls eBay ONCE (not once per seller) since limits are app-level.
 // Uses a 5-minute cache to avoid inflating developer API usage.
-router.get('/api-usage-stats/all', requireAuth, async (req, res) => {
+router.get('/api-usage-stats/all', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const forceRefresh = req.query.refresh === 'true';
 
     // Get any one seller to use their token — result is the same for all
-    const sellers = await Seller.find({}).populate('user');
+    const sellers = await Seller.find(sellerScopeMatch(req, '_id')).populate('user');
     if (sellers.length === 0) {
       return res.json({ success: true, rateLimits: [], sellers: [], fetchedAt: null });
     }
@@ -7220,7 +7381,7 @@ router.get('/api-usage-stats/all', requireAuth, async (req, res) => {
 });
 
 // 5. GET COMPATIBILITY METADATA (REST API Version)
-router.post('/compatibility/values', requireAuth, async (req, res) => {
+router.post('/compatibility/values', requireAuth, requirePermission('compatibility.edit', 'listings.read'), enforceSellerScope, async (req, res) => {
   const { sellerId, propertyName, constraints } = req.body;
 
   try {
@@ -7297,7 +7458,7 @@ router.post('/compatibility/values', requireAuth, async (req, res) => {
 
 // --- NEW ROUTE 1: UPSERT CONVERSATION TAGS (Called from BuyerChatPage) ---
 // 
-router.post('/conversation-meta', requireAuth, async (req, res) => {
+router.post('/conversation-meta', requireAuth, requirePermission('messages.send'), enforceSellerScope, async (req, res) => {
   const { sellerId, buyerUsername, orderId, itemId, category, caseStatus } = req.body;
 
   if (!category || !caseStatus) {
@@ -7343,7 +7504,7 @@ router.post('/conversation-meta', requireAuth, async (req, res) => {
 });
 
 // --- NEW ROUTE 2: FETCH TAGS FOR THREAD (Called from BuyerChatPage) ---
-router.get('/conversation-meta/single', requireAuth, async (req, res) => {
+router.get('/conversation-meta/single', requireAuth, requirePermission('messages.read'), enforceSellerScope, async (req, res) => {
   const { sellerId, buyerUsername, orderId, itemId } = req.query;
 
   try {
@@ -7365,11 +7526,11 @@ router.get('/conversation-meta/single', requireAuth, async (req, res) => {
 
 // --- NEW ROUTE 3: GET MANAGEMENT LIST (Called from ConversationManagementPage) ---
 // 
-router.get('/conversation-management/list', requireAuth, async (req, res) => {
+router.get('/conversation-management/list', requireAuth, requirePermission('messages.read'), enforceSellerScope, async (req, res) => {
   const { status } = req.query;
 
   try {
-    let query = {};
+    let query = { ...sellerScopeMatch(req) };
     if (status) {
       const statuses = String(status)
         .split(',')
@@ -7526,7 +7687,7 @@ router.get('/conversation-management/list', requireAuth, async (req, res) => {
 });
 
 // --- NEW ROUTE 4: RESOLVE CONVERSATION (Called from Management Modal) ---
-router.patch('/conversation-management/:id/resolve', requireAuth, async (req, res) => {
+router.patch('/conversation-management/:id/resolve', requireAuth, requirePermission('messages.send'), enforceSellerScope, requireRecordSellerAccess(ConversationMeta, 'id'), async (req, res) => {
   const { id } = req.params;
   const { notes, status } = req.body;
 
@@ -7550,7 +7711,7 @@ router.patch('/conversation-management/:id/resolve', requireAuth, async (req, re
 
 
 //Manual fields to upadte for amazon 
-router.patch('/orders/:orderId/manual-fields', requireAuth, async (req, res) => {
+router.patch('/orders/:orderId/manual-fields', requireAuth, requirePermission('orders.edit'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId'), async (req, res) => {
   const { orderId } = req.params;
   const updates = req.body;
 
@@ -7581,34 +7742,28 @@ router.patch('/orders/:orderId/manual-fields', requireAuth, async (req, res) =>
     // Find the order first to get full data for USD recalculation
     const order = await Order.findById(orderId);
     if (!order) return res.status(404).json({ error: 'Order not found' });
+    const before = order.toObject();
 
-    // Apply manual updates to order object
+    // Amazon fields are stored on the order's Amazon purchase and rolled up from there
+    // (recalculates the USD values and Amazon financials)
+    const purchaseFields = {};
     Object.keys(updateData).forEach(key => {
-      order[key] = updateData[key];
+      if (ORDER_PURCHASE_FIELDS.includes(key)) purchaseFields[key] = updateData[key];
+      else order[key] = updateData[key];
     });
+    if (Object.keys(purchaseFields).length > 0) {
+      const { conflict, error } = await applyOrderSheetFields(order, purchaseFields, req.user.userId);
+      if (error) return res.status(400).json({ error });
+      if (conflict) return res.status(409).json({ error: conflict });
+    }
 
     // Check if any monetary fields were updated
     const monetaryFields = ['beforeTax', 'estimatedTax', 'amazonRefund'];
     const updatedMonetaryField = Object.keys(updates).some(key => monetaryFields.includes(key));
 
-    // Recalculate USD values if monetary fields were updated
-    if (updatedMonetaryField) {
-      const usdUpdates = recalculateUSDFields(order);
-      Object.keys(usdUpdates).forEach(key => {
-        order[key] = usdUpdates[key];
-      });
-
-      // If beforeTaxUSD or estimatedTaxUSD changed, recalculate Amazon financials
-      if (updates.beforeTax !== undefined || updates.estimatedTax !== undefined) {
-        const amazonFinancials = await calculateAmazonFinancials(order);
-        Object.keys(amazonFinancials).forEach(key => {
-          order[key] = amazonFinancials[key];
-        });
-      }
-    }
-
     // Save the updated order
     await order.save();
+    await recordAudit(req, 'Order', before, order);
 
     // Populate seller info for response
     await order.populate({
@@ -7630,7 +7785,7 @@ router.patch('/orders/:orderId/manual-fields', requireAuth, async (req, res) =>
 });
 
 // Get item images from eBay Trading API (with caching)
-router.get('/item-images/:itemId', requireAuth, async (req, res) => {
+router.get('/item-images/:itemId', requireAuth, requirePermission('orders.read', 'listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { itemId } = req.params;
     const { sellerId, thumbnail } = req.query; // Add thumbnail parameter
@@ -7743,7 +7898,7 @@ router.get('/item-images/:itemId', requireAuth, async (req, res) => {
 // ============================================
 
 // Get cache statistics (Admin only)
-router.get('/cache/stats', requireAuth, requireRole('superadmin', 'fulfillmentadmin'), (req, res) => {
+router.get('/cache/stats', requireAuth, requirePermission('system.cacheStats'), enforceSellerScope, (req, res) => {
   try {
     const stats = imageCache.getStats();
     const sizeInfo = imageCache.getSizeInfo();
@@ -7760,7 +7915,7 @@ router.get('/cache/stats', requireAuth, requireRole('superadmin', 'fulfillmentad
 });
 
 // Clear cache (Admin only)
-router.post('/cache/clear', requireAuth, requireRole('superadmin'), (req, res) => {
+router.post('/cache/clear', requireAuth, requirePermission('system.cacheClear'), enforceSellerScope, (req, res) => {
   try {
     imageCache.clear();
     res.json({
@@ -7774,7 +7929,7 @@ router.post('/cache/clear', requireAuth, requireRole('superadmin'), (req, res) =
 });
 
 // Seller Analytics - Aggregated data by day/week/month
-router.get('/seller-analytics', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc'), async (req, res) => {
+router.get('/seller-analytics', requireAuth, requirePermission('analytics.sellers'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId, groupBy = 'day', startDate, endDate, marketplace } = req.query;
 
@@ -7816,9 +7971,7 @@ router.get('/seller-analytics', requireAuth, requireRole('fulfillmentadmin', 'su
     end.setUTCHours(PST_OFFSET_HOURS - 1, 59, 59, 999);
     matchQuery.dateSold.$lte = end;
 
-    if (sellerId) {
-      matchQuery.seller = new mongoose.Types.ObjectId(sellerId);
-    }
+    Object.assign(matchQuery, scopedSellerMatch(req, sellerId));
 
     if (marketplace) {
       // Handle Canada marketplace mapping: EBAY_ENCA → EBAY_CA
@@ -7898,8 +8051,29 @@ router.get('/seller-analytics', requireAuth, requireRole('fulfillmentadmin', 'su
   }
 });
 
+// Worksheet status change; working an unassigned item makes it the caller's (lib/workQueue.js)
+function worksheetStatusUpdate(req, before, worksheetStatus) {
+  const update = { worksheetStatus };
+  if (before && !before.assignedTo && worksheetStatus !== 'open') {
+    Object.assign(update, { assignedTo: req.user.userId, assignedAt: new Date(), assignedBy: req.user.userId });
+  }
+  return update;
+}
+
+// Worksheet status changes go into the item's activity thread (lib/activity.js)
+async function worksheetStatusActivity(req, kind, id, before, worksheetStatus) {
+  const from = before?.worksheetStatus || 'open';
+  if (from === worksheetStatus) return;
+  await recordActivity(kind, id, {
+    type: 'status-change',
+    body: `Worksheet status: ${from} → ${worksheetStatus}`,
+    author: req.user.userId,
+    data: { field: 'worksheetStatus', from, to: worksheetStatus }
+  });
+}
+
 // Update worksheet status for an order (cancellation)
-router.patch('/orders/:orderId/worksheet-status', requireAuth, async (req, res) => {
+router.patch('/orders/:orderId/worksheet-status', requireAuth, requirePermission('orders.edit'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId', { key: 'orderId' }), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { worksheetStatus } = req.body;
@@ -7908,15 +8082,18 @@ router.patch('/orders/:orderId/worksheet-status', requireAuth, async (req, res)
       return res.status(400).json({ error: 'Invalid worksheet status' });
     }
 
+    const before = await Order.findOne({ orderId }).lean();
     const order = await Order.findOneAndUpdate(
       { orderId },
-      { worksheetStatus },
+      worksheetStatusUpdate(req, before, worksheetStatus),
       { new: true }
     );
 
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    await recordAudit(req, 'Order', before, order);
+    await worksheetStatusActivity(req, 'order', orderId, before, worksheetStatus);
 
     res.json({ success: true, order });
   } catch (err) {
@@ -7926,7 +8103,7 @@ router.patch('/orders/:orderId/worksheet-status', requireAuth, async (req, res)
 });
 
 // Update worksheet status for a return
-router.patch('/returns/:returnId/worksheet-status', requireAuth, async (req, res) => {
+router.patch('/returns/:returnId/worksheet-status', requireAuth, requirePermission('returns.edit'), enforceSellerScope, requireRecordSellerAccess(Return, 'returnId', { key: 'returnId' }), async (req, res) => {
   try {
     const { returnId } = req.params;
     const { worksheetStatus } = req.body;
@@ -7935,15 +8112,18 @@ router.patch('/returns/:returnId/worksheet-status', requireAuth, async (req, res
       return res.status(400).json({ error: 'Invalid worksheet status' });
     }
 
+    const before = await Return.findOne({ returnId }).lean();
     const returnDoc = await Return.findOneAndUpdate(
       { returnId },
-      { worksheetStatus },
+      worksheetStatusUpdate(req, before, worksheetStatus),
       { new: true }
     );
 
     if (!returnDoc) {
       return res.status(404).json({ error: 'Return not found' });
     }
+    await recordAudit(req, 'Return', before, returnDoc);
+    await worksheetStatusActivity(req, 'return', returnId, before, worksheetStatus);
 
     res.json({ success: true, return: returnDoc });
   } catch (err) {
@@ -7953,7 +8133,7 @@ router.patch('/returns/:returnId/worksheet-status', requireAuth, async (req, res
 });
 
 // Update worksheet status for a case (INR)
-router.patch('/cases/:caseId/worksheet-status', requireAuth, async (req, res) => {
+router.patch('/cases/:caseId/worksheet-status', requireAuth, requirePermission('returns.edit'), enforceSellerScope, requireRecordSellerAccess(Case, 'caseId', { key: 'caseId' }), async (req, res) => {
   try {
     const { caseId } = req.params;
     const { worksheetStatus } = req.body;
@@ -7962,15 +8142,18 @@ router.patch('/cases/:caseId/worksheet-status', requireAuth, async (req, res) =>
       return res.status(400).json({ error: 'Invalid worksheet status' });
     }
 
+    const before = await Case.findOne({ caseId }).lean();
     const caseDoc = await Case.findOneAndUpdate(
       { caseId },
-      { worksheetStatus },
+      worksheetStatusUpdate(req, before, worksheetStatus),
       { new: true }
     );
 
     if (!caseDoc) {
       return res.status(404).json({ error: 'Case not found' });
     }
+    await recordAudit(req, 'Case', before, caseDoc);
+    await worksheetStatusActivity(req, 'case', caseId, before, worksheetStatus);
 
     res.json({ success: true, case: caseDoc });
   } catch (err) {
@@ -7979,54 +8162,59 @@ router.patch('/cases/:caseId/worksheet-status', requireAuth, async (req, res) =>
   }
 });
 
-// Update logs for a case (INR)
-router.patch('/cases/:caseId/logs', requireAuth, async (req, res) => {
+// Update worksheet status for a payment dispute
+router.patch('/payment-disputes/:paymentDisputeId/worksheet-status', requireAuth, requirePermission('returns.edit'), enforceSellerScope, requireRecordSellerAccess(PaymentDispute, 'paymentDisputeId', { key: 'paymentDisputeId' }), async (req, res) => {
   try {
-    const { caseId } = req.params;
-    const { logs } = req.body;
+    const { paymentDisputeId } = req.params;
+    const { worksheetStatus } = req.body;
 
-    const caseDoc = await Case.findOneAndUpdate(
-      { caseId },
-      { logs: logs || '' },
+    if (!['open', 'attended', 'resolved'].includes(worksheetStatus)) {
+      return res.status(400).json({ error: 'Invalid worksheet status' });
+    }
+
+    const before = await PaymentDispute.findOne({ paymentDisputeId }).lean();
+    const dispute = await PaymentDispute.findOneAndUpdate(
+      { paymentDisputeId },
+      worksheetStatusUpdate(req, before, worksheetStatus),
       { new: true }
     );
 
-    if (!caseDoc) {
-      return res.status(404).json({ error: 'Case not found' });
+    if (!dispute) {
+      return res.status(404).json({ error: 'Payment dispute not found' });
     }
+    await recordAudit(req, 'PaymentDispute', before, dispute);
+    await worksheetStatusActivity(req, 'dispute', paymentDisputeId, before, worksheetStatus);
 
-    res.json({ success: true, case: caseDoc });
+    res.json({ success: true, dispute });
   } catch (err) {
-    console.error('Error updating case logs:', err);
+    console.error('Error updating payment dispute worksheet status:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update logs for a return
-router.patch('/returns/:returnId/logs', requireAuth, async (req, res) => {
-  try {
-    const { returnId } = req.params;
-    const { logs } = req.body;
+// Legacy logs updates from older clients. The logs string is frozen since notes moved to the
+// item's activity (lib/activity.js); re-sent textareas would otherwise add the same text
+// again on every save
+function legacyLogsHandler(kind, key) {
+  return (req, res) => {
+    res.status(410).json({
+      error: 'Logs are read-only; add notes through the activity API',
+      activity: `/api/activity/${kind}/${encodeURIComponent(req.params[key])}`
+    });
+  };
+}
 
-    const returnDoc = await Return.findOneAndUpdate(
-      { returnId },
-      { logs: logs || '' },
-      { new: true }
-    );
+// Old logs update of a case (INR) - gone, notes go through /api/activity
+router.patch('/cases/:caseId/logs', requireAuth, requirePermission('returns.edit'), enforceSellerScope, requireRecordSellerAccess(Case, 'caseId', { key: 'caseId' }), legacyLogsHandler('case', 'caseId'));
 
-    if (!returnDoc) {
-      return res.status(404).json({ error: 'Return not found' });
-    }
+// Old logs update of a return - gone, see /api/activity
+router.patch('/returns/:returnId/logs', requireAuth, requirePermission('returns.edit'), enforceSellerScope, requireRecordSellerAccess(Return, 'returnId', { key: 'returnId' }), legacyLogsHandler('return', 'returnId'));
 
-    res.json({ success: true, return: returnDoc });
-  } catch (err) {
-    console.error('Error updating return logs:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
+// Old logs update of a payment dispute - gone, see /api/activity
+router.patch('/payment-disputes/:paymentDisputeId/logs', requireAuth, requirePermission('returns.edit'), enforceSellerScope, requireRecordSellerAccess(PaymentDispute, 'paymentDisputeId', { key: 'paymentDisputeId' }), legacyLogsHandler('dispute', 'paymentDisputeId'));
 
 // Mark / unmark a return as SNAD (manual BBE override)
-router.patch('/returns/:returnId/mark-snad', requireAuth, async (req, res) => {
+router.patch('/returns/:returnId/mark-snad', requireAuth, requirePermission('returns.edit'), enforceSellerScope, requireRecordSellerAccess(Return, 'returnId', { key: 'returnId' }), async (req, res) => {
   try {
     const { returnId } = req.params;
     const { markedAsSNAD } = req.body;
@@ -8035,6 +8223,7 @@ router.patch('/returns/:returnId/mark-snad', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'markedAsSNAD must be a boolean' });
     }
 
+    const before = await Return.findOne({ returnId }).lean();
     const returnDoc = await Return.findOneAndUpdate(
       { returnId },
       { markedAsSNAD },
@@ -8044,6 +8233,7 @@ router.patch('/returns/:returnId/mark-snad', requireAuth, async (req, res) => {
     if (!returnDoc) {
       return res.status(404).json({ error: 'Return not found' });
     }
+    await recordAudit(req, 'Return', before, returnDoc);
 
     res.json({ success: true, return: returnDoc });
   } catch (err) {
@@ -8052,28 +8242,8 @@ router.patch('/returns/:returnId/mark-snad', requireAuth, async (req, res) => {
   }
 });
 
-// Update logs for an order (Cancellation)
-router.patch('/orders/:orderId/logs', requireAuth, async (req, res) => {
-  try {
-    const { orderId } = req.params;
-    const { logs } = req.body;
-
-    const order = await Order.findOneAndUpdate(
-      { orderId },
-      { logs: logs || '' },
-      { new: true }
-    );
-
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-    res.json({ success: true, order });
-  } catch (err) {
-    console.error('Error updating order logs:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
+// Old logs update of an order (Cancellation) - gone, see /api/activity
+router.patch('/orders/:orderId/logs', requireAuth, requirePermission('orders.edit'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId', { key: 'orderId' }), legacyLogsHandler('order', 'orderId'));
 
 // =====================================================
 // POLICY MESSAGE FEATURE (20-minute follow-up message)
@@ -8113,11 +8283,12 @@ function getPolicyMessageQuery(now = new Date()) {
 }
 
 // Compatibility endpoint kept for existing UI wiring
-router.patch('/orders/:orderId/auto-message-toggle', requireAuth, async (req, res) => {
+router.patch('/orders/:orderId/auto-message-toggle', requireAuth, requirePermission('orders.edit'), enforceSellerScope, requireRecordSellerAccess(Order, 'orderId', { key: 'orderId' }), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { disabled } = req.body;
 
+    const before = await Order.findOne({ orderId }).lean();
     const order = await Order.findOneAndUpdate(
       { orderId },
       { policyMessageDisabled: disabled },
@@ -8127,6 +8298,7 @@ router.patch('/orders/:orderId/auto-message-toggle', requireAuth, async (req, re
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    await recordAudit(req, 'Order', before, order);
 
     res.json({ success: true, order });
   } catch (err) {
@@ -8136,11 +8308,12 @@ router.patch('/orders/:orderId/auto-message-toggle', requireAuth, async (req, re
 });
 
 // Compatibility endpoint kept for existing UI wiring
-router.get('/orders/auto-message-stats', requireAuth, async (req, res) => {
+router.get('/orders/auto-message-stats', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   try {
-    const pending = await Order.countDocuments(getPolicyMessageQuery(new Date()));
-    const sent = await Order.countDocuments({ policyMessageSent: true });
-    const disabled = await Order.countDocuments({ policyMessageDisabled: true });
+    const sellerMatch = sellerScopeMatch(req);
+    const pending = await Order.countDocuments({ ...getPolicyMessageQuery(new Date()), ...sellerMatch });
+    const sent = await Order.countDocuments({ ...sellerMatch, policyMessageSent: true });
+    const disabled = await Order.countDocuments({ ...sellerMatch, policyMessageDisabled: true });
 
     res.json({ pending, sent, disabled });
   } catch (err) {
@@ -8219,7 +8392,21 @@ async function sendPolicyMessage(order, seller) {
   }
 }
 
+// Only one instance may send policy messages at a time, otherwise overlapping runs pick up the same orders
 async function processPendingPolicyMessages(limit = 50) {
+  const outcome = await withJobLock(
+    'policy-messages',
+    { label: 'Policy message run', startedByName: 'policy-messages', ttlMs: 60 * 1000 },
+    () => sendPendingPolicyMessages(limit)
+  );
+  if (!outcome.acquired) {
+    console.log(`[PolicyMessage] Skipped: ${outcome.message}`);
+    return { processed: 0, sent: 0, failed: 0, skipped: true, message: outcome.message };
+  }
+  return outcome.result;
+}
+
+async function sendPendingPolicyMessages(limit) {
   const orders = await Order.find(getPolicyMessageQuery(new Date()))
     .populate({
       path: 'seller',
@@ -8247,7 +8434,11 @@ async function processPendingPolicyMessages(limit = 50) {
 }
 
 // Compatibility endpoint path kept to avoid breaking existing UI button
-router.post('/orders/send-auto-messages', requireAuth, requireRole('fulfillmentadmin', 'superadmin'), async (req, res) => {
+router.post('/orders/send-auto-messages', requireAuth, requirePermission('messages.bulkSend'), enforceSellerScope, async (req, res) => {
+  // The run sends for every seller, so it is not available to users limited to some sellers
+  if (isSellerScoped(req)) {
+    return res.status(403).json({ error: 'Only users with access to all sellers can send policy messages in bulk' });
+  }
   try {
     const result = await processPendingPolicyMessages(50);
     res.json({
@@ -8263,7 +8454,7 @@ router.post('/orders/send-auto-messages', requireAuth, requireRole('fulfillmenta
 // =====================================================
 // AWAITING SHEET SUMMARY - Order counts by seller (no tracking)
 // =====================================================
-router.get('/awaiting-sheet-summary', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/awaiting-sheet-summary', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   try {
     const { date, marketplace } = req.query;
 
@@ -8282,6 +8473,7 @@ router.get('/awaiting-sheet-summary', requireAuth, requireRole('fulfillmentadmin
 
     // Base match conditions for the date and cancel state
     const baseMatch = {
+      ...sellerScopeMatch(req),
       shipByDate: { $gte: startOfDay, $lte: endOfDay },
       cancelState: { $in: ['NONE_REQUESTED', 'IN_PROGRESS', null, ''] }
     };
@@ -8511,9 +8703,9 @@ router.get('/awaiting-sheet-summary', requireAuth, requireRole('fulfillmentadmin
 // ============================================
 // GET ALL SELLING PRIVILEGES (BULK)
 // ============================================
-router.get('/selling/summary/all', requireAuth, async (req, res) => {
+router.get('/selling/summary/all', requireAuth, requirePermission('orders.read', 'listings.read'), enforceSellerScope, async (req, res) => {
   try {
-    const sellers = await Seller.find({}).populate('user');
+    const sellers = await Seller.find(sellerScopeMatch(req, '_id')).populate('user');
     console.log(`[Selling Limits] Fetching limits for ${sellers.length} sellers...`);
 
     const results = await Promise.all(sellers.map(async (seller) => {
@@ -8594,7 +8786,7 @@ router.get('/selling/summary/all', requireAuth, async (req, res) => {
 // ============================================
 // GET SELLING PRIVILEGES / LIMITS
 // ============================================
-router.get('/selling/summary', requireAuth, async (req, res) => {
+router.get('/selling/summary', requireAuth, requirePermission('orders.read', 'listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId } = req.query;
 
@@ -8682,5 +8874,18 @@ router.get('/selling/summary', requireAuth, async (req, res) => {
 // Export for optional external schedulers
 export { sendPolicyMessage, processPendingPolicyMessages, getPolicyEligibilityDate };
 
+// Sync runners shared by the manual endpoints above and the background sync scheduler
+export {
+  pollSellerOrders,
+  fetchSellerReturns,
+  fetchSellerInrCases,
+  fetchSellerPaymentDisputes,
+  syncSellerInbox,
+  syncSellerActiveListings
+};
+
+// Trading API helpers for background jobs (lib/repricing.js, lib/stockMonitor.js)
+export { ensureValidToken, reviseListingQuantity, QUANTITY_UPDATE_EXCLUDED_ITEMS };
+
 export default router;
 
@@ -0,0 +1,223 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope, requireRecordSellerAccess } from '../middleware/auth.js';
+import Seller from '../models/Seller.js';
+import EbayPayout from '../models/EbayPayout.js';
+import EbayFinanceTransaction from '../models/EbayFinanceTransaction.js';
+import PayoneerRecord from '../models/PayoneerRecord.js';
+import { scopedSellerMatch } from '../lib/sellerAccess.js';
+import { reconcileSellerPayouts, setManualPayoutMatch } from '../lib/ebayFinances.js';
+
+const router = Router();
+
+const FLAGGED_STATUSES = ['unmatched', 'amountMismatch', 'missingDeposit'];
+
+const SELLER_POPULATE = { path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } };
+
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    const end = new Date(to);
+    end.setHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+function validDates(...values) {
+  return values.every(value => !value || !isNaN(new Date(value)));
+}
+
+// GET /payouts - Imported payouts with their match. Filters: sellerId, matchStatus, payoutStatus, from, to
+router.get('/payouts', requireAuth, requirePermission('finance.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, matchStatus, payoutStatus, from, to, page = 1, limit = 50 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    if (!validDates(from, to)) return res.status(400).json({ error: 'Invalid date' });
+
+    const query = { ...scopedSellerMatch(req, sellerId) };
+    if (matchStatus) query.matchStatus = matchStatus;
+    if (payoutStatus) query.payoutStatus = payoutStatus;
+    const range = dateRange(from, to);
+    if (range) query.payoutDate = range;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+    const [payouts, total] = await Promise.all([
+      EbayPayout.find(query)
+        .populate(SELLER_POPULATE)
+        .populate('payoneerRecord', 'paymentDate amount bankDeposit')
+        .populate('bankTransaction', 'date amount bankAccount')
+        .populate('matchedBy', 'username')
+        .sort({ payoutDate: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      EbayPayout.countDocuments(query)
+    ]);
+
+    res.json({ payouts, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /payouts/:id - One payout with its transaction lines and their totals per type
+router.get('/payouts/:id', requireAuth, requirePermission('finance.read'), requireRecordSellerAccess(EbayPayout, 'id'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Payout not found' });
+    const payout = await EbayPayout.findById(req.params.id)
+      .populate(SELLER_POPULATE)
+      .populate('payoneerRecord')
+      .populate('bankTransaction')
+      .populate('matchedBy', 'username')
+      .lean();
+    if (!payout) return res.status(404).json({ error: 'Payout not found' });
+
+    const transactions = await EbayFinanceTransaction.find({ payoutId: payout.payoutId })
+      .sort({ transactionDate: 1 })
+      .lean();
+
+    const totals = {};
+    for (const txn of transactions) {
+      totals[txn.transactionType] = Math.round(((totals[txn.transactionType] || 0) + (txn.netAmount || 0)) * 100) / 100;
+    }
+
+    res.json({ payout, transactions, totals });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /transactions - Imported transaction lines. Filters: sellerId, orderId, payoutId, transactionType, from, to
+router.get('/transactions', requireAuth, requirePermission('finance.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, orderId, payoutId, transactionType, from, to, page = 1, limit = 100 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    if (!validDates(from, to)) return res.status(400).json({ error: 'Invalid date' });
+
+    const query = { ...scopedSellerMatch(req, sellerId) };
+    if (orderId) query.orderId = String(orderId).trim();
+    if (payoutId) query.payoutId = String(payoutId).trim();
+    if (transactionType) query.transactionType = transactionType;
+    const range = dateRange(from, to);
+    if (range) query.transactionDate = range;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 100, 1000);
+
+    const [transactions, total] = await Promise.all([
+      EbayFinanceTransaction.find(query)
+        .sort({ transactionDate: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      EbayFinanceTransaction.countDocuments(query)
+    ]);
+
+    res.json({ transactions, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /reconciliation - Payout totals per match status, the payouts needing attention and
+// Payoneer records no payout accounts for (same filters as GET /payouts)
+router.get('/reconciliation', requireAuth, requirePermission('finance.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, from, to } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    if (!validDates(from, to)) return res.status(400).json({ error: 'Invalid date' });
+
+    const payoutQuery = { ...scopedSellerMatch(req, sellerId) };
+    const recordQuery = { ...scopedSellerMatch(req, sellerId, 'store') };
+    const range = dateRange(from, to);
+    if (range) {
+      payoutQuery.payoutDate = range;
+      recordQuery.paymentDate = range;
+    }
+
+    const [byStatus, flagged, claimedIds] = await Promise.all([
+      EbayPayout.aggregate([
+        { $match: payoutQuery },
+        { $group: { _id: '$matchStatus', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ]),
+      EbayPayout.find({ ...payoutQuery, matchStatus: { $in: FLAGGED_STATUSES } })
+        .populate(SELLER_POPULATE)
+        .populate('payoneerRecord', 'paymentDate amount bankDeposit')
+        .sort({ payoutDate: -1 })
+        .limit(500)
+        .lean(),
+      EbayPayout.distinct('payoneerRecord', { payoneerRecord: { $ne: null } })
+    ]);
+
+    const unclaimedDeposits = await PayoneerRecord.find({ ...recordQuery, _id: { $nin: claimedIds } })
+      .populate({ path: 'store', select: 'user', populate: { path: 'user', select: 'username' } })
+      .populate('bankAccount', 'name')
+      .sort({ paymentDate: -1 })
+      .limit(500)
+      .lean();
+
+    res.json({
+      summary: Object.fromEntries(byStatus.map(s => [s._id, { count: s.count, amount: Math.round(s.amount * 100) / 100 }])),
+      flagged,
+      unclaimedDeposits
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /payouts/:id/match - Pair a payout with a Payoneer record by hand ({ payoneerRecordId, note }),
+// or send payoneerRecordId: null to hand it back to automatic matching
+router.put('/payouts/:id/match', requireAuth, requirePermission('finance.manage'), requireRecordSellerAccess(EbayPayout, 'id'), async (req, res) => {
+  const { payoneerRecordId, note } = req.body;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Payout not found' });
+    const payout = await EbayPayout.findById(req.params.id);
+    if (!payout) return res.status(404).json({ error: 'Payout not found' });
+
+    if (!payoneerRecordId) {
+      payout.set({ matchSource: 'auto', matchedBy: null, matchNote: note });
+      await payout.save();
+      await reconcileSellerPayouts(payout.seller);
+      return res.json(await EbayPayout.findById(payout._id).populate('payoneerRecord').lean());
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(payoneerRecordId)) return res.status(404).json({ error: 'Payoneer record not found' });
+    const record = await PayoneerRecord.findById(payoneerRecordId).lean();
+    if (!record || String(record.store) !== String(payout.seller)) {
+      return res.status(404).json({ error: 'Payoneer record not found for this seller' });
+    }
+    const other = await EbayPayout.findOne({ payoneerRecord: record._id, _id: { $ne: payout._id } }).select('payoutId matchSource').lean();
+    if (other?.matchSource === 'manual') {
+      return res.status(409).json({ error: `That record is already matched to payout ${other.payoutId}` });
+    }
+
+    await setManualPayoutMatch(payout, record, { userId: req.user.userId, note });
+    // An auto match that held the record goes back into matching
+    if (other) await reconcileSellerPayouts(payout.seller);
+
+    res.json(await EbayPayout.findById(payout._id).populate('payoneerRecord').populate('matchedBy', 'username').lean());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /reconcile - Re-run matching for one seller (e.g. after entering Payoneer records)
+router.post('/reconcile', requireAuth, requirePermission('finance.manage'), enforceSellerScope, async (req, res) => {
+  const { sellerId } = req.body;
+  try {
+    if (!sellerId || !mongoose.Types.ObjectId.isValid(sellerId) || !(await Seller.exists({ _id: sellerId }))) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+    const summary = await reconcileSellerPayouts(sellerId);
+    res.json({ summary });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
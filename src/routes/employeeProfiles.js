@@ -1,29 +1,48 @@
 import { Router } from 'express';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { canAssignRole, hasPermission } from '../lib/permissions.js';
+import { maskValue } from '../lib/fieldEncryption.js';
 import EmployeeProfile from '../models/EmployeeProfile.js';
 import User from '../models/User.js';
 import multer from 'multer';
+import {
+  IMAGE_TYPES, DOCUMENT_TYPES, validateFile, buildStorageKey, putFile, getFile, deleteFile, getSignedUrl, requestBaseUrl
+} from '../lib/storage.js';
 
 const router = Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
+// Files are validated by content (lib/storage.js validateFile), not by the browser's mimetype
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB per file
 const upload = multer({
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB per file
-  fileFilter: (req, file, cb) => {
-    const allowedMimes = [
-      'image/jpeg', 'image/jpg', 'image/png',
-      'application/pdf'
-    ];
-    if (allowedMimes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only JPG, PNG, and PDF allowed.'));
-    }
-  }
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE }
 });
 
+// Profile files, kept in lib/storage.js; identity documents are stored encrypted
+const PROFILE_FILES = {
+  profilePic: { label: 'profile picture', prefix: 'profile-pic', allowedTypes: IMAGE_TYPES, encrypt: false, flag: 'hasProfilePic' },
+  aadharDocument: { label: 'Aadhaar document', prefix: 'aadhar', allowedTypes: DOCUMENT_TYPES, encrypt: true, flag: 'hasAadhar' },
+  panDocument: { label: 'PAN document', prefix: 'pan', allowedTypes: DOCUMENT_TYPES, encrypt: true, flag: 'hasPan' }
+};
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Stored in file storage, or still inside the document (before `npm run migrate-files`)
+function hasStoredFile(file) {
+  return !!(file && (file.storageKey || file.data));
+}
+
+// Replace file metadata with has* flags before a profile is sent to the client
+function withFileFlags(profile, profileObj) {
+  for (const [field, { flag }] of Object.entries(PROFILE_FILES)) {
+    profileObj[flag] = hasStoredFile(profile[field]);
+    delete profileObj[field];
+  }
+  return profileObj;
+}
+
 function pickProfile(body) {
   const allowed = [
     'name',
@@ -53,8 +72,19 @@ function pickProfile(body) {
   return out;
 }
 
+// Encrypted at rest; shown in full only to hr.viewSensitive (and to the employee via /me)
+const SENSITIVE_FIELDS = ['bankAccountNumber', 'bankIFSC', 'aadharNumber', 'panNumber'];
+
+function maskSensitiveFields(req, profileObj) {
+  if (hasPermission(req.user, 'hr.viewSensitive')) return profileObj;
+  for (const field of SENSITIVE_FIELDS) {
+    profileObj[field] = maskValue(profileObj[field]);
+  }
+  return profileObj;
+}
+
 // GET /api/employee-profiles/me - fetch my profile (create if not exists)
-router.get('/me', requireAuth, async (req, res) => {
+router.get('/me', requireAuth, requirePermission('profile.self'), async (req, res) => {
   try {
     const userId = req.user.userId || req.user._id || req.user.id;
     let profile = await EmployeeProfile.findOne({ user: userId });
@@ -62,18 +92,8 @@ router.get('/me', requireAuth, async (req, res) => {
       profile = await EmployeeProfile.create({ user: userId });
     }
 
-    // Convert to object and exclude binary data
-    const profileObj = profile.toObject();
-
-    // Add boolean flags for file existence
-    profileObj.hasProfilePic = !!(profile.profilePic && profile.profilePic.data);
-    profileObj.hasAadhar = !!(profile.aadharDocument && profile.aadharDocument.data);
-    profileObj.hasPan = !!(profile.panDocument && profile.panDocument.data);
-
-    // Remove binary data from response (too heavy)
-    delete profileObj.profilePic;
-    delete profileObj.aadharDocument;
-    delete profileObj.panDocument;
+    // Convert to object, replacing file metadata with has* flags
+    const profileObj = withFileFlags(profile, profile.toObject());
 
     res.json(profileObj);
   } catch (err) {
@@ -82,7 +102,7 @@ router.get('/me', requireAuth, async (req, res) => {
 });
 
 // PUT /api/employee-profiles/me - upsert my profile
-router.put('/me', requireAuth, async (req, res) => {
+router.put('/me', requireAuth, requirePermission('profile.self'), async (req, res) => {
   try {
     const userId = req.user.userId || req.user._id || req.user.id;
     const data = pickProfile(req.body || {});
@@ -97,32 +117,15 @@ router.put('/me', requireAuth, async (req, res) => {
   }
 });
 
-// GET /api/employee-profiles - list all (superadmin, hradmin, operationhead)
-router.get('/', requireAuth, async (req, res) => {
+// GET /api/employee-profiles - list all (employees.read)
+router.get('/', requireAuth, requirePermission('employees.read'), async (req, res) => {
   try {
-    if (!['superadmin', 'hradmin', 'operationhead'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
     const list = await EmployeeProfile.find({}).populate('user', 'username role email department isStrictTimer');
 
     // Filter out superadmin accounts and map profiles to exclude binary data and add file flags
     const profiles = list
       .filter(profile => profile.user && profile.user.role !== 'superadmin')
-      .map(profile => {
-        const profileObj = profile.toObject();
-
-        // Add boolean flags for file existence
-        profileObj.hasProfilePic = !!(profile.profilePic && profile.profilePic.data);
-        profileObj.hasAadhar = !!(profile.aadharDocument && profile.aadharDocument.data);
-        profileObj.hasPan = !!(profile.panDocument && profile.panDocument.data);
-
-        // Remove binary data
-        delete profileObj.profilePic;
-        delete profileObj.aadharDocument;
-        delete profileObj.panDocument;
-
-        return profileObj;
-      });
+      .map(profile => maskSensitiveFields(req, withFileFlags(profile, profile.toObject())));
 
     res.json(profiles);
   } catch (err) {
@@ -130,24 +133,31 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
-// PUT /api/employee-profiles/:id - update user and profile fields (superadmin, hradmin, operationhead)
-router.put('/:id', requireAuth, async (req, res) => {
+// PUT /api/employee-profiles/:id - update user and profile fields (employees.edit)
+router.put('/:id', requireAuth, requirePermission('employees.edit'), async (req, res) => {
   try {
-    if (!['superadmin', 'hradmin', 'operationhead'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
     const profile = await EmployeeProfile.findById(req.params.id).populate('user');
     if (!profile) {
       return res.status(404).json({ error: 'Profile not found' });
     }
 
+    // Role changes must name an existing role this admin is allowed to hand out
+    const { role, department } = req.body;
+    if (role !== undefined && role !== profile.user.role && !(await canAssignRole(req.user.role, role))) {
+      return res.status(400).json({ error: `Cannot assign role: ${role}` });
+    }
+
     // Extract profile fields using the helper
     const profileData = pickProfile(req.body);
 
     // Remove empty string values for enum fields to avoid validation errors
     if (profileData.gender === '') delete profileData.gender;
 
+    // Masked values echoed back by the edit form must not overwrite the real numbers
+    for (const field of SENSITIVE_FIELDS) {
+      if (profileData[field] && profileData[field] === maskValue(profile[field])) delete profileData[field];
+    }
+
     // Extract admin fields (only if non-empty)
     const { workingMode, workingHours } = req.body;
     if (workingMode && workingMode !== '') profileData.workingMode = workingMode;
@@ -158,7 +168,6 @@ router.put('/:id', requireAuth, async (req, res) => {
     await profile.save();
 
     // Update User fields (role, department)
-    const { role, department } = req.body;
     if (role !== undefined) profile.user.role = role;
     if (department !== undefined) profile.user.department = department;
 
@@ -166,18 +175,15 @@ router.put('/:id', requireAuth, async (req, res) => {
 
     // Re-populate and return
     await profile.populate('user', 'username role email department');
-    res.json(profile);
+    res.json(maskSensitiveFields(req, withFileFlags(profile, profile.toObject())));
   } catch (err) {
     res.status(500).json({ error: 'Failed to update profile', details: err.message });
   }
 });
 
-// PUT /api/employee-profiles/:id/admin-fields - update workingMode and workingHours (superadmin, hradmin, operationhead only)
-router.put('/:id/admin-fields', requireAuth, async (req, res) => {
+// PUT /api/employee-profiles/:id/admin-fields - update workingMode and workingHours (employees.edit)
+router.put('/:id/admin-fields', requireAuth, requirePermission('employees.edit'), async (req, res) => {
   try {
-    if (!['superadmin', 'hradmin', 'operationhead'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
     const { workingMode, workingHours } = req.body;
     const update = {};
     if (workingMode !== undefined) update.workingMode = workingMode;
@@ -192,7 +198,7 @@ router.put('/:id/admin-fields', requireAuth, async (req, res) => {
     if (!profile) {
       return res.status(404).json({ error: 'Profile not found' });
     }
-    res.json(profile);
+    res.json(maskSensitiveFields(req, withFileFlags(profile, profile.toObject())));
   } catch (err) {
     res.status(500).json({ error: 'Failed to update admin fields', details: err.message });
   }
@@ -200,262 +206,148 @@ router.put('/:id/admin-fields', requireAuth, async (req, res) => {
 
 // ===== FILE UPLOAD ENDPOINTS =====
 
-// POST /api/employee-profiles/me/upload/profile-pic - Upload profile picture
-router.post('/me/upload/profile-pic', requireAuth, upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    const userId = req.user.userId || req.user._id || req.user.id;
-    const profile = await EmployeeProfile.findOne({ user: userId });
-
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-
-    // Use findByIdAndUpdate to avoid validation of other fields
-    await EmployeeProfile.findByIdAndUpdate(
-      profile._id,
-      {
-        $set: {
-          profilePic: {
-            data: req.file.buffer,
-            contentType: req.file.mimetype,
-            fileName: req.file.originalname,
-            uploadedAt: new Date()
-          }
-        }
-      },
-      { runValidators: false }
-    );
-
-    res.json({ message: 'Profile picture uploaded successfully', hasProfilePic: true });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to upload profile picture', details: err.message });
-  }
-});
-
-// POST /api/employee-profiles/me/upload/aadhar - Upload Aadhaar document
-router.post('/me/upload/aadhar', requireAuth, upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    const userId = req.user.userId || req.user._id || req.user.id;
-    const profile = await EmployeeProfile.findOne({ user: userId });
-
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
-
-    // Use findByIdAndUpdate to only update the document field, avoiding validation of other fields
-    await EmployeeProfile.findByIdAndUpdate(
-      profile._id,
-      {
-        $set: {
-          aadharDocument: {
-            data: req.file.buffer,
-            contentType: req.file.mimetype,
-            fileName: req.file.originalname,
-            uploadedAt: new Date()
+function uploadProfileFile(field) {
+  const { label, prefix, allowedTypes, encrypt, flag } = PROFILE_FILES[field];
+  return async (req, res) => {
+    try {
+      const { error, contentType } = validateFile(req.file, { allowedTypes, maxSize: MAX_FILE_SIZE });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const userId = req.user.userId || req.user._id || req.user.id;
+      const profile = await EmployeeProfile.findOne({ user: userId }).select(`${field}.storageKey`);
+
+      if (!profile) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+
+      const previousKey = profile[field]?.storageKey;
+      const storageKey = buildStorageKey(`employee-profiles/${profile._id}`, contentType, prefix);
+      await putFile(storageKey, req.file.buffer, { contentType, encrypt });
+
+      // Use findByIdAndUpdate to only replace this file (dropping any in-document copy) without validating other fields
+      await EmployeeProfile.findByIdAndUpdate(
+        profile._id,
+        {
+          $set: {
+            [field]: {
+              storageKey,
+              contentType,
+              fileName: req.file.originalname,
+              size: req.file.size,
+              uploadedAt: new Date()
+            }
           }
-        }
-      },
-      { runValidators: false }
-    );
+        },
+        { runValidators: false }
+      );
 
-    res.json({ message: 'Aadhaar document uploaded successfully', hasAadhar: true });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to upload Aadhaar document', details: err.message });
-  }
-});
+      if (previousKey) {
+        deleteFile(previousKey).catch(err => console.warn(`[Storage] Failed to delete ${previousKey}:`, err.message));
+      }
 
-// POST /api/employee-profiles/me/upload/pan - Upload PAN document
-router.post('/me/upload/pan', requireAuth, upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+      res.json({ message: `${capitalize(label)} uploaded successfully`, [flag]: true });
+    } catch (err) {
+      res.status(500).json({ error: `Failed to upload ${label}`, details: err.message });
     }
+  };
+}
 
-    const userId = req.user.userId || req.user._id || req.user.id;
-    const profile = await EmployeeProfile.findOne({ user: userId });
-
-    if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
-    }
+// POST /api/employee-profiles/me/upload/profile-pic - Upload profile picture (JPG, PNG, GIF, WEBP)
+router.post('/me/upload/profile-pic', requireAuth, requirePermission('profile.self'), upload.single('file'), uploadProfileFile('profilePic'));
 
-    // Use findByIdAndUpdate to avoid validation of other fields
-    await EmployeeProfile.findByIdAndUpdate(
-      profile._id,
-      {
-        $set: {
-          panDocument: {
-            data: req.file.buffer,
-            contentType: req.file.mimetype,
-            fileName: req.file.originalname,
-            uploadedAt: new Date()
-          }
-        }
-      },
-      { runValidators: false }
-    );
+// POST /api/employee-profiles/me/upload/aadhar - Upload Aadhaar document (JPG, PNG, PDF)
+router.post('/me/upload/aadhar', requireAuth, requirePermission('profile.self'), upload.single('file'), uploadProfileFile('aadharDocument'));
 
-    res.json({ message: 'PAN document uploaded successfully', hasPan: true });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to upload PAN document', details: err.message });
-  }
-});
+// POST /api/employee-profiles/me/upload/pan - Upload PAN document (JPG, PNG, PDF)
+router.post('/me/upload/pan', requireAuth, requirePermission('profile.self'), upload.single('file'), uploadProfileFile('panDocument'));
 
 // ===== FILE RETRIEVAL ENDPOINTS =====
 
-// GET /api/employee-profiles/me/file/profile-pic - Get my profile picture
-router.get('/me/file/profile-pic', requireAuth, async (req, res) => {
-  try {
-    const userId = req.user.userId || req.user._id || req.user.id;
-    const profile = await EmployeeProfile.findOne({ user: userId });
-
-    if (!profile || !profile.profilePic || !profile.profilePic.data) {
-      return res.status(404).json({ error: 'Profile picture not found' });
-    }
-
-    // Set CORS headers for cross-origin image loading
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'GET');
-    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.set('Content-Type', profile.profilePic.contentType);
-    res.set('Content-Disposition', `inline; filename="${profile.profilePic.fileName}"`);
-    res.set('Cache-Control', 'public, max-age=3600');
-
-    res.send(profile.profilePic.data);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to retrieve profile picture', details: err.message });
-  }
-});
-
-// GET /api/employee-profiles/me/file/aadhar - Get my Aadhaar document
-router.get('/me/file/aadhar', requireAuth, async (req, res) => {
-  try {
-    const userId = req.user.userId || req.user._id || req.user.id;
-    const profile = await EmployeeProfile.findOne({ user: userId });
-
-    if (!profile || !profile.aadharDocument || !profile.aadharDocument.data) {
-      return res.status(404).json({ error: 'Aadhaar document not found' });
-    }
-
-    // Set CORS headers
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.set('Content-Type', profile.aadharDocument.contentType);
-    res.set('Content-Disposition', `inline; filename="${profile.aadharDocument.fileName}"`);
-    res.send(profile.aadharDocument.data);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to retrieve Aadhaar document', details: err.message });
-  }
-});
-
-// GET /api/employee-profiles/me/file/pan - Get my PAN document
-router.get('/me/file/pan', requireAuth, async (req, res) => {
-  try {
-    const userId = req.user.userId || req.user._id || req.user.id;
-    const profile = await EmployeeProfile.findOne({ user: userId });
-
-    if (!profile || !profile.panDocument || !profile.panDocument.data) {
-      return res.status(404).json({ error: 'PAN document not found' });
-    }
-
-    // Set CORS headers
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.set('Content-Type', profile.panDocument.contentType);
-    res.set('Content-Disposition', `inline; filename="${profile.panDocument.fileName}"`);
-    res.send(profile.panDocument.data);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to retrieve PAN document', details: err.message });
-  }
-});
-
-// GET /api/employee-profiles/:id/file/profile-pic - Get employee's profile picture (admin access)
-router.get('/:id/file/profile-pic', requireAuth, async (req, res) => {
-  try {
-    if (!['superadmin', 'hradmin', 'operationhead'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
-    const profile = await EmployeeProfile.findById(req.params.id);
-
-    if (!profile || !profile.profilePic || !profile.profilePic.data) {
-      return res.status(404).json({ error: 'Profile picture not found' });
-    }
-
-    // Set CORS headers
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.set('Content-Type', profile.profilePic.contentType);
-    res.set('Content-Disposition', `inline; filename="${profile.profilePic.fileName}"`);
-    res.send(profile.profilePic.data);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to retrieve profile picture', details: err.message });
-  }
-});
-
-// GET /api/employee-profiles/:id/file/aadhar - Get employee's Aadhaar document (admin access)
-router.get('/:id/file/aadhar', requireAuth, async (req, res) => {
-  try {
-    if (!['superadmin', 'hradmin', 'operationhead'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
-    const profile = await EmployeeProfile.findById(req.params.id);
-
-    if (!profile || !profile.aadharDocument || !profile.aadharDocument.data) {
-      return res.status(404).json({ error: 'Aadhaar document not found' });
-    }
-
-    // Set CORS headers
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.set('Content-Type', profile.aadharDocument.contentType);
-    res.set('Content-Disposition', `inline; filename="${profile.aadharDocument.fileName}"`);
-    res.send(profile.aadharDocument.data);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to retrieve Aadhaar document', details: err.message });
-  }
-});
+// The profile whose file is requested: the caller's own for /me routes, otherwise :id
+function findProfileForFile(req, field) {
+  if (req.params.id) return EmployeeProfile.findById(req.params.id).select(field);
+  const userId = req.user.userId || req.user._id || req.user.id;
+  return EmployeeProfile.findOne({ user: userId }).select(field);
+}
 
-// GET /api/employee-profiles/:id/file/pan - Get employee's PAN document (admin access)
-router.get('/:id/file/pan', requireAuth, async (req, res) => {
-  try {
-    if (!['superadmin', 'hradmin', 'operationhead'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
+// Streams the file itself
+function sendProfileFile(field) {
+  const { label } = PROFILE_FILES[field];
+  return async (req, res) => {
+    try {
+      const profile = await findProfileForFile(req, field);
+      const file = profile?.[field];
+      const data = file?.storageKey ? await getFile(file.storageKey) : file?.data;
+
+      if (!data) {
+        return res.status(404).json({ error: `${capitalize(label)} not found` });
+      }
+
+      // Set CORS headers for cross-origin image loading
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Methods', 'GET');
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `inline; filename="${String(file.fileName || '').replace(/["\r\n]/g, '')}"`);
+      if (field === 'profilePic') res.set('Cache-Control', 'public, max-age=3600');
+
+      res.send(data);
+    } catch (err) {
+      res.status(500).json({ error: `Failed to retrieve ${label}`, details: err.message });
     }
+  };
+}
 
-    const profile = await EmployeeProfile.findById(req.params.id);
-
-    if (!profile || !profile.panDocument || !profile.panDocument.data) {
-      return res.status(404).json({ error: 'PAN document not found' });
+// Returns a time-limited download URL instead (?expiresIn=seconds, max 1 hour)
+function sendProfileFileUrl(field) {
+  const { label, encrypt } = PROFILE_FILES[field];
+  return async (req, res) => {
+    try {
+      const profile = await findProfileForFile(req, field);
+      const file = profile?.[field];
+
+      if (!file?.storageKey) {
+        const message = hasStoredFile(file) ? 'has not been moved to file storage yet' : 'not found';
+        return res.status(404).json({ error: `${capitalize(label)} ${message}` });
+      }
+
+      const { url, expiresAt } = getSignedUrl(file.storageKey, {
+        baseUrl: requestBaseUrl(req),
+        expiresIn: Math.min(parseInt(req.query.expiresIn) || 15 * 60, 60 * 60),
+        fileName: file.fileName,
+        // Encrypted files are decrypted by the API, so they never come straight from the bucket
+        proxy: encrypt
+      });
+      res.json({ url, expiresAt });
+    } catch (err) {
+      res.status(500).json({ error: `Failed to create ${label} link`, details: err.message });
     }
+  };
+}
 
-    // Set CORS headers
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.set('Content-Type', profile.panDocument.contentType);
-    res.set('Content-Disposition', `inline; filename="${profile.panDocument.fileName}"`);
-    res.send(profile.panDocument.data);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to retrieve PAN document', details: err.message });
-  }
-});
-
-// PATCH /api/employee-profiles/:id/toggle-hidden - Toggle hidden status (superadmin, hradmin only)
-router.patch('/:id/toggle-hidden', requireAuth, async (req, res) => {
+// GET /api/employee-profiles/me/file/{profile-pic,aadhar,pan}[/url] - My files
+router.get('/me/file/profile-pic', requireAuth, requirePermission('profile.self'), sendProfileFile('profilePic'));
+router.get('/me/file/aadhar', requireAuth, requirePermission('profile.self'), sendProfileFile('aadharDocument'));
+router.get('/me/file/pan', requireAuth, requirePermission('profile.self'), sendProfileFile('panDocument'));
+router.get('/me/file/profile-pic/url', requireAuth, requirePermission('profile.self'), sendProfileFileUrl('profilePic'));
+router.get('/me/file/aadhar/url', requireAuth, requirePermission('profile.self'), sendProfileFileUrl('aadharDocument'));
+router.get('/me/file/pan/url', requireAuth, requirePermission('profile.self'), sendProfileFileUrl('panDocument'));
+
+// GET /api/employee-profiles/:id/file/profile-pic[/url] - Employee's profile picture (employees.read)
+router.get('/:id/file/profile-pic', requireAuth, requirePermission('employees.read'), sendProfileFile('profilePic'));
+router.get('/:id/file/profile-pic/url', requireAuth, requirePermission('employees.read'), sendProfileFileUrl('profilePic'));
+
+// GET /api/employee-profiles/:id/file/{aadhar,pan}[/url] - Employee's identity documents (hr.viewDocuments)
+router.get('/:id/file/aadhar', requireAuth, requirePermission('hr.viewDocuments'), sendProfileFile('aadharDocument'));
+router.get('/:id/file/pan', requireAuth, requirePermission('hr.viewDocuments'), sendProfileFile('panDocument'));
+router.get('/:id/file/aadhar/url', requireAuth, requirePermission('hr.viewDocuments'), sendProfileFileUrl('aadharDocument'));
+router.get('/:id/file/pan/url', requireAuth, requirePermission('hr.viewDocuments'), sendProfileFileUrl('panDocument'));
+
+// PATCH /api/employee-profiles/:id/toggle-hidden - Toggle hidden status (employees.hide)
+router.patch('/:id/toggle-hidden', requireAuth, requirePermission('employees.hide'), async (req, res) => {
   try {
-    // Only superadmin and hradmin can hide/unhide profiles
-    if (!['superadmin', 'hradmin'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden: Only superadmin and hradmin can hide/unhide profiles' });
-    }
-
     const profile = await EmployeeProfile.findById(req.params.id).populate('user', 'username role email department');
 
     if (!profile) {
@@ -466,35 +358,21 @@ router.patch('/:id/toggle-hidden', requireAuth, async (req, res) => {
     profile.isHidden = !profile.isHidden;
     await profile.save();
 
-    // Convert to object and exclude binary data
-    const profileObj = profile.toObject();
-
-    // Add boolean flags for file existence
-    profileObj.hasProfilePic = !!(profile.profilePic && profile.profilePic.data);
-    profileObj.hasAadhar = !!(profile.aadharDocument && profile.aadharDocument.data);
-    profileObj.hasPan = !!(profile.panDocument && profile.panDocument.data);
-
-    // Remove binary data
-    delete profileObj.profilePic;
-    delete profileObj.aadharDocument;
-    delete profileObj.panDocument;
+    // Convert to object, replacing file metadata with has* flags
+    const profileObj = withFileFlags(profile, profile.toObject());
 
     res.json({
       message: `Profile ${profile.isHidden ? 'hidden' : 'unhidden'} successfully`,
-      profile: profileObj
+      profile: maskSensitiveFields(req, profileObj)
     });
   } catch (err) {
     res.status(500).json({ error: 'Failed to toggle hidden status', details: err.message });
   }
 });
 
-// DELETE /api/employee-profiles/:id - Hard delete employee profile and user account (admin only)
-router.delete('/:id', requireAuth, async (req, res) => {
+// DELETE /api/employee-profiles/:id - Hard delete employee profile and user account (employees.edit)
+router.delete('/:id', requireAuth, requirePermission('employees.edit'), async (req, res) => {
   try {
-    if (!['superadmin', 'hradmin', 'operationhead'].includes(req.user.role)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
     const profile = await EmployeeProfile.findById(req.params.id).populate('user');
 
     if (!profile) {
@@ -508,6 +386,14 @@ router.delete('/:id', requireAuth, async (req, res) => {
     // Delete the employee profile
     await EmployeeProfile.findByIdAndDelete(req.params.id);
 
+    // Delete their stored files
+    for (const field of Object.keys(PROFILE_FILES)) {
+      const storageKey = profile[field]?.storageKey;
+      if (storageKey) {
+        await deleteFile(storageKey).catch(err => console.warn(`[Storage] Failed to delete ${storageKey}:`, err.message));
+      }
+    }
+
     // Delete the associated user account if it exists
     if (userId) {
       await User.findByIdAndDelete(userId);
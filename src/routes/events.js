@@ -0,0 +1,115 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { subscribeToEvents, getEventsSince } from '../lib/realtimeEvents.js';
+import { hasPermission } from '../lib/permissions.js';
+
+const router = Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Who is listening and which sellers they may see (user.sellerIds comes from requireAuth)
+function buildSubscriber(user) {
+  return {
+    user,
+    userId: String(user.userId),
+    role: user.role,
+    // Anyone who can read orders and is not limited to some sellers sees events for every seller
+    allSellers: hasPermission(user, 'orders.read') && !user.sellerIds,
+    sellerIds: new Set(user.sellerIds || [])
+  };
+}
+
+// Read permission each event family needs (type prefix); other families only need the seller
+const EVENT_PERMISSIONS = {
+  order: 'orders.read',
+  shippingRisk: 'orders.read',
+  message: 'messages.read',
+  return: 'returns.read'
+};
+
+function eventPermission(event) {
+  // Activity of orders needs orders.read; returns, cases and disputes need returns.read
+  if (event.type.startsWith('activity.')) return event.data?.entityType === 'order' ? 'orders.read' : 'returns.read';
+  return EVENT_PERMISSIONS[event.type.split('.')[0]] || null;
+}
+
+function canReceive(subscriber, event) {
+  // Targeted events (internal chat) go only to the listed users
+  if (event.users && event.users.length > 0) {
+    return event.users.some(u => String(u) === subscriber.userId);
+  }
+  const permission = eventPermission(event);
+  if (permission && !hasPermission(subscriber.user, permission)) return false;
+  if (subscriber.allSellers) return true;
+  return Boolean(event.seller) && subscriber.sellerIds.has(String(event.seller));
+}
+
+// ?types=order.created,message.received or ?types=order.* (default: everything)
+function buildTypeFilter(typesParam) {
+  if (!typesParam) return () => true;
+  const patterns = String(typesParam).split(',').map(t => t.trim()).filter(Boolean);
+  return (type) => patterns.some(p => (p.endsWith('.*') ? type.startsWith(p.slice(0, -1)) : type === p));
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    type: event.type,
+    sellerId: event.seller || null,
+    data: event.data || {},
+    createdAt: event.createdAt
+  })}\n\n`);
+}
+
+// GET /stream - Server-Sent Events stream of order/message/chat events
+// EventSource cannot send headers, so the token may be passed as ?token= (handled by requireAuth)
+router.get('/stream', requireAuth, requirePermission('events.subscribe'), async (req, res) => {
+  const subscriber = buildSubscriber(req.user);
+  const wantsType = buildTypeFilter(req.query.types);
+  const deliver = (event) => {
+    if (wantsType(event.type) && canReceive(subscriber, event)) {
+      writeEvent(res, event);
+    }
+  };
+
+  // Set up SSE headers
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+  res.write(`event: connected\ndata: ${JSON.stringify({ type: 'connected', role: subscriber.role })}\n\n`);
+
+  // Subscribe before replaying, holding live events back until the replay is out, so
+  // nothing published in between is lost; events in both are sent once
+  let held = [];
+  const unsubscribe = subscribeToEvents(event => (held ? held.push(event) : deliver(event)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  // Replay anything missed while the browser was reconnecting
+  const replayed = new Set();
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  if (lastEventId && mongoose.Types.ObjectId.isValid(lastEventId)) {
+    try {
+      const missed = await getEventsSince(lastEventId);
+      for (const event of missed) {
+        replayed.add(String(event._id));
+        deliver(event);
+      }
+    } catch (err) {
+      console.error('[Realtime] Replay failed:', err.message);
+    }
+  }
+
+  const pending = held;
+  held = null;
+  pending.filter(event => !replayed.has(String(event._id))).forEach(deliver);
+});
+
+export default router;
@@ -1,11 +1,31 @@
 import express from 'express';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import ExchangeRate from '../models/ExchangeRate.js';
+import { queueRateRevaluation } from '../lib/ledger.js';
+import { getRate } from '../lib/currency.js';
 
 const router = express.Router();
 
+// Orders the rate applies to get their ledger INR amounts revalued by the next ledger run.
+// A failure here must not fail the rate edit itself.
+async function queueLedgerRevaluation(rate) {
+  try {
+    const queued = await queueRateRevaluation(rate.marketplace, rate.effectiveDate);
+    if (queued > 0) console.log(`[Ledger] ${queued} order(s) queued for revaluation after ${rate.marketplace} rate change`);
+  } catch (err) {
+    console.error('[Ledger] Failed to queue revaluation:', err.message);
+  }
+}
+
+// Market USD/INR rate (lib/currency.js) for days no marketplace rate covers, else the old default
+async function fallbackRate(date, marketplace) {
+  const market = await getRate('USD', 'INR', date);
+  if (market) return { rate: market.rate, effectiveDate: market.date, marketplace, source: 'market' };
+  return { rate: 82, effectiveDate: date, marketplace }; // Default
+}
+
 // Get current exchange rate
-router.get('/current', requireAuth, async (req, res) => {
+router.get('/current', requireAuth, requirePermission('exchangeRates.read'), async (req, res) => {
   try {
     const { marketplace = 'EBAY' } = req.query;
     
@@ -14,7 +34,7 @@ router.get('/current', requireAuth, async (req, res) => {
       .limit(1);
     
     if (!currentRate) {
-      return res.json({ rate: 82, effectiveDate: new Date(), marketplace }); // Default
+      return res.json(await fallbackRate(new Date(), marketplace));
     }
     
     res.json(currentRate);
@@ -24,7 +44,7 @@ router.get('/current', requireAuth, async (req, res) => {
 });
 
 // Get rate history
-router.get('/history', requireAuth, async (req, res) => {
+router.get('/history', requireAuth, requirePermission('exchangeRates.read'), async (req, res) => {
   try {
     const { marketplace = 'EBAY', limit = 50 } = req.query;
     
@@ -39,7 +59,7 @@ router.get('/history', requireAuth, async (req, res) => {
 });
 
 // Get rate for a specific date
-router.get('/for-date', requireAuth, async (req, res) => {
+router.get('/for-date', requireAuth, requirePermission('exchangeRates.read'), async (req, res) => {
   try {
     const { date, marketplace = 'EBAY' } = req.query;
     
@@ -58,7 +78,7 @@ router.get('/for-date', requireAuth, async (req, res) => {
       .limit(1);
     
     if (!rate) {
-      return res.json({ rate: 82, effectiveDate: targetDate, marketplace }); // Default
+      return res.json(await fallbackRate(targetDate, marketplace));
     }
     
     res.json(rate);
@@ -68,7 +88,7 @@ router.get('/for-date', requireAuth, async (req, res) => {
 });
 
 // Set new exchange rate
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('exchangeRates.manage'), async (req, res) => {
   try {
     const { rate, effectiveDate, marketplace = 'EBAY', notes } = req.body;
     
@@ -88,6 +108,7 @@ router.post('/', requireAuth, async (req, res) => {
       existing.notes = notes;
       existing.createdBy = req.user?.username || 'system';
       await existing.save();
+      await queueLedgerRevaluation(existing);
       return res.json({ message: 'Rate updated', rate: existing });
     }
     
@@ -101,6 +122,7 @@ router.post('/', requireAuth, async (req, res) => {
     });
     
     await newRate.save();
+    await queueLedgerRevaluation(newRate);
     res.json({ message: 'Rate created', rate: newRate });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -108,7 +130,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // Delete exchange rate entry
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('exchangeRates.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -117,6 +139,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
     if (!rate) {
       return res.status(404).json({ error: 'Rate not found' });
     }
+    await queueLedgerRevaluation(rate);
     
     res.json({ message: 'Rate deleted', rate });
   } catch (err) {
@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import path from 'path';
+import { getFile, verifyFileUrl, detectContentType } from '../lib/storage.js';
+
+const router = Router();
+
+// GET /api/files/<key>?expires=...&signature=... - Download through a signed URL (lib/storage.js getSignedUrl)
+// No login: the signature is the authorization, so links work in <img> tags and new tabs until they expire.
+router.get('/:key(*)', async (req, res) => {
+  const { key } = req.params;
+  const { expires, signature } = req.query;
+
+  if (!verifyFileUrl(key, expires, signature)) {
+    return res.status(403).json({ error: 'Link is invalid or has expired' });
+  }
+
+  try {
+    const data = await getFile(key);
+    if (!data) return res.status(404).json({ error: 'File not found' });
+
+    res.set('Content-Type', detectContentType(data) || 'application/octet-stream');
+    res.set('Content-Disposition', `inline; filename="${path.basename(key)}"`);
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(data);
+  } catch (err) {
+    console.error('[Files] Failed to serve file:', err.message);
+    res.status(500).json({ error: 'Failed to retrieve file' });
+  }
+});
+
+export default router;
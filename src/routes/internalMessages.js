@@ -1,7 +1,9 @@
 import { Router } from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../lib/permissions.js';
 import InternalMessage from '../models/InternalMessage.js';
 import User from '../models/User.js';
+import { publishEvent } from '../lib/realtimeEvents.js';
 
 const router = Router();
 
@@ -11,7 +13,7 @@ function generateConversationId(username1, username2) {
 }
 
 // 1. SEARCH USERS (for starting new conversations)
-router.get('/search-users', requireAuth, async (req, res) => {
+router.get('/search-users', requireAuth, requirePermission('internalMessages.use'), async (req, res) => {
   try {
     const { q } = req.query;
     const currentUserId = req.user.userId;
@@ -37,7 +39,7 @@ router.get('/search-users', requireAuth, async (req, res) => {
 });
 
 // 2. GET CONVERSATIONS LIST (Sidebar)
-router.get('/conversations', requireAuth, async (req, res) => {
+router.get('/conversations', requireAuth, requirePermission('internalMessages.use'), async (req, res) => {
   try {
     const currentUserId = req.user.userId;
     const currentUser = await User.findById(currentUserId).select('username');
@@ -115,7 +117,7 @@ router.get('/conversations', requireAuth, async (req, res) => {
 });
 
 // 3. GET MESSAGES IN CONVERSATION
-router.get('/messages/:conversationId', requireAuth, async (req, res) => {
+router.get('/messages/:conversationId', requireAuth, requirePermission('internalMessages.use'), async (req, res) => {
   try {
     const { conversationId } = req.params;
     const currentUserId = req.user.userId;
@@ -125,8 +127,8 @@ router.get('/messages/:conversationId', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Security: Verify user is part of conversation (unless superadmin)
-    if (req.user.role !== 'superadmin') {
+    // Security: Verify user is part of conversation (unless allowed to read every conversation)
+    if (!hasPermission(req.user, 'internalMessages.readAll')) {
       const [user1, user2] = conversationId.split('_');
       if (user1 !== currentUser.username && user2 !== currentUser.username) {
         return res.status(403).json({ error: 'Forbidden: Not your conversation' });
@@ -157,7 +159,7 @@ router.get('/messages/:conversationId', requireAuth, async (req, res) => {
 });
 
 // 4. SEND MESSAGE
-router.post('/send', requireAuth, async (req, res) => {
+router.post('/send', requireAuth, requirePermission('internalMessages.use'), async (req, res) => {
   try {
     const { recipientId, body, mediaUrls } = req.body;
     const currentUserId = req.user.userId;
@@ -194,6 +196,20 @@ router.post('/send', requireAuth, async (req, res) => {
     await newMessage.populate('sender', 'username role');
     await newMessage.populate('recipient', 'username role');
 
+    // Push to both participants' open tabs
+    publishEvent('internalMessage.sent', {
+      userIds: [sender._id, recipient._id],
+      data: {
+        messageId: newMessage._id,
+        conversationId,
+        sender: { _id: sender._id, username: sender.username },
+        recipient: { _id: recipient._id, username: recipient.username },
+        body,
+        mediaUrls: newMessage.mediaUrls,
+        messageDate: newMessage.messageDate
+      }
+    });
+
     res.json(newMessage);
   } catch (err) {
     console.error('Send message error:', err);
@@ -202,7 +218,7 @@ router.post('/send', requireAuth, async (req, res) => {
 });
 
 // 5. GET UNREAD COUNT (for badge)
-router.get('/unread-count', requireAuth, async (req, res) => {
+router.get('/unread-count', requireAuth, requirePermission('internalMessages.use'), async (req, res) => {
   try {
     const currentUserId = req.user.userId;
 
@@ -223,7 +239,7 @@ router.get('/unread-count', requireAuth, async (req, res) => {
 // ============================================
 
 // 6. SUPERADMIN: Get All Conversations
-router.get('/admin/all-conversations', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.get('/admin/all-conversations', requireAuth, requirePermission('internalMessages.readAll'), async (req, res) => {
   try {
     const { page = 1, limit = 50, search } = req.query;
     const skip = (page - 1) * limit;
@@ -287,7 +303,7 @@ router.get('/admin/all-conversations', requireAuth, requireRole('superadmin'), a
 });
 
 // 7. SUPERADMIN: View Any Conversation
-router.get('/admin/conversation/:conversationId', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.get('/admin/conversation/:conversationId', requireAuth, requirePermission('internalMessages.readAll'), async (req, res) => {
   try {
     const { conversationId } = req.params;
 
@@ -1,7 +1,8 @@
 import { Router } from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import LeaveRequest from '../models/LeaveRequest.js';
 import User from '../models/User.js';
+import { runWorkAssignment } from '../lib/workQueue.js';
 
 const router = Router();
 
@@ -37,7 +38,7 @@ function getDateRange(startDate, endDate) {
 }
 
 // POST / - Create a new leave request
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('leaves.self'), async (req, res) => {
     try {
         const { startDate, endDate, reason } = req.body;
         const userId = req.user.userId;
@@ -158,7 +159,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // GET / - Get current user's leave requests
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('leaves.self'), async (req, res) => {
     try {
         const userId = req.user.userId;
         const leaves = await LeaveRequest.find({ user: userId })
@@ -171,7 +172,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // GET /admin - Get all leave requests (HR Admin and Superadmin only)
-router.get('/admin', requireAuth, requireRole('hradmin', 'superadmin'), async (req, res) => {
+router.get('/admin', requireAuth, requirePermission('leaves.approve'), async (req, res) => {
     try {
         const { status, department } = req.query;
 
@@ -198,7 +199,7 @@ router.get('/admin', requireAuth, requireRole('hradmin', 'superadmin'), async (r
 });
 
 // PUT /:id/status - Approve or reject a leave request (HR Admin and Superadmin only)
-router.put('/:id/status', requireAuth, requireRole('hradmin', 'superadmin'), async (req, res) => {
+router.put('/:id/status', requireAuth, requirePermission('leaves.approve'), async (req, res) => {
     try {
         const { id } = req.params;
         const { status, rejectionReason } = req.body;
@@ -256,6 +257,13 @@ router.put('/:id/status', requireAuth, requireRole('hradmin', 'superadmin'), asy
         }
         await leaveRequest.save();
 
+        // Leave that has already started: hand the user's open worksheet items to others now
+        // instead of waiting for the scheduled run
+        if (status === 'approved' && leaveRequest.startDate <= new Date()) {
+            runWorkAssignment({ startedBy: req.user.userId, startedByName: 'leave approval' })
+                .catch(err => console.error('[WorkQueue] Reassignment after leave approval failed:', err.message));
+        }
+
         res.json(leaveRequest);
     } catch (error) {
         console.error('Error updating leave status:', error);
@@ -264,7 +272,7 @@ router.put('/:id/status', requireAuth, requireRole('hradmin', 'superadmin'), asy
 });
 
 // DELETE /:id - Cancel a leave request (Employee only, if pending)
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('leaves.self'), async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.userId;
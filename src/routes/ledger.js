@@ -0,0 +1,192 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope, requireRecordSellerAccess } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import Seller from '../models/Seller.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { canAccessSeller, scopedSellerMatch } from '../lib/sellerAccess.js';
+import { withJobLock, lockOwnerFromRequest } from '../lib/jobLock.js';
+import {
+  LEDGER_ORDER_FIELDS,
+  postOrderLedger,
+  postAdjustment,
+  reverseEntry,
+  monthlyProfitAndLoss
+} from '../lib/ledger.js';
+
+const router = Router();
+
+// Plain dates (YYYY-MM-DD) are IST days, like the months of the P&L report
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}+05:30` : value);
+  return isNaN(date) ? null : date;
+}
+
+function totalsOf(entries) {
+  const byType = {};
+  let usd = 0;
+  let inr = 0;
+  for (const entry of entries) {
+    byType[entry.type] = byType[entry.type] || { usd: 0, inr: 0 };
+    byType[entry.type].usd += entry.amountUSD;
+    byType[entry.type].inr += entry.amountINR;
+    usd += entry.amountUSD;
+    inr += entry.amountINR;
+  }
+  for (const sum of Object.values(byType)) {
+    sum.usd = Math.round(sum.usd * 100) / 100;
+    sum.inr = Math.round(sum.inr * 100) / 100;
+  }
+  return { usd: Math.round(usd * 100) / 100, inr: Math.round(inr * 100) / 100, byType };
+}
+
+async function findOrder(req, orderId) {
+  const order = await Order.findOne({ orderId: String(orderId).trim() }).select(LEDGER_ORDER_FIELDS).lean();
+  return order && canAccessSeller(req, order.seller) ? order : null;
+}
+
+// GET /pnl?from=YYYY-MM&to=YYYY-MM - Monthly P&L per seller (USD and INR) with Payoneer deposits
+router.get('/pnl', requireAuth, requirePermission('ledger.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, from, to } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    if (!from) return res.status(400).json({ error: 'from is required (YYYY-MM)' });
+
+    const scope = scopedSellerMatch(req, sellerId);
+    const sellerIds = scope.seller ? (scope.seller.$in || [scope.seller]) : null;
+
+    const rows = await monthlyProfitAndLoss({ sellerIds, from, to: to || from });
+    res.json({ from, to: to || from, rows });
+  } catch (err) {
+    if (err.message.startsWith('Invalid month') || err.message.startsWith('to must')) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /orders/:orderId - Every entry of one order (eBay orderId) with totals per type
+router.get('/orders/:orderId', requireAuth, requirePermission('ledger.read'), async (req, res) => {
+  try {
+    const order = await findOrder(req, req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const entries = await LedgerEntry.find({ order: order._id })
+      .populate('createdBy', 'username')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({ order, entries, totals: totalsOf(entries) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /orders/:orderId/post - Repost one order now instead of waiting for the ledger cron
+router.post('/orders/:orderId/post', requireAuth, requirePermission('ledger.manage'), async (req, res) => {
+  try {
+    const order = await findOrder(req, req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const owner = await lockOwnerFromRequest(req);
+    const outcome = await withJobLock('ledger-sync', { label: 'Ledger posting', ...owner }, () => postOrderLedger(order));
+    if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+
+    res.json({ posted: outcome.result.length, entries: outcome.result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /entries - Browse entries. Filters: sellerId, orderId, type, source, reason, from, to (accounting date)
+router.get('/entries', requireAuth, requirePermission('ledger.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, orderId, type, source, reason, from, to, page = 1, limit = 50 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const query = { ...scopedSellerMatch(req, sellerId) };
+    if (orderId) query.orderId = String(orderId).trim();
+    if (type) query.type = type;
+    if (source) query.source = source;
+    if (reason) query.reason = reason;
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to, true);
+    if (fromDate || toDate) {
+      query.accountingDate = {};
+      if (fromDate) query.accountingDate.$gte = fromDate;
+      if (toDate) query.accountingDate.$lte = toDate;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 500);
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .populate('createdBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    res.json({ entries, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /entries - Manual adjustment on an order (orderId) or a seller (sellerId).
+// Body: type, amountUSD and/or amountINR (signed: costs negative), accountingDate, note
+router.post('/entries', requireAuth, requirePermission('ledger.manage'), enforceSellerScope, async (req, res) => {
+  const { orderId, sellerId, type, amountUSD, amountINR, accountingDate, note } = req.body;
+  try {
+    if (!note || !String(note).trim()) return res.status(400).json({ error: 'note is required for manual entries' });
+    if (accountingDate && !parseDate(accountingDate)) return res.status(400).json({ error: 'Invalid accountingDate' });
+
+    let order = null;
+    if (orderId) {
+      order = await findOrder(req, orderId);
+      if (!order) return res.status(404).json({ error: 'Order not found' });
+    } else if (!sellerId || !mongoose.Types.ObjectId.isValid(sellerId) || !(await Seller.exists({ _id: sellerId }))) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+
+    const entry = await postAdjustment({
+      seller: sellerId,
+      order,
+      type,
+      amountUSD,
+      amountINR,
+      accountingDate: parseDate(accountingDate),
+      note: String(note).trim(),
+      createdBy: req.user.userId
+    });
+    res.status(201).json(entry);
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.message.includes('amountUSD') || err.message.includes('exchange rate')) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /entries/:id/reverse - Cancel a manual entry (automatic entries follow the order)
+router.post('/entries/:id/reverse', requireAuth, requirePermission('ledger.manage'), requireRecordSellerAccess(LedgerEntry, 'id'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Entry not found' });
+    const entry = await LedgerEntry.findById(req.params.id).lean();
+    if (!entry) return res.status(404).json({ error: 'Entry not found' });
+
+    const reversal = await reverseEntry(entry, { note: req.body.note, createdBy: req.user.userId });
+    res.status(201).json(reversal);
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'This entry has already been reversed' });
+    if (err.message.startsWith('Automatic entries') || err.message.startsWith('A reversal')) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,12 +1,12 @@
 import express from 'express';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import ListingTemplate from '../models/ListingTemplate.js';
 import TemplateOverride from '../models/TemplateOverride.js';
 
 const router = express.Router();
 
 // Get custom Action field for template
-router.get('/action-field/:templateId', requireAuth, async (req, res) => {
+router.get('/action-field/:templateId', requireAuth, requirePermission('listings.read'), async (req, res) => {
   try {
     const { templateId } = req.params;
     const { sellerId } = req.query;
@@ -43,7 +43,7 @@ router.get('/action-field/:templateId', requireAuth, async (req, res) => {
 });
 
 // Update custom Action field for template
-router.put('/action-field/:templateId', requireAuth, async (req, res) => {
+router.put('/action-field/:templateId', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { templateId } = req.params;
     const { actionField, sellerId } = req.body;
@@ -98,7 +98,7 @@ router.put('/action-field/:templateId', requireAuth, async (req, res) => {
 });
 
 // Bulk reset overrides for a template (apply base template to all sellers)
-router.delete('/:id/bulk-reset-overrides', requireAuth, async (req, res) => {
+router.delete('/:id/bulk-reset-overrides', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { id: templateId } = req.params;
     
@@ -136,7 +136,7 @@ router.delete('/:id/bulk-reset-overrides', requireAuth, async (req, res) => {
 });
 
 // Get all templates
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('listings.read'), async (req, res) => {
   try {
     const templates = await ListingTemplate.find()
       .populate('createdBy', 'name email')
@@ -150,7 +150,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Get single template by ID
-router.get('/:id', requireAuth, async (req, res) => {
+router.get('/:id', requireAuth, requirePermission('listings.read'), async (req, res) => {
   try {
     const template = await ListingTemplate.findById(req.params.id)
       .populate('createdBy', 'name email');
@@ -167,7 +167,7 @@ router.get('/:id', requireAuth, async (req, res) => {
 });
 
 // Create new template
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { name, description, category, ebayCategory, customColumns, asinAutomation, pricingConfig, coreFieldDefaults } = req.body;
     
@@ -204,7 +204,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // Duplicate template
-router.post('/:id/duplicate', requireAuth, async (req, res) => {
+router.post('/:id/duplicate', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -273,7 +273,7 @@ router.post('/:id/duplicate', requireAuth, async (req, res) => {
 });
 
 // Update template
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { name, description, category, ebayCategory, customColumns, asinAutomation, pricingConfig, coreFieldDefaults } = req.body;
     
@@ -311,7 +311,7 @@ router.put('/:id', requireAuth, async (req, res) => {
 });
 
 // Delete template
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const template = await ListingTemplate.findByIdAndDelete(req.params.id);
     
@@ -330,7 +330,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
 });
 
 // Add custom column to template
-router.post('/:id/columns', requireAuth, async (req, res) => {
+router.post('/:id/columns', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { name, displayName, dataType, defaultValue, isRequired, placeholder } = req.body;
     
@@ -370,7 +370,7 @@ router.post('/:id/columns', requireAuth, async (req, res) => {
 });
 
 // Update custom column
-router.put('/:id/columns/:columnName', requireAuth, async (req, res) => {
+router.put('/:id/columns/:columnName', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { displayName, dataType, defaultValue, isRequired, placeholder } = req.body;
     
@@ -405,7 +405,7 @@ router.put('/:id/columns/:columnName', requireAuth, async (req, res) => {
 });
 
 // Delete custom column
-router.delete('/:id/columns/:columnName', requireAuth, async (req, res) => {
+router.delete('/:id/columns/:columnName', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const template = await ListingTemplate.findById(req.params.id);
     
@@ -428,7 +428,7 @@ router.delete('/:id/columns/:columnName', requireAuth, async (req, res) => {
 });
 
 // Reorder custom columns
-router.post('/:id/columns/reorder', requireAuth, async (req, res) => {
+router.post('/:id/columns/reorder', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { columnOrders } = req.body; // Array of { name, order }
     
@@ -1,6 +1,8 @@
 import { Router } from 'express';
 import mongoose from 'mongoose';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission, enforceSellerScope } from '../middleware/auth.js';
+import { sellerScopeMatch, scopedSellerMatch } from '../lib/sellerAccess.js';
+import { assigneeMatch } from '../lib/workQueue.js';
 import Order from '../models/Order.js';
 import Seller from '../models/Seller.js';
 import Return from '../models/Return.js';
@@ -82,9 +84,8 @@ function getCurrentAccountHealthWindow() {
   return { windowStart, calculationEnd };
 }
 
-async function getCurrentNonCompliantSellerSet(optionalSellerId) {
+async function getCurrentNonCompliantSellerSet(sellerMatch = {}) {
   const { windowStart, calculationEnd } = getCurrentAccountHealthWindow();
-  const sellerMatch = optionalSellerId ? { seller: new mongoose.Types.ObjectId(optionalSellerId) } : {};
 
   const [latestMarketMetric, salesBySeller, snadCasesBySeller, snadReturnsBySeller] = await Promise.all([
     MarketMetric.findOne({
@@ -149,7 +150,7 @@ async function getCurrentNonCompliantSellerSet(optionalSellerId) {
   return nonCompliant;
 }
 
-router.get('/dashboard/monthly-delta', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/dashboard/monthly-delta', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   try {
     const month = req.query.month || getPtDateString(new Date()).slice(0, 7);
     const previousMonth = getPreviousMonth(month);
@@ -158,7 +159,7 @@ router.get('/dashboard/monthly-delta', requireAuth, requireRole('fulfillmentadmi
     const currentRange = getMonthUtcRange(month);
     const previousRange = getMonthUtcRange(previousMonth);
 
-    const sellerMatch = sellerId ? { seller: new mongoose.Types.ObjectId(sellerId) } : {};
+    const sellerMatch = scopedSellerMatch(req, sellerId);
     const baseMatch = req.query.excludeLowValue === 'true'
       ? {
           ...sellerMatch,
@@ -185,7 +186,7 @@ router.get('/dashboard/monthly-delta', requireAuth, requireRole('fulfillmentadmi
         },
         { $group: { _id: '$seller', count: { $sum: 1 } } }
       ]),
-      Seller.find(sellerId ? { _id: new mongoose.Types.ObjectId(sellerId) } : {})
+      Seller.find(scopedSellerMatch(req, sellerId, '_id'))
         .populate('user', 'username email')
         .lean()
     ]);
@@ -219,12 +220,12 @@ router.get('/dashboard/monthly-delta', requireAuth, requireRole('fulfillmentadmi
   }
 });
 
-router.get('/dashboard/overview', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/dashboard/overview', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   try {
     const date = req.query.date || getPtDateString(new Date());
     const { sellerId } = req.query;
     const { start, end } = getPtDayRange(date);
-    const sellerMatch = sellerId ? { seller: new mongoose.Types.ObjectId(sellerId) } : {};
+    const sellerMatch = scopedSellerMatch(req, sellerId);
     const lowValueClause = req.query.excludeLowValue === 'true'
       ? { $or: [{ subtotalUSD: { $gte: 3 } }, { subtotal: { $gte: 3 } }] }
       : {};
@@ -300,7 +301,7 @@ router.get('/dashboard/overview', requireAuth, requireRole('fulfillmentadmin', '
         { $group: { _id: '$seller', count: { $sum: 1 } } },
         { $sort: { count: -1 } }
       ]),
-      getCurrentNonCompliantSellerSet(sellerId)
+      getCurrentNonCompliantSellerSet(sellerMatch)
     ]);
 
     const allSellerIds = new Set([
@@ -400,12 +401,12 @@ router.get('/dashboard/overview', requireAuth, requireRole('fulfillmentadmin', '
 });
 
 // Get daily order statistics for all sellers
-router.get('/daily-statistics', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/daily-statistics', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   try {
     const { startDate, endDate, sellerId } = req.query;
 
     // Build the query - NO CANCELSTATE FILTER (matches FulfillmentDashboard)
-    const query = {};
+    const query = { ...sellerScopeMatch(req) };
 
     // Add date filter if provided
     // Use the SAME timezone logic as FulfillmentDashboard (PST - UTC-8)
@@ -524,12 +525,15 @@ router.get('/daily-statistics', requireAuth, requireRole('fulfillmentadmin', 'su
 });
 
 // Get worksheet statistics for cancellations, returns, INR/disputes, and inquiries
-router.get('/worksheet-statistics', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/worksheet-statistics', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   try {
-    const { startDate, endDate, sellerId } = req.query;
+    const { startDate, endDate, sellerId, assignedTo } = req.query;
 
-    // Build seller filter if sellerId is provided
-    const sellerMatch = sellerId ? { seller: new mongoose.Types.ObjectId(sellerId) } : {};
+    // Build seller filter if sellerId is provided (otherwise the caller's sellers)
+    const sellerMatch = scopedSellerMatch(req, sellerId);
+    // Owner filter (me, none or a user id) for cancellations, returns, cases and disputes
+    const assignee = assigneeMatch(req, assignedTo);
+    if (!assignee) return res.status(400).json({ error: 'Invalid assignedTo' });
 
     // Use UTC boundaries for filtering (matches frontend local date selection)
     const buildDateRangeMatch = (field) => {
@@ -572,6 +576,7 @@ router.get('/worksheet-statistics', requireAuth, requireRole('fulfillmentadmin',
       {
         $match: {
           ...sellerMatch,
+          ...assignee,
           cancelState: { $in: cancellationStates },
           ...buildDateRangeMatch('worksheetDate')
         }
@@ -593,7 +598,7 @@ router.get('/worksheet-statistics', requireAuth, requireRole('fulfillmentadmin',
     ];
 
     const returnsPipeline = [
-      { $match: { ...sellerMatch, ...buildDateRangeMatch('creationDate') } },
+      { $match: { ...sellerMatch, ...assignee, ...buildDateRangeMatch('creationDate') } },
       {
         $project: {
           worksheetStatus: { $ifNull: ['$worksheetStatus', 'open'] },
@@ -611,7 +616,7 @@ router.get('/worksheet-statistics', requireAuth, requireRole('fulfillmentadmin',
     ];
 
     const casesPipeline = [
-      { $match: { ...sellerMatch, ...buildDateRangeMatch('creationDate') } },
+      { $match: { ...sellerMatch, ...assignee, ...buildDateRangeMatch('creationDate') } },
       {
         $project: {
           status: '$status',
@@ -630,7 +635,7 @@ router.get('/worksheet-statistics', requireAuth, requireRole('fulfillmentadmin',
 
     const disputesPipeline = [
       { $addFields: { worksheetDate: { $ifNull: ['$openDate', '$createdAt'] } } },
-      { $match: { ...sellerMatch, ...buildDateRangeMatch('worksheetDate') } },
+      { $match: { ...sellerMatch, ...assignee, ...buildDateRangeMatch('worksheetDate') } },
       {
         $project: {
           status: '$paymentDisputeStatus',
@@ -779,9 +784,13 @@ router.get('/worksheet-statistics', requireAuth, requireRole('fulfillmentadmin',
 });
 
 // Worksheet summary for cards (totals + open counts + totalOrders) based on the same filter as worksheet-statistics
-router.get('/worksheet-summary', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'hoc', 'compliancemanager'), async (req, res) => {
+router.get('/worksheet-summary', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, assignedTo } = req.query;
+    const sellerMatch = sellerScopeMatch(req);
+    // Owner filter (me, none or a user id); totalOrders stays the seller's total
+    const assignee = assigneeMatch(req, assignedTo);
+    if (!assignee) return res.status(400).json({ error: 'Invalid assignedTo' });
 
     // Use UTC boundaries for filtering (matches frontend local date selection)
     const buildDateRangeMatch = (field) => {
@@ -802,6 +811,7 @@ router.get('/worksheet-summary', requireAuth, requireRole('fulfillmentadmin', 's
 
     // Total orders denominator (uses dateSold like order analytics)
     const totalOrdersQuery = {
+      ...sellerMatch,
       ...buildDateRangeMatch('dateSold')
     };
 
@@ -818,6 +828,8 @@ router.get('/worksheet-summary', requireAuth, requireRole('fulfillmentadmin', 's
     const cancellationStates = ['CANCEL_REQUESTED', 'IN_PROGRESS', 'CANCELED', 'CANCELLED'];
     const cancellationsMatchStage = {
       $match: {
+        ...sellerMatch,
+        ...assignee,
         cancelState: { $in: cancellationStates }
       }
     };
@@ -841,7 +853,7 @@ router.get('/worksheet-summary', requireAuth, requireRole('fulfillmentadmin', 's
 
     // Returns: Return.creationDate, manual worksheetStatus default open
     const returnsPipeline = [
-      ...(startDate || endDate ? [{ $match: buildDateRangeMatch('creationDate') }] : []),
+      { $match: { ...sellerMatch, ...assignee, ...buildDateRangeMatch('creationDate') } },
       {
         $project: {
           worksheetStatus: { $ifNull: ['$worksheetStatus', 'open'] }
@@ -857,7 +869,7 @@ router.get('/worksheet-summary', requireAuth, requireRole('fulfillmentadmin', 's
 
     // INR: Case.creationDate, automatic status based on Case.status (same mapping as worksheet table)
     const inrPipeline = [
-      ...(startDate || endDate ? [{ $match: buildDateRangeMatch('creationDate') }] : []),
+      { $match: { ...sellerMatch, ...assignee, ...buildDateRangeMatch('creationDate') } },
       {
         $project: {
           status: '$status'
@@ -874,7 +886,7 @@ router.get('/worksheet-summary', requireAuth, requireRole('fulfillmentadmin', 's
     // Disputes: PaymentDispute.openDate || createdAt, automatic status based on paymentDisputeStatus (same mapping as worksheet table)
     const disputesPipeline = [
       { $addFields: { worksheetDate: { $ifNull: ['$openDate', '$createdAt'] } } },
-      ...(startDate || endDate ? [{ $match: buildDateRangeMatch('worksheetDate') }] : []),
+      { $match: { ...sellerMatch, ...assignee, ...buildDateRangeMatch('worksheetDate') } },
       {
         $project: {
           status: '$paymentDisputeStatus'
@@ -897,14 +909,18 @@ router.get('/worksheet-summary', requireAuth, requireRole('fulfillmentadmin', 's
       Case.aggregate(inrPipeline),
       PaymentDispute.aggregate(disputesPipeline),
       Order.countDocuments({
+        ...sellerMatch,
+        ...assignee,
         cancelState: { $in: cancellationStates },
         $or: [{ worksheetStatus: 'open' }, { worksheetStatus: { $exists: false } }, { worksheetStatus: null }]
       }),
       Return.countDocuments({
+        ...sellerMatch,
+        ...assignee,
         $or: [{ worksheetStatus: 'open' }, { worksheetStatus: { $exists: false } }, { worksheetStatus: null }]
       }),
-      Case.countDocuments({ status: { $in: Array.from(caseOpen) } }),
-      PaymentDispute.countDocuments({ paymentDisputeStatus: { $in: Array.from(disputeOpen) } })
+      Case.countDocuments({ ...sellerMatch, ...assignee, status: { $in: Array.from(caseOpen) } }),
+      PaymentDispute.countDocuments({ ...sellerMatch, ...assignee, paymentDisputeStatus: { $in: Array.from(disputeOpen) } })
     ]);
 
     const toWorksheetBuckets = (rows) => {
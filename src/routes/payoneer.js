@@ -1,10 +1,23 @@
 import express from 'express';
 import PayoneerRecord from '../models/PayoneerRecord.js';
 import Transaction from '../models/Transaction.js';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { reconcileSellerPayouts } from '../lib/ebayFinances.js';
+import { getRate } from '../lib/currency.js';
 
 const router = express.Router();
 
+// Re-match the store's eBay payouts after its Payoneer records changed (never fails the request)
+const reconcileStorePayouts = async (...storeIds) => {
+    for (const storeId of new Set(storeIds.filter(Boolean).map(String))) {
+        try {
+            await reconcileSellerPayouts(storeId);
+        } catch (err) {
+            console.error('Failed to reconcile eBay payouts:', err);
+        }
+    }
+};
+
 // Helper to calculate fields
 const calculateFields = (amount, exchangeRate) => {
     const amountNum = parseFloat(amount);
@@ -24,8 +37,40 @@ const calculateFields = (amount, exchangeRate) => {
     };
 };
 
+// Market USD/INR rate on the payment date, for records entered without a rate
+const marketRateOn = async (paymentDate) => {
+    const found = await getRate('USD', 'INR', paymentDate);
+    return found ? parseFloat(found.rate.toFixed(4)) : null;
+};
+
+// Records whose rate was looked up (exchangeRateSource 'rates') and paid on or after `from`
+// are recalculated with the rate now stored for their day (lib/rateRecalculation.js)
+export const recalculatePayoneerRates = async (from) => {
+    const summary = { checked: 0, updated: 0 };
+    const records = await PayoneerRecord.find({ exchangeRateSource: 'rates', paymentDate: { $gte: from } });
+
+    for (const record of records) {
+        summary.checked++;
+        const rate = await marketRateOn(record.paymentDate);
+        if (!rate || rate === record.exchangeRate) continue;
+
+        Object.assign(record, calculateFields(record.amount, rate));
+        await record.save();
+        try {
+            await Transaction.findOneAndUpdate(
+                { source: 'PAYONEER', sourceId: record._id },
+                { amount: record.bankDeposit }
+            );
+        } catch (syncErr) {
+            console.error('Failed to sync rate recalculation to Transaction:', syncErr);
+        }
+        summary.updated++;
+    }
+    return summary;
+};
+
 // GET /api/payoneer - List all records with pagination and filtering
-router.get('/', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.get('/', requireAuth, requirePermission('finance.read'), async (req, res) => {
     try {
         const { page = 1, limit = 50, startDate, endDate, store } = req.query;
 
@@ -82,20 +127,27 @@ router.get('/', requireAuth, requireRole('superadmin'), async (req, res) => {
 });
 
 // POST /api/payoneer - Create new record
-router.post('/', requireAuth, requireRole('superadmin'), async (req, res) => {
+// exchangeRate is optional: without it the market USD/INR rate of paymentDate is used
+router.post('/', requireAuth, requirePermission('finance.manage'), async (req, res) => {
     try {
         const { bankAccount, paymentDate, amount, exchangeRate, store } = req.body;
 
-        if (!bankAccount || !paymentDate || !amount || !exchangeRate || !store) {
+        if (!bankAccount || !paymentDate || !amount || !store) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        const calcs = calculateFields(amount, exchangeRate);
+        const rate = exchangeRate || await marketRateOn(paymentDate);
+        if (!rate) {
+            return res.status(400).json({ error: 'No USD/INR rate stored for the payment date; enter exchangeRate' });
+        }
+
+        const calcs = calculateFields(amount, rate);
 
         const newRecord = new PayoneerRecord({
             bankAccount,
             paymentDate,
             store,
+            exchangeRateSource: exchangeRate ? 'manual' : 'rates',
             ...calcs
         });
 
@@ -128,6 +180,7 @@ router.post('/', requireAuth, requireRole('superadmin'), async (req, res) => {
         } catch (syncErr) {
             console.error('Failed to sync Payoneer to Transaction:', syncErr);
         }
+        await reconcileStorePayouts(newRecord.store?._id);
 
         res.status(201).json(newRecord);
     } catch (err) {
@@ -136,22 +189,29 @@ router.post('/', requireAuth, requireRole('superadmin'), async (req, res) => {
 });
 
 // PUT /api/payoneer/:id - Update record
-router.put('/:id', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('finance.manage'), async (req, res) => {
     try {
         const { id } = req.params;
         const { bankAccount, paymentDate, amount, exchangeRate, store } = req.body;
 
         const record = await PayoneerRecord.findById(id);
         if (!record) return res.status(404).json({ error: 'Record not found' });
+        const previousStore = record.store;
 
         // Update basic fields if provided
         if (bankAccount) record.bankAccount = bankAccount;
         if (paymentDate) record.paymentDate = paymentDate;
         if (store) record.store = store;
 
-        // Recalculate if amount or rate changes
+        // Recalculate if amount or rate changes; a looked-up rate follows the payment date
         const newAmount = amount !== undefined ? amount : record.amount;
-        const newRate = exchangeRate !== undefined ? exchangeRate : record.exchangeRate;
+        let newRate = record.exchangeRate;
+        if (exchangeRate) {
+            newRate = exchangeRate;
+            record.exchangeRateSource = 'manual';
+        } else if (record.exchangeRateSource === 'rates' && paymentDate) {
+            newRate = await marketRateOn(record.paymentDate) || record.exchangeRate;
+        }
 
         const calcs = calculateFields(newAmount, newRate);
 
@@ -188,6 +248,7 @@ router.put('/:id', requireAuth, requireRole('superadmin'), async (req, res) => {
         } catch (syncErr) {
             console.error('Failed to sync update to Transaction:', syncErr);
         }
+        await reconcileStorePayouts(previousStore, record.store?._id);
 
         res.json(record);
     } catch (err) {
@@ -196,13 +257,14 @@ router.put('/:id', requireAuth, requireRole('superadmin'), async (req, res) => {
 });
 
 // DELETE /api/payoneer/:id - Delete record
-router.delete('/:id', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('finance.manage'), async (req, res) => {
     try {
         const { id } = req.params;
-        await PayoneerRecord.findByIdAndDelete(id);
+        const record = await PayoneerRecord.findByIdAndDelete(id);
 
         // --- SYNC DELETE TRANSACTION ---
         await Transaction.findOneAndDelete({ source: 'PAYONEER', sourceId: id });
+        await reconcileStorePayouts(record?.store);
 
         res.json({ message: 'Record deleted' });
     } catch (err) {
@@ -1,10 +1,10 @@
 import { Router } from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import Platform from '../models/Platform.js';
 
 const router = Router();
 
-router.post('/', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('catalog.manageStores'), async (req, res) => {
   const { name, type } = req.body || {};
   if (!name || !type) return res.status(400).json({ error: 'name and type required' });
   try {
@@ -15,7 +15,7 @@ router.post('/', requireAuth, requireRole('superadmin'), async (req, res) => {
   }
 });
 
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('catalog.read'), async (req, res) => {
   const { type } = req.query;
   const query = type ? { type } : {};
   const items = await Platform.find(query).sort({ name: 1 });
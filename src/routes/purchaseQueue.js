@@ -0,0 +1,122 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope } from '../middleware/auth.js';
+import AmazonPurchase from '../models/AmazonPurchase.js';
+import { hasPermission } from '../lib/permissions.js';
+import { canAccessSeller, scopedSellerMatch, sellerScopeMatch } from '../lib/sellerAccess.js';
+import { buildPurchaseQueue, claimOrders, releaseClaims, recordPurchase, recordOutcome } from '../lib/purchaseQueue.js';
+
+const router = Router();
+
+function idList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(id => String(id).trim()).filter(Boolean);
+}
+
+// GET / - Orders to buy on Amazon grouped by ASIN and Amazon account. Filters: sellerId,
+// marketplace, mine (only my claims), includeBlocked (also out of stock / too expensive)
+router.get('/', requireAuth, requirePermission('purchasing.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, marketplace, mine, includeBlocked } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const queue = await buildPurchaseQueue({
+      match: scopedSellerMatch(req, sellerId),
+      marketplace,
+      userId: req.user.userId,
+      mine: mine === 'true',
+      includeBlocked: includeBlocked === 'true'
+    });
+    res.json(queue);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /claim - Claim orders for buying ({ orderIds, batch }); pass batch to add to a claimed batch
+router.post('/claim', requireAuth, requirePermission('purchasing.manage'), async (req, res) => {
+  try {
+    const ids = idList(req.body.orderIds);
+    if (ids.length === 0) return res.status(400).json({ error: 'orderIds is required' });
+
+    const result = await claimOrders(ids, req.user.userId, {
+      ...(req.body.batch ? { batch: String(req.body.batch) } : {}),
+      canAccess: sellerId => canAccessSeller(req, sellerId)
+    });
+    if (result.claimed.length === 0) return res.status(409).json({ error: 'No orders could be claimed', ...result });
+    console.log(`[PurchaseQueue] ${result.claimed.length} order(s) claimed in batch ${result.batch}`);
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /release - Release my claims ({ orderIds } or { batch }); force: true releases
+// anyone's claims on those orders (purchasing.manageQueue)
+router.post('/release', requireAuth, requirePermission('purchasing.manage'), async (req, res) => {
+  const { batch, force } = req.body;
+  try {
+    if (force === true && !hasPermission(req.user, 'purchasing.manageQueue')) {
+      return res.status(403).json({ error: 'Forbidden', requiredPermission: 'purchasing.manageQueue' });
+    }
+    const ids = idList(req.body.orderIds);
+    if (ids.length === 0 && !batch) return res.status(400).json({ error: 'orderIds or batch is required' });
+
+    const released = await releaseClaims({
+      orderIds: ids,
+      batch: batch ? String(batch) : undefined,
+      userId: req.user.userId,
+      force: force === true,
+      match: sellerScopeMatch(req)
+    });
+    res.json({ released });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /purchase - Record the Amazon order that bought claimed orders ({ orderIds,
+// amazonOrderId, amazonAccount, creditCardName, beforeTax, estimatedTax, currency, notes })
+router.post('/purchase', requireAuth, requirePermission('purchasing.manage'), async (req, res) => {
+  const { amazonOrderId, amazonAccount, creditCardName, beforeTax, estimatedTax, currency, notes } = req.body;
+  try {
+    for (const [name, value] of [['amazonAccount', amazonAccount], ['creditCardName', creditCardName]]) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) return res.status(400).json({ error: `Invalid ${name}` });
+    }
+
+    const result = await recordPurchase(
+      idList(req.body.orderIds),
+      { amazonOrderId, amazonAccount, creditCardName, beforeTax, estimatedTax, currency, notes },
+      req.user.userId,
+      { canAccess: sellerId => canAccessSeller(req, sellerId) }
+    );
+    if (result.error) return res.status(400).json({ error: result.error });
+    if (result.conflict) return res.status(409).json({ error: result.conflict });
+
+    console.log(`[PurchaseQueue] Purchase ${result.purchase.amazonOrderId || result.purchase._id} recorded for ${result.purchase.orders.length} order(s)`);
+    res.status(201).json(await AmazonPurchase.findById(result.purchase._id)
+      .populate([{ path: 'amazonAccount', select: 'name' }, { path: 'creditCardName', select: 'name' }])
+      .lean());
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'This Amazon order is already recorded for the seller; link the eBay order to it under Amazon purchases' });
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /outcome - Record why orders were not bought ({ orderIds, outcome: outOfStock |
+// priceTooHigh | skipped, notes }) and release them
+router.post('/outcome', requireAuth, requirePermission('purchasing.manage'), async (req, res) => {
+  const { outcome, notes } = req.body;
+  try {
+    const result = await recordOutcome(idList(req.body.orderIds), outcome, notes, req.user.userId, {
+      canAccess: sellerId => canAccessSeller(req, sellerId)
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    if (result.conflict) return res.status(409).json({ error: result.conflict });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,12 +1,12 @@
 import { Router } from 'express';
 import mongoose from 'mongoose';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import Range from '../models/Range.js';
 import Category from '../models/Category.js';
 
 const router = Router();
 
-router.post('/', requireAuth, requireRole('superadmin', 'productadmin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('catalog.manage'), async (req, res) => {
   const { name, categoryId } = req.body || {};
   if (!name || !categoryId) return res.status(400).json({ error: 'name and categoryId required' });
   try {
@@ -18,7 +18,7 @@ router.post('/', requireAuth, requireRole('superadmin', 'productadmin'), async (
   }
 });
 
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('catalog.read'), async (req, res) => {
   const { categoryId } = req.query || {};
   
   let query = {};
@@ -0,0 +1,160 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope, requireRecordSellerAccess } from '../middleware/auth.js';
+import Seller from '../models/Seller.js';
+import RepricingSettings from '../models/RepricingSettings.js';
+import RepricingRun from '../models/RepricingRun.js';
+import PriceChange from '../models/PriceChange.js';
+import { sellerScopeMatch, scopedSellerMatch } from '../lib/sellerAccess.js';
+import { lockOwnerFromRequest } from '../lib/jobLock.js';
+import { getRepricingSettings, startRepricingRun } from '../lib/repricing.js';
+
+const router = Router();
+
+const EDITABLE_SETTINGS = ['enabled', 'floorPrice', 'ceilingPrice', 'minChangePercent', 'minChangeAmount', 'maxListingsPerRun'];
+
+// GET /settings - Repricing settings of every seller in scope (defaults for sellers never configured)
+router.get('/settings', requireAuth, requirePermission('repricing.read'), async (req, res) => {
+  try {
+    const scope = sellerScopeMatch(req, '_id');
+    const [sellers, saved] = await Promise.all([
+      Seller.find(scope).populate('user', 'username email').select('user').lean(),
+      RepricingSettings.find(sellerScopeMatch(req)).populate('updatedBy', 'username').lean()
+    ]);
+    const bySeller = new Map(saved.map(s => [String(s.seller), s]));
+
+    res.json(sellers.map(seller => ({
+      seller,
+      settings: bySeller.get(String(seller._id)) || new RepricingSettings({ seller: seller._id }).toObject()
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /settings/:sellerId - Update a seller's floor/ceiling, thresholds and schedule switch
+router.put('/settings/:sellerId', requireAuth, requirePermission('repricing.manage'), enforceSellerScope, async (req, res) => {
+  const { sellerId } = req.params;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(sellerId) || !(await Seller.exists({ _id: sellerId }))) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+
+    const settings = await getRepricingSettings(sellerId);
+    for (const field of EDITABLE_SETTINGS) {
+      if (req.body[field] !== undefined) settings[field] = req.body[field] === '' ? null : req.body[field];
+    }
+    if (settings.floorPrice != null && settings.ceilingPrice != null && settings.floorPrice > settings.ceilingPrice) {
+      return res.status(400).json({ error: 'floorPrice cannot be above ceilingPrice' });
+    }
+    settings.updatedBy = req.user.userId;
+
+    await settings.save();
+    res.json(settings);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /runs - Start a run for one seller; dry run unless dryRun: false is sent.
+// Returns straight away with the run id - poll GET /runs/:id for the report.
+router.post('/runs', requireAuth, requirePermission('repricing.manage'), enforceSellerScope, async (req, res) => {
+  const { sellerId, dryRun = true, limit } = req.body;
+  try {
+    if (!sellerId || !mongoose.Types.ObjectId.isValid(sellerId) || !(await Seller.exists({ _id: sellerId }))) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+
+    const owner = await lockOwnerFromRequest(req);
+    const outcome = await startRepricingRun(sellerId, {
+      dryRun: dryRun !== false && dryRun !== 'false',
+      trigger: 'manual',
+      triggeredBy: owner.startedBy,
+      startedByName: owner.startedByName,
+      limit: Math.max(parseInt(limit) || 0, 0) || undefined
+    });
+
+    if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+
+    outcome.done.catch(err => console.error('[Repricing] Run failed:', err.message));
+    res.status(202).json({ runId: outcome.run._id, dryRun: outcome.run.dryRun, status: outcome.run.status });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /runs - Run history without the per-listing reports
+router.get('/runs', requireAuth, requirePermission('repricing.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, dryRun, page = 1, limit = 50 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const query = { ...scopedSellerMatch(req, sellerId) };
+    if (dryRun !== undefined) query.dryRun = dryRun === 'true';
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+    const [runs, total] = await Promise.all([
+      RepricingRun.find(query)
+        .select('-items')
+        .populate('triggeredBy', 'username')
+        .sort({ startedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      RepricingRun.countDocuments(query)
+    ]);
+
+    res.json({ runs, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /runs/:id - Full report of one run (filter items with ?action=revise|skip)
+router.get('/runs/:id', requireAuth, requirePermission('repricing.read'), requireRecordSellerAccess(RepricingRun, 'id'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Run not found' });
+
+    const run = await RepricingRun.findById(req.params.id).populate('triggeredBy', 'username').lean();
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+
+    if (req.query.action) run.items = run.items.filter(item => item.action === req.query.action);
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /history - Price changes, newest first. Filters: sellerId, itemId, sku, source, status
+router.get('/history', requireAuth, requirePermission('repricing.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, itemId, sku, source, status, page = 1, limit = 50 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const query = { ...scopedSellerMatch(req, sellerId) };
+    if (itemId) query.itemId = String(itemId).trim();
+    if (sku) query.sku = String(sku).trim();
+    if (source) query.source = source;
+    if (status) query.status = status;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 500);
+
+    const [changes, total] = await Promise.all([
+      PriceChange.find(query)
+        .populate('user', 'username')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PriceChange.countDocuments(query)
+    ]);
+
+    res.json({ changes, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+import { Router } from 'express';
+import multer from 'multer';
+import { requireAuth, requirePermission, enforceSellerScope, requireRecordSellerAccess } from '../middleware/auth.js';
+import Return from '../models/Return.js';
+import Case from '../models/Case.js';
+import PaymentDispute from '../models/PaymentDispute.js';
+import ResolutionAction from '../models/ResolutionAction.js';
+import { recordAudit } from '../lib/auditLog.js';
+import { EVIDENCE_MAX_SIZE, performResolution } from '../lib/resolutions.js';
+
+const router = Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: EVIDENCE_MAX_SIZE }
+});
+
+// Per kind: model, audit model name and the route parameter holding the eBay id
+const KINDS = {
+  return: { model: Return, modelName: 'Return', param: 'returnId' },
+  case: { model: Case, modelName: 'Case', param: 'caseId' },
+  dispute: { model: PaymentDispute, modelName: 'PaymentDispute', param: 'paymentDisputeId' }
+};
+
+function itemAccess(kind) {
+  const { model, param } = KINDS[kind];
+  return requireRecordSellerAccess(model, param, { key: param });
+}
+
+// Runs the action and answers 201 with { action, item }; eBay failures are recorded and answered 502
+function resolutionHandler(kind, action) {
+  const { model, modelName, param } = KINDS[kind];
+  return async (req, res) => {
+    const id = req.params[param];
+    try {
+      const before = await model.findOne({ [param]: id }).lean();
+      const result = await performResolution(kind, id, action, req.body, { userId: req.user.userId, files: req.files });
+      if (result.notFound) return res.status(404).json({ error: 'Item not found' });
+      if (result.error) return res.status(400).json({ error: result.error });
+      if (result.conflict) return res.status(409).json({ error: result.conflict });
+      await recordAudit(req, modelName, before, result.item);
+
+      if (result.record.status === 'failed') {
+        return res.status(502).json({ error: `eBay rejected the action: ${result.record.error}`, action: result.record });
+      }
+      res.status(201).json({ action: result.record, item: result.item });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+function historyHandler(kind) {
+  const { param } = KINDS[kind];
+  return async (req, res) => {
+    try {
+      const actions = await ResolutionAction.find({ kind, itemId: req.params[param] })
+        .select('-response')
+        .populate('user', 'username')
+        .sort({ createdAt: -1 })
+        .lean();
+      res.json(actions);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+const guard = kind => [requireAuth, requirePermission('returns.resolve'), enforceSellerScope, itemAccess(kind)];
+const readGuard = kind => [requireAuth, requirePermission('returns.read'), enforceSellerScope, itemAccess(kind)];
+
+// --- Returns ---
+
+// POST /returns/:returnId/refund - Refund the buyer ({ amount } defaults to the return's refund amount; { comments })
+router.post('/returns/:returnId/refund', ...guard('return'), resolutionHandler('return', 'refund'));
+
+// POST /returns/:returnId/partial-refund - Offer a partial refund instead of taking the item back ({ amount, comments })
+router.post('/returns/:returnId/partial-refund', ...guard('return'), resolutionHandler('return', 'partialRefund'));
+
+// POST /returns/:returnId/label - Give the buyer a return label ({ carrier, trackingNumber, comments })
+router.post('/returns/:returnId/label', ...guard('return'), resolutionHandler('return', 'provideLabel'));
+
+// POST /returns/:returnId/rma - Accept the return with an RMA number ({ rmaNumber, comments })
+router.post('/returns/:returnId/rma', ...guard('return'), resolutionHandler('return', 'provideRma'));
+
+// GET /returns/:returnId/actions - Actions taken on a return, newest first
+router.get('/returns/:returnId/actions', ...readGuard('return'), historyHandler('return'));
+
+// --- INR cases ---
+
+// POST /cases/:caseId/refund - Refund the buyer in full ({ comments })
+router.post('/cases/:caseId/refund', ...guard('case'), resolutionHandler('case', 'refund'));
+
+// POST /cases/:caseId/shipment-info - Show eBay the item was shipped ({ carrier, trackingNumber, shippedAt, comments })
+router.post('/cases/:caseId/shipment-info', ...guard('case'), resolutionHandler('case', 'provideShipmentInfo'));
+
+// GET /cases/:caseId/actions - Actions taken on a case, newest first
+router.get('/cases/:caseId/actions', ...readGuard('case'), historyHandler('case'));
+
+// --- Payment disputes ---
+
+// POST /payment-disputes/:paymentDisputeId/accept - Accept the dispute (the buyer keeps the refund)
+router.post('/payment-disputes/:paymentDisputeId/accept', ...guard('dispute'), resolutionHandler('dispute', 'accept'));
+
+// POST /payment-disputes/:paymentDisputeId/contest - Contest the dispute ({ note }); send evidence as well
+router.post('/payment-disputes/:paymentDisputeId/contest', ...guard('dispute'), resolutionHandler('dispute', 'contest'));
+
+// POST /payment-disputes/:paymentDisputeId/evidence - Upload up to 5 evidence files (multipart "files", JPEG, PNG or
+// PDF up to 5MB each) with an evidenceType
+router.post('/payment-disputes/:paymentDisputeId/evidence', ...guard('dispute'), upload.array('files', 5), resolutionHandler('dispute', 'uploadEvidence'));
+
+// GET /payment-disputes/:paymentDisputeId/actions - Actions taken on a dispute, newest first
+router.get('/payment-disputes/:paymentDisputeId/actions', ...readGuard('dispute'), historyHandler('dispute'));
+
+export default router;
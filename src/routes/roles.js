@@ -0,0 +1,146 @@
+import { Router } from 'express';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS, SUPERADMIN_ROLE, invalidateRoleCache } from '../lib/permissions.js';
+
+const router = Router();
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) return 'permissions must be an array';
+  const unknown = permissions.filter(p => !PERMISSIONS[p]);
+  if (unknown.length > 0) return `Unknown permissions: ${unknown.join(', ')}`;
+  return null;
+}
+
+async function validateAssignableRoles(assignableRoles) {
+  if (!Array.isArray(assignableRoles)) return 'assignableRoles must be an array';
+  if (assignableRoles.includes(SUPERADMIN_ROLE)) return 'superadmin cannot be assigned by other roles';
+  const names = assignableRoles.filter(r => r !== '*');
+  const existing = await Role.find({ name: { $in: names } }).select('name').lean();
+  const missing = names.filter(n => !existing.some(r => r.name === n));
+  if (missing.length > 0) return `Unknown roles: ${missing.join(', ')}`;
+  return null;
+}
+
+// GET / - All roles with their permissions, plus the permission catalog
+router.get('/', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      Role.find({}).populate('updatedBy', 'username').sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const countByRole = Object.fromEntries(userCounts.map(c => [c._id, c.count]));
+
+    res.json({
+      roles: roles.map(r => ({ ...r, userCount: countByRole[r.name] || 0 })),
+      permissions: PERMISSIONS
+    });
+  } catch (err) {
+    console.error('Error fetching roles:', err);
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+});
+
+// GET /permissions - The permission catalog (name -> description)
+router.get('/permissions', requireAuth, requirePermission('roles.manage'), (req, res) => {
+  res.json({ permissions: PERMISSIONS });
+});
+
+// POST / - Create a role
+router.post('/', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { name, label, description, permissions = [], assignableRoles = [] } = req.body || {};
+    const roleName = String(name || '').trim().toLowerCase();
+
+    if (!ROLE_NAME_PATTERN.test(roleName)) {
+      return res.status(400).json({ error: 'name must be 2-40 lowercase letters, digits or underscores' });
+    }
+    if (!label) return res.status(400).json({ error: 'label is required' });
+    const permissionsError = validatePermissions(permissions);
+    if (permissionsError) return res.status(400).json({ error: permissionsError });
+    const assignableError = await validateAssignableRoles(assignableRoles);
+    if (assignableError) return res.status(400).json({ error: assignableError });
+
+    if (await Role.exists({ name: roleName })) {
+      return res.status(409).json({ error: 'A role with this name already exists' });
+    }
+
+    const role = await Role.create({
+      name: roleName,
+      label,
+      description,
+      permissions: [...new Set(permissions)],
+      assignableRoles: [...new Set(assignableRoles)],
+      updatedBy: req.user.userId
+    });
+    invalidateRoleCache(roleName);
+
+    res.status(201).json({ role });
+  } catch (err) {
+    console.error('Error creating role:', err);
+    res.status(500).json({ error: 'Failed to create role' });
+  }
+});
+
+// PATCH /:name - Change label, description, permissions or assignable roles (takes effect within the cache TTL)
+router.patch('/:name', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    if (req.params.name === SUPERADMIN_ROLE) {
+      return res.status(400).json({ error: 'The superadmin role cannot be edited' });
+    }
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+
+    const { label, description, permissions, assignableRoles } = req.body || {};
+    if (permissions !== undefined) {
+      const permissionsError = validatePermissions(permissions);
+      if (permissionsError) return res.status(400).json({ error: permissionsError });
+      role.permissions = [...new Set(permissions)];
+    }
+    if (assignableRoles !== undefined) {
+      const assignableError = await validateAssignableRoles(assignableRoles);
+      if (assignableError) return res.status(400).json({ error: assignableError });
+      role.assignableRoles = [...new Set(assignableRoles)];
+    }
+    if (label !== undefined) role.label = label;
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user.userId;
+
+    await role.save();
+    invalidateRoleCache(role.name);
+
+    res.json({ role });
+  } catch (err) {
+    console.error('Error updating role:', err);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// DELETE /:name - Delete a custom role that no user has
+router.delete('/:name', requireAuth, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+    if (role.isSystem) return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+
+    const usersWithRole = await User.countDocuments({ role: role.name });
+    if (usersWithRole > 0) {
+      return res.status(400).json({ error: `${usersWithRole} user(s) still have this role` });
+    }
+
+    await role.deleteOne();
+    // Other roles may no longer hand it out
+    await Role.updateMany({ assignableRoles: role.name }, { $pull: { assignableRoles: role.name } });
+    invalidateRoleCache();
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import SellerPricingConfig from '../models/SellerPricingConfig.js';
 import ListingTemplate from '../models/ListingTemplate.js';
 import { validateProfitTiers } from '../utils/pricingCalculator.js';
@@ -7,7 +7,7 @@ import { validateProfitTiers } from '../utils/pricingCalculator.js';
 const router = express.Router();
 
 // Get pricing config for specific seller+template
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('listings.read'), async (req, res) => {
   try {
     const { sellerId, templateId } = req.query;
 
@@ -60,7 +60,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Create or update pricing config for seller+template
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { sellerId, templateId, pricingConfig } = req.body;
 
@@ -112,7 +112,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // Delete pricing config (revert to template default)
-router.delete('/', requireAuth, async (req, res) => {
+router.delete('/', requireAuth, requirePermission('listings.edit'), async (req, res) => {
   try {
     const { sellerId, templateId } = req.query;
 
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import Seller from '../models/Seller.js';
 import User from '../models/User.js';
 
@@ -7,13 +7,13 @@ const router = Router();
 
 // List all sellers (for admin dashboard)
 // --- FIX IS HERE: Added 'hoc', 'compliancemanager', and lister roles ---
-router.get('/all', requireAuth, requireRole('fulfillmentadmin', 'superadmin', 'compatibilityadmin', 'compatibilityeditor', 'listingadmin', 'hoc', 'compliancemanager', 'productadmin', 'lister', 'advancelister', 'trainee'), async (req, res) => {
+router.get('/all', requireAuth, requirePermission('sellers.read'), async (req, res) => {
   const sellers = await Seller.find().populate('user', 'username email');
   res.json(sellers);
 });
 
 // Get current seller profile and eBay marketplaces
-router.get('/me', requireAuth, requireRole('seller'), async (req, res) => {
+router.get('/me', requireAuth, requirePermission('sellers.connectAccount'), async (req, res) => {
   try {
     console.log('Fetching seller for user:', req.user);
     const seller = await Seller.findOne({ user: req.user.userId });
@@ -30,7 +30,7 @@ router.get('/me', requireAuth, requireRole('seller'), async (req, res) => {
 });
 
 // Add an eBay marketplace region (e.g., EBAY_US, EBAY_UK)
-router.post('/marketplaces', requireAuth, requireRole('seller'), async (req, res) => {
+router.post('/marketplaces', requireAuth, requirePermission('sellers.connectAccount'), async (req, res) => {
   const { region } = req.body;
   if (!region) return res.status(400).json({ error: 'Marketplace region required' });
   const seller = await Seller.findOne({ user: req.user.userId });
@@ -44,7 +44,7 @@ router.post('/marketplaces', requireAuth, requireRole('seller'), async (req, res
 });
 
 // Remove an eBay marketplace region
-router.delete('/marketplaces/:region', requireAuth, requireRole('seller'), async (req, res) => {
+router.delete('/marketplaces/:region', requireAuth, requirePermission('sellers.connectAccount'), async (req, res) => {
   const { region } = req.params;
   const seller = await Seller.findOne({ user: req.user.userId });
   if (!seller) return res.status(404).json({ error: 'Seller not found' });
@@ -54,7 +54,7 @@ router.delete('/marketplaces/:region', requireAuth, requireRole('seller'), async
 });
 
 // Disconnect eBay account (clear tokens) - allows re-authorization with new scopes
-router.delete('/disconnect-ebay', requireAuth, requireRole('seller'), async (req, res) => {
+router.delete('/disconnect-ebay', requireAuth, requirePermission('sellers.connectAccount'), async (req, res) => {
   try {
     const seller = await Seller.findOne({ user: req.user.userId });
     if (!seller) return res.status(404).json({ error: 'Seller not found' });
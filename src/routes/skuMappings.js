@@ -0,0 +1,160 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope, requireRecordSellerAccess } from '../middleware/auth.js';
+import SkuMapping from '../models/SkuMapping.js';
+import Order from '../models/Order.js';
+import Seller from '../models/Seller.js';
+import { scopedSellerMatch, sellerScopeMatch } from '../lib/sellerAccess.js';
+import { amazonProductUrl, lookupAsins } from '../lib/skuRegistry.js';
+
+const router = Router();
+
+function withAmazonUrl(mapping) {
+  return { ...mapping, amazonUrl: amazonProductUrl(mapping.asin) };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// GET /lookup - Find the Amazon product behind a sku, asin, itemId or orderId (one of them).
+// Orders answer per line item, so multi-item orders show every source product.
+router.get('/lookup', requireAuth, requirePermission('skuMappings.read'), enforceSellerScope, async (req, res) => {
+  const { sku, asin, itemId, orderId, sellerId } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const scope = scopedSellerMatch(req, sellerId);
+
+    if (orderId) {
+      const id = String(orderId).trim();
+      const order = await Order.findOne({ $or: [{ orderId: id }, { legacyOrderId: id }], ...sellerScopeMatch(req) })
+        .select('seller orderId legacyOrderId lineItems')
+        .lean();
+      if (!order) return res.status(404).json({ error: 'Order not found' });
+
+      const lineItems = (order.lineItems || []).map(item => ({
+        sku: item.sku || null,
+        itemId: item.legacyItemId || null,
+        title: item.title,
+        quantity: item.quantity
+      }));
+
+      // By SKU first, then by item ID for line items whose SKU is missing or unmapped
+      const [bySku, byItem] = await Promise.all([
+        SkuMapping.find({ seller: order.seller, sku: { $in: lineItems.map(i => i.sku).filter(Boolean) } }).lean(),
+        SkuMapping.find({ seller: order.seller, itemId: { $in: lineItems.map(i => i.itemId).filter(Boolean) } }).lean()
+      ]);
+      const fallback = await lookupAsins(order.seller, lineItems.map(i => i.sku));
+
+      return res.json({
+        orderId: order.orderId,
+        legacyOrderId: order.legacyOrderId,
+        seller: order.seller,
+        lineItems: lineItems.map(item => {
+          const mapping = bySku.find(m => m.sku === item.sku && m.asin) || byItem.find(m => m.itemId === item.itemId && m.asin) || null;
+          const itemAsin = mapping?.asin || fallback.get(item.sku) || null;
+          return { ...item, asin: itemAsin, amazonUrl: amazonProductUrl(itemAsin), mapping };
+        })
+      });
+    }
+
+    const query = { ...scope };
+    if (sku) query.sku = String(sku).trim();
+    else if (asin) query.asin = String(asin).trim().toUpperCase();
+    else if (itemId) query.itemId = String(itemId).trim();
+    else return res.status(400).json({ error: 'One of sku, asin, itemId or orderId is required' });
+
+    const mappings = await SkuMapping.find(query)
+      .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+      .sort({ updatedAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({ mappings: mappings.map(withAmazonUrl) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET / - Browse mappings. Filters: sellerId, search (SKU or ASIN prefix), conflicts=true, missingAsin=true
+router.get('/', requireAuth, requirePermission('skuMappings.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, search, conflicts, missingAsin, page = 1, limit = 50 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const query = { ...scopedSellerMatch(req, sellerId) };
+    if (search) {
+      const prefix = new RegExp(`^${escapeRegex(String(search).trim())}`, 'i');
+      query.$or = [{ sku: prefix }, { asin: prefix }];
+    }
+    if (conflicts === 'true') query['conflictAsins.0'] = { $exists: true };
+    if (missingAsin === 'true') query.asin = null;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 500);
+
+    const [mappings, total] = await Promise.all([
+      SkuMapping.find(query)
+        .populate('updatedBy', 'username')
+        .sort({ updatedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      SkuMapping.countDocuments(query)
+    ]);
+
+    res.json({
+      mappings: mappings.map(withAmazonUrl),
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST / - Add a mapping by hand (e.g. a listing created outside the template tools)
+router.post('/', requireAuth, requirePermission('skuMappings.manage'), enforceSellerScope, async (req, res) => {
+  const { sellerId, sku, asin, itemId } = req.body;
+  try {
+    if (!sellerId || !mongoose.Types.ObjectId.isValid(sellerId) || !(await Seller.exists({ _id: sellerId }))) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+    if (!sku || !asin) return res.status(400).json({ error: 'sku and asin are required' });
+
+    const mapping = await SkuMapping.create({
+      seller: sellerId,
+      sku: String(sku).trim(),
+      asin,
+      itemId: itemId || null,
+      source: 'manual',
+      updatedBy: req.user.userId
+    });
+    res.status(201).json(withAmazonUrl(mapping.toObject()));
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'This seller already has a mapping for that SKU' });
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /:id - Correct the ASIN or item ID; resolves the conflicts recorded for the SKU
+router.put('/:id', requireAuth, requirePermission('skuMappings.manage'), requireRecordSellerAccess(SkuMapping, 'id'), async (req, res) => {
+  const { asin, itemId } = req.body;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Mapping not found' });
+    const mapping = await SkuMapping.findById(req.params.id);
+    if (!mapping) return res.status(404).json({ error: 'Mapping not found' });
+
+    if (asin !== undefined) mapping.asin = asin || null;
+    if (itemId !== undefined) mapping.itemId = itemId || null;
+    mapping.conflictAsins = [];
+    mapping.updatedBy = req.user.userId;
+    await mapping.save();
+
+    res.json(withAmazonUrl(mapping.toObject()));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,47 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope } from '../middleware/auth.js';
+import { scopedSellerMatch } from '../lib/sellerAccess.js';
+import { lockOwnerFromRequest } from '../lib/jobLock.js';
+import { assigneeMatch } from '../lib/workQueue.js';
+import { SLA_ITEM_KINDS, slaAtRisk, slaThresholds, runSlaEscalations } from '../lib/sla.js';
+
+const router = Router();
+
+// GET /at-risk - Open returns, cases and disputes nearest their eBay deadline first.
+// Filters: kind (return, case, dispute; comma-separated), sellerId, assignedTo (me, none or
+// a user id), withinHours (default the first escalation threshold), includeMissed (default true)
+router.get('/at-risk', requireAuth, requirePermission('returns.read'), enforceSellerScope, async (req, res) => {
+  const { kind, sellerId, assignedTo, withinHours, includeMissed } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const assignee = assigneeMatch(req, assignedTo);
+    if (!assignee) return res.status(400).json({ error: 'Invalid assignedTo' });
+    const kinds = kind ? String(kind).split(',').map(k => k.trim()).filter(Boolean) : SLA_ITEM_KINDS;
+    const unknown = kinds.filter(k => !SLA_ITEM_KINDS.includes(k));
+    if (unknown.length > 0) return res.status(400).json({ error: `kind must be one of ${SLA_ITEM_KINDS.join(', ')}` });
+
+    const items = await slaAtRisk({
+      match: { ...scopedSellerMatch(req, sellerId), ...assignee },
+      kinds,
+      withinHours: Math.min(parseFloat(withinHours) || 0, 24 * 30),
+      includeMissed: includeMissed !== 'false'
+    });
+    res.json({ items, thresholds: slaThresholds(), asOf: new Date() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /run - Send due escalations now instead of waiting for the scheduled run
+router.post('/run', requireAuth, requirePermission('workQueue.manage'), async (req, res) => {
+  try {
+    const outcome = await runSlaEscalations(await lockOwnerFromRequest(req));
+    if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+    res.json(outcome.result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,164 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope } from '../middleware/auth.js';
+import ActiveListing from '../models/ActiveListing.js';
+import StockEvent from '../models/StockEvent.js';
+import StockOverride from '../models/StockOverride.js';
+import { isSellerScoped, sellerScopeMatch, scopedSellerMatch, canAccessSeller } from '../lib/sellerAccess.js';
+import { lockOwnerFromRequest } from '../lib/jobLock.js';
+import { startStockMonitor } from '../lib/stockMonitor.js';
+
+const router = Router();
+
+function pagination(page, limit, max) {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(parseInt(limit) || 50, max);
+  return { pageNum, limitNum };
+}
+
+// GET /listings - Listings the monitor is holding at quantity 0 (?availability= to list by Amazon status instead)
+router.get('/listings', requireAuth, requirePermission('stock.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, availability, page = 1, limit = 50 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const query = { ...scopedSellerMatch(req, sellerId), listingStatus: 'Active' };
+    if (availability) query.sourceAvailability = availability;
+    else query.stockZeroedAt = { $ne: null };
+
+    const { pageNum, limitNum } = pagination(page, limit, 200);
+    const [listings, total] = await Promise.all([
+      ActiveListing.find(query)
+        .select('seller itemId sku title currentPrice mainImageUrl sourceAvailability stockCheckedAt stockZeroedAt')
+        .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+        .sort({ stockZeroedAt: -1, stockCheckedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ActiveListing.countDocuments(query)
+    ]);
+
+    res.json({ listings, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /events - Log of quantity changes. Filters: sellerId, itemId, asin, action, status
+router.get('/events', requireAuth, requirePermission('stock.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, itemId, asin, action, status, page = 1, limit = 50 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const query = { ...scopedSellerMatch(req, sellerId) };
+    if (itemId) query.itemId = String(itemId).trim();
+    if (asin) query.asin = String(asin).trim().toUpperCase();
+    if (action) query.action = action;
+    if (status) query.status = status;
+
+    const { pageNum, limitNum } = pagination(page, limit, 500);
+    const [events, total] = await Promise.all([
+      StockEvent.find(query)
+        .populate('user', 'username')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      StockEvent.countDocuments(query)
+    ]);
+
+    res.json({ events, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /overrides - Exclude / pin list (ASIN overrides are shared by every seller)
+router.get('/overrides', requireAuth, requirePermission('stock.read'), async (req, res) => {
+  try {
+    const scope = sellerScopeMatch(req);
+    const query = scope.seller ? { $or: [scope, { seller: null }] } : {};
+    const overrides = await StockOverride.find(query)
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(overrides);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /overrides - Add or replace the override for one listing (itemId) or one ASIN (asin)
+router.post('/overrides', requireAuth, requirePermission('stock.manage'), async (req, res) => {
+  const { itemId, asin, mode, note } = req.body;
+  try {
+    if (!itemId && isSellerScoped(req)) {
+      return res.status(403).json({ error: 'ASIN overrides apply to every seller; add a listing override instead' });
+    }
+
+    let seller = null;
+    if (itemId) {
+      const listing = await ActiveListing.findOne({ itemId: String(itemId).trim() }).select('seller').lean();
+      if (!listing || !canAccessSeller(req, listing.seller)) return res.status(404).json({ error: 'Listing not found' });
+      seller = listing.seller;
+    }
+
+    const key = itemId ? { itemId: String(itemId).trim() } : { asin: String(asin || '').trim().toUpperCase() };
+    const override = await StockOverride.findOne(key) || new StockOverride(key);
+    override.set({ seller, mode, note, createdBy: req.user.userId });
+    await override.save();
+
+    res.status(201).json(override);
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.message === 'Set exactly one of itemId or asin') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /overrides/:id - Remove an override; the next run checks the listing/ASIN normally again
+router.delete('/overrides/:id', requireAuth, requirePermission('stock.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Override not found' });
+    const override = await StockOverride.findById(req.params.id);
+    if (!override || (isSellerScoped(req) && !canAccessSeller(req, override.seller))) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+    await override.deleteOne();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /run - Check now (optionally one seller or some itemIds). Runs in the background;
+// results show up in GET /events.
+router.post('/run', requireAuth, requirePermission('stock.manage'), enforceSellerScope, async (req, res) => {
+  const { sellerId, itemIds, limit } = req.body;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+
+    // Scoped users may only run the monitor on their own sellers
+    const sellerIds = sellerId ? [sellerId] : req.user.sellerIds;
+    if (sellerIds && sellerIds.length !== 1) {
+      return res.status(400).json({ error: 'sellerId is required' });
+    }
+
+    const owner = await lockOwnerFromRequest(req);
+    const outcome = await startStockMonitor({
+      sellerId: sellerIds?.[0],
+      itemIds: Array.isArray(itemIds) ? itemIds.map(String) : undefined,
+      trigger: 'manual',
+      triggeredBy: owner.startedBy,
+      startedByName: owner.startedByName,
+      limit: Math.max(parseInt(limit) || 0, 0) || undefined
+    });
+    if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+
+    outcome.done.catch(err => console.error('[StockMonitor] Run failed:', err.message));
+    res.status(202).json({ message: 'Out-of-stock check started' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
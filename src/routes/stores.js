@@ -1,10 +1,10 @@
 import { Router } from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import Store from '../models/Store.js';
 
 const router = Router();
 
-router.post('/', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('catalog.manageStores'), async (req, res) => {
   const { name, platformId } = req.body || {};
   if (!name || !platformId) return res.status(400).json({ error: 'name and platformId required' });
   try {
@@ -15,7 +15,7 @@ router.post('/', requireAuth, requireRole('superadmin'), async (req, res) => {
   }
 });
 
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('catalog.read'), async (req, res) => {
   const { platformId } = req.query || {};
   const query = platformId ? { platform: platformId } : {};
   const items = await Store.find(query).populate('platform').sort({ name: 1 });
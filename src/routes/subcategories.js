@@ -1,10 +1,10 @@
 import { Router } from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import Subcategory from '../models/Subcategory.js';
 
 const router = Router();
 
-router.post('/', requireAuth, requireRole('superadmin', 'productadmin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('catalog.manage'), async (req, res) => {
   const { name, categoryId } = req.body || {};
   if (!name || !categoryId) return res.status(400).json({ error: 'name and categoryId required' });
   try {
@@ -16,7 +16,7 @@ router.post('/', requireAuth, requireRole('superadmin', 'productadmin'), async (
   }
 });
 
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('catalog.read'), async (req, res) => {
   const { categoryId } = req.query || {};
   const query = categoryId ? { category: categoryId } : {};
   const items = await Subcategory.find(query).populate('category').sort({ name: 1 });
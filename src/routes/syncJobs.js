@@ -0,0 +1,236 @@
+import { Router } from 'express';
+import cron from 'node-cron';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import SyncJob from '../models/SyncJob.js';
+import SyncJobRun from '../models/SyncJobRun.js';
+import Seller from '../models/Seller.js';
+import {
+  SYNC_JOB_DEFINITIONS,
+  isSyncJobRunning,
+  scheduleSyncJob,
+  unscheduleSyncJob,
+  triggerSyncJob
+} from '../lib/syncScheduler.js';
+
+const router = Router();
+
+function toJobResponse(job) {
+  return { ...job, isRunning: isSyncJobRunning(job._id) };
+}
+
+// IANA zone name node-cron can schedule in, e.g. 'Asia/Kolkata'
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// GET / - List all sync jobs with their last run status
+router.get('/', requireAuth, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const jobs = await SyncJob.find({})
+      .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+      .sort({ type: 1, seller: 1 })
+      .lean();
+
+    res.json({ jobs: jobs.map(toJobResponse), types: Object.keys(SYNC_JOB_DEFINITIONS) });
+  } catch (err) {
+    console.error('Error fetching sync jobs:', err);
+    res.status(500).json({ error: 'Failed to fetch sync jobs' });
+  }
+});
+
+// GET /runs - Run history across jobs (filters: jobId, type, status, sellerId)
+router.get('/runs', requireAuth, requirePermission('sync.manage'), async (req, res) => {
+  const { jobId, type, status, sellerId, limit = 50 } = req.query;
+  try {
+    const query = {};
+    if (jobId) query.job = jobId;
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (sellerId) query.seller = sellerId;
+
+    const runs = await SyncJobRun.find(query)
+      .populate('job', 'name type')
+      .populate('triggeredBy', 'username')
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 500))
+      .lean();
+
+    res.json({ runs });
+  } catch (err) {
+    console.error('Error fetching sync job runs:', err);
+    res.status(500).json({ error: 'Failed to fetch sync job runs' });
+  }
+});
+
+// POST / - Create a job (a seller-specific job takes that seller out of the global job)
+router.post('/', requireAuth, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const { name, type, sellerId, cronExpression, timezone } = req.body || {};
+    const definition = SYNC_JOB_DEFINITIONS[type];
+
+    if (!definition) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(SYNC_JOB_DEFINITIONS).join(', ')}` });
+    }
+    if (!cronExpression || !cron.validate(cronExpression)) {
+      return res.status(400).json({ error: 'A valid cronExpression is required' });
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    if (sellerId) {
+      if (!mongoose.Types.ObjectId.isValid(sellerId) || !(await Seller.exists({ _id: sellerId }))) {
+        return res.status(404).json({ error: 'Seller not found' });
+      }
+    }
+
+    const existing = await SyncJob.findOne({ type, seller: sellerId || null });
+    if (existing) {
+      return res.status(409).json({ error: 'A job for this type and seller already exists', job: existing });
+    }
+
+    const job = await SyncJob.create({
+      name: name || definition.label,
+      type,
+      seller: sellerId || null,
+      cronExpression,
+      ...(timezone && { timezone })
+    });
+    scheduleSyncJob(job);
+
+    res.status(201).json({ job });
+  } catch (err) {
+    console.error('Error creating sync job:', err);
+    res.status(500).json({ error: 'Failed to create sync job' });
+  }
+});
+
+// PATCH /:id - Change name, schedule or timezone
+router.patch('/:id', requireAuth, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const { name, cronExpression, timezone } = req.body || {};
+    const job = await SyncJob.findById(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Sync job not found' });
+
+    if (cronExpression !== undefined) {
+      if (!cron.validate(cronExpression)) {
+        return res.status(400).json({ error: 'Invalid cronExpression' });
+      }
+      job.cronExpression = cronExpression;
+    }
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({ error: 'Invalid timezone' });
+      }
+      job.timezone = timezone;
+    }
+    if (name !== undefined) job.name = name;
+
+    await job.save();
+    scheduleSyncJob(job);
+
+    res.json({ job: toJobResponse(job.toObject()) });
+  } catch (err) {
+    console.error('Error updating sync job:', err);
+    res.status(500).json({ error: 'Failed to update sync job' });
+  }
+});
+
+// DELETE /:id - Remove a seller-specific job (its seller falls back to the global job)
+router.delete('/:id', requireAuth, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const job = await SyncJob.findById(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Sync job not found' });
+    if (!job.seller) {
+      return res.status(400).json({ error: 'Global sync jobs cannot be deleted; pause them instead' });
+    }
+
+    unscheduleSyncJob(job._id);
+    await job.deleteOne();
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting sync job:', err);
+    res.status(500).json({ error: 'Failed to delete sync job' });
+  }
+});
+
+// POST /:id/pause
+router.post('/:id/pause', requireAuth, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const job = await SyncJob.findByIdAndUpdate(
+      req.params.id,
+      { enabled: false, pausedAt: new Date(), pausedBy: req.user.userId },
+      { new: true }
+    );
+    if (!job) return res.status(404).json({ error: 'Sync job not found' });
+
+    unscheduleSyncJob(job._id);
+    res.json({ job: toJobResponse(job.toObject()) });
+  } catch (err) {
+    console.error('Error pausing sync job:', err);
+    res.status(500).json({ error: 'Failed to pause sync job' });
+  }
+});
+
+// POST /:id/resume
+router.post('/:id/resume', requireAuth, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const job = await SyncJob.findByIdAndUpdate(
+      req.params.id,
+      { enabled: true, $unset: { pausedAt: 1, pausedBy: 1 } },
+      { new: true }
+    );
+    if (!job) return res.status(404).json({ error: 'Sync job not found' });
+
+    scheduleSyncJob(job);
+    res.json({ job: toJobResponse(job.toObject()) });
+  } catch (err) {
+    console.error('Error resuming sync job:', err);
+    res.status(500).json({ error: 'Failed to resume sync job' });
+  }
+});
+
+// POST /:id/trigger - Run now (works for paused jobs too); returns the run record immediately
+router.post('/:id/trigger', requireAuth, requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const job = await SyncJob.findById(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Sync job not found' });
+
+    const outcome = await triggerSyncJob(job, { trigger: 'manual', triggeredBy: req.user.userId });
+    if (!outcome.started) {
+      const { error, message, running } = outcome;
+      return res.status(409).json({ error, message, running });
+    }
+
+    res.status(202).json({ message: `${job.name} started`, run: outcome.run });
+  } catch (err) {
+    console.error('Error triggering sync job:', err);
+    res.status(500).json({ error: 'Failed to trigger sync job' });
+  }
+});
+
+// GET /:id/runs - Run history for one job
+router.get('/:id/runs', requireAuth, requirePermission('sync.manage'), async (req, res) => {
+  const { limit = 50 } = req.query;
+  try {
+    const runs = await SyncJobRun.find({ job: req.params.id })
+      .populate('triggeredBy', 'username')
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 500))
+      .lean();
+
+    res.json({ runs });
+  } catch (err) {
+    console.error('Error fetching sync job runs:', err);
+    res.status(500).json({ error: 'Failed to fetch sync job runs' });
+  }
+});
+
+export default router;
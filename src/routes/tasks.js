@@ -1,12 +1,13 @@
 import { Router } from 'express';
 import mongoose from 'mongoose';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../lib/permissions.js';
 import Task from '../models/Task.js';
 
 const router = Router();
 
 // Create a product research entry (productadmin or superadmin)
-router.post('/', requireAuth, requireRole('superadmin', 'productadmin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('tasks.create'), async (req, res) => {
   const body = req.body || {};
   try {
     // normalize legacy field names and defaults
@@ -46,7 +47,7 @@ router.post('/', requireAuth, requireRole('superadmin', 'productadmin'), async (
 
 // List tasks (productadmin see all; listingadmin see all; listers see assigned to them)
 // List tasks (productadmin see all; listingadmin see all; listers see assigned to them)
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('tasks.read'), async (req, res) => {
   const { role, userId } = req.user;
   const { platformId, storeId, listerId, date, sortBy = 'date', sortOrder = 'desc', search } = req.query || {};
   const { page, limit } = req.query; // <-- no defaults here
@@ -112,7 +113,7 @@ router.get('/', requireAuth, async (req, res) => {
 
 
 // Assign a task to a lister (listingadmin or superadmin)
-router.post('/:id/assign', requireAuth, requireRole('superadmin', 'listingadmin'), async (req, res) => {
+router.post('/:id/assign', requireAuth, requirePermission('tasks.assign'), async (req, res) => {
   const { listerId, quantity, listingPlatformId, storeId } = req.body || {};
   if (!listerId) return res.status(400).json({ error: 'listerId required' });
   if (!quantity) return res.status(400).json({ error: 'quantity required' });
@@ -131,13 +132,12 @@ router.post('/:id/assign', requireAuth, requireRole('superadmin', 'listingadmin'
   res.json(task);
 });
 
-// Update task fields (productadmin edits product fields; listingadmin can reassign)
-router.put('/:id', requireAuth, requireRole('superadmin', 'productadmin', 'listingadmin'), async (req, res) => {
-  const { role } = req.user;
+// Update task fields (task creators edit product fields; task assigners can reassign)
+router.put('/:id', requireAuth, requirePermission('tasks.edit'), async (req, res) => {
   const updates = req.body || {};
   const task = await Task.findById(req.params.id);
   if (!task) return res.status(404).json({ error: 'Not found' });
-  if (role === 'productadmin' || role === 'superadmin') {
+  if (hasPermission(req.user, 'tasks.create')) {
     // Product admin can only edit product fields (not listing fields)
     if (updates.date !== undefined) task.date = new Date(updates.date);
     if (updates.productTitle !== undefined) task.productTitle = updates.productTitle;
@@ -148,7 +148,8 @@ router.put('/:id', requireAuth, requireRole('superadmin', 'productadmin', 'listi
     if (updates.categoryId !== undefined) task.category = updates.categoryId;
     if (updates.subcategoryId !== undefined) task.subcategory = updates.subcategoryId;
     if (updates.rangeId !== undefined) task.range = updates.rangeId;
-  } else if (role === 'listingadmin' || role === 'superadmin') {
+  }
+  if (hasPermission(req.user, 'tasks.assign')) {
     // Listing admin can reassign lister, update quantity, listing platform, store
     if (updates.listerId !== undefined) task.assignedLister = updates.listerId;
     if (updates.quantity !== undefined) task.quantity = updates.quantity;
@@ -161,7 +162,7 @@ router.put('/:id', requireAuth, requireRole('superadmin', 'productadmin', 'listi
 });
 
 // Lister marks completed
-router.post('/:id/complete', requireAuth, requireRole('lister'), async (req, res) => {
+router.post('/:id/complete', requireAuth, requirePermission('tasks.complete'), async (req, res) => {
   const { userId } = req.user;
   const { completedQuantity } = req.body || {};
   const task = await Task.findOne({ _id: req.params.id, assignedLister: userId });
@@ -180,7 +181,7 @@ router.post('/:id/complete', requireAuth, requireRole('lister'), async (req, res
 });
 
 // Admin-side analytics (platform/store/lister/date filters)
-router.get('/analytics', requireAuth, requireRole('superadmin', 'productadmin', 'listingadmin'), async (req, res) => {
+router.get('/analytics', requireAuth, requirePermission('tasks.analytics'), async (req, res) => {
   const { platformId, storeId, listerId, date } = req.query || {};
   const match = {};
   if (platformId) match.listingPlatform = platformId;
@@ -224,7 +225,7 @@ router.get('/analytics', requireAuth, requireRole('superadmin', 'productadmin',
 });
 
 // Superadmin/listingadmin: admin-lister assignment summary
-router.get('/analytics/admin-lister', requireAuth, requireRole('superadmin', 'listingadmin'), async (req, res) => {
+router.get('/analytics/admin-lister', requireAuth, requirePermission('listers.analytics'), async (req, res) => {
   const { platformId, storeId, listerId, date } = req.query || {};
   const match = {};
   if (platformId) match.listingPlatform = platformId;
@@ -278,7 +279,7 @@ router.get('/analytics/admin-lister', requireAuth, requireRole('superadmin', 'li
 });
 
 // Daily totals (optionally filtered by platform/store/lister)
-router.get('/analytics/daily', requireAuth, requireRole('superadmin', 'productadmin', 'listingadmin'), async (req, res) => {
+router.get('/analytics/daily', requireAuth, requirePermission('tasks.analytics'), async (req, res) => {
   const { platformId, storeId, listerId } = req.query || {};
   const match = {};
   if (platformId) match.listingPlatform = platformId;
@@ -316,7 +317,7 @@ router.get('/analytics/daily', requireAuth, requireRole('superadmin', 'productad
 });
 
 // Per-lister per day with platform/store breakdown
-router.get('/analytics/lister-daily', requireAuth, requireRole('superadmin', 'listingadmin'), async (req, res) => {
+router.get('/analytics/lister-daily', requireAuth, requirePermission('listers.analytics'), async (req, res) => {
   const { listerId, platformId, storeId } = req.query || {};
   const match = {};
   if (listerId) match.assignedLister = listerId;
@@ -366,7 +367,7 @@ router.get('/analytics/lister-daily', requireAuth, requireRole('superadmin', 'li
 });
 
 // Listings summary grouped by assignment-day, platform and store (optional filters: platformId, storeId)
-router.get('/analytics/listings-summary', requireAuth, requireRole('superadmin', 'listingadmin', 'productadmin'), async (req, res) => {
+router.get('/analytics/listings-summary', requireAuth, requirePermission('tasks.analytics'), async (req, res) => {
   const { platformId, storeId } = req.query || {};
   const match = {};
   if (platformId) match.listingPlatform = new mongoose.Types.ObjectId(platformId);
@@ -425,7 +426,7 @@ router.get('/analytics/listings-summary', requireAuth, requireRole('superadmin',
 });
 
 // Delete a task and cascade to assignments and compatibility assignments
-router.delete('/:id', requireAuth, requireRole('superadmin', 'productadmin', 'listingadmin'), async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('tasks.edit'), async (req, res) => {
   try {
     const taskId = req.params.id;
     const task = await Task.findById(taskId);
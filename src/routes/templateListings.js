@@ -1,5 +1,6 @@
 import express from 'express';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requirePermission, enforceSellerScope, requireRecordSellerAccess } from '../middleware/auth.js';
+import { sellerScopeMatch, scopedSellerMatch } from '../lib/sellerAccess.js';
 import TemplateListing from '../models/TemplateListing.js';
 import ListingTemplate from '../models/ListingTemplate.js';
 import Seller from '../models/Seller.js';
@@ -9,11 +10,30 @@ import { generateSKUFromASIN } from '../utils/skuGenerator.js';
 import { getEffectiveTemplate } from '../utils/templateMerger.js';
 import { getUsageStats, getFieldExtractionStats, getRecentErrors, checkQuotaStatus } from '../utils/apiUsageTracker.js';
 import { getAsinCacheStats, clearAsinCache, invalidateAsinCache } from '../utils/asinCache.js';
+import { allocateSkus, recordTemplateListingMappings } from '../lib/skuRegistry.js';
 
 const router = express.Router();
 
+// Record the SKU -> ASIN mappings of listings just saved (lib/skuRegistry.js).
+// The registry is secondary, so a failure there must not fail the save.
+async function registerSkus(listings, source = 'template') {
+  try {
+    await recordTemplateListingMappings(listings, source);
+  } catch (err) {
+    console.error('[SkuRegistry] Failed to record SKU mappings:', err.message);
+  }
+}
+
+// Same as above for listings found by query (bulk writes don't hand back documents)
+async function registerSkusWhere(filter, source) {
+  const listings = await TemplateListing.find(filter)
+    .select('+_asinReference sellerId templateId customLabel ebayItemId')
+    .lean();
+  await registerSkus(listings, source);
+}
+
 // Get all listings for a template
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, page = 1, limit = 50, batchFilter = 'active', batchId, status = 'active' } = req.query;
     
@@ -24,10 +44,7 @@ router.get('/', requireAuth, async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
     // Build filter with optional seller filtering
-    const filter = { templateId };
-    if (sellerId) {
-      filter.sellerId = sellerId;
-    }
+    const filter = { templateId, ...scopedSellerMatch(req, sellerId, 'sellerId') };
     
     // Filter by status (default to 'active' to only show active listings)
     if (status && status !== 'all') {
@@ -77,7 +94,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Database view endpoint with comprehensive filters (MUST be before /:id route)
-router.get('/database-view', requireAuth, async (req, res) => {
+router.get('/database-view', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { 
       sellerId, 
@@ -89,9 +106,8 @@ router.get('/database-view', requireAuth, async (req, res) => {
     } = req.query;
     
     // Build query - exclude soft-deleted items
-    const query = { deletedAt: null };
+    const query = { deletedAt: null, ...scopedSellerMatch(req, sellerId, 'sellerId') };
     
-    if (sellerId) query.sellerId = sellerId;
     if (templateId) query.templateId = templateId;
     if (status) query.status = status;
     
@@ -140,10 +156,10 @@ router.get('/database-view', requireAuth, async (req, res) => {
 });
 
 // Database statistics endpoint (MUST be before /:id route)
-router.get('/database-stats', requireAuth, async (req, res) => {
+router.get('/database-stats', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const stats = await TemplateListing.aggregate([
-      { $match: { deletedAt: null } },
+      { $match: { deletedAt: null, ...sellerScopeMatch(req, 'sellerId') } },
       {
         $group: {
           _id: null,
@@ -178,7 +194,7 @@ router.get('/database-stats', requireAuth, async (req, res) => {
 });
 
 // Get statistics for template listings (today, week, month, total)
-router.get('/stats', requireAuth, async (req, res) => {
+router.get('/stats', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId } = req.query;
     
@@ -186,10 +202,7 @@ router.get('/stats', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Template ID is required' });
     }
     
-    const filter = { templateId };
-    if (sellerId) {
-      filter.sellerId = sellerId;
-    }
+    const filter = { templateId, ...scopedSellerMatch(req, sellerId, 'sellerId') };
     
     // Calculate date ranges
     const now = new Date();
@@ -237,7 +250,7 @@ router.get('/stats', requireAuth, async (req, res) => {
 });
 
 // Get detailed analytics for template listings
-router.get('/analytics', requireAuth, async (req, res) => {
+router.get('/analytics', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, startDate, endDate, userId, page = 1, limit = 100 } = req.query;
     
@@ -245,10 +258,7 @@ router.get('/analytics', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Template ID is required' });
     }
     
-    const filter = { templateId };
-    if (sellerId) {
-      filter.sellerId = sellerId;
-    }
+    const filter = { templateId, ...scopedSellerMatch(req, sellerId, 'sellerId') };
     
     // Apply date range filter
     if (startDate || endDate) {
@@ -383,7 +393,7 @@ router.get('/analytics', requireAuth, async (req, res) => {
 });
 
 // Bulk preview with SSE streaming (real-time updates) - MUST be before /:id route
-router.get('/bulk-preview-stream', requireAuth, async (req, res) => {
+router.get('/bulk-preview-stream', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, asins: asinsParam } = req.query;
     
@@ -451,10 +461,13 @@ router.get('/bulk-preview-stream', requireAuth, async (req, res) => {
       }
     });
     
+    // SKUs are allocated so they don't collide with SKUs the seller uses for other ASINs
+    const allocatedSKUs = await allocateSkus(sellerId, asins);
+    
     // Pre-generate SKUs and check conflicts
     const generatedSKUs = asins.map(asin => ({
       asin,
-      sku: generateSKUFromASIN(asin)
+      sku: allocatedSKUs.get(asin)
     }));
     
     const existingBySKU = await TemplateListing.find({
@@ -481,7 +494,7 @@ router.get('/bulk-preview-stream', requireAuth, async (req, res) => {
           const item = {
             id: `preview-${asin}`,
             asin,
-            sku: generateSKUFromASIN(asin),
+            sku: allocatedSKUs.get(asin),
             status: 'blocked',
             blockedReason: 'cross_template_duplicate',
             errors: [`ASIN exists in another template`]
@@ -495,7 +508,7 @@ router.get('/bulk-preview-stream', requireAuth, async (req, res) => {
         // will have the same SKU and should be updateable, not blocked
         if (asinInCurrentTemplate.has(asin)) {
           const existingListing = asinInCurrentTemplate.get(asin);
-          const sku = generateSKUFromASIN(asin);
+          const sku = allocatedSKUs.get(asin);
           
           // Get existing customFields (already an object from .lean())
           const existingCustomFields = existingListing.customFields || {};
@@ -538,7 +551,7 @@ router.get('/bulk-preview-stream', requireAuth, async (req, res) => {
         }
         
         // Check for SKU conflicts (only for new ASINs, not duplicates)
-        const sku = generateSKUFromASIN(asin);
+        const sku = allocatedSKUs.get(asin);
         const existingSKU = existingSKUMap.get(sku);
         
         if (existingSKU) {
@@ -575,6 +588,10 @@ router.get('/bulk-preview-stream', requireAuth, async (req, res) => {
         const warnings = [];
         const validationErrors = [];
         
+        if (sku !== generateSKUFromASIN(asin)) {
+          warnings.push(`SKU ${generateSKUFromASIN(asin)} is already used for another ASIN; using ${sku}`);
+        }
+        
         if (!mergedCoreFields.title) {
           validationErrors.push('Missing required field: title');
         }
@@ -620,7 +637,7 @@ router.get('/bulk-preview-stream', requireAuth, async (req, res) => {
         const item = {
           id: `preview-${asin}`,
           asin,
-          sku: generateSKUFromASIN(asin),
+          sku: allocatedSKUs.get(asin),
           status: 'error',
           errors: [error.message]
         };
@@ -647,7 +664,7 @@ router.get('/bulk-preview-stream', requireAuth, async (req, res) => {
 });
 
 // Get single listing by ID
-router.get('/:id', requireAuth, async (req, res) => {
+router.get('/:id', requireAuth, requirePermission('listings.read'), enforceSellerScope, requireRecordSellerAccess(TemplateListing, 'id', { sellerField: 'sellerId' }), async (req, res) => {
   try {
     const listing = await TemplateListing.findById(req.params.id)
       .populate('createdBy', 'name email')
@@ -665,7 +682,7 @@ router.get('/:id', requireAuth, async (req, res) => {
 });
 
 // Create new listing
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const listingData = req.body;
     
@@ -750,6 +767,8 @@ router.post('/', requireAuth, async (req, res) => {
       await listing.save();
     }
     
+    await registerSkus([listing]);
+    
     await listing.populate([
       { path: 'createdBy', select: 'name email' },
       { 
@@ -775,7 +794,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // Update listing
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('listings.edit'), enforceSellerScope, requireRecordSellerAccess(TemplateListing, 'id', { sellerField: 'sellerId' }), async (req, res) => {
   try {
     const listingData = req.body;
     
@@ -798,6 +817,8 @@ router.put('/:id', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Listing not found' });
     }
     
+    await registerSkus([{ ...listing.toObject(), _asinReference: listingData._asinReference }]);
+    
     res.json(listing);
   } catch (error) {
     if (error.code === 11000) {
@@ -809,7 +830,7 @@ router.put('/:id', requireAuth, async (req, res) => {
 });
 
 // Delete listing
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('listings.edit'), enforceSellerScope, requireRecordSellerAccess(TemplateListing, 'id', { sellerField: 'sellerId' }), async (req, res) => {
   try {
     const listing = await TemplateListing.findByIdAndDelete(req.params.id);
     
@@ -825,7 +846,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
 });
 
 // ASIN Autofill endpoint
-router.post('/autofill-from-asin', requireAuth, async (req, res) => {
+router.post('/autofill-from-asin', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { asin, templateId, sellerId } = req.body;
     
@@ -898,7 +919,7 @@ router.post('/autofill-from-asin', requireAuth, async (req, res) => {
 });
 
 // Bulk auto-fill from multiple ASINs
-router.post('/bulk-autofill-from-asins', requireAuth, async (req, res) => {
+router.post('/bulk-autofill-from-asins', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { asins, templateId, sellerId } = req.body;
     
@@ -978,10 +999,13 @@ router.post('/bulk-autofill-from-asins', requireAuth, async (req, res) => {
     console.log(`Found ${existingInCurrentTemplate.size} ASINs in current template (will update)`);
     console.log(`Found ${existingInOtherTemplates.size} ASINs in other templates (will block)\n`);
     
+    // SKUs are allocated so they don't collide with SKUs the seller uses for other ASINs
+    const allocatedSKUs = await allocateSkus(sellerId, cleanedAsins);
+    
     // Pre-generate all SKUs and check for collisions with existing SKUs
     const generatedSKUs = cleanedAsins.map(asin => ({
       asin,
-      sku: generateSKUFromASIN(asin)
+      sku: allocatedSKUs.get(asin)
     }));
     
     // Check if any generated SKUs already exist (from both ASIN imports and SKU imports)
@@ -1032,7 +1056,7 @@ router.post('/bulk-autofill-from-asins', requireAuth, async (req, res) => {
         // Check if ASIN already exists in CURRENT template (duplicate_updateable)
         if (existingInCurrentTemplate.has(asin)) {
           const existingListing = existingInCurrentTemplate.get(asin);
-          const generatedSKU = generateSKUFromASIN(asin);
+          const generatedSKU = allocatedSKUs.get(asin);
           
           // Get existing customFields (already an object from .lean())
           const existingCustomFields = existingListing.customFields || {};
@@ -1069,7 +1093,7 @@ router.post('/bulk-autofill-from-asins', requireAuth, async (req, res) => {
         }
         
         // Check if generated SKU already exists (from ASIN imports or SKU imports)
-        const generatedSKU = generateSKUFromASIN(asin);
+        const generatedSKU = allocatedSKUs.get(asin);
         const existingSKU = existingSKUMap.get(generatedSKU);
         if (existingSKU) {
           return {
@@ -1183,7 +1207,7 @@ router.post('/bulk-autofill-from-asins', requireAuth, async (req, res) => {
 });
 
 // Bulk delete listings
-router.post('/bulk-delete', requireAuth, async (req, res) => {
+router.post('/bulk-delete', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { listingIds } = req.body;
     
@@ -1192,7 +1216,8 @@ router.post('/bulk-delete', requireAuth, async (req, res) => {
     }
     
     const result = await TemplateListing.deleteMany({
-      _id: { $in: listingIds }
+      _id: { $in: listingIds },
+      ...sellerScopeMatch(req, 'sellerId')
     });
     
     res.json({ 
@@ -1206,7 +1231,7 @@ router.post('/bulk-delete', requireAuth, async (req, res) => {
 });
 
 // Bulk create listings from auto-fill results
-router.post('/bulk-create', requireAuth, async (req, res) => {
+router.post('/bulk-create', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, listings, options = {} } = req.body;
     
@@ -1274,9 +1299,14 @@ router.post('/bulk-create', requireAuth, async (req, res) => {
     console.log(`📊 Pre-check: ${existingActiveSKUs.length} active SKUs, ${inactiveListings.length} inactive listings`);
     console.log(`📋 Inactive SKUs: ${Array.from(inactiveMap.keys()).join(', ')}`);
     
+    // SKUs for listings without one, clear of SKUs the seller already uses for other ASINs
+    const allocatedSKUs = autoGenerateSKU
+      ? await allocateSkus(sellerId, listings.filter(l => !l.customLabel).map(l => l._asinReference))
+      : new Map();
+    
     // Pre-check for SKU conflicts with existing listings (including drafts from SKU imports)
     const potentialSKUs = listings
-      .map(l => l.customLabel || (l._asinReference ? generateSKUFromASIN(l._asinReference) : null))
+      .map(l => l.customLabel || (l._asinReference ? allocatedSKUs.get(l._asinReference) : null))
       .filter(sku => sku);
     
     const existingBySKU = await TemplateListing.find({
@@ -1330,9 +1360,9 @@ router.post('/bulk-create', requireAuth, async (req, res) => {
         // Generate SKU if not provided
         let sku = listingData.customLabel;
         if (!sku && autoGenerateSKU) {
-          // Generate SKU using GRW25 + last 5 chars of ASIN
+          // Generate SKU using GRW25 + last 5 chars of ASIN (suffixed if another ASIN has it)
           if (listingData._asinReference) {
-            sku = generateSKUFromASIN(listingData._asinReference);
+            sku = allocatedSKUs.get(listingData._asinReference);
           } else {
             sku = `SKU-${skuCounter++}`;
           }
@@ -1502,6 +1532,8 @@ router.post('/bulk-create', requireAuth, async (req, res) => {
     
     console.log(`Bulk create completed: ${created} created, ${reactivated} reactivated, ${failed} failed, ${skippedCount} skipped`);
     
+    await registerSkus(results.filter(r => r.listing).map(r => r.listing));
+    
     res.json({
       success: true,
       total: listings.length,
@@ -1522,7 +1554,7 @@ router.post('/bulk-create', requireAuth, async (req, res) => {
 });
 
 // Bulk preview: Process ASINs and return preview data (no save to database)
-router.post('/bulk-preview', requireAuth, async (req, res) => {
+router.post('/bulk-preview', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, asins } = req.body;
     
@@ -1630,10 +1662,13 @@ router.post('/bulk-preview', requireAuth, async (req, res) => {
     
     console.log(`🔍 ASIN Check: ${asinInCurrentTemplate.size} in current template, ${asinInOtherTemplates.size} in other templates`);
     
+    // SKUs are allocated so they don't collide with SKUs the seller uses for other ASINs
+    const allocatedSKUs = await allocateSkus(sellerId, asins);
+    
     // Pre-generate all SKUs and check for SKU collisions
     const generatedSKUs = asins.map(asin => ({
       asin,
-      sku: generateSKUFromASIN(asin)
+      sku: allocatedSKUs.get(asin)
     }));
     
     // Check if any generated SKUs already exist (from both ASIN imports and SKU imports)
@@ -1666,7 +1701,7 @@ router.post('/bulk-preview', requireAuth, async (req, res) => {
           const errorItem = {
             id: `preview-${asin}`,
             asin,
-            sku: generateSKUFromASIN(asin),
+            sku: allocatedSKUs.get(asin),
             sourceData: null,
             generatedListing: null,
             pricingCalculation: null,
@@ -1685,7 +1720,7 @@ router.post('/bulk-preview', requireAuth, async (req, res) => {
         }
         
         // Generate SKU early for collision check
-        const sku = generateSKUFromASIN(asin);
+        const sku = allocatedSKUs.get(asin);
         
         // Check if generated SKU already exists (from ASIN imports or SKU imports)
         const existingSKU = existingSKUMap.get(sku);
@@ -1747,6 +1782,10 @@ router.post('/bulk-preview', requireAuth, async (req, res) => {
         const warnings = [];
         const validationErrors = [];
         
+        if (sku !== generateSKUFromASIN(asin)) {
+          warnings.push(`SKU ${generateSKUFromASIN(asin)} is already used for another ASIN; using ${sku}`);
+        }
+        
         if (!mergedCoreFields.title) {
           validationErrors.push('Missing required field: title');
         }
@@ -1817,7 +1856,7 @@ router.post('/bulk-preview', requireAuth, async (req, res) => {
         const errorItem = {
           id: `preview-${asin}`,
           asin,
-          sku: generateSKUFromASIN(asin),
+          sku: allocatedSKUs.get(asin),
           sourceData: null,
           generatedListing: null,
           pricingCalculation: null,
@@ -1860,7 +1899,7 @@ router.post('/bulk-preview', requireAuth, async (req, res) => {
         finalItems.push({
           id: `preview-${asin}`,
           asin,
-          sku: generateSKUFromASIN(asin),
+          sku: allocatedSKUs.get(asin),
           sourceData: null,
           generatedListing: null,
           pricingCalculation: null,
@@ -1894,7 +1933,7 @@ router.post('/bulk-preview', requireAuth, async (req, res) => {
 });
 
 // Bulk save: Save reviewed/edited listings to database
-router.post('/bulk-save', requireAuth, async (req, res) => {
+router.post('/bulk-save', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, listings, options = {} } = req.body;
     
@@ -2245,6 +2284,8 @@ router.post('/bulk-save', requireAuth, async (req, res) => {
     
     console.log(`✅ Bulk save completed: ${created} created, ${updated} updated, ${reactivated} reactivated, ${failed} failed, ${skippedCount} skipped`);
     
+    await registerSkus(results.filter(r => r.listing).map(r => r.listing));
+    
     res.json({
       success: true,
       total: listings.length,
@@ -2266,7 +2307,7 @@ router.post('/bulk-save', requireAuth, async (req, res) => {
 });
 
 // Bulk import ASINs (quick import without fetching Amazon data)
-router.post('/bulk-import-asins', requireAuth, async (req, res) => {
+router.post('/bulk-import-asins', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, asins } = req.body;
     
@@ -2309,6 +2350,9 @@ router.post('/bulk-import-asins', requireAuth, async (req, res) => {
     const skuSet = new Set(existingSKUs);
     let skuCounter = Date.now();
     
+    // SKUs clear of ones the seller already uses for other ASINs
+    const allocatedSKUs = await allocateSkus(sellerId, asins.map(asin => String(asin).trim().toUpperCase()));
+    
     // Process ASINs and generate SKUs
     const listingsToCreate = [];
     const skippedASINs = [];
@@ -2326,7 +2370,7 @@ router.post('/bulk-import-asins', requireAuth, async (req, res) => {
       }
       
       // Generate SKU using GRW25 + last 5 chars
-      let sku = generateSKUFromASIN(cleanASIN);
+      let sku = allocatedSKUs.get(cleanASIN);
       
       // Check for duplicates and make unique
       if (skuSet.has(sku)) {
@@ -2489,6 +2533,13 @@ router.post('/bulk-import-asins', requireAuth, async (req, res) => {
     
     console.log(`🎉 Import complete: ${importedCount} new, ${reactivatedCount} reactivated, ${skippedASINs.length} skipped`);
     
+    await registerSkusWhere({
+      templateId,
+      sellerId,
+      _asinReference: { $in: listingsToCreate.map(l => l._asinReference) },
+      status: 'active'
+    }, 'import');
+    
     res.json({
       total: asins.length,
       imported: importedCount,
@@ -2507,7 +2558,7 @@ router.post('/bulk-import-asins', requireAuth, async (req, res) => {
 });
 
 // Bulk import SKUs (quick import with SKUs directly)
-router.post('/bulk-import-skus', requireAuth, async (req, res) => {
+router.post('/bulk-import-skus', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, skus } = req.body;
     
@@ -2745,6 +2796,13 @@ router.post('/bulk-import-skus', requireAuth, async (req, res) => {
     
     console.log(`🎉 SKU Import complete: ${importedCount} new, ${reactivatedCount} reactivated, ${skippedSKUs.length} skipped`);
     
+    await registerSkusWhere({
+      templateId,
+      sellerId,
+      customLabel: { $in: skusNotInOtherTemplates.map(l => l.customLabel) },
+      status: { $in: ['active', 'draft'] }
+    }, 'import');
+    
     res.json({
       total: skus.length,
       imported: importedCount,
@@ -2763,7 +2821,7 @@ router.post('/bulk-import-skus', requireAuth, async (req, res) => {
 });
 
 // Bulk import from CSV
-router.post('/bulk-import', requireAuth, async (req, res) => {
+router.post('/bulk-import', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, listings } = req.body;
     
@@ -2789,6 +2847,8 @@ router.post('/bulk-import', requireAuth, async (req, res) => {
       ordered: false // Continue on error
     });
     
+    await registerSkus(result, 'import');
+    
     res.json({ 
       message: 'Listings imported successfully',
       importedCount: result.length 
@@ -2797,6 +2857,7 @@ router.post('/bulk-import', requireAuth, async (req, res) => {
     if (error.code === 11000) {
       // Some duplicates were found
       const insertedCount = error.insertedDocs ? error.insertedDocs.length : 0;
+      await registerSkus(error.insertedDocs || [], 'import');
       return res.status(207).json({ 
         message: 'Import completed with some duplicates skipped',
         importedCount: insertedCount,
@@ -2809,7 +2870,7 @@ router.post('/bulk-import', requireAuth, async (req, res) => {
 });
 
 // Export listings as eBay CSV
-router.get('/export-csv/:templateId', requireAuth, async (req, res) => {
+router.get('/export-csv/:templateId', requireAuth, requirePermission('listings.export'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId } = req.params;
     const { sellerId } = req.query;
@@ -2820,11 +2881,9 @@ router.get('/export-csv/:templateId', requireAuth, async (req, res) => {
     const filter = { 
       templateId,
       $or: [{ downloadBatchId: null }, { pendingRedownload: true }], // Active batch: not downloaded yet OR flagged for re-download
-      status: 'active'       // Only active listings (exclude inactive/draft/sold/ended)
+      status: 'active',      // Only active listings (exclude inactive/draft/sold/ended)
+      ...scopedSellerMatch(req, sellerId, 'sellerId')
     };
-    if (sellerId) {
-      filter.sellerId = sellerId;
-    }
     
     // Fetch effective template (includes seller overrides), seller, and filtered listings
     const [template, seller, listings] = await Promise.all([
@@ -3039,7 +3098,7 @@ router.get('/export-csv/:templateId', requireAuth, async (req, res) => {
 });
 
 // Get download history for a template/seller
-router.get('/download-history/:templateId', requireAuth, async (req, res) => {
+router.get('/download-history/:templateId', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId } = req.params;
     const { sellerId } = req.query;
@@ -3053,9 +3112,7 @@ router.get('/download-history/:templateId', requireAuth, async (req, res) => {
       downloadBatchId: { $ne: null }
     };
     
-    if (sellerId) {
-      filter.sellerId = new mongoose.default.Types.ObjectId(sellerId);
-    }
+    Object.assign(filter, scopedSellerMatch(req, sellerId, 'sellerId'));
     
     console.log('🔍 Filter:', JSON.stringify(filter));
     
@@ -3107,7 +3164,7 @@ router.get('/download-history/:templateId', requireAuth, async (req, res) => {
 });
 
 // Re-download a specific batch
-router.get('/re-download-batch/:templateId/:batchId', requireAuth, async (req, res) => {
+router.get('/re-download-batch/:templateId/:batchId', requireAuth, requirePermission('listings.export'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, batchId } = req.params;
     const { sellerId } = req.query;
@@ -3115,11 +3172,9 @@ router.get('/re-download-batch/:templateId/:batchId', requireAuth, async (req, r
     // Build filter for specific batch
     const filter = { 
       templateId,
-      downloadBatchId: batchId
+      downloadBatchId: batchId,
+      ...scopedSellerMatch(req, sellerId, 'sellerId')
     };
-    if (sellerId) {
-      filter.sellerId = sellerId;
-    }
     
     // Fetch effective template (includes seller overrides), seller, and batch listings
     const [template, seller, listings] = await Promise.all([
@@ -3299,7 +3354,7 @@ router.get('/re-download-batch/:templateId/:batchId', requireAuth, async (req, r
 });
 
 // Search for inactive listings by SKU
-router.post('/search-inactive-skus', requireAuth, async (req, res) => {
+router.post('/search-inactive-skus', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, skus } = req.body;
     
@@ -3349,7 +3404,7 @@ router.post('/search-inactive-skus', requireAuth, async (req, res) => {
 });
 
 // Bulk reactivate inactive listings
-router.post('/bulk-reactivate', requireAuth, async (req, res) => {
+router.post('/bulk-reactivate', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { listingIds } = req.body;
     
@@ -3391,7 +3446,7 @@ router.post('/bulk-reactivate', requireAuth, async (req, res) => {
 });
 
 // Bulk deactivate active listings
-router.post('/bulk-deactivate', requireAuth, async (req, res) => {
+router.post('/bulk-deactivate', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { templateId, sellerId, skus } = req.body;
     
@@ -3471,7 +3526,7 @@ router.post('/bulk-deactivate', requireAuth, async (req, res) => {
  * GET /api/seller/:sellerId/template-listings/api-usage-stats
  * Get API usage statistics (ScraperAPI, PAAPI, Gemini)
  */
-router.get('/api/seller/:sellerId/template-listings/api-usage-stats', requireAuth, async (req, res) => {
+router.get('/api/seller/:sellerId/template-listings/api-usage-stats', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId } = req.params;
     const { service, year, month } = req.query;
@@ -3502,7 +3557,7 @@ router.get('/api/seller/:sellerId/template-listings/api-usage-stats', requireAut
  * GET /api/seller/:sellerId/template-listings/api-usage-field-stats
  * Get field extraction statistics for a specific service
  */
-router.get('/api/seller/:sellerId/template-listings/api-usage-field-stats', requireAuth, async (req, res) => {
+router.get('/api/seller/:sellerId/template-listings/api-usage-field-stats', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId } = req.params;
     const { service, year, month } = req.query;
@@ -3538,7 +3593,7 @@ router.get('/api/seller/:sellerId/template-listings/api-usage-field-stats', requ
  * GET /api/seller/:sellerId/template-listings/api-usage-errors
  * Get recent API errors for debugging
  */
-router.get('/api/seller/:sellerId/template-listings/api-usage-errors', requireAuth, async (req, res) => {
+router.get('/api/seller/:sellerId/template-listings/api-usage-errors', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId } = req.params;
     const { service, limit = 50 } = req.query;
@@ -3571,7 +3626,7 @@ router.get('/api/seller/:sellerId/template-listings/api-usage-errors', requireAu
  * GET /api/seller/:sellerId/template-listings/api-quota-status
  * Check quota status for a service
  */
-router.get('/api/seller/:sellerId/template-listings/api-quota-status', requireAuth, async (req, res) => {
+router.get('/api/seller/:sellerId/template-listings/api-quota-status', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const { sellerId } = req.params;
     const { service, quota = 5000 } = req.query;
@@ -3603,7 +3658,7 @@ router.get('/api/seller/:sellerId/template-listings/api-quota-status', requireAu
  * GET /template-listings/cache-stats
  * Get ASIN cache statistics
  */
-router.get('/cache-stats', requireAuth, async (req, res) => {
+router.get('/cache-stats', requireAuth, requirePermission('listings.read'), enforceSellerScope, async (req, res) => {
   try {
     const stats = getAsinCacheStats();
     
@@ -3625,7 +3680,7 @@ router.get('/cache-stats', requireAuth, async (req, res) => {
  * POST /template-listings/cache-clear
  * Clear ASIN cache
  */
-router.post('/cache-clear', requireAuth, async (req, res) => {
+router.post('/cache-clear', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     clearAsinCache();
     
@@ -3646,7 +3701,7 @@ router.post('/cache-clear', requireAuth, async (req, res) => {
  * POST /template-listings/cache-invalidate/:asin
  * Invalidate specific ASIN from cache
  */
-router.post('/cache-invalidate/:asin', requireAuth, async (req, res) => {
+router.post('/cache-invalidate/:asin', requireAuth, requirePermission('listings.edit'), enforceSellerScope, async (req, res) => {
   try {
     const { asin } = req.params;
     const invalidated = invalidateAsinCache(asin);
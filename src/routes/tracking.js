@@ -0,0 +1,91 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import ShipmentTracking from '../models/ShipmentTracking.js';
+import { canAccessSeller, scopedSellerMatch } from '../lib/sellerAccess.js';
+import { lockOwnerFromRequest } from '../lib/jobLock.js';
+import { startTrackingPoll, carrierAdapterNames, trackingAdapterName } from '../lib/tracking.js';
+
+const router = Router();
+
+// GET /adapters - Carrier adapters and the one TRACKING_ADAPTER selects (null = tracking off)
+router.get('/adapters', requireAuth, requirePermission('orders.read'), async (req, res) => {
+  res.json({ active: trackingAdapterName(), adapters: carrierAdapterNames() });
+});
+
+// GET /overdue - Orders past their estimated delivery and not delivered, longest overdue first
+router.get('/overdue', requireAuth, requirePermission('orders.read'), enforceSellerScope, async (req, res) => {
+  const { sellerId, page = 1, limit = 50 } = req.query;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const query = { ...scopedSellerMatch(req, sellerId), deliveryOverdue: true };
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .select('seller orderId legacyOrderId buyer.username productName dateSold estimatedDelivery trackingNumber manualTrackingNumber trackingStatus trackingCheckedAt remark deliveryOverdueSince')
+        .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+        .sort({ estimatedDelivery: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Order.countDocuments(query)
+    ]);
+
+    res.json({ orders, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /orders/:orderId - Tracking history of an eBay order
+router.get('/orders/:orderId', requireAuth, requirePermission('orders.read'), async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId })
+      .select('seller orderId trackingNumber manualTrackingNumber trackingStatus trackingCheckedAt deliveredAt estimatedDelivery deliveryOverdue deliveryOverdueSince remark')
+      .lean();
+    if (!order || !canAccessSeller(req, order.seller)) return res.status(404).json({ error: 'Order not found' });
+
+    const tracking = await ShipmentTracking.find({ order: order._id }).sort({ createdAt: 1 }).lean();
+    res.json({ order, tracking });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /poll - Poll tracking now ({ sellerId, orderIds }); orderIds are polled even when
+// delivered or old. Without orderIds, overdue orders are flagged as well.
+router.post('/poll', requireAuth, requirePermission('orders.sync'), enforceSellerScope, async (req, res) => {
+  const { sellerId, orderIds } = req.body;
+  try {
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) return res.status(400).json({ error: 'Invalid sellerId' });
+    const ids = orderIds === undefined ? undefined : (Array.isArray(orderIds) ? orderIds : String(orderIds).split(',')).map(id => String(id).trim()).filter(Boolean);
+
+    if (ids?.length) {
+      const orders = await Order.find({ orderId: { $in: ids } }).select('seller').lean();
+      if (orders.length === 0 || orders.some(o => !canAccessSeller(req, o.seller))) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+    }
+
+    // Scoped users may only poll their own sellers
+    const sellerIds = sellerId ? [sellerId] : req.user.sellerIds;
+    if (!ids?.length && sellerIds && sellerIds.length !== 1) {
+      return res.status(400).json({ error: 'sellerId is required' });
+    }
+
+    const outcome = await startTrackingPoll({
+      sellerId: ids?.length ? undefined : sellerIds?.[0],
+      orderIds: ids,
+      ...(await lockOwnerFromRequest(req))
+    });
+    if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+    res.json(outcome.result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,12 +1,12 @@
 import express from 'express';
 import Transaction from '../models/Transaction.js';
 import Order from '../models/Order.js';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // GET /api/transactions/balance-summary - Get balance per bank account
-router.get('/balance-summary', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.get('/balance-summary', requireAuth, requirePermission('finance.read'), async (req, res) => {
     try {
         const summary = await Transaction.aggregate([
             {
@@ -52,7 +52,7 @@ router.get('/balance-summary', requireAuth, requireRole('superadmin'), async (re
 });
 
 // GET /api/transactions/credit-card-summary
-router.get('/credit-card-summary', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.get('/credit-card-summary', requireAuth, requirePermission('finance.read'), async (req, res) => {
     try {
         // Step 1: Get total transferred TO each credit card via transactions
         const transactionSummary = await Transaction.aggregate([
@@ -130,7 +130,7 @@ router.get('/credit-card-summary', requireAuth, requireRole('superadmin'), async
 });
 
 // GET /api/transactions - List all
-router.get('/', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.get('/', requireAuth, requirePermission('finance.read'), async (req, res) => {
     try {
         const transactions = await Transaction.find()
             .populate('bankAccount', 'name')
@@ -143,7 +143,7 @@ router.get('/', requireAuth, requireRole('superadmin'), async (req, res) => {
 });
 
 // POST /api/transactions - Create Manual Transaction
-router.post('/', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.post('/', requireAuth, requirePermission('finance.manage'), async (req, res) => {
     try {
         const { date, bankAccount, transactionType, amount, remark, creditCardName } = req.body;
 
@@ -172,7 +172,7 @@ router.post('/', requireAuth, requireRole('superadmin'), async (req, res) => {
 });
 
 // PUT /api/transactions/:id - Update Manual Transaction
-router.put('/:id', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('finance.manage'), async (req, res) => {
     try {
         const { id } = req.params;
         const { date, bankAccount, transactionType, amount, remark, creditCardName } = req.body;
@@ -202,7 +202,7 @@ router.put('/:id', requireAuth, requireRole('superadmin'), async (req, res) => {
 });
 
 // DELETE /api/transactions/:id - Delete Manual Transaction
-router.delete('/:id', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('finance.manage'), async (req, res) => {
     try {
         const { id } = req.params;
         const transaction = await Transaction.findById(id);
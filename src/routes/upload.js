@@ -1,47 +1,47 @@
 import express from 'express';
 import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import { IMAGE_TYPES, validateFile, buildStorageKey, putFile, getSignedUrl, requestBaseUrl } from '../lib/storage.js';
 
 const router = express.Router();
 
-// Ensure uploads directory exists
-const uploadDir = path.join(process.cwd(), 'public/uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Sanitize filename and add timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, uniqueSuffix + ext);
-  }
-});
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB limit
+// Long enough for the chat message the image is attached to; eBay gets its own copy on send
+const UPLOAD_URL_TTL_SECONDS = 24 * 60 * 60;
 
-const upload = multer({ 
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE }
 });
 
-router.post('/', upload.array('files', 5), (req, res) => {
+// POST / - Upload up to 5 images (chat attachments); returns signed URLs
+router.post('/', requireAuth, requirePermission('uploads.create'), upload.array('files', 5), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const fileUrls = req.files.map(file => {
-      // Return absolute URL
-      const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-      const host = req.get('host');
-      return `${protocol}://${host}/uploads/${file.filename}`;
-    });
+    // Validate every file before storing any of them
+    const checked = [];
+    for (const file of req.files) {
+      const { error, contentType } = validateFile(file, { allowedTypes: IMAGE_TYPES, maxSize: MAX_FILE_SIZE });
+      if (error) return res.status(400).json({ error: `${file.originalname}: ${error}` });
+      checked.push({ file, contentType });
+    }
+
+    const files = [];
+    for (const { file, contentType } of checked) {
+      const key = buildStorageKey('uploads', contentType);
+      await putFile(key, file.buffer, { contentType });
+      const { url, expiresAt } = getSignedUrl(key, {
+        baseUrl: requestBaseUrl(req),
+        expiresIn: UPLOAD_URL_TTL_SECONDS,
+        fileName: file.originalname
+      });
+      files.push({ key, url, expiresAt, fileName: file.originalname, contentType, size: file.size });
+    }
 
-    res.json({ urls: fileUrls });
+    res.json({ urls: files.map(f => f.url), files });
   } catch (err) {
     console.error('Upload error:', err);
     res.status(500).json({ error: 'File upload failed' });
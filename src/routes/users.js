@@ -1,60 +1,29 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import User from '../models/User.js';
 import Seller from '../models/Seller.js';
 import EmployeeProfile from '../models/EmployeeProfile.js';
 import Attendance from '../models/Attendance.js';
+import { revokeUserSessions, listUserSessions } from '../lib/sessions.js';
+import { roleExists, canAssignRole, hasPermission } from '../lib/permissions.js';
 
 const router = Router();
 
-// Superadmin creates all (productadmin, listingadmin, lister); Listing Admin creates listers only
-router.post('/', requireAuth, async (req, res) => {
+// Create a user; which roles the caller may hand out comes from their role's assignableRoles
+router.post('/', requireAuth, requirePermission('users.create'), async (req, res) => {
   const { role } = req.user;
   const { email, username, password, newUserRole, department } = req.body || {};
   if (!username || !password || !newUserRole) {
     return res.status(400).json({ error: 'username, password, newUserRole required' });
   }
 
-  // --- FIX IS HERE: Added 'hoc' and 'compliancemanager' ---
-  const allowedRoles = [
-    'productadmin',
-    'listingadmin',
-    'lister',
-    'advancelister',
-    'compatibilityadmin',
-    'compatibilityeditor',
-    'seller',
-    'fulfillmentadmin',
-    'hradmin',
-    'hr',
-    'operationhead',
-    'trainee',
-    'hoc',
-    'compliancemanager'
-  ];
-
-  if (!allowedRoles.includes(newUserRole)) return res.status(400).json({ error: 'Invalid newUserRole' });
-
-  // Forbidden base roles (cannot create users)
-  if (role === 'lister' || role === 'productadmin' || role === 'compatibilityeditor') {
-    return res.status(403).json({ error: 'Forbidden' });
+  if (newUserRole === 'superadmin' || !(await roleExists(newUserRole))) {
+    return res.status(400).json({ error: 'Invalid newUserRole' });
   }
-
-  // Only superadmin can create high-level admins (productadmin, listingadmin, compatibilityadmin, fulfillmentadmin)
-  // Added 'hoc' and 'compliancemanager' to the list of roles that require high privileges
-  if (['productadmin', 'listingadmin', 'compatibilityadmin', 'seller', 'fulfillmentadmin', 'hradmin', 'operationhead', 'hoc', 'compliancemanager'].includes(newUserRole) && !['superadmin', 'hradmin', 'operationhead'].includes(role)) {
-    return res.status(403).json({ error: 'Only superadmin, hradmin or operationhead can create admin roles or sellers' });
-  }
-
-  // Listing admin can only create listers
-  if (role === 'listingadmin' && newUserRole !== 'lister') {
-    return res.status(403).json({ error: 'Listing Admins can only create listers' });
-  }
-
-  // Compatibility admin can only create compatibility editors
-  if (role === 'compatibilityadmin' && newUserRole !== 'compatibilityeditor') {
-    return res.status(403).json({ error: 'Compatibility Admins can only create compatibility editors' });
+  if (!(await canAssignRole(role, newUserRole))) {
+    return res.status(403).json({ error: `Your role cannot create ${newUserRole} users` });
   }
 
   // Check both email and username uniqueness
@@ -94,8 +63,8 @@ router.post('/', requireAuth, async (req, res) => {
     await Seller.create({ user: user._id, ebayMarketplaces: [] });
   }
 
-  if (['superadmin', 'hradmin', 'operationhead'].includes(role)) {
-    // Return credentials for superadmin record-keeping
+  if (hasPermission(req.user, 'users.manage')) {
+    // Return credentials for admin record-keeping
     res.json({
       id: user._id,
       email: user.email,
@@ -114,19 +83,19 @@ router.post('/', requireAuth, async (req, res) => {
   }
 });
 
-router.get('/listers', requireAuth, requireRole('superadmin', 'listingadmin'), async (req, res) => {
+router.get('/listers', requireAuth, requirePermission('assignments.manage', 'listers.analytics'), async (req, res) => {
   const listers = await User.find({ role: 'lister', active: true }).select('email username role');
   res.json(listers);
 });
 
 // List compatibility editors (for superadmin or compatibilityadmin)
-router.get('/compatibility-editors', requireAuth, requireRole('superadmin', 'compatibilityadmin'), async (req, res) => {
+router.get('/compatibility-editors', requireAuth, requirePermission('compatibility.manage'), async (req, res) => {
   const editors = await User.find({ role: 'compatibilityeditor', active: true }).select('email username role');
   res.json(editors);
 });
 
 // Check if email or username already exists
-router.get('/check-exists', async (req, res) => {
+router.get('/check-exists', requireAuth, requirePermission('users.create'), async (req, res) => {
   const { email, username } = req.query;
   try {
     let exists = false;
@@ -144,7 +113,7 @@ router.get('/check-exists', async (req, res) => {
 });
 
 // PUT /:id/strict-timer - Toggle strict timer for a user (Superadmin only)
-router.put('/:id/strict-timer', requireAuth, requireRole('superadmin'), async (req, res) => {
+router.put('/:id/strict-timer', requireAuth, requirePermission('attendance.admin'), async (req, res) => {
   try {
     const { id } = req.params;
     const { isStrictTimer } = req.body;
@@ -191,4 +160,114 @@ router.put('/:id/strict-timer', requireAuth, requireRole('superadmin'), async (r
   }
 });
 
-export default router;
\ No newline at end of file
+// Activate / deactivate a user; deactivating also ends all of their sessions immediately
+router.put('/:id/active', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { active } = req.body || {};
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active (boolean) required' });
+    }
+    if (!active && id === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const user = await User.findByIdAndUpdate(id, { active }, { new: true, select: 'username email role active' });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    let revokedSessions = 0;
+    if (!active) {
+      revokedSessions = await revokeUserSessions(user._id, { reason: 'deactivated', revokedBy: req.user.userId });
+    }
+
+    res.json({
+      message: `${user.username} ${active ? 'activated' : 'deactivated'}`,
+      user,
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Error updating user active status:', error);
+    res.status(500).json({ error: 'Failed to update user status' });
+  }
+});
+
+// Sellers a user is limited to (empty = every seller)
+router.get('/:id/sellers', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'User not found' });
+    const user = await User.findById(req.params.id)
+      .select('username role assignedSellers')
+      .populate({ path: 'assignedSellers', select: 'user', populate: { path: 'user', select: 'username' } })
+      .lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Error fetching user sellers:', error);
+    res.status(500).json({ error: 'Failed to fetch user sellers' });
+  }
+});
+
+// Limit a user to specific sellers; takes effect on their next request
+router.put('/:id/sellers', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'User not found' });
+    const { sellerIds } = req.body || {};
+    if (!Array.isArray(sellerIds) || sellerIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: 'sellerIds must be an array of seller ids (empty = every seller)' });
+    }
+
+    const uniqueIds = [...new Set(sellerIds.map(String))];
+    const found = await Seller.countDocuments({ _id: { $in: uniqueIds } });
+    if (found !== uniqueIds.length) {
+      return res.status(404).json({ error: 'One or more sellers not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { assignedSellers: uniqueIds },
+      { new: true, select: 'username role assignedSellers' }
+    );
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Error updating user sellers:', error);
+    res.status(500).json({ error: 'Failed to update user sellers' });
+  }
+});
+
+// List a user's sessions (add ?includeRevoked=true for history)
+router.get('/:id/sessions', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const sessions = await listUserSessions(req.params.id, { includeRevoked: req.query.includeRevoked === 'true' });
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch user sessions' });
+  }
+});
+
+// Kill every session of a user (they must log in again on all devices)
+router.post('/:id/sessions/revoke', requireAuth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'User not found' });
+    const user = await User.findById(req.params.id).select('username');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin', revokedBy: req.user.userId });
+    res.json({ message: `Ended ${revoked} session(s) for ${user.username}`, revoked });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke user sessions' });
+  }
+});
+
+export default router;
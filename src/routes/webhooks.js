@@ -0,0 +1,239 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import Seller from '../models/Seller.js';
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  sendTestWebhook,
+  redeliverWebhook
+} from '../lib/webhooks.js';
+
+const router = Router();
+
+function validateUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol);
+  } catch {
+    return false;
+  }
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}. Allowed: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  return null;
+}
+
+async function validateSeller(sellerId) {
+  if (!sellerId) return true;
+  return mongoose.Types.ObjectId.isValid(sellerId) && Boolean(await Seller.exists({ _id: sellerId }));
+}
+
+// GET / - List subscriptions (secrets are never listed)
+router.get('/', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({})
+      .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ subscriptions, events: WEBHOOK_EVENTS });
+  } catch (err) {
+    console.error('Error fetching webhook subscriptions:', err);
+    res.status(500).json({ error: 'Failed to fetch webhook subscriptions' });
+  }
+});
+
+// POST / - Create a subscription; the signing secret is returned only in this response
+router.post('/', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const { name, url, events, sellerId, secret } = req.body || {};
+
+    if (!name || !url) {
+      return res.status(400).json({ error: 'name and url are required' });
+    }
+    if (!validateUrl(url)) {
+      return res.status(400).json({ error: 'url must be a valid http(s) URL' });
+    }
+    const eventsError = validateEvents(events);
+    if (eventsError) return res.status(400).json({ error: eventsError });
+    if (!(await validateSeller(sellerId))) {
+      return res.status(404).json({ error: 'Seller not found' });
+    }
+
+    const subscription = await WebhookSubscription.create({
+      name,
+      url,
+      events,
+      seller: sellerId || null,
+      secret: secret || generateWebhookSecret(),
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({ subscription: subscription.toObject() });
+  } catch (err) {
+    console.error('Error creating webhook subscription:', err);
+    res.status(500).json({ error: 'Failed to create webhook subscription' });
+  }
+});
+
+// GET /deliveries/:deliveryId - One delivery with its payload and last response
+router.get('/deliveries/:deliveryId', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+      .populate('subscription', 'name url')
+      .populate('triggeredBy', 'username')
+      .lean();
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+
+    res.json({ delivery });
+  } catch (err) {
+    console.error('Error fetching webhook delivery:', err);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// POST /deliveries/:deliveryId/redeliver - Send the same payload again as a new delivery
+router.post('/deliveries/:deliveryId/redeliver', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!original) return res.status(404).json({ error: 'Delivery not found' });
+    if (!(await WebhookSubscription.exists({ _id: original.subscription }))) {
+      return res.status(400).json({ error: 'The subscription for this delivery was deleted' });
+    }
+
+    const delivery = await redeliverWebhook(original, req.user.userId);
+    res.json({ delivery });
+  } catch (err) {
+    console.error('Error redelivering webhook:', err);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// GET /:id - One subscription
+router.get('/:id', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id)
+      .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+      .populate('createdBy', 'username')
+      .lean();
+    if (!subscription) return res.status(404).json({ error: 'Webhook subscription not found' });
+
+    res.json({ subscription });
+  } catch (err) {
+    console.error('Error fetching webhook subscription:', err);
+    res.status(500).json({ error: 'Failed to fetch webhook subscription' });
+  }
+});
+
+// PATCH /:id - Change name, url, events, seller filter or active flag
+router.patch('/:id', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const { name, url, events, sellerId, active } = req.body || {};
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) return res.status(404).json({ error: 'Webhook subscription not found' });
+
+    if (url !== undefined) {
+      if (!validateUrl(url)) return res.status(400).json({ error: 'url must be a valid http(s) URL' });
+      subscription.url = url;
+    }
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) return res.status(400).json({ error: eventsError });
+      subscription.events = events;
+    }
+    if (sellerId !== undefined) {
+      if (!(await validateSeller(sellerId))) return res.status(404).json({ error: 'Seller not found' });
+      subscription.seller = sellerId || null;
+    }
+    if (name !== undefined) subscription.name = name;
+    if (active !== undefined) subscription.active = Boolean(active);
+
+    await subscription.save();
+    res.json({ subscription: subscription.toObject() });
+  } catch (err) {
+    console.error('Error updating webhook subscription:', err);
+    res.status(500).json({ error: 'Failed to update webhook subscription' });
+  }
+});
+
+// DELETE /:id - Remove a subscription (its delivery log expires on its own)
+router.delete('/:id', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) return res.status(404).json({ error: 'Webhook subscription not found' });
+
+    // Nothing left to deliver to
+    await WebhookDelivery.updateMany(
+      { subscription: subscription._id, status: { $in: ['pending', 'retrying'] } },
+      { status: 'failed', lastError: 'Subscription was deleted', $unset: { nextAttemptAt: 1 } }
+    );
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting webhook subscription:', err);
+    res.status(500).json({ error: 'Failed to delete webhook subscription' });
+  }
+});
+
+// POST /:id/rotate-secret - Issue a new signing secret (returned once)
+router.post('/:id/rotate-secret', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+    const subscription = await WebhookSubscription.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!subscription) return res.status(404).json({ error: 'Webhook subscription not found' });
+
+    res.json({ subscription: { ...subscription.toObject(), secret } });
+  } catch (err) {
+    console.error('Error rotating webhook secret:', err);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// POST /:id/test - Send a signed 'webhook.test' event right away (not retried)
+router.post('/:id/test', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) return res.status(404).json({ error: 'Webhook subscription not found' });
+
+    const delivery = await sendTestWebhook(subscription, req.user.userId);
+    res.json({ delivery });
+  } catch (err) {
+    console.error('Error sending test webhook:', err);
+    res.status(500).json({ error: 'Failed to send test webhook' });
+  }
+});
+
+// GET /:id/deliveries - Delivery log for one subscription (filters: status, event)
+router.get('/:id/deliveries', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+  const { status, event, limit = 50 } = req.query;
+  try {
+    const query = { subscription: req.params.id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-payload')
+      .populate('triggeredBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 500))
+      .lean();
+
+    res.json({ deliveries });
+  } catch (err) {
+    console.error('Error fetching webhook deliveries:', err);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+export default router;
@@ -0,0 +1,164 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireAuth, requirePermission, enforceSellerScope } from '../middleware/auth.js';
+import WorkRotation from '../models/WorkRotation.js';
+import { hasPermission } from '../lib/permissions.js';
+import { canAccessSeller, sellerScopeMatch } from '../lib/sellerAccess.js';
+import { lockOwnerFromRequest } from '../lib/jobLock.js';
+import {
+  WORK_ITEM_KINDS, workItemKind, claimWorkItem, releaseWorkItem, assignWorkItem, myWorkQueue, workload,
+  runWorkAssignment
+} from '../lib/workQueue.js';
+
+const router = Router();
+
+const ROTATION_FIELDS = ['name', 'kinds', 'seller', 'marketplace', 'members', 'active'];
+
+// Resolves :kind and :id; the caller needs the kind's edit permission and access to its seller
+async function requireWorkItem(req, res, next) {
+  const kind = workItemKind(req.params.kind);
+  if (!kind) return res.status(404).json({ error: `Unknown kind; use one of ${WORK_ITEM_KINDS.join(', ')}` });
+  if (!hasPermission(req.user, kind.permission)) {
+    return res.status(403).json({ error: 'Forbidden', requiredPermission: kind.permission });
+  }
+  try {
+    const item = await kind.model.findOne({ [kind.key]: req.params.id }).select('seller').lean();
+    if (!item || !canAccessSeller(req, item.seller)) return res.status(404).json({ error: 'Item not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+function rotationInput(body) {
+  const input = {};
+  for (const field of ROTATION_FIELDS) {
+    if (body[field] !== undefined) input[field] = body[field];
+  }
+  if (input.seller === '') input.seller = null;
+  if (input.marketplace === '') input.marketplace = null;
+  return input;
+}
+
+// GET /mine - My open orders, returns, cases and disputes ({ kind } to narrow)
+router.get('/mine', requireAuth, requirePermission('orders.read', 'returns.read'), enforceSellerScope, async (req, res) => {
+  const { kind } = req.query;
+  try {
+    if (kind && !workItemKind(kind)) return res.status(400).json({ error: `kind must be one of ${WORK_ITEM_KINDS.join(', ')}` });
+    res.json(await myWorkQueue(req.user.userId, { match: sellerScopeMatch(req), kind }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /workload - Open items per owner and the unassigned backlog
+router.get('/workload', requireAuth, requirePermission('workQueue.manage'), enforceSellerScope, async (req, res) => {
+  try {
+    res.json(await workload({ match: sellerScopeMatch(req) }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /auto-assign - Run the rotation now (also moves work off people on leave)
+router.post('/auto-assign', requireAuth, requirePermission('workQueue.manage'), async (req, res) => {
+  try {
+    const outcome = await runWorkAssignment(await lockOwnerFromRequest(req));
+    if (!outcome.acquired) return res.status(409).json({ error: outcome.message });
+    res.json(outcome.result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /rotations - Round-robin rotations
+router.get('/rotations', requireAuth, requirePermission('workQueue.manage'), async (req, res) => {
+  try {
+    const rotations = await WorkRotation.find()
+      .populate({ path: 'seller', select: 'user', populate: { path: 'user', select: 'username' } })
+      .populate('members', 'username active')
+      .sort({ name: 1 })
+      .lean();
+    res.json(rotations);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /rotations - Create a rotation ({ name, kinds, seller, marketplace, members, active })
+router.post('/rotations', requireAuth, requirePermission('workQueue.manage'), async (req, res) => {
+  try {
+    const rotation = await WorkRotation.create({ ...rotationInput(req.body), createdBy: req.user.userId });
+    res.status(201).json(rotation);
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /rotations/:id - Edit a rotation
+router.put('/rotations/:id', requireAuth, requirePermission('workQueue.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Rotation not found' });
+    const rotation = await WorkRotation.findByIdAndUpdate(req.params.id, rotationInput(req.body), { new: true, runValidators: true });
+    if (!rotation) return res.status(404).json({ error: 'Rotation not found' });
+    res.json(rotation);
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /rotations/:id - Delete a rotation (assigned items keep their owner)
+router.delete('/rotations/:id', requireAuth, requirePermission('workQueue.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Rotation not found' });
+    const rotation = await WorkRotation.findByIdAndDelete(req.params.id);
+    if (!rotation) return res.status(404).json({ error: 'Rotation not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /:kind/:id/claim - Take an unassigned order, return, case or dispute (eBay id)
+router.post('/:kind/:id/claim', requireAuth, requireWorkItem, async (req, res) => {
+  try {
+    const result = await claimWorkItem(req.params.kind, req.params.id, req.user.userId);
+    if (result.error) return res.status(404).json({ error: result.error });
+    if (result.conflict) return res.status(409).json({ error: result.conflict });
+    res.json(result.item);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /:kind/:id/unclaim - Give an item back; managers may pass { force: true } for anyone's
+router.post('/:kind/:id/unclaim', requireAuth, requireWorkItem, async (req, res) => {
+  const force = req.body.force === true;
+  try {
+    if (force && !hasPermission(req.user, 'workQueue.manage')) {
+      return res.status(403).json({ error: 'Forbidden', requiredPermission: 'workQueue.manage' });
+    }
+    const result = await releaseWorkItem(req.params.kind, req.params.id, req.user.userId, { force });
+    if (result.conflict) return res.status(409).json({ error: result.conflict });
+    res.json(result.item);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /:kind/:id/assignee - Assign an item to someone ({ userId }; null unassigns)
+router.put('/:kind/:id/assignee', requireAuth, requirePermission('workQueue.manage'), requireWorkItem, async (req, res) => {
+  const { userId } = req.body;
+  try {
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ error: 'Invalid userId' });
+    const result = await assignWorkItem(req.params.kind, req.params.id, userId || null, req.user.userId);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result.item);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,5 +1,43 @@
 import cron from 'node-cron';
 import Attendance from './models/Attendance.js';
+import { withJobLock } from './lib/jobLock.js';
+import { initializeSyncScheduler } from './lib/syncScheduler.js';
+import { retryDueWebhookDeliveries } from './lib/webhooks.js';
+import { runScheduledRepricing } from './lib/repricing.js';
+import { startStockMonitor } from './lib/stockMonitor.js';
+import { startTrackingPoll } from './lib/tracking.js';
+import { runShippingRiskAlerts } from './lib/shippingRisk.js';
+import { runWorkAssignment } from './lib/workQueue.js';
+import { runSlaEscalations } from './lib/sla.js';
+import { postPendingOrders } from './lib/ledger.js';
+import { importProviderRates } from './lib/currency.js';
+import { recalculateForRateChanges } from './lib/rateRecalculation.js';
+
+// Stop the running session of every active timer and mark the day completed
+async function autoStopActiveTimers() {
+    // Find all active attendance records
+    const activeRecords = await Attendance.find({ status: 'active' });
+
+    let stoppedCount = 0;
+
+    for (const attendance of activeRecords) {
+        // Stop the last active session
+        if (attendance.sessions.length > 0) {
+            const lastSession = attendance.sessions[attendance.sessions.length - 1];
+            if (!lastSession.endTime) {
+                lastSession.endTime = new Date();
+            }
+        }
+
+        attendance.status = 'completed';
+        attendance.calculateTotalWorkTime();
+        await attendance.save();
+
+        stoppedCount++;
+    }
+
+    return stoppedCount;
+}
 
 export function initializeScheduledJobs() {
     // Auto-stop all active timers daily at 2:00 AM
@@ -7,28 +45,20 @@ export function initializeScheduledJobs() {
         try {
             console.log('[CRON] Running daily timer auto-stop at 2:00 AM...');
 
-            // Find all active attendance records
-            const activeRecords = await Attendance.find({ status: 'active' });
-
-            let stoppedCount = 0;
+            // Every API instance fires this cron; the lock lets only one of them do the work.
+            // It is held for 10 minutes after finishing so an instance with a late clock doesn't re-run it.
+            const outcome = await withJobLock(
+                'cron:attendance-auto-stop',
+                { label: 'Daily timer auto-stop', startedByName: 'scheduler', holdMs: 10 * 60 * 1000 },
+                autoStopActiveTimers
+            );
 
-            for (const attendance of activeRecords) {
-                // Stop the last active session
-                if (attendance.sessions.length > 0) {
-                    const lastSession = attendance.sessions[attendance.sessions.length - 1];
-                    if (!lastSession.endTime) {
-                        lastSession.endTime = new Date();
-                    }
-                }
-
-                attendance.status = 'completed';
-                attendance.calculateTotalWorkTime();
-                await attendance.save();
-
-                stoppedCount++;
+            if (!outcome.acquired) {
+                console.log(`[CRON] Skipping auto-stop: ${outcome.message}`);
+                return;
             }
 
-            console.log(`[CRON] Auto-stopped ${stoppedCount} active timer(s)`);
+            console.log(`[CRON] Auto-stopped ${outcome.result} active timer(s)`);
         } catch (error) {
             console.error('[CRON] Error in auto-stop job:', error);
         }
@@ -37,4 +67,158 @@ export function initializeScheduledJobs() {
     });
 
     console.log('[CRON] Scheduled job initialized: Daily timer auto-stop at 2:00 AM IST');
+
+    // Retry failed webhook deliveries every minute (each delivery is claimed atomically,
+    // so several instances can run this side by side)
+    cron.schedule('* * * * *', async () => {
+        try {
+            await retryDueWebhookDeliveries();
+        } catch (error) {
+            console.error('[CRON] Error retrying webhook deliveries:', error);
+        }
+    });
+
+    // Live repricing for sellers with repricing enabled (every 6 hours unless REPRICING_CRON is set).
+    // Each seller's run takes its own lock, so instances firing together split or skip the work.
+    const repricingCron = process.env.REPRICING_CRON || '0 */6 * * *';
+    if (process.env.ENABLE_SYNC_SCHEDULER !== 'false') {
+        cron.schedule(repricingCron, async () => {
+            try {
+                console.log('[CRON] Running scheduled repricing...');
+                await runScheduledRepricing();
+            } catch (error) {
+                console.error('[CRON] Error in repricing job:', error);
+            }
+        });
+        console.log(`[CRON] Scheduled job initialized: Repricing (${repricingCron})`);
+    }
+
+    // Out-of-stock monitor: zero listings whose Amazon source is unavailable, restore them when it's back
+    const stockMonitorCron = process.env.STOCK_MONITOR_CRON || '30 */2 * * *';
+    if (process.env.ENABLE_SYNC_SCHEDULER !== 'false') {
+        cron.schedule(stockMonitorCron, async () => {
+            try {
+                const outcome = await startStockMonitor({ trigger: 'schedule' });
+                if (!outcome.acquired) {
+                    console.log(`[CRON] Skipping out-of-stock check: ${outcome.message}`);
+                    return;
+                }
+                await outcome.done;
+            } catch (error) {
+                console.error('[CRON] Error in out-of-stock monitor:', error);
+            }
+        });
+        console.log(`[CRON] Scheduled job initialized: Out-of-stock monitor (${stockMonitorCron})`);
+    }
+
+    // Carrier tracking: update remarks from tracking events and flag orders past their
+    // estimated delivery (polling needs TRACKING_ADAPTER; flagging always runs)
+    const trackingCron = process.env.TRACKING_CRON || '0 */2 * * *';
+    if (process.env.ENABLE_SYNC_SCHEDULER !== 'false') {
+        cron.schedule(trackingCron, async () => {
+            try {
+                const outcome = await startTrackingPoll();
+                if (!outcome.acquired) console.log(`[CRON] Skipping tracking poll: ${outcome.message}`);
+            } catch (error) {
+                console.error('[CRON] Error in tracking poll:', error);
+            }
+        });
+        console.log(`[CRON] Scheduled job initialized: Tracking poll (${trackingCron})`);
+    }
+
+    // Late-shipment risk: alert on unshipped orders that become due or overdue
+    // (every 30 minutes unless SHIPPING_RISK_CRON is set)
+    const shippingRiskCron = process.env.SHIPPING_RISK_CRON || '*/30 * * * *';
+    if (process.env.ENABLE_SYNC_SCHEDULER !== 'false') {
+        cron.schedule(shippingRiskCron, async () => {
+            try {
+                const outcome = await runShippingRiskAlerts();
+                if (!outcome.acquired) console.log(`[CRON] Skipping late-shipment risk check: ${outcome.message}`);
+            } catch (error) {
+                console.error('[CRON] Error in late-shipment risk check:', error);
+            }
+        });
+        console.log(`[CRON] Scheduled job initialized: Late-shipment risk (${shippingRiskCron})`);
+    }
+
+    // Work queue: move work off people on leave and hand out unassigned worksheet items
+    // (every 15 minutes unless WORK_ASSIGN_CRON is set)
+    const workAssignCron = process.env.WORK_ASSIGN_CRON || '*/15 * * * *';
+    if (process.env.ENABLE_SYNC_SCHEDULER !== 'false') {
+        cron.schedule(workAssignCron, async () => {
+            try {
+                const outcome = await runWorkAssignment();
+                if (!outcome.acquired) console.log(`[CRON] Skipping work queue assignment: ${outcome.message}`);
+            } catch (error) {
+                console.error('[CRON] Error in work queue assignment:', error);
+            }
+        });
+        console.log(`[CRON] Scheduled job initialized: Work queue assignment (${workAssignCron})`);
+    }
+
+    // SLA escalation: warn owners and managers as return, case and dispute deadlines near
+    // (every 10 minutes unless SLA_CRON is set)
+    const slaCron = process.env.SLA_CRON || '*/10 * * * *';
+    if (process.env.ENABLE_SYNC_SCHEDULER !== 'false') {
+        cron.schedule(slaCron, async () => {
+            try {
+                const outcome = await runSlaEscalations();
+                if (!outcome.acquired) console.log(`[CRON] Skipping SLA escalation: ${outcome.message}`);
+            } catch (error) {
+                console.error('[CRON] Error in SLA escalation:', error);
+            }
+        });
+        console.log(`[CRON] Scheduled job initialized: SLA escalation (${slaCron})`);
+    }
+
+    // Post new and changed orders to the P&L ledger (every 15 minutes unless LEDGER_CRON is set)
+    const ledgerCron = process.env.LEDGER_CRON || '*/15 * * * *';
+    if (process.env.ENABLE_SYNC_SCHEDULER !== 'false') {
+        cron.schedule(ledgerCron, async () => {
+            try {
+                const outcome = await withJobLock(
+                    'ledger-sync',
+                    { label: 'Ledger posting', startedByName: 'scheduler' },
+                    () => postPendingOrders()
+                );
+                if (!outcome.acquired) console.log(`[CRON] Skipping ledger posting: ${outcome.message}`);
+            } catch (error) {
+                console.error('[CRON] Error in ledger posting:', error);
+            }
+        });
+        console.log(`[CRON] Scheduled job initialized: Ledger posting (${ledgerCron})`);
+    }
+
+    // Fetch currency pair rates and redo the conversions that used an older day's rate
+    // (01:30 unless CURRENCY_RATES_CRON is set; CURRENCY_RATE_PROVIDER=none turns it off)
+    const currencyRatesCron = process.env.CURRENCY_RATES_CRON || '30 1 * * *';
+    if (process.env.ENABLE_SYNC_SCHEDULER !== 'false' && process.env.CURRENCY_RATE_PROVIDER !== 'none') {
+        cron.schedule(currencyRatesCron, async () => {
+            try {
+                // Every API instance fires this cron; the lock lets only one of them import and recalculate
+                const outcome = await withJobLock(
+                    'cron:currency-rates',
+                    { label: 'Currency rates', startedByName: 'scheduler', holdMs: 10 * 60 * 1000 },
+                    async () => {
+                        // Yesterday as well: a day's reference rate is only published that afternoon (CET)
+                        const today = new Date();
+                        const summary = await importProviderRates({ from: new Date(today.getTime() - 24 * 60 * 60 * 1000), to: today });
+                        console.log(`[CRON] Currency rates: ${summary.created} new, ${summary.corrected} corrected`);
+
+                        const recalculation = await recalculateForRateChanges(summary.changes);
+                        if (!recalculation.acquired) console.log(`[CRON] Skipping currency recalculation: ${recalculation.message}`);
+                    }
+                );
+                if (!outcome.acquired) console.log(`[CRON] Skipping currency rates: ${outcome.message}`);
+            } catch (error) {
+                console.error('[CRON] Error importing currency rates:', error);
+            }
+        });
+        console.log(`[CRON] Scheduled job initialized: Currency rates (${currencyRatesCron})`);
+    }
+
+    // Background eBay syncs (orders, returns, cases, disputes, messages, listings)
+    initializeSyncScheduler().catch((error) => {
+        console.error('[CRON] Failed to initialize sync scheduler:', error);
+    });
 }
@@ -4,6 +4,7 @@ import { processImagePlaceholders } from './imageReplacer.js';
 import { scrapeAmazonProductWithScraperAPI } from './scraperApiProduct.js';
 import { trackApiUsage } from './apiUsageTracker.js';
 import { getCachedAsinData, setCachedAsinData } from './asinCache.js';
+import { withMarketRates } from '../lib/currency.js';
 
 /**
  * Fetch Amazon product data by ASIN
@@ -293,7 +294,8 @@ export async function applyFieldConfigs(amazonData, fieldConfigs, pricingConfig
         console.log(`[Pricing Calculator] Extracted numeric cost: ${amazonCost}`);
         
         if (!isNaN(amazonCost) && amazonCost > 0) {
-          const result = calculateStartPrice(pricingConfig, amazonCost);
+          // Rates left empty in the config follow the day's market USD/INR rate
+          const result = calculateStartPrice(await withMarketRates(pricingConfig), amazonCost);
           
           // Override startPrice regardless of field configs
           coreFields.startPrice = result.price.toFixed(2);
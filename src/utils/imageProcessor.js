@@ -3,7 +3,7 @@ import axios from 'axios';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { uploadToImgBB } from './imgbbUploader.js';
+import { putFile, deleteFile, getPublicUrl, storageKeyFromUrl, buildStorageKey } from '../lib/storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,11 +25,28 @@ async function downloadImage(imageUrl) {
   }
 }
 
+/**
+ * Stores a processed listing image under public/ (eBay fetches it from there)
+ * With the local storage driver PUBLIC_BASE_URL must be set - eBay cannot fetch a relative URL.
+ * @param {Buffer} imageBuffer - JPEG image
+ * @returns {Promise<string>} - Public URL of the stored image
+ */
+async function storeEbayImage(imageBuffer) {
+  const key = buildStorageKey('public/ebay-images', 'image/jpeg', 'ebay');
+  const publicUrl = getPublicUrl(key);
+  if (!/^https?:\/\//i.test(publicUrl)) {
+    throw new Error('PUBLIC_BASE_URL is not set; eBay needs an absolute URL to fetch listing images');
+  }
+  await putFile(key, imageBuffer, { contentType: 'image/jpeg' });
+  console.log(`Stored eBay image: ${publicUrl}`);
+  return publicUrl;
+}
+
 /**
  * Composites an overlay badge onto a product image
  * @param {string} productImageUrl - URL of the Amazon product image
  * @param {string} overlayBadgeName - Name of the overlay badge (usa-seller, free-shipping, fast-shipping)
- * @returns {Promise<string>} - Path to the processed image relative to public folder
+ * @returns {Promise<string>} - Public URL of the processed image
  */
 async function createEbayImageWithOverlay(productImageUrl, overlayBadgeName = 'usa-seller') {
   try {
@@ -48,28 +65,13 @@ async function createEbayImageWithOverlay(productImageUrl, overlayBadgeName = 'u
       await fs.access(overlayBadgePath);
     } catch (error) {
       console.warn(`Overlay badge not found: ${overlayBadgePath}. Using product image without overlay.`);
-      // Process and upload original image without overlay
-      const outputFilename = `ebay-${Date.now()}-${Math.random().toString(36).substring(7)}.jpg`;
-      const outputPath = path.join(__dirname, '../../public/uploads/ebay-images', outputFilename);
-      
-      await sharp(productImageBuffer)
+      // Process and store original image without overlay
+      const imageBuffer = await sharp(productImageBuffer)
         .resize(800, 800, { fit: 'inside', withoutEnlargement: true })
         .jpeg({ quality: 85 })
-        .toFile(outputPath);
-      
-      // Upload to ImgBB and get public URL
-      console.log(`Uploading image (no overlay) to ImgBB: ${outputFilename}`);
-      const publicUrl = await uploadToImgBB(outputPath, outputFilename);
-      console.log(`Successfully uploaded to ImgBB: ${publicUrl}`);
-
-      // Clean up local file after upload
-      try {
-        await fs.unlink(outputPath);
-      } catch (cleanupError) {
-        console.warn(`Failed to clean up local file: ${cleanupError.message}`);
-      }
-
-      return publicUrl;
+        .toBuffer();
+
+      return await storeEbayImage(imageBuffer);
     }
 
     // Get product image metadata
@@ -97,10 +99,7 @@ async function createEbayImageWithOverlay(productImageUrl, overlayBadgeName = 'u
     const overlayHeight = overlayMetadata.height;
 
     // Composite the overlay onto the product image (full coverage, top-left at 0,0)
-    const outputFilename = `ebay-${Date.now()}-${Math.random().toString(36).substring(7)}.jpg`;
-    const outputPath = path.join(__dirname, '../../public/uploads/ebay-images', outputFilename);
-
-    await sharp(resizedProductImage)
+    const imageBuffer = await sharp(resizedProductImage)
       .composite([
         {
           input: overlayBuffer,
@@ -109,23 +108,9 @@ async function createEbayImageWithOverlay(productImageUrl, overlayBadgeName = 'u
         },
       ])
       .jpeg({ quality: 85 })
-      .toFile(outputPath);
-
-    // Upload to ImgBB and get public URL
-    console.log(`Uploading eBay image to ImgBB: ${outputFilename}`);
-    const publicUrl = await uploadToImgBB(outputPath, outputFilename);
-    console.log(`Successfully uploaded to ImgBB: ${publicUrl}`);
-
-    // Clean up local file after upload
-    try {
-      await fs.unlink(outputPath);
-      console.log(`Cleaned up local file: ${outputPath}`);
-    } catch (cleanupError) {
-      console.warn(`Failed to clean up local file: ${cleanupError.message}`);
-    }
+      .toBuffer();
 
-    // Return the public ImgBB URL
-    return publicUrl;
+    return await storeEbayImage(imageBuffer);
   } catch (error) {
     console.error('Error creating eBay image with overlay:', error);
     throw new Error(`Failed to create eBay image: ${error.message}`);
@@ -133,14 +118,20 @@ async function createEbayImageWithOverlay(productImageUrl, overlayBadgeName = 'u
 }
 
 /**
- * Deletes an eBay image (Note: ImgBB free tier doesn't support deletion)
- * @param {string} imageUrl - Public URL of the image (e.g., https://i.ibb.co/...)
+ * Deletes a stored eBay image (older ImgBB-hosted images cannot be deleted and are skipped)
+ * @param {string} imageUrl - Public URL of the image
  */
 async function deleteEbayImage(imageUrl) {
-  // Note: ImgBB free tier doesn't provide deletion API
-  // Images are stored on ImgBB permanently
-  // Local temporary files are already cleaned up after upload
-  console.log('ImgBB does not support deletion for free tier:', imageUrl);
+  const key = storageKeyFromUrl(imageUrl);
+  if (!key || !key.startsWith('public/ebay-images/')) {
+    console.log('Not a stored eBay image, skipping deletion:', imageUrl);
+    return;
+  }
+  try {
+    await deleteFile(key);
+  } catch (error) {
+    console.warn(`Failed to delete eBay image ${key}: ${error.message}`);
+  }
 }
 
 export {
@@ -182,6 +182,73 @@ function extractPriceFromHTML(html) {
   return null;
 }
 
+/**
+ * Scrape Amazon availability (and price, when shown) using ScraperAPI
+ * @param {string} asin - Amazon ASIN
+ * @param {string} region - Amazon region (US, UK, CA, AU)
+ * @returns {Promise<Object>} - { availability: 'in_stock' | 'out_of_stock' | 'unknown', text, price }
+ */
+export async function scrapeAmazonAvailabilityWithScraperAPI(asin, region = 'US') {
+  return throttledRequest(async () => {
+    const SCRAPER_API_KEY = getApiKey();
+
+    const regionDomains = {
+      US: 'amazon.com',
+      UK: 'amazon.co.uk',
+      CA: 'amazon.ca',
+      AU: 'amazon.com.au'
+    };
+
+    const domain = regionDomains[region] || regionDomains.US;
+    console.log(`[ScraperAPI] 🔍 Checking availability for ASIN: ${asin}`);
+
+    const response = await axios.get(SCRAPER_API_BASE, {
+      params: {
+        api_key: SCRAPER_API_KEY,
+        url: `https://www.${domain}/dp/${asin}`,
+        render: 'false',
+        residential: 'false'
+      },
+      timeout: 30000
+    });
+
+    if (response.status !== 200) {
+      throw new Error(`ScraperAPI returned status ${response.status}`);
+    }
+
+    const html = response.data;
+    const result = { ...extractAvailabilityFromHTML(html), price: extractPriceFromHTML(html) };
+    console.log(`[ScraperAPI] ✅ ${asin}: ${result.availability}${result.text ? ` (${result.text})` : ''}`);
+    return result;
+  });
+}
+
+/**
+ * Extract availability from Amazon HTML
+ * Reads the #availability block first, then falls back to the buy box buttons
+ */
+function extractAvailabilityFromHTML(html) {
+  const block = html.match(/<div[^>]*id="availability"[^>]*>([\s\S]*?)<\/div>/i);
+  const text = block
+    ? block[1].replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim()
+    : '';
+
+  if (/currently unavailable|out of stock|no featured offers available/i.test(text)) {
+    return { availability: 'out_of_stock', text };
+  }
+  if (/in stock|left in stock|usually ships|available to ship/i.test(text)) {
+    return { availability: 'in_stock', text };
+  }
+
+  if (/id="outOfStock"/i.test(html)) return { availability: 'out_of_stock', text: text || 'Currently unavailable' };
+  if (/id="add-to-cart-button"/i.test(html) || /id="buy-now-button"/i.test(html)) {
+    return { availability: 'in_stock', text: text || 'Add to Cart available' };
+  }
+
+  // Captcha pages, layout changes etc. - never act on these
+  return { availability: 'unknown', text };
+}
+
 /**
  * Batch scrape multiple ASINs with rate limiting
  */
@@ -0,0 +1,22 @@
+// Shared helpers for the node:test suites. The suites run without MongoDB: model methods
+// are replaced with mock.method() and answer with these stand-ins.
+
+/**
+ * Stand-in for a mongoose Query: chainable (select, lean, sort, ...) and awaitable
+ */
+export function query(value) {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(typeof value === 'function' ? value() : value).then(resolve, reject)
+  };
+  for (const method of ['select', 'lean', 'populate', 'sort', 'limit', 'skip']) q[method] = () => q;
+  return q;
+}
+
+/**
+ * Replace the JobLock model calls so withJobLock() always gets the lock
+ */
+export function mockJobLocks(mock, JobLock) {
+  mock.method(JobLock, 'findOneAndUpdate', (filter) => query({ name: filter.name }));
+  mock.method(JobLock, 'deleteMany', async () => ({ deletedCount: 1 }));
+  mock.method(JobLock, 'updateMany', async () => ({ matchedCount: 1 }));
+}
@@ -0,0 +1,121 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Return from '../src/models/Return.js';
+import Seller from '../src/models/Seller.js';
+import Order from '../src/models/Order.js';
+import ResolutionAction from '../src/models/ResolutionAction.js';
+import ActivityEntry from '../src/models/ActivityEntry.js';
+import RealtimeEvent from '../src/models/RealtimeEvent.js';
+import JobLock from '../src/models/JobLock.js';
+import { performResolution, mockResolutionCalls, clearMockResolutions } from '../src/lib/resolutions.js';
+import { query, mockJobLocks } from './helpers.js';
+
+const sellerId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+// Mocks the models performResolution touches; returns the recorded ResolutionActions
+function setUp({ returnId, seller = { _id: sellerId, ebayMarketplaces: ['EBAY_US'] }, marketplace = 'EBAY_ENCA', succeeded = null }) {
+  const item = new Return({
+    returnId,
+    orderId: `order-${returnId}`,
+    seller: sellerId,
+    worksheetStatus: 'open',
+    refundAmount: { value: 25, currency: 'USD' }
+  });
+  mock.method(item, 'save', async () => item);
+  mock.method(Return, 'findOne', () => query(item));
+  mock.method(Seller, 'findById', async () => seller);
+  mock.method(Order, 'findOne', () => query({ purchaseMarketplaceId: marketplace }));
+
+  const records = [];
+  mock.method(ResolutionAction, 'findOne', () => query(succeeded));
+  mock.method(ResolutionAction, 'create', async (data) => {
+    const record = { _id: new mongoose.Types.ObjectId(), ...data };
+    records.push(record);
+    return record;
+  });
+  mock.method(ActivityEntry, 'create', async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+  mock.method(ActivityEntry, 'findById', () => query({}));
+  mock.method(RealtimeEvent, 'create', async () => ({}));
+  mockJobLocks(mock, JobLock);
+  return { item, records };
+}
+
+describe('performResolution with RESOLUTION_ADAPTER=mock', () => {
+  beforeEach(() => {
+    process.env.RESOLUTION_ADAPTER = 'mock';
+    clearMockResolutions();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.RESOLUTION_ADAPTER;
+  });
+
+  it('records a successful refund and marks the return attended', async () => {
+    const { item, records } = setUp({ returnId: '5001' });
+
+    const result = await performResolution('return', '5001', 'refund', { amount: 20 }, { userId });
+
+    assert.equal(result.record.status, 'succeeded');
+    assert.equal(result.record.adapter, 'mock');
+    assert.deepEqual(result.record.params, { amount: 20, currency: 'USD', comments: undefined });
+    assert.equal(records.length, 1);
+    assert.equal(item.worksheetStatus, 'attended');
+    assert.equal(String(item.assignedTo), String(userId));
+
+    const [call] = mockResolutionCalls();
+    assert.equal(call.action, 'refund');
+    assert.equal(call.id, '5001');
+    assert.equal(call.marketplace, 'EBAY_CA');
+  });
+
+  it('records the failure when the mock rejects a FAIL id and leaves the return open', async () => {
+    const { item, records } = setUp({ returnId: 'FAIL-5002' });
+
+    const result = await performResolution('return', 'FAIL-5002', 'provideRma', { rmaNumber: 'RMA-1' }, { userId });
+
+    assert.equal(result.record.status, 'failed');
+    assert.equal(result.record.error, 'Mock eBay rejected the action');
+    assert.equal(records.length, 1);
+    assert.equal(item.worksheetStatus, 'open');
+    assert.equal(item.assignedTo, null);
+    assert.equal(item.save.mock.callCount(), 0);
+  });
+
+  it('refuses a refund that already succeeded', async () => {
+    setUp({ returnId: '5003', succeeded: { params: { amount: 20, currency: 'USD' }, createdAt: new Date('2026-01-02T10:00:00Z') } });
+
+    const result = await performResolution('return', '5003', 'refund', { amount: 20 }, { userId });
+
+    assert.match(result.conflict, /Already done on 2026-01-02T10:00:00.000Z: Refunded 20.00 USD/);
+    assert.equal(mockResolutionCalls().length, 0);
+  });
+
+  it('falls back to the seller marketplace when the order has none', async () => {
+    setUp({ returnId: '5004', marketplace: null, seller: { _id: sellerId, ebayMarketplaces: ['EBAY_GB'] } });
+
+    await performResolution('return', '5004', 'provideRma', { rmaNumber: 'RMA-2' }, { userId });
+
+    assert.equal(mockResolutionCalls()[0].marketplace, 'EBAY_GB');
+  });
+
+  it('checks the seller before storing evidence or calling eBay', async () => {
+    setUp({ returnId: '5005', seller: null });
+
+    const result = await performResolution('return', '5005', 'refund', { amount: 20 }, { userId });
+
+    assert.deepEqual(result, { error: 'Seller not found' });
+    assert.equal(mockResolutionCalls().length, 0);
+  });
+
+  it('rejects invalid input without calling eBay', async () => {
+    setUp({ returnId: '5006' });
+
+    const result = await performResolution('return', '5006', 'partialRefund', { amount: 30 }, { userId });
+
+    assert.match(result.error, /A partial refund must be less than the full 25.00 USD/);
+    assert.equal(mockResolutionCalls().length, 0);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../src/models/Order.js';
+import ShipmentTracking from '../src/models/ShipmentTracking.js';
+import AmazonPurchase from '../src/models/AmazonPurchase.js';
+import RealtimeEvent from '../src/models/RealtimeEvent.js';
+import WebhookSubscription from '../src/models/WebhookSubscription.js';
+import JobLock from '../src/models/JobLock.js';
+import { startTrackingPoll, setMockTracking, clearMockTracking } from '../src/lib/tracking.js';
+import { query, mockJobLocks } from './helpers.js';
+
+const sellerId = new mongoose.Types.ObjectId();
+
+function order(fields) {
+  return { _id: new mongoose.Types.ObjectId(), seller: sellerId, remark: 'Not yet shipped', ...fields };
+}
+
+// Mocks the models a poll of the given orders touches; returns the $set of each Order.updateOne
+function setUp(orders) {
+  const updates = new Map();
+  mock.method(Order, 'find', () => query(orders));
+  mock.method(Order, 'updateOne', async (filter, update) => {
+    updates.set(String(filter._id), update.$set);
+    return { modifiedCount: 1 };
+  });
+  mock.method(ShipmentTracking, 'find', () => query([]));
+  mock.method(ShipmentTracking.prototype, 'save', async function () { return this; });
+  mock.method(AmazonPurchase, 'find', () => query([]));
+  mock.method(RealtimeEvent, 'create', async () => ({}));
+  mock.method(WebhookSubscription, 'find', () => query([]));
+  mockJobLocks(mock, JobLock);
+  return updates;
+}
+
+async function poll(orders) {
+  const outcome = await startTrackingPoll({ orderIds: orders.map(o => o.orderId) });
+  assert.equal(outcome.acquired, true);
+  return outcome.result;
+}
+
+describe('pollOrders with TRACKING_ADAPTER=mock', () => {
+  beforeEach(() => {
+    process.env.TRACKING_ADAPTER = 'mock';
+    clearMockTracking();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.TRACKING_ADAPTER;
+  });
+
+  it('moves a number one status further on every poll', async () => {
+    const orders = [order({ orderId: 'T-1', trackingNumber: 'MOCK0001' })];
+    const updates = setUp(orders);
+
+    const first = await poll(orders);
+    assert.equal(first.adapter, 'mock');
+    assert.equal(first.checked, 1);
+    assert.equal(first.updated, 1);
+    assert.equal(updates.get(String(orders[0]._id)).trackingStatus, 'infoReceived');
+    assert.equal(updates.get(String(orders[0]._id)).remark, 'Shipped');
+
+    await poll(orders);
+    assert.equal(updates.get(String(orders[0]._id)).trackingStatus, 'inTransit');
+    assert.equal(updates.get(String(orders[0]._id)).remark, 'In-transit');
+  });
+
+  it('marks delivered orders and leaves remarks people set alone', async () => {
+    const deliveredAt = new Date('2026-03-04T15:00:00Z');
+    setMockTracking('MOCK0002', {
+      trackingNumber: 'MOCK0002',
+      status: 'delivered',
+      deliveredAt,
+      events: [{ time: deliveredAt, status: 'delivered', description: 'Delivered' }]
+    });
+    setMockTracking('MOCK0003', { trackingNumber: 'MOCK0003', status: 'delivered', events: [] });
+    const orders = [
+      order({ orderId: 'T-2', trackingNumber: 'MOCK0002' }),
+      order({ orderId: 'T-3', trackingNumber: 'MOCK0003', remark: 'Refund' })
+    ];
+    const updates = setUp(orders);
+
+    const summary = await poll(orders);
+
+    assert.equal(summary.delivered, 2);
+    const delivered = updates.get(String(orders[0]._id));
+    assert.equal(delivered.remark, 'Delivered');
+    assert.equal(delivered.deliveredAt.getTime(), deliveredAt.getTime());
+    assert.equal(delivered.deliveryOverdue, false);
+    assert.equal(updates.get(String(orders[1]._id)).remark, 'Refund');
+  });
+
+  it('counts numbers the carrier does not know and flags exceptions as Delayed', async () => {
+    const orders = [
+      order({ orderId: 'T-4', trackingNumber: 'NOTFOUND01' }),
+      order({ orderId: 'T-5', manualTrackingNumber: 'EXCEPTION01', trackingNumber: 'OTHER01', remark: 'Shipped' })
+    ];
+    const updates = setUp(orders);
+    setMockTracking('OTHER01', { trackingNumber: 'OTHER01', status: 'inTransit', events: [] });
+
+    const summary = await poll(orders);
+
+    assert.equal(summary.notFound, 1);
+    assert.equal(updates.get(String(orders[0]._id)).trackingStatus, undefined);
+    // The manual number is the one in use
+    assert.equal(updates.get(String(orders[1]._id)).trackingStatus, 'exception');
+    assert.equal(updates.get(String(orders[1]._id)).remark, 'Delayed');
+  });
+
+  it('flags orders past their estimated delivery while still in transit', async () => {
+    setMockTracking('MOCK0006', { trackingNumber: 'MOCK0006', status: 'inTransit', events: [] });
+    const orders = [order({ orderId: 'T-6', trackingNumber: 'MOCK0006', estimatedDelivery: new Date(Date.now() - 86400000) })];
+    const updates = setUp(orders);
+
+    const summary = await poll(orders);
+
+    assert.equal(summary.overdue, 1);
+    assert.equal(updates.get(String(orders[0]._id)).deliveryOverdue, true);
+    assert.equal(updates.get(String(orders[0]._id)).remark, 'Delayed');
+    assert.equal(RealtimeEvent.create.mock.calls[0].arguments[0].type, 'order.deliveryOverdue');
+  });
+
+  it('polls nothing without an adapter', async () => {
+    delete process.env.TRACKING_ADAPTER;
+    const orders = [order({ orderId: 'T-7', trackingNumber: 'MOCK0007' })];
+    const updates = setUp(orders);
+
+    const summary = await poll(orders);
+
+    assert.equal(summary.adapter, null);
+    assert.equal(summary.checked, 0);
+    assert.equal(Order.find.mock.callCount(), 0);
+    assert.equal(updates.size, 0);
+  });
+});